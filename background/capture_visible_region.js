@@ -0,0 +1,121 @@
+/**
+ * File: capture_visible_region.js
+ * Purpose: Chụp khung nhìn của tab cho công cụ "Chụp vùng ảnh" (content_scripts/capture_screen_region.js)
+ *          — dùng khi ảnh sản phẩm không lấy được bằng URL (canvas, blob:, CSS sprite, CDN chặn hotlink);
+ *          lấy khung hình <video> khi chuột phải vào video (content_scripts/capture_video_frame.js)
+ * Layer: Application / Controller
+ *
+ * Data Contract:
+ * - Exports: startRegionCapture, handleCaptureVisibleTab, handleRegionCaptured, handleContextVideoFrame
+ * - CAPTURE_VISIBLE_TAB → { success, dataUrl } PNG đúng pixel thật của màn hình (content script tự cắt theo DPR)
+ * - REGION_CAPTURED { dataUrl, purpose: 'tryon' | 'wardrobe' | 'model', pageUrl, sidePanelOpen? }
+ *   → pending_clothing_image / pending_wardrobe_item / pending_model_image như chuột phải vào ảnh
+ * - CAPTURE_VIDEO_FRAME { srcUrl, purpose } → tab trả { dataUrl } hoặc { fallback: 'screenshot' } (đã mở overlay chụp vùng)
+ *
+ * Flow:
+ * 1. Context menu / sidebar → startRegionCapture(tab) → START_REGION_CAPTURE tới frame chính
+ * 2. User kéo khung → content script ẩn UI Fitly, xin ảnh chụp (chrome.tabs.captureVisibleTab) rồi tự cắt
+ * 3. REGION_CAPTURED → handleContextTryonImage / handleContextAddWardrobe / handleContextUseAsModel
+ * 4. Chuột phải vào video → CAPTURE_VIDEO_FRAME tới frame chứa video; frame không có content script
+ *    (iframe nhúng) → chụp vùng ở frame chính
+ *
+ * Edge Cases:
+ * - Trang không cho chụp / không có content script (chrome://, Web Store) → notification
+ * - captureVisibleTab bị giới hạn số lần / giây → trả lỗi, overlay báo user thử lại
+ * - dataUrl không phải ảnh → từ chối (message đến từ content script của trang bất kỳ)
+ * - REGION_CAPTURED từ nút hover video (sidebar có thể đang đóng) → mở sidebar trước mọi await
+ */
+
+import { openSidePanel, handleContextTryonImage, handleContextAddWardrobe, handleContextUseAsModel } from './context_menus.js';
+import { log } from './debug_logger.js';
+
+const CAPTURE_PURPOSES = ['tryon', 'wardrobe', 'model'];
+
+function notifyCaptureError(message) {
+    chrome.notifications.create('region-capture-error-' + Date.now(), {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Fitly',
+        message
+    });
+}
+
+/** Ảnh đã chụp (data: URL) → luồng thử đồ / tủ đồ / ảnh mẫu; sidebar đã mở */
+function routeCapturedImage(purpose, payload, tab) {
+    const data = { ...payload, frameId: 0, sidePanelOpen: true };
+    if (purpose === 'wardrobe') return handleContextAddWardrobe(data, tab);
+    if (purpose === 'model') return handleContextUseAsModel(data, tab);
+    return handleContextTryonImage(data, tab);
+}
+
+/**
+ * startRegionCapture — Mở overlay chọn vùng ở frame chính (toạ độ khung nhìn phải khớp ảnh chụp của cả tab)
+ * Input: options { purpose?, sidePanelOpen? } — mục đích mặc định khi bấm Enter
+ */
+export async function startRegionCapture(tab, options = {}) {
+    if (!tab?.id) return { success: false, error: 'No tab context' };
+    try {
+        await chrome.tabs.sendMessage(tab.id, {
+            type: 'START_REGION_CAPTURE',
+            purpose: options.purpose,
+            sidePanelOpen: options.sidePanelOpen
+        }, { frameId: 0 });
+        return { success: true };
+    } catch (_) {
+        notifyCaptureError('Không thể chụp vùng trên trang này. Hãy lưu ảnh về máy rồi tải lên trong Fitly.');
+        return { success: false, error: 'NO_CONTENT_SCRIPT' };
+    }
+}
+
+export async function handleCaptureVisibleTab(tab) {
+    if (!tab) return { success: false, error: 'No tab context' };
+    try {
+        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+        return { success: true, dataUrl };
+    } catch (error) {
+        console.warn('[Fitly] captureVisibleTab failed:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+export async function handleRegionCaptured(data, tab) {
+    if (!tab) return { success: false, error: 'No tab context' };
+    if (typeof data?.dataUrl !== 'string' || !data.dataUrl.startsWith('data:image/')) {
+        return { success: false, error: 'Invalid image data' };
+    }
+
+    // Nút hover trên video → sidebar có thể chưa mở; không mở được thì sidebar vẫn đọc pending khi user mở
+    if (!data.sidePanelOpen) await openSidePanel(tab);
+
+    const purpose = CAPTURE_PURPOSES.includes(data.purpose) ? data.purpose : 'tryon';
+    log('[Fitly] Region captured for', purpose, '|', Math.round(data.dataUrl.length / 1024), 'KB');
+
+    return routeCapturedImage(purpose, { srcUrl: data.dataUrl, pageUrl: data.pageUrl || tab.url || '' }, tab);
+}
+
+/**
+ * handleContextVideoFrame — Chuột phải vào <video>: lấy khung hình đang hiện thay vì URL file video
+ * Input: data { srcUrl, pageUrl, frameId, purpose } — sidebar đã mở (service_worker.js mở trước mọi await)
+ */
+export async function handleContextVideoFrame(data, tab) {
+    if (!tab) return { success: false, error: 'No tab context' };
+    const purpose = CAPTURE_PURPOSES.includes(data.purpose) ? data.purpose : 'tryon';
+
+    let response = null;
+    try {
+        response = await chrome.tabs.sendMessage(
+            tab.id,
+            { type: 'CAPTURE_VIDEO_FRAME', srcUrl: data.srcUrl, purpose },
+            { frameId: data.frameId ?? 0 }
+        );
+    } catch (_) {
+        // Video trong iframe nhúng (không có content script) → chụp vùng ở frame chính
+    }
+
+    if (response?.dataUrl) {
+        return routeCapturedImage(purpose, { srcUrl: response.dataUrl, pageUrl: data.pageUrl || tab.url || '' }, tab);
+    }
+    // Video cross-origin: content script đã mở overlay chụp vùng quanh video
+    if (response?.fallback === 'screenshot') return { success: true, fallback: 'screenshot' };
+    return startRegionCapture(tab, { purpose, sidePanelOpen: true });
+}
@@ -0,0 +1,144 @@
+/**
+ * File: category_corrections.js
+ * Purpose: Nhớ thể loại user sửa lại trong modal "Thêm vào tủ đồ" — theo domain và mẫu URL trang —
+ *          để lần sau infer_clothing_category_from_url.js đoán đúng trên cùng site
+ * Layer: Application / Persistence
+ *
+ * Data Contract:
+ * - Exports: recordCategoryCorrection, getCategoryCorrections, getUrlPattern, handleRecordCategoryCorrection,
+ *   CORRECTIONS_STORAGE_KEY
+ * - Storage category_corrections (chrome.storage.local), map domain →
+ *   { updatedAt, counts: { category: n }, patterns: { '/products/*': { category, count, updatedAt } } }
+ * - getCategoryCorrections(pageUrl) → { pattern: { category, count } | null, domain: { category, share } | null }
+ *   — đúng dạng options.corrections của inferCategoryFromUrl
+ *
+ * Flow:
+ * 1. Sidebar: user bấm chip khác thể loại đã đoán → RECORD_CATEGORY_CORRECTION { pageUrl, category }
+ * 2. recordCategoryCorrection: mẫu URL giữ lần sửa mới nhất (cùng thể loại thì tăng count), domain đếm theo thể loại
+ * 3. handleContextAddWardrobe: getCategoryCorrections(pageUrl) → truyền vào inferCategoryFromUrl
+ *
+ * Edge Cases:
+ * - pageUrl không phải http(s) (data:, chrome://) → không ghi, không đọc
+ * - "www." bị bỏ — www.zara.com và zara.com là một site
+ * - Quá MAX_DOMAINS domain → bỏ domain lâu không sửa nhất; mỗi domain tối đa MAX_PATTERNS mẫu URL
+ */
+
+import { log } from './debug_logger.js';
+
+export const CORRECTIONS_STORAGE_KEY = 'category_corrections';
+const MAX_DOMAINS = 200;
+const MAX_PATTERNS = 30;
+
+/** Đoạn path là mã sản phẩm (số, hash, SKU) → thay bằng ':id' */
+const ID_SEGMENT = /^(?=.*\d)[\w.-]{4,}$|^\d+$/;
+
+function parsePageUrl(pageUrl) {
+    try {
+        const url = new URL(pageUrl);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        return url;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getDomain(url) {
+    return url.hostname.replace(/^www\./, '');
+}
+
+/**
+ * getUrlPattern — Path trang → mẫu chung cho mọi sản phẩm cùng loại trang
+ * /collections/dresses/products/linen-midi-dress → /collections/dresses/products/*
+ * /vn/vi/ao-thun-p04174301.html → /vn/vi/*
+ */
+export function getUrlPattern(pageUrl) {
+    const url = parsePageUrl(pageUrl);
+    if (!url) return null;
+    const segments = url.pathname.split('/').filter(Boolean).map(segment => {
+        let decoded = segment;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch (e) {
+            // giữ nguyên đoạn path lỗi encode
+        }
+        return ID_SEGMENT.test(decoded) ? ':id' : decoded.toLowerCase();
+    });
+    // Đoạn cuối thường là slug tên sản phẩm — khác nhau giữa các sản phẩm nên luôn tổng quát hoá
+    if (segments.length) segments[segments.length - 1] = '*';
+    return '/' + segments.join('/');
+}
+
+async function loadCorrections() {
+    const data = await chrome.storage.local.get(CORRECTIONS_STORAGE_KEY);
+    return data[CORRECTIONS_STORAGE_KEY] || {};
+}
+
+function pruneOldest(map, max) {
+    const keys = Object.keys(map);
+    if (keys.length <= max) return;
+    keys.sort((a, b) => (map[a].updatedAt || 0) - (map[b].updatedAt || 0))
+        .slice(0, keys.length - max)
+        .forEach(key => delete map[key]);
+}
+
+/**
+ * recordCategoryCorrection — Ghi lần user chọn thể loại khác với thể loại đã đoán
+ * Output: { domain, pattern } đã ghi | null (URL không hợp lệ)
+ */
+export async function recordCategoryCorrection(pageUrl, category) {
+    const url = parsePageUrl(pageUrl);
+    if (!url || !category) return null;
+
+    const domain = getDomain(url);
+    const pattern = getUrlPattern(pageUrl);
+    const now = Date.now();
+
+    const corrections = await loadCorrections();
+    const entry = corrections[domain] || { updatedAt: now, counts: {}, patterns: {} };
+
+    entry.counts[category] = (entry.counts[category] || 0) + 1;
+    const previous = entry.patterns[pattern];
+    entry.patterns[pattern] = {
+        category,
+        count: previous?.category === category ? previous.count + 1 : 1,
+        updatedAt: now,
+    };
+    entry.updatedAt = now;
+    pruneOldest(entry.patterns, MAX_PATTERNS);
+
+    corrections[domain] = entry;
+    pruneOldest(corrections, MAX_DOMAINS);
+
+    await chrome.storage.local.set({ [CORRECTIONS_STORAGE_KEY]: corrections });
+    log('[Fitly] Category correction:', domain, pattern, '→', category);
+    return { domain, pattern };
+}
+
+/** Lần sửa áp dụng cho pageUrl — domain trả thể loại user chọn nhiều nhất kèm tỉ lệ */
+export async function getCategoryCorrections(pageUrl) {
+    const url = parsePageUrl(pageUrl);
+    if (!url) return null;
+
+    const entry = (await loadCorrections())[getDomain(url)];
+    if (!entry) return null;
+
+    const patternEntry = entry.patterns?.[getUrlPattern(pageUrl)];
+    const counts = Object.entries(entry.counts || {});
+    const total = counts.reduce((sum, [, count]) => sum + count, 0);
+    const [topCategory, topCount] = counts.sort((a, b) => b[1] - a[1])[0] || [];
+
+    return {
+        pattern: patternEntry ? { category: patternEntry.category, count: patternEntry.count } : null,
+        domain: topCategory ? { category: topCategory, share: topCount / total } : null,
+    };
+}
+
+export async function handleRecordCategoryCorrection(data) {
+    try {
+        const recorded = await recordCategoryCorrection(data?.pageUrl, data?.category);
+        return recorded ? { success: true, ...recorded } : { success: false, error: 'Invalid page URL' };
+    } catch (error) {
+        console.warn('[Fitly] Could not record category correction:', error);
+        return { success: false, error: error.message };
+    }
+}
@@ -1,12 +1,26 @@
 /**
  * File: context_menus.js
- * Purpose: Xử lý các options click chuột phải (Thêm vào tủ đồ, Thử với Fitly)
+ * Purpose: Xử lý các options click chuột phải (Thêm vào tủ đồ, Thử với Fitly, Thử tất cả ảnh của sản phẩm,
+ *          Dùng làm ảnh mẫu, Chụp vùng màn hình — xử lý ở capture_visible_region.js)
  * Layer: Application / Controller
  * * Data Contract:
- * - Exports: createContextMenus, handleContextTryonImage, handleContextAddWardrobe
+ * - Exports: createContextMenus, openSidePanel, handleContextTryonImage, handleContextAddWardrobe, handleContextTryGallery,
+ *   handleContextUseAsModel
+ * - data: { srcUrl, pageUrl, altText?, nearbyText?, frameId?, product?, sidePanelOpen? }
+ *   srcUrl có thể là data: URL (ảnh chụp vùng màn hình)
+ *   product — metadata sản phẩm (extract_product_metadata.js); hover button gửi kèm,
+ *   context menu chuột phải thì hỏi lại tab bằng GET_PRODUCT_METADATA
+ *   sidePanelOpen — caller đã mở sidebar (phím tắt: phải mở trước khi hỏi tab ảnh nào đang trỏ)
+ *   gallery — { images, product } đã gom sẵn (hover button); context menu thì hỏi tab bằng GET_PRODUCT_GALLERY
+ * - Session pending_gallery: { images[], pageUrl, product, clickedUrl, at } — sidebar cho chọn ảnh / tự gửi ảnh tốt nhất
+ * - Session pending_model_image: { imageUrl, pageUrl, at } — sidebar thêm vào ảnh mẫu của user
+ * - Session pending_wardrobe_item: { imageUrl, pageUrl, detectedCategory (null = chưa đủ chắc), detectedSubcategory, categoryCandidates[],
+ *   sourceName, altText, product } — ứng viên từ inferCategoryFromUrl, có tính lần user sửa trước (category_corrections.js)
+ * - Trên <video>: thử đồ / tủ đồ / ảnh mẫu lấy khung hình hiện tại (service_worker.js → capture_visible_region.js)
  */
 
-import { inferCategoryFromUrl } from './infer_clothing_category_from_url.js';
+import { inferCategoryFromUrl, pickDetectedCategory } from './infer_clothing_category_from_url.js';
+import { getCategoryCorrections } from './category_corrections.js';
 import { log } from './debug_logger.js';
 
 export function createContextMenus() {
@@ -31,44 +45,112 @@ export function createContextMenus() {
             title: '🗂️ Thêm vào tủ đồ',
             contexts: ['image', 'link', 'video', 'page']
         });
+
+        chrome.contextMenus.create({
+            id: 'fitly-try-gallery',
+            parentId: 'fitly-parent',
+            title: '🖼️ Thử tất cả ảnh của sản phẩm này',
+            contexts: ['image', 'link', 'page']
+        });
+
+        chrome.contextMenus.create({
+            id: 'fitly-use-as-model',
+            parentId: 'fitly-parent',
+            title: '🧍 Dùng làm ảnh mẫu',
+            contexts: ['image', 'video']
+        });
+
+        chrome.contextMenus.create({
+            id: 'fitly-capture-region',
+            parentId: 'fitly-parent',
+            title: '📸 Chụp vùng màn hình để thử đồ',
+            contexts: ['image', 'link', 'video', 'page']
+        });
     });
 }
 
-export async function handleContextTryonImage(data, tab) {
-    if (!tab) return { success: false, error: 'No tab context' };
-
-    // STEP 1: Mở sidePanel NGAY LẬP TỨC — phải gọi trước mọi async operation
-    // để giữ user gesture context (Chrome yêu cầu user gesture cho sidePanel.open)
-    let sidebarOpened = false;
+/**
+ * openSidePanel — Mở sidebar cho cửa sổ của tab (fallback theo tabId), báo notification nếu không mở được.
+ * Caller phải gọi TRƯỚC mọi await khác — Chrome chỉ cho sidePanel.open trong user gesture.
+ * Output: true nếu đã mở
+ */
+export async function openSidePanel(tab) {
     try {
         await chrome.sidePanel.open({ windowId: tab.windowId });
-        sidebarOpened = true;
+        return true;
     } catch (e) {
         console.warn('[Fitly] sidePanel.open with windowId failed:', e.message);
-        try {
-            await chrome.sidePanel.open({ tabId: tab.id });
-            sidebarOpened = true;
-        } catch (e2) {
-            console.warn('[Fitly] sidePanel.open with tabId failed:', e2.message);
-        }
+    }
+    try {
+        await chrome.sidePanel.open({ tabId: tab.id });
+        return true;
+    } catch (e) {
+        console.warn('[Fitly] sidePanel.open with tabId failed:', e.message);
     }
 
-    if (!sidebarOpened) {
-        console.error('[Fitly] Could not open side panel at all');
-        chrome.notifications.create('sidepanel-error-' + Date.now(), {
-            type: 'basic',
-            iconUrl: 'icons/icon128.png',
-            title: 'Fitly',
-            message: 'Không thể mở sidebar. Vui lòng click vào icon Fitly trên thanh công cụ.'
-        });
+    console.error('[Fitly] Could not open side panel at all');
+    chrome.notifications.create('sidepanel-error-' + Date.now(), {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Fitly',
+        message: 'Không thể mở sidebar. Vui lòng click vào icon Fitly trên thanh công cụ.'
+    });
+    return false;
+}
+
+/**
+ * requestProductMetadata — Metadata sản phẩm của ảnh được chọn (null nếu trang không có dữ liệu có cấu trúc).
+ * Phải gọi SAU sidePanel.open — await message làm mất user gesture.
+ */
+async function requestProductMetadata(data, tab) {
+    if (data.product !== undefined) return data.product;
+    try {
+        const response = await chrome.tabs.sendMessage(
+            tab.id,
+            { type: 'GET_PRODUCT_METADATA', imageUrl: data.srcUrl },
+            { frameId: data.frameId ?? 0 }
+        );
+        return response?.product || null;
+    } catch (_) {
+        // Tab không có content script (chrome://, trang PDF...) — chỉ có URL ảnh
+        return null;
+    }
+}
+
+/**
+ * requestProductGallery — Ảnh gallery đã xếp hạng của sản phẩm quanh ảnh được chọn (collect_product_gallery.js).
+ * Phải gọi SAU sidePanel.open.
+ */
+async function requestProductGallery(data, tab) {
+    if (data.gallery) return data.gallery;
+    try {
+        const response = await chrome.tabs.sendMessage(
+            tab.id,
+            { type: 'GET_PRODUCT_GALLERY', imageUrl: data.srcUrl || null },
+            { frameId: data.frameId ?? 0 }
+        );
+        return response || null;
+    } catch (_) {
+        return null;
+    }
+}
+
+export async function handleContextTryonImage(data, tab) {
+    if (!tab) return { success: false, error: 'No tab context' };
+
+    // STEP 1: Mở sidePanel NGAY LẬP TỨC — phải gọi trước mọi async operation
+    // để giữ user gesture context (Chrome yêu cầu user gesture cho sidePanel.open)
+    if (!data.sidePanelOpen && !(await openSidePanel(tab))) {
         return { success: false, error: 'Could not open side panel' };
     }
 
-    // STEP 2: Lưu pending image vào session storage (sidebar sẽ đọc khi init)
+    // STEP 2: Lưu pending image + metadata sản phẩm vào session storage (sidebar sẽ đọc khi init)
+    const product = await requestProductMetadata(data, tab);
     try {
         await chrome.storage.session.set({
             pending_clothing_image: data.srcUrl,
-            pending_source_url: data.pageUrl
+            pending_source_url: data.pageUrl,
+            pending_product: product
         });
     } catch (e) {
         console.warn('[Fitly] Error setting session storage:', e);
@@ -103,28 +185,7 @@ export async function handleContextAddWardrobe(data, tab) {
 
     try {
         // STEP 1: Mở sidebar NGAY LẬP TỨC — giữ user gesture context
-        let sidebarOpened = false;
-        try {
-            await chrome.sidePanel.open({ windowId: tab.windowId });
-            sidebarOpened = true;
-        } catch (e) {
-            console.warn('[Fitly] sidePanel.open with windowId failed:', e.message);
-            try {
-                await chrome.sidePanel.open({ tabId: tab.id });
-                sidebarOpened = true;
-            } catch (e2) {
-                console.warn('[Fitly] sidePanel.open with tabId failed:', e2.message);
-            }
-        }
-
-        if (!sidebarOpened) {
-            console.error('[Fitly] Could not open side panel for wardrobe');
-            chrome.notifications.create('sidepanel-error-' + Date.now(), {
-                type: 'basic',
-                iconUrl: 'icons/icon128.png',
-                title: 'Fitly',
-                message: 'Không thể mở sidebar. Vui lòng click vào icon Fitly trên thanh công cụ.'
-            });
+        if (!data.sidePanelOpen && !(await openSidePanel(tab))) {
             return { success: false, error: 'Could not open side panel' };
         }
 
@@ -144,9 +205,17 @@ export async function handleContextAddWardrobe(data, tab) {
         if (data.productTitle) contextText += ' ' + data.productTitle;
         if (data.nearbyText) contextText += ' ' + data.nearbyText;
 
-        // STEP 4: Auto-detect category
-        const detectedCategory = inferCategoryFromUrl(data.srcUrl, data.pageUrl, contextText);
-        log('[Fitly] Detected category:', detectedCategory, '| context:', contextText.trim().slice(0, 80));
+        // STEP 3b: Tên / category từ dữ liệu có cấu trúc của trang là tín hiệu rõ nhất (trọng số riêng khi đoán)
+        const product = await requestProductMetadata(data, tab);
+
+        // STEP 4: Auto-detect category — ảnh chụp vùng (data: URL) là base64, dễ match nhầm từ khoá
+        // Lần user sửa thể loại trên cùng site / mẫu URL được tính như một tín hiệu mạnh
+        const srcForCategory = data.srcUrl?.startsWith('data:') ? '' : data.srcUrl;
+        const corrections = await getCategoryCorrections(data.pageUrl).catch(() => null);
+        const categoryCandidates = inferCategoryFromUrl(srcForCategory, data.pageUrl, contextText, { product, corrections });
+        const detectedCategory = pickDetectedCategory(categoryCandidates);
+        const detectedSubcategory = detectedCategory ? categoryCandidates[0].subcategory : null;
+        log('[Fitly] Detected category:', detectedCategory, categoryCandidates, '| context:', contextText.trim().slice(0, 80));
 
         // STEP 5: Store pending wardrobe item vào session storage để sidebar đọc
         await chrome.storage.session.set({
@@ -154,8 +223,11 @@ export async function handleContextAddWardrobe(data, tab) {
                 imageUrl: data.srcUrl,
                 pageUrl: data.pageUrl || '',
                 detectedCategory: detectedCategory,
+                detectedSubcategory,
+                categoryCandidates,
                 sourceName: sourceName,
                 altText: data.altText || '',
+                product,
             }
         });
         log('[Fitly] Stored pending wardrobe item');
@@ -185,3 +257,82 @@ export async function handleContextAddWardrobe(data, tab) {
     }
 }
 
+
+export async function handleContextTryGallery(data, tab) {
+    if (!tab) return { success: false, error: 'No tab context' };
+
+    // STEP 1: Mở sidebar NGAY LẬP TỨC — giữ user gesture context
+    if (!data.sidePanelOpen && !(await openSidePanel(tab))) {
+        return { success: false, error: 'Could not open side panel' };
+    }
+
+    // STEP 2: Gom ảnh gallery — không có gallery thì thử đúng ảnh user chọn như "Thử đồ này"
+    const gallery = await requestProductGallery(data, tab);
+    const images = gallery?.images || [];
+    if (images.length < 2) {
+        if (data.srcUrl) {
+            return handleContextTryonImage({ ...data, product: gallery?.product, sidePanelOpen: true }, tab);
+        }
+        chrome.notifications.create('gallery-empty-' + Date.now(), {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: 'Fitly',
+            message: 'Không tìm thấy ảnh sản phẩm trên trang này. Hãy click chuột phải trực tiếp vào ảnh quần áo.'
+        });
+        return { success: false, error: 'NO_GALLERY' };
+    }
+    log('[Fitly] Product gallery:', images.length, 'images | best:', images[0].shot);
+
+    // STEP 3: Lưu pending gallery (sidebar đọc + xoá khi nhận SHOW_PENDING_GALLERY hoặc khi init)
+    await chrome.storage.session.set({
+        pending_gallery: {
+            images,
+            pageUrl: data.pageUrl || '',
+            product: gallery.product || null,
+            clickedUrl: data.srcUrl || null,
+            at: Date.now()
+        }
+    });
+
+    // STEP 4: Báo sidebar — retry như SHOW_PENDING_CLOTHING (sidebar có thể đang init)
+    const sendPendingGallery = () => {
+        chrome.runtime.sendMessage({
+            type: 'SHOW_PENDING_GALLERY'
+        }).catch(() => { });
+    };
+    setTimeout(sendPendingGallery, 800);
+    setTimeout(sendPendingGallery, 2000);
+    setTimeout(sendPendingGallery, 4000);
+
+    return { success: true, count: images.length };
+}
+
+export async function handleContextUseAsModel(data, tab) {
+    if (!tab) return { success: false, error: 'No tab context' };
+
+    // STEP 1: Mở sidebar NGAY LẬP TỨC — giữ user gesture context
+    if (!data.sidePanelOpen && !(await openSidePanel(tab))) {
+        return { success: false, error: 'Could not open side panel' };
+    }
+
+    // STEP 2: Lưu pending model image (sidebar đọc + xoá khi nhận SHOW_PENDING_MODEL hoặc khi init)
+    await chrome.storage.session.set({
+        pending_model_image: {
+            imageUrl: data.srcUrl,
+            pageUrl: data.pageUrl || '',
+            at: Date.now()
+        }
+    });
+
+    // STEP 3: Báo sidebar — retry như SHOW_PENDING_CLOTHING (sidebar có thể đang init)
+    const sendPendingModel = () => {
+        chrome.runtime.sendMessage({
+            type: 'SHOW_PENDING_MODEL'
+        }).catch(() => { });
+    };
+    setTimeout(sendPendingModel, 800);
+    setTimeout(sendPendingModel, 2000);
+    setTimeout(sendPendingModel, 4000);
+
+    return { success: true };
+}
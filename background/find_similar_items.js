@@ -0,0 +1,97 @@
+/**
+ * File: find_similar_items.js
+ * Purpose: "Tìm món tương tự" — tìm ảnh gần giống một ảnh trong ảnh model, tủ đồ, đồ vừa thử và outfit đã lưu
+ *          theo perceptual hash (perceptual_hash.js)
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: handleFindSimilarItems, MAX_BACKFILL_PER_CALL
+ * - Input: { imageUrl, perceptualHash?, excludeId?, limit? }
+ * - Output: { success, hash, items: [{ kind, id, imageUrl, name, category, subcategory, distance, similarity }] }
+ *   kind: 'model' | 'wardrobe' | 'recent' | 'outfit'
+ * - Đọc / ghi lại hash: chrome.storage.local user_models (perceptualHash), recent_clothing (perceptualHash),
+ *   demo_wardrobe (perceptual_hash), fitly_saved_outfits (perceptual_hash)
+ *
+ * Flow:
+ * 1. Sidebar (nút "Tìm món tương tự" trên item tủ đồ) → FIND_SIMILAR_ITEMS
+ * 2. Hash ảnh gốc (dùng perceptualHash gửi kèm nếu có)
+ * 3. Item chưa có hash (lưu trước khi có perceptual hash) → hash bù, tối đa MAX_BACKFILL_PER_CALL mỗi lần, ghi lại storage
+ * 4. findNearDuplicates(≤ SIMILAR_DISTANCE) → bỏ chính item đó, gộp trùng URL, gần nhất trước
+ *
+ * Edge Cases:
+ * - Không hash được ảnh gốc (fetch lỗi, không có OffscreenCanvas) → { success: false, error: 'HASH_FAILED' }
+ * - Tủ đồ đăng nhập được cache ở demo_wardrobe — hash bù ghi vào cache, item tạo sau migration 020 có sẵn cột perceptual_hash
+ * - Hash bù lỗi (ảnh hết hạn, CORS) → không ghi gì, lần tìm sau thử lại; vẫn tính vào giới hạn mỗi lần
+ */
+
+import { log } from './debug_logger.js';
+import { hashImageUrl, findNearDuplicates, isPerceptualHash, similarityPercent, SIMILAR_DISTANCE } from './perceptual_hash.js';
+
+/** Số ảnh hash bù tối đa mỗi lần tìm — mỗi ảnh là một lần fetch + decode */
+export const MAX_BACKFILL_PER_CALL = 24;
+const DEFAULT_LIMIT = 12;
+
+/** Mỗi nguồn: key storage, tên field hash (camelCase local / snake_case dạng DB) và cách đọc item */
+const SOURCES = [
+    { kind: 'model', key: 'user_models', hashField: 'perceptualHash', imageUrl: m => m.imageUrl || m.url, name: m => m.label || m.name },
+    { kind: 'wardrobe', key: 'demo_wardrobe', hashField: 'perceptual_hash', imageUrl: i => i.image_url, name: i => i.name },
+    { kind: 'recent', key: 'recent_clothing', hashField: 'perceptualHash', imageUrl: i => i.imageUrl, name: i => i.name },
+    { kind: 'outfit', key: 'fitly_saved_outfits', hashField: 'perceptual_hash', imageUrl: o => o.result_image_url, name: o => o.name },
+];
+
+/**
+ * handleFindSimilarItems — Ảnh gần giống imageUrl trong mọi nơi lưu ảnh của user
+ */
+export async function handleFindSimilarItems(data = {}) {
+    const limit = data.limit || DEFAULT_LIMIT;
+    const hash = isPerceptualHash(data.perceptualHash) ? data.perceptualHash : await hashImageUrl(data.imageUrl);
+    if (!hash) return { success: false, error: 'HASH_FAILED' };
+
+    const storage = await chrome.storage.local.get(SOURCES.map(source => source.key));
+    const updates = {};
+    let budget = MAX_BACKFILL_PER_CALL;
+
+    for (const source of SOURCES) {
+        const items = storage[source.key] || [];
+        let changed = false;
+        for (const item of items) {
+            if (budget <= 0) break;
+            if (isPerceptualHash(item[source.hashField]) || !source.imageUrl(item)) continue;
+            budget--;
+            const backfilled = await hashImageUrl(source.imageUrl(item));
+            if (backfilled) {
+                item[source.hashField] = backfilled;
+                changed = true;
+            }
+        }
+        if (changed) updates[source.key] = items;
+    }
+    if (Object.keys(updates).length > 0) {
+        await chrome.storage.local.set(updates);
+        log('[FindSimilar] Backfilled hashes for', Object.keys(updates).join(', '));
+    }
+
+    const seenUrls = new Set(data.imageUrl ? [data.imageUrl] : []);
+    const results = [];
+    for (const source of SOURCES) {
+        const matches = findNearDuplicates(hash, storage[source.key], item => item[source.hashField], SIMILAR_DISTANCE);
+        for (const { item, distance } of matches) {
+            const imageUrl = source.imageUrl(item);
+            if ((data.excludeId && item.id === data.excludeId) || seenUrls.has(imageUrl)) continue;
+            seenUrls.add(imageUrl);
+            results.push({
+                kind: source.kind,
+                id: item.id,
+                imageUrl,
+                name: source.name(item) || null,
+                category: item.category || null,
+                subcategory: item.subcategory || null,
+                distance,
+                similarity: similarityPercent(distance),
+            });
+        }
+    }
+
+    results.sort((a, b) => a.distance - b.distance);
+    return { success: true, hash, items: results.slice(0, limit) };
+}
@@ -0,0 +1,44 @@
+/**
+ * File: frame_routing.js
+ * Purpose: Yêu cầu từ content script trong iframe (lookbook nhúng, app Shopify, widget) đi về đúng tab + sidebar
+ * Layer: Application / Controller
+ *
+ * Data Contract:
+ * - Exports: fromSenderFrame, handleGetTopFrameFashion
+ * - fromSenderFrame(data, sender) → data + { frameId, pageUrl } khi sender là iframe
+ *   frameId — GET_PRODUCT_METADATA / GET_PRODUCT_GALLERY hỏi lại đúng frame chứa ảnh
+ *   pageUrl — URL của tab (trang sản phẩm user đang xem), không phải URL của widget nhúng
+ * - GET_TOP_FRAME_FASHION → { isFashion } — kết quả detect_fashion_page.js của frame chính
+ *
+ * Flow:
+ * 1. iframe gửi CONTEXT_* (nút hover) → service_worker.js bọc data bằng fromSenderFrame → handler như frame chính
+ * 2. iframe khởi tạo → GET_TOP_FRAME_FASHION → GET_PAGE_FASHION_STATE tới frame 0 → iframe thừa hưởng kết quả
+ *
+ * Edge Cases:
+ * - Frame chính chưa có content script (chrome://, trang PDF) → isFashion false
+ * - Message từ frame chính → giữ nguyên data (pageUrl content script gửi đã là URL của tab)
+ */
+
+/**
+ * fromSenderFrame — Gắn frame gửi message vào data của CONTEXT_* (chỉ khi sender là iframe)
+ * Input: data từ content script, sender của chrome.runtime.onMessage
+ */
+export function fromSenderFrame(data, sender) {
+    const frameId = sender?.frameId ?? 0;
+    if (!frameId || !data) return data;
+    return {
+        ...data,
+        frameId,
+        pageUrl: sender.tab?.url || data.pageUrl
+    };
+}
+
+export async function handleGetTopFrameFashion(tab) {
+    if (!tab?.id) return { isFashion: false };
+    try {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_FASHION_STATE' }, { frameId: 0 });
+        return { isFashion: response?.isFashion === true };
+    } catch (_) {
+        return { isFashion: false };
+    }
+}
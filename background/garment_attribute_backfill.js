@@ -0,0 +1,138 @@
+/**
+ * File: garment_attribute_backfill.js
+ * Purpose: Job nền phân tích màu + hoạ tiết (garment_attributes.js) cho item tủ đồ / đồ vừa thử lưu trước khi có
+ *          tính năng này, hoặc lúc lưu chưa tải được ảnh
+ * Layer: Application / Persistence
+ *
+ * Data Contract:
+ * - Exports: runAttributeBackfill, ensureAttributeBackfillAlarm, handleAttributeBackfillAlarm,
+ *   ATTRIBUTE_BACKFILL_ALARM, ATTRIBUTE_FAILURES_KEY
+ * - chrome.storage.local: demo_wardrobe [{ image_url, colors, pattern }], recent_clothing [{ imageUrl, colors, pattern }],
+ *   garment_attribute_failures { url: số lần tải ảnh lỗi }
+ * - Tủ đồ đăng nhập: cập nhật thêm cột colors / pattern của wardrobe_items (migration 021)
+ *
+ * Flow:
+ * 1. service_worker.js startup → ensureAttributeBackfillAlarm (chỉ tạo alarm khi còn item chưa phân tích)
+ * 2. Alarm → runAttributeBackfill: tối đa BATCH_SIZE ảnh mỗi lần, bỏ qua item category 'outfit'
+ * 3. Đọc lại storage trước khi ghi — item user vừa thêm / xoá trong lúc phân tích không bị ghi đè
+ * 4. Hết item cần phân tích → xoá alarm
+ *
+ * Edge Cases:
+ * - Ảnh không tải được → đếm lỗi theo URL, quá MAX_ATTEMPTS thì bỏ qua vĩnh viễn (ảnh shop đã gỡ)
+ * - Service worker bị Chrome tắt giữa chừng → item chưa ghi được phân tích lại ở lần alarm sau
+ * - Cập nhật Supabase lỗi → giữ kết quả local; lần tải tủ đồ sau cache bị thay bằng dữ liệu DB thiếu màu → phân tích lại
+ */
+
+import { supabase } from '../extension/config.js';
+import { isDemoMode, getAuthToken } from './auth_state_manager.js';
+import { sessionReady } from './session_ready_gate.js';
+import { analyzeImageUrl, hasGarmentAttributes } from './garment_attributes.js';
+import { log } from './debug_logger.js';
+
+export const ATTRIBUTE_BACKFILL_ALARM = 'fitly-garment-attribute-backfill';
+export const ATTRIBUTE_FAILURES_KEY = 'garment_attribute_failures';
+const BATCH_SIZE = 8;
+const MAX_ATTEMPTS = 3;
+const BACKFILL_PERIOD_MINUTES = 2;
+
+const SOURCES = [
+    { key: 'demo_wardrobe', imageUrl: item => item.image_url, cloud: true },
+    { key: 'recent_clothing', imageUrl: item => item.imageUrl, cloud: false },
+];
+
+function needsAnalysis(item, url, failures) {
+    return !!url && item.category !== 'outfit' && !hasGarmentAttributes(item) && (failures[url] || 0) < MAX_ATTEMPTS;
+}
+
+function countPending(storage, failures) {
+    return SOURCES.reduce((sum, source) =>
+        sum + (storage[source.key] || []).filter(item => needsAnalysis(item, source.imageUrl(item), failures)).length, 0);
+}
+
+/** Item đã lưu trên Supabase (id UUID), không phải item local 'wardrobe-...' / 'clothing-...' */
+function isCloudItem(item) {
+    return typeof item.id === 'string' && !item.id.startsWith('wardrobe-') && !item.id.startsWith('clothing-');
+}
+
+async function pushToCloud(items) {
+    if (items.length === 0 || await isDemoMode() || !(await getAuthToken())) return;
+    for (const item of items) {
+        const { error } = await supabase
+            .from('wardrobe_items')
+            .update({ colors: item.colors, pattern: item.pattern })
+            .eq('id', item.id);
+        if (error) console.warn('[AttributeBackfill] Cloud update failed:', item.id, error.message);
+    }
+}
+
+/**
+ * runAttributeBackfill — Phân tích một lô item chưa có màu / hoạ tiết
+ * Output: { analyzed, failed, remaining }
+ */
+export async function runAttributeBackfill({ batchSize = BATCH_SIZE } = {}) {
+    const keys = SOURCES.map(source => source.key);
+    const storage = await chrome.storage.local.get([...keys, ATTRIBUTE_FAILURES_KEY]);
+    const failures = storage[ATTRIBUTE_FAILURES_KEY] || {};
+
+    // STEP 1: Phân tích theo URL — cùng ảnh ở cả tủ đồ lẫn đồ vừa thử chỉ tải một lần
+    const results = new Map();
+    let attempted = 0;
+    let failed = 0;
+    for (const source of SOURCES) {
+        for (const item of storage[source.key] || []) {
+            const url = source.imageUrl(item);
+            if (attempted >= batchSize) break;
+            if (results.has(url) || !needsAnalysis(item, url, failures)) continue;
+            attempted++;
+            const attributes = await analyzeImageUrl(url);
+            if (attributes) {
+                results.set(url, attributes);
+            } else {
+                failures[url] = (failures[url] || 0) + 1;
+                failed++;
+            }
+        }
+    }
+
+    // STEP 2: Đọc lại rồi mới ghi — storage có thể đã đổi trong lúc tải ảnh
+    const fresh = await chrome.storage.local.get(keys);
+    const updates = { [ATTRIBUTE_FAILURES_KEY]: failures };
+    const cloudItems = [];
+    for (const source of SOURCES) {
+        const items = fresh[source.key] || [];
+        let changed = false;
+        for (const item of items) {
+            const attributes = results.get(source.imageUrl(item));
+            if (!attributes || hasGarmentAttributes(item)) continue;
+            Object.assign(item, attributes);
+            changed = true;
+            if (source.cloud && isCloudItem(item)) cloudItems.push(item);
+        }
+        if (changed) updates[source.key] = items;
+    }
+    await chrome.storage.local.set(updates);
+    await pushToCloud(cloudItems);
+
+    const remaining = countPending(fresh, failures);
+    log('[AttributeBackfill] Analyzed', results.size, 'images,', failed, 'failed,', remaining, 'remaining');
+    return { analyzed: results.size, failed, remaining };
+}
+
+/**
+ * ensureAttributeBackfillAlarm — Gọi lúc startup; chỉ tạo alarm khi còn item chưa phân tích
+ */
+export async function ensureAttributeBackfillAlarm() {
+    const storage = await chrome.storage.local.get([...SOURCES.map(source => source.key), ATTRIBUTE_FAILURES_KEY]);
+    if (countPending(storage, storage[ATTRIBUTE_FAILURES_KEY] || {}) === 0) return;
+    const existing = await chrome.alarms.get(ATTRIBUTE_BACKFILL_ALARM);
+    if (!existing) {
+        await chrome.alarms.create(ATTRIBUTE_BACKFILL_ALARM, { delayInMinutes: 1, periodInMinutes: BACKFILL_PERIOD_MINUTES });
+    }
+}
+
+export async function handleAttributeBackfillAlarm(alarm) {
+    if (alarm?.name !== ATTRIBUTE_BACKFILL_ALARM) return;
+    await sessionReady;
+    const { remaining } = await runAttributeBackfill();
+    if (remaining === 0) await chrome.alarms.clear(ATTRIBUTE_BACKFILL_ALARM);
+}
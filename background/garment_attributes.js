@@ -0,0 +1,75 @@
+/**
+ * File: garment_attributes.js
+ * Purpose: Màu chủ đạo + hoạ tiết của ảnh quần áo trong service worker — OffscreenCanvas thu nhỏ rồi
+ *          lib/garment_colors.js phân tích (giống cách validate_clothing_image_quality.js đo độ nét trên canvas)
+ * Layer: Shared Utility
+ *
+ * Data Contract:
+ * - Exports: analyzeGarmentBlob, analyzeImageUrl, analyzeGarmentImage, hasGarmentAttributes, ANALYSIS_MAX_DIMENSION
+ * - Output: { colors: [{ name, hex, share }], pattern } — cùng tên field cho tủ đồ (DB) và đồ vừa thử (local)
+ *
+ * Flow:
+ * 1. handleAddToWardrobe / handleSaveRecentClothing → analyzeGarmentImage(url) lúc lưu — tải ảnh 1 lần cho cả
+ *    perceptual hash lẫn màu / hoạ tiết
+ * 2. garment_attribute_backfill.js → item lưu trước khi có tính năng này
+ *
+ * Edge Cases:
+ * - Không tải được ảnh (mạng, CORS, quá thời gian) → null: chưa phân tích, lần sau thử lại
+ * - Tải được nhưng không decode được (SVG, file hỏng) → { colors: [], pattern: null }: đã thử, không thử lại
+ * - Không có createImageBitmap / OffscreenCanvas (test jsdom) → null
+ */
+
+import '../lib/garment_colors.js';
+import { fetchImageBlob } from './image_compressor.js';
+import { generatePerceptualHash } from './perceptual_hash.js';
+
+const garmentColors = globalThis.FitlyGarmentColors;
+
+/** Cạnh dài ảnh phân tích — đủ giữ sọc / caro cỡ vừa, đủ nhỏ để loang nền nhanh */
+export const ANALYSIS_MAX_DIMENSION = 96;
+
+const UNREADABLE = { colors: [], pattern: null };
+
+/** Item đã được phân tích (kể cả phân tích không ra màu) — colors là mảng */
+export function hasGarmentAttributes(item) {
+    return Array.isArray(item?.colors);
+}
+
+export async function analyzeGarmentBlob(blob) {
+    if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') return null;
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, ANALYSIS_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        return garmentColors.analyzePixels(ctx.getImageData(0, 0, width, height).data, width, height);
+    } catch (error) {
+        console.warn('[GarmentAttributes] Could not analyze image:', error.message);
+        return UNREADABLE;
+    }
+}
+
+/** analyzeImageUrl — Tải + phân tích; null khi chưa tải được (để thử lại sau) */
+export async function analyzeImageUrl(url) {
+    if (!url || typeof createImageBitmap !== 'function') return null;
+    const blob = await fetchImageBlob(url);
+    if (!blob) return null;
+    return analyzeGarmentBlob(blob);
+}
+
+/**
+ * analyzeGarmentImage — Tải ảnh 1 lần → perceptual hash + màu / hoạ tiết
+ * Output: { perceptualHash, attributes } — cả hai null khi chưa tải được ảnh
+ */
+export async function analyzeGarmentImage(url) {
+    if (!url || typeof createImageBitmap !== 'function') return { perceptualHash: null, attributes: null };
+    const blob = await fetchImageBlob(url);
+    if (!blob) return { perceptualHash: null, attributes: null };
+    const [perceptualHash, attributes] = await Promise.all([generatePerceptualHash(blob), analyzeGarmentBlob(blob)]);
+    return { perceptualHash, attributes };
+}
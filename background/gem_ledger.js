@@ -0,0 +1,308 @@
+/**
+ * File: gem_ledger.js
+ * Purpose: Sổ cái gems phía client — ghi lại mọi lần gọi Edge Function có thể trừ gems (try-on, edit)
+ *          và tự đối soát với tryon_history + gem_transactions để hoàn gems cho request bị kẹt / lỗi,
+ *          kể cả khi sidebar đã đóng giữa chừng.
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: recordGemCharge, resolveGemCharge, noteGemRefund, markGemChargeCancelled, reconcileGemLedger,
+ *            listGemLedger, ensureGemLedgerAlarm, handleGemLedgerAlarm, GEM_LEDGER_ALARM
+ * - Entry (storage key fitly_gem_ledger, map requestId → entry):
+ *   { requestId, kind: 'tryon'|'edit', status, amount, tryonId, createdAt, updatedAt, reviewAt?,
+ *     events: [{ at, type, params? }] } — sidebar hiển thị qua t('gem_ledger.event.<type>', params)
+ * - status: 'pending' (chưa rõ server đã trừ chưa) | 'charged' | 'free' (cache / đã xử lý)
+ *           | 'void' (server không trừ hoặc đã tự hoàn) | 'refunded' | 'refund_failed'
+ *
+ * Flow:
+ * 1. handleProcessTryOn / handleEditImage → recordGemCharge (pending) ngay trước khi gọi Edge Function
+ * 2. Response rõ ràng → resolveGemCharge (charged / free / void); timeout, mất mạng, SW chết → giữ pending
+ * 3. Startup + alarm → reconcileGemLedger với entry pending quá LEDGER_STALE_MS:
+ *    - tryon_history không có row theo request_id → server chưa claim → chưa trừ → void
+ *    - completed → charged
+ *    - failed / processing kẹt → tra gem_transactions theo tryon id: có trừ mà chưa hoàn → refund
+ * 4. User huỷ job → markGemChargeCancelled đặt reviewAt sớm hơn (server tự hoàn khi thấy cờ huỷ,
+ *    đối soát chỉ là lưới an toàn khi server không kịp xử lý)
+ */
+
+import { getAuthToken } from './auth_state_manager.js';
+import { SUPABASE_AUTH_KEY, SUPABASE_AUTH_URL as SUPABASE_URL } from './ENVIRONMENT_CONFIG.js';
+import { handleRefundGems } from './process_tryon.js';
+import { sessionReady } from './session_ready_gate.js';
+import { log } from './debug_logger.js';
+
+export const GEM_LEDGER_ALARM = 'fitly-gem-ledger';
+const LEDGER_STORAGE_KEY = 'fitly_gem_ledger';
+const RECONCILE_PERIOD_MINUTES = 15;
+// Edge Function timeout (5 phút) + claim stale (6 phút) + grace — quá mốc này request chắc chắn đã kết thúc
+const LEDGER_STALE_MS = 10 * 60 * 1000;
+// Sau khi huỷ: upload + tạo prediction (Prefer: wait=60) + 1 vòng poll — quá mốc này server đã phải thấy cờ huỷ
+const CANCEL_REVIEW_DELAY_MS = 3 * 60 * 1000;
+const MAX_LEDGER_ENTRIES = 50;
+const MAX_EVENTS_PER_ENTRY = 10;
+
+// Serialize read-modify-write — chrome.storage không có transaction
+let _writeChain = Promise.resolve();
+let _reconciling = null;
+
+async function loadLedger() {
+    const data = await chrome.storage.local.get(LEDGER_STORAGE_KEY);
+    return data[LEDGER_STORAGE_KEY] || {};
+}
+
+function updateLedger(mutator) {
+    const run = _writeChain.then(async () => {
+        const ledger = await loadLedger();
+        const result = mutator(ledger);
+
+        const keep = Object.values(ledger)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, MAX_LEDGER_ENTRIES);
+        await chrome.storage.local.set({
+            [LEDGER_STORAGE_KEY]: Object.fromEntries(keep.map(entry => [entry.requestId, entry]))
+        });
+        return result;
+    });
+    _writeChain = run.catch(() => { });
+    return run;
+}
+
+function pushEvent(entry, type, params = null) {
+    const event = params ? { at: Date.now(), type, params } : { at: Date.now(), type };
+    entry.events = [...(entry.events || []), event].slice(-MAX_EVENTS_PER_ENTRY);
+    entry.updatedAt = Date.now();
+}
+
+/**
+ * recordGemCharge — Ghi pending charge trước khi gọi Edge Function.
+ * Cùng requestId (retry 401, job chạy lại) dùng lại entry cũ thay vì tạo charge mới;
+ * entry đã kết thúc không trừ gems (void / refunded) thì server sẽ xử lý lại → pending lần nữa.
+ */
+export async function recordGemCharge({ requestId, kind, amount }) {
+    if (!requestId) return;
+    await updateLedger(ledger => {
+        const existing = ledger[requestId];
+        if (existing && ['pending', 'charged', 'free'].includes(existing.status)) {
+            pushEvent(existing, 'retry');
+            return;
+        }
+        const entry = existing || {
+            requestId,
+            kind,
+            amount,
+            tryonId: null,
+            createdAt: Date.now(),
+            events: [],
+        };
+        entry.status = 'pending';
+        pushEvent(entry, 'started');
+        ledger[requestId] = entry;
+    });
+}
+
+/**
+ * resolveGemCharge — Cập nhật entry khi Edge Function trả response rõ ràng.
+ * Input:  requestId, outcome { success, gemsUsed, tryonId, error }
+ *         (timeout / lỗi mạng KHÔNG gọi hàm này — entry giữ pending để đối soát)
+ */
+export async function resolveGemCharge(requestId, outcome) {
+    if (!requestId) return;
+    await updateLedger(ledger => {
+        const entry = ledger[requestId];
+        if (!entry || entry.status !== 'pending') return;
+
+        if (outcome.success) {
+            entry.tryonId = outcome.tryonId || entry.tryonId;
+            if (outcome.gemsUsed > 0) {
+                entry.status = 'charged';
+                entry.amount = outcome.gemsUsed;
+                pushEvent(entry, 'charged', { amount: outcome.gemsUsed });
+            } else {
+                entry.status = 'free';
+                pushEvent(entry, 'free');
+            }
+            return;
+        }
+
+        // Server trả lỗi: chưa trừ (4xx) hoặc đã tự hoàn (lỗi AI / upload)
+        entry.status = 'void';
+        pushEvent(entry, 'failed', outcome.error ? { error: outcome.error } : null);
+    });
+}
+
+/**
+ * noteGemRefund — Ghi nhận refund thủ công (REFUND_GEMS từ sidebar) vào audit trail
+ */
+export async function noteGemRefund({ tryonId, amount, reason }) {
+    if (!tryonId) return;
+    await updateLedger(ledger => {
+        const entry = Object.values(ledger).find(e => e.tryonId === tryonId);
+        if (!entry) return;
+        entry.status = 'refunded';
+        pushEvent(entry, 'refunded', { amount, reason: reason || null });
+    });
+}
+
+/**
+ * markGemChargeCancelled — User huỷ request đang chạy: entry vẫn pending (chưa rõ server đã trừ chưa)
+ * nhưng được đối soát sớm thay vì chờ LEDGER_STALE_MS
+ */
+export async function markGemChargeCancelled(requestId) {
+    if (!requestId) return;
+    const reviewAt = Date.now() + CANCEL_REVIEW_DELAY_MS;
+    const updated = await updateLedger(ledger => {
+        const entry = ledger[requestId];
+        if (!entry || entry.status !== 'pending') return false;
+        entry.reviewAt = reviewAt;
+        pushEvent(entry, 'cancelled');
+        return true;
+    });
+    // SW còn sống thì đối soát ngay khi tới hạn; SW bị kill thì alarm định kỳ lo
+    if (updated) setTimeout(() => reconcileGemLedger().catch(() => { }), CANCEL_REVIEW_DELAY_MS);
+}
+
+// ==========================================
+// RECONCILIATION
+// ==========================================
+
+async function supabaseGet(path, token) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        headers: { 'Authorization': `Bearer ${token}`, 'apikey': SUPABASE_AUTH_KEY }
+    });
+    if (!response.ok) throw new Error(`Supabase ${response.status}`);
+    return response.json();
+}
+
+/**
+ * findGemTransactions — gem_transactions của một tryon row (deduct/refund atomic ghi tryon id vào description)
+ * Output: { hasDebit, hasRefund }
+ */
+async function findGemTransactions(tryonId, token) {
+    const rows = await supabaseGet(
+        `gem_transactions?description=like.*${tryonId}&select=type,amount`,
+        token
+    );
+    return {
+        hasDebit: rows.some(row => row.amount < 0),
+        hasRefund: rows.some(row => row.type === 'refund'),
+    };
+}
+
+async function markServerRowFailed(tryonId, token) {
+    await fetch(`${SUPABASE_URL}/rest/v1/tryon_history?id=eq.${tryonId}&status=eq.processing`, {
+        method: 'PATCH',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'apikey': SUPABASE_AUTH_KEY,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ status: 'failed', error_message: 'Reconciled: request không hoàn tất' })
+    });
+}
+
+async function reconcileEntry(entry, token) {
+    const rows = await supabaseGet(
+        `tryon_history?request_id=eq.${encodeURIComponent(entry.requestId)}&select=id,status,gems_used&limit=1`,
+        token
+    );
+    const row = rows?.[0];
+
+    if (!row) {
+        // Server claim request_id TRƯỚC khi trừ gems → không có row = chưa từng trừ
+        return { status: 'void', type: 'not_processed' };
+    }
+
+    if (row.status === 'completed') {
+        return { status: 'charged', tryonId: row.id, amount: row.gems_used, type: 'completed', params: { amount: row.gems_used } };
+    }
+
+    // failed hoặc processing kẹt quá lâu
+    if (row.status === 'processing') await markServerRowFailed(row.id, token);
+
+    const { hasDebit, hasRefund } = await findGemTransactions(row.id, token);
+    if (!hasDebit) {
+        return { status: 'void', tryonId: row.id, type: 'no_debit' };
+    }
+    if (hasRefund) {
+        return { status: 'refunded', tryonId: row.id, type: 'server_refunded' };
+    }
+
+    const refund = await handleRefundGems({
+        amount: row.gems_used,
+        reason: `Auto refund: ${entry.kind} ${row.status === 'processing' ? 'bị kẹt' : 'thất bại'}`,
+        tryonId: row.id,
+    });
+    return refund.success
+        ? { status: 'refunded', tryonId: row.id, type: 'auto_refunded', params: { amount: row.gems_used } }
+        : { status: 'refund_failed', tryonId: row.id, type: 'refund_failed', params: refund.error ? { error: refund.error } : null };
+}
+
+/**
+ * reconcileGemLedger — Đối soát các entry pending (và refund_failed) đã quá LEDGER_STALE_MS.
+ * Output: { success, reconciled }
+ */
+export async function reconcileGemLedger() {
+    if (_reconciling) return _reconciling;
+
+    _reconciling = (async () => {
+        const ledger = await loadLedger();
+        const now = Date.now();
+        const due = Object.values(ledger).filter(entry =>
+            (entry.status === 'pending' || entry.status === 'refund_failed') &&
+            now >= (entry.reviewAt ?? entry.createdAt + LEDGER_STALE_MS)
+        );
+        if (due.length === 0) return { success: true, reconciled: 0 };
+
+        const token = await getAuthToken();
+        if (!token) return { success: false, error: 'Not authenticated', reconciled: 0 };
+
+        let reconciled = 0;
+        for (const entry of due) {
+            try {
+                const outcome = await reconcileEntry(entry, token);
+                await updateLedger(current => {
+                    const target = current[entry.requestId];
+                    if (!target) return;
+                    target.status = outcome.status;
+                    if (outcome.tryonId) target.tryonId = outcome.tryonId;
+                    if (outcome.amount) target.amount = outcome.amount;
+                    pushEvent(target, outcome.type, outcome.params);
+                });
+                reconciled++;
+                log('[GemLedger] Reconciled', entry.requestId, '→', outcome.status);
+            } catch (error) {
+                console.warn('[GemLedger] Reconcile failed for', entry.requestId, error.message);
+            }
+        }
+        return { success: true, reconciled };
+    })();
+
+    try {
+        return await _reconciling;
+    } finally {
+        _reconciling = null;
+    }
+}
+
+export async function listGemLedger() {
+    const ledger = await loadLedger();
+    const entries = Object.values(ledger).sort((a, b) => b.createdAt - a.createdAt);
+    return { success: true, entries };
+}
+
+/**
+ * ensureGemLedgerAlarm — Alarm định kỳ đối soát (gọi lúc startup)
+ */
+export async function ensureGemLedgerAlarm() {
+    const existing = await chrome.alarms.get(GEM_LEDGER_ALARM);
+    if (!existing) {
+        await chrome.alarms.create(GEM_LEDGER_ALARM, { periodInMinutes: RECONCILE_PERIOD_MINUTES });
+    }
+}
+
+export async function handleGemLedgerAlarm(alarm) {
+    if (alarm?.name !== GEM_LEDGER_ALARM) return;
+    await sessionReady;
+    await reconcileGemLedger();
+}
@@ -3,7 +3,8 @@
  * Purpose: Nén ảnh và xử lý ảnh trên Background Service Worker bằng OffscreenCanvas
  * Layer: Shared Utility
  * * Data Contract:
- * - Exports: compressImageBlob, createThumbnailBase64, generateImageHash
+ * - Exports: compressImageBlob, createThumbnailBase64, generateImageHash, blobToBase64, fetchImageBlob
+ * - Perceptual hash (so ảnh gần giống) nằm ở perceptual_hash.js, màu / hoạ tiết ở garment_attributes.js
  */
 
 import { log } from './debug_logger.js';
@@ -12,6 +13,7 @@ export const COMPRESS_MAX_DIMENSION = 1024; // px - cho ảnh upload
 export const COMPRESS_QUALITY = 0.85;       // 85% JPEG quality
 export const THUMBNAIL_MAX_DIMENSION = 150; // px - cho local cache
 export const THUMBNAIL_QUALITY = 0.6;       // 60% JPEG quality
+export const FETCH_IMAGE_TIMEOUT_MS = 8000; // ảnh để phân tích (hash, màu) — không chặn luồng lưu quá lâu
 
 export async function compressImageBlob(blob, maxDimension = COMPRESS_MAX_DIMENSION, quality = COMPRESS_QUALITY) {
     try {
@@ -108,47 +110,6 @@ export function generateImageHash(str) {
     return hash.toString(36);
 }
 
-/**
- * generatePixelHash — Deterministic perceptual hash based on pixel data.
- * Resizes image to 16×16 → reads raw RGBA pixel values → djb2 hash.
- * Same photo always produces the same hash regardless of JPEG re-compression.
- * Input: Blob (image file)
- * Output: string (hash) or null on failure
- */
-export async function generatePixelHash(blob) {
-    if (!blob) return null;
-    try {
-        const imageBitmap = await createImageBitmap(blob);
-        const SIZE = 16;
-        const canvas = new OffscreenCanvas(SIZE, SIZE);
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(imageBitmap, 0, 0, SIZE, SIZE);
-        imageBitmap.close();
-
-        const imageData = ctx.getImageData(0, 0, SIZE, SIZE);
-        const pixels = imageData.data; // Uint8ClampedArray RGBA
-
-        // STEP 1: Quantize each channel to reduce noise from compression
-        // Divide by 16 (4-bit precision) → same photo with slightly different
-        // JPEG artifacts will still produce the same quantized values
-        let hash = 5381;
-        for (let i = 0; i < pixels.length; i += 4) {
-            // Use RGB only (skip alpha channel)
-            const r = pixels[i] >> 4;
-            const g = pixels[i + 1] >> 4;
-            const b = pixels[i + 2] >> 4;
-            hash = ((hash << 5) + hash + r) | 0;
-            hash = ((hash << 5) + hash + g) | 0;
-            hash = ((hash << 5) + hash + b) | 0;
-        }
-
-        return 'px_' + Math.abs(hash).toString(36);
-    } catch (error) {
-        console.warn('[generatePixelHash] Failed:', error.message);
-        return null;
-    }
-}
-
 /**
  * blobToBase64 - Convert Blob → base64 data URL (image/jpeg)
  * Input:  Blob
@@ -164,3 +125,23 @@ export async function blobToBase64(blob) {
     }
     return `data:image/jpeg;base64,${btoa(binary)}`;
 }
+
+/**
+ * fetchImageBlob — Tải ảnh (http(s) / data: / blob:) để phân tích trong service worker
+ * Output: Blob | null (lỗi mạng, HTTP lỗi, quá timeoutMs)
+ */
+export async function fetchImageBlob(url, timeoutMs = FETCH_IMAGE_TIMEOUT_MS) {
+    if (!url) return null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) return null;
+        return await response.blob();
+    } catch (error) {
+        console.warn('[ImageFetch] Could not fetch image:', error.message);
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -1,37 +1,221 @@
 /**
  * File: infer_clothing_category_from_url.js
- * Purpose: Phân tích URL ảnh, URL trang, alt text và string gộp để tự động nhận dạng thể loại quần áo
+ * Purpose: Đoán thể loại quần áo từ dữ liệu sản phẩm có cấu trúc, alt text / chữ quanh ảnh, URL trang, URL ảnh
+ *          và lần sửa trước của user (category_corrections.js) — trả về danh sách ứng viên có độ tin cậy
  * Layer: Application / Utility
  * * Data Contract:
- * - Input: srcUrl (string), pageUrl (string), contextText (string)
- * - Output: category (string - enum: 'dress', 'outerwear', 'bottom', 'shoes', 'accessories', 'top', 'other')
+ * - Input: srcUrl (string), pageUrl (string), contextText (string),
+ *   options { product: { name, category } | null, corrections: { pattern, domain } | null }
+ * - Output: [{ category, subcategory, confidence (0..1), sources: ['product.category', 'pageUrl', ...] }] — giảm dần
+ *   theo confidence, category ∈ CATEGORY_PRIORITY, subcategory theo lib/garment_taxonomy.js (null nếu không rõ);
+ *   không khớp gì → []
+ * - pickDetectedCategory(candidates) → category | null (null khi không đủ tin cậy — modal để user tự chọn)
  * * Flow:
- * 1. Gộp các tham số đầu vào thành lowercase
- * 2. Ưu tiên theo thứ tự tìm kiếm từ khoá trong mảng gộp (dress -> outerwear -> ...)
- * 3. Fallback về 'top' do là phổ biến nhất.
+ * 1. Mỗi nguồn chữ được chuẩn hoá (lowercase, decode URL, dấu phân cách → khoảng trắng)
+ * 2. Từ khoá 9 ngôn ngữ, cụm dài khớp trước rồi bị che ("chân váy" là bottom, không tính thêm "váy" là dress)
+ * 3. Nguồn nào nhắc tới thể loại → cộng trọng số của nguồn đó (mỗi nguồn tính 1 lần / thể loại)
+ * 4. Lần sửa của user: cùng mẫu URL (trọng số cao nhất), cùng domain (thấp)
+ * 5. confidence = điểm / max(tổng điểm, MIN_EVIDENCE) — một tín hiệu yếu đơn lẻ không đủ chắc
+ * 6. Mỗi ứng viên: FitlyGarmentTaxonomy.findSubcategory trên tên sản phẩm → chữ quanh ảnh → category → URL
+ * * Edge Cases:
+ * - Từ khoá Latin so theo ranh giới từ ("top" không khớp "laptop"), CJK / Thai so chuỗi con (không có khoảng trắng)
+ * - Bằng điểm → theo CATEGORY_PRIORITY (dress trước top / bottom như bản regex cũ)
+ * - URL slug tiếng Việt không dấu ("ao-thun", "chan-vay") có từ khoá riêng
  */
 
-export function inferCategoryFromUrl(srcUrl = '', pageUrl = '', contextText = '') {
-    const combined = [srcUrl, pageUrl, contextText].join(' ').toLowerCase();
+import '../lib/garment_taxonomy.js';
 
-    // --- DRESS (ưu tiên trước top/bottom để tránh match nhầm) ---
-    if (/dress|váy|đầm|jumpsuit|romper|overall/.test(combined)) return 'dress';
+const taxonomy = globalThis.FitlyGarmentTaxonomy;
 
-    // --- OUTERWEAR ---
-    if (/jacket|coat|blazer|cardigan|hoodie|sweatshirt|windbreaker|puffer|vest|áo khoác|bomber/.test(combined)) return 'outerwear';
+/** Thứ tự ưu tiên khi bằng điểm — category cấp 1 của taxonomy trừ 'other' (không đoán ra 'other') */
+export const CATEGORY_PRIORITY = ['dress', 'outerwear', 'bottom', 'shoes', 'accessories', 'top']
+    .filter(category => taxonomy.isValidCategory(category));
 
-    // --- BOTTOM ---
-    if (/pant|jean|short|skirt|trouser|legging|culotte|quần|chân váy/.test(combined)) return 'bottom';
+/** Dưới ngưỡng này modal không chọn sẵn thể loại nào */
+export const MIN_DETECT_CONFIDENCE = 0.3;
 
-    // --- SHOES ---
-    if (/shoe|boot|sneaker|sandal|heel|loafer|slipper|mule|giày|dép|guốc/.test(combined)) return 'shoes';
+const MIN_EVIDENCE = 3;
 
-    // --- ACCESSORIES ---
-    if (/bag|purse|handbag|wallet|hat|cap|scarf|belt|watch|sunglasse|jewelry|necklace|bracelet|ring|earring|túi|mũ|khăn|thắt lưng/.test(combined)) return 'accessories';
+/** Trọng số theo nguồn — dữ liệu có cấu trúc và lần sửa của user đáng tin hơn URL ảnh */
+const SOURCE_WEIGHTS = {
+    'product.category': 3,
+    'product.name': 2,
+    context: 1.5,
+    pageUrl: 1,
+    srcUrl: 0.5,
+    'correction.pattern': 4,
+    'correction.domain': 1,
+};
 
-    // --- TOP (shirt, blouse, tee, etc.) ---
-    if (/shirt|tshirt|t-shirt|blouse|top|tee|polo|tank|crop|áo sơ|áo thun|áo phông/.test(combined)) return 'top';
+/**
+ * Từ khoá theo thể loại × locale (en, vi, ja, ko, zh, th, id, es, fr).
+ * Tránh từ 1 ký tự CJK / Hàn dễ nằm trong từ khác (包邮, 힐링, 캡처).
+ */
+export const CATEGORY_KEYWORDS = {
+    dress: {
+        en: ['dress', 'gown', 'jumpsuit', 'romper', 'playsuit', 'overalls', 'sundress'],
+        vi: ['váy', 'đầm', 'váy liền', 'áo dài', 'vay', 'dam', 'vay lien', 'ao dai'],
+        ja: ['ワンピース', 'ドレス', 'サロペット', 'オールインワン'],
+        ko: ['원피스', '드레스', '점프수트'],
+        zh: ['连衣裙', '礼服', '连体裤', '洋装'],
+        th: ['ชุดเดรส', 'เดรส', 'ชุดกระโปรง', 'จั๊มสูท'],
+        id: ['gaun', 'terusan'],
+        es: ['vestido', 'mono', 'enterizo'],
+        fr: ['robe', 'combinaison'],
+    },
+    outerwear: {
+        en: ['jacket', 'coat', 'blazer', 'cardigan', 'hoodie', 'sweatshirt', 'windbreaker', 'puffer', 'parka', 'vest', 'bomber', 'trench', 'anorak', 'overcoat'],
+        vi: ['áo khoác', 'áo vest', 'áo măng tô', 'áo gió', 'áo phao', 'ao khoac', 'ao vest', 'ao gio', 'ao phao'],
+        ja: ['ジャケット', 'コート', 'ブルゾン', 'パーカー', 'カーディガン', 'アウター'],
+        ko: ['자켓', '재킷', '코트', '점퍼', '패딩', '가디건', '후드', '아우터', '블레이저'],
+        zh: ['外套', '夹克', '大衣', '风衣', '羽绒服', '西装外套', '开衫', '卫衣'],
+        th: ['เสื้อแจ็คเก็ต', 'แจ็คเก็ต', 'เสื้อโค้ท', 'เสื้อคลุม', 'เสื้อกันหนาว', 'เสื้อฮู้ด'],
+        id: ['jaket', 'mantel', 'rompi', 'kardigan'],
+        es: ['chaqueta', 'abrigo', 'chamarra', 'cazadora', 'sudadera', 'chaleco', 'americana', 'rebeca'],
+        fr: ['veste', 'manteau', 'blouson', 'doudoune', 'gilet', 'sweat', 'imperméable'],
+    },
+    bottom: {
+        en: ['pant', 'trouser', 'jean', 'shorts', 'skirt', 'legging', 'culotte', 'chino', 'jogger', 'sweatpant', 'bermuda'],
+        vi: ['quần', 'chân váy', 'quần jean', 'quần short', 'quan', 'chan vay'],
+        ja: ['パンツ', 'ズボン', 'スカート', 'ジーンズ', 'ボトムス'],
+        ko: ['바지', '팬츠', '청바지', '스커트', '치마', '반바지', '슬랙스', '레깅스'],
+        zh: ['裤', '裤子', '牛仔裤', '短裤', '半身裙', '短裙', '半裙'],
+        th: ['กางเกง', 'กระโปรง', 'ยีนส์'],
+        id: ['celana', 'rok', 'jins'],
+        es: ['pantalón', 'pantalones', 'vaqueros', 'falda'],
+        fr: ['pantalon', 'jupe'],
+    },
+    shoes: {
+        en: ['shoe', 'boot', 'sneaker', 'sandal', 'heel', 'loafer', 'slipper', 'mule', 'trainer', 'flip flop', 'espadrille', 'footwear'],
+        vi: ['giày', 'dép', 'guốc', 'bốt', 'giày cao gót', 'giay', 'dep', 'guoc'],
+        ja: ['靴', 'シューズ', 'スニーカー', 'ブーツ', 'サンダル', 'パンプス', 'ローファー', 'ヒール'],
+        ko: ['신발', '운동화', '스니커즈', '부츠', '샌들', '구두', '하이힐', '슬리퍼', '로퍼'],
+        zh: ['鞋', '运动鞋', '靴', '凉鞋', '高跟鞋', '拖鞋'],
+        th: ['รองเท้า'],
+        id: ['sepatu', 'sendal'],
+        es: ['zapato', 'zapatilla', 'bota', 'sandalia', 'tacón', 'tacones'],
+        fr: ['chaussure', 'baskets', 'botte', 'bottine', 'sandale', 'escarpin', 'mocassin', 'talon'],
+    },
+    accessories: {
+        en: ['bag', 'handbag', 'purse', 'wallet', 'hat', 'cap', 'beanie', 'scarf', 'belt', 'watch', 'sunglasses', 'jewelry', 'jewellery', 'necklace', 'bracelet', 'ring', 'earring', 'backpack', 'tote', 'clutch', 'necktie', 'glove'],
+        vi: ['túi', 'túi xách', 'mũ', 'nón', 'khăn', 'thắt lưng', 'dây nịt', 'kính mát', 'vòng cổ', 'vòng tay', 'nhẫn', 'bông tai', 'balo', 'tui xach', 'that lung', 'vong co', 'bong tai'],
+        ja: ['バッグ', '帽子', 'キャップ', 'ハット', 'マフラー', 'ストール', 'ベルト', '腕時計', 'サングラス', 'ネックレス', 'ブレスレット', 'ピアス', 'イヤリング', '財布', 'リュック'],
+        ko: ['가방', '모자', '스카프', '목도리', '벨트', '시계', '선글라스', '목걸이', '팔찌', '반지', '귀걸이', '지갑', '백팩'],
+        zh: ['包包', '手提包', '背包', '挎包', '帽子', '围巾', '腰带', '皮带', '手表', '墨镜', '太阳镜', '项链', '手链', '戒指', '耳环', '钱包', '配饰'],
+        th: ['กระเป๋า', 'หมวก', 'ผ้าพันคอ', 'เข็มขัด', 'นาฬิกา', 'แว่นตา', 'สร้อยคอ', 'สร้อยข้อมือ', 'แหวน', 'ต่างหู'],
+        id: ['tas', 'topi', 'syal', 'ikat pinggang', 'jam tangan', 'kacamata', 'kalung', 'gelang', 'cincin', 'anting', 'dompet'],
+        es: ['bolso', 'bolsa', 'cartera', 'sombrero', 'gorra', 'bufanda', 'cinturón', 'reloj', 'gafas', 'pulsera', 'anillo', 'pendientes', 'mochila'],
+        fr: ['sac', 'chapeau', 'casquette', 'écharpe', 'foulard', 'ceinture', 'montre', 'lunettes', 'collier', 'bague', "boucles d'oreilles", 'portefeuille'],
+    },
+    top: {
+        en: ['shirt', 'tshirt', 'tee', 'blouse', 'top', 'polo', 'tank top', 'crop top', 'camisole', 'tunic', 'sweater', 'jumper', 'pullover', 'knit', 'turtleneck'],
+        vi: ['áo', 'áo thun', 'áo phông', 'áo sơ mi', 'áo len', 'áo kiểu', 'áo ba lỗ', 'ao', 'ao thun', 'ao phong', 'ao so mi', 'ao len'],
+        ja: ['トップス', 'シャツ', 'ブラウス', 'ニット', 'セーター', 'カットソー', 'タンクトップ'],
+        ko: ['상의', '티셔츠', '셔츠', '블라우스', '니트', '스웨터', '맨투맨'],
+        zh: ['上衣', 't恤', '衬衫', '衬衣', '毛衣', '针织衫', '背心', '吊带'],
+        th: ['เสื้อ', 'เสื้อยืด', 'เสื้อเชิ้ต', 'เสื้อเบลาส์', 'เสื้อกล้าม'],
+        id: ['kemeja', 'kaos', 'blus', 'atasan', 'sweter'],
+        es: ['camisa', 'camiseta', 'blusa', 'jersey', 'suéter'],
+        fr: ['chemise', 'chemisier', 'pull', 'débardeur', 'tunique'],
+    },
+};
+
+/** Chữ không dùng khoảng trắng giữa các từ — so chuỗi con thay vì ranh giới từ */
+const UNSPACED_SCRIPT = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/;
+
+function buildMatchers() {
+    const matchers = [];
+    CATEGORY_PRIORITY.forEach(category => {
+        const words = new Set(Object.values(CATEGORY_KEYWORDS[category]).flat().map(word => word.normalize('NFC').toLowerCase()));
+        words.forEach(word => {
+            const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const source = UNSPACED_SCRIPT.test(word)
+                ? escaped
+                : `(?<![\\p{L}\\p{N}])${escaped}(?:s|es)?(?![\\p{L}\\p{N}])`;
+            matchers.push({ category, word, regex: new RegExp(source, 'gu') });
+        });
+    });
+    // Cụm dài trước — "chân váy" phải khớp (và bị che) trước "váy"
+    return matchers.sort((a, b) => b.word.length - a.word.length);
+}
+
+const MATCHERS = buildMatchers();
+
+function normalizeText(text) {
+    let value = String(text || '');
+    try {
+        value = decodeURIComponent(value);
+    } catch (e) {
+        // URL có % lẻ — giữ nguyên
+    }
+    return value.normalize('NFC').toLowerCase().replace(/[-_/.+?=&#%|>,;:()[\]]+/g, ' ');
+}
+
+/** Thể loại được nhắc tới trong 1 nguồn chữ — mỗi cụm khớp bị thay bằng khoảng trắng để cụm ngắn hơn không khớp lại */
+function findCategories(text) {
+    let remaining = normalizeText(text);
+    const found = new Set();
+    if (!remaining.trim()) return found;
+    MATCHERS.forEach(({ category, regex }) => {
+        remaining = remaining.replace(regex, match => {
+            found.add(category);
+            return ' '.repeat(match.length);
+        });
+    });
+    return found;
+}
+
+/**
+ * inferCategoryFromUrl — Xếp hạng thể loại quần áo cho ảnh user vừa chọn
+ * Input: srcUrl, pageUrl, contextText, { product, corrections } (xem Data Contract)
+ * Output: [{ category, confidence, sources }] giảm dần — [] khi không có tín hiệu nào
+ */
+export function inferCategoryFromUrl(srcUrl = '', pageUrl = '', contextText = '', { product = null, corrections = null } = {}) {
+    const scores = new Map();
+    const add = (category, source, weight = SOURCE_WEIGHTS[source]) => {
+        const entry = scores.get(category) || { category, score: 0, sources: [] };
+        entry.score += weight;
+        entry.sources.push(source);
+        scores.set(category, entry);
+    };
+
+    const textSources = [
+        ['product.category', product?.category],
+        ['product.name', product?.name],
+        ['context', contextText],
+        ['pageUrl', pageUrl],
+        ['srcUrl', srcUrl],
+    ];
+    textSources.forEach(([source, text]) => {
+        findCategories(text).forEach(category => add(category, source));
+    });
+
+    if (corrections?.pattern?.category) add(corrections.pattern.category, 'correction.pattern');
+    if (corrections?.domain?.category) {
+        // Domain bán nhiều loại — chỉ tin theo tỉ lệ lần user chọn thể loại đó trên domain
+        add(corrections.domain.category, 'correction.domain', SOURCE_WEIGHTS['correction.domain'] * (corrections.domain.share ?? 1));
+    }
+
+    const total = [...scores.values()].reduce((sum, entry) => sum + entry.score, 0);
+    const rank = category => {
+        const index = CATEGORY_PRIORITY.indexOf(category);
+        return index === -1 ? CATEGORY_PRIORITY.length : index;
+    };
+
+    return [...scores.values()]
+        .sort((a, b) => (b.score - a.score) || (rank(a.category) - rank(b.category)))
+        .map(({ category, score, sources }) => ({
+            category,
+            subcategory: taxonomy.isValidCategory(category)
+                ? taxonomy.findSubcategory(category, product?.name, contextText, product?.category, pageUrl, srcUrl)
+                : null,
+            confidence: Math.round(score / Math.max(total, MIN_EVIDENCE) * 100) / 100,
+            sources,
+        }));
+}
 
-    // --- Fallback: 'top' vì phổ biến nhất trong fashion ---
-    return 'top';
+/** Ứng viên đầu nếu đủ tin cậy — không còn fallback 'top' cho mọi ảnh không nhận ra */
+export function pickDetectedCategory(candidates) {
+    const best = candidates?.[0];
+    return best && best.confidence >= MIN_DETECT_CONFIDENCE ? best.category : null;
 }
@@ -0,0 +1,141 @@
+/**
+ * File: keyboard_commands.js
+ * Purpose: Phím tắt (manifest "commands") — thử đồ / thêm tủ đồ ảnh đang trỏ chuột, bật tắt sidebar,
+ *          chạy lại try-on với ảnh mẫu kế tiếp
+ * Layer: Application / Controller
+ *
+ * Data Contract:
+ * - Exports: handleCommand, SHORTCUT_COMMANDS
+ * - Commands: try-on-image, add-to-wardrobe, toggle-side-panel, retry-next-model
+ *   (phím mặc định trong manifest, user đổi ở chrome://extensions/shortcuts)
+ * - Session: pending_shortcut_action { command, at } — sidebar đọc + xoá đúng 1 lần khi nhận RUN_PENDING_SHORTCUT
+ *
+ * Flow:
+ * 1. chrome.commands.onCommand (top-level trong service_worker.js) → handleCommand(command, tab)
+ * 2. Mở sidebar TRƯỚC (giữ user gesture) → hỏi tab GET_SHORTCUT_TARGET_IMAGE (ảnh đang trỏ / ảnh sản phẩm chính)
+ *    Con trỏ đang ở trong iframe → hỏi lại mọi frame với hoverOnly, chỉ frame có ảnh dưới con trỏ trả lời
+ * 3. Có ảnh → handleContextTryonImage / handleContextAddWardrobe như chuột phải (sidePanelOpen: true)
+ * 4. retry-next-model → lưu pending action → sidebar chọn ảnh mẫu kế tiếp và chạy lại try-on
+ *
+ * Edge Cases:
+ * - Tab không có content script (chrome://, Web Store) → notification, sidebar vẫn mở
+ * - toggle khi sidebar đang mở → sidebar tự đóng (nghe commands.onCommand), open() ở đây là no-op
+ */
+
+import { openSidePanel, handleContextTryonImage, handleContextAddWardrobe } from './context_menus.js';
+import { log } from './debug_logger.js';
+
+export const SHORTCUT_COMMANDS = {
+    TRY_ON: 'try-on-image',
+    ADD_WARDROBE: 'add-to-wardrobe',
+    TOGGLE_SIDE_PANEL: 'toggle-side-panel',
+    RETRY_NEXT_MODEL: 'retry-next-model',
+};
+
+const PENDING_SHORTCUT_KEY = 'pending_shortcut_action';
+
+/** ms — listener giữ port mở mà không trả lời (return true) thì sendMessage không bao giờ xong */
+const FRAME_TARGET_TIMEOUT_MS = 1000;
+
+function notifyShortcutError(message) {
+    chrome.notifications.create('shortcut-error-' + Date.now(), {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Fitly',
+        message
+    });
+}
+
+/** Hỏi content script ảnh nào đang được nhắm tới — frame chính trước, iframe đang có con trỏ nếu cần */
+async function requestShortcutTarget(tab) {
+    let target = null;
+    try {
+        target = await chrome.tabs.sendMessage(tab.id, { type: 'GET_SHORTCUT_TARGET_IMAGE' }, { frameId: 0 });
+    } catch (_) {
+        // Trang không inject được content script
+        return null;
+    }
+    if (!target?.hoveredFrame || target.image?.source === 'hover') return target;
+
+    try {
+        // Không có frame nào trả lời (iframe không có content script) → giữ ảnh sản phẩm chính của frame chính
+        const framed = await Promise.race([
+            chrome.tabs.sendMessage(tab.id, { type: 'GET_SHORTCUT_TARGET_IMAGE', hoverOnly: true }),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), FRAME_TARGET_TIMEOUT_MS))
+        ]);
+        if (framed?.image?.url) return framed;
+    } catch (_) {
+        // Port đóng / hết giờ vì không frame nào sendResponse
+    }
+    return target;
+}
+
+async function handleImageCommand(command, tab) {
+    if (!(await openSidePanel(tab))) {
+        return { success: false, error: 'Could not open side panel' };
+    }
+
+    const target = await requestShortcutTarget(tab);
+    if (!target?.image?.url) {
+        notifyShortcutError('Không tìm thấy ảnh. Hãy trỏ chuột vào ảnh quần áo rồi bấm lại phím tắt.');
+        return { success: false, error: 'NO_IMAGE' };
+    }
+    log('[Fitly] Shortcut target:', command, target.image.source, target.image.url.slice(0, 80));
+
+    const data = {
+        srcUrl: target.image.url,
+        pageUrl: tab.url,
+        frameId: 0,
+        altText: target.image.altText || '',
+        nearbyText: target.image.nearbyText || '',
+        product: target.product ?? null,
+        sidePanelOpen: true,
+    };
+    return command === SHORTCUT_COMMANDS.TRY_ON
+        ? handleContextTryonImage(data, tab)
+        : handleContextAddWardrobe(data, tab);
+}
+
+async function handleRetryNextModel(tab) {
+    if (!(await openSidePanel(tab))) {
+        return { success: false, error: 'Could not open side panel' };
+    }
+
+    await chrome.storage.session.set({
+        [PENDING_SHORTCUT_KEY]: { command: SHORTCUT_COMMANDS.RETRY_NEXT_MODEL, at: Date.now() }
+    });
+
+    // Sidebar đang mở nhận ngay; vừa mở thì cần 1-4 giây để init — sidebar chỉ chạy 1 lần (xoá pending khi đọc)
+    const sendPendingShortcut = () => {
+        chrome.runtime.sendMessage({ type: 'RUN_PENDING_SHORTCUT' }).catch(() => { });
+    };
+    sendPendingShortcut();
+    setTimeout(sendPendingShortcut, 800);
+    setTimeout(sendPendingShortcut, 2000);
+    setTimeout(sendPendingShortcut, 4000);
+
+    return { success: true };
+}
+
+/**
+ * handleCommand — Entry point cho chrome.commands.onCommand
+ * Input: command (tên trong manifest), tab (tab đang active khi bấm phím)
+ */
+export async function handleCommand(command, tab) {
+    if (!tab) {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return { success: false, error: 'No tab context' };
+    }
+
+    switch (command) {
+        case SHORTCUT_COMMANDS.TRY_ON:
+        case SHORTCUT_COMMANDS.ADD_WARDROBE:
+            return handleImageCommand(command, tab);
+        case SHORTCUT_COMMANDS.TOGGLE_SIDE_PANEL:
+            return { success: await openSidePanel(tab) };
+        case SHORTCUT_COMMANDS.RETRY_NEXT_MODEL:
+            return handleRetryNextModel(tab);
+        default:
+            return { success: false, error: 'Unknown command' };
+    }
+}
@@ -12,15 +12,27 @@ import { forceRefreshToken } from './auth_state_manager.js';
 // MV3 race fix: session must be restored before processing messages
 import { sessionReady } from './session_ready_gate.js';
 import { handleFetchImage } from './fetch_image_proxy_bypass_cors.js';
-import { handleAddToWardrobe, handleGetWardrobe } from './wardrobe_manager.js';
+import { startRegionCapture, handleCaptureVisibleTab } from './capture_visible_region.js';
+import { handleGetTopFrameFashion } from './frame_routing.js';
+import { handleRecordCategoryCorrection } from './category_corrections.js';
+import { handleFindSimilarItems } from './find_similar_items.js';
+import { handleAddToWardrobe, handleGetWardrobe, handleUpdateWardrobeItem } from './wardrobe_manager.js';
+import { handleSearchWardrobe } from './wardrobe_search_index.js';
+import { handleGetWardrobeCollections, handleSaveWardrobeCollection, handleDeleteWardrobeCollection } from './wardrobe_collections.js';
 // NOTE: handleContextTryonImage, handleContextAddWardrobe are now handled
 // directly in service_worker.js to bypass sessionReady gate (see FIX comment there).
 import { handleGetRecentClothing, handleSaveRecentClothing, handleDeleteRecentClothing, handleSaveClothingToWardrobe, handleDeleteWardrobeItem } from './recent_clothing_manager.js';
 import { handleProcessTryOn, handleRefundGems } from './process_tryon.js';
+import { createTryonJob, getTryonJob, listTryonJobs, acknowledgeTryonJob, cancelTryonJob } from './tryon_job_queue.js';
 import { handleEditImage } from './process_edit.js';
+import { runIdempotent } from './request_idempotency.js';
+import { listGemLedger, reconcileGemLedger } from './gem_ledger.js';
+import { handleProductPageVisited, handleGetPriceHistory, handleSetPriceAlert, checkTrackedPrices } from './price_tracker.js';
+import { handleGetOutfitTemplates, handleSaveOutfitTemplate, handleDeleteOutfitTemplate } from './outfit_templates.js';
 import { handleSaveOutfit, handleGetOutfits, handleGetTryonHistory, handleDeleteOutfit, handleGetDeletedOutfits, handleRestoreOutfit, handlePermanentDeleteOutfit } from './outfit_manager.js';
 import { handleGetUserModels, handleAddUserModel, handleDeleteUserModel, handleSetDefaultModel, handleGetDefaultModel, handleSaveModelImage, handleGetModelImage, handleGetSampleModels, handleGetSampleClothing } from './user_model_manager.js';
 import { handleUpdateSettings, handleGetSettings } from './settings_manager.js';
+import { handleGetModelMeasurements, handleSaveModelMeasurements, handleGetSizeRecommendation } from './size_recommendation.js';
 import { syncToCloud, syncFromCloud } from './cloud_sync.js';
 
 import { handleCheckPaymentStatus, handleGetGemsBalance } from './payment_handlers.js';
@@ -52,18 +64,58 @@ export async function handleMessage(message, sender) {
                 return await handleSocialLogin(message.data);
             case 'LOGOUT':
                 return await handleLogout();
+            // request_id/requestId = idempotency key — gửi lại cùng id trả kết quả gốc, không trừ gems lần 2
             case 'PROCESS_TRYON':
-                return await handleProcessTryOn(message.data);
+                return await runIdempotent(message.data?.request_id, () => handleProcessTryOn(message.data));
+            // Durable try-on jobs — sống sót qua SW restart, sidebar reattach theo jobId
+            case 'START_TRYON_JOB':
+                return await createTryonJob(message.data);
+            case 'GET_TRYON_JOB':
+                return await getTryonJob(message.data);
+            case 'GET_TRYON_JOBS':
+                return await listTryonJobs(message.data);
+            case 'ACK_TRYON_JOB':
+                return await acknowledgeTryonJob(message.data);
+            // Huỷ job đang chạy — abort request, server dừng prediction và hoàn gems
+            case 'CANCEL_TRYON_JOB':
+                return await cancelTryonJob(message.data);
             case 'ADD_TO_WARDROBE':
                 return await handleAddToWardrobe(message.data);
             case 'GET_WARDROBE':
                 return await handleGetWardrobe(message.data);
+            // Tag / ghi chú của món trong tủ đồ + tìm kiếm và smart collection (chỉ mục trong bộ nhớ)
+            case 'UPDATE_WARDROBE_ITEM':
+                return await handleUpdateWardrobeItem(message.data);
+            case 'SEARCH_WARDROBE':
+                return await handleSearchWardrobe(message.data);
+            case 'GET_WARDROBE_COLLECTIONS':
+                return await handleGetWardrobeCollections();
+            case 'SAVE_WARDROBE_COLLECTION':
+                return await handleSaveWardrobeCollection(message.data);
+            case 'DELETE_WARDROBE_COLLECTION':
+                return await handleDeleteWardrobeCollection(message.data);
+            // Theo dõi giá — content script báo giá trang đang xem, sidebar đọc lịch sử / đặt giá mong muốn
+            case 'PRODUCT_PAGE_VISITED':
+                return await handleProductPageVisited(message.data, sender);
+            case 'GET_PRICE_HISTORY':
+                return await handleGetPriceHistory(message.data);
+            case 'SET_PRICE_ALERT':
+                return await handleSetPriceAlert(message.data);
+            case 'CHECK_PRICES_NOW':
+                return await checkTrackedPrices({ force: true });
             case 'GET_GEMS_BALANCE':
                 return await handleGetGemsBalance();
             // CONTEXT_TRYON_IMAGE and CONTEXT_ADD_WARDROBE are now handled
             // directly in service_worker.js — bypasses sessionReady gate for faster response
             case 'SAVE_OUTFIT':
                 return await handleSaveOutfit(message.data);
+            // Outfit builder — template phối đồ theo ô, thử lại trên ảnh mẫu bất kỳ
+            case 'GET_OUTFIT_TEMPLATES':
+                return await handleGetOutfitTemplates();
+            case 'SAVE_OUTFIT_TEMPLATE':
+                return await handleSaveOutfitTemplate(message.data);
+            case 'DELETE_OUTFIT_TEMPLATE':
+                return await handleDeleteOutfitTemplate(message.data);
             case 'GET_OUTFITS':
                 return await handleGetOutfits(message.data);
             case 'DELETE_OUTFIT':
@@ -76,16 +128,18 @@ export async function handleMessage(message, sender) {
                 return await handlePermanentDeleteOutfit(message.data);
             case 'IMAGE_SELECTED':
                 await chrome.storage.session.set({
-                    pending_clothing_image: message.imageUrl
+                    pending_clothing_image: message.imageUrl,
+                    pending_product: null
                 });
                 return { success: true };
             case 'GET_PENDING_IMAGE':
-                const data = await chrome.storage.session.get(['pending_clothing_image', 'pending_source_url']);
+                const data = await chrome.storage.session.get(['pending_clothing_image', 'pending_source_url', 'pending_product']);
                 if (data.pending_clothing_image) {
-                    await chrome.storage.session.remove(['pending_clothing_image', 'pending_source_url']);
+                    await chrome.storage.session.remove(['pending_clothing_image', 'pending_source_url', 'pending_product']);
                     return {
                         imageUrl: data.pending_clothing_image,
-                        sourceUrl: data.pending_source_url
+                        sourceUrl: data.pending_source_url,
+                        product: data.pending_product || null
                     };
                 }
                 return { imageUrl: null };
@@ -120,6 +174,13 @@ export async function handleMessage(message, sender) {
                 return await handleSetDefaultModel(message.data);
             case 'GET_DEFAULT_MODEL':
                 return await handleGetDefaultModel();
+            // Số đo cơ thể theo ảnh mẫu + gợi ý size từ bảng size trên trang sản phẩm
+            case 'GET_MODEL_MEASUREMENTS':
+                return await handleGetModelMeasurements(message.data);
+            case 'SAVE_MODEL_MEASUREMENTS':
+                return await handleSaveModelMeasurements(message.data);
+            case 'GET_SIZE_RECOMMENDATION':
+                return await handleGetSizeRecommendation(message.data);
             case 'GET_SAMPLE_MODELS':
                 return handleGetSampleModels();
             case 'GET_SAMPLE_CLOTHING':
@@ -143,6 +204,10 @@ export async function handleMessage(message, sender) {
                 return await handleCheckPaymentStatus();
             case 'REFUND_GEMS':
                 return await handleRefundGems(message.data);
+            // Audit trail gems cho gems panel — đối soát entry quá hạn trước khi trả về
+            case 'GET_GEM_LEDGER':
+                await reconcileGemLedger().catch(err => console.warn('[Fitly] Gem ledger reconcile failed:', err));
+                return await listGemLedger();
             case 'EMAIL_LOGIN':
                 return await handleEmailLogin(message.data);
             case 'EMAIL_REGISTER':
@@ -179,8 +244,20 @@ export async function handleMessage(message, sender) {
             }
             case 'FETCH_IMAGE':
                 return await handleFetchImage(message.data);
+            case 'REQUEST_REGION_CAPTURE':
+                return await startRegionCapture(sender?.tab, message.data);
+            case 'CAPTURE_VISIBLE_TAB':
+                return await handleCaptureVisibleTab(sender?.tab);
+            case 'GET_TOP_FRAME_FASHION':
+                return await handleGetTopFrameFashion(sender?.tab);
+            // User sửa thể loại trong modal thêm vào tủ đồ → nhớ cho domain / mẫu URL đó
+            case 'RECORD_CATEGORY_CORRECTION':
+                return await handleRecordCategoryCorrection(message.data);
+            // "Tìm món tương tự" — ảnh gần giống theo perceptual hash trong model / tủ đồ / đồ vừa thử / outfit
+            case 'FIND_SIMILAR_ITEMS':
+                return await handleFindSimilarItems(message.data);
             case 'EDIT_IMAGE':
-                return await handleEditImage(message.data);
+                return await runIdempotent(message.data?.requestId, () => handleEditImage(message.data), 'alreadyProcessed');
             case 'ENSURE_FRESH_TOKEN': {
                 // Sidebar yêu cầu refresh token trước khi retry hoặc khi sidebar mở
                 try {
@@ -0,0 +1,73 @@
+/**
+ * File: migrate_garment_taxonomy.js
+ * Purpose: Đưa item tủ đồ / đồ vừa thử lưu local trước khi có subcategory về taxonomy 2 cấp (lib/garment_taxonomy.js)
+ * Layer: Application / Persistence
+ *
+ * Data Contract:
+ * - Exports: migrateGarmentTaxonomy, migrateGarmentItem, TAXONOMY_VERSION_KEY
+ * - chrome.storage.local: recent_clothing [{ category, subcategory, name, product }],
+ *   demo_wardrobe [{ category, subcategory, name, product_meta }], garment_taxonomy_version (number)
+ * - Item trên Supabase được backfill bởi supabase/migrations/019_add_wardrobe_subcategory.sql
+ *
+ * Flow:
+ * 1. service_worker.js onInstalled (cài mới / cập nhật extension) → migrateGarmentTaxonomy()
+ * 2. garment_taxonomy_version >= TAXONOMY_VERSION → bỏ qua
+ * 3. Mỗi item: normalizeCategory(category, subcategory, tên) → ghi lại nếu đổi
+ * 4. Lưu version — lần cập nhật taxonomy sau tăng TAXONOMY_VERSION để chạy lại
+ *
+ * Edge Cases:
+ * - Item chưa có category (đồ vừa thử chưa phân loại) → giữ null, không đoán
+ * - Category cũ là tên subcategory ('jeans') → bottom/jeans; category lạ → other
+ * - 'outfit' giữ nguyên (ảnh lookbook, không phải quần áo)
+ */
+
+import '../lib/garment_taxonomy.js';
+import { log } from './debug_logger.js';
+
+const taxonomy = globalThis.FitlyGarmentTaxonomy;
+
+export const TAXONOMY_VERSION_KEY = 'garment_taxonomy_version';
+
+/**
+ * migrateGarmentItem — Item đã chuẩn hoá category / subcategory, hoặc null nếu không cần đổi
+ * Input: item recent_clothing / demo_wardrobe
+ */
+export function migrateGarmentItem(item) {
+    if (!item?.category) return null;
+    // Tên item thường chung chung ("Saved from zara.com") — tên sản phẩm trên trang cụ thể hơn
+    const name = [item.name, item.product?.name, item.product_meta?.name].filter(Boolean).join(' ');
+    const { category, subcategory } = taxonomy.normalizeCategory(item.category, item.subcategory, name);
+    if (category === item.category && subcategory === (item.subcategory ?? null)) return null;
+    return { ...item, category, subcategory };
+}
+
+function migrateList(items) {
+    let changed = 0;
+    const migrated = (items || []).map(item => {
+        const next = migrateGarmentItem(item);
+        if (!next) return item;
+        changed++;
+        return next;
+    });
+    return { migrated, changed };
+}
+
+/**
+ * migrateGarmentTaxonomy — Chạy một lần cho mỗi TAXONOMY_VERSION
+ * Output: { skipped: true } | { recent, wardrobe } — số item đã đổi
+ */
+export async function migrateGarmentTaxonomy() {
+    const data = await chrome.storage.local.get([TAXONOMY_VERSION_KEY, 'recent_clothing', 'demo_wardrobe']);
+    if ((data[TAXONOMY_VERSION_KEY] || 0) >= taxonomy.TAXONOMY_VERSION) return { skipped: true };
+
+    const recent = migrateList(data.recent_clothing);
+    const wardrobe = migrateList(data.demo_wardrobe);
+
+    const updates = { [TAXONOMY_VERSION_KEY]: taxonomy.TAXONOMY_VERSION };
+    if (recent.changed) updates.recent_clothing = recent.migrated;
+    if (wardrobe.changed) updates.demo_wardrobe = wardrobe.migrated;
+    await chrome.storage.local.set(updates);
+
+    log('[Fitly] Garment taxonomy migrated to v' + taxonomy.TAXONOMY_VERSION + ':', recent.changed, 'recent,', wardrobe.changed, 'wardrobe');
+    return { recent: recent.changed, wardrobe: wardrobe.changed };
+}
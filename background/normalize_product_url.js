@@ -0,0 +1,19 @@
+/**
+ * File: normalize_product_url.js
+ * Purpose: Khoá so khớp trang sản phẩm dùng chung cho theo dõi giá và bảng size
+ * Layer: Application / Utility
+ *
+ * Data Contract:
+ * - Input: url (string)
+ * - Output: `${origin}${pathname}` lowercase, bỏ hash, query và dấu / cuối | null khi URL không hợp lệ
+ */
+
+/** So khớp trang sản phẩm theo origin + path — bỏ hash, query (utm_*, biến thể tracking) và dấu / cuối */
+export function normalizeProductUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch (_) {
+        return null;
+    }
+}
@@ -11,10 +11,11 @@
  * - Authenticated user: ghi vào bảng `saved_outfits` trên Supabase (persistent, cross-device)
  * - Fallback: chrome.storage.local nếu network lỗi
  * - Demo/guest: in-memory demoState + chrome.storage.local
+ * - data.template_id (thử từ outfit builder) → outfit được gắn vào template ở outfit_templates.js, không lưu vào bảng
  *
  * DB Table: public.saved_outfits
  *   id uuid PK | user_id uuid FK | name text | result_image_url text |
- *   clothing_image_url text | model_image_url text | tryon_history_id uuid FK | created_at timestamptz
+ *   clothing_image_url text | model_image_url text | tryon_history_id uuid FK | perceptual_hash text | created_at timestamptz
  *
  * Fix Log:
  * - [Fix 1] handleSaveOutfit chỉ dùng demoState → mất data sau reload
@@ -26,6 +27,8 @@
 import { isDemoMode, getAuthToken } from './auth_state_manager.js';
 import { demoState, MOCK_USER, SUPABASE_AUTH_KEY, SUPABASE_AUTH_URL } from './ENVIRONMENT_CONFIG.js';
 import { log } from './debug_logger.js';
+import { hashImageUrl, findNearDuplicates, DUPLICATE_DISTANCE } from './perceptual_hash.js';
+import { linkTemplateOutfit } from './outfit_templates.js';
 
 const LOCAL_OUTFITS_KEY = 'fitly_saved_outfits';
 const LOCAL_DELETED_IDS_KEY = 'fitly_deleted_outfit_ids';
@@ -86,6 +89,13 @@ async function clearDeletedIds() {
     }
 }
 
+/** Outfit đã lưu cùng ảnh kết quả — cùng URL, hoặc ảnh gần trùng (perceptual hash) ở URL khác */
+function findDuplicateOutfit(outfits, payload) {
+    const normalizedNew = normalizeImageUrl(payload.result_image_url);
+    return outfits.find(o => normalizeImageUrl(o.result_image_url) === normalizedNew)
+        || findNearDuplicates(payload.perceptual_hash, outfits, o => o.perceptual_hash, DUPLICATE_DISTANCE)[0]?.item;
+}
+
 // ============================================================================
 // SAVE OUTFIT
 // ============================================================================
@@ -97,8 +107,22 @@ async function clearDeletedIds() {
  * 1. Authenticated → INSERT vào Supabase saved_outfits
  * 2. Fallback → persist vào chrome.storage.local
  * 3. Demo/guest → in-memory demoState + local storage
+ * 4. data.template_id (thử từ outfit template) → gắn outfit vào template (outfit_templates.js)
  */
 export async function handleSaveOutfit(data) {
+    const result = await saveOutfit(data);
+    if (result.success && data.template_id) {
+        try {
+            await linkTemplateOutfit(data.template_id, result.outfit);
+        } catch (linkErr) {
+            // Outfit đã lưu xong — mất liên kết template không phải lỗi của lần lưu
+            console.warn('[OutfitManager] Link outfit template failed:', linkErr.message);
+        }
+    }
+    return result;
+}
+
+async function saveOutfit(data) {
     const demoMode = await isDemoMode();
 
     // STEP 1: Build outfit object
@@ -110,14 +134,14 @@ export async function handleSaveOutfit(data) {
         tryon_history_id: data.tryon_history_id || null,
         source_type: data.source_type || 'tryon',
         source_url: data.source_url || null,
+        perceptual_hash: await hashImageUrl(data.result_image_url),
     };
 
     if (demoMode) {
         // Demo mode: in-memory + local storage
         const existingLocal = await loadLocalOutfits();
         const allDemo = [...(demoState.outfits || []), ...existingLocal];
-        const normalizedNew = normalizeImageUrl(outfitPayload.result_image_url);
-        const alreadyExists = allDemo.find(o => normalizeImageUrl(o.result_image_url) === normalizedNew);
+        const alreadyExists = findDuplicateOutfit(allDemo, outfitPayload);
         if (alreadyExists) {
             log('[OutfitManager] Duplicate detected in demo, skipping save');
             return { success: true, outfit: alreadyExists, duplicate: true };
@@ -172,6 +196,13 @@ export async function handleSaveOutfit(data) {
             console.warn('[OutfitManager] Dedup check failed, proceeding:', dupErr.message);
         }
 
+        // Cùng ảnh kết quả ở URL khác (ảnh đã tải lại / nén lại) — so với cache local của outfit đã lưu
+        const nearDuplicate = findDuplicateOutfit(await loadLocalOutfits(), outfitPayload);
+        if (nearDuplicate) {
+            log('[OutfitManager] Near-duplicate result image, skipping save:', nearDuplicate.id);
+            return { success: true, outfit: nearDuplicate, duplicate: true };
+        }
+
         const response = await fetch(
             `${SUPABASE_AUTH_URL}/rest/v1/saved_outfits`,
             {
@@ -211,9 +242,8 @@ export async function handleSaveOutfit(data) {
         };
         const existingLocal = await loadLocalOutfits();
 
-        // Dedup: skip if same result_image_url already exists in local
-        const normalizedNew = normalizeImageUrl(newOutfit.result_image_url);
-        const existingMatch = existingLocal.find(o => normalizeImageUrl(o.result_image_url) === normalizedNew);
+        // Dedup: skip if same result image already exists in local
+        const existingMatch = findDuplicateOutfit(existingLocal, newOutfit);
         if (existingMatch) {
             return { success: true, outfit: existingMatch, duplicate: true };
         }
@@ -252,7 +282,7 @@ export async function handleGetOutfits(data = {}) {
         if (!token) throw new Error('NOT_AUTHENTICATED');
 
         const response = await fetch(
-            `${SUPABASE_AUTH_URL}/rest/v1/saved_outfits?deleted_at=is.null&order=created_at.desc&limit=${limit}&select=id,name,result_image_url,clothing_image_url,model_image_url,tryon_history_id,source_type,source_url,created_at`,
+            `${SUPABASE_AUTH_URL}/rest/v1/saved_outfits?deleted_at=is.null&order=created_at.desc&limit=${limit}&select=id,name,result_image_url,clothing_image_url,model_image_url,tryon_history_id,source_type,source_url,perceptual_hash,created_at`,
             {
                 method: 'GET',
                 headers: {
@@ -0,0 +1,99 @@
+/**
+ * File: outfit_templates.js
+ * Purpose: Outfit template — bộ phối đồ theo ô (áo, quần / váy, áo khoác, giày, phụ kiện) được đặt tên,
+ *          thử lại trên bất kỳ ảnh mẫu nào bằng một lần bấm; mỗi lần thử gắn outfit kết quả vào template
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: handleGetOutfitTemplates, handleSaveOutfitTemplate, handleDeleteOutfitTemplate, linkTemplateOutfit,
+ *   OUTFIT_TEMPLATES_KEY
+ * - chrome.storage.local.outfit_templates: [{ id, name, slots, createdAt, updatedAt, tryCount, lastTriedAt,
+ *   outfits: [{ id, resultImageUrl, modelImageUrl, createdAt }] }] — slots theo lib/outfit_slots.js
+ *
+ * Flow:
+ * 1. Outfit builder → SAVE_OUTFIT_TEMPLATE (có id → sửa, không id → tạo mới)
+ * 2. Thử template → START_TRYON_JOB với meta.templateId → kết quả auto-save SAVE_OUTFIT { template_id }
+ * 3. handleSaveOutfit (outfit_manager.js) → linkTemplateOutfit: outfit mới nhất đứng đầu template.outfits
+ *
+ * Edge Cases:
+ * - Tên rỗng → NAME_REQUIRED; không còn món nào sau chuẩn hoá → SLOTS_REQUIRED
+ * - Xung đột ô (váy + quần, món sai ô, chỉ có giày / phụ kiện) → SLOT_CONFLICT kèm conflicts
+ * - Template bị xoá trong lúc đang thử → link bỏ qua, outfit vẫn được lưu
+ * - SAVE_OUTFIT trả lại outfit trùng đã gắn trước đó → không gắn lần hai
+ */
+
+import '../lib/outfit_slots.js';
+
+const outfitSlots = globalThis.FitlyOutfitSlots;
+
+export const OUTFIT_TEMPLATES_KEY = 'outfit_templates';
+const MAX_TEMPLATES = 30;
+const MAX_NAME_LENGTH = 40;
+const MAX_LINKED_OUTFITS = 10;
+
+async function readTemplates() {
+    const storage = await chrome.storage.local.get(OUTFIT_TEMPLATES_KEY);
+    return storage[OUTFIT_TEMPLATES_KEY] || [];
+}
+
+async function writeTemplates(templates) {
+    await chrome.storage.local.set({ [OUTFIT_TEMPLATES_KEY]: templates });
+}
+
+export async function handleGetOutfitTemplates() {
+    return { success: true, templates: await readTemplates() };
+}
+
+export async function handleSaveOutfitTemplate(data = {}) {
+    const name = String(data.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) return { success: false, error: 'NAME_REQUIRED' };
+    const slots = outfitSlots.normalizeSlots(data.slots);
+    if (!outfitSlots.hasItems(slots)) return { success: false, error: 'SLOTS_REQUIRED' };
+    const conflicts = outfitSlots.findConflicts(slots);
+    if (conflicts.length > 0) return { success: false, error: 'SLOT_CONFLICT', conflicts };
+
+    const templates = await readTemplates();
+    const now = new Date().toISOString();
+    let template = data.id ? templates.find(entry => entry.id === data.id) : null;
+    if (template) {
+        Object.assign(template, { name, slots, updatedAt: now });
+    } else {
+        if (templates.length >= MAX_TEMPLATES) return { success: false, error: 'TOO_MANY_TEMPLATES' };
+        template = { id: 'template-' + Date.now(), name, slots, createdAt: now, updatedAt: now, tryCount: 0, lastTriedAt: null, outfits: [] };
+        templates.unshift(template);
+    }
+    await writeTemplates(templates);
+    return { success: true, template };
+}
+
+export async function handleDeleteOutfitTemplate(data = {}) {
+    const templates = await readTemplates();
+    const remaining = templates.filter(entry => entry.id !== data.id);
+    if (remaining.length === templates.length) return { success: false, error: 'TEMPLATE_NOT_FOUND' };
+    await writeTemplates(remaining);
+    return { success: true };
+}
+
+/**
+ * linkTemplateOutfit — Gắn outfit vừa lưu vào template đã dùng để thử
+ * Output: template đã cập nhật, null khi template không còn / outfit đã gắn trước đó
+ */
+export async function linkTemplateOutfit(templateId, outfit) {
+    if (!templateId || !outfit?.id) return null;
+    const templates = await readTemplates();
+    const template = templates.find(entry => entry.id === templateId);
+    if (!template) return null;
+    const outfits = template.outfits || [];
+    if (outfits.some(entry => entry.id === outfit.id)) return null;
+
+    template.outfits = [{
+        id: outfit.id,
+        resultImageUrl: outfit.result_image_url || null,
+        modelImageUrl: outfit.model_image_url || null,
+        createdAt: outfit.created_at || new Date().toISOString(),
+    }, ...outfits].slice(0, MAX_LINKED_OUTFITS);
+    template.tryCount = (template.tryCount || 0) + 1;
+    template.lastTriedAt = new Date().toISOString();
+    await writeTemplates(templates);
+    return template;
+}
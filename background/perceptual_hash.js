@@ -0,0 +1,216 @@
+/**
+ * File: perceptual_hash.js
+ * Purpose: Perceptual hash (pHash + dHash) cho ảnh model / tủ đồ / đồ vừa thử / outfit —
+ *          ảnh resize, nén lại, cắt nhẹ của cùng một sản phẩm vẫn gần nhau theo khoảng cách Hamming
+ * Layer: Shared Utility
+ *
+ * Data Contract:
+ * - Exports: generatePerceptualHash, hashImageUrl, hashFromSamples, perceptualDistance, hammingDistance,
+ *   isPerceptualHash, findNearDuplicates, similarityPercent, DUPLICATE_DISTANCE, SIMILAR_DISTANCE
+ * - Hash: 38 ký tự hex = 16 hex pHash (DCT 32×32 → 8×8) + 16 hex dHash (gradient ngang 9×8)
+ *   + 6 hex màu trung bình vùng giữa ảnh (RGB)
+ * - Khoảng cách: trung bình Hamming của pHash và dHash + độ lệch màu / COLOR_STEP
+ *   (0 = giống hệt, ~32 = hai ảnh không liên quan)
+ *
+ * Flow:
+ * 1. hashImageUrl(url) → fetch → generatePerceptualHash(blob) → OffscreenCanvas thu nhỏ → grayscale
+ * 2. hashFromSamples: pHash (hệ số DCT tần số thấp so với median) + dHash (pixel sáng hơn pixel bên phải) + màu
+ * 3. findNearDuplicates(hash, items, getHash) → item gần nhất trước
+ *
+ * Edge Cases:
+ * - PNG nền trong suốt → ghép lên nền trắng trước khi tính (ảnh sản phẩm tách nền vs ảnh gốc nền trắng)
+ * - Cùng kiểu dáng khác màu (navy / xanh rêu) → pHash gần như trùng nhau; phần màu giữ chúng ở mức "tương tự",
+ *   không bị gộp như ảnh trùng
+ * - Hash cũ 'px_...' (generatePixelHash trước đây) → isPerceptualHash false → coi như chưa có hash
+ * - Không có createImageBitmap / OffscreenCanvas, fetch lỗi / quá thời gian (fetchImageBlob) → null, không chặn luồng lưu
+ */
+
+import { log } from './debug_logger.js';
+import { fetchImageBlob } from './image_compressor.js';
+
+/** ≤ ngưỡng này: gần như chắc chắn cùng một ảnh (resize / nén lại / đổi định dạng) → gộp */
+export const DUPLICATE_DISTANCE = 5;
+/** ≤ ngưỡng này: trông giống (cắt khác, nền khác nhẹ) → cảnh báo / "Tìm món tương tự" */
+export const SIMILAR_DISTANCE = 12;
+
+const PHASH_SIZE = 32;
+const PHASH_LOW = 8;
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+/** Vùng chết khi so sánh — nền trắng phẳng của ảnh sản phẩm không lật bit vì nhiễu JPEG */
+const DHASH_TOLERANCE = 3;
+const PHASH_TOLERANCE = 0.02;
+/** Độ lệch màu (khoảng cách RGB) tương đương 1 bit Hamming */
+const COLOR_STEP = 12;
+const HASH_PATTERN = /^[0-9a-f]{38}$/;
+
+/** cos((2x+1)uπ / 2N) cho u < 8 — DCT-II chỉ cần các tần số thấp */
+const DCT_COS = Array.from({ length: PHASH_SIZE }, (_, x) =>
+    Array.from({ length: PHASH_LOW }, (_, u) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE))));
+
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+/** gray: 32×32 độ sáng (row-major) → 16 hex */
+function computePHash(gray) {
+    // Tách biến: DCT theo hàng rồi theo cột, chỉ giữ 8×8 hệ số tần số thấp
+    const rows = [];
+    for (let y = 0; y < PHASH_SIZE; y++) {
+        const row = new Array(PHASH_LOW).fill(0);
+        for (let x = 0; x < PHASH_SIZE; x++) {
+            const value = gray[y * PHASH_SIZE + x];
+            for (let u = 0; u < PHASH_LOW; u++) row[u] += value * DCT_COS[x][u];
+        }
+        rows.push(row);
+    }
+    const coefficients = [];
+    for (let v = 0; v < PHASH_LOW; v++) {
+        for (let u = 0; u < PHASH_LOW; u++) {
+            let sum = 0;
+            for (let y = 0; y < PHASH_SIZE; y++) sum += rows[y][u] * DCT_COS[y][v];
+            coefficients.push(sum);
+        }
+    }
+    // Median bỏ hệ số DC (độ sáng trung bình) — chỉ so cấu trúc ảnh
+    const ac = coefficients.slice(1);
+    const sorted = [...ac].sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    const margin = PHASH_TOLERANCE * Math.max(...ac.map(Math.abs));
+    return bitsToHex(coefficients.map(c => (c > median + margin ? 1 : 0)));
+}
+
+/** gray: 9×8 độ sáng → 16 hex */
+function computeDHash(gray) {
+    const bits = [];
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            bits.push(gray[y * DHASH_WIDTH + x] > gray[y * DHASH_WIDTH + x + 1] + DHASH_TOLERANCE ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+function colorToHex(color) {
+    return color.map(c => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * hashFromSamples — Hash từ các bản thu nhỏ (tách riêng để test không cần canvas)
+ * Input: { gray32 (32×32), gray9x8 (9 cột × 8 hàng), color: [r, g, b] vùng giữa ảnh }, giá trị 0–255
+ */
+export function hashFromSamples({ gray32, gray9x8, color }) {
+    return computePHash(gray32) + computeDHash(gray9x8) + colorToHex(color);
+}
+
+/** Vẽ bitmap ở kích thước nhỏ → độ sáng từng pixel + màu trung bình nửa giữa ảnh, nền trong suốt ghép lên trắng */
+function readSamples(bitmap, width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const gray = new Float32Array(width * height);
+    const color = [0, 0, 0];
+    let centerCount = 0;
+    for (let i = 0; i < gray.length; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        const rgb = [0, 1, 2].map(c => data[i * 4 + c] * alpha + 255 * (1 - alpha));
+        gray[i] = 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
+        const x = i % width;
+        const y = Math.floor(i / width);
+        if (x >= width / 4 && x < (width * 3) / 4 && y >= height / 4 && y < (height * 3) / 4) {
+            rgb.forEach((value, c) => { color[c] += value; });
+            centerCount++;
+        }
+    }
+    return { gray, color: color.map(sum => sum / Math.max(1, centerCount)) };
+}
+
+/**
+ * generatePerceptualHash — Thay generatePixelHash (djb2 trên pixel lượng tử hoá — chỉ khớp ảnh gần như y hệt)
+ * Input: Blob ảnh
+ * Output: 38 hex | null
+ */
+export async function generatePerceptualHash(blob) {
+    if (!blob || typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') return null;
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const large = readSamples(bitmap, PHASH_SIZE, PHASH_SIZE);
+        const small = readSamples(bitmap, DHASH_WIDTH, DHASH_HEIGHT);
+        bitmap.close();
+        return hashFromSamples({ gray32: large.gray, gray9x8: small.gray, color: large.color });
+    } catch (error) {
+        console.warn('[perceptualHash] Failed:', error.message);
+        return null;
+    }
+}
+
+/** hashImageUrl — Tải ảnh (http(s) / data: / blob:) rồi hash; lỗi hoặc quá thời gian → null */
+export async function hashImageUrl(url) {
+    if (!url || typeof createImageBitmap !== 'function') return null;
+    const blob = await fetchImageBlob(url);
+    if (!blob) return null;
+    const hash = await generatePerceptualHash(blob);
+    log('[perceptualHash]', hash, url.startsWith('data:') ? '(data URL)' : url);
+    return hash;
+}
+
+// =====================================================
+// COMPARISON
+// =====================================================
+
+export function isPerceptualHash(hash) {
+    return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+export function hammingDistance(hexA, hexB) {
+    let distance = 0;
+    for (let i = 0; i < hexA.length; i++) {
+        let xor = parseInt(hexA[i], 16) ^ parseInt(hexB[i], 16);
+        while (xor) {
+            distance += xor & 1;
+            xor >>= 1;
+        }
+    }
+    return distance;
+}
+
+function colorDistance(hexA, hexB) {
+    let sum = 0;
+    for (let i = 0; i < 6; i += 2) {
+        const diff = parseInt(hexA.slice(i, i + 2), 16) - parseInt(hexB.slice(i, i + 2), 16);
+        sum += diff * diff;
+    }
+    return Math.sqrt(sum);
+}
+
+/** Trung bình Hamming của pHash và dHash + độ lệch màu; Infinity khi một bên không phải perceptual hash */
+export function perceptualDistance(a, b) {
+    if (!isPerceptualHash(a) || !isPerceptualHash(b)) return Infinity;
+    const structure = (hammingDistance(a.slice(0, 16), b.slice(0, 16)) + hammingDistance(a.slice(16, 32), b.slice(16, 32))) / 2;
+    return Math.round((structure + colorDistance(a.slice(32), b.slice(32)) / COLOR_STEP) * 10) / 10;
+}
+
+/** 0 → 100%, ~32 (ảnh ngẫu nhiên) → 0% */
+export function similarityPercent(distance) {
+    if (!Number.isFinite(distance)) return 0;
+    return Math.max(0, Math.round((1 - distance / 32) * 100));
+}
+
+/**
+ * findNearDuplicates — Item có hash trong ngưỡng, gần nhất trước
+ * Input: hash, items[], getHash(item) → hash của item, maxDistance (mặc định SIMILAR_DISTANCE)
+ * Output: [{ item, distance }]
+ */
+export function findNearDuplicates(hash, items, getHash, maxDistance = SIMILAR_DISTANCE) {
+    if (!isPerceptualHash(hash)) return [];
+    return (items || [])
+        .map(item => ({ item, distance: perceptualDistance(hash, getHash(item)) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance);
+}
@@ -0,0 +1,519 @@
+/**
+ * File: price_tracker.js
+ * Purpose: Theo dõi giá món đồ trong tủ đồ (có source_url + product_meta.price) — kiểm tra lại theo
+ *          chrome.alarms và mỗi khi user quay lại trang sản phẩm, lưu lịch sử giá, báo giảm giá
+ *          qua chrome.notifications với nút "Mở sản phẩm" / "Thử đồ lại".
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: syncTrackedItems, checkTrackedPrices, recordObservedPrice, handleProductPageVisited,
+ *            handleGetPriceHistory, handleSetPriceAlert, handlePriceNotificationClick,
+ *            parseProductPriceFromHtml, fetchProductPagePrice, setPriceFetcher,
+ *            ensurePriceCheckAlarm, handlePriceCheckAlarm, PRICE_CHECK_ALARM
+ * - Entry (storage key fitly_price_tracking, map itemId → entry):
+ *   { itemId, name, imageUrl, sourceUrl, sku, currency, targetPrice, notifiedPrice, lastCheckedAt,
+ *     history: [{ at, price, currency, source: 'saved'|'alarm'|'visit' }] }
+ * - Price fetcher (thay được qua setPriceFetcher): (url, { sku, signal }) → { price, currency } | null
+ *
+ * Flow:
+ * 1. syncTrackedItems: đọc cache demo_wardrobe → tạo entry cho món có giá, giá lúc lưu = mốc so sánh
+ * 2. Alarm → checkTrackedPrices: fetch lại trang sản phẩm (entry lâu chưa kiểm tra nhất trước)
+ * 3. Content script thấy trang có giá → PRODUCT_PAGE_VISITED → handleProductPageVisited (không cần fetch)
+ * 4. recordObservedPrice: ghi lịch sử khi giá đổi; giá ≤ ngưỡng → notification
+ *    Ngưỡng = targetPrice user đặt, mặc định giá lúc lưu giảm extension_price_drop_percent (10%)
+ *
+ * Edge Cases:
+ * - Service worker không có DOMParser → parse HTML bằng regex (JSON-LD, meta product:*, itemprop price);
+ *   trang render giá bằng JS sẽ không đọc được qua fetch — lần user mở lại trang sẽ bù
+ * - Giá đổi tiền tệ (site đổi vùng) → vẫn ghi lịch sử, không so với mốc
+ * - Đã báo ở một mức giá → chỉ báo lại khi giá giảm tiếp, hoặc sau khi giá vượt lại ngưỡng
+ * - PRODUCT_PAGE_VISITED đến từ mọi trang có giá → trang không thuộc món nào chỉ đọc storage, không ghi
+ */
+
+import { handleContextTryonImage, openSidePanel } from './context_menus.js';
+import { sessionReady } from './session_ready_gate.js';
+import { log } from './debug_logger.js';
+import { normalizeProductUrl } from './normalize_product_url.js';
+
+export const PRICE_CHECK_ALARM = 'fitly-price-check';
+const TRACKING_STORAGE_KEY = 'fitly_price_tracking';
+const PRICE_NOTIFICATION_PREFIX = 'fitly-price-drop:';
+const CHECK_PERIOD_MINUTES = 180;
+// Mỗi món kiểm tra tối đa 2 lần / ngày — tránh spam request tới site bán hàng
+const RECHECK_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const MAX_CHECKS_PER_RUN = 10;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_HISTORY_ENTRIES = 60;
+const DEFAULT_DROP_PERCENT = 10;
+
+const NOTIFICATION_TEXT = {
+    vi: { title: 'Giảm giá: {name}', message: 'Còn {price} (trước {previous})', open: 'Mở sản phẩm', tryon: 'Thử đồ lại' },
+    en: { title: 'Price drop: {name}', message: 'Now {price} (was {previous})', open: 'Open product', tryon: 'Try on again' },
+};
+
+// Serialize read-modify-write — chrome.storage không có transaction
+let _writeChain = Promise.resolve();
+let _checking = null;
+let _priceFetcher = fetchProductPagePrice;
+
+// ==========================================
+// STORAGE
+// ==========================================
+
+async function loadTracking() {
+    const data = await chrome.storage.local.get(TRACKING_STORAGE_KEY);
+    return data[TRACKING_STORAGE_KEY] || {};
+}
+
+/** Mutator sửa tracking tại chỗ — chỉ ghi lại storage khi có entry thêm / xoá / đổi */
+function updateTracking(mutator) {
+    const run = _writeChain.then(async () => {
+        const tracking = await loadTracking();
+        const before = JSON.stringify(tracking);
+        const result = await mutator(tracking);
+        if (JSON.stringify(tracking) !== before) {
+            await chrome.storage.local.set({ [TRACKING_STORAGE_KEY]: tracking });
+        }
+        return result;
+    });
+    _writeChain = run.catch(() => { });
+    return run;
+}
+
+// ==========================================
+// PRICE PARSING (service worker — không có DOM)
+// ==========================================
+
+/** Cùng quy tắc với parsePrice trong content_scripts/extract_product_metadata.js */
+function parsePrice(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const raw = String(value).replace(/[^\d.,]/g, '');
+    if (!raw) return null;
+    const decimalMatch = raw.match(/[.,](\d{1,2})$/);
+    const integerPart = decimalMatch ? raw.slice(0, -decimalMatch[0].length) : raw;
+    const number = Number(integerPart.replace(/[.,]/g, '') + (decimalMatch ? '.' + decimalMatch[1] : ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function toArray(value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function hasType(node, type) {
+    return toArray(node?.['@type']).some(t => String(t).toLowerCase() === type.toLowerCase());
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function readAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+
+function jsonLdProducts(html) {
+    const products = [];
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (hasType(node, 'Product') || hasType(node, 'ProductGroup')) products.push(node);
+        if (node['@graph']) visit(node['@graph']);
+        if (node.mainEntity) visit(node.mainEntity);
+    };
+
+    for (const match of html.matchAll(/<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+        try {
+            visit(JSON.parse(match[1]));
+        } catch (_) {
+            // JSON-LD lỗi cú pháp — bỏ qua block đó
+        }
+    }
+    return products;
+}
+
+function offerPrice(node) {
+    const offers = [...toArray(node.offers), ...toArray(node.hasVariant).flatMap(v => toArray(v.offers))]
+        .flatMap(offer => hasType(offer, 'AggregateOffer') && offer.offers ? toArray(offer.offers).concat(offer) : [offer]);
+    const offer = offers.find(o => o && (o.price != null || o.lowPrice != null));
+    if (!offer) return null;
+    const price = parsePrice(offer.price ?? offer.lowPrice);
+    return price == null ? null : { price, currency: offer.priceCurrency || null };
+}
+
+/**
+ * parseProductPriceFromHtml — Đọc giá từ HTML trang sản phẩm
+ * Ưu tiên: JSON-LD Product (khớp sku nếu có) > meta product:price:* / og:price:* > itemprop="price"
+ * Output: { price, currency } | null
+ */
+export function parseProductPriceFromHtml(html, { sku = null } = {}) {
+    if (!html) return null;
+
+    const products = jsonLdProducts(html);
+    const skuOf = node => String(node.sku || node.productGroupID || node.mpn || '');
+    const product = (sku && products.find(node => skuOf(node) === sku)) || (products.length === 1 ? products[0] : null);
+    const fromJsonLd = product && offerPrice(product);
+    if (fromJsonLd) return fromJsonLd;
+
+    const meta = {};
+    const itemprops = {};
+    for (const match of html.matchAll(/<(meta|span|div|data)\s[^>]*>/gi)) {
+        const attributes = readAttributes(match[0]);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content && !(key in meta)) meta[key] = attributes.content;
+        if (attributes.itemprop && attributes.content && !(attributes.itemprop in itemprops)) {
+            itemprops[attributes.itemprop] = attributes.content;
+        }
+    }
+
+    const metaPrice = parsePrice(meta['product:price:amount'] ?? meta['og:price:amount']);
+    if (metaPrice != null) {
+        return { price: metaPrice, currency: meta['product:price:currency'] || meta['og:price:currency'] || null };
+    }
+
+    const itempropPrice = parsePrice(itemprops.price ?? itemprops.lowPrice);
+    if (itempropPrice != null) return { price: itempropPrice, currency: itemprops.priceCurrency || null };
+
+    return null;
+}
+
+/**
+ * fetchProductPagePrice — Price fetcher mặc định: tải HTML trang sản phẩm rồi parse
+ */
+export async function fetchProductPagePrice(url, { sku = null, signal } = {}) {
+    const response = await fetch(url, {
+        credentials: 'omit',
+        headers: { Accept: 'text/html' },
+        signal,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return parseProductPriceFromHtml(await response.text(), { sku });
+}
+
+/**
+ * setPriceFetcher — Thay lớp lấy giá (test với fixture server, API riêng của site)
+ * Truyền null để quay về fetchProductPagePrice
+ */
+export function setPriceFetcher(fetcher) {
+    _priceFetcher = typeof fetcher === 'function' ? fetcher : fetchProductPagePrice;
+}
+
+// ==========================================
+// TRACKED ITEMS
+// ==========================================
+
+async function getDropPercent() {
+    const { extension_price_drop_percent } = await chrome.storage.local.get('extension_price_drop_percent');
+    const percent = Number(extension_price_drop_percent);
+    return Number.isFinite(percent) && percent > 0 && percent < 100 ? percent : DEFAULT_DROP_PERCENT;
+}
+
+/**
+ * syncTrackedItems — Đồng bộ danh sách theo dõi với cache tủ đồ (demo_wardrobe — DB cũng ghi cache này)
+ * Món mới có giá → entry mới; món đã xoá khỏi tủ đồ → bỏ theo dõi
+ */
+export async function syncTrackedItems() {
+    const { demo_wardrobe: wardrobe } = await chrome.storage.local.get('demo_wardrobe');
+    if (!Array.isArray(wardrobe)) return loadTracking();
+
+    return updateTracking(tracking => {
+        const trackable = wardrobe.filter(item => item?.id && item.source_url && item.product_meta?.price != null);
+        const ids = new Set(trackable.map(item => String(item.id)));
+
+        for (const itemId of Object.keys(tracking)) {
+            if (!ids.has(itemId)) delete tracking[itemId];
+        }
+
+        for (const item of trackable) {
+            const itemId = String(item.id);
+            const product = item.product_meta;
+            const entry = tracking[itemId] || {
+                itemId,
+                currency: product.currency || null,
+                targetPrice: null,
+                notifiedPrice: null,
+                lastCheckedAt: 0,
+                history: [{
+                    at: Date.parse(item.created_at) || Date.now(),
+                    price: product.price,
+                    currency: product.currency || null,
+                    source: 'saved',
+                }],
+            };
+            entry.name = item.name || product.name || null;
+            entry.imageUrl = item.image_url || null;
+            entry.sourceUrl = item.source_url;
+            entry.sku = product.sku || null;
+            tracking[itemId] = entry;
+        }
+        return tracking;
+    });
+}
+
+function formatPrice(price, currency) {
+    try {
+        return currency
+            ? new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 2 }).format(price)
+            : price.toLocaleString();
+    } catch (_) {
+        return `${price.toLocaleString()} ${currency}`;
+    }
+}
+
+async function notifyPriceDrop(entry, price, currency) {
+    const { extension_locale } = await chrome.storage.local.get('extension_locale');
+    const text = NOTIFICATION_TEXT[extension_locale] || NOTIFICATION_TEXT.en;
+    const fill = (template, vars) => template.replace(/\{(\w+)\}/g, (_, key) => vars[key] ?? '');
+    const reference = entry.history[0];
+
+    await chrome.notifications.create(PRICE_NOTIFICATION_PREFIX + entry.itemId, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: fill(text.title, { name: entry.name || new URL(entry.sourceUrl).hostname }),
+        message: fill(text.message, {
+            price: formatPrice(price, currency),
+            previous: formatPrice(reference.price, reference.currency),
+        }),
+        buttons: [{ title: text.open }, { title: text.tryon }],
+        requireInteraction: true,
+    });
+}
+
+/**
+ * recordObservedPrice — Ghi giá vừa thấy cho một entry và quyết định có báo giảm giá không
+ * Input:  itemId, price, currency, source ('alarm' | 'visit')
+ * Output: { recorded, notified }
+ */
+export async function recordObservedPrice({ itemId, price, currency = null, source }) {
+    if (price == null || !Number.isFinite(price)) return { recorded: false, notified: false };
+    const dropPercent = await getDropPercent();
+
+    const decision = await updateTracking(tracking => {
+        const entry = tracking[itemId];
+        if (!entry) return null;
+
+        const now = Date.now();
+        const last = entry.history[entry.history.length - 1];
+        const recorded = !last || last.price !== price || last.currency !== currency;
+        if (recorded) {
+            entry.history = [...entry.history, { at: now, price, currency, source }];
+            // Giữ mốc giá lúc lưu (entry đầu) + các lần đổi giá gần nhất
+            if (entry.history.length > MAX_HISTORY_ENTRIES) {
+                entry.history = [entry.history[0], ...entry.history.slice(-(MAX_HISTORY_ENTRIES - 1))];
+            }
+        }
+        entry.lastCheckedAt = now;
+
+        const reference = entry.history[0];
+        if (currency && reference.currency && currency !== reference.currency) {
+            return { recorded, notify: false };
+        }
+
+        const threshold = entry.targetPrice ?? reference.price * (1 - dropPercent / 100);
+        if (price > threshold) {
+            entry.notifiedPrice = null;
+            return { recorded, notify: false };
+        }
+        if (entry.notifiedPrice != null && price >= entry.notifiedPrice) {
+            return { recorded, notify: false };
+        }
+        entry.notifiedPrice = price;
+        return { recorded, notify: true, entry: { ...entry } };
+    });
+
+    if (!decision) return { recorded: false, notified: false };
+    if (decision.notify) {
+        await notifyPriceDrop(decision.entry, price, currency).catch(err =>
+            console.warn('[Fitly] Price drop notification failed:', err));
+    }
+    return { recorded: decision.recorded, notified: decision.notify };
+}
+
+function markChecked(itemId) {
+    return updateTracking(tracking => {
+        if (tracking[itemId]) tracking[itemId].lastCheckedAt = Date.now();
+    });
+}
+
+/**
+ * checkTrackedPrices — Kiểm tra lại giá các món quá RECHECK_INTERVAL_MS (gọi từ alarm)
+ * Input:  { force } — bỏ qua khoảng chờ (test / nút "kiểm tra ngay")
+ */
+export async function checkTrackedPrices({ force = false } = {}) {
+    if (_checking) return _checking;
+
+    _checking = (async () => {
+        const tracking = await syncTrackedItems();
+        const now = Date.now();
+        const due = Object.values(tracking)
+            .filter(entry => force || now - (entry.lastCheckedAt || 0) >= RECHECK_INTERVAL_MS)
+            .sort((a, b) => (a.lastCheckedAt || 0) - (b.lastCheckedAt || 0))
+            .slice(0, MAX_CHECKS_PER_RUN);
+
+        let checked = 0;
+        let notified = 0;
+        for (const entry of due) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+            try {
+                const observed = await _priceFetcher(entry.sourceUrl, { sku: entry.sku, signal: controller.signal });
+                if (!observed || observed.price == null) {
+                    // Trang không còn giá (hết hàng, render bằng JS) — vẫn đánh dấu đã kiểm tra
+                    await markChecked(entry.itemId);
+                    continue;
+                }
+                const result = await recordObservedPrice({
+                    itemId: entry.itemId,
+                    price: observed.price,
+                    currency: observed.currency || entry.currency,
+                    source: 'alarm',
+                });
+                checked++;
+                if (result.notified) notified++;
+            } catch (error) {
+                // Trang lỗi / chặn bot — chờ lượt sau, không chiếm suất kiểm tra của món khác
+                log('[Fitly] Price check failed:', entry.sourceUrl, error.message);
+                await markChecked(entry.itemId);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+        return { success: true, checked, notified };
+    })();
+
+    try {
+        return await _checking;
+    } finally {
+        _checking = null;
+    }
+}
+
+/**
+ * handleProductPageVisited — Content script đọc được giá trên trang user đang xem
+ * Input:  { url, product: { price, currency, sku } }, sender (tab)
+ */
+export async function handleProductPageVisited(data, sender) {
+    const url = normalizeProductUrl(data?.url || sender?.tab?.url);
+    const product = data?.product;
+    if (!url || product?.price == null) return { success: true, matched: 0 };
+
+    // Mọi trang có giá đều báo về — đọc trước, chỉ đồng bộ (ghi) khi trang là món đang / sắp theo dõi
+    const [known, { demo_wardrobe: wardrobe }] = await Promise.all([
+        loadTracking(),
+        chrome.storage.local.get('demo_wardrobe'),
+    ]);
+    const isTracked = Object.values(known).some(entry => normalizeProductUrl(entry.sourceUrl) === url)
+        || (Array.isArray(wardrobe) && wardrobe.some(item => item?.source_url && normalizeProductUrl(item.source_url) === url));
+    if (!isTracked) return { success: true, matched: 0 };
+
+    const tracking = await syncTrackedItems();
+    const matches = Object.values(tracking).filter(entry =>
+        normalizeProductUrl(entry.sourceUrl) === url && (!entry.sku || !product.sku || entry.sku === product.sku));
+
+    for (const entry of matches) {
+        await recordObservedPrice({
+            itemId: entry.itemId,
+            price: product.price,
+            currency: product.currency || entry.currency,
+            source: 'visit',
+        });
+    }
+    return { success: true, matched: matches.length };
+}
+
+export async function handleGetPriceHistory(data = {}) {
+    const tracking = await syncTrackedItems();
+    if (data.itemId) {
+        return { success: true, entry: tracking[String(data.itemId)] || null };
+    }
+    return { success: true, entries: Object.values(tracking) };
+}
+
+/**
+ * handleSetPriceAlert — User đặt giá mong muốn cho một món (null = về ngưỡng mặc định theo %)
+ */
+export async function handleSetPriceAlert(data = {}) {
+    await syncTrackedItems();
+    const targetPrice = data.targetPrice == null ? null : parsePrice(data.targetPrice);
+    const entry = await updateTracking(tracking => {
+        const existing = tracking[String(data.itemId)];
+        if (!existing) return null;
+        existing.targetPrice = targetPrice;
+        existing.notifiedPrice = null;
+        return { ...existing };
+    });
+    return entry
+        ? { success: true, entry }
+        : { success: false, error: 'Món đồ chưa có giá để theo dõi' };
+}
+
+// ==========================================
+// NOTIFICATION ACTIONS
+// ==========================================
+
+/**
+ * handlePriceNotificationClick — Nút 0 / click thân notification: mở trang sản phẩm;
+ * nút 1: mở trang sản phẩm + sidebar với món đồ đã chọn sẵn để thử lại
+ * Listener phải gọi đồng bộ — sidebar được mở trước mọi await (user gesture của cú click notification)
+ * Output: true nếu notification thuộc price tracker
+ */
+export async function handlePriceNotificationClick(notificationId, buttonIndex = 0) {
+    if (!notificationId?.startsWith(PRICE_NOTIFICATION_PREFIX)) return false;
+    // Tab sản phẩm mở sau trong cửa sổ đang focus → mở sidebar cho chính cửa sổ đó ngay bây giờ
+    const sidePanelOpening = buttonIndex === 1
+        ? openSidePanel({ windowId: chrome.windows.WINDOW_ID_CURRENT })
+        : null;
+    chrome.notifications.clear(notificationId);
+
+    const itemId = notificationId.slice(PRICE_NOTIFICATION_PREFIX.length);
+    const entry = (await loadTracking())[itemId];
+    if (!entry?.sourceUrl) return true;
+
+    const tab = await chrome.tabs.create({ url: entry.sourceUrl, active: true });
+    if (sidePanelOpening && entry.imageUrl) {
+        await sidePanelOpening;
+        const { demo_wardrobe: wardrobe = [] } = await chrome.storage.local.get('demo_wardrobe');
+        const item = wardrobe.find(w => String(w.id) === itemId);
+        // Không mở được sidebar → openSidePanel đã báo; ảnh vẫn chờ sẵn trong session storage
+        await handleContextTryonImage({
+            srcUrl: entry.imageUrl,
+            pageUrl: entry.sourceUrl,
+            product: item?.product_meta || null,
+            sidePanelOpen: true,
+        }, tab);
+    }
+    return true;
+}
+
+// ==========================================
+// ALARM
+// ==========================================
+
+/**
+ * ensurePriceCheckAlarm — Alarm định kỳ kiểm tra giá (gọi lúc startup)
+ */
+export async function ensurePriceCheckAlarm() {
+    const existing = await chrome.alarms.get(PRICE_CHECK_ALARM);
+    if (!existing) {
+        await chrome.alarms.create(PRICE_CHECK_ALARM, { periodInMinutes: CHECK_PERIOD_MINUTES });
+    }
+}
+
+export async function handlePriceCheckAlarm(alarm) {
+    if (alarm?.name !== PRICE_CHECK_ALARM) return;
+    await sessionReady;
+    await checkTrackedPrices();
+}
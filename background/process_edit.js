@@ -3,8 +3,9 @@
  * Purpose: Xử lý edit ảnh kết quả try-on qua Edge Function process-tryon (edit_mode=true)
  * Layer: Application / Feature
  * Data Contract:
- * - Input:  { imageUrl: string, editRequest: string }
- * - Output: { success: boolean, resultImage?: string, gemsUsed?: number, gemsRemaining?: number, error?: string }
+ * - Input:  { imageUrl: string, editRequest: string, requestId?: string }
+ * - Output: { success: boolean, resultImage?: string, gemsUsed?: number, gemsRemaining?: number,
+ *             alreadyProcessed?: boolean, error?: string, errorCode?: string }
  * Flow: Auth → Guest/Demo check → callEditEdge → retry on 401 → return result
  */
 
@@ -12,13 +13,14 @@ import { supabase } from '../extension/config.js';
 import { isDemoMode, getAuthToken, refreshAuthToken } from './auth_state_manager.js';
 import { demoState, SUPABASE_AUTH_KEY, SUPABASE_AUTH_URL as SUPABASE_URL } from './ENVIRONMENT_CONFIG.js';
 import { isGuestMode } from './auth_handlers.js';
+import { recordGemCharge, resolveGemCharge } from './gem_ledger.js';
 
 /**
  * callEditEdge — Helper tránh duplicate fetch code giữa first-try và retry
- * Input:  token (JWT string), imageUrl, editRequest
+ * Input:  token (JWT string), imageUrl, editRequest, requestId (idempotency key — giống nhau giữa first-try và retry)
  * Output: Response object từ Edge Function
  */
-async function callEditEdge(token, imageUrl, editRequest) {
+async function callEditEdge(token, imageUrl, editRequest, requestId) {
     return fetch(`${SUPABASE_URL}/functions/v1/process-tryon`, {
         method: 'POST',
         headers: {
@@ -30,12 +32,15 @@ async function callEditEdge(token, imageUrl, editRequest) {
             model_image: imageUrl,
             edit_mode: true,
             edit_prompt: editRequest.trim(),
+            request_id: requestId || undefined,
         }),
     });
 }
 
 export async function handleEditImage(data) {
     const { imageUrl, editRequest } = data || {};
+    // Luôn có id — vừa là idempotency key vừa để gem ledger đối soát
+    const requestId = data?.requestId || crypto.randomUUID();
 
     if (!imageUrl) return { success: false, error: 'Thiếu ảnh gốc để chỉnh sửa' };
     if (!editRequest || editRequest.trim().length === 0) return { success: false, error: 'Vui lòng nhập yêu cầu chỉnh sửa' };
@@ -80,16 +85,20 @@ export async function handleEditImage(data) {
             return { success: false, error: 'Chưa đăng nhập. Vui lòng đăng nhập để chỉnh sửa ảnh.' };
         }
 
-        // STEP 2: Gọi Edge Function
-        const response = await callEditEdge(accessToken, imageUrl, editRequest);
+        // STEP 2: Gọi Edge Function (ghi pending vào gem ledger trước)
+        await recordGemCharge({ requestId, kind: 'edit', amount: 5 })
+            .catch(err => console.warn('[handleEditImage] Gem ledger record failed (non-blocking):', err.message));
+        const settleLedger = (outcome) => resolveGemCharge(requestId, outcome).catch(() => { });
+        const response = await callEditEdge(accessToken, imageUrl, editRequest, requestId);
 
         // STEP 3: Nếu 401/403 → thử refresh token và retry
         if (response.status === 401 || response.status === 403) {
             const newToken = await refreshAuthToken();
             if (newToken) {
-                const retryResp = await callEditEdge(newToken, imageUrl, editRequest);
+                const retryResp = await callEditEdge(newToken, imageUrl, editRequest, requestId);
                 if (retryResp.ok) {
                     const retryResult = await retryResp.json();
+                    await settleLedger({ success: true, gemsUsed: retryResult.gems_used, tryonId: retryResult.tryon_id });
                     if (retryResult.gems_remaining !== undefined) {
                         demoState.gemsBalance = retryResult.gems_remaining;
                         chrome.runtime.sendMessage({ type: 'GEMS_BALANCE_UPDATED', balance: retryResult.gems_remaining }).catch(() => { });
@@ -99,14 +108,24 @@ export async function handleEditImage(data) {
                         resultImage: retryResult.result_image_url,
                         gemsUsed: retryResult.gems_used,
                         gemsRemaining: retryResult.gems_remaining,
+                        alreadyProcessed: retryResult.already_processed || false,
                     };
                 }
             }
+            await settleLedger({ success: false, error: 'AUTH_EXPIRED' });
             return { success: false, error: 'Phiên đăng nhập hết hạn. Vui lòng thử lại.' };
         }
 
         if (!response.ok) {
             const errorResult = await response.json().catch(() => ({}));
+            if (response.status === 409 && errorResult.error === 'REQUEST_IN_PROGRESS') {
+                return {
+                    success: false,
+                    error: errorResult.message || 'Yêu cầu chỉnh sửa này đang được xử lý. Vui lòng đợi.',
+                    errorCode: 'REQUEST_IN_PROGRESS',
+                };
+            }
+            await settleLedger({ success: false, error: errorResult.error || `HTTP ${response.status}` });
             return {
                 success: false,
                 error: errorResult.message || errorResult.error || `Lỗi chỉnh sửa ảnh (${response.status})`,
@@ -115,6 +134,7 @@ export async function handleEditImage(data) {
 
         // STEP 4: Xử lý response thành công
         const result = await response.json();
+        await settleLedger({ success: true, gemsUsed: result.gems_used, tryonId: result.tryon_id });
 
         if (result.gems_remaining !== undefined) {
             demoState.gemsBalance = result.gems_remaining;
@@ -126,10 +146,11 @@ export async function handleEditImage(data) {
             resultImage: result.result_image_url,
             gemsUsed: result.gems_used,
             gemsRemaining: result.gems_remaining,
+            alreadyProcessed: result.already_processed || false,
         };
 
     } catch (error) {
         console.error('[Fitly] Edit image exception:', error);
-        return { success: false, error: 'Lỗi hệ thống khi chỉnh sửa ảnh. Vui lòng thử lại.' };
+        return { success: false, error: 'Lỗi hệ thống khi chỉnh sửa ảnh. Vui lòng thử lại.', errorCode: 'NETWORK_ERROR' };
     }
 }
@@ -4,6 +4,7 @@
  * Layer: Application / Feature
  * * Data Contract:
  * - Exports: handleProcessTryOn, handleRefundGems
+ * - Mọi lần gọi Edge Function được ghi vào gem_ledger để tự đối soát / hoàn gems
  */
 
 import { supabase } from '../extension/config.js';
@@ -14,10 +15,26 @@ import { handleSaveRecentClothing } from './recent_clothing_manager.js';
 import { compressImageBlob, blobToBase64, COMPRESS_MAX_DIMENSION, COMPRESS_QUALITY } from './image_compressor.js';
 import { isGuestMode } from './auth_handlers.js';
 import { log } from './debug_logger.js';
+import { recordGemCharge, resolveGemCharge, noteGemRefund } from './gem_ledger.js';
+import '../lib/garment_styling.js';
 
+const garmentStyling = globalThis.FitlyGarmentStyling;
 
 
 
+
+// Abort do user huỷ (options.signal) vs do EDGE_TIMEOUT_MS — huỷ không phải lỗi, không gợi ý thử lại
+function abortedResult(signal) {
+    if (signal?.aborted) {
+        return { success: false, error: 'Đã huỷ thử đồ.', errorCode: 'CANCELLED' };
+    }
+    return {
+        success: false,
+        error: 'Xử lý ảnh quá lâu (timeout). Vui lòng thử lại.',
+        errorCode: 'TIMEOUT'
+    };
+}
+
 async function uploadTryonResultToStorage(tempUrl, userId, tryonId) {
     try {
         const response = await fetch(tempUrl);
@@ -56,7 +73,16 @@ async function uploadTryonResultToStorage(tempUrl, userId, tryonId) {
     }
 }
 
-export async function handleProcessTryOn(data) {
+/**
+ * handleProcessTryOn — Gọi Edge Function process-tryon cho một yêu cầu thử đồ.
+ * Input:  data (payload PROCESS_TRYON, data.request_id là idempotency key do client sinh;
+ *         clothing_images[].styling / layer — cách mặc + thứ tự lớp, lib/garment_styling.js),
+ *         options.onRequestPrepared(body) — hook được gọi ngay trước khi gửi request
+ *         (tryon_job_queue dùng để lưu cache key phục vụ resume + bắt đầu theo dõi tiến độ),
+ *         options.signal — AbortSignal để huỷ request (errorCode CANCELLED, ledger giữ pending để đối soát)
+ * Output: { success, result_image_url, tryon_id, gems_used, gems_remaining } hoặc { success: false, error, errorCode }
+ */
+export async function handleProcessTryOn(data, options = {}) {
     console.log('[DEBUG-BG-TRYON] ========== handleProcessTryOn START ==========');
     console.log('[DEBUG-BG-TRYON] Timestamp:', new Date().toISOString());
 
@@ -107,7 +133,8 @@ export async function handleProcessTryOn(data) {
         await handleSaveRecentClothing({
             imageUrl: data.clothing_image,
             sourceUrl: data.source_url,
-            name: data.clothing_name
+            name: data.clothing_name,
+            product: data.product
         });
 
         const resultUrl = MOCK_TRYON_RESULTS[Math.floor(Math.random() * MOCK_TRYON_RESULTS.length)];
@@ -189,10 +216,13 @@ export async function handleProcessTryOn(data) {
             clothingImages = [{
                 image: data.clothing_image,
                 category: data.clothing_category || 'top',
+                sub_category: data.clothing_sub_category || undefined,
                 name: data.clothing_name || 'Item',
                 image_type: data.image_type || 'unknown'
             }];
         }
+        // Cách mặc + thứ tự lớp user chọn — chuẩn hoá lại ở đây, mọi nguồn (sidebar, batch, job resume) đi qua cùng một cửa
+        clothingImages = garmentStyling.prepareClothingImages(clothingImages);
 
         const compressedClothing = await Promise.all(clothingImages.map(async (item) => {
             if (item.image && item.image.startsWith('data:') && item.image.length > 500_000) {
@@ -220,11 +250,42 @@ export async function handleProcessTryOn(data) {
             }
         }
 
+        const requestBody = {
+            model_image: modelImage,
+            clothing_images: compressedClothing,
+            quality: data.quality || 'standard',
+            // Idempotency key — retry 401 bên dưới gửi lại cùng body nên server không trừ gems lần 2.
+            // Luôn có id để gem ledger đối soát được với tryon_history
+            request_id: data.request_id || crypto.randomUUID(),
+        };
+
+        if (options.onRequestPrepared) {
+            try {
+                await options.onRequestPrepared(requestBody);
+            } catch (hookErr) {
+                console.warn('[handleProcessTryOn] onRequestPrepared hook failed (non-blocking):', hookErr.message);
+            }
+        }
+
+        // Huỷ trong lúc nén ảnh — chưa gửi gì lên server, không cần ghi ledger
+        if (options.signal?.aborted) return abortedResult(options.signal);
+
+        // Gem ledger: pending cho tới khi có response rõ ràng — timeout / SW chết sẽ được đối soát sau
+        await recordGemCharge({
+            requestId: requestBody.request_id,
+            kind: 'tryon',
+            amount: requestBody.quality === 'hd' ? 10 : 5,
+        }).catch(err => console.warn('[handleProcessTryOn] Gem ledger record failed (non-blocking):', err.message));
+        const settleLedger = (outcome) => resolveGemCharge(requestBody.request_id, outcome).catch(() => { });
+
         // STEP 5: Helper — gọi Edge Function với token + timeout 5 phút
         const EDGE_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
         const callTryOnEdge = (token) => {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), EDGE_TIMEOUT_MS);
+            const abortOnCancel = () => controller.abort();
+            options.signal?.addEventListener('abort', abortOnCancel, { once: true });
+            if (options.signal?.aborted) controller.abort();
 
             return fetch(`${SUPABASE_URL}/functions/v1/process-tryon`, {
                 method: 'POST',
@@ -234,12 +295,11 @@ export async function handleProcessTryOn(data) {
                     'apikey': SUPABASE_AUTH_KEY,
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({
-                    model_image: modelImage,
-                    clothing_images: compressedClothing,
-                    quality: data.quality || 'standard',
-                }),
-            }).finally(() => clearTimeout(timeoutId));
+                body: JSON.stringify(requestBody),
+            }).finally(() => {
+                clearTimeout(timeoutId);
+                options.signal?.removeEventListener('abort', abortOnCancel);
+            });
         };
 
         // STEP 6: Gọi lần đầu
@@ -250,13 +310,7 @@ export async function handleProcessTryOn(data) {
         try {
             response = await callTryOnEdge(accessToken);
         } catch (fetchErr) {
-            if (fetchErr.name === 'AbortError') {
-                return {
-                    success: false,
-                    error: 'Xử lý ảnh quá lâu (timeout). Vui lòng thử lại.',
-                    errorCode: 'TIMEOUT'
-                };
-            }
+            if (fetchErr.name === 'AbortError') return abortedResult(options.signal);
             throw fetchErr; // Re-throw network errors to outer catch
         }
         const edgeCallTime = Date.now() - edgeCallStart;
@@ -286,6 +340,7 @@ export async function handleProcessTryOn(data) {
                 // Refresh thất bại — KHÔNG xóa tokens (user có thể re-login và retry)
                 console.error('[DEBUG-BG-TRYON] 🔴 REFRESH FAILED on retry — returning AUTH_EXPIRED (tokens preserved)');
                 console.error('[DEBUG-BG-TRYON] retryRefreshErr:', retryRefreshErr?.message || 'returned null');
+                await settleLedger({ success: false, error: 'AUTH_EXPIRED' });
                 return {
                     success: false,
                     error: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.',
@@ -297,13 +352,7 @@ export async function handleProcessTryOn(data) {
             try {
                 response = await callTryOnEdge(newAccessToken);
             } catch (retryFetchErr) {
-                if (retryFetchErr.name === 'AbortError') {
-                    return {
-                        success: false,
-                        error: 'Xử lý ảnh quá lâu (timeout). Vui lòng thử lại.',
-                        errorCode: 'TIMEOUT'
-                    };
-                }
+                if (retryFetchErr.name === 'AbortError') return abortedResult(options.signal);
                 throw retryFetchErr;
             }
             log('[handleProcessTryOn] Retry call status:', response.status);
@@ -320,6 +369,7 @@ export async function handleProcessTryOn(data) {
                         await supabase.auth.signOut({ scope: 'local' });
                         console.log('[DEBUG-BG-TRYON] Cleared stale session after double 401');
                     } catch (_) { /* ignore */ }
+                    await settleLedger({ success: false, error: 'AUTH_EXPIRED' });
                     return {
                         success: false,
                         error: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.',
@@ -333,6 +383,27 @@ export async function handleProcessTryOn(data) {
         // STEP 8: Xử lý các lỗi khác (non-auth)
         if (!response.ok) {
             const errorResult = await response.json().catch(() => ({}));
+            if (response.status === 409 && errorResult.error === 'REQUEST_IN_PROGRESS') {
+                // Cùng request_id đang được server xử lý (lần gửi trước chưa xong) — không tính phí lần 2
+                return {
+                    success: false,
+                    error: errorResult.message || 'Yêu cầu này đang được xử lý. Vui lòng đợi.',
+                    errorCode: 'REQUEST_IN_PROGRESS'
+                };
+            }
+            await settleLedger({ success: false, error: errorResult.error || `HTTP ${response.status}` });
+            if (errorResult.error === 'REQUEST_CANCELLED') {
+                // Server thấy cờ huỷ trước khi request bị abort — gems đã được server hoàn
+                return { success: false, error: errorResult.message || 'Đã huỷ thử đồ.', errorCode: 'CANCELLED' };
+            }
+            if (response.status === 429 && errorResult.error === 'RATE_LIMIT_EXCEEDED') {
+                // Giới hạn 5 lần/phút (chặn trước khi trừ gems) — batch try-on chờ rồi gửi lại
+                return {
+                    success: false,
+                    error: errorResult.message || 'Bạn đã đạt giới hạn 5 lần thử/phút.',
+                    errorCode: 'RATE_LIMIT_EXCEEDED'
+                };
+            }
             return {
                 success: false,
                 error: errorResult.message || errorResult.error || `Lỗi AI try-on (${response.status})`,
@@ -340,13 +411,15 @@ export async function handleProcessTryOn(data) {
         }
 
         const result = await response.json();
+        await settleLedger({ success: true, gemsUsed: result.gems_used, tryonId: result.tryon_id });
 
         // STEP 9: Lưu clothing vào recent history
         if (clothingImages.length > 0) {
             await handleSaveRecentClothing({
                 imageUrl: clothingImages[0].image,
                 sourceUrl: data.source_url || '',
-                name: clothingImages[0].name
+                name: clothingImages[0].name,
+                product: data.product
             });
         }
 
@@ -411,9 +484,11 @@ export async function handleProcessTryOn(data) {
             gems_used: result.gems_used,
             gems_remaining: result.gems_remaining,
             cached: result.cached || false,
+            already_processed: result.already_processed || false,
         };
     } catch (error) {
         console.error('[Fitly] Edge Function connection error:', error);
+        if (options.signal?.aborted) return abortedResult(options.signal);
         if (error.name === 'AbortError') {
             return { success: false, error: 'Xử lý ảnh quá lâu. Vui lòng thử lại.', errorCode: 'TIMEOUT' };
         }
@@ -472,7 +547,8 @@ export async function handleRefundGems(data) {
                 user_id: userId,
                 amount: refundAmount,
                 reason: data.reason || 'Image validation failed',
-                provider: data.provider || 'unknown'
+                provider: data.provider || 'unknown',
+                tryon_id: data.tryonId || null,
             }),
         });
 
@@ -482,6 +558,7 @@ export async function handleRefundGems(data) {
         }
 
         const result = await refundResponse.json();
+        await noteGemRefund({ tryonId: data.tryonId, amount: refundAmount, reason: data.reason }).catch(() => { });
 
         if (result.gems_remaining !== undefined) {
             demoState.gemsBalance = result.gems_remaining;
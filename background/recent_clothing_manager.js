@@ -4,10 +4,21 @@
  * Layer: Application / Feature
  * * Data Contract:
  * - Exports: handleGetRecentClothing, handleSaveRecentClothing, handleDeleteRecentClothing
+ * - Item: { id, imageUrl, sourceUrl, name, category, subcategory, sourceType, cachedKey, timestamp, tryCount, saved, product }
+ *   product — metadata từ trang sản phẩm (content_scripts/extract_product_metadata.js) hoặc null
+ *   category / subcategory — chuẩn hoá qua lib/garment_taxonomy.js, subcategory null khi chưa biết
+ *   perceptualHash — perceptual_hash.js; ảnh khác URL nhưng gần trùng (resize / nén lại) gộp vào item cũ
+ *   colors / pattern — garment_attributes.js (bộ lọc màu / hoạ tiết của tủ đồ)
+ *   tags / notes — user tự ghi (UPDATE_WARDROBE_ITEM), dùng cho tìm kiếm tủ đồ (wardrobe_search_index.js)
  */
 
 import { demoState } from './ENVIRONMENT_CONFIG.js';
 import { createThumbnailBase64 } from './image_compressor.js';
+import { findNearDuplicates, DUPLICATE_DISTANCE } from './perceptual_hash.js';
+import { analyzeGarmentImage, hasGarmentAttributes } from './garment_attributes.js';
+import '../lib/garment_taxonomy.js';
+
+const taxonomy = globalThis.FitlyGarmentTaxonomy;
 
 export async function createClothingThumbnail(imageUrl) {
     if (!imageUrl || !imageUrl.startsWith('http')) return null;
@@ -23,6 +34,17 @@ export async function createClothingThumbnail(imageUrl) {
     }
 }
 
+/** Tên fallback từ hostname của trang nguồn (vd 'zara.com'), null nếu không có URL hợp lệ */
+function hostnameName(sourceUrl) {
+    if (!sourceUrl || sourceUrl.startsWith('data:') || sourceUrl.startsWith('blob:')) return null;
+    try {
+        return new URL(sourceUrl).hostname.replace('www.', '');
+    } catch (_urlErr) {
+        // Invalid URL format — name stays empty, fallback to 'Item'
+        return null;
+    }
+}
+
 export async function handleGetRecentClothing() {
     const data = await chrome.storage.local.get(['recent_clothing', 'demo_wardrobe']);
     let items = data.recent_clothing || [];
@@ -39,10 +61,16 @@ export async function handleGetRecentClothing() {
                     sourceUrl: wItem.source_url || '',
                     name: wItem.name || 'Item',
                     category: wItem.category || null,
+                    subcategory: wItem.subcategory || null,
                     sourceType: 'online',
                     timestamp: wItem.created_at ? new Date(wItem.created_at).getTime() : Date.now(),
                     tryCount: 0,
                     saved: true,
+                    product: wItem.product_meta || null,
+                    colors: wItem.colors,
+                    pattern: wItem.pattern,
+                    tags: wItem.tags || [],
+                    notes: wItem.notes || null,
                 });
                 existingUrls.add(url);
             }
@@ -60,35 +88,41 @@ export async function handleSaveRecentClothing(data) {
     const storage = await chrome.storage.local.get('recent_clothing');
     let recentClothing = storage.recent_clothing || [];
 
-    const exists = recentClothing.find(item => item.imageUrl === data.imageUrl);
+    const { category, subcategory } = taxonomy.normalizeCategory(data.category, data.subcategory, data.name || data.product?.name);
+
+    const { perceptualHash, attributes } = await analyzeGarmentImage(data.imageUrl);
+
+    // Cùng URL, hoặc cùng ảnh ở URL khác (CDN đổi kích thước, ảnh tải lên nén lại) → cập nhật item cũ
+    const sameUrl = recentClothing.find(item => item.imageUrl === data.imageUrl);
+    const exists = sameUrl
+        || findNearDuplicates(perceptualHash, recentClothing, item => item.perceptualHash, DUPLICATE_DISTANCE)[0]?.item;
     if (exists) {
-        recentClothing = recentClothing.filter(item => item.imageUrl !== data.imageUrl);
+        recentClothing = recentClothing.filter(item => item !== exists);
         exists.timestamp = Date.now();
+        exists.perceptualHash = exists.perceptualHash || perceptualHash;
+        if (!hasGarmentAttributes(exists) && attributes) Object.assign(exists, attributes);
         exists.tryCount = (exists.tryCount || 1) + 1;
-        if (!exists.name && data.sourceUrl && !data.sourceUrl.startsWith('data:') && !data.sourceUrl.startsWith('blob:')) {
-            try {
-                const hostname = new URL(data.sourceUrl).hostname;
-                exists.name = hostname.replace('www.', '');
-            } catch (_urlErr) {
-                // Invalid URL format — name stays empty, fallback to 'Item'
-            }
+        if (!exists.name) {
+            exists.name = data.product?.name || hostnameName(data.sourceUrl);
+        }
+        if (!exists.category && category) {
+            exists.category = category;
         }
-        if (!exists.category && data.category) {
-            exists.category = data.category;
+        if (!exists.subcategory && subcategory && exists.category === category) {
+            exists.subcategory = subcategory;
+        }
+        if (data.product) {
+            // Tên theo hostname chỉ là fallback — có tên sản phẩm thật thì thay
+            if (!exists.product && exists.name === hostnameName(data.sourceUrl)) {
+                exists.name = data.product.name || exists.name;
+            }
+            exists.product = data.product;
         }
         recentClothing.unshift(exists);
     } else {
         const isLocalUpload = data.imageUrl.startsWith('data:') || data.imageUrl.startsWith('blob:');
 
-        let name = data.name;
-        if (!name && data.sourceUrl && !data.sourceUrl.startsWith('data:') && !data.sourceUrl.startsWith('blob:')) {
-            try {
-                const hostname = new URL(data.sourceUrl).hostname;
-                name = hostname.replace('www.', '');
-            } catch (_urlErr) {
-                // Invalid URL format — name stays empty, fallback to 'Item'
-            }
-        }
+        const name = data.name || data.product?.name || hostnameName(data.sourceUrl);
 
         const newItemId = 'clothing-' + Date.now();
 
@@ -97,12 +131,16 @@ export async function handleSaveRecentClothing(data) {
             imageUrl: data.imageUrl,
             sourceUrl: data.sourceUrl,
             name: name || 'Item',
-            category: data.category || null,
+            category,
+            subcategory,
             sourceType: data.sourceType || (isLocalUpload ? 'local_upload' : 'online'),
             cachedKey: data.cachedKey || null,
             timestamp: Date.now(),
             tryCount: 1,
             saved: !!data.saved,
+            product: data.product || null,
+            perceptualHash,
+            ...attributes,
         });
 
         if (data.imageUrl && data.imageUrl.startsWith('http')) {
@@ -133,7 +171,7 @@ export async function handleSaveRecentClothing(data) {
 
     try {
         await chrome.storage.local.set({ recent_clothing: recentClothing });
-        return { success: true };
+        return exists && !sameUrl ? { success: true, duplicate: true, item: exists } : { success: true };
     } catch (error) {
         return { success: false, error: 'Quota exceeded' };
     }
@@ -270,7 +308,7 @@ export async function handleDeleteWardrobeItem(data) {
 
 /**
  * handleSaveClothingToWardrobe - Lưu một món đồ từ recent clothing vào wardrobe
- * Input: { imageUrl, sourceUrl, name, category }
+ * Input: { imageUrl, sourceUrl, name, category, subcategory?, product? }
  * Output: { success } hoặc { success: false, error }
  *
  * Flow:
@@ -285,11 +323,18 @@ export async function handleSaveClothingToWardrobe(data) {
     // Import wardrobe manager để gọi handleAddToWardrobe
     const { handleAddToWardrobe } = await import('./wardrobe_manager.js');
 
+    // Sidebar chỉ gửi imageUrl — metadata sản phẩm lấy từ bản ghi recent clothing
+    const before = await chrome.storage.local.get('recent_clothing');
+    const recentItem = (before.recent_clothing || []).find(item => item.imageUrl === data.imageUrl);
+    const product = data.product || recentItem?.product || null;
+
     const result = await handleAddToWardrobe({
         image_url: data.imageUrl,
-        source_url: data.sourceUrl,
-        name: data.name || 'Saved Item',
+        source_url: data.sourceUrl || recentItem?.sourceUrl,
+        name: data.name || product?.name || 'Saved Item',
         category: data.category || 'other',
+        subcategory: data.subcategory || recentItem?.subcategory || null,
+        product,
     });
 
     if (result.success) {
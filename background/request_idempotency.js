@@ -0,0 +1,98 @@
+/**
+ * File: request_idempotency.js
+ * Purpose: Ghi nhớ kết quả theo request id do client sinh ra — cùng một request (retry 401,
+ *          bấm thử lại sau timeout, job resume) không bao giờ bị xử lý/trừ gems lần 2
+ * Layer: Infrastructure
+ *
+ * Data Contract:
+ * - Exports: runIdempotent, getRememberedResult
+ * - Storage: chrome.storage.local[fitly_request_results] = { [requestId]: { result, storedAt } }
+ *
+ * Flow:
+ * 1. Request đang chạy cùng id → chờ chung promise (không gọi Edge Function lần 2)
+ * 2. Đã có kết quả thành công → trả lại kết quả gốc kèm already_processed: true
+ * 3. Chưa có → chạy executor, chỉ ghi nhớ kết quả success (lỗi thì cho phép retry)
+ *
+ * Server (process-tryon) cũng dedupe theo request_id — đây là lớp bảo vệ phía client,
+ * tránh cả round-trip khi sidebar gửi lại request đã có kết quả.
+ */
+
+import { log } from './debug_logger.js';
+
+const RESULTS_STORAGE_KEY = 'fitly_request_results';
+const MAX_REMEMBERED_RESULTS = 50;
+const RESULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Request đang chạy trong SW hiện tại: requestId → Promise<result>
+const _inflight = new Map();
+
+async function loadResults() {
+    const data = await chrome.storage.local.get(RESULTS_STORAGE_KEY);
+    return data[RESULTS_STORAGE_KEY] || {};
+}
+
+async function rememberResult(requestId, result) {
+    try {
+        const results = await loadResults();
+        // Không lưu base64 — chỉ cần URL + metadata để trả lại kết quả gốc
+        const { result_image, ...storable } = result;
+        results[requestId] = { result: storable, storedAt: Date.now() };
+
+        const now = Date.now();
+        const ids = Object.keys(results)
+            .filter(id => now - results[id].storedAt < RESULT_TTL_MS)
+            .sort((a, b) => results[b].storedAt - results[a].storedAt)
+            .slice(0, MAX_REMEMBERED_RESULTS);
+        const pruned = Object.fromEntries(ids.map(id => [id, results[id]]));
+
+        await chrome.storage.local.set({ [RESULTS_STORAGE_KEY]: pruned });
+    } catch (error) {
+        console.warn('[Idempotency] Failed to remember result (non-blocking):', error.message);
+    }
+}
+
+/**
+ * getRememberedResult — Kết quả đã lưu cho requestId (null nếu chưa có / hết hạn)
+ */
+export async function getRememberedResult(requestId) {
+    if (!requestId) return null;
+    const entry = (await loadResults())[requestId];
+    if (!entry || Date.now() - entry.storedAt >= RESULT_TTL_MS) return null;
+    return entry.result;
+}
+
+/**
+ * runIdempotent — Chạy executor tối đa một lần thành công cho mỗi requestId
+ * Input:  requestId (string | undefined — không có thì chạy thẳng), executor () => Promise<result>,
+ *         replayFlag — tên field đánh dấu kết quả trả lại (theo naming của từng response shape)
+ * Output: result của executor, hoặc kết quả gốc kèm [replayFlag]: true
+ */
+export async function runIdempotent(requestId, executor, replayFlag = 'already_processed') {
+    if (!requestId) return executor();
+
+    if (_inflight.has(requestId)) {
+        log('[Idempotency] Request đang chạy, chờ kết quả chung:', requestId);
+        const shared = await _inflight.get(requestId);
+        return shared?.success ? { ...shared, [replayFlag]: true } : shared;
+    }
+
+    // Đăng ký in-flight đồng bộ (trước mọi await) — 2 call song song không lọt qua cùng lúc
+    const promise = (async () => {
+        const remembered = await getRememberedResult(requestId);
+        if (remembered) {
+            log('[Idempotency] Request đã xử lý, trả kết quả gốc:', requestId);
+            return { ...remembered, [replayFlag]: true };
+        }
+
+        const result = await executor();
+        if (result?.success) await rememberResult(requestId, result);
+        return result;
+    })();
+
+    _inflight.set(requestId, promise);
+    try {
+        return await promise;
+    } finally {
+        _inflight.delete(requestId);
+    }
+}
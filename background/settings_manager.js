@@ -19,6 +19,10 @@ export async function handleUpdateSettings(data) {
         if (data.qualityPreference) {
             updates.extension_quality = data.qualityPreference;
         }
+        // % giảm so với giá lúc lưu để báo giảm giá (price_tracker.js)
+        if (data.priceDropPercent != null) {
+            updates.extension_price_drop_percent = Number(data.priceDropPercent);
+        }
 
         await chrome.storage.local.set(updates);
 
@@ -35,6 +39,7 @@ export async function handleGetSettings() {
             'extension_locale',
             'extension_theme',
             'extension_quality',
+            'extension_price_drop_percent',
         ]);
 
         return {
@@ -43,6 +48,7 @@ export async function handleGetSettings() {
                 language: storage.extension_locale || 'vi',
                 theme: storage.extension_theme || 'dark',
                 qualityPreference: storage.extension_quality || 'standard',
+                priceDropPercent: storage.extension_price_drop_percent || 10,
             },
         };
     } catch (error) {
@@ -0,0 +1,230 @@
+/**
+ * File: size_recommendation.js
+ * Purpose: Profile số đo cơ thể theo từng ảnh người mẫu + gợi ý size từ bảng size trên trang sản phẩm
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: handleGetModelMeasurements, handleSaveModelMeasurements, removeModelMeasurements,
+ *            recommendSize, handleGetSizeRecommendation, MEASUREMENT_FIELDS
+ * - Profile (storage key model_measurements, map modelId → profile, đơn vị cm):
+ *   { height, chest, waist, hips, inseam, footLength, updatedAt }
+ * - Chart: xem content_scripts/parse_size_chart.js (sizes[].measurements[dimension] = { min, max } cm)
+ * - Recommendation: { size, fit: 'good'|'snug'|'relaxed'|'mixed', alternative, garment,
+ *                     details: [{ dimension, body, min, max, status: 'fit'|'tight'|'loose' }] }
+ *
+ * Flow:
+ * 1. Sidebar lưu số đo cho ảnh mẫu → SAVE_MODEL_MEASUREMENTS (nhập cm hoặc inch, lưu cm)
+ * 2. Có kết quả try-on → GET_SIZE_RECOMMENDATION { modelId, sourceUrl }
+ * 3. Tìm tab đang mở trang sản phẩm → GET_SIZE_CHART (cache theo URL trong session)
+ * 4. recommendSize: chấm điểm từng size theo độ lệch số đo ngoài khoảng → size lệch ít nhất
+ *
+ * Edge Cases:
+ * - Trang không có bảng size / chưa có profile / bảng không có số đo trùng profile → reason, không lỗi
+ * - Tab sản phẩm đã đóng → dùng bảng size đã cache lúc trước
+ */
+
+import { log } from './debug_logger.js';
+import { normalizeProductUrl } from './normalize_product_url.js';
+
+export const MEASUREMENT_FIELDS = ['height', 'chest', 'waist', 'hips', 'inseam', 'footLength'];
+
+const MEASUREMENTS_STORAGE_KEY = 'model_measurements';
+const SIZE_CHART_CACHE_KEY = 'size_chart_cache';
+const MAX_CACHED_CHARTS = 20;
+const CM_PER_INCH = 2.54;
+
+// Khoảng hợp lệ (cm) — chặn nhập nhầm đơn vị / gõ thừa số 0
+const MEASUREMENT_LIMITS = {
+    height: [50, 250],
+    chest: [40, 200],
+    waist: [30, 200],
+    hips: [40, 200],
+    inseam: [30, 120],
+    footLength: [10, 40],
+};
+
+// Lệch trong dung sai vẫn tính là vừa; trọng số = mức ảnh hưởng tới cảm giác mặc
+const TOLERANCE_CM = { height: 3, chest: 2, waist: 2, hips: 2, inseam: 1.5, footLength: 0.5 };
+const DIMENSION_WEIGHT = { height: 0.5, chest: 1, waist: 1, hips: 1, inseam: 0.7, footLength: 1.5 };
+
+// ==========================================
+// MEASUREMENT PROFILE
+// ==========================================
+
+async function loadMeasurements() {
+    const data = await chrome.storage.local.get(MEASUREMENTS_STORAGE_KEY);
+    return data[MEASUREMENTS_STORAGE_KEY] || {};
+}
+
+export async function handleGetModelMeasurements(data = {}) {
+    const profiles = await loadMeasurements();
+    if (data.modelId) {
+        return { success: true, measurements: profiles[data.modelId] || null };
+    }
+    return { success: true, profiles };
+}
+
+/**
+ * handleSaveModelMeasurements — Lưu số đo cho 1 ảnh mẫu
+ * Input:  { modelId, unit: 'cm'|'in', measurements: { height, chest, ... } } — field trống = bỏ
+ * Output: { success, measurements } | { success: false, error, field }
+ */
+export async function handleSaveModelMeasurements(data = {}) {
+    if (!data.modelId) {
+        return { success: false, error: 'Model ID is required' };
+    }
+    const factor = data.unit === 'in' ? CM_PER_INCH : 1;
+    const profile = {};
+
+    for (const field of MEASUREMENT_FIELDS) {
+        const raw = data.measurements?.[field];
+        if (raw == null || raw === '') continue;
+        const value = Math.round(Number(String(raw).replace(',', '.')) * factor * 10) / 10;
+        const [min, max] = MEASUREMENT_LIMITS[field];
+        if (!Number.isFinite(value) || value < min || value > max) {
+            return { success: false, error: 'INVALID_MEASUREMENT', field };
+        }
+        profile[field] = value;
+    }
+
+    const profiles = await loadMeasurements();
+    if (Object.keys(profile).length === 0) {
+        delete profiles[data.modelId];
+        await chrome.storage.local.set({ [MEASUREMENTS_STORAGE_KEY]: profiles });
+        return { success: true, measurements: null };
+    }
+
+    profile.updatedAt = Date.now();
+    profiles[data.modelId] = profile;
+    await chrome.storage.local.set({ [MEASUREMENTS_STORAGE_KEY]: profiles });
+    return { success: true, measurements: profile };
+}
+
+/** Xoá ảnh mẫu → xoá luôn số đo (gọi từ handleDeleteUserModel) */
+export async function removeModelMeasurements(modelId) {
+    const profiles = await loadMeasurements();
+    if (!profiles[modelId]) return;
+    delete profiles[modelId];
+    await chrome.storage.local.set({ [MEASUREMENTS_STORAGE_KEY]: profiles });
+}
+
+// ==========================================
+// RECOMMENDATION
+// ==========================================
+
+function compareDimension(dimension, body, range) {
+    const tolerance = TOLERANCE_CM[dimension];
+    let status = 'fit';
+    let deviation = 0;
+    if (body > range.max + tolerance) {
+        status = 'tight';
+        deviation = (body - range.max) / tolerance;
+    } else if (body < range.min - tolerance) {
+        status = 'loose';
+        deviation = (range.min - body) / tolerance;
+    }
+    // Phá hoà giữa các size cùng "vừa": ưu tiên size có tâm khoảng gần số đo hơn
+    const center = Math.abs(body - (range.min + range.max) / 2) / 100;
+    return { status, score: (deviation + center) * DIMENSION_WEIGHT[dimension] };
+}
+
+/**
+ * recommendSize — Chọn size lệch ít nhất so với profile
+ * Input:  chart { sizes[], garment }, profile { height, chest, ... } (cm)
+ * Output: Recommendation | null (không có số đo nào trùng giữa bảng và profile)
+ */
+export function recommendSize(chart, profile) {
+    if (!chart?.sizes?.length || !profile) return null;
+
+    const scored = chart.sizes.map((size, index) => {
+        const details = MEASUREMENT_FIELDS
+            .filter(dimension => size.measurements?.[dimension] && Number.isFinite(profile[dimension]))
+            .map(dimension => {
+                const range = size.measurements[dimension];
+                const { status, score } = compareDimension(dimension, profile[dimension], range);
+                return { dimension, body: profile[dimension], min: range.min, max: range.max, status, score };
+            });
+        return { index, size, details, score: details.reduce((sum, d) => sum + d.score, 0) };
+    }).filter(entry => entry.details.length > 0);
+
+    if (scored.length === 0) return null;
+
+    const best = scored.reduce((a, b) => (b.score < a.score ? b : a));
+    const tight = best.details.some(d => d.status === 'tight');
+    const loose = best.details.some(d => d.status === 'loose');
+    const fit = tight && loose ? 'mixed' : tight ? 'snug' : loose ? 'relaxed' : 'good';
+
+    // Bảng size xếp từ nhỏ → lớn: chật → gợi ý size kế tiếp, rộng → size trước đó
+    let alternative = null;
+    if (fit === 'snug') alternative = chart.sizes[best.index + 1]?.label || null;
+    if (fit === 'relaxed') alternative = chart.sizes[best.index - 1]?.label || null;
+
+    return {
+        size: best.size.label,
+        fit,
+        alternative,
+        garment: chart.garment || null,
+        details: best.details.map(({ score, ...detail }) => detail),
+    };
+}
+
+// ==========================================
+// SIZE CHART LOOKUP
+// ==========================================
+
+/** Nhiều bảng trên trang (size áo + size quần, bảng quy đổi) → lấy bảng có nhiều số đo nhất */
+function pickBestChart(charts) {
+    const richness = chart => chart.sizes.reduce((sum, size) => sum + Object.keys(size.measurements).length, 0);
+    return (charts || []).reduce((best, chart) => (!best || richness(chart) > richness(best) ? chart : best), null);
+}
+
+async function getSizeChartForPage(sourceUrl) {
+    const key = normalizeProductUrl(sourceUrl);
+    if (!key) return null;
+
+    let chart = null;
+    try {
+        const tabs = await chrome.tabs.query({});
+        const tab = tabs.find(t => normalizeProductUrl(t.url) === key);
+        if (tab) {
+            const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_SIZE_CHART' });
+            chart = pickBestChart(response?.charts);
+        }
+    } catch (error) {
+        // Content script chưa inject (tab mở trước khi cài extension) → thử cache
+        log('[Fitly] GET_SIZE_CHART failed:', error.message);
+    }
+
+    const { [SIZE_CHART_CACHE_KEY]: cache = {} } = await chrome.storage.session.get(SIZE_CHART_CACHE_KEY);
+    if (!chart) return cache[key]?.chart || null;
+
+    cache[key] = { chart, at: Date.now() };
+    const keep = Object.entries(cache).sort((a, b) => b[1].at - a[1].at).slice(0, MAX_CACHED_CHARTS);
+    await chrome.storage.session.set({ [SIZE_CHART_CACHE_KEY]: Object.fromEntries(keep) });
+    return chart;
+}
+
+/**
+ * handleGetSizeRecommendation — Gợi ý size cho kết quả try-on
+ * Input:  { modelId, sourceUrl }
+ * Output: { success, recommendation, reason?: 'NO_CHART'|'NO_PROFILE'|'NO_MATCHING_MEASUREMENTS' }
+ */
+export async function handleGetSizeRecommendation(data = {}) {
+    try {
+        // Kiểm tra bảng size trước — trang không có bảng thì sidebar không cần nhắc nhập số đo
+        const chart = data.sourceUrl ? await getSizeChartForPage(data.sourceUrl) : null;
+        if (!chart) return { success: true, recommendation: null, reason: 'NO_CHART' };
+
+        const profiles = await loadMeasurements();
+        const profile = data.modelId ? profiles[data.modelId] : null;
+        if (!profile) return { success: true, recommendation: null, reason: 'NO_PROFILE' };
+
+        const recommendation = recommendSize(chart, profile);
+        return recommendation
+            ? { success: true, recommendation }
+            : { success: true, recommendation: null, reason: 'NO_MATCHING_MEASUREMENTS' };
+    } catch (error) {
+        console.error('[Fitly] Size recommendation error:', error);
+        return { success: false, error: error.message };
+    }
+}
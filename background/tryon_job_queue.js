@@ -0,0 +1,493 @@
+/**
+ * File: tryon_job_queue.js
+ * Purpose: Hàng đợi try-on bền vững — job được lưu trong chrome.storage.local và theo dõi bằng chrome.alarms,
+ *          nên khi Chrome kill Service Worker giữa chừng, job vẫn được resume / poll / fail sạch sẽ.
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: createTryonJob, getTryonJob, listTryonJobs, acknowledgeTryonJob, cancelTryonJob,
+ *            resumeTryonJobs, handleTryonJobAlarm, TRYON_JOB_ALARM
+ * - Job (storage key fitly_tryon_jobs, map id → job):
+ *   { id, status: 'queued'|'running'|'completed'|'failed', request, requestId, meta, cacheKey,
+ *     result, error, errorCode, attempts, delivered, createdAt, startedAt, finishedAt }
+ *
+ * Flow:
+ * 1. createTryonJob → lưu job 'queued' → bật alarm → runTryonJob (không await)
+ * 2. runTryonJob → 'running' → handleProcessTryOn → 'completed' / 'failed' → broadcast TRYON_JOB_UPDATED
+ * 3. SW restart (startup + alarm) → resumeTryonJobs:
+ *    - job 'running' nhưng không chạy trong SW hiện tại = SW cũ đã chết giữa chừng
+ *    - có request_id / cacheKey (request đã gửi lên server) → tra tryon_history → completed nếu server đã xong
+ *    - server có thể vẫn đang generate (trong EDGE timeout) → chờ, alarm sau kiểm tra lại
+ *    - quá timeout hoặc request chưa từng gửi → chạy lại (tối đa MAX_JOB_ATTEMPTS) hoặc fail;
+ *      chạy lại dùng cùng request_id nên server trả kết quả gốc thay vì trừ gems lần 2
+ * 4. Sidebar reattach bằng GET_TRYON_JOB / GET_TRYON_JOBS và ACK_TRYON_JOB khi đã nhận kết quả
+ * 5. Tiến độ: publish stage qua tryon_progress (preparing → uploading → stage server → completed / failed)
+ * 6. cancelTryonJob → abort request + đặt cờ cancel_requested trên tryon_history (server dừng
+ *    prediction, hoàn gems) → job 'failed' / CANCELLED; gem ledger đối soát lại sớm
+ */
+
+import { getAuthToken } from './auth_state_manager.js';
+import { SUPABASE_AUTH_KEY, SUPABASE_AUTH_URL as SUPABASE_URL } from './ENVIRONMENT_CONFIG.js';
+import { handleProcessTryOn } from './process_tryon.js';
+import { runIdempotent } from './request_idempotency.js';
+import { markGemChargeCancelled } from './gem_ledger.js';
+import { publishTryonProgress, trackServerProgress, showProgressInActiveTab } from './tryon_progress.js';
+import { sessionReady } from './session_ready_gate.js';
+import { log } from './debug_logger.js';
+import '../lib/garment_styling.js';
+
+export const TRYON_JOB_ALARM = 'fitly-tryon-jobs';
+
+const garmentStyling = globalThis.FitlyGarmentStyling;
+
+const JOBS_STORAGE_KEY = 'fitly_tryon_jobs';
+const MAX_JOB_ATTEMPTS = 2;
+const MAX_JOBS_KEPT = 20;
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+// Edge Function timeout (5 phút) + grace — sau mốc này server chắc chắn không còn xử lý request cũ
+const SERVER_GIVE_UP_MS = 6 * 60 * 1000;
+
+// Job đang chạy trong SW hiện tại — SW restart → Set rỗng → mọi job 'running' trong storage là mồ côi
+const _runningJobIds = new Set();
+// jobId → AbortController của request đang chạy (cancelTryonJob abort)
+const _jobControllers = new Map();
+
+// Mutex cho read-modify-write trên fitly_tryon_jobs (nhiều job có thể update cùng lúc)
+let _writeChain = Promise.resolve();
+
+// ==========================================
+// STORAGE HELPERS
+// ==========================================
+
+async function loadJobs() {
+    const data = await chrome.storage.local.get(JOBS_STORAGE_KEY);
+    return data[JOBS_STORAGE_KEY] || {};
+}
+
+function pruneJobs(jobs) {
+    const now = Date.now();
+    const entries = Object.values(jobs)
+        .filter(job => {
+            const finished = job.status === 'completed' || job.status === 'failed';
+            return !finished || (now - (job.finishedAt || job.createdAt)) < FINISHED_JOB_TTL_MS;
+        })
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, MAX_JOBS_KEPT);
+    return Object.fromEntries(entries.map(job => [job.id, job]));
+}
+
+/**
+ * updateJobs — Serialize mọi thay đổi lên job map.
+ * Nếu vượt quota (ảnh base64 lớn trong request), bỏ request của job đã xong rồi thử lại.
+ */
+function updateJobs(mutator) {
+    const run = async () => {
+        const jobs = await loadJobs();
+        const result = mutator(jobs);
+        const pruned = pruneJobs(jobs);
+        try {
+            await chrome.storage.local.set({ [JOBS_STORAGE_KEY]: pruned });
+        } catch (error) {
+            if (!error.message?.includes('QUOTA_BYTES') && !error.message?.includes('QuotaBytes')) throw error;
+            console.warn('[TryonJobQueue] Storage quota exceeded, dropping stored request payloads...');
+            Object.values(pruned).forEach(job => {
+                if (job.status !== 'queued') job.request = null;
+            });
+            await chrome.storage.local.set({ [JOBS_STORAGE_KEY]: pruned });
+        }
+        return result;
+    };
+    const next = _writeChain.then(run, run);
+    _writeChain = next.catch(() => { });
+    return next;
+}
+
+async function patchJob(jobId, patch) {
+    const job = await updateJobs(jobs => {
+        if (!jobs[jobId]) return null;
+        jobs[jobId] = { ...jobs[jobId], ...patch };
+        return jobs[jobId];
+    });
+    if (job) broadcastJob(job);
+    return job;
+}
+
+/** Bản job gửi ra ngoài — không kèm request (ảnh base64 nặng) */
+function toPublicJob(job) {
+    if (!job) return null;
+    const { request, ...publicJob } = job;
+    return publicJob;
+}
+
+function broadcastJob(job) {
+    chrome.runtime.sendMessage({
+        type: 'TRYON_JOB_UPDATED',
+        job: toPublicJob(job)
+    }).catch(() => { });
+}
+
+async function ensureAlarm() {
+    const existing = await chrome.alarms.get(TRYON_JOB_ALARM);
+    if (!existing) {
+        await chrome.alarms.create(TRYON_JOB_ALARM, { periodInMinutes: 0.5 });
+    }
+}
+
+async function clearAlarmIfIdle() {
+    const jobs = await loadJobs();
+    const hasActive = Object.values(jobs).some(job => job.status === 'queued' || job.status === 'running');
+    if (!hasActive) await chrome.alarms.clear(TRYON_JOB_ALARM);
+}
+
+/**
+ * computeTryonCacheKey — Mirror generateCacheKey() của Edge Function process-tryon
+ * để tra tryon_history khi SW chết trước khi nhận response.
+ */
+async function computeTryonCacheKey(requestBody) {
+    const signature = garmentStyling.stylingSignature(requestBody.clothing_images);
+    const content = [
+        String(requestBody.model_image || '').slice(0, 500),
+        ...(requestBody.clothing_images || []).map(item => String(item.image || '').slice(0, 500)),
+        requestBody.quality || 'standard',
+        ...(signature ? [signature] : [])
+    ].join('|');
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('')
+        .slice(0, 32);
+}
+
+// ==========================================
+// JOB EXECUTION
+// ==========================================
+
+function isFinishedJob(job) {
+    return job?.status === 'completed' || job?.status === 'failed';
+}
+
+async function runTryonJob(jobId) {
+    if (_runningJobIds.has(jobId)) return;
+    _runningJobIds.add(jobId);
+
+    const controller = new AbortController();
+    _jobControllers.set(jobId, controller);
+    let stopServerProgress = () => { };
+
+    try {
+        const job = await updateJobs(jobs => {
+            const current = jobs[jobId];
+            if (!current || !current.request) return null;
+            current.status = 'running';
+            current.attempts = (current.attempts || 0) + 1;
+            current.startedAt = Date.now();
+            current.cacheKey = null;
+            return current;
+        });
+        if (!job) {
+            await patchJob(jobId, {
+                status: 'failed',
+                error: 'Yêu cầu thử đồ không còn trong bộ nhớ. Vui lòng thử lại.',
+                errorCode: 'JOB_INTERRUPTED',
+                finishedAt: Date.now()
+            });
+            return;
+        }
+        broadcastJob(job);
+        publishTryonProgress(jobId, 'preparing');
+        log('[TryonJobQueue] Running job', jobId, '| attempt', job.attempts);
+
+        const response = await runIdempotent(job.requestId, () => handleProcessTryOn(job.request, {
+            signal: controller.signal,
+            onRequestPrepared: async (requestBody) => {
+                const cacheKey = await computeTryonCacheKey(requestBody);
+                await patchJob(jobId, { cacheKey });
+                publishTryonProgress(jobId, 'uploading');
+                stopServerProgress = trackServerProgress(jobId, requestBody.request_id);
+            }
+        }));
+        stopServerProgress();
+
+        if (controller.signal.aborted) {
+            // cancelTryonJob đã đánh dấu job — không ghi đè bằng kết quả của request bị abort
+            log('[TryonJobQueue] Job', jobId, 'cancelled');
+            return;
+        }
+
+        if (response?.errorCode === 'REQUEST_IN_PROGRESS') {
+            // Lần gửi trước (SW cũ) vẫn đang chạy trên server — giữ 'running', alarm sau sẽ tra tryon_history
+            log('[TryonJobQueue] Server still processing request of job', jobId);
+            return;
+        }
+
+        await patchJob(jobId, {
+            status: response?.success ? 'completed' : 'failed',
+            result: response || null,
+            error: response?.success ? null : (response?.error || 'Lỗi AI try-on'),
+            errorCode: response?.success ? null : (response?.errorCode || null),
+            finishedAt: Date.now()
+        });
+        publishTryonProgress(jobId, response?.success ? 'completed' : 'failed');
+    } catch (error) {
+        console.error('[TryonJobQueue] Job crashed:', jobId, error);
+        await patchJob(jobId, {
+            status: 'failed',
+            error: error.message,
+            errorCode: 'NETWORK_ERROR',
+            finishedAt: Date.now()
+        });
+        publishTryonProgress(jobId, 'failed');
+    } finally {
+        stopServerProgress();
+        _jobControllers.delete(jobId);
+        _runningJobIds.delete(jobId);
+        await clearAlarmIfIdle().catch(() => { });
+    }
+}
+
+/**
+ * findCompletedTryonOnServer — Tìm kết quả mà server đã tạo cho request bị mất response.
+ * Output: tryon_history row { id, result_image_url, gems_used } hoặc null
+ */
+async function findCompletedTryonOnServer(job) {
+    const requestId = job.requestId;
+    if (!requestId && !job.cacheKey) return null;
+    try {
+        const token = await getAuthToken();
+        if (!token) return null;
+
+        // request_id khớp chính xác 1 row; cache_key chỉ dùng cho job cũ chưa có request_id
+        const since = new Date(job.startedAt || job.createdAt).toISOString();
+        const filter = requestId
+            ? `request_id=eq.${encodeURIComponent(requestId)}`
+            : `cache_key=eq.${job.cacheKey}&created_at=gte.${encodeURIComponent(since)}`;
+        const response = await fetch(
+            `${SUPABASE_URL}/rest/v1/tryon_history?${filter}&status=eq.completed&select=id,result_image_url,gems_used&order=created_at.desc&limit=1`,
+            { headers: { 'Authorization': `Bearer ${token}`, 'apikey': SUPABASE_AUTH_KEY } }
+        );
+        if (!response.ok) return null;
+        const rows = await response.json();
+        return rows?.[0]?.result_image_url ? rows[0] : null;
+    } catch (error) {
+        console.warn('[TryonJobQueue] tryon_history lookup failed:', error.message);
+        return null;
+    }
+}
+
+async function recoverOrphanedJob(job) {
+    // STEP 1: Server đã xong trong lúc SW chết → lấy lại kết quả, không tính phí lần nữa
+    const serverRecord = await findCompletedTryonOnServer(job);
+    if (serverRecord) {
+        log('[TryonJobQueue] Recovered result from tryon_history for job', job.id);
+        await patchJob(job.id, {
+            status: 'completed',
+            result: {
+                success: true,
+                result_image_url: serverRecord.result_image_url,
+                tryon_id: serverRecord.id,
+                gems_used: serverRecord.gems_used,
+                cached: false,
+                recovered: true,
+            },
+            error: null,
+            errorCode: null,
+            finishedAt: Date.now()
+        });
+        publishTryonProgress(job.id, 'completed');
+        return;
+    }
+
+    // STEP 2: Request đã lên server và server có thể vẫn đang generate → chờ alarm sau
+    const elapsed = Date.now() - (job.startedAt || job.createdAt);
+    if (job.cacheKey && elapsed < SERVER_GIVE_UP_MS) {
+        log('[TryonJobQueue] Job', job.id, 'still within server window, waiting...');
+        return;
+    }
+
+    // STEP 3: Chạy lại nếu còn lượt — cùng request_id (và Edge Function cache) chặn trừ gems 2 lần
+    if ((job.attempts || 0) < MAX_JOB_ATTEMPTS && job.request) {
+        log('[TryonJobQueue] Re-running orphaned job', job.id);
+        runTryonJob(job.id);
+        return;
+    }
+
+    await patchJob(job.id, {
+        status: 'failed',
+        error: 'Tiến trình thử đồ bị gián đoạn. Vui lòng thử lại.',
+        errorCode: 'JOB_INTERRUPTED',
+        finishedAt: Date.now()
+    });
+    publishTryonProgress(job.id, 'failed');
+}
+
+/**
+ * requestServerCancel — Đặt cờ huỷ cho request đang xử lý; Edge Function kiểm tra cờ giữa các bước
+ * và trong lúc poll prediction, huỷ prediction rồi hoàn gems.
+ * Request chưa được server claim → PATCH không khớp row nào → gem ledger đối soát sau.
+ */
+async function requestServerCancel(requestId) {
+    try {
+        const token = await getAuthToken();
+        if (!token) return;
+        await fetch(
+            `${SUPABASE_URL}/rest/v1/tryon_history?request_id=eq.${encodeURIComponent(requestId)}&status=eq.processing`,
+            {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'apikey': SUPABASE_AUTH_KEY,
+                    'Content-Type': 'application/json',
+                    'Prefer': 'return=minimal'
+                },
+                body: JSON.stringify({ cancel_requested: true })
+            }
+        );
+    } catch (error) {
+        console.warn('[TryonJobQueue] Server cancel request failed:', error.message);
+    }
+}
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * createTryonJob — Tạo job bền vững cho một yêu cầu PROCESS_TRYON.
+ * Input:  data (payload giống PROCESS_TRYON), data.meta (thông tin hiển thị cho sidebar khi reattach)
+ * Output: { success, jobId, job }
+ */
+export async function createTryonJob(data) {
+    if (!data) return { success: false, error: 'Thiếu dữ liệu thử đồ' };
+
+    const { meta, ...request } = data;
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        request,
+        // Giữ riêng — request có thể bị bỏ khi storage đầy, nhưng vẫn cần id để tra server
+        requestId: request.request_id || null,
+        meta: meta || {},
+        cacheKey: null,
+        result: null,
+        error: null,
+        errorCode: null,
+        attempts: 0,
+        delivered: false,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+    };
+
+    await updateJobs(jobs => { jobs[job.id] = job; });
+    await ensureAlarm();
+    log('[TryonJobQueue] Job created:', job.id);
+
+    // Không await — job tiếp tục chạy độc lập với message channel của sidebar
+    runTryonJob(job.id);
+    // Batch try-on theo dõi tiến độ trong sidebar — không mở hàng loạt popup trên trang
+    if (!job.meta.batchId) showProgressInActiveTab(job.id);
+
+    return { success: true, jobId: job.id, job: toPublicJob(job) };
+}
+
+export async function getTryonJob(data) {
+    const jobs = await loadJobs();
+    const job = jobs[data?.jobId];
+    if (!job) return { success: false, error: 'Job not found' };
+    return { success: true, job: toPublicJob(job) };
+}
+
+/**
+ * listTryonJobs — Dùng cho sidebar reattach khi mở lại panel.
+ * Input: { undelivered?: boolean } — chỉ lấy job sidebar chưa nhận kết quả
+ */
+export async function listTryonJobs(data = {}) {
+    const jobs = Object.values(await loadJobs())
+        .filter(job => !data.undelivered || !job.delivered)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(toPublicJob);
+    return { success: true, jobs };
+}
+
+export async function acknowledgeTryonJob(data) {
+    if (!data?.jobId) return { success: false, error: 'jobId is required' };
+    await updateJobs(jobs => {
+        if (jobs[data.jobId]) jobs[data.jobId].delivered = true;
+    });
+    return { success: true };
+}
+
+/**
+ * cancelTryonJob — Huỷ job chưa kết thúc.
+ * Input:  { jobId }
+ * Output: { success, job } — job 'failed' với errorCode CANCELLED
+ */
+export async function cancelTryonJob(data) {
+    const jobId = data?.jobId;
+    if (!jobId) return { success: false, error: 'jobId is required' };
+
+    // Kiểm tra + đánh dấu trong cùng một lần ghi — job vừa xong song song thì giữ kết quả thật
+    const cancelled = await updateJobs(jobs => {
+        const job = jobs[jobId];
+        if (!job || isFinishedJob(job)) return job ? { finished: job } : null;
+        jobs[jobId] = {
+            ...job,
+            status: 'failed',
+            error: 'Đã huỷ thử đồ.',
+            errorCode: 'CANCELLED',
+            finishedAt: Date.now()
+        };
+        return { job: jobs[jobId] };
+    });
+    if (!cancelled) return { success: false, error: 'Job not found' };
+    if (cancelled.finished) {
+        return { success: false, error: 'Job đã kết thúc', job: toPublicJob(cancelled.finished) };
+    }
+
+    _jobControllers.get(jobId)?.abort();
+    broadcastJob(cancelled.job);
+    publishTryonProgress(jobId, 'cancelled');
+    log('[TryonJobQueue] Cancel requested for job', jobId);
+
+    if (cancelled.job.requestId) {
+        await requestServerCancel(cancelled.job.requestId);
+        await markGemChargeCancelled(cancelled.job.requestId)
+            .catch(err => console.warn('[TryonJobQueue] Gem ledger cancel note failed:', err.message));
+    }
+    await clearAlarmIfIdle().catch(() => { });
+
+    return { success: true, job: toPublicJob(cancelled.job) };
+}
+
+/**
+ * resumeTryonJobs — Gọi khi SW khởi động và mỗi lần alarm fire.
+ * Xử lý job 'queued' chưa chạy và job 'running' bị mồ côi do SW restart.
+ */
+export async function resumeTryonJobs() {
+    const jobs = Object.values(await loadJobs());
+    const pending = jobs.filter(job =>
+        (job.status === 'queued' || job.status === 'running') && !_runningJobIds.has(job.id)
+    );
+
+    for (const job of pending) {
+        if (job.status === 'queued') {
+            runTryonJob(job.id);
+        } else {
+            await recoverOrphanedJob(job);
+        }
+    }
+
+    await clearAlarmIfIdle();
+    return { success: true, resumed: pending.length };
+}
+
+export async function handleTryonJobAlarm(alarm) {
+    if (alarm?.name !== TRYON_JOB_ALARM) return;
+    // Alarm có thể đánh thức SW trước khi session restore xong
+    await sessionReady;
+    try {
+        await resumeTryonJobs();
+    } catch (error) {
+        console.error('[TryonJobQueue] Alarm resume failed:', error);
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * File: tryon_progress.js
+ * Purpose: Kênh tiến độ try-on thật — poll stage của request trên tryon_history (Edge Function cập nhật)
+ *          và relay qua chrome.runtime.Port tới sidebar + popup kết quả trong trang
+ * Layer: Infrastructure
+ *
+ * Data Contract:
+ * - Exports: setupTryonProgressPorts, publishTryonProgress, trackServerProgress,
+ *            showProgressInActiveTab, TRYON_PROGRESS_PORT, TRYON_PROGRESS_STAGES
+ * - Port name 'fitly-tryon-progress':
+ *   client → { type: 'SUBSCRIBE', jobId }
+ *   background → { type: 'TRYON_PROGRESS', jobId, stage, percent }
+ * - stage: preparing → uploading → queued → generating → post_processing → completed | failed | cancelled
+ *
+ * Flow:
+ * 1. setupTryonProgressPorts (top-level trong service_worker.js) nhận port, lưu danh sách jobId đã subscribe
+ * 2. tryon_job_queue publish stage phía client (preparing, uploading) + trackServerProgress poll stage server
+ * 3. showProgressInActiveTab → content script mở popup tiến độ trong trang, tự connect port + subscribe
+ * 4. Stage chỉ tiến, không lùi; 'generating' nhích dần % theo thời gian trong stage (chưa có % thật từ AI)
+ */
+
+import { getAuthToken } from './auth_state_manager.js';
+import { SUPABASE_AUTH_KEY, SUPABASE_AUTH_URL as SUPABASE_URL } from './ENVIRONMENT_CONFIG.js';
+
+export const TRYON_PROGRESS_PORT = 'fitly-tryon-progress';
+
+// Stage → % bắt đầu của stage đó
+export const TRYON_PROGRESS_STAGES = {
+    preparing: 5,
+    uploading: 15,
+    queued: 30,
+    generating: 40,
+    post_processing: 90,
+    completed: 100,
+    failed: 100,
+    cancelled: 100,
+};
+const STAGE_ORDER = Object.keys(TRYON_PROGRESS_STAGES);
+const TERMINAL_STAGES = ['completed', 'failed', 'cancelled'];
+
+// Gemini trên Replicate thường mất ~40s — 'generating' nhích từ 40% tới tối đa 85%
+const GENERATING_EXPECTED_MS = 40 * 1000;
+const GENERATING_MAX_PERCENT = 85;
+const SERVER_POLL_INTERVAL_MS = 2000;
+// Giữ stage kết thúc một lúc cho port subscribe muộn (popup trong trang mở sau khi job đã xong)
+const TERMINAL_RETAIN_MS = 60 * 1000;
+
+// port → Set<jobId> đã subscribe
+const _ports = new Map();
+// jobId → { stage, stageStartedAt } — gửi ngay cho port subscribe muộn (mở lại sidebar)
+const _latest = new Map();
+
+function computePercent(stage, stageStartedAt) {
+    const base = TRYON_PROGRESS_STAGES[stage] ?? 0;
+    if (stage !== 'generating') return base;
+    const ratio = Math.min(1, (Date.now() - stageStartedAt) / GENERATING_EXPECTED_MS);
+    return Math.round(base + ratio * (GENERATING_MAX_PERCENT - base));
+}
+
+function toProgressMessage(jobId, progress) {
+    return {
+        type: 'TRYON_PROGRESS',
+        jobId,
+        stage: progress.stage,
+        percent: computePercent(progress.stage, progress.stageStartedAt),
+    };
+}
+
+function postToSubscribers(jobId, message) {
+    _ports.forEach((jobIds, port) => {
+        if (!jobIds.has(jobId)) return;
+        try {
+            port.postMessage(message);
+        } catch (_) {
+            // Port đã đóng (sidebar / tab bị đóng) — onDisconnect sẽ dọn
+            _ports.delete(port);
+        }
+    });
+}
+
+/**
+ * publishTryonProgress — Cập nhật stage của job và đẩy tới mọi port đã subscribe.
+ * Stage lùi (poll server trả stage cũ hơn stage client đã biết) bị bỏ qua; job đã kết thúc
+ * (vd đã huỷ) không nhận stage mới.
+ */
+export function publishTryonProgress(jobId, stage) {
+    if (!jobId || !(stage in TRYON_PROGRESS_STAGES)) return;
+
+    const current = _latest.get(jobId);
+    const isTerminal = TERMINAL_STAGES.includes(stage);
+    if (current && TERMINAL_STAGES.includes(current.stage)) return;
+    if (current && !isTerminal && STAGE_ORDER.indexOf(stage) < STAGE_ORDER.indexOf(current.stage)) return;
+
+    const progress = current?.stage === stage
+        ? current
+        : { stage, stageStartedAt: Date.now() };
+    _latest.set(jobId, progress);
+    postToSubscribers(jobId, toProgressMessage(jobId, progress));
+
+    if (isTerminal) {
+        setTimeout(() => {
+            if (_latest.get(jobId) === progress) _latest.delete(jobId);
+        }, TERMINAL_RETAIN_MS);
+    }
+}
+
+async function fetchServerStage(requestId) {
+    const token = await getAuthToken();
+    if (!token) return null;
+    const response = await fetch(
+        `${SUPABASE_URL}/rest/v1/tryon_history?request_id=eq.${encodeURIComponent(requestId)}&select=progress_stage&limit=1`,
+        { headers: { 'Authorization': `Bearer ${token}`, 'apikey': SUPABASE_AUTH_KEY } }
+    );
+    if (!response.ok) return null;
+    const rows = await response.json();
+    return rows?.[0]?.progress_stage || null;
+}
+
+/**
+ * trackServerProgress — Poll stage của request trên server trong lúc chờ Edge Function trả response.
+ * Stage kết thúc do tryon_job_queue publish (theo response thật), không lấy từ poll.
+ * Output: stop() — gọi khi request kết thúc
+ */
+export function trackServerProgress(jobId, requestId) {
+    if (!jobId || !requestId) return () => { };
+
+    let stopped = false;
+    let timer = null;
+    const tick = async () => {
+        try {
+            const stage = await fetchServerStage(requestId);
+            const current = _latest.get(jobId)?.stage;
+            if (!stopped && stage && !TERMINAL_STAGES.includes(stage)) publishTryonProgress(jobId, stage);
+            // Stage không đổi vẫn publish để thanh % của 'generating' tiếp tục nhích
+            else if (!stopped && current === 'generating') publishTryonProgress(jobId, current);
+        } catch (error) {
+            console.warn('[TryonProgress] Stage poll failed:', error.message);
+        }
+        if (!stopped) timer = setTimeout(tick, SERVER_POLL_INTERVAL_MS);
+    };
+    timer = setTimeout(tick, SERVER_POLL_INTERVAL_MS);
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+/**
+ * showProgressInActiveTab — Yêu cầu content script của tab đang xem hiện popup tiến độ cho job
+ * (tab không có content script, vd chrome:// → bỏ qua)
+ */
+export async function showProgressInActiveTab(jobId) {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (!tab?.id) return;
+        await chrome.tabs.sendMessage(tab.id, { type: 'SHOW_TRYON_PROGRESS', data: { jobId } });
+    } catch (_) {
+        // Không có content script trong tab — sidebar vẫn nhận tiến độ qua port riêng
+    }
+}
+
+/**
+ * setupTryonProgressPorts — Đăng ký onConnect (phải gọi ở top-level SW để port đánh thức được SW)
+ */
+export function setupTryonProgressPorts() {
+    chrome.runtime.onConnect.addListener((port) => {
+        if (port.name !== TRYON_PROGRESS_PORT) return;
+        _ports.set(port, new Set());
+
+        port.onMessage.addListener((message) => {
+            if (message?.type !== 'SUBSCRIBE' || !message.jobId) return;
+            _ports.get(port)?.add(message.jobId);
+            const latest = _latest.get(message.jobId);
+            if (latest) port.postMessage(toProgressMessage(message.jobId, latest));
+        });
+        port.onDisconnect.addListener(() => _ports.delete(port));
+    });
+}
@@ -8,11 +8,14 @@
  * - [Fix 2] Removed duplicate generateImageHash, use generateImageHash from image_compressor.js
  * - [Fix 3] Cleanup orphan model_image key on delete/reset default
  * - [Fix 1] Fixed race condition: now correctly writes mergedModels (not models) to storage
+ * - Model: { id, url, imageUrl, hash, perceptualHash, label, source, createdAt } — perceptualHash xem perceptual_hash.js
  */
 
 import { isDemoMode, getAuthToken } from './auth_state_manager.js';
 import { demoState, SUPABASE_AUTH_KEY, SUPABASE_AUTH_URL as SUPABASE_URL } from './ENVIRONMENT_CONFIG.js';
-import { compressImageBlob, createThumbnailBase64, generateImageHash, generatePixelHash, blobToBase64, COMPRESS_MAX_DIMENSION, COMPRESS_QUALITY } from './image_compressor.js';
+import { compressImageBlob, createThumbnailBase64, generateImageHash, blobToBase64, COMPRESS_MAX_DIMENSION, COMPRESS_QUALITY } from './image_compressor.js';
+import { hashImageUrl, findNearDuplicates, DUPLICATE_DISTANCE } from './perceptual_hash.js';
+import { removeModelMeasurements } from './size_recommendation.js';
 import { log } from './debug_logger.js';
 
 const MAX_USER_MODELS = 10;
@@ -106,16 +109,16 @@ export async function handleGetUserModels() {
             if (!model || !model.url) continue;
             const normUrl = normalizeModelUrl(model.url);
             const hash = model.hash || null;
-            const pxHash = model.pixelHash || null;
+            const perceptualHash = model.perceptualHash || null;
 
-            // Skip nếu URL đã seen, hash đã seen, hoặc pixelHash đã seen
+            // Skip nếu URL đã seen, hash đã seen, hoặc perceptualHash đã seen
             if (seenNormUrls.has(normUrl)) continue;
             if (hash && seenHashes.has(hash)) continue;
-            if (pxHash && seenHashes.has(pxHash)) continue;
+            if (perceptualHash && seenHashes.has(perceptualHash)) continue;
 
             seenNormUrls.add(normUrl);
             if (hash) seenHashes.add(hash);
-            if (pxHash) seenHashes.add(pxHash);
+            if (perceptualHash) seenHashes.add(perceptualHash);
             uniqueModels.push(model);
         }
 
@@ -140,7 +143,7 @@ export async function handleGetUserModels() {
                     ).then(r => r.ok ? r.json() : []).catch(() => []),
                     currentToken && userData.user?.id
                         ? fetch(
-                            `${SUPABASE_URL}/rest/v1/user_models?user_id=eq.${userData.user.id}&select=id,image_url,label,source,is_default,created_at&order=is_default.desc,created_at.desc&limit=20`,
+                            `${SUPABASE_URL}/rest/v1/user_models?user_id=eq.${userData.user.id}&select=id,image_url,label,source,is_default,perceptual_hash,created_at&order=is_default.desc,created_at.desc&limit=20`,
                             { headers: { 'Authorization': `Bearer ${currentToken}`, 'apikey': SUPABASE_AUTH_KEY } }
                         ).then(r => r.ok ? r.json() : []).catch(() => [])
                         : Promise.resolve([]),
@@ -205,6 +208,7 @@ export async function handleGetUserModels() {
                             label: m.label,
                             source: m.source,
                             isDefault: m.is_default,
+                            perceptualHash: m.perceptual_hash || null,
                             createdAt: m.created_at
                         }));
 
@@ -218,6 +222,7 @@ export async function handleGetUserModels() {
                         const localMatch = models.find(m => m.id === model.id && m.hash);
                         if (localMatch) {
                             model.hash = localMatch.hash;
+                            model.perceptualHash = model.perceptualHash || localMatch.perceptualHash || null;
                         }
                         const hash = model.hash || null;
 
@@ -350,32 +355,20 @@ export async function handleAddUserModel(data) {
     const storageData = await chrome.storage.local.get(['user_models', 'default_model_id']);
     let models = storageData.user_models || [];
 
-    // STEP 0: Compute pixel-based hash (deterministic, compression-invariant)
-    // This hash is based on actual pixel data, not the base64 string,
-    // so the same photo always produces the same hash even after re-compression.
-    let pixelHash = null;
+    // STEP 0: Perceptual hash (pHash + dHash) — cùng ảnh đã resize / nén lại / cắt nhẹ vẫn gần nhau,
+    // khác string hash của data URL (đổi hoàn toàn sau mỗi lần nén)
+    const perceptualHash = await hashImageUrl(data.imageUrl);
     const stringHash = data.originalHash || generateImageHash(data.imageUrl);
-    if (data.imageUrl.startsWith('data:')) {
-        try {
-            const resp = await fetch(data.imageUrl);
-            const origBlob = await resp.blob();
-            pixelHash = await generatePixelHash(origBlob);
-            log('[Fitly] Pixel hash computed:', pixelHash);
-        } catch (hashErr) {
-            console.warn('[handleAddUserModel] Pixel hash failed, using string hash:', hashErr.message);
-        }
-    }
-    const imageHash = pixelHash || stringHash;
+    const imageHash = perceptualHash || stringHash;
 
-    // STEP 1: Check local cache dedup (URL + pixel hash + string hash)
+    // STEP 1: Check local cache dedup (URL + string hash), rồi ảnh gần trùng theo perceptual hash → dùng lại model cũ
     const localExists = models.find(m =>
         m.url === data.imageUrl || m.imageUrl === data.imageUrl ||
-        (m.hash && m.hash === imageHash) ||
-        (pixelHash && m.pixelHash && m.pixelHash === pixelHash)
-    );
+        (m.hash && m.hash === imageHash)
+    ) || findNearDuplicates(perceptualHash, models, m => m.perceptualHash, DUPLICATE_DISTANCE)[0]?.item;
     if (localExists) {
         log('[Fitly] Model already exists in local cache, skipping:', localExists.id);
-        return { success: true, model: localExists, message: 'Already exists' };
+        return { success: true, model: localExists, message: 'Already exists', duplicate: true };
     }
 
     const modelId = crypto.randomUUID();
@@ -412,6 +405,7 @@ export async function handleAddUserModel(data) {
                                 url: existing[0].image_url,
                                 imageUrl: existing[0].image_url,
                                 hash: imageHash,
+                                perceptualHash,
                                 source: 'upload',
                                 isDefault: existing[0].is_default,
                                 createdAt: existing[0].created_at || Date.now()
@@ -462,7 +456,7 @@ export async function handleAddUserModel(data) {
         url: imageUrlToSave,
         imageUrl: imageUrlToSave,
         hash: imageHash,
-        pixelHash: pixelHash,
+        perceptualHash,
         label: data.label || 'Ảnh ' + (models.length + 1),
         source: data.source || 'upload',
         createdAt: Date.now(),
@@ -516,6 +510,7 @@ export async function handleAddUserModel(data) {
                         label: newModel.label,
                         source: newModel.source,
                         is_default: isFirst,
+                        perceptual_hash: perceptualHash,
                     }),
                 });
             }
@@ -565,6 +560,10 @@ export async function handleDeleteUserModel(data) {
         console.warn('[handleDeleteUserModel] Thumbnail cleanup failed:', thumbCleanErr.message);
     }
 
+    // Số đo gắn với ảnh mẫu — không còn ảnh thì bỏ
+    await removeModelMeasurements(data.modelId).catch(err =>
+        console.warn('[handleDeleteUserModel] Measurements cleanup failed:', err.message));
+
     const demoMode = await isDemoMode();
     if (!demoMode && modelToDelete) {
         try {
@@ -0,0 +1,70 @@
+/**
+ * File: wardrobe_collections.js
+ * Purpose: Smart collection của tủ đồ — bộ lọc theo luật được đặt tên ("Áo xanh từ zara.com thêm năm nay"),
+ *          món mới khớp luật tự vào collection, không phải xếp tay
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: handleGetWardrobeCollections, handleSaveWardrobeCollection, handleDeleteWardrobeCollection
+ * - chrome.storage.local.wardrobe_collections: [{ id, name, rules, createdAt }] — rules theo lib/wardrobe_query.js
+ * - handleGetWardrobeCollections → { success, collections: [{ ...collection, count }] }
+ *
+ * Flow:
+ * 1. Sidebar mở trang Wardrobe → GET_WARDROBE_COLLECTIONS (số món mỗi collection tính trên chỉ mục tìm kiếm)
+ * 2. Form collection → SAVE_WARDROBE_COLLECTION (có id → sửa, không id → tạo mới)
+ * 3. Chọn collection → SEARCH_WARDROBE { collectionId } (wardrobe_search_index.js)
+ *
+ * Edge Cases:
+ * - Tên rỗng → NAME_REQUIRED; luật rỗng sau chuẩn hoá → RULES_REQUIRED (collection rỗng luật = cả tủ đồ)
+ * - Quá MAX_COLLECTIONS → TOO_MANY_COLLECTIONS
+ * - Chỉ lưu local: luật không chứa dữ liệu riêng tư cần đồng bộ, máy khác tạo lại được trong vài giây
+ */
+
+import '../lib/wardrobe_query.js';
+import { queryWardrobeIndex, WARDROBE_COLLECTIONS_KEY } from './wardrobe_search_index.js';
+
+const wardrobeQuery = globalThis.FitlyWardrobeQuery;
+
+const MAX_COLLECTIONS = 30;
+const MAX_NAME_LENGTH = 40;
+
+async function readCollections() {
+    const storage = await chrome.storage.local.get(WARDROBE_COLLECTIONS_KEY);
+    return storage[WARDROBE_COLLECTIONS_KEY] || [];
+}
+
+export async function handleGetWardrobeCollections() {
+    const collections = await readCollections();
+    const counted = await Promise.all(collections.map(async collection => ({
+        ...collection,
+        count: (await queryWardrobeIndex(collection.rules)).length,
+    })));
+    return { success: true, collections: counted };
+}
+
+export async function handleSaveWardrobeCollection(data = {}) {
+    const name = String(data.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) return { success: false, error: 'NAME_REQUIRED' };
+    const rules = wardrobeQuery.normalizeRules(data.rules);
+    if (!wardrobeQuery.hasRules(rules)) return { success: false, error: 'RULES_REQUIRED' };
+
+    const collections = await readCollections();
+    let collection = data.id ? collections.find(entry => entry.id === data.id) : null;
+    if (collection) {
+        Object.assign(collection, { name, rules });
+    } else {
+        if (collections.length >= MAX_COLLECTIONS) return { success: false, error: 'TOO_MANY_COLLECTIONS' };
+        collection = { id: 'collection-' + Date.now(), name, rules, createdAt: new Date().toISOString() };
+        collections.push(collection);
+    }
+    await chrome.storage.local.set({ [WARDROBE_COLLECTIONS_KEY]: collections });
+    return { success: true, collection };
+}
+
+export async function handleDeleteWardrobeCollection(data = {}) {
+    const collections = await readCollections();
+    const remaining = collections.filter(entry => entry.id !== data.id);
+    if (remaining.length === collections.length) return { success: false, error: 'COLLECTION_NOT_FOUND' };
+    await chrome.storage.local.set({ [WARDROBE_COLLECTIONS_KEY]: remaining });
+    return { success: true };
+}
@@ -4,7 +4,20 @@
  * Layer: Application / Feature
  *
  * Data Contract:
- * - Exports: handleAddToWardrobe, handleGetWardrobe
+ * - Exports: handleAddToWardrobe, handleGetWardrobe, handleUpdateWardrobeItem
+ * - data.product → cột product_meta (JSONB): { name, brand, price, currency, color, sizes, sku, category, images, sources }
+ * - data.category / data.subcategory chuẩn hoá qua lib/garment_taxonomy.js trước khi lưu
+ *   ('jeans' → bottom/jeans, category lạ → other, subcategory không thuộc category → đoán lại từ tên)
+ * - handleGetWardrobe({ category, subcategory, query, rules, collectionId }) — đều tuỳ chọn;
+ *   query / rules / collectionId lọc qua chỉ mục tìm kiếm (wardrobe_search_index.js)
+ * - handleUpdateWardrobeItem({ id, imageUrl, tags, notes }) — tag / ghi chú tự do (lib/wardrobe_query.js),
+ *   ghi vào cả tủ đồ lẫn đồ vừa thử cùng ảnh
+ * - Item lưu perceptual_hash (perceptual_hash.js); thêm món trông giống món đã có → vẫn lưu, trả kèm
+ *   similarItems [{ id, name, image_url, distance }] + likelyDuplicate để sidebar cảnh báo
+ *   (cùng kiểu dáng khác hoạ tiết có thể hash rất gần — không tự gộp)
+ * - Item lưu colors [{ name, hex, share }] + pattern (garment_attributes.js); chưa phân tích được lúc lưu
+ *   thì garment_attribute_backfill.js làm sau
+ * - Ảnh đã có trong tủ đồ (cùng image_url) → trả món cũ trước khi tải ảnh; ảnh mới chỉ tải 1 lần cho cả hash lẫn màu
  *
  * Special routing:
  * - data.category === 'outfit' → lưu vào saved_outfits (không phải wardrobe_items)
@@ -15,6 +28,40 @@ import { supabase } from '../extension/config.js';
 import { isDemoMode, isGuestMode, getAuthToken } from './auth_state_manager.js';
 import { MOCK_USER, MOCK_WARDROBE, demoState } from './ENVIRONMENT_CONFIG.js';
 import { log } from './debug_logger.js';
+import { findNearDuplicates, DUPLICATE_DISTANCE } from './perceptual_hash.js';
+import { analyzeGarmentImage } from './garment_attributes.js';
+import { queryWardrobeIndex, handleSearchWardrobe, invalidateWardrobeIndex } from './wardrobe_search_index.js';
+import '../lib/garment_taxonomy.js';
+import '../lib/wardrobe_query.js';
+
+const taxonomy = globalThis.FitlyGarmentTaxonomy;
+const wardrobeQuery = globalThis.FitlyWardrobeQuery;
+
+/** Món trong tủ đồ trông giống ảnh vừa thêm → cờ cho response của handleAddToWardrobe */
+function similarityFlags(perceptualHash, wardrobe) {
+    const similarItems = findNearDuplicates(perceptualHash, wardrobe, item => item.perceptual_hash)
+        .map(({ item, distance }) => ({ id: item.id, name: item.name, image_url: item.image_url, distance }));
+    if (similarItems.length === 0) return {};
+    return { similarItems, likelyDuplicate: similarItems[0].distance <= DUPLICATE_DISTANCE };
+}
+
+/** Lọc item local (demo_wardrobe) theo category / subcategory như query Supabase */
+function filterWardrobeItems(items, { category, subcategory } = {}) {
+    return items.filter(item =>
+        (!category || item.category === category) &&
+        (!subcategory || item.subcategory === subcategory));
+}
+
+/** query / rules / collection → chỉ giữ item có ảnh nằm trong kết quả của chỉ mục tìm kiếm */
+async function searchWardrobeItems(items, data = {}) {
+    if (!data.query && !data.collectionId && !wardrobeQuery.hasRules(wardrobeQuery.normalizeRules(data.rules))) return items;
+    const result = data.collectionId
+        ? await handleSearchWardrobe({ query: data.query, rules: data.rules, collectionId: data.collectionId })
+        : { success: true, items: await queryWardrobeIndex({ ...data.rules, query: data.query }) };
+    if (!result.success) return [];
+    const urls = new Set(result.items.map(item => item.imageUrl));
+    return items.filter(item => urls.has(item.image_url));
+}
 
 export async function handleAddToWardrobe(data) {
     const demoMode = await isDemoMode();
@@ -44,33 +91,48 @@ export async function handleAddToWardrobe(data) {
         return { ...result, savedAsOutfit: true };
     }
 
+    const { category, subcategory } = taxonomy.normalizeCategory(data.category || 'other', data.subcategory, data.name);
+
     // STEP 2: Demo mode → in-memory + local storage
     if (demoMode) {
+        const cached = await chrome.storage.local.get('demo_wardrobe');
+        const exists = (cached.demo_wardrobe || MOCK_WARDROBE).find(item => item.image_url === data.image_url);
+        if (exists) {
+            return { success: true, item: exists, message: 'Đã có trong tủ đồ' };
+        }
+
+        // Hash (ảnh gần giống) + màu / hoạ tiết (bộ lọc tủ đồ) — null khi không tải được ảnh, backfill làm sau
+        const { perceptualHash, attributes } = await analyzeGarmentImage(data.image_url);
         const newItem = {
             id: 'wardrobe-' + Date.now(),
             user_id: MOCK_USER.id,
             image_url: data.image_url,
             name: data.name || 'New Item',
-            category: data.category || 'other',
+            category,
+            subcategory,
             source_url: data.source_url,
             storage_type: data.storage_type || 'external',
+            product_meta: data.product || null,
+            perceptual_hash: perceptualHash,
+            ...attributes,
             created_at: new Date().toISOString(),
         };
 
+        // Đọc lại sau khi tải ảnh — trong lúc chờ có thể đã thêm món khác
         const storage = await chrome.storage.local.get('demo_wardrobe');
         let wardrobe = storage.demo_wardrobe || [...MOCK_WARDROBE];
-
-        const exists = wardrobe.find(item => item.image_url === data.image_url);
-        if (exists) {
-            return { success: true, item: exists, message: 'Đã có trong tủ đồ' };
+        const added = wardrobe.find(item => item.image_url === data.image_url);
+        if (added) {
+            return { success: true, item: added, message: 'Đã có trong tủ đồ' };
         }
+        const flags = similarityFlags(perceptualHash, wardrobe);
 
         wardrobe.unshift(newItem);
         await chrome.storage.local.set({ demo_wardrobe: wardrobe });
         demoState.wardrobe = wardrobe;
 
         log('[Fitly] Added to wardrobe (demo):', newItem.name, 'Total:', wardrobe.length);
-        return { success: true, item: newItem };
+        return { success: true, item: newItem, ...flags };
     }
 
     // STEP 3: Authenticated → Supabase
@@ -97,16 +159,21 @@ export async function handleAddToWardrobe(data) {
             return { success: true, item: existing, message: 'Đã có trong tủ đồ' };
         }
 
+        const { perceptualHash, attributes } = await analyzeGarmentImage(data.image_url);
         const { data: newItem, error } = await supabase
             .from('wardrobe_items')
             .insert({
                 user_id: userId,
                 image_url: data.image_url,
                 name: data.name || 'New Item',
-                category: data.category || 'other',
+                category,
+                subcategory,
                 source_url: data.source_url,
                 storage_type: data.storage_type || 'external',
                 thumbnail_cached: data.thumbnail_cached || false,
+                product_meta: data.product || null,
+                perceptual_hash: perceptualHash,
+                ...attributes,
             })
             .select()
             .single();
@@ -116,13 +183,15 @@ export async function handleAddToWardrobe(data) {
             return { success: false, error: 'Không thể lưu vào tủ đồ' };
         }
 
+        // demo_wardrobe là bản cache của bảng wardrobe_items (handleGetWardrobe) — so ảnh gần giống trên cache
         const storage = await chrome.storage.local.get('demo_wardrobe');
         let wardrobe = storage.demo_wardrobe || [];
+        const flags = similarityFlags(perceptualHash, wardrobe);
         wardrobe.unshift(newItem);
         await chrome.storage.local.set({ demo_wardrobe: wardrobe });
 
         log('[Fitly] Added to wardrobe (DB):', newItem.name);
-        return { success: true, item: newItem };
+        return { success: true, item: newItem, ...flags };
 
     } catch (error) {
         console.error('[Fitly] Exception in handleAddToWardrobe:', error);
@@ -130,29 +199,27 @@ export async function handleAddToWardrobe(data) {
     }
 }
 
+/** Kết quả GET_WARDROBE: lọc category / subcategory rồi tới tìm kiếm / collection */
+async function wardrobeResponse(items, data) {
+    const filtered = await searchWardrobeItems(filterWardrobeItems(items, data), data);
+    return { success: true, items: filtered, total: filtered.length };
+}
+
 export async function handleGetWardrobe(data = {}) {
     const demoMode = await isDemoMode();
 
     if (demoMode) {
         const storage = await chrome.storage.local.get('demo_wardrobe');
-        let items = storage.demo_wardrobe || [...MOCK_WARDROBE];
+        const items = storage.demo_wardrobe || [...MOCK_WARDROBE];
         demoState.wardrobe = items;
-
-        if (data.category) {
-            items = items.filter(item => item.category === data.category);
-        }
-        return { success: true, items, total: items.length };
+        return wardrobeResponse(items, data);
     }
 
     try {
         const token = await getAuthToken();
         if (!token) {
             const storage = await chrome.storage.local.get('demo_wardrobe');
-            let items = storage.demo_wardrobe || [];
-            if (data.category) {
-                items = items.filter(item => item.category === data.category);
-            }
-            return { success: true, items, total: items.length };
+            return wardrobeResponse(storage.demo_wardrobe || [], data);
         }
 
         let query = supabase
@@ -163,32 +230,73 @@ export async function handleGetWardrobe(data = {}) {
         if (data.category) {
             query = query.eq('category', data.category);
         }
+        if (data.subcategory) {
+            query = query.eq('subcategory', data.subcategory);
+        }
 
         const { data: items, error } = await query;
 
         if (error) {
             console.error('[Fitly] Error loading wardrobe:', error);
             const storage = await chrome.storage.local.get('demo_wardrobe');
-            let localItems = storage.demo_wardrobe || [];
-            if (data.category) {
-                localItems = localItems.filter(item => item.category === data.category);
-            }
-            return { success: true, items: localItems, total: localItems.length };
+            return wardrobeResponse(storage.demo_wardrobe || [], data);
         }
 
         await chrome.storage.local.set({ demo_wardrobe: items });
+        // Cache vừa thay bằng dữ liệu DB — tìm kiếm ngay sau đây phải thấy tag / ghi chú mới nhất
+        invalidateWardrobeIndex();
         demoState.wardrobe = items;
 
         log('[Fitly] Loaded wardrobe from DB:', items.length, 'items');
-        return { success: true, items, total: items.length };
+        return wardrobeResponse(items, data);
 
     } catch (error) {
         console.error('[Fitly] Exception in handleGetWardrobe:', error);
         const storage = await chrome.storage.local.get('demo_wardrobe');
-        let items = storage.demo_wardrobe || [];
-        if (data.category) {
-            items = items.filter(item => item.category === data.category);
-        }
-        return { success: true, items, total: items.length };
+        return wardrobeResponse(storage.demo_wardrobe || [], data);
     }
 }
+
+/** Item tủ đồ đã lưu trên Supabase (id UUID), không phải item local 'wardrobe-...' / 'clothing-...' */
+function isCloudItemId(id) {
+    return typeof id === 'string' && !id.startsWith('wardrobe-') && !id.startsWith('clothing-');
+}
+
+/**
+ * handleUpdateWardrobeItem — Sửa tag / ghi chú; chỉ field được gửi mới bị đổi
+ * Output: { success, tags, notes } | { success: false, error: 'NOT_FOUND' | 'NOTHING_TO_UPDATE' }
+ */
+export async function handleUpdateWardrobeItem(data = {}) {
+    const updates = {};
+    if ('tags' in data) updates.tags = wardrobeQuery.normalizeTags(data.tags);
+    if ('notes' in data) updates.notes = wardrobeQuery.normalizeNotes(data.notes);
+    if (Object.keys(updates).length === 0) return { success: false, error: 'NOTHING_TO_UPDATE' };
+
+    // STEP 1: Cùng món có thể nằm ở cả tủ đồ (cache) lẫn đồ vừa thử — ghi cả hai để tag không lệch nhau
+    const storage = await chrome.storage.local.get(['demo_wardrobe', 'recent_clothing']);
+    const wardrobe = storage.demo_wardrobe || [];
+    const recent = storage.recent_clothing || [];
+    const matches = item => (data.id && item.id === data.id) || (data.imageUrl && (item.image_url || item.imageUrl) === data.imageUrl);
+    const wardrobeItem = wardrobe.find(matches);
+    const imageUrl = data.imageUrl || wardrobeItem?.image_url || recent.find(matches)?.imageUrl;
+    const recentItems = recent.filter(item => matches(item) || (imageUrl && item.imageUrl === imageUrl));
+    if (!wardrobeItem && recentItems.length === 0) return { success: false, error: 'NOT_FOUND' };
+
+    if (wardrobeItem) Object.assign(wardrobeItem, updates);
+    recentItems.forEach(item => Object.assign(item, updates));
+    await chrome.storage.local.set({ demo_wardrobe: wardrobe, recent_clothing: recent });
+    invalidateWardrobeIndex();
+
+    // STEP 2: Tủ đồ đăng nhập → cập nhật wardrobe_items (migration 022); lỗi thì vẫn giữ bản local
+    if (wardrobeItem && isCloudItemId(wardrobeItem.id) && !(await isDemoMode()) && await getAuthToken()) {
+        const { error } = await supabase
+            .from('wardrobe_items')
+            .update(updates)
+            .eq('id', wardrobeItem.id);
+        if (error) console.warn('[Fitly] Could not sync wardrobe tags:', error.message);
+    }
+
+    const updated = wardrobeItem || recentItems[0];
+    log('[Fitly] Updated wardrobe item tags/notes:', updated.id || imageUrl);
+    return { success: true, tags: updated.tags || [], notes: updated.notes ?? null };
+}
@@ -0,0 +1,212 @@
+/**
+ * File: wardrobe_search_index.js
+ * Purpose: Tìm kiếm tủ đồ + lọc theo luật smart collection trên chỉ mục trong bộ nhớ service worker —
+ *          vài trăm món vẫn trả kết quả tức thì khi user gõ từng chữ
+ * Layer: Application / Feature
+ *
+ * Data Contract:
+ * - Exports: handleSearchWardrobe, queryWardrobeIndex, getWardrobeIndex, invalidateWardrobeIndex, watchWardrobeIndex,
+ *   WARDROBE_COLLECTIONS_KEY
+ * - Nguồn: recent_clothing (camelCase) + demo_wardrobe (cache wardrobe_items) — gộp theo URL ảnh như
+ *   handleGetRecentClothing, nên kết quả khớp đúng lưới của trang Wardrobe
+ * - Chữ được tìm: tên, tag, brand (product), domain trang nguồn, màu (tên gốc + nhãn en / vi)
+ * - handleSearchWardrobe({ query?, rules?, collectionId? }) → { success, items: [{ kind, id, imageUrl }], total }
+ *   kind: 'recent' | 'wardrobe'; collectionId → luật của collection, query gửi kèm lọc tiếp trong collection
+ *
+ * Flow:
+ * 1. Lần tìm đầu → đọc storage, dựng document + inverted index (term đã bỏ dấu → vị trí document)
+ * 2. Query: mỗi từ khớp tiền tố một term (binary search trên danh sách term đã sắp xếp), mọi từ phải khớp
+ * 3. Luật (lib/wardrobe_query.js): category / subcategory / màu / hoạ tiết / domain / tag / ngày thêm
+ * 4. storage.onChanged trên các key nguồn (watchWardrobeIndex) → bỏ chỉ mục, lần tìm sau dựng lại
+ *
+ * Edge Cases:
+ * - Cùng ảnh vừa ở đồ vừa thử vừa ở tủ đồ → một document, tên + tag gộp từ cả hai
+ * - Service worker bị Chrome tắt → mất chỉ mục, dựng lại lười ở lần tìm kế tiếp
+ * - Collection đã bị xoá → { success: false, error: 'COLLECTION_NOT_FOUND' }
+ */
+
+import '../lib/wardrobe_query.js';
+import '../lib/locales/en.js';
+import '../lib/locales/vi.js';
+import { log } from './debug_logger.js';
+
+const wardrobeQuery = globalThis.FitlyWardrobeQuery;
+
+export const WARDROBE_COLLECTIONS_KEY = 'wardrobe_collections';
+const INDEXED_KEYS = ['recent_clothing', 'demo_wardrobe'];
+const LABEL_LOCALES = ['en', 'vi'];
+
+let _index = null;
+let _building = null;
+
+/** Nhãn màu đã dịch ('xanh navy', 'navy') — user gõ tiếng nào cũng khớp */
+function colorLabels(name) {
+    return LABEL_LOCALES.map(locale => globalThis.FITLY_LOCALES?.[locale]?.color?.[name]).filter(Boolean);
+}
+
+/** Item của hai nguồn → document chung; field thiếu để null, không đoán */
+function toDocument(item, kind) {
+    const wardrobe = kind === 'wardrobe';
+    const sourceUrl = wardrobe ? item.source_url : item.sourceUrl;
+    const product = (wardrobe ? item.product_meta : item.product) || null;
+    const createdAt = wardrobe ? Date.parse(item.created_at) : item.timestamp;
+    return {
+        kind,
+        id: item.id || null,
+        imageUrl: wardrobe ? item.image_url : item.imageUrl,
+        names: item.name ? [item.name] : [],
+        category: item.category || null,
+        subcategory: item.subcategory || null,
+        brand: product?.brand || '',
+        domain: wardrobeQuery.sourceDomain(sourceUrl),
+        colors: (item.colors || []).map(color => color.name),
+        pattern: item.pattern || null,
+        tags: wardrobeQuery.normalizeTags(item.tags || []),
+        createdAt: Number.isFinite(createdAt) ? createdAt : null,
+    };
+}
+
+function mergeDocument(target, other) {
+    // Tên có thể khác nhau giữa hai bản (đồ vừa thử đặt theo trang, tủ đồ do user đặt) — tìm được bằng cả hai
+    target.names = [...new Set([...target.names, ...other.names])];
+    for (const field of ['category', 'subcategory', 'brand', 'domain', 'pattern', 'createdAt']) {
+        if (!target[field] && other[field]) target[field] = other[field];
+    }
+    if (target.colors.length === 0) target.colors = other.colors;
+    target.tags = wardrobeQuery.normalizeTags([...target.tags, ...other.tags]);
+}
+
+function documentTerms(doc) {
+    const text = [...doc.names, doc.brand, doc.domain, ...doc.tags, ...doc.colors, ...doc.colors.flatMap(colorLabels)];
+    return new Set(text.flatMap(value => wardrobeQuery.tokenize(value)));
+}
+
+function buildIndex(storage) {
+    const docs = [];
+    const byUrl = new Map();
+    for (const [key, kind] of [['recent_clothing', 'recent'], ['demo_wardrobe', 'wardrobe']]) {
+        for (const item of storage[key] || []) {
+            // Outfit lưu từ web không nằm trong lưới quần áo của trang Wardrobe
+            if (item.category === 'outfit') continue;
+            const doc = toDocument(item, kind);
+            if (!doc.imageUrl) continue;
+            const existing = byUrl.get(doc.imageUrl);
+            if (existing) {
+                mergeDocument(existing, doc);
+                continue;
+            }
+            byUrl.set(doc.imageUrl, doc);
+            docs.push(doc);
+        }
+    }
+
+    const postings = new Map();
+    docs.forEach((doc, position) => {
+        for (const term of documentTerms(doc)) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(position);
+        }
+    });
+    return { docs, postings, terms: [...postings.keys()].sort() };
+}
+
+/** Vị trí document có term bắt đầu bằng prefix — terms đã sắp xếp nên các term khớp nằm liền nhau */
+function prefixMatches(index, prefix) {
+    const { terms } = index;
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (terms[middle] < prefix) low = middle + 1;
+        else high = middle;
+    }
+    const matches = new Set();
+    for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+        index.postings.get(terms[i]).forEach(position => matches.add(position));
+    }
+    return matches;
+}
+
+function matchesRules(doc, rules, since) {
+    if (rules.category && doc.category !== rules.category) return false;
+    if (rules.subcategory && doc.subcategory !== rules.subcategory) return false;
+    if (rules.colors && !rules.colors.some(color => doc.colors.includes(color))) return false;
+    if (rules.pattern && doc.pattern !== rules.pattern) return false;
+    if (rules.domains && !rules.domains.some(domain => doc.domain === domain || doc.domain?.endsWith(`.${domain}`))) return false;
+    if (rules.tags && !rules.tags.some(tag => doc.tags.includes(tag))) return false;
+    if (since != null && !(doc.createdAt >= since)) return false;
+    return true;
+}
+
+export async function getWardrobeIndex() {
+    if (_index) return _index;
+    if (!_building) {
+        _building = chrome.storage.local.get(INDEXED_KEYS).then(storage => {
+            const index = buildIndex(storage);
+            log('[WardrobeSearch] Indexed', index.docs.length, 'items,', index.terms.length, 'terms');
+            return index;
+        });
+    }
+    const building = _building;
+    const index = await building;
+    // Storage đổi trong lúc đang dựng → _building đã bị bỏ, chỉ mục này cũ, không giữ lại
+    if (_building === building) {
+        _index = index;
+        _building = null;
+    }
+    return index;
+}
+
+export function invalidateWardrobeIndex() {
+    _index = null;
+    _building = null;
+}
+
+/** Gọi một lần lúc service worker khởi động */
+export function watchWardrobeIndex() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && INDEXED_KEYS.some(key => key in changes)) invalidateWardrobeIndex();
+    });
+}
+
+/**
+ * queryWardrobeIndex — Document khớp rules (đã hoặc chưa normalizeRules), giữ thứ tự nguồn (mới nhất trước)
+ */
+export async function queryWardrobeIndex(rules = {}) {
+    const normalized = wardrobeQuery.normalizeRules(rules);
+    const index = await getWardrobeIndex();
+
+    let candidates = null;
+    for (const token of wardrobeQuery.tokenize(normalized.query)) {
+        const matches = prefixMatches(index, token);
+        candidates = candidates ? new Set([...candidates].filter(position => matches.has(position))) : matches;
+        if (candidates.size === 0) return [];
+    }
+
+    const since = wardrobeQuery.addedSince(normalized.added);
+    const docs = candidates ? [...candidates].sort((a, b) => a - b).map(position => index.docs[position]) : index.docs;
+    return docs.filter(doc => matchesRules(doc, normalized, since));
+}
+
+/** Field trùng nhau thì luật của collection thắng; query nối thêm (mọi từ đều phải khớp) */
+function combineRules(collectionRules, rules) {
+    const combined = { ...rules, ...collectionRules };
+    combined.query = [collectionRules.query, rules.query].filter(Boolean).join(' ');
+    return combined;
+}
+
+export async function handleSearchWardrobe(data = {}) {
+    let rules = { ...(data.rules || {}), query: data.query || data.rules?.query || '' };
+    if (data.collectionId) {
+        const storage = await chrome.storage.local.get(WARDROBE_COLLECTIONS_KEY);
+        const collection = (storage[WARDROBE_COLLECTIONS_KEY] || []).find(entry => entry.id === data.collectionId);
+        if (!collection) return { success: false, error: 'COLLECTION_NOT_FOUND' };
+        rules = combineRules(collection.rules, rules);
+    }
+    const docs = await queryWardrobeIndex(rules);
+    return {
+        success: true,
+        items: docs.map(doc => ({ kind: doc.kind, id: doc.id, imageUrl: doc.imageUrl })),
+        total: docs.length,
+    };
+}
@@ -0,0 +1,396 @@
+/**
+ * File: capture_screen_region.js
+ * Purpose: Chụp vùng màn hình khi không lấy được ảnh sản phẩm — ảnh vẽ bằng canvas, blob: URL,
+ *          CSS sprite, CDN chặn hotlink. User kéo khung quanh món đồ, ảnh cắt ra đi tiếp như ảnh chọn từ trang
+ * Layer: Content Script / UI Overlay
+ *
+ * Data Contract:
+ * - Input: window.__fitlyStartRegionCapture({ rect?, purpose?, sidePanelOpen? }) (inject_sidebar.js, khung hình video
+ *   bị chặn cross-origin — capture_video_frame.js), message START_REGION_CAPTURE (context menu)
+ *   rect — khung chọn sẵn (vd khung của <video>), user xác nhận hoặc kéo lại
+ * - Output: REGION_CAPTURED { dataUrl (JPEG), purpose: 'tryon' | 'wardrobe' | 'model', pageUrl, sidePanelOpen } → background
+ * - Exports: window.__fitlyStartRegionCapture, window.__fitlyComputeCropBox (test)
+ *
+ * Flow:
+ * 1. Overlay toàn khung nhìn trong closed shadow root <fitly-region-capture>, kéo chuột để vẽ khung
+ * 2. Thả chuột → thanh hành động cạnh khung: Thử đồ / Tủ đồ / Ảnh mẫu / Huỷ (Enter = mục đích mặc định, kéo lại = vẽ lại)
+ * 3. Ẩn mọi UI Fitly (FitlyShadowHost.setHostsHidden), chờ trang vẽ lại → CAPTURE_VISIBLE_TAB
+ *    (background gọi chrome.tabs.captureVisibleTab)
+ * 4. Cắt theo tỉ lệ ảnh chụp / khung nhìn CSS (devicePixelRatio + zoom trang) → ảnh nét bằng pixel thật của màn hình
+ *
+ * Edge Cases:
+ * - Gọi trong iframe → nhờ background mở overlay ở frame chính (toạ độ khung nhìn phải là của tab)
+ * - Khung quá nhỏ (< 24px) → coi như click nhầm, giữ overlay cho vẽ lại
+ * - Trang không chụp được (chrome://, Web Store) → báo lỗi trong overlay
+ * - Esc → huỷ bất cứ lúc nào
+ */
+
+(function () {
+    'use strict';
+
+    if (window.__fitlyRegionCaptureLoaded) return;
+    window.__fitlyRegionCaptureLoaded = true;
+
+    const HOST_TAG = 'fitly-region-capture';
+    const MIN_REGION_SIZE = 24;       // px CSS
+    const JPEG_QUALITY = 0.92;
+    const ERROR_DISPLAY_MS = 3500;
+
+    const REGION_STYLES = `
+        .fitly-region-overlay {
+            position: fixed;
+            inset: 0;
+            cursor: crosshair;
+            background: rgba(15, 10, 8, 0.35);
+            user-select: none;
+        }
+        .fitly-region-overlay.has-box {
+            background: transparent;
+        }
+        .fitly-region-hint {
+            position: fixed;
+            top: 16px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 8px 16px;
+            border-radius: 999px;
+            background: rgba(30, 30, 40, 0.9);
+            color: white;
+            font-size: 13px;
+            font-weight: 500;
+            pointer-events: none;
+            white-space: nowrap;
+        }
+        .fitly-region-hint.is-error {
+            background: rgba(220, 38, 38, 0.95);
+        }
+        .fitly-region-box {
+            position: fixed;
+            display: none;
+            border: 2px dashed white;
+            box-shadow: 0 0 0 9999px rgba(15, 10, 8, 0.45);
+            box-sizing: border-box;
+        }
+        .fitly-region-actions {
+            position: fixed;
+            display: none;
+            gap: 6px;
+            cursor: default;
+        }
+        .fitly-region-actions.is-visible {
+            display: flex;
+        }
+        .fitly-region-btn {
+            padding: 6px 12px;
+            border: none;
+            border-radius: 16px;
+            color: white;
+            font-size: 12px;
+            font-weight: 600;
+            font-family: inherit;
+            cursor: pointer;
+            white-space: nowrap;
+            background: rgba(30, 30, 40, 0.92);
+        }
+        .fitly-region-btn-tryon {
+            background: linear-gradient(135deg, #7c3aed, #db2777);
+        }
+        .fitly-region-btn-wardrobe {
+            background: linear-gradient(135deg, #0ea5e9, #6366f1);
+        }
+        .fitly-region-btn-model {
+            background: linear-gradient(135deg, #10b981, #0d9488);
+        }
+    `;
+
+    // ==========================================
+    // LOCALE
+    // ==========================================
+
+    let currentLocale = 'en';
+
+    function tRegion(key) {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            return window.i18n.t(`region_capture.${key}`, currentLocale);
+        }
+        const fallback = {
+            hint: 'Drag around the garment · Esc to cancel',
+            try_on: '👗 Try On',
+            add_wardrobe: '🗂️ Wardrobe',
+            use_as_model: '🧍 Model photo',
+            cancel: 'Cancel',
+            capture_failed: 'Cannot capture this page. Save the image and upload it in Fitly instead.',
+        };
+        return fallback[key] || key;
+    }
+
+    // ==========================================
+    // CROP MATH
+    // ==========================================
+
+    /**
+     * computeCropBox — Vùng cần cắt trên ảnh chụp (pixel thật) từ khung user vẽ (pixel CSS)
+     * Input: rect { x, y, width, height } theo khung nhìn, imageSize / viewport { width, height },
+     *        devicePixelRatio (chỉ dùng khi không biết kích thước ảnh chụp)
+     * Output: { sx, sy, sw, sh } số nguyên, nằm trong ảnh chụp
+     * Tỉ lệ lấy từ ảnh chụp thật / khung nhìn — đúng cả khi user zoom trang (DPR báo không khớp ảnh chụp)
+     */
+    function computeCropBox(rect, imageSize, viewport, devicePixelRatio = 1) {
+        const scaleX = imageSize.width && viewport.width ? imageSize.width / viewport.width : devicePixelRatio;
+        const scaleY = imageSize.height && viewport.height ? imageSize.height / viewport.height : devicePixelRatio;
+        const maxWidth = imageSize.width || Math.round(viewport.width * scaleX);
+        const maxHeight = imageSize.height || Math.round(viewport.height * scaleY);
+
+        const sx = Math.min(Math.max(0, Math.round(rect.x * scaleX)), maxWidth);
+        const sy = Math.min(Math.max(0, Math.round(rect.y * scaleY)), maxHeight);
+        const sw = Math.max(1, Math.min(Math.round(rect.width * scaleX), maxWidth - sx));
+        const sh = Math.max(1, Math.min(Math.round(rect.height * scaleY), maxHeight - sy));
+        return { sx, sy, sw, sh };
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Screenshot decode failed'));
+            img.src = src;
+        });
+    }
+
+    /** Cắt ảnh chụp khung nhìn (data URL của extension → canvas không bị taint) */
+    async function cropScreenshot(screenshotUrl, rect, viewport) {
+        const img = await loadImage(screenshotUrl);
+        const { sx, sy, sw, sh } = computeCropBox(
+            rect,
+            { width: img.naturalWidth, height: img.naturalHeight },
+            viewport,
+            window.devicePixelRatio || 1
+        );
+        const canvas = document.createElement('canvas');
+        canvas.width = sw;
+        canvas.height = sh;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(img, sx, sy, sw, sh, 0, 0, sw, sh);
+        return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+    }
+
+    // ==========================================
+    // OVERLAY
+    // ==========================================
+
+    /** Phiên chọn vùng đang mở — null khi không có */
+    let session = null;
+
+    function getRegionRoot() {
+        return window.FitlyShadowHost.getShadowRoot(HOST_TAG, REGION_STYLES);
+    }
+
+    function nextPaint() {
+        return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    }
+
+    function normalizeRect(start, end) {
+        return {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y),
+        };
+    }
+
+    function showHint(text, isError = false) {
+        if (!session) return;
+        session.hint.textContent = text;
+        session.hint.classList.toggle('is-error', isError);
+    }
+
+    function drawBox(rect) {
+        const { box, overlay } = session;
+        overlay.classList.add('has-box');
+        box.style.display = 'block';
+        box.style.left = `${rect.x}px`;
+        box.style.top = `${rect.y}px`;
+        box.style.width = `${rect.width}px`;
+        box.style.height = `${rect.height}px`;
+    }
+
+    /** Thanh hành động dưới khung — không đủ chỗ thì đặt bên trong, sát mép dưới */
+    function showActions(rect) {
+        const { actions } = session;
+        actions.classList.add('is-visible');
+        const below = rect.y + rect.height + 8;
+        const top = below + 36 > window.innerHeight ? rect.y + rect.height - 40 : below;
+        actions.style.top = `${Math.max(8, top)}px`;
+        actions.style.left = `${Math.max(8, Math.min(rect.x, window.innerWidth - 280))}px`;
+    }
+
+    function closeRegionCapture() {
+        if (!session) return;
+        document.removeEventListener('keydown', session.onKeyDown, true);
+        session.overlay.remove();
+        session = null;
+    }
+
+    /** Ảnh chụp khung nhìn không có UI của Fitly (overlay, nút hover, toast) */
+    async function captureCleanViewport() {
+        window.FitlyShadowHost.setHostsHidden(true);
+        try {
+            await nextPaint();
+            const response = await chrome.runtime.sendMessage({ type: 'CAPTURE_VISIBLE_TAB' });
+            if (!response?.success || !response.dataUrl) throw new Error(response?.error || 'Capture failed');
+            return response.dataUrl;
+        } finally {
+            window.FitlyShadowHost.setHostsHidden(false);
+        }
+    }
+
+    async function finishRegionCapture(purpose) {
+        if (!session?.rect) return;
+        const { rect, sidePanelOpen } = session;
+        const viewport = { width: window.innerWidth, height: window.innerHeight };
+
+        try {
+            // STEP 1: Background chụp khung nhìn của tab
+            const screenshotUrl = await captureCleanViewport();
+
+            // STEP 2: Cắt vùng đã chọn → đi tiếp như ảnh chọn từ trang
+            const dataUrl = await cropScreenshot(screenshotUrl, rect, viewport);
+            closeRegionCapture();
+            chrome.runtime.sendMessage({
+                type: 'REGION_CAPTURED',
+                data: { dataUrl, purpose, pageUrl: window.location.href, sidePanelOpen }
+            }).catch(err => console.warn('[Fitly] Failed to send REGION_CAPTURED:', err));
+        } catch (error) {
+            console.warn('[Fitly] Region capture failed:', error.message);
+            if (!session) return;
+            showHint(tRegion('capture_failed'), true);
+            setTimeout(closeRegionCapture, ERROR_DISPLAY_MS);
+        }
+    }
+
+    /** Khung chọn sẵn → kẹp trong khung nhìn (video cuộn lệch một nửa ra ngoài) */
+    function clampToViewport(rect) {
+        const x = Math.max(0, rect.x);
+        const y = Math.max(0, rect.y);
+        return {
+            x,
+            y,
+            width: Math.min(rect.x + rect.width, window.innerWidth) - x,
+            height: Math.min(rect.y + rect.height, window.innerHeight) - y,
+        };
+    }
+
+    function createActionButton(className, label, onClick) {
+        const btn = document.createElement('button');
+        btn.className = `fitly-region-btn ${className}`;
+        btn.textContent = label;
+        btn.addEventListener('mousedown', e => e.stopPropagation());
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onClick();
+        });
+        return btn;
+    }
+
+    function openOverlay({ rect = null, purpose = 'tryon', sidePanelOpen = false } = {}) {
+        const overlay = document.createElement('div');
+        overlay.className = 'fitly-region-overlay';
+        const hint = document.createElement('div');
+        hint.className = 'fitly-region-hint';
+        const box = document.createElement('div');
+        box.className = 'fitly-region-box';
+        const actions = document.createElement('div');
+        actions.className = 'fitly-region-actions';
+        actions.addEventListener('mousedown', e => e.stopPropagation());
+        actions.append(
+            createActionButton('fitly-region-btn-tryon', tRegion('try_on'), () => finishRegionCapture('tryon')),
+            createActionButton('fitly-region-btn-wardrobe', tRegion('add_wardrobe'), () => finishRegionCapture('wardrobe')),
+            createActionButton('fitly-region-btn-model', tRegion('use_as_model'), () => finishRegionCapture('model')),
+            createActionButton('fitly-region-btn-cancel', tRegion('cancel'), closeRegionCapture)
+        );
+        overlay.append(hint, box, actions);
+
+        session = { overlay, hint, box, actions, purpose, sidePanelOpen, start: null, rect: null, onKeyDown: null };
+        showHint(tRegion('hint'));
+
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            session.start = { x: e.clientX, y: e.clientY };
+            session.rect = null;
+            actions.classList.remove('is-visible');
+        });
+        overlay.addEventListener('mousemove', (e) => {
+            if (!session?.start) return;
+            drawBox(normalizeRect(session.start, { x: e.clientX, y: e.clientY }));
+        });
+        overlay.addEventListener('mouseup', (e) => {
+            if (!session?.start) return;
+            const rect = normalizeRect(session.start, { x: e.clientX, y: e.clientY });
+            session.start = null;
+            // Click nhầm / khung quá nhỏ → vẽ lại
+            if (rect.width < MIN_REGION_SIZE || rect.height < MIN_REGION_SIZE) return;
+            session.rect = rect;
+            drawBox(rect);
+            showActions(rect);
+        });
+
+        session.onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                closeRegionCapture();
+            } else if (e.key === 'Enter' && session?.rect) {
+                e.preventDefault();
+                finishRegionCapture(session.purpose);
+            }
+        };
+        document.addEventListener('keydown', session.onKeyDown, true);
+
+        getRegionRoot().appendChild(overlay);
+
+        // Khung chọn sẵn — user bấm nút / Enter để chụp luôn, hoặc kéo khung khác
+        const preset = rect ? clampToViewport(rect) : null;
+        if (preset && preset.width >= MIN_REGION_SIZE && preset.height >= MIN_REGION_SIZE) {
+            session.rect = preset;
+            drawBox(preset);
+            showActions(preset);
+        }
+    }
+
+    /**
+     * startRegionCapture — Mở overlay chọn vùng (frame chính); trong iframe thì nhờ background mở ở frame chính
+     * Input: { rect?, purpose?, sidePanelOpen? } — rect theo khung nhìn của frame chính
+     */
+    async function startRegionCapture(options = {}) {
+        if (window.top !== window) {
+            // Toạ độ trong iframe không khớp khung nhìn của tab → bỏ khung chọn sẵn
+            chrome.runtime.sendMessage({
+                type: 'REQUEST_REGION_CAPTURE',
+                data: { purpose: options.purpose }
+            }).catch(() => { });
+            return;
+        }
+        if (session) return;
+
+        if (window.i18n?.loadLocalePreference) {
+            currentLocale = await window.i18n.loadLocalePreference();
+        }
+        if (session) return;
+        openOverlay(options);
+    }
+
+    window.__fitlyStartRegionCapture = startRegionCapture;
+    window.__fitlyComputeCropBox = computeCropBox;
+
+    // Context menu "Chụp vùng màn hình" — background gửi tới frame chính sau khi mở sidebar
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type !== 'START_REGION_CAPTURE' || window.top !== window) return false;
+        startRegionCapture({ purpose: message.purpose, sidePanelOpen: message.sidePanelOpen });
+        sendResponse({ success: true });
+        return false;
+    });
+
+})();
@@ -0,0 +1,378 @@
+/**
+ * File: capture_video_frame.js
+ * Purpose: Lấy món đồ từ <video> (lookbook, video sản phẩm, embed kiểu TikTok) — chụp khung hình đang hiện
+ *          hoặc cho user tua tới khung hình ưng ý, gửi đi như ảnh quần áo / ảnh mẫu
+ * Layer: Content Script / Extractor + UI Overlay
+ *
+ * Data Contract:
+ * - Exports: window.__fitlySendVideoFrame(video, purpose, { sidePanelOpen }) → 'frame' | 'screenshot'
+ *            window.__fitlyOpenVideoScrubber(video), window.__fitlyGrabVideoFrame(video) → data URL JPEG
+ * - purpose: 'tryon' → CONTEXT_TRYON_IMAGE, 'wardrobe' → CONTEXT_ADD_WARDROBE, 'model' → CONTEXT_USE_AS_MODEL
+ *   (srcUrl = data URL khung hình, cùng đường đi với ảnh chọn từ trang)
+ * - Message CAPTURE_VIDEO_FRAME { srcUrl, purpose } (chuột phải vào video) → { dataUrl } | { fallback: 'screenshot' } | {}
+ *
+ * Flow:
+ * 1. Dừng video → vẽ khung hình lên canvas đúng độ phân giải gốc (videoWidth × videoHeight)
+ * 2. Canvas bị "taint" (video cross-origin không có CORS) → toDataURL ném SecurityError
+ *    → mở công cụ chụp vùng màn hình (capture_screen_region.js) với khung chọn sẵn là khung của video
+ * 3. Tua khung hình: thanh tua dưới video (kéo / ◀ ▶ từng khung / phím ← →), bấm Thử đồ / Tủ đồ / Ảnh mẫu
+ *
+ * Edge Cases:
+ * - Video chưa có dữ liệu (readyState < 2, poster đang hiện) → chụp màn hình thay vì canvas đen
+ * - Livestream (duration = Infinity) → ẩn thanh kéo, vẫn bước từng khung được
+ * - Gửi message đồng bộ trong click — giữ user gesture để background mở sidebar
+ * - Video trong iframe: chụp vùng mở ở frame chính, không có khung chọn sẵn (toạ độ iframe ≠ khung nhìn của tab)
+ */
+
+(function () {
+    'use strict';
+
+    if (window.__fitlyVideoFrameLoaded) return;
+    window.__fitlyVideoFrameLoaded = true;
+
+    const SCRUBBER_HOST_TAG = 'fitly-video-scrubber';
+    const JPEG_QUALITY = 0.92;
+    const FRAME_STEP_SECONDS = 1 / 30;
+    const SCRUBBER_WIDTH = { min: 280, max: 420 };
+    const SCRUBBER_HEIGHT = 84;       // px — ước lượng để đặt thanh tua trong / dưới video
+
+    /** Mục đích → message tới background (route trực tiếp trong service_worker.js) */
+    const PURPOSE_MESSAGES = {
+        tryon: 'CONTEXT_TRYON_IMAGE',
+        wardrobe: 'CONTEXT_ADD_WARDROBE',
+        model: 'CONTEXT_USE_AS_MODEL',
+    };
+
+    const SCRUBBER_STYLES = `
+        .fitly-scrubber {
+            position: fixed;
+            box-sizing: border-box;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            padding: 10px 12px;
+            border-radius: 12px;
+            background: rgba(20, 20, 28, 0.92);
+            color: white;
+            font-size: 12px;
+            box-shadow: 0 6px 24px rgba(0, 0, 0, 0.35);
+        }
+        .fitly-scrubber-row {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        }
+        .fitly-scrubber-range {
+            flex: 1;
+            min-width: 0;
+            accent-color: #db2777;
+        }
+        .fitly-scrubber-time {
+            min-width: 52px;
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+            opacity: 0.85;
+        }
+        .fitly-scrubber-btn {
+            padding: 5px 10px;
+            border: none;
+            border-radius: 14px;
+            color: white;
+            font-size: 11px;
+            font-weight: 600;
+            font-family: inherit;
+            cursor: pointer;
+            white-space: nowrap;
+            background: rgba(255, 255, 255, 0.12);
+        }
+        .fitly-scrubber-btn:hover {
+            background: rgba(255, 255, 255, 0.22);
+        }
+        .fitly-scrubber-btn-tryon {
+            background: linear-gradient(135deg, #7c3aed, #db2777);
+        }
+        .fitly-scrubber-btn-wardrobe {
+            background: linear-gradient(135deg, #0ea5e9, #6366f1);
+        }
+        .fitly-scrubber-btn-model {
+            background: linear-gradient(135deg, #10b981, #0d9488);
+        }
+        .fitly-scrubber-close {
+            margin-left: auto;
+        }
+    `;
+
+    // ==========================================
+    // LOCALE
+    // ==========================================
+
+    let currentLocale = 'en';
+
+    function tVideo(key) {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            return window.i18n.t(`video_frame.${key}`, currentLocale);
+        }
+        const fallback = {
+            try_on: '👗 Try On',
+            add_wardrobe: '🗂️ Wardrobe',
+            use_as_model: '🧍 Model photo',
+            close: 'Close',
+            step_back: 'Previous frame (←)',
+            step_forward: 'Next frame (→)',
+        };
+        return fallback[key] || key;
+    }
+
+    // i18n.js chỉ nạp ở frame chính (sau script này) → đọc locale thẳng từ storage; iframe dùng fallback tiếng Anh
+    chrome.storage.local.get('extension_locale')
+        .then(data => { currentLocale = data.extension_locale || (navigator.language || '').split('-')[0] || 'en'; })
+        .catch(() => { });
+
+    // ==========================================
+    // FRAME GRAB
+    // ==========================================
+
+    function frameError(code) {
+        const error = new Error(`Video frame unavailable: ${code}`);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * grabVideoFrame — Khung hình hiện tại ở độ phân giải gốc của video
+     * Output: data URL JPEG; ném lỗi code 'NOT_READY' | 'UNSUPPORTED' | 'TAINTED'
+     */
+    function grabVideoFrame(video) {
+        if (video.readyState < 2 || !video.videoWidth || !video.videoHeight) throw frameError('NOT_READY');
+
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) throw frameError('UNSUPPORTED');
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        try {
+            return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+        } catch (_) {
+            // SecurityError — video cross-origin không có CORS làm canvas bị taint
+            throw frameError('TAINTED');
+        }
+    }
+
+    function videoRect(video) {
+        const rect = video.getBoundingClientRect();
+        return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+    }
+
+    /**
+     * sendVideoFrame — Gửi khung hình đang hiện như ảnh chọn từ trang; không vẽ được lên canvas thì chụp màn hình
+     * Gọi đồng bộ trong click (không await trước sendMessage) để background còn mở được sidebar
+     * Output: 'frame' (đã gửi khung hình) | 'screenshot' (đã mở overlay chụp vùng quanh video)
+     */
+    function sendVideoFrame(video, purpose = 'tryon', { sidePanelOpen = false } = {}) {
+        const type = PURPOSE_MESSAGES[purpose] || PURPOSE_MESSAGES.tryon;
+        video.pause?.();
+
+        let dataUrl = null;
+        try {
+            dataUrl = grabVideoFrame(video);
+        } catch (error) {
+            console.warn('[Fitly] Video frame grab failed, falling back to screenshot:', error.code);
+        }
+
+        if (!dataUrl) {
+            if (window.top !== window) {
+                // capture_screen_region.js chỉ nạp ở frame chính — nhờ background mở overlay ở đó
+                chrome.runtime.sendMessage({ type: 'REQUEST_REGION_CAPTURE', data: { purpose } }).catch(() => { });
+            } else {
+                window.__fitlyStartRegionCapture?.({ rect: videoRect(video), purpose, sidePanelOpen });
+            }
+            return 'screenshot';
+        }
+
+        chrome.runtime.sendMessage({
+            type,
+            data: {
+                srcUrl: dataUrl,
+                pageUrl: window.location.href,
+                product: window.__fitlyExtractProductMetadata?.() || null,
+                sidePanelOpen,
+            }
+        }).catch(err => console.warn(`[Fitly] Failed to send ${type}:`, err));
+        return 'frame';
+    }
+
+    // ==========================================
+    // SCRUBBER — tua tới khung hình muốn lấy
+    // ==========================================
+
+    /** Thanh tua đang mở — null khi không có */
+    let scrubber = null;
+
+    function formatTime(seconds) {
+        const safe = Number.isFinite(seconds) ? Math.max(0, seconds) : 0;
+        const minutes = Math.floor(safe / 60);
+        return `${minutes}:${(safe - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    function stepFrame(video, direction) {
+        const max = Number.isFinite(video.duration) ? video.duration : Infinity;
+        video.currentTime = Math.min(max, Math.max(0, video.currentTime + direction * FRAME_STEP_SECONDS));
+    }
+
+    /** Dưới video nếu đủ chỗ, không thì đè lên mép dưới của video */
+    function placeScrubber(panel, video) {
+        const rect = video.getBoundingClientRect();
+        const width = Math.min(SCRUBBER_WIDTH.max, Math.max(SCRUBBER_WIDTH.min, rect.width));
+        const below = rect.bottom + 8;
+        const top = below + SCRUBBER_HEIGHT > window.innerHeight ? rect.bottom - SCRUBBER_HEIGHT - 8 : below;
+        panel.style.width = `${width}px`;
+        panel.style.top = `${Math.max(8, top)}px`;
+        panel.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+    }
+
+    function createScrubberButton(className, label, onClick) {
+        const btn = document.createElement('button');
+        btn.className = `fitly-scrubber-btn ${className}`;
+        btn.textContent = label;
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onClick();
+        });
+        return btn;
+    }
+
+    function closeVideoScrubber() {
+        if (!scrubber) return;
+        const { panel, video, onKeyDown, onTimeUpdate } = scrubber;
+        document.removeEventListener('keydown', onKeyDown, true);
+        video.removeEventListener('timeupdate', onTimeUpdate);
+        video.removeEventListener('seeked', onTimeUpdate);
+        panel.remove();
+        scrubber = null;
+    }
+
+    function openVideoScrubber(video) {
+        closeVideoScrubber();
+        video.pause?.();
+
+        const panel = document.createElement('div');
+        panel.className = 'fitly-scrubber';
+
+        // STEP 1: Hàng tua — ◀ [thanh kéo] ▶ thời gian
+        const range = document.createElement('input');
+        range.type = 'range';
+        range.className = 'fitly-scrubber-range';
+        range.min = '0';
+        range.step = 'any';
+        const hasDuration = Number.isFinite(video.duration) && video.duration > 0;
+        range.max = hasDuration ? String(video.duration) : '0';
+        range.value = String(video.currentTime || 0);
+        range.hidden = !hasDuration;
+        range.addEventListener('input', () => {
+            video.currentTime = Number(range.value);
+        });
+
+        const time = document.createElement('span');
+        time.className = 'fitly-scrubber-time';
+        time.textContent = formatTime(video.currentTime);
+
+        const back = createScrubberButton('fitly-scrubber-step', '◀', () => stepFrame(video, -1));
+        back.title = tVideo('step_back');
+        const forward = createScrubberButton('fitly-scrubber-step', '▶', () => stepFrame(video, 1));
+        forward.title = tVideo('step_forward');
+
+        const seekRow = document.createElement('div');
+        seekRow.className = 'fitly-scrubber-row';
+        seekRow.append(back, range, forward, time);
+
+        // STEP 2: Hàng hành động — đóng thanh tua trước để khung hình không bị che khi phải chụp màn hình
+        const pick = purpose => () => {
+            closeVideoScrubber();
+            sendVideoFrame(video, purpose);
+        };
+        const actionRow = document.createElement('div');
+        actionRow.className = 'fitly-scrubber-row';
+        actionRow.append(
+            createScrubberButton('fitly-scrubber-btn-tryon', tVideo('try_on'), pick('tryon')),
+            createScrubberButton('fitly-scrubber-btn-wardrobe', tVideo('add_wardrobe'), pick('wardrobe')),
+            createScrubberButton('fitly-scrubber-btn-model', tVideo('use_as_model'), pick('model')),
+            createScrubberButton('fitly-scrubber-close', '✕', closeVideoScrubber)
+        );
+        actionRow.lastChild.title = tVideo('close');
+
+        panel.append(seekRow, actionRow);
+
+        const onTimeUpdate = () => {
+            time.textContent = formatTime(video.currentTime);
+            if (document.activeElement !== range) range.value = String(video.currentTime);
+        };
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                closeVideoScrubber();
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                e.stopPropagation();
+                stepFrame(video, e.key === 'ArrowLeft' ? -1 : 1);
+            }
+        };
+        video.addEventListener('timeupdate', onTimeUpdate);
+        video.addEventListener('seeked', onTimeUpdate);
+        document.addEventListener('keydown', onKeyDown, true);
+
+        scrubber = { panel, video, onKeyDown, onTimeUpdate };
+        window.FitlyShadowHost.getShadowRoot(SCRUBBER_HOST_TAG, SCRUBBER_STYLES).appendChild(panel);
+        placeScrubber(panel, video);
+    }
+
+    window.addEventListener('scroll', () => {
+        if (scrubber) placeScrubber(scrubber.panel, scrubber.video);
+    }, { capture: true, passive: true });
+
+    window.__fitlySendVideoFrame = sendVideoFrame;
+    window.__fitlyOpenVideoScrubber = openVideoScrubber;
+    window.__fitlyGrabVideoFrame = grabVideoFrame;
+
+    // ==========================================
+    // CONTEXT MENU
+    // ==========================================
+
+    /** <video> vừa bị chuột phải — background chỉ có URL file video */
+    let lastContextVideo = null;
+    document.addEventListener('contextmenu', (event) => {
+        // Video trong shadow root mở của trang → event.target là host, composedPath()[0] mới là <video>
+        const target = event.composedPath?.()[0] || event.target;
+        lastContextVideo = target?.closest?.('video') || null;
+    }, { capture: true, passive: true });
+
+    function findContextVideo(srcUrl) {
+        if (lastContextVideo?.isConnected) return lastContextVideo;
+        const videos = window.FitlyShadowHost.queryAllDeep(document, 'video');
+        return videos.find(video => srcUrl && (video.currentSrc === srcUrl || video.src === srcUrl)) || null;
+    }
+
+    /** Chuột phải vào video: background đã mở sidebar, chỉ cần trả khung hình về */
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type !== 'CAPTURE_VIDEO_FRAME') return false;
+
+        const video = findContextVideo(message.srcUrl);
+        if (!video) {
+            sendResponse({});
+            return false;
+        }
+        video.pause?.();
+        try {
+            sendResponse({ dataUrl: grabVideoFrame(video) });
+        } catch (error) {
+            console.warn('[Fitly] Video frame grab failed, falling back to screenshot:', error.code);
+            window.__fitlyStartRegionCapture?.({ rect: videoRect(video), purpose: message.purpose, sidePanelOpen: true });
+            sendResponse({ fallback: 'screenshot' });
+        }
+        return false;
+    });
+
+})();
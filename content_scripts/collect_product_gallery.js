@@ -0,0 +1,271 @@
+/**
+ * File: collect_product_gallery.js
+ * Purpose: Gom mọi ảnh trong gallery của sản phẩm user chọn (flat-lay, mặc trên người mẫu, chi tiết...)
+ *          và xếp hạng theo mức phù hợp để thử đồ — flat-lay / ghost mannequin trước, ảnh cận chi tiết sau cùng
+ * Layer: Content Script / Extractor
+ *
+ * Data Contract:
+ * - Input: anchor (element ảnh user hover / chuột phải), imageUrl (ảnh user chọn)
+ * - Output: window.__fitlyCollectProductGallery(anchor, imageUrl) →
+ *   { images: [{ url, altText, shot, score, source, clicked }], product }
+ *   shot: 'flatlay' | 'model' | 'back' | 'detail' | 'other'; source: 'page' | 'structured'
+ * - Message GET_PRODUCT_GALLERY { imageUrl } → cùng output (context menu đi qua background)
+ *
+ * Flow:
+ * 1. Từ anchor đi lên tìm khung gallery (slider / thumbnails), không có thì khung sản phẩm
+ *    (PRODUCT_CONTAINER_SELECTORS của detect_clothing_image.js)
+ * 2. Lọc ảnh trong khung qua isLikelyClothingImage (bỏ check kích thước hiển thị), lấy bản nét nhất (image_resolver)
+ * 3. Gộp thêm Product.images từ JSON-LD / microdata / OpenGraph
+ * 4. Gộp ảnh trùng (thumbnail + slide lớn cùng 1 ảnh), chấm điểm theo loại ảnh + vị trí + tỉ lệ khung
+ *
+ * Edge Cases:
+ * - Thumbnail nhỏ / slide đang ẩn (rect = 0) → vẫn lấy, URL nét nhất lấy từ srcset / zoom
+ * - Khung quá lớn (cả trang danh sách) → bỏ, tránh gom ảnh của sản phẩm khác
+ * - Không tìm được khung → chỉ còn ảnh từ dữ liệu có cấu trúc + ảnh user chọn
+ */
+
+(function () {
+    'use strict';
+
+    if (window.__fitlyGalleryCollectorLoaded) return;
+    window.__fitlyGalleryCollectorLoaded = true;
+
+    const MAX_GALLERY_IMAGES = 12;
+    const MIN_GALLERY_IMAGES = 2;
+    const MAX_CONTAINER_IMAGES = 40;  // nhiều hơn → gần như chắc là lưới sản phẩm, không phải gallery
+    const MAX_CONTAINER_DEPTH = 8;
+
+    /** Khung gallery ảnh sản phẩm — thử trước khung sản phẩm chung */
+    const GALLERY_CONTAINER_SELECTORS = [
+        '[class*="gallery"]',
+        '[class*="Gallery"]',
+        '[class*="carousel"]',
+        '[class*="slider"]',
+        '[class*="swiper"]',
+        '[class*="thumbnails"]',
+        '[class*="product-media"]',
+        '[class*="product__media"]',
+        '[class*="product-images"]',
+        '[data-gallery]',
+        '[data-media-gallery]',
+        '[aria-roledescription="carousel"]',
+    ];
+
+    /** Loại ảnh theo tên file / alt — thứ tự kiểm tra: flat-lay > chi tiết > mặt sau > người mẫu */
+    const SHOT_PATTERNS = [
+        ['flatlay', /flat[-_ ]?lay|lay[-_ ]?down|ghost|mannequin|packshot|pack[-_ ]shot|still[-_ ]?life|cut[-_ ]?out|product[-_ ]?only|invisible|trải phẳng|ma-nơ-canh/i],
+        ['detail', /detail|close[-_ ]?up|macro|fabric|texture|swatch|label|stitch|chi tiết|cận cảnh/i],
+        ['back', /(^|[^a-z])(back|rear)([^a-z]|$)|mặt sau/i],
+        ['model', /model|worn|on[-_ ]?body|lifestyle|editorial|campaign|street|look|người mẫu/i],
+    ];
+
+    /** Điểm gốc theo loại ảnh — ảnh 1 món trên nền trơn cho kết quả try-on tốt nhất */
+    const SHOT_SCORES = {
+        flatlay: 40,
+        other: 25,
+        model: 20,
+        back: 10,
+        detail: 0,
+    };
+
+    /** Hậu tố kích thước trong tên file (ao_800x.jpg, ao-thumb.jpg) — bỏ khi so trùng */
+    const SIZE_TOKEN_PATTERN = /[-_@](\d{2,4}x\d{0,4}|\d{2,4}w|small|medium|large|thumb|thumbnail|[23]x)(?=\.[a-z0-9]+$)/;
+    const IMAGE_EXTENSION_PATTERN = /\.(jpe?g|png|webp|avif|gif)$/i;
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    function matchesAny(el, selectors) {
+        return selectors.some(selector => {
+            try {
+                return el.matches(selector);
+            } catch (_) {
+                return false; // Invalid selector — skip
+            }
+        });
+    }
+
+    function imageElementsIn(root) {
+        return [...root.querySelectorAll('img, [style*="background-image"]')];
+    }
+
+    /** Key so trùng: cùng file trên CDN dù khác size / query (?w=200 vs ?w=2048) */
+    function imageKey(url) {
+        const upgraded = window.FitlyImageResolver?.upgradeCdnUrl(url) || url;
+        try {
+            const parsed = new URL(upgraded);
+            const path = parsed.pathname.toLowerCase().replace(SIZE_TOKEN_PATTERN, '');
+            // URL không có đuôi ảnh (image?id=123) → query là định danh, phải giữ
+            return parsed.host + path + (IMAGE_EXTENSION_PATTERN.test(path) ? '' : parsed.search);
+        } catch (_) {
+            return upgraded;
+        }
+    }
+
+    function resolveElementUrl(el) {
+        const best = window.FitlyImageResolver?.resolveBestImageUrl(el);
+        if (best) return best;
+        return el.tagName === 'IMG' ? (el.currentSrc || el.src || null) : null;
+    }
+
+    /** Loại ảnh từ tên file + alt (không dùng domain — "modelshop.vn" không phải ảnh người mẫu) */
+    function classifyShot(url, altText) {
+        let path = '';
+        try {
+            path = decodeURIComponent(new URL(url).pathname.split('/').slice(-2).join('/'));
+        } catch (_) {
+            path = url || '';
+        }
+        const text = `${path} ${altText || ''}`;
+        const match = SHOT_PATTERNS.find(([, pattern]) => pattern.test(text));
+        return match ? match[0] : 'other';
+    }
+
+    // ==========================================
+    // CONTAINER
+    // ==========================================
+
+    /** Khung gallery gần anchor nhất có ≥ 2 ảnh; fallback khung sản phẩm */
+    function findGalleryContainer(anchor) {
+        const productSelectors = window.__fitlyProductContainerSelectors || [];
+        let productContainer = null;
+        let current = anchor?.parentElement || null;
+        let depth = 0;
+
+        while (current && current !== document.body && depth < MAX_CONTAINER_DEPTH) {
+            const count = imageElementsIn(current).length;
+            if (count > MAX_CONTAINER_IMAGES) break;
+            if (count >= MIN_GALLERY_IMAGES) {
+                if (matchesAny(current, GALLERY_CONTAINER_SELECTORS)) return current;
+                if (!productContainer && matchesAny(current, productSelectors)) productContainer = current;
+            }
+            current = current.parentElement;
+            depth++;
+        }
+        return productContainer;
+    }
+
+    /** Không có anchor (chuột phải vào nền trang) → gallery đầu tiên trên trang */
+    function findPageGallery() {
+        const galleries = document.querySelectorAll(GALLERY_CONTAINER_SELECTORS.join(','));
+        return [...galleries].find(el => {
+            const count = imageElementsIn(el).length;
+            return count >= MIN_GALLERY_IMAGES && count <= MAX_CONTAINER_IMAGES;
+        }) || null;
+    }
+
+    // ==========================================
+    // COLLECT + RANK
+    // ==========================================
+
+    function scoreImage(image, index) {
+        let score = SHOT_SCORES[image.shot];
+        // Ảnh đầu gallery thường là ảnh chính của sản phẩm
+        score += Math.max(0, 10 - index * 2);
+        // Khung ngang rộng thường là ảnh lifestyle / banner
+        if (image.ratio && image.ratio > 1.3) score -= 10;
+        // Shop khai báo ảnh này là ảnh sản phẩm
+        if (image.structured) score += 5;
+        return score;
+    }
+
+    function collectProductGallery(anchor = null, imageUrl = null) {
+        const isClothing = window.__fitlyIsLikelyClothingImage;
+        const byKey = new Map();
+
+        function addImage(url, { altText = '', source, ratio = null }) {
+            if (!url) return;
+            const key = imageKey(url);
+            const existing = byKey.get(key);
+            if (existing) {
+                if (!existing.altText && altText) existing.altText = altText;
+                if (source === 'structured') existing.structured = true;
+                return;
+            }
+            byKey.set(key, { url, altText, source, ratio, structured: source === 'structured', order: byKey.size });
+        }
+
+        // STEP 1: Ảnh trong khung gallery / sản phẩm
+        const container = anchor ? findGalleryContainer(anchor) : findPageGallery();
+        if (container) {
+            imageElementsIn(container).forEach(el => {
+                if (typeof isClothing === 'function' && !isClothing(el, { ignoreRenderedSize: true })) return;
+                const ratio = el.naturalWidth && el.naturalHeight ? el.naturalWidth / el.naturalHeight : null;
+                addImage(resolveElementUrl(el), {
+                    altText: el.alt || el.getAttribute('aria-label') || '',
+                    source: 'page',
+                    ratio,
+                });
+            });
+        }
+
+        // STEP 2: Ảnh từ dữ liệu có cấu trúc
+        const product = window.__fitlyExtractProductMetadata?.(imageUrl) || null;
+        (product?.images || []).forEach(url => addImage(url, { source: 'structured' }));
+
+        // STEP 3: Ảnh user chọn luôn có mặt
+        if (imageUrl) addImage(imageUrl, { source: 'page' });
+        const clickedKey = imageUrl ? imageKey(imageUrl) : null;
+
+        const images = [...byKey.entries()]
+            .map(([key, image]) => {
+                const shot = classifyShot(image.url, image.altText);
+                return { ...image, key, shot, score: scoreImage({ ...image, shot }, image.order) };
+            })
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, MAX_GALLERY_IMAGES)
+            .map(image => ({
+                url: image.url,
+                altText: image.altText,
+                shot: image.shot,
+                score: image.score,
+                source: image.source,
+                clicked: image.key === clickedKey,
+            }));
+
+        return { images, product };
+    }
+
+    // Expose for other content scripts (hover button)
+    window.__fitlyCollectProductGallery = collectProductGallery;
+
+    // ==========================================
+    // CONTEXT MENU
+    // ==========================================
+
+    /** Element vừa bị chuột phải — background chỉ gửi lại URL ảnh */
+    let lastContextTarget = null;
+    document.addEventListener('contextmenu', (event) => {
+        lastContextTarget = event.target;
+    }, { capture: true, passive: true });
+
+    /** Element ảnh của imageUrl (src / currentSrc, hoặc cùng file với bản nét nhất), fallback element vừa chuột phải */
+    function findAnchorElement(imageUrl) {
+        if (imageUrl) {
+            const images = [...document.images];
+            const exact = images.find(img => img.currentSrc === imageUrl || img.src === imageUrl);
+            if (exact) return exact;
+            const key = imageKey(imageUrl);
+            const sameFile = images.find(img => {
+                const url = resolveElementUrl(img);
+                return url && imageKey(url) === key;
+            });
+            if (sameFile) return sameFile;
+        }
+        return lastContextTarget?.isConnected ? lastContextTarget : null;
+    }
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type !== 'GET_PRODUCT_GALLERY') return false;
+        try {
+            const imageUrl = message.imageUrl || null;
+            sendResponse(collectProductGallery(findAnchorElement(imageUrl), imageUrl));
+        } catch (error) {
+            console.warn('[Fitly] Product gallery collection failed:', error);
+            sendResponse({ images: [], product: null });
+        }
+        return true;
+    });
+
+})();
@@ -4,8 +4,10 @@
  * Layer: Content Script / Filter (L3)
  *
  * Data Contract:
- * - Input: HTMLElement (img hoặc element có background-image)
+ * - Input: HTMLElement (img hoặc element có background-image),
+ *   options.ignoreRenderedSize — bỏ check kích thước đang hiển thị (thumbnail / slide ẩn của gallery)
  * - Output: boolean — true nếu ảnh có khả năng là quần áo
+ * - Exports: window.__fitlyIsLikelyClothingImage, window.__fitlyProductContainerSelectors
  *
  * Flow:
  * 1. Kiểm tra kích thước tối thiểu (120×150)
@@ -146,9 +148,13 @@
     // ==========================================
 
     /**
-     * Get the image URL from an element (img src or CSS background-image).
+     * Get the image URL from an element — bản nét nhất qua lib/image_resolver.js (srcset, zoom, lazy),
+     * fallback img src / CSS background-image.
      */
     function getElementImageUrl(el) {
+        const best = window.FitlyImageResolver?.resolveBestImageUrl(el);
+        if (best) return best;
+
         if (el.tagName === 'IMG') {
             return el.currentSrc || el.src || el.dataset.src || el.dataset.lazySrc || '';
         }
@@ -237,11 +243,12 @@
      * Uses a scoring system: score >= threshold → likely clothing.
      *
      * @param {HTMLElement} el - The image element to check
+     * @param {{ ignoreRenderedSize?: boolean }} [options] - gallery: thumbnail nhỏ / slide đang ẩn vẫn được chấm điểm
      * @returns {boolean} True if likely a clothing image
      */
-    function isLikelyClothingImage(el) {
+    function isLikelyClothingImage(el, { ignoreRenderedSize = false } = {}) {
         // Hard filters — instant reject
-        if (!hasValidDimensions(el)) return false;
+        if (!ignoreRenderedSize && !hasValidDimensions(el)) return false;
 
         const imageUrl = getElementImageUrl(el);
         if (isExcludedByUrl(imageUrl)) return false;
@@ -285,5 +292,7 @@
 
     // Expose for other content scripts
     window.__fitlyIsLikelyClothingImage = isLikelyClothingImage;
+    // Gallery "thử tất cả ảnh" tìm khung sản phẩm bao quanh ảnh user chọn (collect_product_gallery.js)
+    window.__fitlyProductContainerSelectors = PRODUCT_CONTAINER_SELECTORS;
 
 })();
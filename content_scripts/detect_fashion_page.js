@@ -4,20 +4,34 @@
  * Layer: Content Script / Filter (L1 + L2)
  *
  * Data Contract:
- * - Input: window.location (URL hiện tại), document <meta>, <title>
+ * - Input: window.location (URL hiện tại), document <meta>, <title>, structured data, ảnh sản phẩm
+ * - Input: site_rules (chrome.storage.local) — luật 'always' | 'auto' | 'never' theo domain
+ * - Input: lib/fashion_page_rules.json (bộ luật có trọng số, có version) + detection_settings { sensitivity, debug }
  * - Output: window.__fitlyIsFashionPage (boolean) — cached result
+ *           window.__fitlyGetFashionDetection() → { score, threshold, fired, ... } — luật nào đã khớp
+ *           event 'fitly:site-mode-changed' { mode, isFashion } khi user đổi luật / độ nhạy
+ * - Frame chính trả lời GET_PAGE_FASHION_STATE → { isFashion } (iframe hỏi qua background GET_TOP_FRAME_FASHION)
  *
  * Flow:
- * 1. Check domain against FASHION_DOMAINS whitelist (đa quốc gia)
- * 2. Check <title>, <meta> keywords/description for fashion keywords (đa ngôn ngữ)
- * 3. Check URL path for product patterns
- * 4. Exclude non-product paths (/login, /cart, /checkout, /account)
- * 5. Cache result per page load
+ * 0. Luật của user cho site: never → false, always → true, auto → chấm điểm
+ * 1. Cộng trọng số các luật khớp (lib/fashion_page_scoring.js): domain có sẵn / marketplace, path sản phẩm,
+ *    meta + tiêu đề (đa ngôn ngữ), structured data / nút giỏ hàng, mật độ ảnh sản phẩm;
+ *    path đăng nhập / giỏ hàng / tài khoản trừ điểm đủ để không bao giờ vượt ngưỡng
+ * 2. Điểm ≥ ngưỡng của độ nhạy (strict / balanced / relaxed) → trang thời trang
+ * 3. Cache result per page load; bật debug → overlay góc trái dưới liệt kê luật đã khớp + điểm
+ *
+ * Frames (content script chạy all_frames):
+ * - Luật của user áp theo site của tab (frame chính), không theo domain của widget nhúng
+ * - iframe nhỏ (quảng cáo, pixel theo dõi, nút like) → false
+ * - iframe tự nhận diện theo URL / meta của chính nó, hoặc thừa hưởng kết quả của frame chính
+ *   (lookbook / app Shopify nhúng thường không có tín hiệu thời trang riêng)
  *
  * Edge Cases:
  * - Marketplace domains (amazon, ebay) — only match fashion sub-paths
- * - Generic domains — fallback to meta/title keyword detection
+ * - Generic domains — cần nhiều tín hiệu cộng lại (1 từ khoá trong tiêu đề blog không đủ ngưỡng)
+ * - Không đọc được file luật → bộ luật dự phòng (domain có sẵn + frame chính)
  * - International sites with non-Latin URLs
+ * - iframe about:blank / srcdoc (không có hostname) → chỉ còn luật của tab + kết quả frame chính
  */
 
 (function () {
@@ -27,390 +41,294 @@
     if (typeof window.__fitlyFashionDetectorLoaded !== 'undefined') return;
     window.__fitlyFashionDetectorLoaded = true;
 
-    // ==========================================
-    // FASHION DOMAIN WHITELIST
-    // ==========================================
-
-    /** Domains that are always considered fashion pages */
-    const FASHION_DOMAINS = [
-        // Vietnam
-        'shopee.vn', 'lazada.vn', 'tiki.vn', 'sendo.vn',
-        'onedoshop.com', 'weeboo.vn', 'coolmate.me', 'routine.vn',
-        'canifa.com', 'ivy-mode.com', 'elise.vn', 'hnoss.com',
-        'yody.vn', 'pantio.vn', 'lados.vn', 'orion.vn',
-        'hnshop.vn', 'sixdo.vn', 'hnclassic.vn', 'juno.vn',
-
-        // Global fast fashion
-        'zara.com', 'hm.com', 'uniqlo.com', 'asos.com', 'shein.com',
-        'fashionnova.com', 'forever21.com', 'mango.com', 'gap.com',
-        'oldnavy.com', 'bananarepublic.com', 'primark.com',
-        'boohoo.com', 'prettylittlething.com', 'missguided.com',
-        'topshop.com', 'next.co.uk', 'riverisland.com',
-
-        // Asian — Japan
-        'zozo.jp', 'zozotown.net', 'rakuten.co.jp', 'amazon.co.jp',
-        'magaseek.com', 'fashionwalker.com', 'stripe-department.com',
-        'baycrews.jp', 'urban-research.jp',
-
-        // Asian — Korea
-        'musinsa.com', 'wconcept.com', 'stylenanda.com',
-        'gmarket.co.kr', '11st.co.kr', 'coupang.com',
-        'ssfshop.com', 'lfmall.co.kr', 'handsome.co.kr',
-
-        // Asian — China
-        'taobao.com', 'tmall.com', 'jd.com', 'pinduoduo.com',
-        'vip.com', 'mogujie.com',
-
-        // Asian — Southeast Asia
-        'zalora.com', 'zalora.vn', 'pomelo.com', 'yesstyle.com',
-        'lazada.co.th', 'shopee.co.th', 'central.co.th',
-        'lazada.co.id', 'shopee.co.id', 'tokopedia.com',
-        'lazada.sg', 'shopee.sg', 'lazada.com.my', 'shopee.com.my',
-        'lazada.com.ph', 'shopee.ph',
-
-        // Luxury / Premium
-        'farfetch.com', 'net-a-porter.com', 'ssense.com',
-        'mytheresa.com', 'matchesfashion.com', 'luisaviaroma.com',
-        'nordstrom.com', 'saksfifthavenue.com', 'bloomingdales.com',
-        'neimanmarcus.com',
-
-        // Sportswear
-        'nike.com', 'adidas.com', 'puma.com', 'newbalance.com',
-        'underarmour.com', 'reebok.com', 'asics.com',
-
-        // Department / Multi-brand
-        'macys.com', 'kohls.com', 'jcpenney.com', 'target.com',
-        'walmart.com', 'costco.com',
-
-        // Europe
-        'aboutyou.com', 'zalando.de', 'zalando.fr', 'zalando.co.uk',
-        'galerieslafayette.com', 'lacoste.com',
-        'johnlewis.com', 'selfridges.com', 'harrods.com',
-        'asos.de', 'asos.fr', 'asos.it',
-
-        // Brand stores
-        'levi.com', 'calvinklein.com', 'tommy.com', 'ralphlauren.com',
-        'gucci.com', 'prada.com', 'louisvuitton.com', 'dior.com',
-        'burberry.com', 'balenciaga.com', 'versace.com',
-        'hermes.com', 'chanel.com', 'armani.com', 'fendi.com',
-    ];
-
-    /**
-     * Marketplace domains — only fashion if URL path matches fashion categories.
-     * Key: domain substring, Value: regex for fashion-related paths
-     */
-    const MARKETPLACE_FASHION_PATHS = {
-        'amazon': /\/(fashion|clothing|shoes|bags|accessories|dp\/[A-Z0-9]+)/i,
-        'ebay': /\/(fashion|clothing|shoes|sch\/.*clothing)/i,
-        'etsy': /\/(listing|shop).*?(dress|shirt|jacket|clothing|fashion)/i,
-        'rakuten': /\/(fashion|clothing|shoes|bag|f\/[a-z]+-wear)/i,
-        'coupang': /\/(vp|products|search\?.*clothing)/i,
-        'taobao': /\/(item|list).*?(服|裤|鞋|包|裙|衣)/i,
-        'tmall': /\/(item|list).*?(服|裤|鞋|包|裙|衣)/i,
-        'jd': /\/(product|item|list).*?(服|裤|鞋|包|裙|衣)/i,
-    };
-
-    /** Paths to exclude — never show buttons on these pages */
-    const EXCLUDED_PATH_PATTERNS = [
-        /\/(login|signin|sign-in|signup|sign-up|register)/i,
-        /\/(cart|checkout|payment|order)/i,
-        /\/(account|profile|settings|preferences)/i,
-        /\/(help|support|faq|contact|about)/i,
-        /\/(terms|privacy|policy)/i,
-    ];
-
-    /**
-     * Fashion keywords to detect in <title>, <meta>, URL — MULTILINGUAL
-     * Covers: EN, VI, JA, KO, ZH, TH, ID, ES, FR
-     */
-    const FASHION_KEYWORDS = new RegExp([
-        // English
-        'fashion', 'clothing', 'apparel', 'wear', 'outfit', 'dress', 'shirt',
-        'jacket', 'pants', 'jeans', 'shoes', 'sneaker', 'accessori', 'handbag',
-        'purse', 'style', 'boutique', 'garment', 'textile', 'lookbook', 'collection',
-        'skirt', 'blouse', 'hoodie', 'sweater', 'coat', 'trousers', 'swimwear',
-
-        // Vietnamese — bổ sung thêm từ còn thiếu
-        'thời trang', 'quần áo', 'váy', 'đầm', 'áo khoác', 'áo thun', 'áo sơ mi',
-        'quần', 'giày', 'dép', 'túi xách', 'phụ kiện', 'trang phục',
-        'bộ đồ', 'đồ nữ', 'đồ nam', 'khoác', 'mặc', 'hàng thời trang',
-        'áo len', 'áo vest', 'cardigan', 'áo hoodie', 'áo nỉ',
+    // Domain thời trang có sẵn + luật theo site của user: lib/fashion_sites.js
+    const siteRules = window.FitlySiteRules;
+    // Bộ luật chấm điểm + ngưỡng theo độ nhạy: lib/fashion_page_scoring.js
+    const scoring = window.FitlyFashionScoring;
 
-        // Japanese
-        'ファッション', 'ウェア', 'アパレル', '服', '衣類', 'コーデ',
-        'スタイル', 'コレクション', 'ルックブック', '新作', '着こなし',
+    /** Luật của user cho site hiện tại — 'always' | 'auto' | 'never' (đọc từ storage lúc init) */
+    let currentSiteMode = 'auto';
 
-        // Korean
-        '패션', '의류', '옷', '코디', '스타일', '컬렉션', '신상',
-        '데일리룩', '룩북', '착장',
+    const IS_TOP_FRAME = window.top === window;
 
-        // Chinese
-        '时尚', '服装', '服饰', '穿搭', '潮流', '新品', '款式',
-        '搭配', '衣服', '穿着',
+    /** px — iframe nhỏ hơn không đủ chỗ cho ảnh sản phẩm (quảng cáo, pixel, nút mạng xã hội) */
+    const MIN_FRAME_SIZE = 200;
 
-        // Thai
-        'แฟชั่น', 'เสื้อผ้า', 'เครื่องแต่งกาย', 'สไตล์', 'คอลเลกชัน',
+    /** iframe: frame chính đã nhận diện là trang thời trang (hỏi qua background lúc init) */
+    let topFrameIsFashion = false;
 
-        // Indonesian
-        'fashion', 'pakaian', 'busana', 'gaya', 'koleksi', 'mode',
+    /** Bộ luật có trọng số (lib/fashion_page_rules.json) — nạp lúc init, trước đó dùng bộ luật dự phòng */
+    let ruleset = scoring.compileRuleset(scoring.FALLBACK_RULESET);
 
-        // Spanish
-        'moda', 'ropa', 'vestimenta', 'estilo', 'colección', 'boutique',
+    /** { sensitivity, debug } — ngưỡng điểm + overlay debug (sidebar "Cài đặt theo trang") */
+    let detectionSettings = scoring.normalizeDetectionSettings(null);
 
-        // French
-        'mode', 'vêtement', 'habillement', 'collection', 'prêt-à-porter',
-    ].join('|'), 'iu');
-
-    /** Product page URL patterns — Shopify, WooCommerce, and generic e-commerce */
-    const PRODUCT_PATH_PATTERNS = /\/(product|p|item|i|dp|pd|detail|goods|shohin|sangpum|barang|produk|products|shop|product-category|collections)[/\-]/i;
+    /** Kết quả lần nhận diện gần nhất — overlay debug + window.__fitlyGetFashionDetection */
+    let lastDetection = null;
 
     // ==========================================
-    // DETECTION LOGIC
+    // MAIN DETECTION — CACHED
     // ==========================================
 
-    /**
-     * Check if current hostname matches any whitelisted fashion domain.
-     * Supports subdomains (e.g., m.shopee.vn, www.zara.com).
-     */
-    function isDomainWhitelisted(hostname) {
-        const host = hostname.toLowerCase();
-        return FASHION_DOMAINS.some(domain => host === domain || host.endsWith('.' + domain));
-    }
+    // ==========================================
+    // FRAMES
+    // ==========================================
 
     /**
-     * Check if current page is a fashion sub-path on a marketplace domain.
+     * Hostname của tab — luật user đặt từ popup theo URL tab, iframe cross-origin không đọc được top.location
+     * → ancestorOrigins (Chrome), fallback referrer (frame cha), cuối cùng là hostname của chính frame
      */
-    function isMarketplaceFashionPath(hostname, pathname) {
-        const host = hostname.toLowerCase();
-        for (const [key, regex] of Object.entries(MARKETPLACE_FASHION_PATHS)) {
-            if (host.includes(key) && regex.test(pathname)) {
-                return true;
-            }
+    function getSiteHostname() {
+        if (IS_TOP_FRAME) return window.location.hostname;
+        try {
+            const origins = window.location.ancestorOrigins;
+            if (origins?.length) return new URL(origins[origins.length - 1]).hostname;
+        } catch (e) {
+            // origin 'null' (sandboxed iframe) — thử referrer
+        }
+        try {
+            if (document.referrer) return new URL(document.referrer).hostname;
+        } catch (e) {
+            // referrer không phải URL hợp lệ
         }
-        return false;
+        return window.location.hostname;
     }
 
-    /**
-     * Check if current path is an excluded page (login, cart, etc.).
-     */
-    function isExcludedPath(pathname) {
-        return EXCLUDED_PATH_PATTERNS.some(pattern => pattern.test(pathname));
+    function isFrameTooSmall() {
+        return !IS_TOP_FRAME && (window.innerWidth < MIN_FRAME_SIZE || window.innerHeight < MIN_FRAME_SIZE);
     }
 
-    // ==========================================
-    // PLATFORM FINGERPRINTING
-    // ==========================================
-
-    /**
-     * Fingerprint e-commerce platforms via JS globals + body classes + meta.
-     * These signals are injected automatically by the platform — no manual config needed.
-     *
-     * Coverage:
-     *   Shopify, WooCommerce, Magento (Adobe Commerce), BigCommerce,
-     *   Squarespace Commerce, Wix Stores, PrestaShop, OpenCart, Salesforce Commerce,
-     *   VTEX, Nopcommerce, Ecwid, Swell, Medusa, Vendure
-     */
-    function isEcommerceProductPage() {
+    /** iframe hỏi frame chính (qua background) — false nếu không hỏi được */
+    async function requestTopFrameFashion() {
         try {
-            // LAYER A — STRONGEST: og:type = "product"
-            // Set automatically by ALL major e-commerce platforms.
-            // Shopify, WooCommerce (Yoast/RankMath), Magento, BigCommerce, PrestaShop.
-            const ogType = document.querySelector('meta[property="og:type"]');
-            if (ogType && ogType.getAttribute('content') === 'product') return true;
-
-            // LAYER B — STRONG: Platform JS globals
-            // Each platform exposes a global object — reliable fingerprint.
-            if (
-                typeof window.Shopify !== 'undefined'         // Shopify (all versions)
-                || typeof window.ShopifyAnalytics !== 'undefined' // Shopify analytics
-                || typeof window.wc_add_to_cart_params !== 'undefined' // WooCommerce
-                || typeof window.woocommerce_params !== 'undefined'     // WooCommerce
-                || typeof window.Magento !== 'undefined'      // Magento 1
-                || typeof window.require !== 'undefined' && document.querySelector('[data-mage-init]') // Magento 2
-                || typeof window.BCData !== 'undefined'       // BigCommerce
-                || typeof window.Static !== 'undefined' && document.querySelector('[data-sqs-type="product"]') // Squarespace
-                || typeof window.Ecwid !== 'undefined'        // Ecwid widget
-                || typeof window.__vtex !== 'undefined'       // VTEX
-            ) {
-                // Platform detected — still check if it's a product page (not homepage/category)
-                // via URL path or og:type (already checked above)
-                const pathname = window.location.pathname;
-                if (PRODUCT_PATH_PATTERNS.test(pathname)) return true;
-                // Also true if there's a product schema
-                if (document.querySelector('[itemtype*="schema.org/Product"]')) return true;
-            }
-
-            // LAYER C — MEDIUM: DOM structural signals
-            // "Add to Cart" and price elements are the most reliable cross-platform signals.
-
-            // C1: Add-to-cart button — only exists on product pages
-            const addToCartBtn = document.querySelector([
-                '[class*="add-to-cart"]',
-                '[class*="addToCart"]',
-                '[class*="add_to_cart"]',
-                '[id*="add-to-cart"]',
-                '[id*="AddToCart"]',
-                '[name="add"]',               // Shopify default form field
-                'button[data-action*="cart"]',
-                'button[data-add-to-cart]',
-                '[data-testid*="add-to-cart"]',
-            ].join(','));
-            if (addToCartBtn) return true;
-
-            // C2: Product variant selectors (size, color pickers)
-            const variantSelector = document.querySelector([
-                '[class*="product-variant"]',
-                '[class*="ProductVariant"]',
-                'select[name="id"]',           // Shopify variant selector
-                '[data-option-name]',
-                '[class*="swatch"]',
-                '[class*="size-selector"]',
-                '[id*="product-select"]',
-            ].join(','));
-            if (variantSelector) return true;
-
-            // C3: Product price with schema markup
-            const priceSchema = document.querySelector([
-                '[itemprop="price"]',
-                '[itemprop="offers"]',
-                '[class*="product__price"]',
-                '[class*="ProductPrice"]',
-                '[class*="product-price"]',
-            ].join(','));
-            if (priceSchema) return true;
-
-            // C4: Schema.org Product via microdata OR JSON-LD
-            if (document.querySelector('[itemtype*="schema.org/Product"]')) return true;
-
+            const response = await chrome.runtime.sendMessage({ type: 'GET_TOP_FRAME_FASHION' });
+            return response?.isFashion === true;
         } catch (e) {
-            // DOM query errors — skip
+            return false;
         }
-        return false;
     }
 
     /**
-     * Check page metadata (title, meta tags) for fashion-related keywords.
-     * This is the FALLBACK layer — used when platform detection fails.
+     * Determine if the current page is a fashion page.
+     * Result is cached on window.__fitlyIsFashionPage, điểm + luật đã khớp ở lastDetection.
+     * @returns {boolean}
      */
-    function hasPageFashionSignals() {
-        // PRIORITY: Platform/product page detection (language-agnostic)
-        if (isEcommerceProductPage()) return true;
-
-        // STEP 1: Check <title>
-        const title = document.title || '';
-        if (FASHION_KEYWORDS.test(title)) return true;
-
-        // STEP 2: Check <meta name="keywords"> and <meta name="description">
-        const metaKeywords = document.querySelector('meta[name="keywords"]');
-        if (metaKeywords && FASHION_KEYWORDS.test(metaKeywords.content || '')) return true;
-
-        const metaDesc = document.querySelector('meta[name="description"]');
-        if (metaDesc && FASHION_KEYWORDS.test(metaDesc.content || '')) return true;
-
-        // STEP 3: Check Open Graph title/description
-        const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle && FASHION_KEYWORDS.test(ogTitle.content || '')) return true;
-
-        const ogDesc = document.querySelector('meta[property="og:description"]');
-        if (ogDesc && FASHION_KEYWORDS.test(ogDesc.content || '')) return true;
-
-        // STEP 4: Check URL path for product patterns
-        if (PRODUCT_PATH_PATTERNS.test(window.location.pathname)) {
-            if (FASHION_KEYWORDS.test(window.location.href)) return true;
+    function detectFashionPage() {
+        // Return cached result if available
+        if (typeof window.__fitlyIsFashionPage !== 'undefined') {
+            return window.__fitlyIsFashionPage;
         }
 
-        // STEP 5: Check page headings (h1, h2) for fashion keywords
-        const headings = document.querySelectorAll('h1, h2');
-        for (const h of headings) {
-            if (FASHION_KEYWORDS.test(h.textContent || '')) return true;
+        // STEP 0: Luật user đặt cho site thắng mọi bộ nhận diện (trừ iframe quá nhỏ để chứa ảnh sản phẩm)
+        if (currentSiteMode !== 'auto' || isFrameTooSmall()) {
+            const isFashion = currentSiteMode === 'always' && !isFrameTooSmall();
+            lastDetection = { mode: currentSiteMode, frameTooSmall: isFrameTooSmall(), isFashion };
+        } else {
+            // STEP 1: Chấm điểm theo bộ luật — domain, path, meta, structured data, mật độ ảnh
+            const result = scoring.scorePage(ruleset, {
+                url: window.location.href,
+                hostname: window.location.hostname,
+                document,
+                globals: window,
+                topFrameIsFashion
+            });
+            // STEP 2: So với ngưỡng của độ nhạy user chọn
+            const threshold = scoring.getThreshold(ruleset, detectionSettings.sensitivity);
+            lastDetection = {
+                ...result,
+                mode: currentSiteMode,
+                sensitivity: detectionSettings.sensitivity,
+                threshold,
+                isFashion: result.score >= threshold
+            };
         }
 
-        // STEP 6: Check navigation / breadcrumbs for fashion keywords
-        const navElements = document.querySelectorAll('nav, [class*="breadcrumb"], [class*="nav-"], [class*="menu"]');
-        for (const nav of navElements) {
-            const navText = (nav.textContent || '').slice(0, 500);
-            if (FASHION_KEYWORDS.test(navText)) return true;
-        }
+        window.__fitlyIsFashionPage = lastDetection.isFashion;
+        renderDebugOverlay();
+        return lastDetection.isFashion;
+    }
 
-        // STEP 7: Check JSON-LD structured data
-        const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-        for (const script of jsonLdScripts) {
-            try {
-                const data = JSON.parse(script.textContent || '');
-                const items = Array.isArray(data) ? data : [data];
-                for (const item of items) {
-                    const type = (item['@type'] || '').toLowerCase();
-                    if (type === 'product' || type === 'clothingstore') return true;
-                    const category = item.category || item.productGroup || '';
-                    if (typeof category === 'string' && FASHION_KEYWORDS.test(category)) return true;
-                }
-            } catch (e) {
-                // Invalid JSON — skip
-            }
+    /** Detect lại (luật / độ nhạy đổi) — báo inject_image_hover_button.js gắn / gỡ nút nếu kết quả đổi */
+    function redetect({ force = false } = {}) {
+        const wasFashion = window.__fitlyIsFashionPage;
+        delete window.__fitlyIsFashionPage;
+        const isFashion = detectFashionPage();
+        if (force || isFashion !== wasFashion) {
+            window.dispatchEvent(new CustomEvent('fitly:site-mode-changed', { detail: { mode: currentSiteMode, isFashion } }));
         }
-
-        return false;
     }
 
+    // Expose for other content scripts
+    window.__fitlyDetectFashionPage = detectFashionPage;
+    window.__fitlyGetSiteMode = () => currentSiteMode;
+    window.__fitlyGetFashionDetection = () => lastDetection;
+
     // ==========================================
-    // MAIN DETECTION — CACHED
+    // DEBUG OVERLAY — luật đã khớp + điểm, bật trong sidebar "Cài đặt theo trang"
     // ==========================================
 
-    /**
-     * Determine if the current page is a fashion page.
-     * Result is cached on window.__fitlyIsFashionPage.
-     * @returns {boolean}
-     */
-    function detectFashionPage() {
-        // Return cached result if available
-        if (typeof window.__fitlyIsFashionPage !== 'undefined') {
-            return window.__fitlyIsFashionPage;
+    const DEBUG_HOST_TAG = 'fitly-detection-debug';
+    const DEBUG_STYLES = `
+        .fitly-detection-debug {
+            position: fixed;
+            left: 12px;
+            bottom: 12px;
+            max-width: 360px;
+            max-height: 50vh;
+            overflow: auto;
+            padding: 10px 12px;
+            border-radius: 10px;
+            background: rgba(17, 24, 39, 0.92);
+            color: #f9fafb;
+            font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+        }
+        .fitly-detection-header {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 6px;
+            font-weight: 600;
         }
+        .fitly-detection-verdict { padding: 0 6px; border-radius: 4px; }
+        .fitly-detection-verdict.is-fashion { background: #059669; }
+        .fitly-detection-verdict.not-fashion { background: #b91c1c; }
+        .fitly-detection-close {
+            margin-left: auto;
+            border: none;
+            background: none;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+        }
+        .fitly-detection-rule { display: flex; gap: 8px; }
+        .fitly-detection-weight { min-width: 44px; text-align: right; color: #6ee7b7; }
+        .fitly-detection-weight.is-negative { color: #fca5a5; }
+        .fitly-detection-detail { color: #9ca3af; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    `;
+
+    /** User bấm ✕ — ẩn tới khi tải lại trang */
+    let debugDismissed = false;
+    /** Chỉ tạo host khi bật debug — trang bình thường không có thêm element nào */
+    let debugRoot = null;
+
+    function renderDebugOverlay() {
+        debugRoot?.querySelector('.fitly-detection-debug')?.remove();
+        if (!IS_TOP_FRAME || !window.FitlyShadowHost) return;
+        if (!detectionSettings.debug || debugDismissed || !lastDetection) return;
+        debugRoot = window.FitlyShadowHost.getShadowRoot(DEBUG_HOST_TAG, DEBUG_STYLES);
+
+        const panel = document.createElement('div');
+        panel.className = 'fitly-detection-debug';
+
+        const header = document.createElement('div');
+        header.className = 'fitly-detection-header';
+        const verdict = document.createElement('span');
+        verdict.className = `fitly-detection-verdict ${lastDetection.isFashion ? 'is-fashion' : 'not-fashion'}`;
+        verdict.textContent = lastDetection.isFashion ? 'fashion' : 'not fashion';
+        const summary = document.createElement('span');
+        summary.textContent = lastDetection.mode !== 'auto' || lastDetection.frameTooSmall
+            ? `site rule: ${lastDetection.frameTooSmall ? 'frame too small' : lastDetection.mode}`
+            : `${lastDetection.score} / ${lastDetection.threshold} (${lastDetection.sensitivity}, rules v${lastDetection.version})`;
+        const close = document.createElement('button');
+        close.className = 'fitly-detection-close';
+        close.textContent = '✕';
+        close.addEventListener('click', () => {
+            debugDismissed = true;
+            panel.remove();
+        });
+        header.append(verdict, summary, close);
+        panel.appendChild(header);
+
+        (lastDetection.fired || []).forEach(rule => {
+            const row = document.createElement('div');
+            row.className = 'fitly-detection-rule';
+            const weight = document.createElement('span');
+            weight.className = `fitly-detection-weight${rule.weight < 0 ? ' is-negative' : ''}`;
+            weight.textContent = rule.weight > 0 ? `+${rule.weight}` : String(rule.weight);
+            const id = document.createElement('span');
+            id.textContent = rule.id;
+            const detail = document.createElement('span');
+            detail.className = 'fitly-detection-detail';
+            detail.textContent = rule.detail;
+            detail.title = rule.detail;
+            row.append(weight, id, detail);
+            panel.appendChild(row);
+        });
+
+        debugRoot.appendChild(panel);
+    }
 
-        const hostname = window.location.hostname;
-        const pathname = window.location.pathname;
+    // ==========================================
+    // PER-SITE RULES + DETECTION SETTINGS
+    // ==========================================
 
-        // STEP 1: Exclude non-product paths first
-        if (isExcludedPath(pathname)) {
-            window.__fitlyIsFashionPage = false;
-            return false;
+    async function loadSiteMode() {
+        try {
+            currentSiteMode = siteRules.getSiteMode(getSiteHostname(), await siteRules.loadSiteRules());
+        } catch (e) {
+            // storage unavailable (extension reloaded) — giữ 'auto'
         }
+    }
 
-        // STEP 2: Check whitelisted fashion domains
-        if (isDomainWhitelisted(hostname)) {
-            window.__fitlyIsFashionPage = true;
-            return true;
+    async function loadDetectionSettings() {
+        try {
+            detectionSettings = await scoring.loadDetectionSettings();
+        } catch (e) {
+            // storage unavailable — giữ mặc định
         }
+    }
 
-        // STEP 3: Check marketplace fashion sub-paths
-        if (isMarketplaceFashionPath(hostname, pathname)) {
-            window.__fitlyIsFashionPage = true;
-            return true;
+    /**
+     * User đổi luật từ popup / trang cài đặt → detect lại ngay, không cần reload trang.
+     * inject_image_hover_button.js nghe event 'fitly:site-mode-changed' để gắn / gỡ nút.
+     */
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+
+        if (changes[siteRules.SITE_RULES_STORAGE_KEY]) {
+            const mode = siteRules.getSiteMode(getSiteHostname(), changes[siteRules.SITE_RULES_STORAGE_KEY].newValue);
+            if (mode !== currentSiteMode) {
+                currentSiteMode = mode;
+                redetect({ force: true });
+            }
         }
 
-        // STEP 4: Fallback — detect from page metadata
-        if (hasPageFashionSignals()) {
-            window.__fitlyIsFashionPage = true;
-            return true;
+        if (changes[scoring.DETECTION_SETTINGS_KEY]) {
+            const previous = detectionSettings;
+            detectionSettings = scoring.normalizeDetectionSettings(changes[scoring.DETECTION_SETTINGS_KEY].newValue);
+            if (detectionSettings.sensitivity !== previous.sensitivity) {
+                redetect();
+            } else if (detectionSettings.debug !== previous.debug) {
+                renderDebugOverlay();
+            }
         }
-
-        // Default: not a fashion page
-        window.__fitlyIsFashionPage = false;
-        return false;
-    }
-
-    // Expose for other content scripts
-    window.__fitlyDetectFashionPage = detectFashionPage;
+    });
 
     // Run detection when DOM is ready
-    function initDetection() {
+    async function initDetection() {
+        const [loadedRuleset] = await Promise.all([scoring.loadRuleset(), loadSiteMode(), loadDetectionSettings()]);
+        ruleset = loadedRuleset;
+        // iframe đủ lớn: hỏi frame chính trước khi cache — nút hover chờ __fitlyIsFashionPage được gán
+        if (!IS_TOP_FRAME && currentSiteMode === 'auto' && !isFrameTooSmall()) {
+            topFrameIsFashion = await requestTopFrameFashion();
+        }
         detectFashionPage();
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initDetection);
-    } else {
-        initDetection();
-    }
+    const detectionReady = new Promise(resolve => {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => initDetection().then(resolve));
+        } else {
+            initDetection().then(resolve);
+        }
+    });
+
+    /** iframe của tab hỏi (qua background) — trả lời sau khi đã đọc luật của user */
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type !== 'GET_PAGE_FASHION_STATE' || !IS_TOP_FRAME) return false;
+        detectionReady.then(() => sendResponse({ isFashion: window.__fitlyIsFashionPage === true }));
+        return true;
+    });
 
 })();
@@ -0,0 +1,293 @@
+/**
+ * File: extract_product_metadata.js
+ * Purpose: Đọc thông tin sản phẩm có cấu trúc trên trang (JSON-LD Product, microdata, OpenGraph / product:*)
+ * Layer: Content Script / Extractor
+ *
+ * Data Contract:
+ * - Input: document hiện tại, imageUrl (ảnh user vừa chọn — dùng để chọn đúng sản phẩm trên trang có nhiều Product)
+ * - Output: window.__fitlyExtractProductMetadata(imageUrl) →
+ *   { name, brand, price, currency, color, sizes[], sku, category, images[], sources[] } | null
+ * - Message GET_PRODUCT_METADATA { imageUrl } → { product } (context menu đi qua background)
+ * - Gửi PRODUCT_PAGE_VISITED { url, product } khi trang có giá (price tracker so với món trong tủ đồ)
+ *
+ * Flow:
+ * 1. JSON-LD: mọi <script type="application/ld+json">, duyệt @graph / mảng / ProductGroup.hasVariant
+ * 2. Microdata: [itemscope][itemtype*="schema.org/Product"] → itemprop
+ * 3. OpenGraph: og:title, og:image, product:brand, product:price:amount, ...
+ * 4. Chọn Product khớp imageUrl (hoặc Product duy nhất), gộp theo ưu tiên JSON-LD > microdata > OpenGraph
+ *
+ * Edge Cases:
+ * - JSON-LD lỗi cú pháp → bỏ qua block đó
+ * - Trang danh sách (nhiều Product, không khớp ảnh) → null, không gán nhầm sản phẩm khác
+ * - URL ảnh tương đối → chuyển thành absolute theo document.baseURI
+ */
+
+(function () {
+    'use strict';
+
+    if (window.__fitlyProductExtractorLoaded) return;
+    window.__fitlyProductExtractorLoaded = true;
+
+    const MAX_TEXT_LENGTH = 200;
+    const MAX_IMAGES = 12;
+    const MAX_SIZES = 30;
+
+    // ==========================================
+    // VALUE HELPERS
+    // ==========================================
+
+    function cleanText(value) {
+        if (value == null) return null;
+        if (typeof value === 'object') value = value.name || value['@value'] || '';
+        const text = String(value).replace(/\s+/g, ' ').trim();
+        return text ? text.slice(0, MAX_TEXT_LENGTH) : null;
+    }
+
+    function toArray(value) {
+        if (value == null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    function hasType(node, type) {
+        return toArray(node?.['@type']).some(t => String(t).toLowerCase() === type.toLowerCase());
+    }
+
+    function parsePrice(value) {
+        if (value == null || value === '') return null;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        // "1.299.000", "1,299.00", "499000" — giữ chữ số, dấu tách thập phân là dấu cuối có 1-2 chữ số sau
+        const raw = String(value).replace(/[^\d.,]/g, '');
+        if (!raw) return null;
+        const decimalMatch = raw.match(/[.,](\d{1,2})$/);
+        const integerPart = decimalMatch ? raw.slice(0, -decimalMatch[0].length) : raw;
+        const number = Number(integerPart.replace(/[.,]/g, '') + (decimalMatch ? '.' + decimalMatch[1] : ''));
+        return Number.isFinite(number) ? number : null;
+    }
+
+    function absoluteUrl(url) {
+        if (!url || typeof url !== 'string') return null;
+        try {
+            const resolved = new URL(url.trim(), document.baseURI).href;
+            return resolved.startsWith('http') ? resolved : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function imageUrlsFrom(value) {
+        return toArray(value)
+            .map(image => typeof image === 'string' ? image : (image?.contentUrl || image?.url))
+            .map(absoluteUrl)
+            .filter(Boolean);
+    }
+
+    function uniqueList(values, limit) {
+        return [...new Set(values.filter(Boolean))].slice(0, limit);
+    }
+
+    /** So khớp ảnh bỏ query string (CDN thường thêm ?w=...) */
+    function sameImage(a, b) {
+        if (!a || !b) return false;
+        const strip = url => url.split(/[?#]/)[0];
+        return strip(a) === strip(b);
+    }
+
+    // ==========================================
+    // JSON-LD
+    // ==========================================
+
+    function collectJsonLdNodes() {
+        const nodes = [];
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            nodes.push(node);
+            if (node['@graph']) visit(node['@graph']);
+            if (node.mainEntity) visit(node.mainEntity);
+            if (node.itemListElement) visit(toArray(node.itemListElement).map(el => el.item || el));
+        };
+
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                visit(JSON.parse(script.textContent));
+            } catch (_) {
+                // JSON-LD lỗi cú pháp — nhiều site nhúng template chưa render, bỏ qua
+            }
+        });
+        return nodes;
+    }
+
+    function fromJsonLd(node) {
+        const variants = toArray(node.hasVariant);
+        const offers = [...toArray(node.offers), ...variants.flatMap(v => toArray(v.offers))]
+            .flatMap(offer => hasType(offer, 'AggregateOffer') && offer.offers ? toArray(offer.offers).concat(offer) : [offer]);
+        const offer = offers.find(o => o && (o.price != null || o.lowPrice != null)) || {};
+
+        return {
+            name: cleanText(node.name),
+            brand: cleanText(node.brand),
+            price: parsePrice(offer.price ?? offer.lowPrice),
+            currency: cleanText(offer.priceCurrency),
+            color: cleanText(node.color) || cleanText(variants.find(v => v.color)?.color),
+            sizes: uniqueList([...toArray(node.size), ...variants.flatMap(v => toArray(v.size))].map(cleanText), MAX_SIZES),
+            sku: cleanText(node.sku || node.productGroupID || node.mpn),
+            category: cleanText(node.category),
+            images: uniqueList([...imageUrlsFrom(node.image), ...variants.flatMap(v => imageUrlsFrom(v.image))], MAX_IMAGES),
+        };
+    }
+
+    // ==========================================
+    // MICRODATA
+    // ==========================================
+
+    function itempropValue(scope, prop) {
+        // Chỉ lấy itemprop thuộc đúng scope này, không lấy của itemscope con (vd offers, brand)
+        const el = [...scope.querySelectorAll(`[itemprop~="${prop}"]`)]
+            .find(candidate => candidate.parentElement?.closest('[itemscope]') === scope);
+        if (!el) return null;
+        if (el.hasAttribute('itemscope')) return el;
+        return el.getAttribute('content') || el.getAttribute('src') || el.getAttribute('href') || el.textContent;
+    }
+
+    function itempropValues(scope, prop) {
+        return [...scope.querySelectorAll(`[itemprop~="${prop}"]`)]
+            .filter(el => el.parentElement?.closest('[itemscope]') === scope)
+            .map(el => el.getAttribute('content') || el.getAttribute('src') || el.getAttribute('href') || el.textContent);
+    }
+
+    function fromMicrodata(scope) {
+        const brand = itempropValue(scope, 'brand');
+        const offers = itempropValue(scope, 'offers');
+        const offerScope = offers instanceof Element ? offers : scope;
+        return {
+            name: cleanText(itempropValue(scope, 'name')),
+            brand: cleanText(brand instanceof Element ? itempropValue(brand, 'name') || brand.textContent : brand),
+            price: parsePrice(itempropValue(offerScope, 'price') ?? itempropValue(offerScope, 'lowPrice')),
+            currency: cleanText(itempropValue(offerScope, 'priceCurrency')),
+            color: cleanText(itempropValue(scope, 'color')),
+            sizes: uniqueList(itempropValues(scope, 'size').map(cleanText), MAX_SIZES),
+            sku: cleanText(itempropValue(scope, 'sku')),
+            category: cleanText(itempropValue(scope, 'category')),
+            images: uniqueList(itempropValues(scope, 'image').map(absoluteUrl), MAX_IMAGES),
+        };
+    }
+
+    // ==========================================
+    // OPENGRAPH / product:* META
+    // ==========================================
+
+    function metaValues(...names) {
+        return names.flatMap(name =>
+            [...document.querySelectorAll(`meta[property="${name}"], meta[name="${name}"]`)]
+                .map(meta => meta.getAttribute('content'))
+        ).filter(Boolean);
+    }
+
+    function fromOpenGraph() {
+        const ogType = metaValues('og:type')[0] || '';
+        const price = metaValues('product:price:amount', 'og:price:amount')[0];
+        // Trang không phải sản phẩm (og:type=website, không có giá) → OG chỉ là tiêu đề trang, bỏ qua
+        if (!/product/i.test(ogType) && price == null) return null;
+
+        return {
+            name: cleanText(metaValues('og:title')[0]),
+            brand: cleanText(metaValues('product:brand', 'og:brand')[0]),
+            price: parsePrice(price),
+            currency: cleanText(metaValues('product:price:currency', 'og:price:currency')[0]),
+            color: cleanText(metaValues('product:color')[0]),
+            sizes: uniqueList(metaValues('product:size').map(cleanText), MAX_SIZES),
+            sku: cleanText(metaValues('product:retailer_item_id', 'product:sku')[0]),
+            category: cleanText(metaValues('product:category')[0]),
+            images: uniqueList(metaValues('og:image', 'og:image:secure_url').map(absoluteUrl), MAX_IMAGES),
+        };
+    }
+
+    // ==========================================
+    // MERGE
+    // ==========================================
+
+    /** Nhiều Product trên trang → chỉ nhận Product chứa ảnh user chọn; 1 Product → nhận luôn */
+    function pickProduct(products, imageUrl) {
+        if (products.length === 0) return null;
+        const matched = imageUrl && products.find(p => p.images.some(image => sameImage(image, imageUrl)));
+        if (matched) return matched;
+        return products.length === 1 ? products[0] : null;
+    }
+
+    function mergeProducts(sources) {
+        const merged = { name: null, brand: null, price: null, currency: null, color: null, sizes: [], sku: null, category: null, images: [], sources: [] };
+        for (const { source, product } of sources) {
+            if (!product) continue;
+            merged.sources.push(source);
+            for (const key of ['name', 'brand', 'price', 'currency', 'color', 'sku', 'category']) {
+                if (merged[key] == null && product[key] != null) merged[key] = product[key];
+            }
+            if (merged.sizes.length === 0) merged.sizes = product.sizes;
+            merged.images = uniqueList([...merged.images, ...product.images], MAX_IMAGES);
+        }
+        return merged.sources.length > 0 ? merged : null;
+    }
+
+    function extractProductMetadata(imageUrl = null) {
+        try {
+            const jsonLdProducts = collectJsonLdNodes()
+                .filter(node => hasType(node, 'Product') || hasType(node, 'ProductGroup'))
+                .map(fromJsonLd);
+            const microdataProducts = [...document.querySelectorAll('[itemscope][itemtype*="schema.org/Product"]')]
+                .map(fromMicrodata);
+
+            const jsonLd = pickProduct(jsonLdProducts, imageUrl);
+            const microdata = pickProduct(microdataProducts, imageUrl);
+            // OG mô tả sản phẩm chính của trang — trên trang nhiều Product mà không khớp ảnh thì không dùng
+            const isListingPage = jsonLdProducts.length > 1 || microdataProducts.length > 1;
+            const openGraph = (jsonLd || microdata || !isListingPage) ? fromOpenGraph() : null;
+
+            const product = mergeProducts([
+                { source: 'json-ld', product: jsonLd },
+                { source: 'microdata', product: microdata },
+                { source: 'opengraph', product: openGraph },
+            ]);
+            return product?.name || product?.price != null || product?.sku ? product : null;
+        } catch (error) {
+            console.warn('[Fitly] Product metadata extraction failed:', error);
+            return null;
+        }
+    }
+
+    // Expose for other content scripts (hover button)
+    window.__fitlyExtractProductMetadata = extractProductMetadata;
+
+    // Context menu: background hỏi metadata sau khi mở sidebar
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type !== 'GET_PRODUCT_METADATA') return false;
+        sendResponse({ product: extractProductMetadata(message.imageUrl || null) });
+        return true;
+    });
+
+    // Trang sản phẩm có giá → báo background (chỉ frame chính, 1 lần / lượt tải trang).
+    // Background tự lọc theo source_url của món trong tủ đồ; trang không theo dõi thì bỏ qua.
+    function reportProductPageVisit() {
+        if (window.top !== window) return;
+        const product = extractProductMetadata();
+        if (product?.price == null) return;
+        try {
+            chrome.runtime.sendMessage({
+                type: 'PRODUCT_PAGE_VISITED',
+                data: { url: location.href, product: { price: product.price, currency: product.currency, sku: product.sku } }
+            })?.catch(() => { });
+        } catch (_) {
+            // Extension vừa reload — context cũ không gửi được message
+        }
+    }
+
+    // Chờ một nhịp sau load — nhiều site chèn JSON-LD / giá sau khi hydrate
+    if (document.readyState === 'complete') {
+        setTimeout(reportProductPageVisit, 1500);
+    } else {
+        window.addEventListener('load', () => setTimeout(reportProductPageVisit, 1500), { once: true });
+    }
+
+})();
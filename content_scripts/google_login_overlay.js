@@ -13,6 +13,10 @@
  * 3. User click -> gọi google_auth_service
  * 4. Auth success -> đóng overlay
  * 
+ * Isolation:
+ * - Overlay nằm trong closed shadow root của host <fitly-login-overlay> (lib/shadow_host.js)
+ *   → CSS của trang không làm vỡ card đăng nhập, CSS của overlay không ảnh hưởng trang
+ * 
  * Security Note:
  * - OAuth flow được xử lý bởi Supabase Auth
  * - Không lưu credentials trong content script
@@ -22,6 +26,242 @@
     'use strict';
 
     const OVERLAY_ID = 'fitly-google-login-overlay';
+    const HOST_TAG = 'fitly-login-overlay';
+
+    /** Stylesheet riêng trong shadow root — không cần !important vì CSS của trang không lọt vào */
+    const OVERLAY_STYLES = `
+        #${OVERLAY_ID} {
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            width: 100vw;
+            height: 100vh;
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(8px);
+            -webkit-backdrop-filter: blur(8px);
+            animation: fitlyFadeIn 0.3s ease-out;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+
+        @keyframes fitlyFadeIn {
+            from { opacity: 0; }
+            to { opacity: 1; }
+        }
+
+        @keyframes fitlySlideUp {
+            from { 
+                opacity: 0;
+                transform: translateY(20px) scale(0.95);
+            }
+            to { 
+                opacity: 1;
+                transform: translateY(0) scale(1);
+            }
+        }
+
+        #${OVERLAY_ID}.fitly-closing {
+            animation: fitlyFadeOut 0.2s ease-out forwards;
+        }
+
+        @keyframes fitlyFadeOut {
+            from { opacity: 1; }
+            to { opacity: 0; }
+        }
+
+        #${OVERLAY_ID} .fitly-login-card {
+            position: relative;
+            width: 420px;
+            max-width: 90vw;
+            background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+            border-radius: 24px;
+            padding: 48px 40px;
+            box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.8);
+            animation: fitlySlideUp 0.4s ease-out;
+            border: 1px solid rgba(255, 255, 255, 0.1);
+        }
+
+        #${OVERLAY_ID} .fitly-close-btn {
+            position: absolute;
+            top: 16px;
+            right: 16px;
+            width: 36px;
+            height: 36px;
+            border-radius: 50%;
+            background: rgba(255, 255, 255, 0.1);
+            color: rgba(255, 255, 255, 0.7);
+            border: none;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 20px;
+            font-weight: 300;
+            transition: all 0.2s;
+        }
+
+        #${OVERLAY_ID} .fitly-close-btn:hover {
+            background: rgba(255, 255, 255, 0.2);
+            color: white;
+            transform: rotate(90deg);
+        }
+
+        #${OVERLAY_ID} .fitly-logo {
+            text-align: center;
+            margin-bottom: 32px;
+        }
+
+        #${OVERLAY_ID} .fitly-logo-icon {
+            width: 64px;
+            height: 64px;
+            background: linear-gradient(135deg, #f97316, #ec4899);
+            border-radius: 16px;
+            display: inline-flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 32px;
+            margin-bottom: 16px;
+            box-shadow: 0 8px 16px rgba(249, 115, 22, 0.3);
+        }
+
+        #${OVERLAY_ID} .fitly-title {
+            font-size: 28px;
+            font-weight: 700;
+            color: white;
+            margin: 0 0 8px 0;
+            text-align: center;
+        }
+
+        #${OVERLAY_ID} .fitly-subtitle {
+            font-size: 14px;
+            color: rgba(255, 255, 255, 0.6);
+            margin: 0 0 32px 0;
+            text-align: center;
+            line-height: 1.5;
+        }
+
+        #${OVERLAY_ID} .fitly-google-btn {
+            width: 100%;
+            height: 56px;
+            background: white;
+            color: #1f2937;
+            border: none;
+            border-radius: 14px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 12px;
+            transition: all 0.2s;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            margin-bottom: 16px;
+        }
+
+        #${OVERLAY_ID} .fitly-google-btn:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 6px 20px rgba(0, 0, 0, 0.25);
+        }
+
+        #${OVERLAY_ID} .fitly-google-btn:active {
+            transform: translateY(0);
+        }
+
+        #${OVERLAY_ID} .fitly-google-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+            transform: none;
+        }
+
+        #${OVERLAY_ID} .fitly-google-icon {
+            width: 24px;
+            height: 24px;
+        }
+
+        #${OVERLAY_ID} .fitly-spinner {
+            width: 20px;
+            height: 20px;
+            border: 2px solid rgba(31, 41, 55, 0.3);
+            border-top-color: #1f2937;
+            border-radius: 50%;
+            animation: fitlySpin 0.8s linear infinite;
+        }
+
+        @keyframes fitlySpin {
+            to { transform: rotate(360deg); }
+        }
+
+        #${OVERLAY_ID} .fitly-divider {
+            display: flex;
+            align-items: center;
+            gap: 16px;
+            margin: 24px 0;
+            color: rgba(255, 255, 255, 0.4);
+            font-size: 13px;
+        }
+
+        #${OVERLAY_ID} .fitly-divider::before,
+        #${OVERLAY_ID} .fitly-divider::after {
+            content: '';
+            flex: 1;
+            height: 1px;
+            background: rgba(255, 255, 255, 0.1);
+        }
+
+        #${OVERLAY_ID} .fitly-features {
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+        }
+
+        #${OVERLAY_ID} .fitly-feature {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            color: rgba(255, 255, 255, 0.7);
+            font-size: 13px;
+        }
+
+        #${OVERLAY_ID} .fitly-feature-icon {
+            width: 20px;
+            height: 20px;
+            background: rgba(249, 115, 22, 0.2);
+            border-radius: 6px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            flex-shrink: 0;
+        }
+
+        #${OVERLAY_ID} .fitly-error {
+            background: rgba(239, 68, 68, 0.1);
+            border: 1px solid rgba(239, 68, 68, 0.3);
+            color: #fca5a5;
+            padding: 12px 16px;
+            border-radius: 10px;
+            font-size: 13px;
+            margin-bottom: 16px;
+            display: none;
+        }
+
+        #${OVERLAY_ID} .fitly-error.show {
+            display: block;
+        }
+    `;
+
+    /** Closed shadow root — null khi chưa từng hiện overlay */
+    let loginRoot = null;
+
+    function getLoginRoot() {
+        loginRoot = window.FitlyShadowHost.getShadowRoot(HOST_TAG, OVERLAY_STYLES);
+        return loginRoot;
+    }
 
     // Listen for messages from extension
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -40,7 +280,8 @@
      */
     function showLoginOverlay() {
         // Don't create if already exists
-        if (document.getElementById(OVERLAY_ID)) {
+        const root = getLoginRoot();
+        if (root.getElementById(OVERLAY_ID)) {
             // console.log('[FitlyExt] Login overlay already exists');
             return;
         }
@@ -49,232 +290,6 @@
         const overlay = document.createElement('div');
         overlay.id = OVERLAY_ID;
         overlay.innerHTML = `
-            <style>
-                #${OVERLAY_ID} {
-                    position: fixed !important;
-                    top: 0 !important;
-                    left: 0 !important;
-                    right: 0 !important;
-                    bottom: 0 !important;
-                    width: 100vw !important;
-                    height: 100vh !important;
-                    z-index: 2147483647 !important;
-                    display: flex !important;
-                    align-items: center !important;
-                    justify-content: center !important;
-                    background: rgba(0, 0, 0, 0.7) !important;
-                    backdrop-filter: blur(8px) !important;
-                    -webkit-backdrop-filter: blur(8px) !important;
-                    animation: fitlyFadeIn 0.3s ease-out !important;
-                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
-                }
-                
-                @keyframes fitlyFadeIn {
-                    from { opacity: 0; }
-                    to { opacity: 1; }
-                }
-                
-                @keyframes fitlySlideUp {
-                    from { 
-                        opacity: 0;
-                        transform: translateY(20px) scale(0.95);
-                    }
-                    to { 
-                        opacity: 1;
-                        transform: translateY(0) scale(1);
-                    }
-                }
-                
-                #${OVERLAY_ID}.fitly-closing {
-                    animation: fitlyFadeOut 0.2s ease-out forwards !important;
-                }
-                
-                @keyframes fitlyFadeOut {
-                    from { opacity: 1; }
-                    to { opacity: 0; }
-                }
-                
-                #${OVERLAY_ID} .fitly-login-card {
-                    position: relative !important;
-                    width: 420px !important;
-                    max-width: 90vw !important;
-                    background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%) !important;
-                    border-radius: 24px !important;
-                    padding: 48px 40px !important;
-                    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.8) !important;
-                    animation: fitlySlideUp 0.4s ease-out !important;
-                    border: 1px solid rgba(255, 255, 255, 0.1) !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-close-btn {
-                    position: absolute !important;
-                    top: 16px !important;
-                    right: 16px !important;
-                    width: 36px !important;
-                    height: 36px !important;
-                    border-radius: 50% !important;
-                    background: rgba(255, 255, 255, 0.1) !important;
-                    color: rgba(255, 255, 255, 0.7) !important;
-                    border: none !important;
-                    cursor: pointer !important;
-                    display: flex !important;
-                    align-items: center !important;
-                    justify-content: center !important;
-                    font-size: 20px !important;
-                    font-weight: 300 !important;
-                    transition: all 0.2s !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-close-btn:hover {
-                    background: rgba(255, 255, 255, 0.2) !important;
-                    color: white !important;
-                    transform: rotate(90deg) !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-logo {
-                    text-align: center !important;
-                    margin-bottom: 32px !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-logo-icon {
-                    width: 64px !important;
-                    height: 64px !important;
-                    background: linear-gradient(135deg, #f97316, #ec4899) !important;
-                    border-radius: 16px !important;
-                    display: inline-flex !important;
-                    align-items: center !important;
-                    justify-content: center !important;
-                    font-size: 32px !important;
-                    margin-bottom: 16px !important;
-                    box-shadow: 0 8px 16px rgba(249, 115, 22, 0.3) !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-title {
-                    font-size: 28px !important;
-                    font-weight: 700 !important;
-                    color: white !important;
-                    margin: 0 0 8px 0 !important;
-                    text-align: center !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-subtitle {
-                    font-size: 14px !important;
-                    color: rgba(255, 255, 255, 0.6) !important;
-                    margin: 0 0 32px 0 !important;
-                    text-align: center !important;
-                    line-height: 1.5 !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-google-btn {
-                    width: 100% !important;
-                    height: 56px !important;
-                    background: white !important;
-                    color: #1f2937 !important;
-                    border: none !important;
-                    border-radius: 14px !important;
-                    font-size: 16px !important;
-                    font-weight: 600 !important;
-                    cursor: pointer !important;
-                    display: flex !important;
-                    align-items: center !important;
-                    justify-content: center !important;
-                    gap: 12px !important;
-                    transition: all 0.2s !important;
-                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15) !important;
-                    margin-bottom: 16px !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-google-btn:hover {
-                    transform: translateY(-2px) !important;
-                    box-shadow: 0 6px 20px rgba(0, 0, 0, 0.25) !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-google-btn:active {
-                    transform: translateY(0) !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-google-btn:disabled {
-                    opacity: 0.6 !important;
-                    cursor: not-allowed !important;
-                    transform: none !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-google-icon {
-                    width: 24px !important;
-                    height: 24px !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-spinner {
-                    width: 20px !important;
-                    height: 20px !important;
-                    border: 2px solid rgba(31, 41, 55, 0.3) !important;
-                    border-top-color: #1f2937 !important;
-                    border-radius: 50% !important;
-                    animation: fitlySpin 0.8s linear infinite !important;
-                }
-                
-                @keyframes fitlySpin {
-                    to { transform: rotate(360deg); }
-                }
-                
-                #${OVERLAY_ID} .fitly-divider {
-                    display: flex !important;
-                    align-items: center !important;
-                    gap: 16px !important;
-                    margin: 24px 0 !important;
-                    color: rgba(255, 255, 255, 0.4) !important;
-                    font-size: 13px !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-divider::before,
-                #${OVERLAY_ID} .fitly-divider::after {
-                    content: '' !important;
-                    flex: 1 !important;
-                    height: 1px !important;
-                    background: rgba(255, 255, 255, 0.1) !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-features {
-                    display: flex !important;
-                    flex-direction: column !important;
-                    gap: 12px !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-feature {
-                    display: flex !important;
-                    align-items: center !important;
-                    gap: 12px !important;
-                    color: rgba(255, 255, 255, 0.7) !important;
-                    font-size: 13px !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-feature-icon {
-                    width: 20px !important;
-                    height: 20px !important;
-                    background: rgba(249, 115, 22, 0.2) !important;
-                    border-radius: 6px !important;
-                    display: flex !important;
-                    align-items: center !important;
-                    justify-content: center !important;
-                    flex-shrink: 0 !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-error {
-                    background: rgba(239, 68, 68, 0.1) !important;
-                    border: 1px solid rgba(239, 68, 68, 0.3) !important;
-                    color: #fca5a5 !important;
-                    padding: 12px 16px !important;
-                    border-radius: 10px !important;
-                    font-size: 13px !important;
-                    margin-bottom: 16px !important;
-                    display: none !important;
-                }
-                
-                #${OVERLAY_ID} .fitly-error.show {
-                    display: block !important;
-                }
-            </style>
-            
             <div class="fitly-login-card">
                 <button class="fitly-close-btn" title="Đóng">×</button>
                 
@@ -315,8 +330,8 @@
             </div>
         `;
 
-        // Add to page
-        document.body.appendChild(overlay);
+        // Add to shadow root
+        root.appendChild(overlay);
 
         // Get elements
         const closeBtn = overlay.querySelector('.fitly-close-btn');
@@ -425,7 +440,7 @@
      * Hide and remove login overlay
      */
     function hideLoginOverlay() {
-        const overlay = document.getElementById(OVERLAY_ID);
+        const overlay = loginRoot?.getElementById(OVERLAY_ID);
         if (!overlay) return;
 
         // Add closing animation
@@ -1,23 +1,37 @@
 /**
  * File: inject_image_hover_button.js
- * Purpose: Hiển thị nút hover "Thử đồ" + "Thêm vào tủ đồ" trên ảnh quần áo thời trang
+ * Purpose: Hiển thị nút hover "Thử đồ" + "Thêm vào tủ đồ" + "Tất cả ảnh" trên ảnh quần áo thời trang,
+ *          "Thử đồ" + "Tủ đồ" + "Ảnh mẫu" + "Chọn khung hình" trên <video>
  * Layer: Content Script / UI Overlay
  *
- * Input: Ảnh quần áo đã qua bộ lọc detect_fashion_page + detect_clothing_image
- * Output: Floating buttons (try-on + wardrobe) khi hover,
- *         gửi message CONTEXT_TRYON_IMAGE / CONTEXT_ADD_WARDROBE đến background
+ * Input: Ảnh quần áo đã qua bộ lọc detect_fashion_page + detect_clothing_image, <video> đủ lớn trên trang thời trang
+ * Output: Floating buttons (try-on + wardrobe + gallery) khi hover,
+ *         gửi message CONTEXT_TRYON_IMAGE / CONTEXT_ADD_WARDROBE / CONTEXT_TRY_GALLERY đến background;
+ *         video → khung hình hiện tại qua capture_video_frame.js (CONTEXT_USE_AS_MODEL cho ảnh mẫu)
  *
  * Flow:
- * 1. Check isFashionPage() — nếu false → early return
+ * 1. Check isFashionPage() (đã áp luật theo site của user) — nếu false → early return
+ *    User đổi luật ('fitly:site-mode-changed') → gắn nút ngay hoặc gỡ toàn bộ nút, không cần reload
  * 2. Load locale preference from storage
- * 3. Inject stylesheet
- * 4. Scan ảnh qua isLikelyClothingImage() filter
+ * 3. Stylesheet riêng trong closed shadow root <fitly-hover-buttons> — nút đặt đè lên ảnh theo toạ độ viewport,
+ *    không chèn vào DOM / không sửa position, overflow của trang
+ * 4. Gom ứng viên (img, video, background-image) xuyên shadow root mở (storefront dựng bằng web component)
+ *    — chưa đọc layout; ảnh sắp vào khung nhìn mới đo kích thước + isLikelyClothingImage(), theo lô trong
+ *    requestIdleCallback dưới ngân sách mỗi lượt (lib/image_scan_scheduler.js), kết quả cache theo element + URL
  * 5. Gắn hover buttons — compact icon-only cho ảnh nhỏ, full buttons cho ảnh lớn
- * 6. Click button → gửi message đến background service worker
- * 7. MutationObserver theo dõi DOM mới (lazy load, infinite scroll)
+ * 6. Click button → gửi message đến background service worker (kèm product metadata của trang)
+ *    "Tất cả ảnh" → gom + xếp hạng ảnh gallery của sản phẩm ngay tại trang (collect_product_gallery.js)
+ * 7. MutationObserver theo dõi DOM mới (lazy load, infinite scroll) — chỉ thêm ứng viên vào hàng đợi
+ *    <video> → nút riêng (không qua bộ lọc ảnh quần áo), "Chọn khung hình" mở thanh tua của capture_video_frame.js
+ * 8. Phím tắt (mọi trang): GET_SHORTCUT_TARGET_IMAGE → ảnh đang trỏ chuột, không có thì ảnh sản phẩm chính
+ *
+ * Frames: chạy trong mọi frame (all_frames) — iframe nhúng (lookbook, app Shopify) tự gắn nút nếu
+ * detect_fashion_page.js của frame đó nói là trang thời trang; message gửi từ iframe được background
+ * gắn frameId + URL của tab (background/frame_routing.js)
  *
  * Security: Không log sensitive data. Rate limit scan.
- * Edge Cases: Lazy-loaded images, CSS background images, SPA navigation
+ * Edge Cases: Lazy-loaded images, CSS background images, SPA navigation,
+ *             shadow root closed của trang (không đọc được — chỉ có chuột phải / chụp vùng)
  */
 
 (function () {
@@ -47,6 +61,11 @@
             added: 'Added!',
             tooltip_try: 'Try on with Fitly',
             tooltip_wardrobe: 'Add to Fitly wardrobe',
+            try_gallery: 'All photos',
+            tooltip_gallery: 'Try the best photo of this product',
+            use_as_model: 'Model',
+            tooltip_model: 'Use this frame as your model photo',
+            tooltip_frame: 'Pick another frame',
         };
         return fallback[key] || key;
     }
@@ -103,170 +122,457 @@
         check();
     }
 
+    // ==========================================
+    // SHADOW HOST — toàn bộ nút nằm trong 1 closed shadow root (lib/shadow_host.js)
+    // ==========================================
+
+    const HOVER_HOST_TAG = 'fitly-hover-buttons';
+    const HOVER_STYLES = `
+        /* ===== SLOT: đặt đè lên góc phải trên của ảnh (toạ độ viewport) ===== */
+        .fitly-hover-slot {
+            position: fixed;
+            width: 0;
+            height: 0;
+        }
+
+        /* ===== FULL MODE: 3 buttons ===== */
+        .fitly-hover-container {
+            position: absolute;
+            z-index: 2147483646;
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            top: 8px;
+            right: 8px;
+            opacity: 0;
+            transition: opacity 0.2s ease;
+            pointer-events: none;
+        }
+        .fitly-hover-container-visible {
+            opacity: 1;
+            pointer-events: all;
+        }
+        .fitly-hover-btn {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 5px 10px;
+            color: white;
+            font-size: 11px;
+            font-weight: 600;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            border: none;
+            border-radius: 16px;
+            cursor: pointer;
+            white-space: nowrap;
+            pointer-events: all;
+            transition: transform 0.15s ease, box-shadow 0.15s ease, opacity 0.15s ease;
+            line-height: 1.2;
+            backdrop-filter: blur(8px);
+            -webkit-backdrop-filter: blur(8px);
+        }
+        .fitly-hover-btn:hover {
+            transform: scale(1.05);
+        }
+        .fitly-btn-tryon {
+            background: linear-gradient(135deg, rgba(124,58,237,0.9), rgba(219,39,119,0.9));
+            box-shadow: 0 2px 10px rgba(124,58,237,0.45);
+        }
+        .fitly-btn-tryon:hover {
+            box-shadow: 0 4px 14px rgba(124,58,237,0.6);
+        }
+        .fitly-btn-wardrobe {
+            background: linear-gradient(135deg, rgba(14,165,233,0.9), rgba(99,102,241,0.9));
+            box-shadow: 0 2px 10px rgba(14,165,233,0.40);
+        }
+        .fitly-btn-wardrobe:hover {
+            box-shadow: 0 4px 14px rgba(14,165,233,0.6);
+        }
+        .fitly-btn-gallery {
+            background: linear-gradient(135deg, rgba(245,158,11,0.9), rgba(236,72,153,0.9));
+            box-shadow: 0 2px 10px rgba(245,158,11,0.40);
+        }
+        .fitly-btn-gallery:hover {
+            box-shadow: 0 4px 14px rgba(245,158,11,0.6);
+        }
+        .fitly-btn-model {
+            background: linear-gradient(135deg, rgba(16,185,129,0.9), rgba(13,148,136,0.9));
+            box-shadow: 0 2px 10px rgba(16,185,129,0.40);
+        }
+        .fitly-btn-model:hover {
+            box-shadow: 0 4px 14px rgba(16,185,129,0.6);
+        }
+        .fitly-btn-frame {
+            background: rgba(30,30,40,0.85);
+            box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+        }
+
+        /* ===== COMPACT MODE: single Fitly icon button ===== */
+        .fitly-compact-trigger {
+            position: absolute;
+            z-index: 2147483646;
+            top: 6px;
+            right: 6px;
+            width: 28px;
+            height: 28px;
+            border-radius: 50%;
+            border: none;
+            background: linear-gradient(135deg, rgba(124,58,237,0.92), rgba(219,39,119,0.92));
+            box-shadow: 0 2px 8px rgba(124,58,237,0.5);
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 14px;
+            line-height: 1;
+            opacity: 0;
+            transition: opacity 0.2s ease, transform 0.15s ease;
+            pointer-events: none;
+            backdrop-filter: blur(8px);
+            -webkit-backdrop-filter: blur(8px);
+        }
+        .fitly-compact-trigger-visible {
+            opacity: 1;
+            pointer-events: all;
+        }
+        .fitly-compact-trigger:hover {
+            transform: scale(1.12);
+            box-shadow: 0 4px 12px rgba(124,58,237,0.65);
+        }
+
+        /* ===== COMPACT DROPDOWN ===== */
+        .fitly-compact-dropdown {
+            position: absolute;
+            top: 32px;
+            right: 0;
+            display: none;
+            flex-direction: column;
+            gap: 3px;
+            background: rgba(30, 30, 40, 0.92);
+            backdrop-filter: blur(12px);
+            -webkit-backdrop-filter: blur(12px);
+            border-radius: 10px;
+            padding: 4px;
+            box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+            z-index: 2147483647;
+            min-width: 110px;
+        }
+        .fitly-compact-dropdown.fitly-dropdown-open {
+            display: flex;
+        }
+        .fitly-compact-dropdown-item {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 10px;
+            color: white;
+            font-size: 11px;
+            font-weight: 500;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            border: none;
+            border-radius: 7px;
+            cursor: pointer;
+            white-space: nowrap;
+            background: transparent;
+            transition: background 0.15s ease;
+            line-height: 1.2;
+        }
+        .fitly-compact-dropdown-item:hover {
+            background: rgba(255,255,255,0.12);
+        }
+    `;
+
+    /** null khi chưa gắn nút nào */
+    let hoverRoot = null;
+
+    function getHoverRoot() {
+        hoverRoot = window.FitlyShadowHost.getShadowRoot(HOVER_HOST_TAG, HOVER_STYLES, { 'z-index': '2147483646' });
+        return hoverRoot;
+    }
+
+    // ==========================================
+    // PER-SITE RULES (popup "Bật trên trang này" / trang cài đặt)
+    // ==========================================
+
+    /** scanImages của lần init đầu — null khi chưa init */
+    let hoverScanner = null;
+    /** Hàng đợi phân loại ảnh (lib/image_scan_scheduler.js) — tạo trong initHoverButtons */
+    let scanScheduler = null;
+    let hoverInitPromise = null;
+
+    /** Số liệu hàng đợi quét — tests/fixtures/infinite_scroll_store.html đọc để so độ giật giữa các phiên bản */
+    window.__fitlyScanStats = () => scanScheduler?.stats() || null;
+
+    /** Nút chỉ hiện khi detect (đã áp luật của user) nói đây là trang thời trang */
+    function isHoverEnabled() {
+        return window.__fitlyIsFashionPage === true;
+    }
+
+    async function enableHoverButtons() {
+        if (hoverScanner) {
+            hoverScanner();
+            return;
+        }
+        if (!hoverInitPromise) {
+            hoverInitPromise = loadLocale().then(() => {
+                hoverScanner = initHoverButtons();
+            });
+        }
+        await hoverInitPromise;
+    }
+
+    /** Gỡ toàn bộ nút đã gắn — xoá cờ fitlyAttached để bật lại thì gắn lại được */
+    function disableHoverButtons() {
+        scanScheduler?.clear();
+        hoverRoot?.querySelectorAll('[data-fitly-btn-container]').forEach(el => el.remove());
+        window.FitlyShadowHost.queryAllDeep(document, '[data-fitly-attached]').forEach(el => {
+            delete el.dataset.fitlyAttached;
+        });
+    }
+
+    window.addEventListener('fitly:site-mode-changed', (event) => {
+        if (event.detail?.isFashion) {
+            enableHoverButtons();
+        } else {
+            disableHoverButtons();
+        }
+    });
+
     waitForFashionDetection(async (isFashion) => {
         if (!isFashion) return;
-        await loadLocale();
-        initHoverButtons();
+        await enableHoverButtons();
     });
 
     // ==========================================
-    // MAIN INITIALIZATION
+    // IMAGE DETECTION (dùng chung: hover button, context menu, phím tắt)
     // ==========================================
 
-    function initHoverButtons() {
-        // ==========================================
-        // CONSTANTS
-        // ==========================================
+    /**
+     * URL ảnh nét nhất của element — srcset, <picture>, thuộc tính zoom, size trên URL CDN
+     * (lib/image_resolver.js), không chỉ currentSrc thumbnail
+     */
+    function getImageUrl(el) {
+        return window.FitlyImageResolver.resolveBestImageUrl(el);
+    }
 
-        const COMPACT_THRESHOLD = 250; // px — ảnh nhỏ hơn dùng compact mode
-        const MIN_IMAGE_SIZE = 120;    // px — ảnh quá nhỏ không hiện nút
+    /** URL ảnh nét nhất, không có thì URL đang hiển thị */
+    function getBestImgUrl(img) {
+        return getImageUrl(img) || img.currentSrc || img.src;
+    }
 
-        // ==========================================
-        // STYLES
-        // ==========================================
-        const style = document.createElement('style');
-        style.textContent = `
-            /* ===== FULL MODE: 2 buttons ===== */
-            .fitly-hover-container {
-                position: absolute;
-                z-index: 2147483646;
-                display: flex;
-                flex-direction: column;
-                gap: 4px;
-                top: 8px;
-                right: 8px;
-                opacity: 0;
-                transition: opacity 0.2s ease;
-                pointer-events: none;
-            }
-            .fitly-hover-container-visible {
-                opacity: 1 !important;
-                pointer-events: all !important;
-            }
-            .fitly-hover-btn {
-                display: flex;
-                align-items: center;
-                gap: 4px;
-                padding: 5px 10px;
-                color: white;
-                font-size: 11px;
-                font-weight: 600;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-                border: none;
-                border-radius: 16px;
-                cursor: pointer;
-                white-space: nowrap;
-                pointer-events: all;
-                transition: transform 0.15s ease, box-shadow 0.15s ease, opacity 0.15s ease;
-                line-height: 1.2;
-                backdrop-filter: blur(8px);
-                -webkit-backdrop-filter: blur(8px);
-            }
-            .fitly-hover-btn:hover {
-                transform: scale(1.05);
-            }
-            .fitly-btn-tryon {
-                background: linear-gradient(135deg, rgba(124,58,237,0.9), rgba(219,39,119,0.9));
-                box-shadow: 0 2px 10px rgba(124,58,237,0.45);
-            }
-            .fitly-btn-tryon:hover {
-                box-shadow: 0 4px 14px rgba(124,58,237,0.6);
-            }
-            .fitly-btn-wardrobe {
-                background: linear-gradient(135deg, rgba(14,165,233,0.9), rgba(99,102,241,0.9));
-                box-shadow: 0 2px 10px rgba(14,165,233,0.40);
-            }
-            .fitly-btn-wardrobe:hover {
-                box-shadow: 0 4px 14px rgba(14,165,233,0.6);
+    /** Detect ảnh từ element được click chuột phải (hoặc đang trỏ chuột khi bấm phím tắt) */
+    function detectImageFromContextMenu(element) {
+        if (!element) return null;
+
+        // Case 1: <img> trực tiếp
+        if (element.tagName === 'IMG' && element.src) {
+            return {
+                url: getBestImgUrl(element),
+                displayedUrl: element.currentSrc || element.src,
+                altText: element.alt || '',
+                nearbyText: getNearbyText(element)
+            };
+        }
+
+        // Case 2: Background image
+        const bgImage = getImageUrl(element);
+        if (bgImage) {
+            return {
+                url: bgImage,
+                altText: element.getAttribute('aria-label') || element.getAttribute('title') || '',
+                nearbyText: getNearbyText(element)
+            };
+        }
+
+        // Case 3: Parent có background image (traverse 3 levels)
+        let parent = element.parentElement;
+        let level = 0;
+        while (parent && level < 3) {
+            const parentBg = getImageUrl(parent);
+            if (parentBg) {
+                return {
+                    url: parentBg,
+                    altText: parent.getAttribute('aria-label') || parent.getAttribute('title') || '',
+                    nearbyText: getNearbyText(parent)
+                };
             }
-            .fitly-img-wrapper {
-                position: relative !important;
+            parent = parent.parentElement;
+            level++;
+        }
+
+        // Case 4: Child có <img>
+        const childImg = element.querySelector('img');
+        if (childImg && childImg.src) {
+            return {
+                url: getBestImgUrl(childImg),
+                displayedUrl: childImg.currentSrc || childImg.src,
+                altText: childImg.alt || '',
+                nearbyText: getNearbyText(childImg)
+            };
+        }
+
+        // Case 5: <picture> element
+        if (element.tagName === 'PICTURE') {
+            const img = element.querySelector('img');
+            if (img && img.src) {
+                return {
+                    url: getBestImgUrl(img),
+                    displayedUrl: img.currentSrc || img.src,
+                    altText: img.alt || '',
+                    nearbyText: getNearbyText(img)
+                };
             }
+        }
+
+        return null;
+    }
+
+    /**
+     * Element gốc của event — event từ shadow root mở của trang (web component) bị retarget thành host,
+     * composedPath()[0] vẫn là <img> bên trong; shadow root closed thì vẫn là host
+     */
+    function getEventElement(event) {
+        return event.composedPath?.()[0] || event.target;
+    }
 
-            /* ===== COMPACT MODE: single Fitly icon button ===== */
-            .fitly-compact-trigger {
-                position: absolute;
-                z-index: 2147483646;
-                top: 6px;
-                right: 6px;
-                width: 28px;
-                height: 28px;
-                border-radius: 50%;
-                border: none;
-                background: linear-gradient(135deg, rgba(124,58,237,0.92), rgba(219,39,119,0.92));
-                box-shadow: 0 2px 8px rgba(124,58,237,0.5);
-                cursor: pointer;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                font-size: 14px;
-                line-height: 1;
-                opacity: 0;
-                transition: opacity 0.2s ease, transform 0.15s ease;
-                pointer-events: none;
-                backdrop-filter: blur(8px);
-                -webkit-backdrop-filter: blur(8px);
+    /** Get nearby text for context detection */
+    function getNearbyText(element) {
+        try {
+            let text = element.textContent || '';
+            if (element.parentElement) {
+                text += ' ' + element.parentElement.textContent;
             }
-            .fitly-compact-trigger-visible {
-                opacity: 1 !important;
-                pointer-events: all !important;
+            if (element.previousElementSibling) {
+                text += ' ' + element.previousElementSibling.textContent;
             }
-            .fitly-compact-trigger:hover {
-                transform: scale(1.12);
-                box-shadow: 0 4px 12px rgba(124,58,237,0.65);
+            if (element.nextElementSibling) {
+                text += ' ' + element.nextElementSibling.textContent;
             }
+            text = text.replace(/\s+/g, ' ').trim();
+            return text.slice(0, 200);
+        } catch (e) {
+            return '';
+        }
+    }
 
-            /* ===== COMPACT DROPDOWN ===== */
-            .fitly-compact-dropdown {
-                position: absolute;
-                top: 32px;
-                right: 0;
-                display: none;
-                flex-direction: column;
-                gap: 3px;
-                background: rgba(30, 30, 40, 0.92);
-                backdrop-filter: blur(12px);
-                -webkit-backdrop-filter: blur(12px);
-                border-radius: 10px;
-                padding: 4px;
-                box-shadow: 0 4px 16px rgba(0,0,0,0.3);
-                z-index: 2147483647;
-                min-width: 110px;
-            }
-            .fitly-compact-dropdown.fitly-dropdown-open {
-                display: flex;
-            }
-            .fitly-compact-dropdown-item {
-                display: flex;
-                align-items: center;
-                gap: 6px;
-                padding: 6px 10px;
-                color: white;
-                font-size: 11px;
-                font-weight: 500;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-                border: none;
-                border-radius: 7px;
-                cursor: pointer;
-                white-space: nowrap;
-                background: transparent;
-                transition: background 0.15s ease;
-                line-height: 1.2;
+    // ==========================================
+    // KEYBOARD SHORTCUT TARGET
+    // ==========================================
+
+    const SHORTCUT_MIN_IMAGE_SIZE = 150; // px — ảnh sản phẩm chính phải đủ lớn
+
+    /** Element đang dưới con trỏ — phím tắt thử đồ / thêm tủ đồ nhắm vào đây */
+    let hoveredElement = null;
+    document.addEventListener('mouseover', (event) => {
+        const target = getEventElement(event);
+        // Trỏ vào nút hover của mình (event retarget thành host) → vẫn giữ ảnh bên dưới
+        if (window.FitlyShadowHost?.isFitlyHost(target)) return;
+        hoveredElement = target;
+    }, { capture: true, passive: true });
+
+    // Con trỏ rời document (sang frame cha / iframe khác) → frame này không còn ảnh đang trỏ
+    document.addEventListener('mouseout', (event) => {
+        if (!event.relatedTarget) hoveredElement = null;
+    }, { capture: true, passive: true });
+
+    /** Con trỏ đang ở trong iframe — ảnh đang trỏ do content script của iframe đó trả lời */
+    function isHoveringFrame() {
+        return hoveredElement?.tagName === 'IFRAME' || hoveredElement?.tagName === 'FRAME';
+    }
+
+    /** Ảnh sản phẩm chính: ảnh của Product trên trang (JSON-LD / og:image), không có thì ảnh lớn nhất đang hiện */
+    function findMainProductImage() {
+        const product = typeof window.__fitlyExtractProductMetadata === 'function'
+            ? window.__fitlyExtractProductMetadata()
+            : null;
+        if (product?.images?.[0]) {
+            return { url: product.images[0], altText: product.name || '', nearbyText: '' };
+        }
+
+        let best = null;
+        let bestArea = 0;
+        window.FitlyShadowHost.queryAllDeep(document, 'img').forEach(img => {
+            const rect = img.getBoundingClientRect();
+            if (rect.width < SHORTCUT_MIN_IMAGE_SIZE || rect.height < SHORTCUT_MIN_IMAGE_SIZE) return;
+            if (rect.bottom <= 0 || rect.top >= window.innerHeight) return;
+            const url = getImageUrl(img);
+            if (url && rect.width * rect.height > bestArea) {
+                best = img;
+                bestArea = rect.width * rect.height;
             }
-            .fitly-compact-dropdown-item:hover {
-                background: rgba(255,255,255,0.12);
+        });
+        return best ? detectImageFromContextMenu(best) : null;
+    }
+
+    /**
+     * GET_SHORTCUT_TARGET_IMAGE — background hỏi khi user bấm phím tắt (keyboard_commands.js)
+     * Response: { image: { url, altText, nearbyText, source: 'hover'|'main' }, product, hoveredFrame } | { image: null }
+     * - hoveredFrame: con trỏ đang ở trong iframe → background hỏi lại mọi frame với hoverOnly
+     * - hoverOnly: chỉ frame đang có ảnh dưới con trỏ trả lời, frame khác im lặng (không sendResponse)
+     */
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type !== 'GET_SHORTCUT_TARGET_IMAGE') return false;
+
+        let image = null;
+        try {
+            // Trỏ vào nền trang (body) → Case 4 sẽ lấy đại <img> đầu tiên (logo) — bỏ qua
+            const isPageBackground = hoveredElement === document.body || hoveredElement === document.documentElement;
+            const hovered = hoveredElement?.isConnected && !isPageBackground && !isHoveringFrame()
+                ? detectImageFromContextMenu(hoveredElement)
+                : null;
+            image = hovered ? { ...hovered, source: 'hover' } : null;
+            if (!image && !message.hoverOnly) {
+                const main = findMainProductImage();
+                image = main ? { ...main, source: 'main' } : null;
             }
-        `;
-        document.head.appendChild(style);
+        } catch (err) {
+            console.warn('[Fitly] Shortcut target detection failed:', err);
+        }
+        if (!image && message.hoverOnly) return false;
+
+        const product = image && typeof window.__fitlyExtractProductMetadata === 'function'
+            ? window.__fitlyExtractProductMetadata(image.url)
+            : null;
+        sendResponse({ image, product, hoveredFrame: isHoveringFrame() });
+        return true;
+    });
+
+    // ==========================================
+    // MAIN INITIALIZATION
+    // ==========================================
+
+    function initHoverButtons() {
+        // ==========================================
+        // CONSTANTS
+        // ==========================================
+
+        const COMPACT_THRESHOLD = 250; // px — ảnh nhỏ hơn dùng compact mode
+        const MIN_IMAGE_SIZE = 120;    // px — ảnh quá nhỏ không hiện nút
+
+        /** Tên, giá, size, gallery... từ JSON-LD / microdata / OpenGraph (extract_product_metadata.js) */
+        function getProductMetadata(imageUrl) {
+            return window.__fitlyExtractProductMetadata?.(imageUrl) || null;
+        }
+
+        /** "Tất cả ảnh" — gom gallery quanh ảnh ngay tại trang (đồng bộ, trước sendMessage để giữ user gesture) */
+        function sendTryGallery(imageUrl, pageUrl, sourceEl) {
+            const gallery = window.__fitlyCollectProductGallery?.(sourceEl, imageUrl) || null;
+            return Promise.race([
+                chrome.runtime.sendMessage({
+                    type: 'CONTEXT_TRY_GALLERY',
+                    data: { srcUrl: imageUrl, pageUrl: pageUrl || window.location.href, gallery }
+                }),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
+            ]);
+        }
 
         // ==========================================
         // BUTTON FACTORY — FULL MODE
         // ==========================================
 
-        function createFullButtonContainer(imageUrl, pageUrl) {
+        function createFullButtonContainer(imageUrl, pageUrl, sourceEl) {
             const container = document.createElement('div');
             container.className = 'fitly-hover-container';
-            container.dataset.fitlyBtnContainer = '1';
 
             // STEP 1: Nút "Thử đồ"
             const tryOnBtn = document.createElement('button');
@@ -289,6 +595,7 @@
                             data: {
                                 srcUrl: imageUrl,
                                 pageUrl: pageUrl || window.location.href,
+                                product: getProductMetadata(imageUrl),
                             }
                         }),
                         new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
@@ -324,6 +631,7 @@
                             data: {
                                 srcUrl: imageUrl,
                                 pageUrl: pageUrl || window.location.href,
+                                product: getProductMetadata(imageUrl),
                             }
                         }),
                         new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
@@ -342,8 +650,34 @@
                 }, 2500);
             });
 
+            // STEP 3: Nút "Tất cả ảnh" — chọn ảnh hợp thử đồ nhất trong gallery của sản phẩm
+            const galleryBtn = document.createElement('button');
+            galleryBtn.className = 'fitly-hover-btn fitly-btn-gallery';
+            galleryBtn.innerHTML = `🖼️ ${tBtn('try_gallery')}`;
+            galleryBtn.title = tBtn('tooltip_gallery');
+
+            galleryBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                galleryBtn.innerHTML = `⏳ ${tBtn('loading')}`;
+                galleryBtn.style.opacity = '0.7';
+
+                try {
+                    await sendTryGallery(imageUrl, pageUrl, sourceEl);
+                } catch (err) {
+                    console.warn('[Fitly] Failed to send CONTEXT_TRY_GALLERY:', err);
+                }
+
+                setTimeout(() => {
+                    galleryBtn.innerHTML = `🖼️ ${tBtn('try_gallery')}`;
+                    galleryBtn.style.opacity = '1';
+                }, 2000);
+            });
+
             container.appendChild(tryOnBtn);
             container.appendChild(wardrobeBtn);
+            container.appendChild(galleryBtn);
             return container;
         }
 
@@ -351,9 +685,8 @@
         // BUTTON FACTORY — COMPACT MODE
         // ==========================================
 
-        function createCompactButton(imageUrl, pageUrl) {
+        function createCompactButton(imageUrl, pageUrl, sourceEl) {
             const wrapper = document.createElement('div');
-            wrapper.dataset.fitlyBtnContainer = '1';
             wrapper.style.cssText = 'position:absolute;top:0;right:0;z-index:2147483646;';
 
             // STEP 1: Trigger button (Fitly icon)
@@ -380,7 +713,7 @@
                     await Promise.race([
                         chrome.runtime.sendMessage({
                             type: 'CONTEXT_TRYON_IMAGE',
-                            data: { srcUrl: imageUrl, pageUrl: pageUrl || window.location.href }
+                            data: { srcUrl: imageUrl, pageUrl: pageUrl || window.location.href, product: getProductMetadata(imageUrl) }
                         }),
                         new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
                     ]);
@@ -407,7 +740,7 @@
                     await Promise.race([
                         chrome.runtime.sendMessage({
                             type: 'CONTEXT_ADD_WARDROBE',
-                            data: { srcUrl: imageUrl, pageUrl: pageUrl || window.location.href }
+                            data: { srcUrl: imageUrl, pageUrl: pageUrl || window.location.href, product: getProductMetadata(imageUrl) }
                         }),
                         new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
                     ]);
@@ -423,8 +756,29 @@
                 }, 2000);
             });
 
+            // Gallery action
+            const galleryItem = document.createElement('button');
+            galleryItem.className = 'fitly-compact-dropdown-item';
+            galleryItem.innerHTML = `🖼️ ${tBtn('try_gallery')}`;
+
+            galleryItem.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                galleryItem.innerHTML = `⏳ ${tBtn('loading')}`;
+                try {
+                    await sendTryGallery(imageUrl, pageUrl, sourceEl);
+                } catch (err) {
+                    console.warn('[Fitly] Failed to send CONTEXT_TRY_GALLERY:', err);
+                }
+                setTimeout(() => {
+                    galleryItem.innerHTML = `🖼️ ${tBtn('try_gallery')}`;
+                    dropdown.classList.remove('fitly-dropdown-open');
+                }, 1500);
+            });
+
             dropdown.appendChild(tryOnItem);
             dropdown.appendChild(wardrobeItem);
+            dropdown.appendChild(galleryItem);
 
             // STEP 3: Toggle dropdown on click
             trigger.addEventListener('click', (e) => {
@@ -444,176 +798,297 @@
         }
 
         // ==========================================
-        // IMAGE DETECTION & ATTACHMENT
+        // BUTTON FACTORY — VIDEO
         // ==========================================
 
-        /** Lấy URL ảnh từ element (img src hoặc CSS background-image) */
-        function getImageUrl(el) {
-            if (el.tagName === 'IMG') {
-                const src = el.currentSrc || el.src || el.dataset.src || '';
-                if (src && src.startsWith('http')) return src;
-            }
-            const bg = window.getComputedStyle(el).backgroundImage;
-            if (bg && bg !== 'none') {
-                const match = bg.match(/url\(["']?([^"')]+)["']?\)/);
-                if (match && match[1].startsWith('http')) {
-                    return match[1];
-                }
-            }
-            return null;
+        /** Thử đồ / Tủ đồ / Ảnh mẫu từ khung hình đang hiện + mở thanh tua (capture_video_frame.js) */
+        function createVideoButtonContainer(video) {
+            const container = document.createElement('div');
+            container.className = 'fitly-hover-container';
+
+            const actions = [
+                ['fitly-btn-tryon', '👗', 'try_on', 'tooltip_try', 'tryon'],
+                ['fitly-btn-wardrobe', '🗂️', 'add_wardrobe', 'tooltip_wardrobe', 'wardrobe'],
+                ['fitly-btn-model', '🧍', 'use_as_model', 'tooltip_model', 'model'],
+            ];
+            actions.forEach(([className, icon, labelKey, tooltipKey, purpose]) => {
+                const btn = document.createElement('button');
+                btn.className = `fitly-hover-btn ${className}`;
+                btn.innerHTML = `${icon} ${tBtn(labelKey)}`;
+                btn.title = tBtn(tooltipKey);
+
+                btn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    // Đồng bộ trong click — giữ user gesture để background mở sidebar
+                    const result = window.__fitlySendVideoFrame?.(video, purpose);
+                    if (result !== 'frame') return; // Đang chờ user xác nhận vùng chụp
+                    btn.innerHTML = `⏳ ${tBtn('loading')}`;
+                    btn.style.opacity = '0.7';
+                    setTimeout(() => {
+                        btn.innerHTML = `${icon} ${tBtn(labelKey)}`;
+                        btn.style.opacity = '1';
+                    }, 1500);
+                });
+                container.appendChild(btn);
+            });
+
+            const frameBtn = document.createElement('button');
+            frameBtn.className = 'fitly-hover-btn fitly-btn-frame';
+            frameBtn.innerHTML = '🎞️';
+            frameBtn.title = tBtn('tooltip_frame');
+            frameBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                container.classList.remove('fitly-hover-container-visible');
+                window.__fitlyOpenVideoScrubber?.(video);
+            });
+            container.appendChild(frameBtn);
+
+            return container;
         }
 
-        function attachHoverButton(el) {
-            // Không gắn 2 lần
-            if (el.dataset.fitlyAttached) return;
-            el.dataset.fitlyAttached = '1';
+        // ==========================================
+        // SLOT — khung fixed trong shadow root, bám theo góc phải trên của anchor
+        // ==========================================
 
-            // L3 Filter: kiểm tra ảnh có phải quần áo không
-            if (typeof window.__fitlyIsLikelyClothingImage === 'function') {
-                if (!window.__fitlyIsLikelyClothingImage(el)) return;
-            }
+        /** Slot đang hiện gần nhất — cần đặt lại khi trang cuộn */
+        let shownSlot = null;
+
+        function mountHoverSlot(buttons, anchor, source) {
+            const slot = document.createElement('div');
+            slot.className = 'fitly-hover-slot';
+            slot.dataset.fitlyBtnContainer = '1';
+            slot._fitlyAnchor = anchor;
+            slot._fitlySource = source;
+            slot.appendChild(buttons);
+            getHoverRoot().appendChild(slot);
+            return slot;
+        }
 
-            const imageUrl = getImageUrl(el);
-            if (!imageUrl) return;
+        function placeHoverSlot(slot) {
+            const rect = slot._fitlyAnchor.getBoundingClientRect();
+            slot.style.top = `${rect.top}px`;
+            slot.style.left = `${rect.right}px`;
+        }
 
-            // Check dimensions — skip images that are too small
-            const rect = el.getBoundingClientRect();
-            if (rect.width < MIN_IMAGE_SIZE || rect.height < MIN_IMAGE_SIZE) {
-                // FIX [Bug #2]: Lazy-loaded images có BoundingClientRect=0 khi chưa load
-                // → Đăng ký load event để retry sau khi ảnh render đầy đủ
-                if (el.tagName === 'IMG' && !el.complete && (rect.width === 0 || rect.height === 0)) {
-                    el.addEventListener('load', () => {
-                        delete el.dataset.fitlyAttached; // Reset để có thể attach lại
-                        attachHoverButton(el);
-                    }, { once: true });
-                }
-                return;
-            }
+        function showHoverSlot(slot) {
+            getHoverRoot(); // trang gỡ host (SPA) → gắn lại
+            placeHoverSlot(slot);
+            shownSlot = slot;
+        }
 
-            // STEP 1: Find best anchor element for button placement
-            // Prefer a parent that already has position:relative and contains the image
-            let anchor = el;
+        /** Chuột đi từ ảnh sang nút — event trên trang thấy relatedTarget là host của shadow root */
+        function isMovingToButtons(event) {
+            return Boolean(hoverRoot) && event.relatedTarget === hoverRoot.host;
+        }
 
-            // FIX [Bug #5]: Expand anchor detection — handle <a>, <picture>, <figure>,
-            // và cả <div> wrapper bất kỳ có overflow:hidden (pattern phổ biến trên Shopee/Lazada)
+        /** Ảnh đã bị trang gỡ (infinite scroll tái sử dụng DOM) → gỡ slot tương ứng */
+        function pruneDetachedSlots() {
+            hoverRoot?.querySelectorAll('.fitly-hover-slot').forEach(slot => {
+                if (!slot._fitlyAnchor.isConnected) slot.remove();
+            });
+        }
+
+        window.addEventListener('scroll', () => {
+            if (shownSlot?.isConnected) placeHoverSlot(shownSlot);
+        }, { capture: true, passive: true });
+
+        // ==========================================
+        // IMAGE DETECTION & ATTACHMENT
+        // ==========================================
+
+        /**
+         * Vùng hover + khung để đặt nút lên góc phải trên — null nếu wrapper đã được gắn nút
+         * FIX [Bug #5]: Expand anchor detection — handle <a>, <picture>, <figure>,
+         * và cả <div> wrapper bất kỳ có overflow:hidden (pattern phổ biến trên Shopee/Lazada)
+         */
+        function findHoverAnchor(el) {
+            let anchor = el;
             const parent = el.parentElement;
             if (parent) {
                 if (parent.tagName === 'A' || parent.tagName === 'PICTURE' || parent.tagName === 'FIGURE') {
                     anchor = parent;
-                    if (anchor.dataset.fitlyAttached) return;
-                    anchor.dataset.fitlyAttached = '1';
                 } else {
                     // Check nếu parent div/span có overflow:hidden → dùng parent làm anchor
-                    // để tránh buttons bị clipped
+                    // (khung nhìn thấy được của ảnh, ảnh có thể tràn ra ngoài)
                     try {
                         const parentOv = window.getComputedStyle(parent).overflow;
-                        if (parentOv === 'hidden' || parentOv === 'clip') {
-                            anchor = parent;
-                            if (anchor.dataset.fitlyAttached) return;
-                            anchor.dataset.fitlyAttached = '1';
-                        }
+                        if (parentOv === 'hidden' || parentOv === 'clip') anchor = parent;
                     } catch (e) {
                         // getComputedStyle failed — skip
                     }
                 }
             }
-
-            // STEP 2: Ensure anchor has position for absolute children
-            const pos = window.getComputedStyle(anchor).position;
-            if (pos === 'static') {
-                anchor.style.position = 'relative';
+            if (anchor !== el) {
+                if (anchor.dataset.fitlyAttached) return null;
+                anchor.dataset.fitlyAttached = '1';
             }
+            return anchor;
+        }
 
-            // STEP 3: Fix overflow:hidden on anchor itself + ancestors (up to 5 levels)
-            // FIX [Bug #1]: Bắt đầu từ chính anchor (không phải anchor.parentElement)
-            // Shopee/Lazada thường có overflow:hidden trực tiếp trên <a> hoặc card container
-            try {
-                const anchorOv = window.getComputedStyle(anchor).overflow;
-                if (anchorOv === 'hidden' || anchorOv === 'clip') {
-                    anchor.style.overflow = 'visible';
+        /** Hiện / ẩn nút theo hover của anchor — giữ nút khi chuột đi từ anchor sang nút và ngược lại */
+        function bindHoverSlot(anchor, slot, buttons, visibleClass) {
+            anchor.addEventListener('mouseenter', () => {
+                showHoverSlot(slot);
+                buttons.classList.add(visibleClass);
+            });
+
+            anchor.addEventListener('mouseleave', (e) => {
+                if (!isMovingToButtons(e)) {
+                    buttons.classList.remove(visibleClass);
                 }
-            } catch (e) {
-                // getComputedStyle failed — skip
-            }
+            });
 
-            let parentEl = anchor.parentElement;
-            for (let i = 0; i < 5 && parentEl; i++) {
-                try {
-                    const ov = window.getComputedStyle(parentEl).overflow;
-                    if (ov === 'hidden' || ov === 'clip') {
-                        parentEl.style.overflow = 'visible';
-                    }
-                } catch (e) {
-                    // skip
+            slot.firstElementChild.addEventListener('mouseleave', (e) => {
+                if (!anchor.contains(e.relatedTarget)) {
+                    buttons.classList.remove(visibleClass);
+                }
+            });
+        }
+
+        /** <video>: không qua bộ lọc ảnh quần áo (không có URL ảnh) — chỉ cần đủ lớn */
+        function attachVideoHoverButton(video) {
+            if (!isHoverEnabled()) return;
+            if (video.dataset.fitlyAttached) return;
+            video.dataset.fitlyAttached = '1';
+
+            const rect = video.getBoundingClientRect();
+            if (rect.width < MIN_IMAGE_SIZE || rect.height < MIN_IMAGE_SIZE) {
+                // Video chưa có metadata → kích thước 0, thử lại khi biết kích thước
+                if (video.readyState < 1 && (rect.width === 0 || rect.height === 0)) {
+                    video.addEventListener('loadedmetadata', () => requeueCandidate(video), { once: true });
                 }
-                parentEl = parentEl.parentElement;
+                return;
             }
 
-            const isCompact = rect.width < COMPACT_THRESHOLD;
+            const anchor = findHoverAnchor(video);
+            if (!anchor) return;
 
-            if (isCompact) {
-                // COMPACT MODE — single icon trigger + dropdown
-                const { wrapper, trigger } = createCompactButton(imageUrl, window.location.href);
-                anchor.appendChild(wrapper);
+            const container = createVideoButtonContainer(video);
+            const slot = mountHoverSlot(container, anchor, video);
+            bindHoverSlot(anchor, slot, container, 'fitly-hover-container-visible');
+        }
 
-                anchor.addEventListener('mouseenter', () => {
-                    trigger.classList.add('fitly-compact-trigger-visible');
-                });
+        /** URL ảnh → kết quả bộ lọc quần áo — infinite scroll / virtual list render lại cùng sản phẩm không chấm lại */
+        const clothingVerdicts = new Map();
+        const MAX_CACHED_VERDICTS = 2000;
 
-                anchor.addEventListener('mouseleave', (e) => {
-                    if (!wrapper.contains(e.relatedTarget)) {
-                        trigger.classList.remove('fitly-compact-trigger-visible');
-                    }
-                });
+        /** L3 Filter (detect_clothing_image.js) — chỉ gọi khi ảnh đã có kích thước thật, kết quả cache theo URL */
+        function isClothingImage(el, imageUrl) {
+            if (typeof window.__fitlyIsLikelyClothingImage !== 'function') return true;
+            if (clothingVerdicts.has(imageUrl)) return clothingVerdicts.get(imageUrl);
 
-                wrapper.addEventListener('mouseleave', (e) => {
-                    if (!anchor.contains(e.relatedTarget)) {
-                        trigger.classList.remove('fitly-compact-trigger-visible');
-                    }
-                });
-            } else {
-                // FULL MODE — 2 buttons
-                const container = createFullButtonContainer(imageUrl, window.location.href);
-                anchor.appendChild(container);
+            const verdict = window.__fitlyIsLikelyClothingImage(el);
+            if (clothingVerdicts.size >= MAX_CACHED_VERDICTS) {
+                clothingVerdicts.delete(clothingVerdicts.keys().next().value);
+            }
+            clothingVerdicts.set(imageUrl, verdict);
+            return verdict;
+        }
 
-                anchor.addEventListener('mouseenter', () => {
-                    container.classList.add('fitly-hover-container-visible');
-                });
+        function attachHoverButton(el) {
+            // User vừa tắt site (luật 'never') — hàng đợi / load retry vẫn có thể gọi tới
+            if (!isHoverEnabled()) return;
+            // Không gắn 2 lần
+            if (el.dataset.fitlyAttached) return;
+            el.dataset.fitlyAttached = '1';
 
-                anchor.addEventListener('mouseleave', (e) => {
-                    if (!container.contains(e.relatedTarget)) {
-                        container.classList.remove('fitly-hover-container-visible');
-                    }
-                });
+            const imageUrl = getImageUrl(el);
+            if (!imageUrl) return;
 
-                container.addEventListener('mouseleave', (e) => {
-                    if (!anchor.contains(e.relatedTarget)) {
-                        container.classList.remove('fitly-hover-container-visible');
-                    }
-                });
+            // Check dimensions — skip images that are too small
+            const rect = el.getBoundingClientRect();
+            if (rect.width < MIN_IMAGE_SIZE || rect.height < MIN_IMAGE_SIZE) {
+                // FIX [Bug #2]: Lazy-loaded images có BoundingClientRect=0 khi chưa load
+                // → Đăng ký load event để retry sau khi ảnh render đầy đủ
+                if (el.tagName === 'IMG' && !el.complete && (rect.width === 0 || rect.height === 0)) {
+                    el.addEventListener('load', () => requeueCandidate(el), { once: true });
+                }
+                return;
+            }
+
+            // L3 Filter: kiểm tra ảnh có phải quần áo không
+            if (!isClothingImage(el, imageUrl)) return;
+
+            // STEP 1: Find best anchor element — vùng hover + khung để đặt nút lên góc phải trên
+            const anchor = findHoverAnchor(el);
+            if (!anchor) return;
+
+            const isCompact = rect.width < COMPACT_THRESHOLD;
+
+            if (isCompact) {
+                // COMPACT MODE — single icon trigger + dropdown
+                const { wrapper, trigger } = createCompactButton(imageUrl, window.location.href, el);
+                const slot = mountHoverSlot(wrapper, anchor, el);
+                bindHoverSlot(anchor, slot, trigger, 'fitly-compact-trigger-visible');
+            } else {
+                // FULL MODE — 3 buttons
+                const container = createFullButtonContainer(imageUrl, window.location.href, el);
+                const slot = mountHoverSlot(container, anchor, el);
+                bindHoverSlot(anchor, slot, container, 'fitly-hover-container-visible');
             }
         }
 
         // ==========================================
         // SCAN & OBSERVE
         // ==========================================
+        // Quét / MutationObserver chỉ gom ứng viên (không đọc layout). Đo kích thước, chấm điểm, gắn nút
+        // chạy khi ảnh sắp vào khung nhìn, theo lô trong requestIdleCallback (lib/image_scan_scheduler.js)
 
-        /** Quét ảnh trong container, áp dụng bộ lọc */
-        function scanImages(root = document) {
-            // Quét <img> tags
-            root.querySelectorAll('img').forEach(img => {
-                if (!img.dataset.fitlyAttached) {
-                    attachHoverButton(img);
-                }
-            });
+        const { queryAllDeep, getOpenShadowRoots } = window.FitlyShadowHost;
 
-            // Quét các div/a có background-image
-            const bgCandidates = root.querySelectorAll('[style*="background-image"], [style*="background:"]');
-            bgCandidates.forEach(el => {
-                if (!el.dataset.fitlyAttached) {
-                    attachHoverButton(el);
-                }
+        /** Khoá rẻ của ứng viên — đổi src (virtual list tái sử dụng element) thì phân loại lại */
+        function getCandidateKey(el) {
+            if (el.tagName === 'IMG' || el.tagName === 'VIDEO') return el.currentSrc || el.src || '';
+            return el.getAttribute('style') || '';
+        }
+
+        /** Element đã qua phân loại ít nhất 1 lần (cờ fitlyAttached còn được findHoverAnchor gắn lên anchor) */
+        const classifiedElements = new WeakSet();
+
+        /** Gỡ nút cũ của element (nội dung đã đổi) để gắn lại theo URL mới */
+        function detachHoverSlots(el) {
+            hoverRoot?.querySelectorAll('.fitly-hover-slot').forEach(slot => {
+                if (slot._fitlySource !== el) return;
+                delete slot._fitlyAnchor.dataset.fitlyAttached;
+                slot.remove();
             });
+            delete el.dataset.fitlyAttached;
+        }
+
+        function classifyCandidate(el) {
+            // Scheduler chỉ gọi lại khi khoá đổi → nút cũ trỏ vào URL cũ
+            if (classifiedElements.has(el)) detachHoverSlots(el);
+            classifiedElements.add(el);
+
+            if (el.tagName === 'VIDEO') attachVideoHoverButton(el);
+            else attachHoverButton(el);
+        }
+
+        scanScheduler = window.FitlyImageScanScheduler.createScanScheduler({
+            process: classifyCandidate,
+            getKey: getCandidateKey
+        });
+
+        /** Ảnh lazy vừa load / video vừa có metadata → xếp hàng lại (giờ đã có kích thước thật) */
+        function requeueCandidate(el) {
+            delete el.dataset.fitlyAttached;
+            scanScheduler.forget(el);
+            scanScheduler.add(el);
+        }
+
+        /** Gom ứng viên trong container (kể cả shadow root mở của web component) */
+        function scanImages(root = document) {
+            if (!isHoverEnabled()) return;
+
+            // MutationObserver trên document không thấy thay đổi bên trong shadow root → theo dõi riêng từng root
+            getOpenShadowRoots(root).forEach(observeShadowRoot);
+
+            // <video> (lookbook, video sản phẩm), <img>, div/a có background-image
+            queryAllDeep(root, 'video').forEach(scanScheduler.add);
+            queryAllDeep(root, 'img').forEach(scanScheduler.add);
+            queryAllDeep(root, '[style*="background-image"], [style*="background:"]').forEach(scanScheduler.add);
         }
 
         // Initial scan sau khi trang load
@@ -630,30 +1105,19 @@
             // Debounce scan — tránh quá nhiều scan liên tục
             if (scanTimeout) clearTimeout(scanTimeout);
             scanTimeout = setTimeout(() => {
+                pruneDetachedSlots();
                 for (const mutation of mutations) {
                     for (const node of mutation.addedNodes) {
                         if (node.nodeType !== Node.ELEMENT_NODE) continue;
 
-                        if (node.tagName === 'IMG') {
-                            attachHoverButton(node);
-                            // FIX [Bug #4]: Nếu ảnh chưa load xong → retry sau khi load
-                            if (!node.complete) {
-                                node.addEventListener('load', () => {
-                                    delete node.dataset.fitlyAttached;
-                                    attachHoverButton(node);
-                                }, { once: true });
-                            }
-                        }
-                        node.querySelectorAll?.('img').forEach(img => {
-                            attachHoverButton(img);
-                            // FIX [Bug #4]: Same retry for child images
-                            if (!img.complete) {
-                                img.addEventListener('load', () => {
-                                    delete img.dataset.fitlyAttached;
-                                    attachHoverButton(img);
-                                }, { once: true });
-                            }
-                        });
+                        getOpenShadowRoots(node).forEach(observeShadowRoot);
+
+                        if (node.tagName === 'VIDEO') scanScheduler.add(node);
+                        queryAllDeep(node, 'video').forEach(scanScheduler.add);
+
+                        // Ảnh chưa load xong → attachHoverButton tự đăng ký load retry (FIX [Bug #4])
+                        if (node.tagName === 'IMG') scanScheduler.add(node);
+                        queryAllDeep(node, 'img').forEach(scanScheduler.add);
                     }
                 }
             }, 300);
@@ -664,12 +1128,21 @@
             subtree: true
         });
 
+        /** ShadowRoot đã theo dõi — web component render lại không đăng ký trùng */
+        const observedShadowRoots = new WeakSet();
+
+        function observeShadowRoot(shadowRoot) {
+            if (observedShadowRoots.has(shadowRoot)) return;
+            observedShadowRoots.add(shadowRoot);
+            observer.observe(shadowRoot, { childList: true, subtree: true });
+        }
+
         // ==========================================
         // CONTEXT MENU DETECTOR (preserved from original)
         // ==========================================
 
         document.addEventListener('contextmenu', (event) => {
-            const imageInfo = detectImageFromContextMenu(event.target);
+            const imageInfo = detectImageFromContextMenu(getEventElement(event));
 
             if (imageInfo) {
                 try {
@@ -685,89 +1158,7 @@
             }
         }, true);
 
-        /** Detect ảnh từ element được click chuột phải */
-        function detectImageFromContextMenu(element) {
-            if (!element) return null;
-
-            // Case 1: <img> trực tiếp
-            if (element.tagName === 'IMG' && element.src) {
-                return {
-                    url: element.currentSrc || element.src,
-                    altText: element.alt || '',
-                    nearbyText: getNearbyText(element)
-                };
-            }
-
-            // Case 2: Background image
-            const bgImage = getImageUrl(element);
-            if (bgImage) {
-                return {
-                    url: bgImage,
-                    altText: element.getAttribute('aria-label') || element.getAttribute('title') || '',
-                    nearbyText: getNearbyText(element)
-                };
-            }
-
-            // Case 3: Parent có background image (traverse 3 levels)
-            let parent = element.parentElement;
-            let level = 0;
-            while (parent && level < 3) {
-                const parentBg = getImageUrl(parent);
-                if (parentBg) {
-                    return {
-                        url: parentBg,
-                        altText: parent.getAttribute('aria-label') || parent.getAttribute('title') || '',
-                        nearbyText: getNearbyText(parent)
-                    };
-                }
-                parent = parent.parentElement;
-                level++;
-            }
-
-            // Case 4: Child có <img>
-            const childImg = element.querySelector('img');
-            if (childImg && childImg.src) {
-                return {
-                    url: childImg.currentSrc || childImg.src,
-                    altText: childImg.alt || '',
-                    nearbyText: getNearbyText(childImg)
-                };
-            }
-
-            // Case 5: <picture> element
-            if (element.tagName === 'PICTURE') {
-                const img = element.querySelector('img');
-                if (img && img.src) {
-                    return {
-                        url: img.currentSrc || img.src,
-                        altText: img.alt || '',
-                        nearbyText: getNearbyText(img)
-                    };
-                }
-            }
-
-            return null;
-        }
-
-        /** Get nearby text for context detection */
-        function getNearbyText(element) {
-            try {
-                let text = element.textContent || '';
-                if (element.parentElement) {
-                    text += ' ' + element.parentElement.textContent;
-                }
-                if (element.previousElementSibling) {
-                    text += ' ' + element.previousElementSibling.textContent;
-                }
-                if (element.nextElementSibling) {
-                    text += ' ' + element.nextElementSibling.textContent;
-                }
-                text = text.replace(/\s+/g, ' ').trim();
-                return text.slice(0, 200);
-            } catch (e) {
-                return '';
-            }
-        }
+        return scanImages;
     }
 
 })();
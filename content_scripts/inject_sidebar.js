@@ -10,6 +10,14 @@
  * 2. Bật chế độ chọn ảnh khi được yêu cầu
  * 3. Gửi image URL được chọn về sidebar
  * 4. Support for lazy-loaded images and modern image formats
+ * 5. Popup tiến độ try-on trong trang — nhận stage thật qua port 'fitly-tryon-progress', có nút huỷ
+ * 6. Ảnh không lấy được (blob:, chặn hotlink) → "Chụp vùng ảnh" (capture_screen_region.js)
+ *
+ * Isolation (lib/shadow_host.js):
+ * - Tooltip / toast / modal → closed shadow root của <fitly-page-notices>
+ * - Popup kết quả + popup tiến độ → closed shadow root của <fitly-result-popups>
+ * - Kéo thả vẫn nghe mousemove / mouseup trên document (event từ shadow root được retarget, clientX/Y giữ nguyên)
+ * - Chỉ highlight .vt-selectable (gắn lên ảnh của trang) còn dùng sidebar.css
  */
 
 (function () {
@@ -50,7 +58,9 @@
              */
 
             default:
-                sendResponse({ success: false, error: 'Unknown message type' });
+                // Message của content script khác (GET_SHORTCUT_TARGET_IMAGE, GET_SIZE_CHART...) — không trả lời thay,
+                // sendResponse đầu tiên thắng nên trả 'Unknown' ở đây sẽ che câu trả lời thật (kể cả từ iframe)
+                return false;
 
         }
         return true;
@@ -70,13 +80,7 @@
         const images = findAllImages();
 
         images.forEach(img => {
-            if (isValidClothingImage(img)) {
-                img.classList.add('vt-selectable');
-                img.addEventListener('click', handleImageClick, true);
-                img.addEventListener('mouseenter', handleImageHover);
-                img.addEventListener('mouseleave', handleImageLeave);
-                selectedImages.add(img);
-            }
+            if (isValidClothingImage(img)) makeSelectable(img);
         });
 
         // Check if we found any images
@@ -102,7 +106,8 @@
     // Show alternative options when image selection fails
     function showAlternativeOptions() {
         // Remove existing modal
-        const existing = document.querySelector('.vt-alt-modal');
+        const root = getNoticeRoot();
+        const existing = root.querySelector('.vt-alt-modal');
         if (existing) existing.remove();
 
         const modal = document.createElement('div');
@@ -141,7 +146,7 @@
                 <button class="vt-alt-close">${window.t ? window.t('close') : 'Đóng'}</button>
             </div>
         `;
-        document.body.appendChild(modal);
+        root.appendChild(modal);
 
         // Add event listeners
         modal.querySelector('.vt-alt-close').addEventListener('click', () => {
@@ -186,7 +191,7 @@
                     modal.querySelector('#vt-alt-file-input').click();
                 } else if (action === 'screenshot') {
                     modal.remove();
-                    showNotification('💡 Mẹo: Windows: Win+Shift+S | Mac: Cmd+Shift+4', 'info');
+                    startRegionCapture();
                 }
             });
         });
@@ -199,6 +204,16 @@
         });
     }
 
+    // Kéo khung quanh món đồ → ảnh chụp vùng (capture_screen_region.js); không có thì mẹo chụp màn hình của OS
+    // Các luồng này đều bắt đầu từ sidebar (chế độ chọn ảnh) → sidebar đang mở
+    function startRegionCapture() {
+        if (typeof window.__fitlyStartRegionCapture === 'function') {
+            window.__fitlyStartRegionCapture({ sidePanelOpen: true });
+            return;
+        }
+        showNotification('💡 Mẹo: Windows: Win+Shift+S | Mac: Cmd+Shift+4', 'info');
+    }
+
     // Prompt user for image URL
     function promptForImageUrl() {
         const url = prompt(window.t ? window.t('paste_url_prompt') : 'Dán URL ảnh quần áo vào đây:\n(Chuột phải vào ảnh → Copy image address)');
@@ -210,6 +225,12 @@
 
     // Validate image URL and send to sidebar
     async function validateAndUseImageUrl(url) {
+        // blob: chỉ sống trong trang gốc — không gửi đi được, chụp vùng ảnh thay thế
+        if (url.startsWith('blob:')) {
+            showNotification(window.t ? window.t('region_capture.blob_url') : 'Ảnh này chỉ tồn tại trong trang. Hãy kéo khung quanh món đồ để chụp.', 'info');
+            startRegionCapture();
+            return;
+        }
         if (!url.startsWith('http://') && !url.startsWith('https://')) {
             showNotification(window.t ? window.t('invalid_url_error') : '❌ URL không hợp lệ. Phải bắt đầu bằng http:// hoặc https://', 'error');
             return;
@@ -264,7 +285,8 @@
     // Show error when image can't be loaded
     function showImageLoadError(url) {
         // Remove existing modal
-        const existing = document.querySelector('.vt-error-modal');
+        const root = getNoticeRoot();
+        const existing = root.querySelector('.vt-error-modal');
         if (existing) existing.remove();
 
         const modal = document.createElement('div');
@@ -284,15 +306,21 @@
                     </ol>
                 </div>
                 <div class="vt-error-actions">
+                    <button class="vt-error-btn vt-error-capture">${window.t ? window.t('region_capture.error_btn') : '📸 Chụp vùng ảnh'}</button>
                     <button class="vt-error-btn vt-error-retry">${window.t ? window.t('retry_other_url') : 'Thử URL khác'}</button>
                     <button class="vt-error-btn vt-error-use-anyway">${window.t ? window.t('use_anyway') : 'Vẫn thử dùng URL này'}</button>
                     <button class="vt-error-btn vt-error-close">${window.t ? window.t('close') : 'Đóng'}</button>
                 </div>
             </div>
         `;
-        document.body.appendChild(modal);
+        root.appendChild(modal);
 
         // Event listeners
+        modal.querySelector('.vt-error-capture').addEventListener('click', () => {
+            modal.remove();
+            startRegionCapture();
+        });
+
         modal.querySelector('.vt-error-retry').addEventListener('click', () => {
             modal.remove();
             promptForImageUrl();
@@ -399,37 +427,12 @@
     }
 
     function getImageUrl(element) {
-        let url = null;
-        // Check for our stored URL (for background images)
-        if (element._vtImageUrl) url = element._vtImageUrl;
-
-        if (!url) {
-            // Check srcset first for high-res images
-            const srcset = element.getAttribute('srcset');
-            if (srcset) {
-                const sources = srcset.split(',').map(s => s.trim().split(/\s+/));
-                // Get the largest image
-                let largest = sources[sources.length - 1];
-                if (largest && largest[0]) {
-                    url = largest[0];
-                }
-            }
-        }
-
-        if (!url) {
-            // Check data-src for lazy-loaded images
-            const dataSrc = element.getAttribute('data-src') ||
-                element.getAttribute('data-lazy-src') ||
-                element.getAttribute('data-original');
-            if (dataSrc) url = dataSrc;
-        }
+        // Ảnh nét nhất: srcset, <picture>, thuộc tính zoom, size trên URL CDN (lib/image_resolver.js)
+        const best = window.FitlyImageResolver.resolveBestImageUrl(element);
+        if (best) return best;
 
-        if (!url) {
-            // Regular src
-            url = element.src || element.currentSrc;
-        }
-
-        // Đảm bảo URL là absolute
+        // Background image lấy từ inline style (findAllImages) / src còn lại (data: URI lớn...)
+        const url = element._vtImageUrl || element.src || element.currentSrc;
         if (url && !url.startsWith('http') && !url.startsWith('data:')) {
             try {
                 return new URL(url, window.location.href).href;
@@ -437,8 +440,7 @@
                 return url;
             }
         }
-
-        return url;
+        return url || null;
     }
 
     function handleImageClick(event) {
@@ -477,6 +479,14 @@
         }
     }
 
+    function makeSelectable(img) {
+        img.classList.add('vt-selectable');
+        img.addEventListener('click', handleImageClick, true);
+        img.addEventListener('mouseenter', handleImageHover);
+        img.addEventListener('mouseleave', handleImageLeave);
+        selectedImages.add(img);
+    }
+
     function disableImageSelection() {
         isSelectionMode = false;
         document.body.style.cursor = '';
@@ -502,6 +512,8 @@
             window._vtObserver.disconnect();
             window._vtObserver = null;
         }
+        selectionScanScheduler?.clear();
+        selectionScanScheduler = null;
     }
 
     function handleEscape(event) {
@@ -515,21 +527,27 @@
     // MUTATION OBSERVER (for lazy-loaded images)
     // ==========================================
 
+    /** Ảnh mới trong chế độ chọn — đo + lọc khi sắp vào khung nhìn, theo lô (lib/image_scan_scheduler.js) */
+    let selectionScanScheduler = null;
+
     function observeNewImages() {
         if (window._vtObserver) return;
 
+        selectionScanScheduler = window.FitlyImageScanScheduler.createScanScheduler({
+            process: (img) => {
+                if (isSelectionMode && !selectedImages.has(img) && isValidClothingImage(img)) makeSelectable(img);
+            },
+            getKey: img => img.currentSrc || img.src || ''
+        });
+
+        // Infinite scroll thêm cả khối sản phẩm → lấy cả <img> bên trong node mới, chỉ gom (không đọc layout ở đây)
         window._vtObserver = new MutationObserver((mutations) => {
             if (!isSelectionMode) return;
 
             mutations.forEach((mutation) => {
                 mutation.addedNodes.forEach((node) => {
-                    if (node.nodeName === 'IMG' && isValidClothingImage(node)) {
-                        node.classList.add('vt-selectable');
-                        node.addEventListener('click', handleImageClick, true);
-                        node.addEventListener('mouseenter', handleImageHover);
-                        node.addEventListener('mouseleave', handleImageLeave);
-                        selectedImages.add(node);
-                    }
+                    if (node.nodeName === 'IMG') selectionScanScheduler.add(node);
+                    else node.querySelectorAll?.('img').forEach(selectionScanScheduler.add);
                 });
             });
         });
@@ -544,17 +562,338 @@
     // UI HELPERS
     // ==========================================
 
+    const NOTICE_HOST_TAG = 'fitly-page-notices';
+    const NOTICE_STYLES = `
+        /* ===== TOOLTIP ===== */
+        .vt-tooltip {
+            position: fixed;
+            transform: translateX(-50%);
+            background: linear-gradient(135deg, #f97316, #ec4899);
+            color: white;
+            padding: 8px 16px;
+            border-radius: 9999px;
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 13px;
+            font-weight: 600;
+            z-index: 999999;
+            box-shadow: 0 4px 16px rgba(249, 115, 22, 0.4);
+            pointer-events: none;
+            white-space: nowrap;
+        }
+
+        .vt-tooltip::after {
+            content: '';
+            position: absolute;
+            bottom: -6px;
+            left: 50%;
+            transform: translateX(-50%);
+            border-left: 6px solid transparent;
+            border-right: 6px solid transparent;
+            border-top: 6px solid #ec4899;
+        }
+
+        /* ===== NOTIFICATION TOAST ===== */
+        .vt-notification {
+            position: fixed;
+            bottom: 24px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            background: #1a1a1a;
+            border: 1px solid #2a2a2a;
+            color: white;
+            padding: 14px 24px;
+            border-radius: 12px;
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 14px;
+            font-weight: 500;
+            z-index: 999999;
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+            animation: vt-slide-up 0.3s ease;
+        }
+
+        .vt-notification-success {
+            border-color: #22c55e;
+            background: linear-gradient(135deg, rgba(34, 197, 94, 0.15), #1a1a1a);
+        }
+
+        .vt-notification-error {
+            border-color: #ef4444;
+            background: linear-gradient(135deg, rgba(239, 68, 68, 0.15), #1a1a1a);
+        }
+
+        .vt-notification-warning {
+            border-color: #f59e0b;
+            background: linear-gradient(135deg, rgba(245, 158, 11, 0.15), #1a1a1a);
+        }
+
+        .vt-notification-icon {
+            font-size: 18px;
+        }
+
+        .vt-notification-text {
+            color: #f5f5f5;
+        }
+
+        .vt-notification-hide {
+            animation: vt-slide-down 0.3s ease forwards;
+        }
+
+        @keyframes vt-slide-up {
+            from {
+                opacity: 0;
+                transform: translateX(-50%) translateY(20px);
+            }
+            to {
+                opacity: 1;
+                transform: translateX(-50%) translateY(0);
+            }
+        }
+
+        @keyframes vt-slide-down {
+            from {
+                opacity: 1;
+                transform: translateX(-50%) translateY(0);
+            }
+            to {
+                opacity: 0;
+                transform: translateX(-50%) translateY(20px);
+            }
+        }
+
+
+        /* ===== MODAL STYLES ===== */
+        .vt-alt-modal,
+        .vt-error-modal {
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(4px);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 2147483647;
+            animation: vt-fade-in 0.2s ease;
+        }
+
+        .vt-alt-content,
+        .vt-error-content {
+            background: #1a1a1a;
+            border: 1px solid #2a2a2a;
+            border-radius: 20px;
+            padding: 28px;
+            max-width: 420px;
+            width: 90%;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.5);
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            animation: vt-scale-in 0.3s ease;
+        }
+
+        .vt-alt-header,
+        .vt-error-header {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 16px;
+        }
+
+        .vt-alt-icon,
+        .vt-error-icon {
+            font-size: 32px;
+        }
+
+        .vt-alt-header h3,
+        .vt-error-header h3 {
+            color: #fff;
+            font-size: 18px;
+            font-weight: 600;
+            margin: 0;
+        }
+
+        .vt-alt-content p,
+        .vt-error-content p {
+            color: #a1a1a1;
+            font-size: 14px;
+            line-height: 1.6;
+            margin: 0 0 20px 0;
+        }
+
+        .vt-alt-options {
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            margin-bottom: 20px;
+        }
+
+        .vt-alt-btn {
+            display: flex;
+            align-items: center;
+            gap: 14px;
+            padding: 14px 16px;
+            background: #1f1f1f;
+            border: 1px solid #2a2a2a;
+            border-radius: 12px;
+            cursor: pointer;
+            transition: all 0.15s ease-out;
+            text-align: left;
+        }
+
+        .vt-alt-btn:hover {
+            background: #262626;
+            border-color: #f97316;
+            transform: translateX(4px);
+        }
+
+        .vt-alt-btn-icon {
+            font-size: 24px;
+            flex-shrink: 0;
+        }
+
+        .vt-alt-btn-text {
+            display: flex;
+            flex-direction: column;
+            gap: 2px;
+        }
+
+        .vt-alt-btn-text strong {
+            color: #fff;
+            font-size: 14px;
+            font-weight: 600;
+        }
+
+        .vt-alt-btn-text small {
+            color: #737373;
+            font-size: 12px;
+        }
+
+        .vt-alt-close,
+        .vt-error-close {
+            width: 100%;
+            padding: 12px;
+            background: transparent;
+            border: 1px solid #2a2a2a;
+            border-radius: 10px;
+            color: #737373;
+            font-size: 14px;
+            cursor: pointer;
+            transition: all 0.15s ease-out;
+        }
+
+        .vt-alt-close:hover,
+        .vt-error-close:hover {
+            background: #1f1f1f;
+            color: #fff;
+        }
+
+        /* ===== ERROR MODAL SPECIFIC ===== */
+        .vt-error-suggestion {
+            background: rgba(249, 115, 22, 0.1);
+            border: 1px solid rgba(249, 115, 22, 0.3);
+            border-radius: 12px;
+            padding: 14px 16px;
+            margin-bottom: 20px;
+        }
+
+        .vt-error-suggestion strong {
+            color: #f97316;
+            font-size: 13px;
+            display: block;
+            margin-bottom: 8px;
+        }
+
+        .vt-error-suggestion ol {
+            color: #a1a1a1;
+            font-size: 13px;
+            margin: 0;
+            padding-left: 20px;
+            line-height: 1.8;
+        }
+
+        .vt-error-actions {
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+        }
+
+        .vt-error-btn {
+            padding: 12px 16px;
+            border: none;
+            border-radius: 10px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+            transition: all 0.15s ease-out;
+        }
+
+        .vt-error-capture,
+        .vt-error-retry {
+            background: linear-gradient(135deg, #f97316, #ec4899);
+            color: white;
+        }
+
+        .vt-error-capture:hover,
+        .vt-error-retry:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 4px 16px rgba(249, 115, 22, 0.4);
+        }
+
+        .vt-error-use-anyway {
+            background: #1f1f1f;
+            color: #fff;
+            border: 1px solid #2a2a2a;
+        }
+
+        .vt-error-use-anyway:hover {
+            background: #262626;
+        }
+
+        .vt-error-btn.vt-error-close {
+            background: transparent;
+            color: #737373;
+            border: 1px solid #2a2a2a;
+        }
+
+        /* ===== ANIMATIONS ===== */
+        @keyframes vt-fade-in {
+            from { opacity: 0; }
+            to { opacity: 1; }
+        }
+
+        @keyframes vt-scale-in {
+            from {
+                opacity: 0;
+                transform: scale(0.9);
+            }
+            to {
+                opacity: 1;
+                transform: scale(1);
+            }
+        }
+    `;
+
+    /** Tooltip, toast, modal "không lấy được ảnh" — chung 1 host */
+    function getNoticeRoot() {
+        return window.FitlyShadowHost.getShadowRoot(NOTICE_HOST_TAG, NOTICE_STYLES);
+    }
+
     function createTooltip() {
         tooltip = document.createElement('div');
         tooltip.className = 'vt-tooltip';
         tooltip.textContent = 'Click để thử đồ';
         tooltip.style.display = 'none';
-        document.body.appendChild(tooltip);
+        getNoticeRoot().appendChild(tooltip);
     }
 
     function showNotification(message, type = 'info') {
+        const root = getNoticeRoot();
+
         // Remove existing notification
-        const existing = document.querySelector('.vt-notification');
+        const existing = root.querySelector('.vt-notification');
         if (existing) existing.remove();
 
         const icons = {
@@ -570,7 +909,7 @@
             <span class="vt-notification-icon">${icons[type] || icons.info}</span>
             <span class="vt-notification-text">${message}</span>
         `;
-        document.body.appendChild(notification);
+        root.appendChild(notification);
 
         // Remove after delay (longer for warnings/errors)
         const delay = (type === 'warning' || type === 'error') ? 5000 : 3000;
@@ -584,8 +923,21 @@
     // FLOATING RESULT POPUPS (on webpage)
     // ==========================================
 
+    const POPUP_HOST_TAG = 'fitly-result-popups';
+    const POPUP_STYLES = `
+        #fitly-popup-container {
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            pointer-events: none;
+        }
+    `;
+
     let popupContainer = null;
     let activePopups = new Map(); // id -> popup element
+    // z-index của popup chỉ so với nhau trong shadow root — host đã ở trên cùng trang
     let highestZIndex = 10000;
 
     // Helper function to escape HTML
@@ -596,20 +948,13 @@
     }
 
     function ensurePopupContainer() {
-        if (popupContainer && document.body.contains(popupContainer)) return;
+        // Host bị trang gỡ (SPA) → getShadowRoot gắn lại, popup đang mở vẫn còn
+        const root = window.FitlyShadowHost.getShadowRoot(POPUP_HOST_TAG, POPUP_STYLES);
+        if (popupContainer && root.contains(popupContainer)) return;
 
         popupContainer = document.createElement('div');
         popupContainer.id = 'fitly-popup-container';
-        popupContainer.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100vw;
-            height: 100vh;
-            pointer-events: none;
-            z-index: 2147483647;
-        `;
-        document.body.appendChild(popupContainer);
+        root.appendChild(popupContainer);
     }
 
     function createResultPopup(data) {
@@ -1262,9 +1607,126 @@
                 }
                 sendResponse({ success: true });
                 break;
+
+            case 'SHOW_TRYON_PROGRESS':
+                showTryonProgressPopup(message.data?.jobId);
+                sendResponse({ success: true });
+                break;
         }
     }
 
+    // ==========================================
+    // TRY-ON PROGRESS POPUP (on webpage)
+    // ==========================================
+
+    // Khớp TRYON_PROGRESS_PORT trong background/tryon_progress.js
+    const TRYON_PROGRESS_PORT = 'fitly-tryon-progress';
+    // Fallback khi i18n chưa load — bản dịch nằm ở tryon_stage.* (lib/locales)
+    const PROGRESS_STAGE_FALLBACKS = {
+        preparing: 'Đang chuẩn bị ảnh...',
+        uploading: 'Đang tải ảnh lên...',
+        queued: 'Đang chờ AI stylist...',
+        generating: 'AI đang thử đồ cho bạn...',
+        post_processing: 'Đang hoàn thiện ảnh...',
+        completed: 'Xong rồi! Mở Fitly để xem kết quả ✨',
+        failed: 'Có lỗi xảy ra — xem chi tiết trong Fitly',
+        cancelled: 'Đã huỷ thử đồ',
+        cancelling: 'Đang huỷ...',
+    };
+    const progressPopups = new Map(); // jobId -> { popup, port }
+
+    function getProgressStageLabel(stage) {
+        const fallback = PROGRESS_STAGE_FALLBACKS[stage];
+        if (!fallback) return null;
+        return window.t ? window.t(`tryon_stage.${stage}`) : fallback;
+    }
+
+    function removeTryonProgressPopup(jobId) {
+        const entry = progressPopups.get(jobId);
+        if (!entry) return;
+        try { entry.port.disconnect(); } catch (_) { }
+        entry.popup.remove();
+        progressPopups.delete(jobId);
+    }
+
+    function showTryonProgressPopup(jobId) {
+        if (!jobId || progressPopups.has(jobId)) return;
+        ensurePopupContainer();
+
+        const popup = document.createElement('div');
+        popup.className = 'fitly-progress-popup';
+        popup.style.cssText = `
+            position: fixed;
+            right: 24px;
+            bottom: 24px;
+            width: 280px;
+            padding: 14px 16px;
+            background: #1a1a1a;
+            border: 1px solid #333;
+            border-radius: 16px;
+            box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+            pointer-events: auto;
+            z-index: ${++highestZIndex};
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            color: white;
+        `;
+        popup.innerHTML = `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+                <span class="fitly-progress-label" style="font-size: 13px; font-weight: 600;">${getProgressStageLabel('preparing')}</span>
+                <span class="fitly-progress-percent" style="font-size: 12px; color: #aaa;">0%</span>
+            </div>
+            <div style="margin-top: 10px; height: 6px; background: #333; border-radius: 3px; overflow: hidden;">
+                <div class="fitly-progress-fill" style="width: 0%; height: 100%; background: linear-gradient(90deg, #f472b6, #a78bfa); transition: width 0.4s ease;"></div>
+            </div>
+            <button class="fitly-progress-cancel" style="
+                margin-top: 10px;
+                padding: 6px 12px;
+                background: #333;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                font-size: 12px;
+                cursor: pointer;
+            ">${window.t ? window.t('tryon_cancel') : 'Huỷ'}</button>
+        `;
+        popupContainer.appendChild(popup);
+
+        const label = popup.querySelector('.fitly-progress-label');
+        const percent = popup.querySelector('.fitly-progress-percent');
+        const fill = popup.querySelector('.fitly-progress-fill');
+        const cancelBtn = popup.querySelector('.fitly-progress-cancel');
+
+        const port = chrome.runtime.connect({ name: TRYON_PROGRESS_PORT });
+        port.onMessage.addListener((message) => {
+            if (message?.type !== 'TRYON_PROGRESS' || message.jobId !== jobId) return;
+            label.textContent = getProgressStageLabel(message.stage) || label.textContent;
+            percent.textContent = `${message.percent}%`;
+            fill.style.width = `${message.percent}%`;
+
+            if (['completed', 'failed', 'cancelled'].includes(message.stage)) {
+                cancelBtn.remove();
+                setTimeout(() => removeTryonProgressPopup(jobId), 4000);
+            }
+        });
+        // SW restart làm mất port — popup không còn nhận tiến độ, sidebar vẫn theo dõi job
+        port.onDisconnect.addListener(() => removeTryonProgressPopup(jobId));
+        port.postMessage({ type: 'SUBSCRIBE', jobId });
+
+        cancelBtn.addEventListener('click', async () => {
+            cancelBtn.disabled = true;
+            cancelBtn.textContent = getProgressStageLabel('cancelling');
+            try {
+                await chrome.runtime.sendMessage({ type: 'CANCEL_TRYON_JOB', data: { jobId } });
+            } catch (error) {
+                console.warn('[Fitly] Could not cancel try-on:', error);
+                cancelBtn.disabled = false;
+                cancelBtn.textContent = window.t ? window.t('tryon_cancel') : 'Huỷ';
+            }
+        });
+
+        progressPopups.set(jobId, { popup, port });
+    }
+
     // ==========================================
     // POPUP STATE PERSISTENCE
     // ==========================================
@@ -1370,7 +1832,7 @@
     // Extend message listener
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // Handle popup-related messages
-        if (['CREATE_RESULT_POPUP', 'CLOSE_RESULT_POPUP', 'CLOSE_ALL_POPUPS', 'BRING_POPUP_TO_FRONT', 'UPDATE_POPUP_NAME'].includes(message.type)) {
+        if (['CREATE_RESULT_POPUP', 'CLOSE_RESULT_POPUP', 'CLOSE_ALL_POPUPS', 'BRING_POPUP_TO_FRONT', 'UPDATE_POPUP_NAME', 'SHOW_TRYON_PROGRESS'].includes(message.type)) {
             handlePopupMessages(message, sender, sendResponse);
             return true;
         }
@@ -0,0 +1,221 @@
+/**
+ * File: parse_size_chart.js
+ * Purpose: Tìm và chuẩn hoá bảng size (size chart) trên trang sản phẩm — cm/inch, size chữ và size số
+ * Layer: Content Script / Extractor
+ *
+ * Data Contract:
+ * - Output: window.__fitlyParseSizeCharts() → [chart], chart =
+ *   { garment: 'top'|'bottom'|'shoes'|null, dimensions[], sourceUnit: 'cm'|'in'|'mixed',
+ *     sizes: [{ label, measurements: { height|chest|waist|hips|inseam|footLength: { min, max } } }] }
+ *   Mọi số đo đã quy về cm.
+ * - Message GET_SIZE_CHART → { charts } (background gọi khi sidebar cần gợi ý size)
+ *
+ * Flow:
+ * 1. Duyệt mọi <table> (kể cả bảng ẩn trong popup "Hướng dẫn chọn size")
+ * 2. Thử 2 chiều: size theo hàng (cột đầu là size) và size theo cột (hàng đầu là size)
+ * 3. Header → dimension theo từ khoá đa ngôn ngữ, ô "86-90" / "1m60" / "23,5" → { min, max }
+ * 4. Đơn vị: header "(cm)" / "(inch)" > chữ quanh bảng > suy theo độ lớn số đo
+ *
+ * Edge Cases:
+ * - Bảng không có cột size hoặc không có cột số đo nào nhận ra được → bỏ qua
+ * - colspan ở header → lặp text cho đủ số cột
+ * - Bảng chỉ có cân nặng / tuổi → không phải bảng dùng được cho profile số đo → bỏ qua
+ */
+
+(function () {
+    'use strict';
+
+    if (window.__fitlySizeChartParserLoaded) return;
+    window.__fitlySizeChartParserLoaded = true;
+
+    const CM_PER_INCH = 2.54;
+    const MAX_TABLES = 30;
+    const MIN_SIZES = 2;
+
+    // Thứ tự quan trọng: "chiều dài bàn chân" phải nhận là footLength trước khi rơi vào height / inseam
+    const DIMENSION_PATTERNS = [
+        ['footLength', /foot|feet|bàn chân|chiều dài chân|足長|脚长|발길이/i],
+        ['inseam', /inseam|inside leg|dài (chân|ống) trong|đáy quần|股下|内长/i],
+        ['height', /height|chiều cao|^cao\b|身長|身高|키/i],
+        ['chest', /chest|bust|ngực|vòng ?1|バスト|胸/i],
+        ['waist', /waist|vòng eo|^eo\b|vòng ?2|ウエスト|腰围|허리/i],
+        ['hips', /hip|mông|vòng ?3|ヒップ|臀/i],
+    ];
+    const SIZE_HEADER_PATTERN = /^(size|sizes|sz|cỡ|kích cỡ|サイズ|尺码|사이즈|taille|talla|ukuran)\b/i;
+    const SIZE_LABEL_PATTERN = /^((x{0,3}|[2-6]x?)(s|l)|m|xxs|free ?size|one ?size|f)$/i;
+
+    // Ngưỡng suy đơn vị khi bảng không ghi: số đo nhỏ hơn ngưỡng → inch
+    const INCH_BELOW = { height: 90, chest: 55, waist: 55, hips: 55, inseam: 45, footLength: 15 };
+
+    // ==========================================
+    // CELL HELPERS
+    // ==========================================
+
+    function cellText(cell) {
+        return (cell?.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /** Bảng → ma trận text, colspan được lặp lại để cột thẳng hàng */
+    function tableGrid(table) {
+        return [...table.rows].map(row => [...row.cells].flatMap(cell => {
+            const span = Math.min(Number(cell.colSpan) || 1, 10);
+            return Array(span).fill(cellText(cell));
+        })).filter(row => row.some(Boolean));
+    }
+
+    function dimensionOf(text) {
+        const header = String(text || '').toLowerCase();
+        if (!header) return null;
+        const match = DIMENSION_PATTERNS.find(([, pattern]) => pattern.test(header));
+        return match ? match[0] : null;
+    }
+
+    function unitOf(text) {
+        const lower = String(text || '').toLowerCase();
+        if (/\bcm\b|\(cm\)|centimet/.test(lower)) return 'cm';
+        if (/\binch(es)?\b|\(in\)|\bin\.|″|"/.test(lower)) return 'in';
+        return null;
+    }
+
+    function isSizeLabel(text) {
+        const value = String(text || '').trim();
+        if (!value || value.length > 12) return false;
+        // "M (38)", "S/M" → xét token đầu
+        const token = value.split(/[\s/(]/)[0];
+        if (SIZE_LABEL_PATTERN.test(token) || SIZE_LABEL_PATTERN.test(value)) return true;
+        // Size số: quần 26-44, giày EU 34-48, US 4-15, có thể lẻ .5
+        return /^\d{1,2}(\.5)?$/.test(token) && Number(token) <= 60;
+    }
+
+    /** "86-90", "86 – 90", "1m60-1m65", "23,5", "34.5 ~ 36" → { min, max } (chưa đổi đơn vị) */
+    function parseRange(text, dimension) {
+        let value = String(text || '').toLowerCase();
+        if (!value) return null;
+        value = value.replace(/(\d)m(\d{2})/g, (_, m, cm) => String(Number(m) * 100 + Number(cm)));
+        value = value.replace(/(\d),(\d)(?!\d)/g, '$1.$2');
+
+        const numbers = (value.match(/\d+(?:\.\d+)?/g) || []).map(Number).filter(Number.isFinite);
+        if (numbers.length === 0) return null;
+        let [min, max] = numbers.length >= 2 ? [numbers[0], numbers[1]] : [numbers[0], numbers[0]];
+        if (min > max) [min, max] = [max, min];
+
+        // Chiều cao ghi bằng mét: "1.60 - 1.65"
+        if (dimension === 'height' && max < 3) {
+            min *= 100;
+            max *= 100;
+        }
+        return { min, max };
+    }
+
+    function toCentimeters(range, unit) {
+        const factor = unit === 'in' ? CM_PER_INCH : 1;
+        const round = n => Math.round(n * factor * 10) / 10;
+        return { min: round(range.min), max: round(range.max) };
+    }
+
+    /** Chữ quanh bảng (caption, tiêu đề phía trên) — nhiều site ghi "Đơn vị: cm" ở đây */
+    function surroundingText(table) {
+        const parts = [table.caption?.textContent || ''];
+        let node = table.previousElementSibling;
+        for (let i = 0; node && i < 2; i++, node = node.previousElementSibling) {
+            parts.push(node.textContent || '');
+        }
+        return parts.join(' ').slice(0, 500);
+    }
+
+    // ==========================================
+    // TABLE → CHART
+    // ==========================================
+
+    /**
+     * Đọc bảng theo 1 chiều: headers = nhãn cột (size + số đo), rows = giá trị theo đúng thứ tự cột
+     * Output: { sizes, units } hoặc null
+     */
+    function readOrientation(headers, rows, tableUnit) {
+        // Cột size: header "Size" / "Cỡ"..., mặc định cột đầu
+        const sizeIndex = Math.max(0, headers.findIndex(header => SIZE_HEADER_PATTERN.test(header)));
+        const columns = headers
+            .map((header, index) => ({ index, dimension: dimensionOf(header), unit: unitOf(header) }))
+            .filter(column => column.index !== sizeIndex && column.dimension);
+        if (columns.length === 0) return null;
+
+        const sizes = [];
+        const units = new Set();
+        for (const row of rows) {
+            const label = row[sizeIndex] || '';
+            if (!isSizeLabel(label)) continue;
+
+            const measurements = {};
+            for (const column of columns) {
+                if (measurements[column.dimension]) continue;
+                const range = parseRange(row[column.index], column.dimension);
+                if (!range) continue;
+                const unit = column.unit || unitOf(row[column.index]) || tableUnit
+                    || (range.max < INCH_BELOW[column.dimension] ? 'in' : 'cm');
+                units.add(unit);
+                measurements[column.dimension] = toCentimeters(range, unit);
+            }
+            if (Object.keys(measurements).length > 0) {
+                sizes.push({ label: label.split(/\s*\(/)[0].toUpperCase(), measurements });
+            }
+        }
+        return sizes.length >= MIN_SIZES ? { sizes, units } : null;
+    }
+
+    function guessGarment(dimensions) {
+        if (dimensions.includes('footLength')) return 'shoes';
+        if (dimensions.includes('chest')) return 'top';
+        if (dimensions.includes('inseam') || dimensions.includes('waist') || dimensions.includes('hips')) return 'bottom';
+        return null;
+    }
+
+    function parseTable(table) {
+        const grid = tableGrid(table);
+        if (grid.length < 2) return null;
+        const tableUnit = unitOf(surroundingText(table)) || unitOf(grid[0].join(' '));
+
+        // Chiều 1: hàng đầu là header số đo, mỗi hàng sau là 1 size
+        const headerRowIndex = grid.findIndex(row => row.some(cell => dimensionOf(cell)));
+        const byRows = headerRowIndex >= 0
+            ? readOrientation(grid[headerRowIndex], grid.slice(headerRowIndex + 1), tableUnit)
+            : null;
+
+        // Chiều 2: cột đầu là header số đo, mỗi cột sau là 1 size (bảng xoay ngang)
+        const width = Math.max(...grid.map(row => row.length));
+        const transposed = Array.from({ length: width }, (_, col) => grid.map(row => row[col] || ''));
+        const byColumns = readOrientation(transposed[0], transposed.slice(1), tableUnit);
+
+        const score = parsed => parsed ? parsed.sizes.reduce((sum, size) => sum + Object.keys(size.measurements).length, 0) : 0;
+        const best = score(byColumns) > score(byRows) ? byColumns : byRows;
+        if (!best) return null;
+
+        const dimensions = [...new Set(best.sizes.flatMap(size => Object.keys(size.measurements)))];
+        return {
+            garment: guessGarment(dimensions),
+            dimensions,
+            sourceUnit: best.units.size > 1 ? 'mixed' : ([...best.units][0] || 'cm'),
+            sizes: best.sizes,
+        };
+    }
+
+    function parseSizeCharts() {
+        try {
+            return [...document.querySelectorAll('table')]
+                .slice(0, MAX_TABLES)
+                .map(parseTable)
+                .filter(Boolean);
+        } catch (error) {
+            console.warn('[Fitly] Size chart parsing failed:', error);
+            return [];
+        }
+    }
+
+    window.__fitlyParseSizeCharts = parseSizeCharts;
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type !== 'GET_SIZE_CHART') return false;
+        sendResponse({ charts: parseSizeCharts() });
+        return true;
+    });
+
+})();
@@ -0,0 +1,270 @@
+/**
+ * File: fashion_page_scoring.js
+ * Purpose: Nhận diện trang thời trang bằng bộ luật có trọng số (lib/fashion_page_rules.json) — biết trang
+ *          được / không được nhận diện vì luật nào, chỉnh trọng số không phải sửa code
+ * Layer: Shared Logic
+ *
+ * Data Contract:
+ * - Exports: global FitlyFashionScoring { RULESET_PATH, DETECTION_SETTINGS_KEY, SENSITIVITIES, DEFAULT_SENSITIVITY,
+ *   FALLBACK_RULESET, compileRuleset, loadRuleset, scorePage, getThreshold, normalizeDetectionSettings,
+ *   loadDetectionSettings, saveDetectionSettings }
+ * - Ruleset JSON: { version, thresholds: { strict, balanced, relaxed }, keywords: { name: [..] }, rules: [..] }
+ *   rule = { id, signal, weight, ...điều kiện } — signal: domain | frame | path | meta | structuredData | imageDensity
+ *   Điều kiện: test (domain / frame), pattern (+ keywords trên URL), selector (+ attribute, equals, keywords,
+ *   maxLength, minCount), globals, jsonLdTypes, jsonLdCategoryKeywords
+ * - scorePage(ruleset, context) → { version, score, fired: [{ id, signal, weight, detail }] }
+ *   context = { url, hostname, document, globals, topFrameIsFashion }
+ * - Storage: detection_settings (chrome.storage.local) — { sensitivity: 'strict' | 'balanced' | 'relaxed', debug }
+ *
+ * Flow:
+ * 1. detect_fashion_page.js: loadRuleset() (fetch file JSON của extension) → compileRuleset
+ * 2. scorePage cộng trọng số các luật khớp → so với getThreshold(ruleset, sensitivity)
+ * 3. debug = true → overlay trên trang liệt kê luật đã khớp (detect_fashion_page.js)
+ *
+ * Edge Cases:
+ * - Không đọc được file JSON (extension vừa reload, frame sandbox) → FALLBACK_RULESET (chỉ domain + frame chính)
+ * - Luật có regex / selector sai → bỏ qua luật đó, không làm hỏng cả bộ luật
+ * - Luật trọng số âm (path.excluded) — trang đăng nhập / giỏ hàng không bao giờ vượt ngưỡng
+ */
+
+(function (global) {
+
+    const RULESET_PATH = 'lib/fashion_page_rules.json';
+    const DETECTION_SETTINGS_KEY = 'detection_settings';
+    const SENSITIVITIES = ['strict', 'balanced', 'relaxed'];
+    const DEFAULT_SENSITIVITY = 'balanced';
+
+    /** Dùng khi không đọc được file JSON — vẫn nhận diện được domain có sẵn + iframe của trang thời trang */
+    const FALLBACK_RULESET = {
+        version: 0,
+        thresholds: { strict: 60, balanced: 40, relaxed: 25 },
+        keywords: {},
+        rules: [
+            { id: 'domain.builtin', signal: 'domain', test: 'builtInFashionDomain', weight: 100 },
+            { id: 'domain.marketplace_fashion_path', signal: 'domain', test: 'marketplaceFashionPath', weight: 100 },
+            { id: 'frame.top_is_fashion', signal: 'frame', test: 'topFrameIsFashion', weight: 100 },
+        ],
+    };
+
+    /** Luật domain / frame — tên trong JSON → điều kiện trên context */
+    const NAMED_TESTS = {
+        builtInFashionDomain: ctx => global.FitlySiteRules?.isBuiltInFashionDomain(ctx.hostname) === true,
+        marketplaceFashionPath: ctx => global.FitlySiteRules?.isMarketplaceFashionPath(ctx.hostname, ctx.url.pathname) === true,
+        topFrameIsFashion: ctx => ctx.topFrameIsFashion === true,
+    };
+
+    // =====================================================
+    // COMPILE
+    // =====================================================
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * compileRuleset — JSON → ruleset dùng được (regex đã biên dịch, luật lỗi bị loại)
+     * Output: { version, thresholds, rules } — rule có thêm regex / keywordRegex
+     */
+    function compileRuleset(json) {
+        const keywordRegexes = {};
+        Object.entries(json?.keywords || {}).forEach(([name, words]) => {
+            if (Array.isArray(words) && words.length) {
+                keywordRegexes[name] = new RegExp(words.map(escapeRegExp).join('|'), 'iu');
+            }
+        });
+
+        const rules = [];
+        (json?.rules || []).forEach(rule => {
+            if (!rule?.id || typeof rule.weight !== 'number') return;
+            try {
+                const compiled = { ...rule };
+                if (rule.pattern) compiled.regex = new RegExp(rule.pattern, rule.flags || 'i');
+                const keywordName = rule.keywords || rule.jsonLdCategoryKeywords;
+                if (keywordName) {
+                    compiled.keywordRegex = keywordRegexes[keywordName];
+                    if (!compiled.keywordRegex) throw new Error(`unknown keyword list "${keywordName}"`);
+                }
+                if (rule.test && !NAMED_TESTS[rule.test]) throw new Error(`unknown test "${rule.test}"`);
+                rules.push(compiled);
+            } catch (error) {
+                console.warn(`[Fitly] Skipped detection rule ${rule.id}:`, error.message);
+            }
+        });
+
+        return {
+            version: json?.version ?? 0,
+            thresholds: { ...FALLBACK_RULESET.thresholds, ...(json?.thresholds || {}) },
+            rules,
+        };
+    }
+
+    /** Đọc bộ luật đi kèm extension — lỗi thì dùng FALLBACK_RULESET */
+    async function loadRuleset() {
+        try {
+            const response = await fetch(chrome.runtime.getURL(RULESET_PATH));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return compileRuleset(await response.json());
+        } catch (error) {
+            console.warn('[Fitly] Detection ruleset unavailable, using built-in domains only:', error.message);
+            return compileRuleset(FALLBACK_RULESET);
+        }
+    }
+
+    // =====================================================
+    // EVALUATE
+    // =====================================================
+
+    function readText(el, rule) {
+        const text = rule.attribute ? el.getAttribute(rule.attribute) : el.textContent;
+        return (text || '').slice(0, rule.maxLength || undefined);
+    }
+
+    function readJsonLd(doc) {
+        const items = [];
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                const data = JSON.parse(script.textContent || '');
+                const list = Array.isArray(data) ? data : (data['@graph'] || [data]);
+                items.push(...list.filter(item => item && typeof item === 'object'));
+            } catch (e) {
+                // Invalid JSON — skip
+            }
+        });
+        return items;
+    }
+
+    /** Luật khớp → chuỗi mô tả ngắn (hiện trên overlay debug), không khớp → null */
+    function evaluateRule(rule, ctx) {
+        if (rule.test) {
+            return NAMED_TESTS[rule.test](ctx) ? (rule.signal === 'domain' ? ctx.hostname : 'top frame') : null;
+        }
+
+        if (rule.regex) {
+            const match = ctx.url.pathname.match(rule.regex);
+            if (!match) return null;
+            if (rule.keywordRegex) {
+                const keyword = decodeURIComponentSafe(ctx.url.href).match(rule.keywordRegex);
+                return keyword ? `${match[0]} + "${keyword[0]}"` : null;
+            }
+            return match[0];
+        }
+
+        if (rule.globals) {
+            const found = rule.globals.find(name => typeof ctx.globals?.[name] !== 'undefined');
+            return found ? `window.${found}` : null;
+        }
+
+        if (rule.jsonLdTypes || rule.jsonLdCategoryKeywords) {
+            for (const item of ctx.jsonLd()) {
+                const type = String(item['@type'] || '').toLowerCase();
+                if (rule.jsonLdTypes?.includes(type)) return `@type ${item['@type']}`;
+                const category = item.category || item.productGroup || '';
+                const keyword = rule.keywordRegex && typeof category === 'string' && category.match(rule.keywordRegex);
+                if (keyword) return `category "${keyword[0]}"`;
+            }
+            return null;
+        }
+
+        if (rule.selector) {
+            const elements = ctx.document.querySelectorAll(rule.selector);
+            if (rule.minCount) {
+                return elements.length >= rule.minCount ? `${elements.length} images` : null;
+            }
+            for (const el of elements) {
+                const text = readText(el, rule);
+                if (rule.equals !== undefined) {
+                    if (text === rule.equals) return `${rule.attribute || 'text'}="${text}"`;
+                    continue;
+                }
+                if (rule.keywordRegex) {
+                    const keyword = text.match(rule.keywordRegex);
+                    if (keyword) return `"${keyword[0]}"`;
+                    continue;
+                }
+                return el.tagName.toLowerCase();
+            }
+        }
+        return null;
+    }
+
+    function decodeURIComponentSafe(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    /**
+     * scorePage — Cộng trọng số mọi luật khớp với trang
+     * Input: ruleset đã compile, context { url, hostname, document, globals, topFrameIsFashion }
+     * Output: { version, score, fired } — fired theo thứ tự luật trong file
+     */
+    function scorePage(ruleset, context) {
+        let jsonLd = null;
+        const ctx = {
+            ...context,
+            url: context.url instanceof URL ? context.url : new URL(context.url),
+            jsonLd: () => (jsonLd ??= readJsonLd(context.document)),
+        };
+
+        const fired = [];
+        ruleset.rules.forEach(rule => {
+            let detail = null;
+            try {
+                detail = evaluateRule(rule, ctx);
+            } catch (error) {
+                // Selector không hợp lệ trong JSON — coi như không khớp
+            }
+            if (detail !== null) fired.push({ id: rule.id, signal: rule.signal, weight: rule.weight, detail });
+        });
+
+        return {
+            version: ruleset.version,
+            score: fired.reduce((sum, rule) => sum + rule.weight, 0),
+            fired,
+        };
+    }
+
+    function getThreshold(ruleset, sensitivity) {
+        return ruleset.thresholds[sensitivity] ?? ruleset.thresholds[DEFAULT_SENSITIVITY];
+    }
+
+    // =====================================================
+    // SETTINGS
+    // =====================================================
+
+    /** { sensitivity, debug } — sidebar "Cài đặt theo trang" ghi, content script đọc */
+    async function loadDetectionSettings() {
+        const data = await chrome.storage.local.get(DETECTION_SETTINGS_KEY);
+        return normalizeDetectionSettings(data[DETECTION_SETTINGS_KEY]);
+    }
+
+    function normalizeDetectionSettings(settings) {
+        return {
+            sensitivity: SENSITIVITIES.includes(settings?.sensitivity) ? settings.sensitivity : DEFAULT_SENSITIVITY,
+            debug: settings?.debug === true,
+        };
+    }
+
+    async function saveDetectionSettings(patch) {
+        const settings = normalizeDetectionSettings({ ...(await loadDetectionSettings()), ...patch });
+        await chrome.storage.local.set({ [DETECTION_SETTINGS_KEY]: settings });
+        return settings;
+    }
+
+    global.FitlyFashionScoring = {
+        RULESET_PATH,
+        DETECTION_SETTINGS_KEY,
+        SENSITIVITIES,
+        DEFAULT_SENSITIVITY,
+        FALLBACK_RULESET,
+        compileRuleset,
+        loadRuleset,
+        scorePage,
+        getThreshold,
+        normalizeDetectionSettings,
+        loadDetectionSettings,
+        saveDetectionSettings,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -0,0 +1,213 @@
+/**
+ * File: fashion_sites.js
+ * Purpose: Dữ liệu domain thời trang có sẵn + luật bật / tắt theo từng site do user đặt
+ * Layer: Shared Data
+ *
+ * Data Contract:
+ * - Exports: global FitlySiteRules (content scripts, popup, sidebar)
+ * - Storage: site_rules (chrome.storage.local) — map domain → 'always' | 'auto' | 'never'
+ *   always = luôn hiện nút hover, never = tắt hẳn trên site, auto = tự nhận diện trang thời trang
+ *
+ * Flow:
+ * 1. Content script: getSiteMode(hostname, rules) → quyết định trước khi chạy bộ nhận diện
+ * 2. Popup "Bật trên trang này" / trang cài đặt sidebar → setSiteRule(domain, mode)
+ * 3. Luật của domain cha áp dụng cho subdomain (shop.vn → m.shop.vn), luật cụ thể hơn thắng
+ *
+ * Edge Cases:
+ * - User nhập URL đầy đủ / "www." / "*." → chuẩn hoá về hostname
+ * - Đặt 'auto' cho domain không có luật cha → xoá luật luôn (danh sách gọn)
+ */
+
+(function (global) {
+
+    const SITE_RULES_STORAGE_KEY = 'site_rules';
+    const SITE_MODES = ['always', 'auto', 'never'];
+
+    // =====================================================
+    // BUILT-IN FASHION DOMAINS
+    // =====================================================
+
+    /** Domains that are always considered fashion pages — user rules (site_rules) override / extend this list */
+    const FASHION_DOMAINS = [
+        // Vietnam
+        'shopee.vn', 'lazada.vn', 'tiki.vn', 'sendo.vn',
+        'onedoshop.com', 'weeboo.vn', 'coolmate.me', 'routine.vn',
+        'canifa.com', 'ivy-mode.com', 'elise.vn', 'hnoss.com',
+        'yody.vn', 'pantio.vn', 'lados.vn', 'orion.vn',
+        'hnshop.vn', 'sixdo.vn', 'hnclassic.vn', 'juno.vn',
+
+        // Global fast fashion
+        'zara.com', 'hm.com', 'uniqlo.com', 'asos.com', 'shein.com',
+        'fashionnova.com', 'forever21.com', 'mango.com', 'gap.com',
+        'oldnavy.com', 'bananarepublic.com', 'primark.com',
+        'boohoo.com', 'prettylittlething.com', 'missguided.com',
+        'topshop.com', 'next.co.uk', 'riverisland.com',
+
+        // Asian — Japan
+        'zozo.jp', 'zozotown.net', 'rakuten.co.jp', 'amazon.co.jp',
+        'magaseek.com', 'fashionwalker.com', 'stripe-department.com',
+        'baycrews.jp', 'urban-research.jp',
+
+        // Asian — Korea
+        'musinsa.com', 'wconcept.com', 'stylenanda.com',
+        'gmarket.co.kr', '11st.co.kr', 'coupang.com',
+        'ssfshop.com', 'lfmall.co.kr', 'handsome.co.kr',
+
+        // Asian — China
+        'taobao.com', 'tmall.com', 'jd.com', 'pinduoduo.com',
+        'vip.com', 'mogujie.com',
+
+        // Asian — Southeast Asia
+        'zalora.com', 'zalora.vn', 'pomelo.com', 'yesstyle.com',
+        'lazada.co.th', 'shopee.co.th', 'central.co.th',
+        'lazada.co.id', 'shopee.co.id', 'tokopedia.com',
+        'lazada.sg', 'shopee.sg', 'lazada.com.my', 'shopee.com.my',
+        'lazada.com.ph', 'shopee.ph',
+
+        // Luxury / Premium
+        'farfetch.com', 'net-a-porter.com', 'ssense.com',
+        'mytheresa.com', 'matchesfashion.com', 'luisaviaroma.com',
+        'nordstrom.com', 'saksfifthavenue.com', 'bloomingdales.com',
+        'neimanmarcus.com',
+
+        // Sportswear
+        'nike.com', 'adidas.com', 'puma.com', 'newbalance.com',
+        'underarmour.com', 'reebok.com', 'asics.com',
+
+        // Department / Multi-brand
+        'macys.com', 'kohls.com', 'jcpenney.com', 'target.com',
+        'walmart.com', 'costco.com',
+
+        // Europe
+        'aboutyou.com', 'zalando.de', 'zalando.fr', 'zalando.co.uk',
+        'galerieslafayette.com', 'lacoste.com',
+        'johnlewis.com', 'selfridges.com', 'harrods.com',
+        'asos.de', 'asos.fr', 'asos.it',
+
+        // Brand stores
+        'levi.com', 'calvinklein.com', 'tommy.com', 'ralphlauren.com',
+        'gucci.com', 'prada.com', 'louisvuitton.com', 'dior.com',
+        'burberry.com', 'balenciaga.com', 'versace.com',
+        'hermes.com', 'chanel.com', 'armani.com', 'fendi.com',
+    ];
+
+    /**
+     * Marketplace domains — only fashion if URL path matches fashion categories.
+     * Key: domain substring, Value: regex for fashion-related paths
+     */
+    const MARKETPLACE_FASHION_PATHS = {
+        'amazon': /\/(fashion|clothing|shoes|bags|accessories|dp\/[A-Z0-9]+)/i,
+        'ebay': /\/(fashion|clothing|shoes|sch\/.*clothing)/i,
+        'etsy': /\/(listing|shop).*?(dress|shirt|jacket|clothing|fashion)/i,
+        'rakuten': /\/(fashion|clothing|shoes|bag|f\/[a-z]+-wear)/i,
+        'coupang': /\/(vp|products|search\?.*clothing)/i,
+        'taobao': /\/(item|list).*?(服|裤|鞋|包|裙|衣)/i,
+        'tmall': /\/(item|list).*?(服|裤|鞋|包|裙|衣)/i,
+        'jd': /\/(product|item|list).*?(服|裤|鞋|包|裙|衣)/i,
+    };
+
+    // =====================================================
+    // DOMAIN HELPERS
+    // =====================================================
+
+    /** "https://www.Shop.vn/ao?x=1", "*.shop.vn", "shop.vn" → "shop.vn" | null */
+    function normalizeDomain(input) {
+        let value = String(input || '').trim().toLowerCase();
+        if (!value) return null;
+        value = value.replace(/^\*\./, '');
+        try {
+            const host = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(value) ? value : `http://${value}`).hostname;
+            const domain = host.replace(/^www\./, '').replace(/\.$/, '');
+            if (domain === 'localhost' || /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) return domain;
+        } catch (_) {
+            // URL không hợp lệ
+        }
+        return null;
+    }
+
+    /** Host đúng bằng domain hoặc là subdomain của domain */
+    function matchesDomain(hostname, domain) {
+        const host = String(hostname || '').toLowerCase();
+        return host === domain || host.endsWith('.' + domain);
+    }
+
+    function isBuiltInFashionDomain(hostname) {
+        return FASHION_DOMAINS.some(domain => matchesDomain(hostname, domain));
+    }
+
+    function isMarketplaceFashionPath(hostname, pathname) {
+        const host = String(hostname || '').toLowerCase();
+        return Object.entries(MARKETPLACE_FASHION_PATHS)
+            .some(([key, regex]) => host.includes(key) && regex.test(pathname));
+    }
+
+    // =====================================================
+    // USER SITE RULES
+    // =====================================================
+
+    /**
+     * findSiteRule — Luật cụ thể nhất áp dụng cho hostname
+     * Output: { domain, mode } | null
+     */
+    function findSiteRule(hostname, rules) {
+        if (!rules) return null;
+        const labels = String(hostname || '').toLowerCase().split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const domain = labels.slice(i).join('.');
+            if (SITE_MODES.includes(rules[domain])) return { domain, mode: rules[domain] };
+        }
+        return null;
+    }
+
+    function getSiteMode(hostname, rules) {
+        return findSiteRule(hostname, rules)?.mode || 'auto';
+    }
+
+    async function loadSiteRules() {
+        const data = await chrome.storage.local.get(SITE_RULES_STORAGE_KEY);
+        return data[SITE_RULES_STORAGE_KEY] || {};
+    }
+
+    /**
+     * setSiteRule — Đặt luật cho 1 domain
+     * Output: { success, domain, mode } | { success: false, error: 'INVALID_DOMAIN' | 'INVALID_MODE' }
+     */
+    async function setSiteRule(input, mode) {
+        const domain = normalizeDomain(input);
+        if (!domain) return { success: false, error: 'INVALID_DOMAIN' };
+        if (!SITE_MODES.includes(mode)) return { success: false, error: 'INVALID_MODE' };
+
+        const rules = await loadSiteRules();
+        const parent = findSiteRule(domain.split('.').slice(1).join('.'), rules);
+        if (mode === 'auto' && !parent) {
+            delete rules[domain];
+        } else {
+            rules[domain] = mode;
+        }
+        await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: rules });
+        return { success: true, domain, mode };
+    }
+
+    async function removeSiteRule(input) {
+        const domain = normalizeDomain(input);
+        const rules = await loadSiteRules();
+        if (!domain || !(domain in rules)) return;
+        delete rules[domain];
+        await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: rules });
+    }
+
+    global.FitlySiteRules = {
+        SITE_RULES_STORAGE_KEY,
+        SITE_MODES,
+        FASHION_DOMAINS,
+        MARKETPLACE_FASHION_PATHS,
+        normalizeDomain,
+        isBuiltInFashionDomain,
+        isMarketplaceFashionPath,
+        findSiteRule,
+        getSiteMode,
+        loadSiteRules,
+        setSiteRule,
+        removeSiteRule,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
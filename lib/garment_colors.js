@@ -0,0 +1,373 @@
+/**
+ * File: garment_colors.js
+ * Purpose: Phân tích màu + hoạ tiết của ảnh quần áo từ pixel đã thu nhỏ — màu chủ đạo (bỏ nền) theo tên màu,
+ *          hoạ tiết trơn / kẻ sọc / caro / hoa / in hình — dùng chung cho service worker (lúc lưu / backfill) và sidebar (bộ lọc)
+ * Layer: Shared Logic
+ *
+ * Data Contract:
+ * - Exports: global FitlyGarmentColors { COLORS, PATTERNS, classifyColor, analyzePixels, matchesAttributes, getColorHex }
+ * - analyzePixels(rgba, width, height) → { colors: [{ name, hex, share }], pattern }
+ *   colors: tối đa MAX_COLORS màu, share = tỉ lệ trong phần quần áo (đã bỏ nền), nhiều nhất trước
+ *   pattern: 'solid' | 'striped' | 'checked' | 'floral' | 'printed'
+ * - Nhãn: t('color.<name>'), t('pattern.<pattern>') trong lib/locales/*.js
+ *
+ * Flow:
+ * 1. Nền: loang từ viền ảnh qua các pixel gần màu pixel viền (+ pixel trong suốt) → mask nền,
+ *    lấp lại khoảng nền ngắn kẹp giữa quần áo (sọc trắng chạm nền trắng)
+ * 2. Màu: pixel quần áo → cụm màu → tên màu theo HSV của màu trung bình cụm (classifyColor), hex = trung bình thật
+ * 3. Hoạ tiết: cạnh màu giữa 2 pixel kề nhau — ít cạnh → trơn; cạnh xếp thành hàng ngang / dọc → kẻ sọc,
+ *    cả hai hướng → caro; cạnh phủ khắp áo + nhiều sắc màu → hoa; còn lại (logo, hình in giữa áo) → in hình
+ *
+ * Edge Cases:
+ * - Quần áo tràn kín khung (ảnh cắt sát) → loang nền ăn gần hết ảnh → coi cả ảnh là quần áo
+ * - Nền studio gradient → phần nền sót lại thành xám / trắng với tỉ lệ nhỏ, thường dưới MIN_COLOR_SHARE
+ * - Kẻ sọc / caro quá mảnh so với ảnh thu nhỏ → mất khi resize → 'solid'
+ * - Heuristic, không phải model: kẻ chéo / hoạ tiết hình học có thể ra 'printed'
+ */
+
+(function (global) {
+
+    /** Tên màu + màu mẫu cho swatch bộ lọc */
+    const COLORS = [
+        { name: 'black', hex: '#1f1f1f' },
+        { name: 'white', hex: '#f7f7f2' },
+        { name: 'gray', hex: '#9e9e9e' },
+        { name: 'beige', hex: '#d9c6a5' },
+        { name: 'brown', hex: '#795548' },
+        { name: 'red', hex: '#d32f2f' },
+        { name: 'pink', hex: '#f48fb1' },
+        { name: 'orange', hex: '#fb8c00' },
+        { name: 'yellow', hex: '#fdd835' },
+        { name: 'green', hex: '#43a047' },
+        { name: 'blue', hex: '#1e88e5' },
+        { name: 'navy', hex: '#1a237e' },
+        { name: 'purple', hex: '#8e24aa' },
+    ];
+    const NEUTRALS = new Set(['black', 'white', 'gray', 'beige']);
+
+    const PATTERNS = ['solid', 'striped', 'checked', 'floral', 'printed'];
+
+    const MAX_COLORS = 4;
+    const MIN_COLOR_SHARE = 0.08;
+    /** Quá ít pixel còn lại sau khi bỏ nền → coi cả ảnh là quần áo */
+    const MIN_FOREGROUND_SHARE = 0.08;
+    /** Loang nền: chênh lệch với pixel kề / với pixel viền xuất phát (khoảng cách RGB) */
+    const BACKGROUND_STEP = 16;
+    const BACKGROUND_SEED_DISTANCE = 28;
+    /** Bucket cách tâm cụm ≤ khoảng này (RGB) → cùng một màu */
+    const CLUSTER_DISTANCE = 36;
+    /** Chênh lệch màu giữa 2 pixel kề nhau để tính là cạnh hoạ tiết */
+    const EDGE_DISTANCE = 40;
+    const SOLID_EDGE_DENSITY = 0.03;
+    /** Hàng / cột có ≥ tỉ lệ này cặp pixel là cạnh → một đường kẻ */
+    const LINE_FILL = 0.5;
+    const GRID_CELLS = 4;
+    /** Khoảng nền kẹp giữa quần áo ngắn hơn tỉ lệ này của cạnh ảnh → lấp (sọc trắng trên nền trắng) */
+    const MAX_GAP_SHARE = 0.15;
+
+    function rgbDistance(data, a, b) {
+        const dr = data[a * 4] - data[b * 4];
+        const dg = data[a * 4 + 1] - data[b * 4 + 1];
+        const db = data[a * 4 + 2] - data[b * 4 + 2];
+        return Math.sqrt(dr * dr + dg * dg + db * db);
+    }
+
+    /**
+     * classifyColor — RGB (0–255) → tên màu trong COLORS theo hue / saturation / value
+     */
+    function classifyColor(r, g, b) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const v = max / 255;
+        const s = max === 0 ? 0 : (max - min) / max;
+        if (v < 0.2) return 'black';
+        if (s < 0.15) {
+            if (v > 0.85) return 'white';
+            return v < 0.3 ? 'black' : 'gray';
+        }
+
+        let h = 0;
+        if (max !== min) {
+            if (max === r) h = ((g - b) / (max - min)) % 6;
+            else if (max === g) h = (b - r) / (max - min) + 2;
+            else h = (r - g) / (max - min) + 4;
+            h = (h * 60 + 360) % 360;
+        }
+
+        if (s < 0.35 && v > 0.6 && h >= 20 && h < 60) return 'beige';
+        if (h < 15 || h >= 345) return s < 0.5 && v > 0.75 ? 'pink' : 'red';
+        if (h < 45) {
+            // Cam thật phải rực — camel / nâu bò / be nằm cùng dải hue nhưng nhạt hoặc tối hơn
+            if (s >= 0.6 && v >= 0.7) return 'orange';
+            return s < 0.45 && v > 0.7 ? 'beige' : 'brown';
+        }
+        if (h < 70) {
+            if (v >= 0.55) return 'yellow';
+            return h < 55 ? 'brown' : 'green'; // vàng tối: mù tạt / nâu vàng → nâu, ô liu → xanh lá
+        }
+        if (h < 170) return 'green';
+        if (h < 255) return v < 0.55 ? 'navy' : 'blue';
+        if (h < 290) return 'purple';
+        return v < 0.55 ? 'purple' : 'pink';
+    }
+
+    /** Mask nền (1 = nền): loang BFS từ mọi pixel viền qua pixel gần giống, pixel trong suốt luôn là nền */
+    function backgroundMask(data, width, height) {
+        const total = width * height;
+        const mask = new Uint8Array(total);
+        const seedOf = new Int32Array(total).fill(-1);
+        const queue = new Int32Array(total);
+        let head = 0;
+        let tail = 0;
+
+        for (let i = 0; i < total; i++) {
+            if (data[i * 4 + 3] < 128) mask[i] = 1;
+        }
+        const pushSeed = (index) => {
+            if (seedOf[index] !== -1) return;
+            seedOf[index] = index;
+            mask[index] = 1;
+            queue[tail++] = index;
+        };
+        for (let x = 0; x < width; x++) {
+            pushSeed(x);
+            pushSeed((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            pushSeed(y * width);
+            pushSeed(y * width + width - 1);
+        }
+
+        while (head < tail) {
+            const index = queue[head++];
+            const x = index % width;
+            const y = (index - x) / width;
+            const neighbours = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                y > 0 ? index - width : -1,
+                y < height - 1 ? index + width : -1,
+            ];
+            for (const next of neighbours) {
+                if (next < 0 || seedOf[next] !== -1) continue;
+                const transparent = data[next * 4 + 3] < 128;
+                if (!transparent && (rgbDistance(data, index, next) > BACKGROUND_STEP
+                    || rgbDistance(data, seedOf[index], next) > BACKGROUND_SEED_DISTANCE)) continue;
+                seedOf[next] = seedOf[index];
+                mask[next] = 1;
+                queue[tail++] = next;
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Sọc / ô trắng chạm nền trắng bị loang thành nền — lấp lại khoảng nền ngắn kẹp giữa 2 đoạn quần áo
+     * theo hàng và theo cột (khoảng hở dài như giữa 2 ống quần thì giữ là nền)
+     */
+    function fillEnclosedGaps(foreground, width, height) {
+        const filled = foreground.slice();
+        const fillRuns = (length, lineCount, indexOf, maxGap) => {
+            for (let line = 0; line < lineCount; line++) {
+                let lastForeground = -1;
+                for (let i = 0; i < length; i++) {
+                    if (!foreground[indexOf(line, i)]) continue;
+                    const gap = i - lastForeground - 1;
+                    if (lastForeground >= 0 && gap > 0 && gap <= maxGap) {
+                        for (let j = lastForeground + 1; j < i; j++) filled[indexOf(line, j)] = 1;
+                    }
+                    lastForeground = i;
+                }
+            }
+        };
+        fillRuns(width, height, (y, x) => y * width + x, Math.round(width * MAX_GAP_SHARE));
+        fillRuns(height, width, (x, y) => y * width + x, Math.round(height * MAX_GAP_SHARE));
+        return filled;
+    }
+
+    function countMask(mask) {
+        let count = 0;
+        for (let i = 0; i < mask.length; i++) count += mask[i];
+        return count;
+    }
+
+    /**
+     * Màu chủ đạo: gom pixel thành cụm màu (histogram 16 mức / kênh, bucket nhiều pixel nhất làm tâm trước),
+     * đặt tên theo màu trung bình của cụm — một màu nằm sát ranh giới 2 tên (denim navy / blue) không bị tách đôi
+     */
+    function extractColors(data, foreground) {
+        const foregroundCount = countMask(foreground);
+        const buckets = new Map();
+        for (let i = 0; i < foreground.length; i++) {
+            if (!foreground[i]) continue;
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+            const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+            buckets.set(key, bucket);
+        }
+
+        const clusters = [];
+        [...buckets.values()].sort((a, b) => b.count - a.count).forEach(bucket => {
+            const mean = [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+            const cluster = clusters.find(c => Math.hypot(c.r / c.count - mean[0], c.g / c.count - mean[1], c.b / c.count - mean[2]) <= CLUSTER_DISTANCE);
+            if (cluster) {
+                cluster.count += bucket.count;
+                cluster.r += bucket.r;
+                cluster.g += bucket.g;
+                cluster.b += bucket.b;
+            } else {
+                clusters.push({ ...bucket });
+            }
+        });
+
+        const groups = new Map();
+        clusters.forEach(cluster => {
+            const name = classifyColor(cluster.r / cluster.count, cluster.g / cluster.count, cluster.b / cluster.count);
+            const group = groups.get(name) || { count: 0, r: 0, g: 0, b: 0 };
+            group.count += cluster.count;
+            group.r += cluster.r;
+            group.g += cluster.g;
+            group.b += cluster.b;
+            groups.set(name, group);
+        });
+        const toHex = value => Math.round(value).toString(16).padStart(2, '0');
+        return [...groups.entries()]
+            .map(([name, group]) => ({
+                name,
+                hex: `#${toHex(group.r / group.count)}${toHex(group.g / group.count)}${toHex(group.b / group.count)}`,
+                share: group.count / foregroundCount,
+            }))
+            .sort((a, b) => b.share - a.share);
+    }
+
+    /** Tỉ lệ cạnh nằm trên "đường kẻ" — hàng (hoặc cột) mà phần lớn cặp pixel là cạnh */
+    function lineAlignment(edgesPerLine, pairsPerLine, totalEdges) {
+        if (totalEdges === 0) return 0;
+        let onLines = 0;
+        for (let i = 0; i < edgesPerLine.length; i++) {
+            if (pairsPerLine[i] > 0 && edgesPerLine[i] / pairsPerLine[i] >= LINE_FILL) onLines += edgesPerLine[i];
+        }
+        return onLines / totalEdges;
+    }
+
+    function classifyPattern(data, width, height, foreground, colors) {
+        // edgesAlongX: màu đổi theo chiều ngang (đường kẻ dọc), edgesAlongY: đổi theo chiều dọc (đường kẻ ngang)
+        const colEdges = new Float64Array(width);
+        const colPairs = new Float64Array(width);
+        const rowEdges = new Float64Array(height);
+        const rowPairs = new Float64Array(height);
+        const cellEdges = new Float64Array(GRID_CELLS * GRID_CELLS);
+        const cellPairs = new Float64Array(GRID_CELLS * GRID_CELLS);
+        let edgesAlongX = 0;
+        let edgesAlongY = 0;
+        let pairs = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (!foreground[index]) continue;
+                const cell = Math.floor((y * GRID_CELLS) / height) * GRID_CELLS + Math.floor((x * GRID_CELLS) / width);
+                if (x < width - 1 && foreground[index + 1]) {
+                    const edge = rgbDistance(data, index, index + 1) > EDGE_DISTANCE ? 1 : 0;
+                    pairs++;
+                    colPairs[x]++;
+                    cellPairs[cell]++;
+                    edgesAlongX += edge;
+                    colEdges[x] += edge;
+                    cellEdges[cell] += edge;
+                }
+                if (y < height - 1 && foreground[index + width]) {
+                    const edge = rgbDistance(data, index, index + width) > EDGE_DISTANCE ? 1 : 0;
+                    pairs++;
+                    rowPairs[y]++;
+                    cellPairs[cell]++;
+                    edgesAlongY += edge;
+                    rowEdges[y] += edge;
+                    cellEdges[cell] += edge;
+                }
+            }
+        }
+
+        const totalEdges = edgesAlongX + edgesAlongY;
+        if (pairs === 0 || totalEdges / pairs < SOLID_EDGE_DENSITY) return 'solid';
+
+        const horizontalLines = lineAlignment(rowEdges, rowPairs, edgesAlongY);
+        const verticalLines = lineAlignment(colEdges, colPairs, edgesAlongX);
+        const horizontalShare = edgesAlongY / totalEdges;
+        if ((horizontalShare >= 0.75 && horizontalLines >= 0.6) || (horizontalShare <= 0.25 && verticalLines >= 0.6)) {
+            return 'striped';
+        }
+        if (horizontalShare > 0.25 && horizontalShare < 0.75 && horizontalLines >= 0.5 && verticalLines >= 0.5) {
+            return 'checked';
+        }
+
+        // Hoạ tiết phủ khắp áo (không chỉ một hình in giữa ngực) + ≥ 2 sắc màu → hoa
+        let filledCells = 0;
+        let coveredCells = 0;
+        for (let i = 0; i < cellPairs.length; i++) {
+            if (cellPairs[i] < 8) continue;
+            filledCells++;
+            if (cellEdges[i] / cellPairs[i] >= SOLID_EDGE_DENSITY) coveredCells++;
+        }
+        const allOver = filledCells > 0 && coveredCells / filledCells >= 0.6;
+        const hues = colors.filter(color => !NEUTRALS.has(color.name) && color.share >= 0.06).length;
+        return allOver && hues >= 2 ? 'floral' : 'printed';
+    }
+
+    /**
+     * analyzePixels — Màu chủ đạo + hoạ tiết từ ImageData đã thu nhỏ (~96px)
+     * Input: rgba (Uint8ClampedArray / mảng, 4 giá trị mỗi pixel), width, height
+     */
+    function analyzePixels(rgba, width, height) {
+        const total = width * height;
+        const background = backgroundMask(rgba, width, height);
+        let garment = new Uint8Array(total);
+        for (let i = 0; i < total; i++) {
+            if (!background[i]) garment[i] = 1;
+        }
+        let filled = fillEnclosedGaps(garment, width, height);
+        if (countMask(filled) < total * MIN_FOREGROUND_SHARE) {
+            garment = new Uint8Array(total);
+            for (let i = 0; i < total; i++) {
+                if (rgba[i * 4 + 3] >= 128) garment[i] = 1;
+            }
+            filled = garment;
+        }
+        if (countMask(filled) === 0) return { colors: [], pattern: null };
+
+        const pattern = classifyPattern(rgba, width, height, filled, extractColors(rgba, filled));
+        // Khoảng được lấp chỉ là quần áo khi có sọc / caro — còn lại (khe giữa 2 ống quần) vẫn tính là nền
+        const colorMask = pattern === 'striped' || pattern === 'checked' ? filled : garment;
+        const colors = extractColors(rgba, colorMask)
+            .filter((color, index) => index === 0 || color.share >= MIN_COLOR_SHARE)
+            .slice(0, MAX_COLORS)
+            .map(color => ({ ...color, share: Math.round(color.share * 100) / 100 }));
+        return { colors, pattern };
+    }
+
+    /** Item khớp bộ lọc màu / hoạ tiết — không lọc thì luôn khớp; item chưa phân tích không khớp bộ lọc nào */
+    function matchesAttributes(item, { color = null, pattern = null } = {}) {
+        if (color && !(item.colors || []).some(entry => entry.name === color)) return false;
+        if (pattern && item.pattern !== pattern) return false;
+        return true;
+    }
+
+    function getColorHex(name) {
+        return COLORS.find(color => color.name === name)?.hex || '#cccccc';
+    }
+
+    global.FitlyGarmentColors = {
+        COLORS,
+        PATTERNS,
+        classifyColor,
+        analyzePixels,
+        matchesAttributes,
+        getColorHex,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
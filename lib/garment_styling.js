@@ -0,0 +1,172 @@
+/**
+ * File: garment_styling.js
+ * Purpose: Cách mặc từng món (sơ vin, mở / cài áo khoác, xắn tay áo, cổ áo) + thứ tự lớp do user chọn cho try-on
+ *          nhiều món — sidebar (modal cách mặc, payload clothing_images) và service worker (process_tryon.js)
+ *          chuẩn hoá giống nhau trước khi gửi process-tryon
+ * Layer: Shared Utility
+ *
+ * Data Contract:
+ * - Exports: global FitlyGarmentStyling { OPTIONS, DEFAULT_LAYER_ORDER, optionsFor, normalizeStyling,
+ *   hasStyling, layerOrder, withLayers, hasCustomLayers, normalizeLayers, prepareClothingImages, stylingSignature,
+ *   snapshotStyling, applyStyling }
+ * - Styling: { tuck?: 'in' | 'half' | 'out', front?: 'open' | 'closed', sleeves?: 'rolled' | 'down',
+ *   collar?: 'up' | 'down' | 'open' } — field không có = để AI tự suy (như trước)
+ * - Layer: item.layer số nguyên, 1 = sát người nhất; khớp z_layer của process-tryon (resolveLayerOrder)
+ *
+ * Flow:
+ * 1. Modal cách mặc → optionsFor(category) quyết định ô chọn nào hiện cho món đó
+ * 2. Đổi thứ tự lớp → withLayers(danh sách đã sắp) gán layer 1..n cho mọi món
+ * 3. Gửi try-on → prepareClothingImages (sidebar dựng payload, background kiểm lại trước khi gọi process-tryon)
+ * 4. snapshotStyling lưu kèm kết quả → Regenerate dùng applyStyling để mặc y như cũ
+ *
+ * Edge Cases:
+ * - Giá trị lạ / option không hợp category (sơ vin cho giày) → bỏ, không gửi lên server
+ * - Món thêm sau khi đã sắp lớp chưa có layer → xếp theo DEFAULT_LAYER_ORDER giữa các món đã sắp
+ * - Không món nào có layer → không gửi layer, server giữ thứ tự mặc định
+ */
+
+(function (global) {
+
+    const OPTIONS = {
+        tuck: ['in', 'half', 'out'],
+        front: ['open', 'closed'],
+        sleeves: ['rolled', 'down'],
+        collar: ['up', 'down', 'open'],
+    };
+
+    const CATEGORY_OPTIONS = {
+        top: ['tuck', 'front', 'sleeves', 'collar'],
+        outerwear: ['front', 'sleeves', 'collar'],
+        dress: ['sleeves'],
+    };
+
+    // Trong ra ngoài — cùng thứ tự Z_LAYER_MAP của process-tryon
+    const DEFAULT_LAYER_ORDER = ['bottom', 'top', 'dress', 'outerwear', 'shoes', 'accessories'];
+
+    function optionsFor(category) {
+        return CATEGORY_OPTIONS[category] || [];
+    }
+
+    /** Chỉ giữ option hợp category với giá trị hợp lệ; null khi không còn gì */
+    function normalizeStyling(category, styling) {
+        if (!styling || typeof styling !== 'object') return null;
+        const normalized = {};
+        for (const option of optionsFor(category)) {
+            if (OPTIONS[option].includes(styling[option])) normalized[option] = styling[option];
+        }
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    function hasStyling(items) {
+        return (items || []).some(item => normalizeStyling(item.category, item.styling));
+    }
+
+    function defaultLayer(item) {
+        const rank = DEFAULT_LAYER_ORDER.indexOf(item?.category);
+        return rank === -1 ? DEFAULT_LAYER_ORDER.length : rank + 1;
+    }
+
+    function layerKey(item) {
+        return Number.isInteger(item?.layer) && item.layer > 0 ? item.layer : defaultLayer(item);
+    }
+
+    /** Bản sắp theo lớp (trong ra ngoài), không sửa mảng gốc; cùng lớp giữ thứ tự cũ */
+    function layerOrder(items) {
+        return [...(items || [])].sort((a, b) => layerKey(a) - layerKey(b));
+    }
+
+    /** Danh sách đã sắp → item mới với layer 1..n */
+    function withLayers(orderedItems) {
+        return orderedItems.map((item, index) => ({ ...item, layer: index + 1 }));
+    }
+
+    function hasCustomLayers(items) {
+        return (items || []).some(item => Number.isInteger(item?.layer));
+    }
+
+    /**
+     * Map imageUrl → layer 1..n khi user đã sắp lớp, null khi chưa (server tự xếp).
+     * Giữ nguyên thứ tự items — món đầu vẫn là món chính của try-on.
+     */
+    function normalizeLayers(items) {
+        if (!hasCustomLayers(items)) return null;
+        const layers = new Map();
+        withLayers(layerOrder(items)).forEach(item => layers.set(item.imageUrl, item.layer));
+        return layers;
+    }
+
+    /**
+     * prepareClothingImages — clothing_images (shape process-tryon: { image, category, styling?, layer? })
+     * → styling đã chuẩn hoá, layer 1..n khi user đã sắp lớp; field không hợp lệ bị bỏ hẳn
+     */
+    function prepareClothingImages(clothingImages) {
+        const layers = normalizeLayers((clothingImages || []).map(item => ({ imageUrl: item.image, category: item.category, layer: item.layer })));
+        return (clothingImages || []).map(({ styling, layer, ...item }) => {
+            const normalized = normalizeStyling(item.category, styling);
+            if (normalized) item.styling = normalized;
+            if (layers) item.layer = layers.get(item.image);
+            return item;
+        });
+    }
+
+    /**
+     * stylingSignature — Chữ ký cách mặc / lớp của clothing_images đã chuẩn hoá, khớp sanitizeClothingStyling
+     * của process-tryon (phần thêm vào cache key); '' khi không có gì
+     */
+    function stylingSignature(clothingImages) {
+        const entries = (clothingImages || []).map(item => [
+            Number.isInteger(item.layer) && item.layer > 0 && item.layer <= 10 ? item.layer : null,
+            normalizeStyling(item.category, item.styling),
+        ]);
+        return entries.some(([layer, styling]) => layer || styling) ? JSON.stringify(entries) : '';
+    }
+
+    /**
+     * snapshotStyling — Cách mặc + lớp của các món đã gửi try-on, lưu cùng kết quả để Regenerate mặc y như cũ
+     * Output: [{ imageUrl, category, styling, layer }] cùng thứ tự items (data URL → imageUrl null), null khi không chỉnh gì
+     */
+    function snapshotStyling(items) {
+        if (!hasStyling(items) && !hasCustomLayers(items)) return null;
+        return items.map(item => ({
+            imageUrl: typeof item.imageUrl === 'string' && !item.imageUrl.startsWith('data:') ? item.imageUrl : null,
+            category: item.category || null,
+            styling: normalizeStyling(item.category, item.styling),
+            layer: Number.isInteger(item.layer) ? item.layer : null,
+        }));
+    }
+
+    /**
+     * applyStyling — Gán lại styling / layer từ snapshot cho items (khớp imageUrl, không có thì cùng vị trí + category)
+     * Output: mảng item mới; món không khớp snapshot giữ nguyên
+     */
+    function applyStyling(items, snapshot) {
+        if (!Array.isArray(snapshot) || snapshot.length === 0) return items;
+        return items.map((item, index) => {
+            const saved = snapshot.find(entry => entry.imageUrl && entry.imageUrl === item.imageUrl)
+                || (snapshot[index] && !snapshot[index].imageUrl && snapshot[index].category === item.category ? snapshot[index] : null);
+            if (!saved) return item;
+            const { styling, layer, ...rest } = item;
+            return {
+                ...rest,
+                ...(saved.styling ? { styling: saved.styling } : {}),
+                ...(Number.isInteger(saved.layer) ? { layer: saved.layer } : {}),
+            };
+        });
+    }
+
+    global.FitlyGarmentStyling = {
+        OPTIONS,
+        DEFAULT_LAYER_ORDER,
+        optionsFor,
+        normalizeStyling,
+        hasStyling,
+        layerOrder,
+        withLayers,
+        hasCustomLayers,
+        normalizeLayers,
+        prepareClothingImages,
+        stylingSignature,
+        snapshotStyling,
+        applyStyling,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -0,0 +1,224 @@
+/**
+ * File: garment_taxonomy.js
+ * Purpose: Phân loại quần áo 2 cấp (category → subcategory) dùng chung cho sidebar, service worker và payload thử đồ —
+ *          icon, key nhãn đa ngôn ngữ, từ khoá nhận diện subcategory, chuẩn hoá category cũ
+ * Layer: Shared Logic
+ *
+ * Data Contract:
+ * - Exports: global FitlyGarmentTaxonomy { TAXONOMY_VERSION, CATEGORIES, getSubcategories, isValidCategory,
+ *   isValidSubcategory, findSubcategory, normalizeCategory, getCategoryIcon, getCategoryLabelKey }
+ * - TAXONOMY: { category: { icon, subcategories: { id: { icon, keywords[] } } } }
+ *   id subcategory trùng token mà process-tryon dùng để đoán cách mặc (shirt / trousers → sơ vin, coat → cài khuy)
+ * - Nhãn: t('category.<category>'), t('subcategory.<id>') trong lib/locales/*.js
+ *
+ * Flow:
+ * 1. infer_clothing_category_from_url.js: category đã xếp hạng → findSubcategory trên tên / alt / URL
+ * 2. Modal thêm vào tủ đồ / tab tủ đồ: getSubcategories → chip subcategory
+ * 3. migrate_garment_taxonomy.js: normalizeCategory cho item lưu trước khi có subcategory
+ *
+ * Edge Cases:
+ * - Category cũ là tên subcategory ('jeans', 'sneakers') → normalizeCategory đưa về category cha
+ * - Category không nhận ra → 'other'; subcategory không thuộc category → đoán lại từ tên, không có thì null
+ * - Cụm dài khớp trước ("t-shirt" không bị tính là "shirt", "down jacket" là puffer, không phải jacket)
+ */
+
+(function (global) {
+
+    const TAXONOMY_VERSION = 1;
+
+    const TAXONOMY = {
+        top: {
+            icon: '👕',
+            subcategories: {
+                't-shirt': { icon: '👕', keywords: ['t-shirt', 'tshirt', 'tee', 'áo thun', 'áo phông', 'ao thun', 'ao phong', 'tシャツ', 'カットソー', '티셔츠', 't恤', 'เสื้อยืด', 'kaos', 'camiseta', 'tee-shirt'] },
+                shirt: { icon: '👔', keywords: ['shirt', 'button-down', 'áo sơ mi', 'ao so mi', 'シャツ', '셔츠', '衬衫', '衬衣', 'เสื้อเชิ้ต', 'kemeja', 'camisa', 'chemise'] },
+                blouse: { icon: '👚', keywords: ['blouse', 'áo kiểu', 'ao kieu', 'ブラウス', '블라우스', '雪纺衫', 'เสื้อเบลาส์', 'blus', 'blusa', 'chemisier'] },
+                knit: { icon: '🧶', keywords: ['knit', 'sweater', 'jumper', 'pullover', 'turtleneck', 'áo len', 'ao len', 'ニット', 'セーター', '니트', '스웨터', '毛衣', '针织衫', 'sweter', 'suéter', 'jersey', 'pull'] },
+                polo: { icon: '🏌️', keywords: ['polo', 'ポロシャツ', '폴로', 'polo衫'] },
+                'tank-top': { icon: '🎽', keywords: ['tank top', 'camisole', 'áo ba lỗ', 'áo hai dây', 'タンクトップ', '나시', '背心', '吊带', 'เสื้อกล้าม', 'débardeur'] },
+            },
+        },
+        bottom: {
+            icon: '👖',
+            subcategories: {
+                jeans: { icon: '👖', keywords: ['jean', 'denim', 'quần jean', 'quan jean', 'ジーンズ', 'デニム', '청바지', '牛仔裤', 'ยีนส์', 'jins', 'vaqueros'] },
+                trousers: { icon: '👖', keywords: ['trouser', 'pant', 'slacks', 'chino', 'quần tây', 'quần âu', 'quan tay', 'スラックス', '슬랙스', '西裤', 'celana panjang', 'pantalón', 'pantalon'] },
+                skirt: { icon: '🩱', keywords: ['skirt', 'chân váy', 'chan vay', 'スカート', '스커트', '치마', '半身裙', '短裙', 'กระโปรง', 'rok', 'falda', 'jupe'] },
+                shorts: { icon: '🩳', keywords: ['shorts', 'quần short', 'quần đùi', 'quan short', 'ショートパンツ', '반바지', '短裤', 'กางเกงขาสั้น', 'celana pendek', 'bermuda'] },
+                leggings: { icon: '🧘', keywords: ['legging', 'jogger', 'sweatpant', 'quần legging', 'レギンス', '레깅스', '打底裤', 'เลกกิ้ง'] },
+            },
+        },
+        dress: {
+            icon: '👗',
+            subcategories: {
+                'mini-dress': { icon: '👗', keywords: ['mini', 'váy ngắn', 'đầm ngắn', 'ミニ', '미니', '短裙装', 'minifalda'] },
+                'midi-dress': { icon: '👗', keywords: ['midi', 'ミディ', '미디', '中长裙'] },
+                'maxi-dress': { icon: '👗', keywords: ['maxi', 'gown', 'váy dài', 'đầm dài', 'マキシ', '맥시', '长裙', 'ロングワンピース', 'gaun'] },
+                jumpsuit: { icon: '🧍', keywords: ['jumpsuit', 'romper', 'playsuit', 'overalls', 'áo liền quần', 'サロペット', 'オールインワン', '점프수트', '连体裤', 'จั๊มสูท', 'mono', 'combinaison'] },
+            },
+        },
+        outerwear: {
+            icon: '🧥',
+            subcategories: {
+                jacket: { icon: '🧥', keywords: ['jacket', 'bomber', 'windbreaker', 'áo khoác', 'ao khoac', 'áo gió', 'ジャケット', 'ブルゾン', '자켓', '재킷', '점퍼', '夹克', 'แจ็คเก็ต', 'jaket', 'chaqueta', 'cazadora', 'veste', 'blouson'] },
+                blazer: { icon: '🕴️', keywords: ['blazer', 'suit jacket', 'áo vest', 'ao vest', 'テーラードジャケット', '블레이저', '西装外套', 'americana'] },
+                coat: { icon: '🧥', keywords: ['coat', 'trench', 'overcoat', 'parka', 'áo măng tô', 'áo dạ', 'コート', '코트', '大衣', '风衣', 'โค้ท', 'mantel', 'abrigo', 'manteau'] },
+                cardigan: { icon: '🧶', keywords: ['cardigan', 'カーディガン', '가디건', '开衫', 'kardigan', 'rebeca', 'gilet'] },
+                hoodie: { icon: '🧥', keywords: ['hoodie', 'sweatshirt', 'áo nỉ', 'パーカー', '후드', '맨투맨', '卫衣', 'ฮู้ด', 'sudadera', 'sweat'] },
+                puffer: { icon: '🧥', keywords: ['puffer', 'down jacket', 'áo phao', 'ao phao', 'ダウン', '패딩', '羽绒服', 'เสื้อขนเป็ด', 'doudoune'] },
+            },
+        },
+        shoes: {
+            icon: '👟',
+            subcategories: {
+                sneakers: { icon: '👟', keywords: ['sneaker', 'trainer', 'giày thể thao', 'スニーカー', '스니커즈', '운동화', '运动鞋', 'รองเท้าผ้าใบ', 'zapatilla', 'baskets'] },
+                heels: { icon: '👠', keywords: ['heel', 'pump', 'stiletto', 'giày cao gót', 'ヒール', 'パンプス', '하이힐', '高跟鞋', 'รองเท้าส้นสูง', 'tacón', 'tacones', 'escarpin', 'talon'] },
+                boots: { icon: '👢', keywords: ['boot', 'bốt', 'ブーツ', '부츠', '靴子', 'รองเท้าบูท', 'bota', 'botte', 'bottine'] },
+                sandals: { icon: '🩴', keywords: ['sandal', 'slide', 'flip flop', 'dép', 'サンダル', '샌들', '凉鞋', '拖鞋', 'รองเท้าแตะ', 'sendal', 'sandalia', 'sandale'] },
+                loafers: { icon: '👞', keywords: ['loafer', 'moccasin', 'oxford', 'giày lười', 'ローファー', '로퍼', '乐福鞋', 'mocassin'] },
+                flats: { icon: '🥿', keywords: ['ballet flat', 'ballerina', 'giày búp bê', 'バレエシューズ', '플랫슈즈', '平底鞋', 'bailarina', 'ballerine'] },
+            },
+        },
+        accessories: {
+            icon: '👜',
+            subcategories: {
+                bag: { icon: '👜', keywords: ['bag', 'handbag', 'tote', 'clutch', 'backpack', 'purse', 'túi', 'balo', 'バッグ', 'リュック', '가방', '백팩', '包包', '手提包', '背包', 'กระเป๋า', 'tas', 'bolso', 'mochila', 'sac'] },
+                hat: { icon: '🧢', keywords: ['hat', 'cap', 'beanie', 'mũ', 'nón', '帽子', 'キャップ', 'ハット', '모자', 'หมวก', 'topi', 'gorra', 'sombrero', 'chapeau', 'casquette'] },
+                belt: { icon: '🪢', keywords: ['belt', 'thắt lưng', 'that lung', 'dây nịt', 'ベルト', '벨트', '腰带', '皮带', 'เข็มขัด', 'ikat pinggang', 'cinturón', 'ceinture'] },
+                scarf: { icon: '🧣', keywords: ['scarf', 'khăn', 'マフラー', 'ストール', '스카프', '목도리', '围巾', 'ผ้าพันคอ', 'syal', 'bufanda', 'écharpe', 'foulard'] },
+                jewelry: { icon: '💍', keywords: ['jewelry', 'jewellery', 'necklace', 'bracelet', 'ring', 'earring', 'vòng cổ', 'vòng tay', 'nhẫn', 'bông tai', 'ネックレス', 'ピアス', '목걸이', '귀걸이', '项链', '耳环', 'สร้อยคอ', 'kalung', 'anting', 'pulsera', 'collier', 'bague'] },
+                eyewear: { icon: '🕶️', keywords: ['sunglasses', 'eyeglasses', 'kính mát', 'サングラス', '선글라스', '墨镜', '太阳镜', 'แว่นตา', 'kacamata', 'gafas', 'lunettes'] },
+                watch: { icon: '⌚', keywords: ['watch', 'đồng hồ', '腕時計', '시계', '手表', 'นาฬิกา', 'jam tangan', 'reloj', 'montre'] },
+            },
+        },
+        other: {
+            icon: '📦',
+            subcategories: {},
+        },
+    };
+
+    const CATEGORIES = Object.keys(TAXONOMY);
+
+    // =====================================================
+    // KEYWORD MATCHING
+    // =====================================================
+
+    /** Chữ không dùng khoảng trắng giữa các từ — so chuỗi con thay vì ranh giới từ */
+    const UNSPACED_SCRIPT = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/;
+
+    function normalizeText(text) {
+        let value = String(text || '');
+        try {
+            value = decodeURIComponent(value);
+        } catch (e) {
+            // URL có % lẻ — giữ nguyên
+        }
+        return value.normalize('NFC').toLowerCase().replace(/[-_/.+?=&#%|>,;:()[\]]+/g, ' ');
+    }
+
+    function buildMatcher(keyword) {
+        const word = normalizeText(keyword).trim();
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const source = UNSPACED_SCRIPT.test(word)
+            ? escaped
+            : `(?<![\\p{L}\\p{N}])${escaped}(?:s|es)?(?![\\p{L}\\p{N}])`;
+        return { word, regex: new RegExp(source, 'u') };
+    }
+
+    /** category → [{ subcategory, word, regex }] sắp cụm dài trước — cụm dài khớp thì không xét cụm ngắn nằm trong nó */
+    const MATCHERS = {};
+    CATEGORIES.forEach(category => {
+        const list = [];
+        Object.entries(TAXONOMY[category].subcategories).forEach(([subcategory, { keywords }]) => {
+            keywords.forEach(keyword => list.push({ subcategory, ...buildMatcher(keyword) }));
+        });
+        MATCHERS[category] = list.sort((a, b) => b.word.length - a.word.length);
+    });
+
+    /**
+     * findSubcategory — Subcategory đầu tiên khớp trong các đoạn chữ (ưu tiên theo thứ tự đoạn)
+     * Input: category, ...texts (tên sản phẩm, alt, URL...)
+     * Output: id subcategory | null
+     */
+    function findSubcategory(category, ...texts) {
+        const matchers = MATCHERS[category];
+        if (!matchers?.length) return null;
+        for (const text of texts) {
+            const normalized = normalizeText(text);
+            if (!normalized.trim()) continue;
+            const match = matchers.find(({ regex }) => regex.test(normalized));
+            if (match) return match.subcategory;
+        }
+        return null;
+    }
+
+    // =====================================================
+    // VALIDATION / NORMALIZATION
+    // =====================================================
+
+    function isValidCategory(category) {
+        return CATEGORIES.includes(category);
+    }
+
+    function getSubcategories(category) {
+        return Object.keys(TAXONOMY[category]?.subcategories || {});
+    }
+
+    /** subcategory rỗng luôn hợp lệ — subcategory là tuỳ chọn */
+    function isValidSubcategory(category, subcategory) {
+        if (!subcategory) return true;
+        return getSubcategories(category).includes(subcategory);
+    }
+
+    /**
+     * normalizeCategory — { category, subcategory } hợp lệ từ dữ liệu cũ / input tự do
+     * Input: category (có thể là tên subcategory cũ như 'jeans'), subcategory, text để đoán subcategory (tên item)
+     * Output: { category: string | null, subcategory: string | null }
+     */
+    function normalizeCategory(category, subcategory = null, text = '') {
+        const raw = String(category || '').trim().toLowerCase();
+        if (!raw) return { category: null, subcategory: null };
+
+        if (!isValidCategory(raw)) {
+            // 'outfit' xử lý riêng (lưu vào saved_outfits) — không phải quần áo
+            if (raw === 'outfit') return { category: raw, subcategory: null };
+            for (const parent of CATEGORIES) {
+                if (getSubcategories(parent).includes(raw)) return { category: parent, subcategory: raw };
+                const sub = findSubcategory(parent, raw);
+                if (sub) return { category: parent, subcategory: sub };
+            }
+            return { category: 'other', subcategory: null };
+        }
+
+        const sub = String(subcategory || '').trim().toLowerCase();
+        if (sub && isValidSubcategory(raw, sub)) return { category: raw, subcategory: sub };
+        return { category: raw, subcategory: findSubcategory(raw, text) };
+    }
+
+    // =====================================================
+    // DISPLAY
+    // =====================================================
+
+    function getCategoryIcon(category, subcategory = null) {
+        const node = TAXONOMY[category];
+        return node?.subcategories[subcategory]?.icon || node?.icon || '📦';
+    }
+
+    /** Key nhãn cho t() — subcategory cụ thể hơn thì dùng subcategory */
+    function getCategoryLabelKey(category, subcategory = null) {
+        if (subcategory && isValidSubcategory(category, subcategory)) return `subcategory.${subcategory}`;
+        return `category.${category}`;
+    }
+
+    global.FitlyGarmentTaxonomy = {
+        TAXONOMY_VERSION,
+        CATEGORIES,
+        getSubcategories,
+        isValidCategory,
+        isValidSubcategory,
+        findSubcategory,
+        normalizeCategory,
+        getCategoryIcon,
+        getCategoryLabelKey,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
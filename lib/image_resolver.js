@@ -0,0 +1,302 @@
+/**
+ * File: image_resolver.js
+ * Purpose: Chọn URL ảnh độ phân giải cao nhất cho 1 element ảnh — try-on cần ảnh quần áo đủ nét,
+ *          currentSrc / src thường chỉ là thumbnail
+ * Layer: Shared Utility
+ *
+ * Data Contract:
+ * - Exports: global FitlyImageResolver { resolveBestImageUrl, getImageCandidates, parseSrcset, upgradeCdnUrl }
+ * - Candidate: { url, width, source } — width là bề ngang ước lượng (px), source = thuộc tính lấy ra URL
+ *
+ * Flow:
+ * 1. Gom ứng viên: thuộc tính zoom (data-zoom-image, data-large...), srcset / data-srcset,
+ *    <source> của <picture>, data-src / data-original (lazy load), <a href> trỏ tới file ảnh,
+ *    currentSrc / src, background-image
+ * 2. Ước lượng bề ngang: descriptor 'w' > descriptor 'x' × bề ngang hiển thị > tham số size trên URL CDN
+ *    > naturalWidth — thuộc tính zoom không có số đo → coi là ZOOM_WIDTH_HINT
+ * 3. Bỏ ứng viên không dùng được (placeholder, spinner, svg, data: URI nhỏ), lấy ứng viên rộng nhất
+ * 4. upgradeCdnUrl: Shopify / Cloudinary / imgix → xin bản MAX_CDN_WIDTH thay vì thumbnail
+ *
+ * Edge Cases:
+ * - <source media="..."> không khớp viewport (ảnh crop cho mobile) → bỏ qua
+ * - URL tương đối / protocol-relative → đổi sang absolute theo document.baseURI
+ * - Ảnh gốc nhỏ hơn MAX_CDN_WIDTH → CDN tự trả về ảnh gốc (không phóng to)
+ */
+
+(function (global) {
+
+    /** Bề ngang xin từ CDN — đủ nét cho try-on, không tải ảnh gốc hàng chục MB */
+    const MAX_CDN_WIDTH = 2048;
+
+    /** Thuộc tính zoom / lightbox không ghi kích thước — thường là ảnh lớn nhất trang có */
+    const ZOOM_WIDTH_HINT = 1600;
+
+    const ZOOM_ATTRIBUTES = [
+        'data-zoom-image', 'data-zoom', 'data-zoom-src', 'data-large', 'data-large-image',
+        'data-large_image', 'data-full', 'data-full-image', 'data-hires', 'data-highres',
+        'data-image-zoom',
+    ];
+
+    /** Lazy load — cùng ảnh với src nhưng src còn là placeholder */
+    const LAZY_ATTRIBUTES = ['data-src', 'data-original', 'data-lazy-src', 'data-lazy', 'data-img'];
+
+    const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+
+    const PLACEHOLDER_PATTERN = /placeholder|blank\.|spacer|transparent\.|loading|spinner|lazy[-_]?load|1x1\./i;
+
+    const IMAGE_FILE_PATTERN = /\.(jpe?g|png|webp|avif)(\?|#|$)/i;
+
+    const SHOPIFY_SIZE_SUFFIX = /_(?:\d+x\d*|x\d+|pico|icon|thumb|small|compact|medium|large|grande|1024x1024|2048x2048)(?:_crop_[a-z]+)?(?:@\d+x)?(?=\.(?:jpe?g|png|webp|gif|avif)(?:\?|$))/i;
+
+    // =====================================================
+    // URL HELPERS
+    // =====================================================
+
+    function toAbsoluteUrl(url) {
+        if (!url) return null;
+        const trimmed = url.trim();
+        if (!trimmed || trimmed.startsWith('data:')) return trimmed || null;
+        try {
+            return new URL(trimmed, document.baseURI).href;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function isUsableUrl(url) {
+        if (!url) return false;
+        if (url.startsWith('data:')) {
+            // data: nhỏ là placeholder / icon, svg không phải ảnh chụp quần áo
+            return url.startsWith('data:image/') && !url.startsWith('data:image/svg') && url.length >= 1000;
+        }
+        if (!/^https?:/.test(url)) return false;
+        if (/\.svg(\?|#|$)/i.test(url)) return false;
+        return !PLACEHOLDER_PATTERN.test(url);
+    }
+
+    /**
+     * parseSrcset — "a.jpg 400w, b.jpg 800w" → [{ url, width }] / "a.jpg 1x, b.jpg 2x" → [{ url, density }]
+     * URL đọc tới khoảng trắng → dấu phẩy trong URL (Cloudinary w_400,h_600) không bị tách nhầm
+     */
+    function parseSrcset(srcset) {
+        const entries = [];
+        const length = srcset?.length || 0;
+        let pos = 0;
+
+        while (pos < length) {
+            while (pos < length && /[\s,]/.test(srcset[pos])) pos++;
+            if (pos >= length) break;
+
+            let end = pos;
+            while (end < length && !/\s/.test(srcset[end])) end++;
+            let url = srcset.slice(pos, end);
+            let descriptor = '';
+
+            if (url.endsWith(',')) {
+                url = url.replace(/,+$/, '');
+                pos = end;
+            } else {
+                const comma = srcset.indexOf(',', end);
+                const stop = comma === -1 ? length : comma;
+                descriptor = srcset.slice(end, stop).trim();
+                pos = stop + 1;
+            }
+
+            const match = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/);
+            if (match?.[2] === 'w') entries.push({ url, width: Number(match[1]) });
+            else entries.push({ url, density: match ? Number(match[1]) : 1 });
+        }
+        return entries;
+    }
+
+    /** Bề ngang ghi trên URL CDN (Shopify _400x / ?width=, Cloudinary w_400, imgix ?w=) — null nếu không có */
+    function getCdnWidthHint(url) {
+        try {
+            const parsed = new URL(url);
+            const queryWidth = parsed.searchParams.get('width') || parsed.searchParams.get('w');
+            if (queryWidth && /^\d+$/.test(queryWidth)) return Number(queryWidth);
+
+            const shopify = parsed.pathname.match(/_(\d+)x\d*(?:_crop_[a-z]+)?(?:@(\d)x)?\.[a-z]+$/i);
+            if (shopify) return Number(shopify[1]) * Number(shopify[2] || 1);
+
+            const cloudinary = parsed.pathname.match(/\/upload\/(?:[^/]*,)?w_(\d+)/);
+            if (cloudinary) return Number(cloudinary[1]);
+        } catch (_) {
+            // URL không hợp lệ — không có gợi ý
+        }
+        return null;
+    }
+
+    /**
+     * upgradeCdnUrl — URL thumbnail của CDN ảnh phổ biến → bản rộng MAX_CDN_WIDTH
+     * Input: URL absolute. Output: URL đã nâng cấp (giữ nguyên nếu không nhận ra CDN)
+     */
+    function upgradeCdnUrl(url) {
+        if (!url || !/^https?:/.test(url)) return url;
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (_) {
+            return url;
+        }
+        const host = parsed.hostname;
+
+        // Shopify: cdn.shopify.com/.../ao_400x600.jpg hoặc {shop}/cdn/shop/files/ao.jpg?width=400
+        if (host === 'cdn.shopify.com' || parsed.pathname.startsWith('/cdn/shop/')) {
+            parsed.pathname = parsed.pathname.replace(SHOPIFY_SIZE_SUFFIX, '');
+            if (parsed.searchParams.has('width') || parsed.searchParams.has('height')) {
+                parsed.searchParams.set('width', String(MAX_CDN_WIDTH));
+                parsed.searchParams.delete('height');
+                parsed.searchParams.delete('crop');
+            }
+            return parsed.href;
+        }
+
+        // Cloudinary: /image/upload/c_fill,h_300,w_200/v123/ao.jpg → c_limit,w_2048 (giữ tỉ lệ, không crop)
+        if (host === 'res.cloudinary.com' || host.endsWith('.cloudinary.com')) {
+            const segments = parsed.pathname.split('/');
+            const uploadIndex = segments.indexOf('upload');
+            if (uploadIndex === -1) return url;
+            const sizeParam = /^(w|h|c|dpr)_/;
+            // Chuỗi transformation nằm giữa 'upload' và version (v123) / tên file
+            for (let i = uploadIndex + 1; i < segments.length - 1; i++) {
+                const params = segments[i].split(',');
+                if (!params.every(param => /^[a-z]{1,3}_/.test(param))) break;
+                if (!params.some(param => sizeParam.test(param))) continue;
+                segments[i] = [...params.filter(param => !sizeParam.test(param)), 'c_limit', `w_${MAX_CDN_WIDTH}`].join(',');
+            }
+            parsed.pathname = segments.join('/');
+            return parsed.href;
+        }
+
+        // imgix: *.imgix.net hoặc URL có ixlib= → ?w=2048, bỏ h / dpr / crop cố định
+        if (host.endsWith('.imgix.net') || parsed.searchParams.has('ixlib')) {
+            parsed.searchParams.set('w', String(MAX_CDN_WIDTH));
+            ['h', 'dpr', 'rect', 'crop'].forEach(param => parsed.searchParams.delete(param));
+            if (parsed.searchParams.get('fit') === 'crop') parsed.searchParams.set('fit', 'max');
+            return parsed.href;
+        }
+
+        return url;
+    }
+
+    // =====================================================
+    // CANDIDATES
+    // =====================================================
+
+    function renderedWidth(el) {
+        const rect = el.getBoundingClientRect?.();
+        return rect?.width || el.naturalWidth || el.width || 0;
+    }
+
+    function backgroundImageUrl(el) {
+        try {
+            const bg = window.getComputedStyle(el).backgroundImage;
+            if (!bg || bg === 'none') return null;
+            const match = bg.match(/url\(["']?([^"')]+)["']?\)/);
+            return match ? match[1] : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function mediaMatches(media) {
+        if (!media) return true;
+        try {
+            return window.matchMedia ? window.matchMedia(media).matches : true;
+        } catch (_) {
+            return true;
+        }
+    }
+
+    function addSrcsetCandidates(candidates, srcset, displayWidth, source) {
+        parseSrcset(srcset).forEach(entry => {
+            candidates.push(entry.width
+                ? { url: entry.url, width: entry.width, source, kind: 'exact' }
+                : { url: entry.url, width: entry.density * displayWidth, source, kind: 'estimate' });
+        });
+    }
+
+    /**
+     * getImageCandidates — Mọi URL có thể là ảnh này, kèm bề ngang ước lượng
+     * Input: <img>, <picture>, element có background-image / thuộc tính zoom
+     */
+    function getImageCandidates(el) {
+        if (!el || el.nodeType !== 1) return [];
+        const img = el.tagName === 'PICTURE' ? el.querySelector('img') : el;
+        const displayWidth = renderedWidth(img || el);
+        const candidates = [];
+
+        // Thuộc tính zoom có thể nằm trên ảnh, wrapper hoặc link bao ngoài
+        const zoomHosts = [img, el, img?.closest?.('a, figure, [data-zoom-image], [data-large]')].filter(Boolean);
+        new Set(zoomHosts).forEach(host => {
+            ZOOM_ATTRIBUTES.forEach(attr => {
+                const value = host.getAttribute(attr);
+                if (value) candidates.push({ url: value, width: ZOOM_WIDTH_HINT, source: attr, kind: 'zoom' });
+            });
+            if (host.tagName === 'A' && IMAGE_FILE_PATTERN.test(host.getAttribute('href') || '')) {
+                candidates.push({ url: host.getAttribute('href'), width: ZOOM_WIDTH_HINT, source: 'link', kind: 'zoom' });
+            }
+        });
+
+        if (img?.tagName === 'IMG') {
+            addSrcsetCandidates(candidates, img.getAttribute('srcset'), displayWidth, 'srcset');
+            LAZY_SRCSET_ATTRIBUTES.forEach(attr => addSrcsetCandidates(candidates, img.getAttribute(attr), displayWidth, attr));
+
+            const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+            picture?.querySelectorAll('source').forEach(sourceEl => {
+                if (!mediaMatches(sourceEl.getAttribute('media'))) return;
+                addSrcsetCandidates(candidates, sourceEl.getAttribute('srcset') || sourceEl.getAttribute('data-srcset'), displayWidth, 'picture');
+            });
+
+            const naturalWidth = img.naturalWidth || displayWidth;
+            LAZY_ATTRIBUTES.forEach(attr => {
+                const value = img.getAttribute(attr);
+                if (value) candidates.push({ url: value, width: naturalWidth, source: attr, kind: 'estimate' });
+            });
+            [img.currentSrc, img.getAttribute('src')].forEach(value => {
+                if (value) candidates.push({ url: value, width: naturalWidth, source: 'src', kind: 'estimate' });
+            });
+        } else {
+            LAZY_ATTRIBUTES.forEach(attr => {
+                const value = el.getAttribute(attr);
+                if (value) candidates.push({ url: value, width: displayWidth, source: attr, kind: 'estimate' });
+            });
+            const bg = backgroundImageUrl(el);
+            if (bg) candidates.push({ url: bg, width: displayWidth, source: 'background', kind: 'estimate' });
+        }
+
+        return candidates
+            .map(({ url: rawUrl, width, source, kind }) => {
+                const url = toAbsoluteUrl(rawUrl);
+                const hint = url && !url.startsWith('data:') ? getCdnWidthHint(url) : null;
+                // 'w' trong srcset là số đo thật; zoom có size trên URL thì tin URL;
+                // còn lại (naturalWidth của placeholder, bề ngang hiển thị) chỉ là cận dưới
+                if (kind === 'exact') return { url, width, source };
+                if (kind === 'zoom') return { url, width: hint || width, source };
+                return { url, width: Math.max(width || 0, hint || 0), source };
+            })
+            .filter(candidate => isUsableUrl(candidate.url));
+    }
+
+    /**
+     * resolveBestImageUrl — URL ảnh rộng nhất dùng được, đã nâng cấp qua CDN
+     * Output: string | null
+     */
+    function resolveBestImageUrl(el) {
+        const candidates = getImageCandidates(el);
+        if (candidates.length === 0) return null;
+
+        // sort ổn định → bằng nhau thì giữ thứ tự ưu tiên (zoom > srcset > lazy > src)
+        const best = candidates.slice().sort((a, b) => b.width - a.width)[0];
+        return upgradeCdnUrl(best.url);
+    }
+
+    global.FitlyImageResolver = {
+        MAX_CDN_WIDTH,
+        parseSrcset,
+        upgradeCdnUrl,
+        getImageCandidates,
+        resolveBestImageUrl,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
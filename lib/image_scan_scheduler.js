@@ -0,0 +1,145 @@
+/**
+ * File: image_scan_scheduler.js
+ * Purpose: Phân loại ảnh theo lô và chỉ khi ảnh sắp vào khung nhìn — trang danh mục infinite scroll hàng nghìn
+ *          sản phẩm không bị giật vì getBoundingClientRect / getComputedStyle gọi cho từng ảnh
+ * Layer: Shared Content Infrastructure
+ *
+ * Data Contract:
+ * - Exports: global FitlyImageScanScheduler { createScanScheduler, SCAN_ROOT_MARGIN, SCAN_FRAME_BUDGET_MS }
+ * - createScanScheduler({ process, getKey?, rootMargin?, budgetMs? }) → { add, forget, clear, stats }
+ *   process(el) — phần tốn layout (đo kích thước, chấm điểm ảnh, gắn nút), chạy trong requestIdleCallback
+ *   getKey(el) — khoá rẻ (chỉ đọc thuộc tính, không đọc layout) của nội dung element, vd src
+ *   stats() → { added, processed, queued, slices, longestSliceMs } — benchmark / debug
+ *
+ * Flow:
+ * 1. add(el) → IntersectionObserver với rootMargin — chưa đọc layout của trang
+ * 2. Element sắp vào khung nhìn → bỏ observe, vào hàng đợi
+ * 3. requestIdleCallback → xử lý tới khi hết ngân sách của lượt (budgetMs hoặc timeRemaining), còn thì hẹn lượt sau
+ * 4. Ghi khoá đã xử lý theo element — quét lại / MutationObserver gặp lại element cũ cùng khoá thì bỏ qua
+ *
+ * Edge Cases:
+ * - Không có IntersectionObserver (jsdom) → vào hàng đợi ngay, vẫn xử lý theo lô
+ * - Không có requestIdleCallback → setTimeout với ngân sách cố định
+ * - Trang bận liên tục → timeout của requestIdleCallback buộc lượt vẫn chạy, mỗi lượt xử lý ít nhất 1 element
+ * - Element bị trang gỡ khi đang chờ → bỏ qua
+ * - Virtual list tái sử dụng element (đổi src) → khoá khác → xử lý lại
+ */
+
+(function (global) {
+
+    /** Bắt đầu phân loại khi ảnh còn cách khung nhìn ~1 màn hình — nút sẵn sàng trước khi user cuộn tới */
+    const SCAN_ROOT_MARGIN = '600px 0px';
+
+    /** ms / lượt — nửa khung hình 60fps, phần còn lại để trang tự vẽ */
+    const SCAN_FRAME_BUDGET_MS = 8;
+
+    /** ms — requestIdleCallback chờ tối đa trước khi buộc chạy */
+    const IDLE_TIMEOUT_MS = 500;
+
+    function requestIdle(callback) {
+        if (typeof global.requestIdleCallback === 'function') {
+            return global.requestIdleCallback(callback, { timeout: IDLE_TIMEOUT_MS });
+        }
+        return setTimeout(() => callback({ didTimeout: true, timeRemaining: () => SCAN_FRAME_BUDGET_MS }), 16);
+    }
+
+    /**
+     * createScanScheduler — Hàng đợi phân loại ảnh của 1 feature (nút hover, chế độ chọn ảnh)
+     * Input: { process, getKey?, rootMargin?, budgetMs? }
+     * Output: { add(el), forget(el), clear(), stats() }
+     */
+    function createScanScheduler({ process, getKey = () => '', rootMargin = SCAN_ROOT_MARGIN, budgetMs = SCAN_FRAME_BUDGET_MS }) {
+        /** element → khoá lúc xử lý */
+        let processedKeys = new WeakMap();
+        /** element đang chờ (observe hoặc trong hàng đợi) */
+        let pending = new WeakSet();
+        const queue = [];
+        let sliceScheduled = false;
+        const counters = { added: 0, processed: 0, slices: 0, longestSliceMs: 0 };
+
+        const observer = typeof global.IntersectionObserver === 'function'
+            ? new global.IntersectionObserver(onIntersect, { rootMargin })
+            : null;
+
+        function onIntersect(entries) {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                enqueue(entry.target);
+            });
+        }
+
+        function enqueue(el) {
+            queue.push(el);
+            scheduleSlice();
+        }
+
+        function scheduleSlice() {
+            if (sliceScheduled || queue.length === 0) return;
+            sliceScheduled = true;
+            requestIdle(runSlice);
+        }
+
+        function runSlice(deadline) {
+            sliceScheduled = false;
+            const start = performance.now();
+
+            while (queue.length > 0) {
+                const el = queue.shift();
+                if (!pending.has(el)) continue; // clear() trong lúc chờ
+                pending.delete(el);
+                if (!el.isConnected) continue;
+
+                processedKeys.set(el, getKey(el));
+                counters.processed++;
+                try {
+                    process(el);
+                } catch (error) {
+                    console.warn('[Fitly] Image scan failed:', error);
+                }
+
+                if (performance.now() - start >= budgetMs) break;
+                if (!deadline.didTimeout && deadline.timeRemaining() <= 0) break;
+            }
+
+            counters.slices++;
+            counters.longestSliceMs = Math.max(counters.longestSliceMs, performance.now() - start);
+            scheduleSlice();
+        }
+
+        /** Chờ element tới gần khung nhìn — bỏ qua nếu đang chờ hoặc đã xử lý với cùng khoá */
+        function add(el) {
+            if (pending.has(el)) return;
+            if (processedKeys.has(el) && processedKeys.get(el) === getKey(el)) return;
+            pending.add(el);
+            counters.added++;
+            if (observer) observer.observe(el);
+            else enqueue(el);
+        }
+
+        /** Xoá kết quả của element — ảnh lazy vừa load xong cần xử lý lại dù khoá chưa đổi */
+        function forget(el) {
+            processedKeys.delete(el);
+        }
+
+        /** Huỷ mọi element đang chờ + quên kết quả (user tắt site, thoát chế độ chọn ảnh) */
+        function clear() {
+            observer?.disconnect();
+            queue.length = 0;
+            pending = new WeakSet();
+            processedKeys = new WeakMap();
+        }
+
+        function stats() {
+            return { ...counters, queued: queue.length };
+        }
+
+        return { add, forget, clear, stats };
+    }
+
+    global.FitlyImageScanScheduler = {
+        createScanScheduler,
+        SCAN_ROOT_MARGIN,
+        SCAN_FRAME_BUDGET_MS,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -78,6 +78,34 @@
         popular: 'Popular',
         best_value: 'Best Value',
         payment_note: 'Secure payment via Polar.sh',
+        gem_ledger: {
+            title: 'Gem history',
+            tryon: 'Try-on',
+            edit: 'Edit',
+            status: {
+                pending: 'Checking',
+                charged: 'Charged',
+                free: 'Free',
+                void: 'Not charged',
+                refunded: 'Refunded',
+                refund_failed: 'Refund pending',
+            },
+            event: {
+                started: 'Request sent',
+                retry: 'Same request resent — not charged twice',
+                charged: 'Charged {amount} gems',
+                free: 'Ready-made result — no gems charged',
+                failed: 'Request failed — no gems charged',
+                refunded: 'Refunded {amount} gems',
+                cancelled: 'Cancelled — gems will be refunded if they were charged',
+                not_processed: 'Server never processed it — no gems charged',
+                completed: 'Completed — {amount} gems charged',
+                no_debit: 'No gem charge found',
+                server_refunded: 'Server refunded the gems',
+                auto_refunded: 'Automatically refunded {amount} gems',
+                refund_failed: 'Refund failed — will retry',
+            },
+        },
 
         // User models
         my_photos: 'My Photos',
@@ -96,8 +124,46 @@
             top: 'Top',
             bottom: 'Bottom',
             dress: 'Dress',
+            outerwear: 'Outerwear',
             shoes: 'Shoes',
-            accessories: 'Accessories'
+            accessories: 'Accessories',
+            other: 'Other'
+        },
+        subcategory: {
+            't-shirt': 'T-shirt',
+            shirt: 'Shirt',
+            blouse: 'Blouse',
+            knit: 'Knitwear',
+            polo: 'Polo',
+            'tank-top': 'Tank top',
+            jeans: 'Jeans',
+            trousers: 'Trousers',
+            skirt: 'Skirt',
+            shorts: 'Shorts',
+            leggings: 'Leggings',
+            'mini-dress': 'Mini dress',
+            'midi-dress': 'Midi dress',
+            'maxi-dress': 'Maxi dress',
+            jumpsuit: 'Jumpsuit',
+            jacket: 'Jacket',
+            blazer: 'Blazer',
+            coat: 'Coat',
+            cardigan: 'Cardigan',
+            hoodie: 'Hoodie',
+            puffer: 'Puffer',
+            sneakers: 'Sneakers',
+            heels: 'Heels',
+            boots: 'Boots',
+            sandals: 'Sandals',
+            loafers: 'Loafers',
+            flats: 'Flats',
+            bag: 'Bag',
+            hat: 'Hat',
+            belt: 'Belt',
+            scarf: 'Scarf',
+            jewelry: 'Jewelry',
+            eyewear: 'Eyewear',
+            watch: 'Watch'
         },
 
         // Tags
@@ -266,6 +332,337 @@
         running_simulation: '🧪 Running simulation mode...',
         tryon_success_popup: 'Try-on successful! Popup opened.',
         processing_error: 'Error during processing',
+        tryon_resuming: '🔄 Resuming your try-on in progress...',
+        tryon_cancel: 'Cancel',
+        tryon_cancelled: 'Try-on cancelled. Any gems charged will be refunded.',
+        tryon_stage: {
+            preparing: '📦 Preparing your photos...',
+            uploading: '☁️ Uploading photos...',
+            queued: '⏳ Waiting for the AI stylist...',
+            generating: '🪄 AI is dressing you up...',
+            post_processing: '✨ Finishing touches...',
+            completed: '✅ Done!',
+            failed: '😢 Something went wrong',
+            cancelled: '✋ Cancelled',
+            cancelling: '✋ Cancelling...',
+        },
+        batch_tryon: {
+            models_button: 'Try on many',
+            clothing_button: 'Batch try-on',
+            models_title: 'Try on several models',
+            clothing_title: 'Try on several items',
+            models_hint: 'Pick the models to try the selected item on',
+            clothing_hint: 'Pick the items to try one by one on the current model',
+            summary: '{count} try-ons · 💎 {cost} gems',
+            start: 'Start',
+            stop: 'Stop',
+            select_all: 'Select all',
+            need_item: 'Select the item you want to try first',
+            need_model: 'Select a model photo first',
+            no_candidates: 'Nothing to batch try-on yet',
+            busy: 'Another try-on is running, please wait',
+            max_reached: 'Up to {max} try-ons per batch',
+            insufficient: 'Needs {cost} gems but you only have {balance}',
+            confirm_title: 'Batch try-on',
+            confirm_message: 'Run {count} try-ons, up to {concurrency} at a time. Results appear in your gallery as soon as each one is done.',
+            finished: '{done}/{total} try-ons done',
+            status: {
+                queued: 'Queued',
+                running: 'Trying on',
+                waiting: 'Rate limited',
+                done: 'Done',
+                failed: 'Failed',
+                cancelled: 'Cancelled',
+            },
+        },
+        size_recommendation: {
+            title: 'Recommended size',
+            action: 'Measurements',
+            fit_good_plain: 'Should fit well based on your measurements',
+            fit_snug: 'Might feel snug — consider {size}',
+            fit_snug_plain: 'Might feel snug',
+            fit_relaxed: 'Might feel loose — consider {size}',
+            fit_relaxed_plain: 'Might feel loose',
+            fit_mixed_plain: 'Fits unevenly — check each measurement below',
+            detail: 'you {body} cm · size {range} cm',
+            status: {
+                fit: 'Fits',
+                tight: 'Tight',
+                loose: 'Loose',
+            },
+            dimension: {
+                height: 'Height',
+                chest: 'Chest',
+                waist: 'Waist',
+                hips: 'Hips',
+                inseam: 'Inseam',
+                footLength: 'Foot length',
+            },
+            no_profile: 'This page has a size chart. Add body measurements to get a size suggestion',
+            add_measurements: 'Add measurements',
+            edit_measurements: 'Edit body measurements',
+            modal_title: 'Body measurements',
+            modal_hint: 'Saved for this model photo only. Leave blank anything you don\'t know.',
+            unit_label: 'Unit',
+            save: 'Save measurements',
+            cancel: 'Cancel',
+            saved: 'Measurements saved',
+            invalid: 'Please check {field}',
+            need_saved_model: 'Save this model photo first to add measurements',
+        },
+        site_rules: {
+            menu: 'Site settings',
+            title: 'Site settings',
+            hint: 'Always on: show try-on buttons on every page of the site. Never: turn Fitly off there. Auto: Fitly detects fashion pages by itself.',
+            domain_placeholder: 'e.g. shop.com',
+            add: 'Add',
+            empty: 'No site rules yet',
+            remove: 'Remove rule',
+            saved: 'Saved rule for {domain}',
+            removed: 'Removed rule for {domain}',
+            invalid_domain: 'Please enter a valid domain, e.g. shop.com',
+            sensitivity_label: 'Auto-detection sensitivity',
+            debug_label: 'Show why a page was detected (debug)',
+            sensitivity_saved: 'Detection sensitivity updated',
+            sensitivity: {
+                strict: 'Strict',
+                balanced: 'Balanced',
+                relaxed: 'Relaxed',
+            },
+            mode: {
+                always: 'Always on',
+                auto: 'Auto',
+                never: 'Never',
+            },
+        },
+        keyboard_shortcuts: {
+            customize: 'Change shortcuts',
+            busy: 'A try-on is already running',
+            need_more_models: 'Save at least 2 model photos to switch models with a shortcut',
+            commands: {
+                'try-on-image': 'Try on the image under the cursor',
+                'add-to-wardrobe': 'Add the image under the cursor to your wardrobe',
+                'toggle-side-panel': 'Open / close Fitly',
+                'retry-next-model': 'Redo the last try-on with the next model',
+            },
+        },
+        wardrobe_search_placeholder: 'Search name, tag, brand, shop, colour...',
+        wardrobe_collections: {
+            new: 'New collection',
+            new_title: 'New collection',
+            edit_title: 'Edit collection',
+            hint: 'New items that match every condition join the collection automatically. Leave a condition empty to skip it.',
+            name_label: 'Name',
+            name_placeholder: 'e.g. Blue work shirts',
+            query_label: 'Contains text',
+            category_label: 'Type',
+            color_label: 'Colour',
+            pattern_label: 'Pattern',
+            added_label: 'Added',
+            domain_label: 'Shop',
+            domain_placeholder: 'e.g. zara.com',
+            tags_label: 'Tag',
+            any: 'Any',
+            added: {
+                last_7_days: 'Last 7 days',
+                last_30_days: 'Last 30 days',
+                this_year: 'This year',
+            },
+            save: 'Save',
+            delete: 'Delete',
+            cancel: 'Cancel',
+            saved: 'Saved collection "{name}"',
+            deleted: 'Collection deleted',
+            error: {
+                NAME_REQUIRED: 'Give the collection a name',
+                RULES_REQUIRED: 'Add at least one condition',
+                TOO_MANY_COLLECTIONS: 'You have reached the collection limit',
+                COLLECTION_NOT_FOUND: 'This collection no longer exists',
+                UNKNOWN: 'Could not save the collection',
+            },
+        },
+        wardrobe_tags: {
+            edit: 'Tags & notes',
+            title: 'Tags & notes',
+            tags_label: 'Tags (comma separated)',
+            tags_placeholder: 'work, summer',
+            notes_label: 'Notes',
+            notes_placeholder: 'e.g. size M fits, hand wash',
+            save: 'Save',
+            cancel: 'Cancel',
+            saved: 'Tags saved',
+            failed: 'Could not save tags',
+        },
+        price_tracking: {
+            open: 'Price history',
+            title: 'Price tracking',
+            saved_price: 'Saved at {price}',
+            current_price: 'Now {price}',
+            history: 'Price history',
+            source: {
+                saved: 'When saved',
+                alarm: 'Auto check',
+                visit: 'Page visit',
+            },
+            target_label: 'Alert me at or below',
+            target_placeholder: 'Leave empty to use the drop threshold',
+            drop_label: 'Drop threshold (%)',
+            drop_hint: 'Applies to every item without a target price',
+            invalid_drop: 'Enter a drop threshold between 1 and 99%',
+            check_now: 'Check now',
+            checked: 'Checked {count} item(s)',
+            not_tracked: 'This item has no saved price to track yet',
+            save: 'Save',
+            cancel: 'Cancel',
+            saved: 'Price alert saved',
+            failed: 'Could not save the price alert',
+        },
+        outfit_builder: {
+            open: 'Builder',
+            open_tip: 'Build an outfit piece by piece',
+            title: 'Outfit builder',
+            slot: {
+                top: 'Top',
+                bottom_or_dress: 'Bottom or dress',
+                outerwear: 'Outerwear',
+                shoes: 'Shoes',
+                accessories: 'Accessories',
+            },
+            pick_for: 'Choose a piece for {slot}',
+            no_items: 'No {slot} in your wardrobe or recent items yet',
+            unsupported_category: 'This item does not fit any slot',
+            conflict: {
+                dress_with_top: 'A dress covers the top — remove the {slot} or the dress',
+                dress_with_bottom: 'A dress cannot be worn with a bottom',
+                wrong_slot: 'The item in {slot} no longer belongs there',
+                no_garment: 'Add a top, bottom, dress or outerwear to try on',
+            },
+            conflicts_found: 'Fix the outfit conflicts before trying on',
+            from_selection: 'Use selected items',
+            selection_empty: 'Select some clothing first',
+            selection_trimmed: '{count} items did not fit a free slot and were left out',
+            name_label: 'Outfit name',
+            name_placeholder: 'e.g. Monday at the office',
+            save: 'Save outfit',
+            try_on: 'Try on',
+            saved: 'Saved outfit "{name}"',
+            deleted: 'Outfit deleted',
+            templates_title: 'Saved outfits',
+            no_templates: 'Save an outfit to try it again on any model',
+            try_template: 'Try on the current model',
+            edit_template: 'Edit',
+            delete_template: 'Delete',
+            tried_count: 'Tried {count} times',
+            never_tried: 'Not tried yet',
+            error: {
+                NAME_REQUIRED: 'Give the outfit a name',
+                SLOTS_REQUIRED: 'Add at least one piece',
+                SLOT_CONFLICT: 'Fix the outfit conflicts before saving',
+                TOO_MANY_TEMPLATES: 'You have reached the maximum number of saved outfits',
+                UNKNOWN: 'Could not save the outfit',
+            },
+        },
+        garment_styling: {
+            open: 'Styling',
+            open_tip: 'Choose how each piece is worn and the layer order',
+            title: 'How to wear it',
+            layers_hint: 'From the innermost layer (next to the body) to the outermost',
+            layer: 'Layer {n}',
+            move_in: 'Move one layer in',
+            move_out: 'Move one layer out',
+            auto: 'Auto',
+            option: {
+                tuck: 'Tuck',
+                front: 'Front',
+                sleeves: 'Sleeves',
+                collar: 'Collar',
+            },
+            value: {
+                tuck: { in: 'Tucked in', half: 'Half-tucked', out: 'Untucked' },
+                front: { open: 'Open', closed: 'Closed' },
+                sleeves: { rolled: 'Rolled up', down: 'Down' },
+                collar: { up: 'Popped', down: 'Folded down', open: 'Open neck' },
+            },
+            reset: 'Let AI decide',
+            apply: 'Apply',
+            applied: 'Styling saved for the next try-on',
+            no_items: 'Select some clothing first',
+        },
+        color: {
+            black: 'Black',
+            white: 'White',
+            gray: 'Gray',
+            beige: 'Beige',
+            brown: 'Brown',
+            red: 'Red',
+            pink: 'Pink',
+            orange: 'Orange',
+            yellow: 'Yellow',
+            green: 'Green',
+            blue: 'Blue',
+            navy: 'Navy',
+            purple: 'Purple',
+        },
+        pattern: {
+            solid: 'Solid',
+            striped: 'Striped',
+            checked: 'Checked',
+            floral: 'Floral',
+            printed: 'Printed',
+        },
+        similar_items: {
+            title: 'Similar items',
+            find: 'Find similar',
+            searching: 'Looking for similar photos…',
+            count: '{count} similar photos in your wardrobe, recent items, models and outfits.',
+            empty: 'Nothing similar saved yet.',
+            failed: 'Could not read this image. Try again later.',
+            match: '{percent}% match',
+            duplicate_added: 'Saved — this looks like "{name}" already in your wardrobe',
+            similar_added: '{count} similar items already saved',
+            kind: {
+                wardrobe: 'Wardrobe',
+                recent: 'Recent',
+                model: 'Model',
+                outfit: 'Outfit',
+            },
+        },
+        gallery_picker: {
+            title: 'Pick a photo to try',
+            count: '{count} photos of this product.',
+            hint: 'Flat-lay / ghost mannequin shots give the best results and are ranked first.',
+            auto_best: 'Next time, send the best photo without asking',
+            cancel: 'Cancel',
+            use_best: 'Use best photo',
+            clicked: 'You clicked',
+            change: 'Pick another',
+            auto_picked: 'Picked the best of {count} product photos',
+            shot: {
+                flatlay: 'Flat-lay',
+                model: 'On model',
+                back: 'Back view',
+                detail: 'Detail',
+                other: 'Product',
+            },
+        },
+        region_capture: {
+            hint: 'Drag around the garment · Esc to cancel',
+            try_on: '👗 Try On',
+            add_wardrobe: '🗂️ Wardrobe',
+            use_as_model: '🧍 Model photo',
+            cancel: 'Cancel',
+            capture_failed: 'Cannot capture this page. Save the image and upload it in Fitly instead.',
+            error_btn: '📸 Capture image area',
+            blob_url: 'This image only exists inside the page. Drag a box around the garment to capture it.',
+        },
+        video_frame: {
+            try_on: '👗 Try On',
+            add_wardrobe: '🗂️ Wardrobe',
+            use_as_model: '🧍 Model photo',
+            close: 'Close',
+            step_back: 'Previous frame (←)',
+            step_forward: 'Next frame (→)',
+        },
         error_overlay: {
             title: 'Oopsie, something broke... 🥺',
             apology: 'So sorry about that! Please try again for me~',
@@ -425,6 +822,7 @@
             top: 'Top',
             bottom: 'Bottom',
             dress: 'Dress',
+            outerwear: 'Outerwear',
             shoes: 'Shoes',
             accessories: 'Accessories'
         },
@@ -479,6 +877,11 @@
             added: 'Added!',
             tooltip_try: 'Try on with Fitly',
             tooltip_wardrobe: 'Add to Fitly wardrobe',
+            try_gallery: 'All photos',
+            tooltip_gallery: 'Try the best photo of this product',
+            use_as_model: 'Model',
+            tooltip_model: 'Use this frame as your model photo',
+            tooltip_frame: 'Pick another frame',
         },
 
         // Help Page
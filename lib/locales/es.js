@@ -102,6 +102,53 @@
         weeks_ago: 'hace {count} semanas',
         months_ago: 'hace {count} meses',
 
+        // Categories
+        category: {
+            top: 'Parte de arriba',
+            bottom: 'Parte de abajo',
+            dress: 'Vestido',
+            outerwear: 'Abrigos',
+            shoes: 'Zapatos',
+            accessories: 'Accesorios',
+            other: 'Otros'
+        },
+        subcategory: {
+            't-shirt': 'Camiseta',
+            shirt: 'Camisa',
+            blouse: 'Blusa',
+            knit: 'Punto',
+            polo: 'Polo',
+            'tank-top': 'Camiseta de tirantes',
+            jeans: 'Vaqueros',
+            trousers: 'Pantalones',
+            skirt: 'Falda',
+            shorts: 'Shorts',
+            leggings: 'Leggings',
+            'mini-dress': 'Vestido corto',
+            'midi-dress': 'Vestido midi',
+            'maxi-dress': 'Vestido largo',
+            jumpsuit: 'Mono',
+            jacket: 'Chaqueta',
+            blazer: 'Americana',
+            coat: 'Abrigo',
+            cardigan: 'Cárdigan',
+            hoodie: 'Sudadera',
+            puffer: 'Plumífero',
+            sneakers: 'Zapatillas',
+            heels: 'Tacones',
+            boots: 'Botas',
+            sandals: 'Sandalias',
+            loafers: 'Mocasines',
+            flats: 'Bailarinas',
+            bag: 'Bolso',
+            hat: 'Sombrero',
+            belt: 'Cinturón',
+            scarf: 'Bufanda',
+            jewelry: 'Joyería',
+            eyewear: 'Gafas',
+            watch: 'Reloj'
+        },
+
         // Hover Button (Content Script)
         hover_btn: {
             try_on: 'Probar',
@@ -111,6 +158,11 @@
             added: '¡Añadido!',
             tooltip_try: 'Probar con Fitly',
             tooltip_wardrobe: 'Añadir al armario Fitly',
+            try_gallery: 'Todas las fotos',
+            tooltip_gallery: 'Probar la mejor foto de este producto',
+            use_as_model: 'Modelo',
+            tooltip_model: 'Usar este fotograma como tu foto de modelo',
+            tooltip_frame: 'Elegir otro fotograma',
         },
     };
 })(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
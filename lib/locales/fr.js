@@ -102,6 +102,53 @@
         weeks_ago: 'il y a {count} semaines',
         months_ago: 'il y a {count} mois',
 
+        // Categories
+        category: {
+            top: 'Haut',
+            bottom: 'Bas',
+            dress: 'Robe',
+            outerwear: 'Manteaux & vestes',
+            shoes: 'Chaussures',
+            accessories: 'Accessoires',
+            other: 'Autre'
+        },
+        subcategory: {
+            't-shirt': 'T-shirt',
+            shirt: 'Chemise',
+            blouse: 'Chemisier',
+            knit: 'Maille',
+            polo: 'Polo',
+            'tank-top': 'Débardeur',
+            jeans: 'Jean',
+            trousers: 'Pantalon',
+            skirt: 'Jupe',
+            shorts: 'Short',
+            leggings: 'Legging',
+            'mini-dress': 'Robe courte',
+            'midi-dress': 'Robe midi',
+            'maxi-dress': 'Robe longue',
+            jumpsuit: 'Combinaison',
+            jacket: 'Veste',
+            blazer: 'Blazer',
+            coat: 'Manteau',
+            cardigan: 'Cardigan',
+            hoodie: 'Sweat à capuche',
+            puffer: 'Doudoune',
+            sneakers: 'Baskets',
+            heels: 'Talons',
+            boots: 'Bottes',
+            sandals: 'Sandales',
+            loafers: 'Mocassins',
+            flats: 'Ballerines',
+            bag: 'Sac',
+            hat: 'Chapeau',
+            belt: 'Ceinture',
+            scarf: 'Écharpe',
+            jewelry: 'Bijoux',
+            eyewear: 'Lunettes',
+            watch: 'Montre'
+        },
+
         // Hover Button (Content Script)
         hover_btn: {
             try_on: 'Essayer',
@@ -111,6 +158,11 @@
             added: 'Ajouté !',
             tooltip_try: 'Essayer avec Fitly',
             tooltip_wardrobe: 'Ajouter à la garde-robe Fitly',
+            try_gallery: 'Toutes les photos',
+            tooltip_gallery: 'Essayer la meilleure photo de ce produit',
+            use_as_model: 'Modèle',
+            tooltip_model: 'Utiliser cette image comme photo de modèle',
+            tooltip_frame: 'Choisir une autre image',
         },
     };
 })(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
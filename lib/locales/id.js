@@ -102,6 +102,53 @@
         weeks_ago: '{count} minggu yang lalu',
         months_ago: '{count} bulan yang lalu',
 
+        // Categories
+        category: {
+            top: 'Atasan',
+            bottom: 'Bawahan',
+            dress: 'Gaun',
+            outerwear: 'Luaran',
+            shoes: 'Sepatu',
+            accessories: 'Aksesori',
+            other: 'Lainnya'
+        },
+        subcategory: {
+            't-shirt': 'Kaos',
+            shirt: 'Kemeja',
+            blouse: 'Blus',
+            knit: 'Rajut',
+            polo: 'Polo',
+            'tank-top': 'Tank top',
+            jeans: 'Jins',
+            trousers: 'Celana panjang',
+            skirt: 'Rok',
+            shorts: 'Celana pendek',
+            leggings: 'Legging',
+            'mini-dress': 'Gaun mini',
+            'midi-dress': 'Gaun midi',
+            'maxi-dress': 'Gaun maxi',
+            jumpsuit: 'Jumpsuit',
+            jacket: 'Jaket',
+            blazer: 'Blazer',
+            coat: 'Mantel',
+            cardigan: 'Kardigan',
+            hoodie: 'Hoodie',
+            puffer: 'Jaket puffer',
+            sneakers: 'Sneakers',
+            heels: 'Sepatu hak tinggi',
+            boots: 'Sepatu bot',
+            sandals: 'Sandal',
+            loafers: 'Loafer',
+            flats: 'Sepatu flat',
+            bag: 'Tas',
+            hat: 'Topi',
+            belt: 'Ikat pinggang',
+            scarf: 'Syal',
+            jewelry: 'Perhiasan',
+            eyewear: 'Kacamata',
+            watch: 'Jam tangan'
+        },
+
         // Hover Button (Content Script)
         hover_btn: {
             try_on: 'Coba Pakai',
@@ -111,6 +158,11 @@
             added: 'Ditambahkan!',
             tooltip_try: 'Coba pakai dengan Fitly',
             tooltip_wardrobe: 'Tambah ke lemari Fitly',
+            try_gallery: 'Semua foto',
+            tooltip_gallery: 'Coba foto terbaik produk ini',
+            use_as_model: 'Model',
+            tooltip_model: 'Gunakan frame ini sebagai foto model Anda',
+            tooltip_frame: 'Pilih frame lain',
         },
     };
 })(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
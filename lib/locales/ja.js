@@ -102,6 +102,53 @@
         weeks_ago: '{count}週間前',
         months_ago: '{count}ヶ月前',
 
+        // Categories
+        category: {
+            top: 'トップス',
+            bottom: 'ボトムス',
+            dress: 'ワンピース',
+            outerwear: 'アウター',
+            shoes: 'シューズ',
+            accessories: 'アクセサリー',
+            other: 'その他'
+        },
+        subcategory: {
+            't-shirt': 'Tシャツ',
+            shirt: 'シャツ',
+            blouse: 'ブラウス',
+            knit: 'ニット',
+            polo: 'ポロシャツ',
+            'tank-top': 'タンクトップ',
+            jeans: 'ジーンズ',
+            trousers: 'スラックス',
+            skirt: 'スカート',
+            shorts: 'ショートパンツ',
+            leggings: 'レギンス',
+            'mini-dress': 'ミニワンピース',
+            'midi-dress': 'ミディワンピース',
+            'maxi-dress': 'マキシワンピース',
+            jumpsuit: 'オールインワン',
+            jacket: 'ジャケット',
+            blazer: 'テーラードジャケット',
+            coat: 'コート',
+            cardigan: 'カーディガン',
+            hoodie: 'パーカー',
+            puffer: 'ダウン',
+            sneakers: 'スニーカー',
+            heels: 'ヒール',
+            boots: 'ブーツ',
+            sandals: 'サンダル',
+            loafers: 'ローファー',
+            flats: 'フラットシューズ',
+            bag: 'バッグ',
+            hat: '帽子',
+            belt: 'ベルト',
+            scarf: 'マフラー',
+            jewelry: 'ジュエリー',
+            eyewear: 'アイウェア',
+            watch: '腕時計'
+        },
+
         // Hover Button (Content Script)
         hover_btn: {
             try_on: '試着する',
@@ -111,6 +158,11 @@
             added: '追加しました！',
             tooltip_try: 'Fitlyで試着する',
             tooltip_wardrobe: 'Fitlyクローゼットに追加',
+            try_gallery: '全ての写真',
+            tooltip_gallery: 'この商品のベスト写真で試着',
+            use_as_model: 'モデル',
+            tooltip_model: 'このフレームをモデル写真に使う',
+            tooltip_frame: '別のフレームを選ぶ',
         },
     };
 })(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -102,6 +102,53 @@
         weeks_ago: '{count}주 전',
         months_ago: '{count}개월 전',
 
+        // Categories
+        category: {
+            top: '상의',
+            bottom: '하의',
+            dress: '원피스',
+            outerwear: '아우터',
+            shoes: '신발',
+            accessories: '액세서리',
+            other: '기타'
+        },
+        subcategory: {
+            't-shirt': '티셔츠',
+            shirt: '셔츠',
+            blouse: '블라우스',
+            knit: '니트',
+            polo: '폴로',
+            'tank-top': '나시',
+            jeans: '청바지',
+            trousers: '슬랙스',
+            skirt: '스커트',
+            shorts: '반바지',
+            leggings: '레깅스',
+            'mini-dress': '미니 원피스',
+            'midi-dress': '미디 원피스',
+            'maxi-dress': '맥시 원피스',
+            jumpsuit: '점프수트',
+            jacket: '재킷',
+            blazer: '블레이저',
+            coat: '코트',
+            cardigan: '가디건',
+            hoodie: '후드티',
+            puffer: '패딩',
+            sneakers: '스니커즈',
+            heels: '힐',
+            boots: '부츠',
+            sandals: '샌들',
+            loafers: '로퍼',
+            flats: '플랫슈즈',
+            bag: '가방',
+            hat: '모자',
+            belt: '벨트',
+            scarf: '스카프',
+            jewelry: '주얼리',
+            eyewear: '아이웨어',
+            watch: '시계'
+        },
+
         // Hover Button (Content Script)
         hover_btn: {
             try_on: '피팅하기',
@@ -111,6 +158,11 @@
             added: '추가됨!',
             tooltip_try: 'Fitly로 피팅하기',
             tooltip_wardrobe: 'Fitly 옷장에 추가',
+            try_gallery: '모든 사진',
+            tooltip_gallery: '이 상품의 가장 좋은 사진으로 입어보기',
+            use_as_model: '모델',
+            tooltip_model: '이 프레임을 모델 사진으로 사용',
+            tooltip_frame: '다른 프레임 선택',
         },
     };
 })(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -102,6 +102,53 @@
         weeks_ago: '{count} สัปดาห์ที่แล้ว',
         months_ago: '{count} เดือนที่แล้ว',
 
+        // Categories
+        category: {
+            top: 'เสื้อ',
+            bottom: 'กางเกง/กระโปรง',
+            dress: 'ชุดเดรส',
+            outerwear: 'เสื้อคลุม',
+            shoes: 'รองเท้า',
+            accessories: 'เครื่องประดับ',
+            other: 'อื่นๆ'
+        },
+        subcategory: {
+            't-shirt': 'เสื้อยืด',
+            shirt: 'เสื้อเชิ้ต',
+            blouse: 'เสื้อเบลาส์',
+            knit: 'เสื้อไหมพรม',
+            polo: 'เสื้อโปโล',
+            'tank-top': 'เสื้อกล้าม',
+            jeans: 'กางเกงยีนส์',
+            trousers: 'กางเกงสแล็ค',
+            skirt: 'กระโปรง',
+            shorts: 'กางเกงขาสั้น',
+            leggings: 'เลกกิ้ง',
+            'mini-dress': 'มินิเดรส',
+            'midi-dress': 'มิดี้เดรส',
+            'maxi-dress': 'แม็กซี่เดรส',
+            jumpsuit: 'จั๊มสูท',
+            jacket: 'แจ็คเก็ต',
+            blazer: 'เบลเซอร์',
+            coat: 'โค้ท',
+            cardigan: 'คาร์ดิแกน',
+            hoodie: 'ฮู้ด',
+            puffer: 'เสื้อขนเป็ด',
+            sneakers: 'รองเท้าผ้าใบ',
+            heels: 'รองเท้าส้นสูง',
+            boots: 'รองเท้าบูท',
+            sandals: 'รองเท้าแตะ',
+            loafers: 'โลฟเฟอร์',
+            flats: 'รองเท้าส้นแบน',
+            bag: 'กระเป๋า',
+            hat: 'หมวก',
+            belt: 'เข็มขัด',
+            scarf: 'ผ้าพันคอ',
+            jewelry: 'เครื่องประดับ',
+            eyewear: 'แว่นตา',
+            watch: 'นาฬิกา'
+        },
+
         // Hover Button (Content Script)
         hover_btn: {
             try_on: 'ลองสวม',
@@ -111,6 +158,11 @@
             added: 'เพิ่มแล้ว!',
             tooltip_try: 'ลองสวมด้วย Fitly',
             tooltip_wardrobe: 'เพิ่มในตู้เสื้อผ้า Fitly',
+            try_gallery: 'รูปทั้งหมด',
+            tooltip_gallery: 'ลองด้วยรูปที่ดีที่สุดของสินค้านี้',
+            use_as_model: 'นางแบบ',
+            tooltip_model: 'ใช้เฟรมนี้เป็นรูปนางแบบของคุณ',
+            tooltip_frame: 'เลือกเฟรมอื่น',
         },
     };
 })(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -78,6 +78,34 @@
         popular: 'Phổ biến',
         best_value: 'Tiết kiệm nhất',
         payment_note: 'Thanh toán an toàn qua Polar.sh',
+        gem_ledger: {
+            title: 'Lịch sử gems',
+            tryon: 'Thử đồ',
+            edit: 'Chỉnh sửa',
+            status: {
+                pending: 'Đang đối soát',
+                charged: 'Đã trừ',
+                free: 'Miễn phí',
+                void: 'Không trừ',
+                refunded: 'Đã hoàn',
+                refund_failed: 'Chờ hoàn',
+            },
+            event: {
+                started: 'Đã gửi yêu cầu',
+                retry: 'Gửi lại cùng request — không tính phí lần 2',
+                charged: 'Đã trừ {amount} gems',
+                free: 'Kết quả có sẵn — không trừ gems',
+                failed: 'Yêu cầu thất bại — không trừ gems',
+                refunded: 'Đã hoàn {amount} gems',
+                cancelled: 'Đã huỷ — gems sẽ được hoàn nếu đã bị trừ',
+                not_processed: 'Server chưa xử lý — không trừ gems',
+                completed: 'Đã hoàn tất — trừ {amount} gems',
+                no_debit: 'Không có giao dịch trừ gems',
+                server_refunded: 'Server đã hoàn gems',
+                auto_refunded: 'Tự động hoàn {amount} gems',
+                refund_failed: 'Hoàn gems thất bại — sẽ thử lại',
+            },
+        },
 
         // User models
         my_photos: 'Ảnh của tôi',
@@ -95,9 +123,47 @@
         category: {
             top: 'Áo',
             bottom: 'Quần',
-            dress: 'Váy',
+            dress: 'Váy/Đầm',
+            outerwear: 'Áo khoác',
             shoes: 'Giày',
-            accessories: 'Phụ kiện'
+            accessories: 'Phụ kiện',
+            other: 'Khác'
+        },
+        subcategory: {
+            't-shirt': 'Áo thun',
+            shirt: 'Áo sơ mi',
+            blouse: 'Áo kiểu',
+            knit: 'Áo len',
+            polo: 'Áo polo',
+            'tank-top': 'Áo ba lỗ',
+            jeans: 'Quần jean',
+            trousers: 'Quần tây',
+            skirt: 'Chân váy',
+            shorts: 'Quần short',
+            leggings: 'Quần legging',
+            'mini-dress': 'Đầm ngắn',
+            'midi-dress': 'Đầm midi',
+            'maxi-dress': 'Đầm dài',
+            jumpsuit: 'Jumpsuit',
+            jacket: 'Áo khoác',
+            blazer: 'Blazer',
+            coat: 'Áo măng tô',
+            cardigan: 'Cardigan',
+            hoodie: 'Hoodie',
+            puffer: 'Áo phao',
+            sneakers: 'Giày thể thao',
+            heels: 'Giày cao gót',
+            boots: 'Bốt',
+            sandals: 'Sandal',
+            loafers: 'Giày lười',
+            flats: 'Giày búp bê',
+            bag: 'Túi xách',
+            hat: 'Mũ',
+            belt: 'Thắt lưng',
+            scarf: 'Khăn',
+            jewelry: 'Trang sức',
+            eyewear: 'Kính mắt',
+            watch: 'Đồng hồ'
         },
 
         // Tags
@@ -266,6 +332,337 @@
         running_simulation: '🧪 Đang chạy chế độ giả lập...',
         tryon_success_popup: 'Thử đồ thành công! Popup đã mở.',
         processing_error: 'Có lỗi xảy ra khi xử lý',
+        tryon_resuming: '🔄 Đang tiếp tục lượt thử đồ dang dở...',
+        tryon_cancel: 'Huỷ',
+        tryon_cancelled: 'Đã huỷ thử đồ. Gems đã trừ (nếu có) sẽ được hoàn lại.',
+        tryon_stage: {
+            preparing: '📦 Đang chuẩn bị ảnh...',
+            uploading: '☁️ Đang tải ảnh lên...',
+            queued: '⏳ Đang chờ AI stylist...',
+            generating: '🪄 AI đang thử đồ cho bạn...',
+            post_processing: '✨ Đang hoàn thiện ảnh...',
+            completed: '✅ Xong rồi!',
+            failed: '😢 Có lỗi xảy ra',
+            cancelled: '✋ Đã huỷ',
+            cancelling: '✋ Đang huỷ...',
+        },
+        batch_tryon: {
+            models_button: 'Thử trên nhiều ảnh',
+            clothing_button: 'Thử hàng loạt',
+            models_title: 'Thử đồ trên nhiều ảnh mẫu',
+            clothing_title: 'Thử nhiều món đồ',
+            models_hint: 'Chọn các ảnh mẫu để thử món đồ đang chọn',
+            clothing_hint: 'Chọn các món đồ để thử lần lượt trên ảnh mẫu hiện tại',
+            summary: '{count} lượt · 💎 {cost} gems',
+            start: 'Bắt đầu',
+            stop: 'Dừng',
+            select_all: 'Chọn tất cả',
+            need_item: 'Hãy chọn món đồ muốn thử trước',
+            need_model: 'Hãy chọn ảnh mẫu trước',
+            no_candidates: 'Chưa có ảnh nào để thử hàng loạt',
+            busy: 'Đang có lượt thử đồ khác, vui lòng đợi',
+            max_reached: 'Tối đa {max} lượt mỗi lần',
+            insufficient: 'Cần {cost} gems nhưng bạn chỉ có {balance} gems',
+            confirm_title: 'Thử đồ hàng loạt',
+            confirm_message: 'Chạy {count} lượt thử đồ, tối đa {concurrency} lượt cùng lúc. Kết quả sẽ hiện trong bộ sưu tập ngay khi xong.',
+            finished: 'Xong {done}/{total} lượt thử đồ',
+            status: {
+                queued: 'Chờ',
+                running: 'Đang thử',
+                waiting: 'Chờ giới hạn',
+                done: 'Xong',
+                failed: 'Lỗi',
+                cancelled: 'Đã huỷ',
+            },
+        },
+        size_recommendation: {
+            title: 'Size đề xuất',
+            action: 'Số đo',
+            fit_good_plain: 'Vừa vặn theo số đo của bạn',
+            fit_snug: 'Có thể hơi chật — cân nhắc size {size}',
+            fit_snug_plain: 'Có thể hơi chật',
+            fit_relaxed: 'Có thể hơi rộng — cân nhắc size {size}',
+            fit_relaxed_plain: 'Có thể hơi rộng',
+            fit_mixed_plain: 'Chỗ vừa chỗ không — xem từng số đo bên dưới',
+            detail: 'bạn {body} cm · size {range} cm',
+            status: {
+                fit: 'Vừa',
+                tight: 'Chật',
+                loose: 'Rộng',
+            },
+            dimension: {
+                height: 'Chiều cao',
+                chest: 'Vòng ngực',
+                waist: 'Vòng eo',
+                hips: 'Vòng mông',
+                inseam: 'Dài chân trong',
+                footLength: 'Dài bàn chân',
+            },
+            no_profile: 'Trang này có bảng size. Nhập số đo để được gợi ý size',
+            add_measurements: 'Nhập số đo',
+            edit_measurements: 'Sửa số đo cơ thể',
+            modal_title: 'Số đo cơ thể',
+            modal_hint: 'Chỉ lưu cho ảnh mẫu này. Không biết số nào thì để trống.',
+            unit_label: 'Đơn vị',
+            save: 'Lưu số đo',
+            cancel: 'Huỷ',
+            saved: 'Đã lưu số đo',
+            invalid: 'Kiểm tra lại {field}',
+            need_saved_model: 'Lưu ảnh mẫu này trước để nhập số đo',
+        },
+        site_rules: {
+            menu: 'Cài đặt theo trang',
+            title: 'Cài đặt theo trang',
+            hint: 'Luôn bật: hiện nút thử đồ trên mọi trang của site. Không bao giờ: tắt Fitly trên site. Tự động: Fitly tự nhận diện trang thời trang.',
+            domain_placeholder: 'vd: shop.vn',
+            add: 'Thêm',
+            empty: 'Chưa có luật nào',
+            remove: 'Xoá luật',
+            saved: 'Đã lưu luật cho {domain}',
+            removed: 'Đã xoá luật cho {domain}',
+            invalid_domain: 'Domain không hợp lệ, vd: shop.vn',
+            sensitivity_label: 'Độ nhạy tự nhận diện',
+            debug_label: 'Hiện lý do nhận diện trên trang (debug)',
+            sensitivity_saved: 'Đã đổi độ nhạy nhận diện',
+            sensitivity: {
+                strict: 'Chặt',
+                balanced: 'Cân bằng',
+                relaxed: 'Rộng',
+            },
+            mode: {
+                always: 'Luôn bật',
+                auto: 'Tự động',
+                never: 'Không bao giờ',
+            },
+        },
+        keyboard_shortcuts: {
+            customize: 'Đổi phím tắt',
+            busy: 'Đang có lượt thử đồ chạy',
+            need_more_models: 'Cần lưu ít nhất 2 ảnh mẫu để đổi ảnh mẫu bằng phím tắt',
+            commands: {
+                'try-on-image': 'Thử đồ ảnh đang trỏ chuột',
+                'add-to-wardrobe': 'Thêm ảnh đang trỏ chuột vào tủ đồ',
+                'toggle-side-panel': 'Mở / đóng Fitly',
+                'retry-next-model': 'Thử lại lần vừa rồi với ảnh mẫu kế tiếp',
+            },
+        },
+        wardrobe_search_placeholder: 'Tìm tên, tag, thương hiệu, shop, màu...',
+        wardrobe_collections: {
+            new: 'Bộ sưu tập mới',
+            new_title: 'Bộ sưu tập mới',
+            edit_title: 'Sửa bộ sưu tập',
+            hint: 'Món mới khớp mọi điều kiện sẽ tự vào bộ sưu tập. Để trống điều kiện nào thì bỏ qua điều kiện đó.',
+            name_label: 'Tên',
+            name_placeholder: 'vd: Áo xanh đi làm',
+            query_label: 'Có chữ',
+            category_label: 'Loại',
+            color_label: 'Màu',
+            pattern_label: 'Hoạ tiết',
+            added_label: 'Thêm vào',
+            domain_label: 'Shop',
+            domain_placeholder: 'vd: zara.com',
+            tags_label: 'Tag',
+            any: 'Bất kỳ',
+            added: {
+                last_7_days: '7 ngày qua',
+                last_30_days: '30 ngày qua',
+                this_year: 'Năm nay',
+            },
+            save: 'Lưu',
+            delete: 'Xoá',
+            cancel: 'Huỷ',
+            saved: 'Đã lưu bộ sưu tập "{name}"',
+            deleted: 'Đã xoá bộ sưu tập',
+            error: {
+                NAME_REQUIRED: 'Hãy đặt tên cho bộ sưu tập',
+                RULES_REQUIRED: 'Thêm ít nhất một điều kiện',
+                TOO_MANY_COLLECTIONS: 'Đã đạt số bộ sưu tập tối đa',
+                COLLECTION_NOT_FOUND: 'Bộ sưu tập này không còn nữa',
+                UNKNOWN: 'Không lưu được bộ sưu tập',
+            },
+        },
+        wardrobe_tags: {
+            edit: 'Tag & ghi chú',
+            title: 'Tag & ghi chú',
+            tags_label: 'Tag (cách nhau bằng dấu phẩy)',
+            tags_placeholder: 'đi làm, mùa hè',
+            notes_label: 'Ghi chú',
+            notes_placeholder: 'vd: mặc size M, giặt tay',
+            save: 'Lưu',
+            cancel: 'Huỷ',
+            saved: 'Đã lưu tag',
+            failed: 'Không lưu được tag',
+        },
+        price_tracking: {
+            open: 'Lịch sử giá',
+            title: 'Theo dõi giá',
+            saved_price: 'Lúc lưu {price}',
+            current_price: 'Hiện tại {price}',
+            history: 'Lịch sử giá',
+            source: {
+                saved: 'Lúc lưu',
+                alarm: 'Tự kiểm tra',
+                visit: 'Mở lại trang',
+            },
+            target_label: 'Báo khi giá bằng hoặc dưới',
+            target_placeholder: 'Để trống để dùng ngưỡng giảm giá',
+            drop_label: 'Ngưỡng giảm giá (%)',
+            drop_hint: 'Áp dụng cho mọi món chưa đặt giá mong muốn',
+            invalid_drop: 'Ngưỡng giảm giá phải từ 1 đến 99%',
+            check_now: 'Kiểm tra ngay',
+            checked: 'Đã kiểm tra {count} món',
+            not_tracked: 'Món này chưa có giá để theo dõi',
+            save: 'Lưu',
+            cancel: 'Huỷ',
+            saved: 'Đã lưu cảnh báo giá',
+            failed: 'Không lưu được cảnh báo giá',
+        },
+        outfit_builder: {
+            open: 'Bộ phối',
+            open_tip: 'Phối đồ theo từng vị trí',
+            title: 'Bộ phối đồ',
+            slot: {
+                top: 'Áo',
+                bottom_or_dress: 'Quần / váy',
+                outerwear: 'Áo khoác',
+                shoes: 'Giày',
+                accessories: 'Phụ kiện',
+            },
+            pick_for: 'Chọn món cho ô {slot}',
+            no_items: 'Chưa có món {slot} nào trong tủ đồ hoặc đồ vừa thử',
+            unsupported_category: 'Món này không thuộc ô nào',
+            conflict: {
+                dress_with_top: 'Váy liền đã che phần áo — bỏ món ở ô {slot} hoặc bỏ váy',
+                dress_with_bottom: 'Váy liền không mặc cùng quần được',
+                wrong_slot: 'Món ở ô {slot} không còn thuộc ô này',
+                no_garment: 'Thêm áo, quần, váy hoặc áo khoác để thử',
+            },
+            conflicts_found: 'Sửa chỗ xung đột trong bộ phối trước khi thử',
+            from_selection: 'Lấy món đang chọn',
+            selection_empty: 'Hãy chọn món đồ trước',
+            selection_trimmed: '{count} món không còn ô trống nên bị bỏ',
+            name_label: 'Tên bộ phối',
+            name_placeholder: 'vd: Đi làm thứ Hai',
+            save: 'Lưu bộ phối',
+            try_on: 'Thử ngay',
+            saved: 'Đã lưu bộ phối "{name}"',
+            deleted: 'Đã xoá bộ phối',
+            templates_title: 'Bộ phối đã lưu',
+            no_templates: 'Lưu bộ phối để thử lại trên ảnh mẫu bất kỳ',
+            try_template: 'Thử trên ảnh mẫu đang chọn',
+            edit_template: 'Sửa',
+            delete_template: 'Xoá',
+            tried_count: 'Đã thử {count} lần',
+            never_tried: 'Chưa thử lần nào',
+            error: {
+                NAME_REQUIRED: 'Hãy đặt tên cho bộ phối',
+                SLOTS_REQUIRED: 'Thêm ít nhất một món',
+                SLOT_CONFLICT: 'Sửa chỗ xung đột trong bộ phối trước khi lưu',
+                TOO_MANY_TEMPLATES: 'Đã đạt số bộ phối tối đa',
+                UNKNOWN: 'Không lưu được bộ phối',
+            },
+        },
+        garment_styling: {
+            open: 'Cách mặc',
+            open_tip: 'Chọn cách mặc từng món và thứ tự lớp',
+            title: 'Cách mặc',
+            layers_hint: 'Từ lớp trong cùng (sát người) ra lớp ngoài cùng',
+            layer: 'Lớp {n}',
+            move_in: 'Đưa vào trong một lớp',
+            move_out: 'Đưa ra ngoài một lớp',
+            auto: 'Tự động',
+            option: {
+                tuck: 'Sơ vin',
+                front: 'Vạt trước',
+                sleeves: 'Tay áo',
+                collar: 'Cổ áo',
+            },
+            value: {
+                tuck: { in: 'Sơ vin', half: 'Sơ vin một nửa', out: 'Bỏ ngoài' },
+                front: { open: 'Mở', closed: 'Cài kín' },
+                sleeves: { rolled: 'Xắn lên', down: 'Để dài' },
+                collar: { up: 'Dựng cổ', down: 'Bẻ xuống', open: 'Mở cúc cổ' },
+            },
+            reset: 'Để AI tự chọn',
+            apply: 'Áp dụng',
+            applied: 'Đã lưu cách mặc cho lần thử tiếp theo',
+            no_items: 'Hãy chọn món đồ trước',
+        },
+        color: {
+            black: 'Đen',
+            white: 'Trắng',
+            gray: 'Xám',
+            beige: 'Be',
+            brown: 'Nâu',
+            red: 'Đỏ',
+            pink: 'Hồng',
+            orange: 'Cam',
+            yellow: 'Vàng',
+            green: 'Xanh lá',
+            blue: 'Xanh dương',
+            navy: 'Xanh navy',
+            purple: 'Tím',
+        },
+        pattern: {
+            solid: 'Trơn',
+            striped: 'Kẻ sọc',
+            checked: 'Caro',
+            floral: 'Hoa',
+            printed: 'In hình',
+        },
+        similar_items: {
+            title: 'Món tương tự',
+            find: 'Tìm món tương tự',
+            searching: 'Đang tìm ảnh tương tự…',
+            count: '{count} ảnh tương tự trong tủ đồ, đồ vừa thử, ảnh mẫu và outfit.',
+            empty: 'Chưa lưu món nào tương tự.',
+            failed: 'Không đọc được ảnh này. Thử lại sau.',
+            match: 'Giống {percent}%',
+            duplicate_added: 'Đã lưu — món này trông giống "{name}" đã có trong tủ đồ',
+            similar_added: 'đã có {count} món tương tự',
+            kind: {
+                wardrobe: 'Tủ đồ',
+                recent: 'Vừa thử',
+                model: 'Ảnh mẫu',
+                outfit: 'Outfit',
+            },
+        },
+        gallery_picker: {
+            title: 'Chọn ảnh để thử',
+            count: 'Sản phẩm có {count} ảnh.',
+            hint: 'Ảnh trải phẳng / ma-nơ-canh cho kết quả đẹp nhất nên được xếp lên đầu.',
+            auto_best: 'Lần sau tự gửi ảnh tốt nhất, không hỏi',
+            cancel: 'Huỷ',
+            use_best: 'Dùng ảnh tốt nhất',
+            clicked: 'Ảnh bạn bấm',
+            change: 'Chọn ảnh khác',
+            auto_picked: 'Đã chọn ảnh tốt nhất trong {count} ảnh của sản phẩm',
+            shot: {
+                flatlay: 'Trải phẳng',
+                model: 'Người mẫu',
+                back: 'Mặt sau',
+                detail: 'Chi tiết',
+                other: 'Sản phẩm',
+            },
+        },
+        region_capture: {
+            hint: 'Kéo khung quanh món đồ · Esc để huỷ',
+            try_on: '👗 Thử đồ',
+            add_wardrobe: '🗂️ Tủ đồ',
+            use_as_model: '🧍 Ảnh mẫu',
+            cancel: 'Huỷ',
+            capture_failed: 'Không thể chụp trang này. Hãy lưu ảnh về máy rồi tải lên trong Fitly.',
+            error_btn: '📸 Chụp vùng ảnh',
+            blob_url: 'Ảnh này chỉ tồn tại trong trang. Hãy kéo khung quanh món đồ để chụp.',
+        },
+        video_frame: {
+            try_on: '👗 Thử đồ',
+            add_wardrobe: '🗂️ Tủ đồ',
+            use_as_model: '🧍 Ảnh mẫu',
+            close: 'Đóng',
+            step_back: 'Khung hình trước (←)',
+            step_forward: 'Khung hình sau (→)',
+        },
         error_overlay: {
             title: 'Huhu, lỗi mất rồi... 🥺',
             apology: 'Mình xin lỗi bạn nhiều nha, thử lại giúp mình~',
@@ -425,6 +822,7 @@
             top: 'Áo',
             bottom: 'Quần',
             dress: 'Váy',
+            outerwear: 'Áo khoác',
             shoes: 'Giày',
             accessories: 'Phụ kiện'
         },
@@ -479,6 +877,11 @@
             added: 'Đã thêm!',
             tooltip_try: 'Thử đồ với Fitly',
             tooltip_wardrobe: 'Thêm vào tủ đồ Fitly',
+            try_gallery: 'Tất cả ảnh',
+            tooltip_gallery: 'Thử ảnh đẹp nhất của sản phẩm này',
+            use_as_model: 'Ảnh mẫu',
+            tooltip_model: 'Dùng khung hình này làm ảnh mẫu của bạn',
+            tooltip_frame: 'Chọn khung hình khác',
         },
 
         // Help Page
@@ -102,6 +102,53 @@
         weeks_ago: '{count}周前',
         months_ago: '{count}个月前',
 
+        // Categories
+        category: {
+            top: '上装',
+            bottom: '下装',
+            dress: '连衣裙',
+            outerwear: '外套',
+            shoes: '鞋子',
+            accessories: '配饰',
+            other: '其他'
+        },
+        subcategory: {
+            't-shirt': 'T恤',
+            shirt: '衬衫',
+            blouse: '雪纺衫',
+            knit: '针织衫',
+            polo: 'Polo衫',
+            'tank-top': '背心',
+            jeans: '牛仔裤',
+            trousers: '西裤',
+            skirt: '半身裙',
+            shorts: '短裤',
+            leggings: '打底裤',
+            'mini-dress': '短款连衣裙',
+            'midi-dress': '中长连衣裙',
+            'maxi-dress': '长款连衣裙',
+            jumpsuit: '连体裤',
+            jacket: '夹克',
+            blazer: '西装外套',
+            coat: '大衣',
+            cardigan: '开衫',
+            hoodie: '卫衣',
+            puffer: '羽绒服',
+            sneakers: '运动鞋',
+            heels: '高跟鞋',
+            boots: '靴子',
+            sandals: '凉鞋',
+            loafers: '乐福鞋',
+            flats: '平底鞋',
+            bag: '包包',
+            hat: '帽子',
+            belt: '腰带',
+            scarf: '围巾',
+            jewelry: '首饰',
+            eyewear: '眼镜',
+            watch: '手表'
+        },
+
         // Hover Button (Content Script)
         hover_btn: {
             try_on: '试穿',
@@ -111,6 +158,11 @@
             added: '已添加！',
             tooltip_try: '用Fitly试穿',
             tooltip_wardrobe: '添加到Fitly衣柜',
+            try_gallery: '全部图片',
+            tooltip_gallery: '用该商品的最佳图片试穿',
+            use_as_model: '模特',
+            tooltip_model: '将此帧用作你的模特照片',
+            tooltip_frame: '选择其他帧',
         },
     };
 })(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -0,0 +1,120 @@
+/**
+ * File: outfit_slots.js
+ * Purpose: Luật ô (slot) của trình phối đồ — mỗi món thuộc một vị trí trên người (áo, quần / váy, áo khoác,
+ *          giày, phụ kiện); sidebar (outfit builder, sắp xếp món đã chọn) và service worker
+ *          (background/outfit_templates.js) kiểm tra xung đột giống nhau
+ * Layer: Shared Utility
+ *
+ * Data Contract:
+ * - Exports: global FitlyOutfitSlots { SLOTS, TRYON_ORDER, slotForCategory, placeItem, findConflicts,
+ *   toTryOnItems, sortForTryOn, normalizeSlots, hasItems }
+ * - Slots: { top?, bottom_or_dress?, outerwear?, shoes?, accessories? } — mỗi ô một item
+ *   { id?, imageUrl, name?, category, subcategory?, sourceUrl? }
+ * - Conflict: { type: 'dress_with_top' | 'dress_with_bottom' | 'wrong_slot' | 'no_garment', slot? }
+ *
+ * Flow:
+ * 1. Chọn món cho một ô → slotForCategory quyết định ô, placeItem thay món cũ cùng ô
+ * 2. Trước khi gửi try-on / lưu template → findConflicts
+ * 3. toTryOnItems → danh sách phẳng theo TRYON_ORDER (món chính đứng đầu) cho state.selectedItems
+ *
+ * Edge Cases:
+ * - Váy liền chiếm cả ô quần nên không thể kèm quần; váy + áo vẫn bị báo — AI sẽ bỏ một trong hai
+ * - Template cũ có món đã bị đổi category (sửa nhận diện) → 'wrong_slot' thay vì gửi sai vị trí
+ * - Category 'other' / 'outfit' không có ô → placeItem trả error UNSUPPORTED_CATEGORY
+ */
+
+(function (global) {
+
+    const SLOTS = ['top', 'bottom_or_dress', 'outerwear', 'shoes', 'accessories'];
+
+    // Lớp nền (váy / áo) trước → quần → áo khoác → giày → phụ kiện; món đầu tiên là món chính của try-on
+    const TRYON_ORDER = ['dress', 'top', 'bottom', 'outerwear', 'shoes', 'accessories'];
+
+    const SLOT_BY_CATEGORY = {
+        top: 'top',
+        bottom: 'bottom_or_dress',
+        dress: 'bottom_or_dress',
+        outerwear: 'outerwear',
+        shoes: 'shoes',
+        accessories: 'accessories',
+    };
+
+    const ITEM_FIELDS = ['id', 'imageUrl', 'name', 'category', 'subcategory', 'sourceUrl'];
+
+    function slotForCategory(category) {
+        return SLOT_BY_CATEGORY[category] || null;
+    }
+
+    /** Slots mới với item ở ô của nó; replaced = món cũ bị thay (nếu có) */
+    function placeItem(slots, item) {
+        const slot = slotForCategory(item?.category);
+        if (!slot) return { slots, replaced: null, error: 'UNSUPPORTED_CATEGORY' };
+        return { slots: { ...slots, [slot]: item }, replaced: slots[slot] || null, slot };
+    }
+
+    function findConflicts(slots = {}) {
+        const conflicts = [];
+        const filled = SLOTS.filter(slot => slots[slot]);
+        for (const slot of filled) {
+            if (slotForCategory(slots[slot].category) !== slot) conflicts.push({ type: 'wrong_slot', slot });
+        }
+
+        const categories = filled.map(slot => slots[slot].category);
+        if (categories.includes('dress')) {
+            if (categories.includes('top')) conflicts.push({ type: 'dress_with_top', slot: 'top' });
+            if (categories.includes('bottom')) conflicts.push({ type: 'dress_with_bottom', slot: 'bottom_or_dress' });
+        }
+        // Chỉ giày / phụ kiện thì không có gì để mặc lên ảnh mẫu
+        if (!['top', 'bottom_or_dress', 'outerwear'].some(slot => slots[slot])) conflicts.push({ type: 'no_garment' });
+        return conflicts;
+    }
+
+    function tryOnRank(item) {
+        const rank = TRYON_ORDER.indexOf(item?.category);
+        return rank === -1 ? TRYON_ORDER.length : rank;
+    }
+
+    /** Bản sắp xếp mới (không sửa mảng gốc) — cùng thứ tự cho chế độ phối đồ và outfit builder */
+    function sortForTryOn(items) {
+        return [...items].sort((a, b) => tryOnRank(a) - tryOnRank(b));
+    }
+
+    function toTryOnItems(slots = {}) {
+        return sortForTryOn(SLOTS.map(slot => slots[slot]).filter(Boolean));
+    }
+
+    function normalizeItem(item) {
+        if (!item || typeof item.imageUrl !== 'string' || !item.imageUrl) return null;
+        const normalized = {};
+        for (const field of ITEM_FIELDS) {
+            if (item[field] != null && item[field] !== '') normalized[field] = String(item[field]);
+        }
+        return normalized;
+    }
+
+    /** Bỏ ô lạ, món không có ảnh và field thừa (ảnh preview, product, ...) trước khi lưu template */
+    function normalizeSlots(slots = {}) {
+        const normalized = {};
+        for (const slot of SLOTS) {
+            const item = normalizeItem(slots?.[slot]);
+            if (item) normalized[slot] = item;
+        }
+        return normalized;
+    }
+
+    function hasItems(slots) {
+        return !!slots && SLOTS.some(slot => slots[slot]);
+    }
+
+    global.FitlyOutfitSlots = {
+        SLOTS,
+        TRYON_ORDER,
+        slotForCategory,
+        placeItem,
+        findConflicts,
+        toTryOnItems,
+        sortForTryOn,
+        normalizeSlots,
+        hasItems,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -0,0 +1,118 @@
+/**
+ * File: shadow_host.js
+ * Purpose: Mỗi feature inject vào trang (nút hover, popup kết quả, thông báo, login overlay) sống trong
+ *          1 host element riêng + closed shadow root + stylesheet riêng — CSS của trang không lọt vào, CSS của mình không lọt ra
+ * Layer: Shared UI Infrastructure
+ *
+ * Data Contract:
+ * - Exports: global FitlyShadowHost { getShadowRoot, isFitlyHost, setHostsHidden, getOpenShadowRoots, queryAllDeep }
+ * - Host: custom element (vd <fitly-result-popups>) gắn vào <html>, kích thước 0, position fixed
+ *   → phần tử con position: fixed vẫn định vị theo viewport
+ * - getOpenShadowRoots / queryAllDeep: đọc ảnh trong web component của trang (shadow root mode 'open')
+ *
+ * Flow:
+ * 1. Lần đầu getShadowRoot(tag, css) → tạo host, attachShadow({ mode: 'closed' }), chèn <style>
+ * 2. Các lần sau → trả về cùng root (giữ trong Map, trang không lấy được qua host.shadowRoot)
+ *
+ * Edge Cases:
+ * - SPA / trang thay DOM làm rơi host → gắn lại host cũ (giữ nguyên popup đang mở) ở lần gọi kế tiếp
+ * - Trang đặt style cho mọi phần tử (* { ... }) → style inline !important + all: initial trên host thắng
+ */
+
+(function (global) {
+
+    const HOST_ATTRIBUTE = 'data-fitly-host';
+
+    /** Style inline của host — all: initial cắt kế thừa font / màu / line-height từ trang */
+    const BASE_HOST_STYLES = {
+        all: 'initial',
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        width: '0',
+        height: '0',
+        'z-index': '2147483647',
+        'font-family': "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+        'font-size': '14px',
+        'line-height': 'normal',
+    };
+
+    /** tagName → closed ShadowRoot */
+    const roots = new Map();
+
+    /**
+     * getShadowRoot — Shadow root của 1 feature, tạo host ở lần gọi đầu
+     * Input: tagName (custom element, có dấu '-'), cssText (stylesheet riêng của feature),
+     *        hostStyles (ghi đè BASE_HOST_STYLES, vd z-index)
+     * Output: ShadowRoot (mode closed) — root.host là host element
+     */
+    function getShadowRoot(tagName, cssText = '', hostStyles = {}) {
+        let root = roots.get(tagName);
+
+        if (!root) {
+            const host = document.createElement(tagName);
+            host.setAttribute(HOST_ATTRIBUTE, '');
+            Object.entries({ ...BASE_HOST_STYLES, ...hostStyles }).forEach(([prop, value]) => {
+                host.style.setProperty(prop, value, 'important');
+            });
+
+            root = host.attachShadow({ mode: 'closed' });
+            const style = document.createElement('style');
+            style.textContent = cssText;
+            root.appendChild(style);
+            roots.set(tagName, root);
+        }
+
+        if (!root.host.isConnected) {
+            document.documentElement.appendChild(root.host);
+        }
+        return root;
+    }
+
+    /** Event từ trong shadow root bị retarget thành host — dùng để bỏ qua UI của chính mình */
+    function isFitlyHost(node) {
+        return Boolean(node?.hasAttribute?.(HOST_ATTRIBUTE));
+    }
+
+    /** Ẩn / hiện mọi UI của Fitly trên trang — chụp khung nhìn không dính nút hover, overlay, toast */
+    function setHostsHidden(hidden) {
+        roots.forEach(root => {
+            if (hidden) root.host.style.setProperty('visibility', 'hidden', 'important');
+            else root.host.style.removeProperty('visibility');
+        });
+    }
+
+    /**
+     * getOpenShadowRoots — Shadow root mở của trang nằm trong root (kể cả lồng nhau), theo thứ tự DOM
+     * Root closed (của trang hay của Fitly) không đọc được qua element.shadowRoot → tự bỏ qua
+     */
+    function getOpenShadowRoots(root) {
+        const found = [];
+        const walk = (node) => {
+            const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+            for (let el = walker.currentNode; el; el = walker.nextNode()) {
+                if (el.shadowRoot && !isFitlyHost(el)) {
+                    found.push(el.shadowRoot);
+                    walk(el.shadowRoot);
+                }
+            }
+        };
+        walk(root);
+        return found;
+    }
+
+    /** querySelectorAll xuyên qua shadow root mở — storefront dựng bằng web component */
+    function queryAllDeep(root, selector) {
+        const results = [...root.querySelectorAll(selector)];
+        getOpenShadowRoots(root).forEach(shadow => results.push(...shadow.querySelectorAll(selector)));
+        return results;
+    }
+
+    global.FitlyShadowHost = {
+        getShadowRoot,
+        isFitlyHost,
+        setHostsHidden,
+        getOpenShadowRoots,
+        queryAllDeep,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -0,0 +1,122 @@
+/**
+ * File: wardrobe_query.js
+ * Purpose: Luật dùng chung cho tag / ghi chú và bộ lọc của smart collection trong tủ đồ — sidebar (sửa item,
+ *          dựng form collection) và service worker (background/wardrobe_search_index.js) chuẩn hoá giống nhau
+ * Layer: Shared Utility
+ *
+ * Data Contract:
+ * - Exports: global FitlyWardrobeQuery { MAX_TAGS, MAX_TAG_LENGTH, MAX_NOTES_LENGTH, ADDED_RANGES, normalizeTags,
+ *   normalizeNotes, normalizeRules, hasRules, addedSince, foldText, tokenize, sourceDomain }
+ * - Rules: { query?, category?, subcategory?, colors?: [name], pattern?, domains?: [domain], tags?: [tag], added? }
+ *   colors / domains / tags: khớp một trong các giá trị; các field khác nhau: phải khớp tất cả
+ *   added: 'last_7_days' | 'last_30_days' | 'this_year'
+ *
+ * Flow:
+ * 1. Sửa tag / ghi chú → normalizeTags / normalizeNotes trước khi lưu (UPDATE_WARDROBE_ITEM, updateWardrobeItem)
+ * 2. Lưu collection → normalizeRules bỏ field lạ / rỗng
+ * 3. Tìm kiếm → tokenize(query) và tokenize(tên, tag, brand, ...) trên cùng một bảng chữ đã bỏ dấu
+ *
+ * Edge Cases:
+ * - Gõ không dấu ("ao so mi") vẫn khớp "Áo sơ mi" — foldText bỏ dấu tiếng Việt, đ → d
+ * - Tag nhập "#Summer, summer ,  work" → ['summer', 'work'] (bỏ #, chữ thường, không trùng)
+ * - "this_year" tính theo giờ máy của user, không theo UTC
+ */
+
+(function (global) {
+
+    const MAX_TAGS = 20;
+    const MAX_TAG_LENGTH = 30;
+    const MAX_NOTES_LENGTH = 500;
+    const ADDED_RANGES = ['last_7_days', 'last_30_days', 'this_year'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function foldText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd');
+    }
+
+    function tokenize(text) {
+        return foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /** 'https://www.zara.com/vn/...' → 'zara.com'; chấp nhận cả domain trần user gõ vào form */
+    function sourceDomain(url) {
+        if (!url || url.startsWith('data:') || url.startsWith('blob:')) return null;
+        try {
+            const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`;
+            return new URL(withScheme).hostname.toLowerCase().replace(/^www\./, '') || null;
+        } catch (_urlErr) {
+            return null;
+        }
+    }
+
+    /** Chuỗi "a, b" hoặc mảng → tag chữ thường, không '#', không trùng, tối đa MAX_TAGS */
+    function normalizeTags(input) {
+        const raw = Array.isArray(input) ? input : String(input || '').split(/[,\n]/);
+        const tags = [];
+        for (const value of raw) {
+            const tag = String(value || '').trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH).trim();
+            if (tag && !tags.includes(tag)) tags.push(tag);
+            if (tags.length >= MAX_TAGS) break;
+        }
+        return tags;
+    }
+
+    function normalizeNotes(text) {
+        const notes = String(text || '').trim().slice(0, MAX_NOTES_LENGTH);
+        return notes || null;
+    }
+
+    function normalizeList(values, normalize) {
+        const list = (Array.isArray(values) ? values : [values]).map(normalize).filter(Boolean);
+        return [...new Set(list)];
+    }
+
+    /** Bỏ field lạ / rỗng; trả {} khi không còn điều kiện nào */
+    function normalizeRules(rules = {}) {
+        const normalized = {};
+        const query = String(rules.query || '').trim();
+        if (query) normalized.query = query;
+        if (rules.category && rules.category !== 'all') normalized.category = String(rules.category);
+        if (normalized.category && rules.subcategory) normalized.subcategory = String(rules.subcategory);
+        const colors = normalizeList(rules.colors || [], value => String(value || '').trim().toLowerCase());
+        if (colors.length > 0) normalized.colors = colors;
+        if (rules.pattern) normalized.pattern = String(rules.pattern);
+        const domains = normalizeList(rules.domains || [], sourceDomain);
+        if (domains.length > 0) normalized.domains = domains;
+        const tags = normalizeTags(rules.tags || []);
+        if (tags.length > 0) normalized.tags = tags;
+        if (ADDED_RANGES.includes(rules.added)) normalized.added = rules.added;
+        return normalized;
+    }
+
+    function hasRules(rules) {
+        return !!rules && Object.keys(rules).length > 0;
+    }
+
+    /** Mốc thời gian (ms) bắt đầu khoảng 'added', null khi không lọc theo ngày thêm */
+    function addedSince(range, now = Date.now()) {
+        if (range === 'last_7_days') return now - 7 * DAY_MS;
+        if (range === 'last_30_days') return now - 30 * DAY_MS;
+        if (range === 'this_year') return new Date(new Date(now).getFullYear(), 0, 1).getTime();
+        return null;
+    }
+
+    global.FitlyWardrobeQuery = {
+        MAX_TAGS,
+        MAX_TAG_LENGTH,
+        MAX_NOTES_LENGTH,
+        ADDED_RANGES,
+        normalizeTags,
+        normalizeNotes,
+        normalizeRules,
+        hasRules,
+        addedSince,
+        foldText,
+        tokenize,
+        sourceDomain,
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : self));
@@ -10,6 +10,7 @@
  * 2. Show auth section (login) hoặc main section (logged in)
  * 3. Toggle dropdown menu khi click vào user-info
  * 4. Handle menu item actions (sidebar, wardrobe, web app, gems, logout)
+ * 5. "Bật trên trang này" — luật theo site cho tab đang mở (lib/fashion_sites.js)
  */
 
 // State
@@ -47,8 +48,15 @@ const elements = {
     menuWebapp: $('menu-webapp'),
     menuCredits: $('menu-credits'),
     menuLogout: $('menu-logout'),
+    // Per-site control
+    siteControl: $('site-control'),
+    siteControlDomain: $('site-control-domain'),
+    siteModeSelect: $('site-mode-select'),
 };
 
+// Domain đang chỉnh trong popup (luật đang áp dụng cho tab, hoặc hostname của tab)
+let siteControlDomain = null;
+
 // ==========================================
 // INIT
 // ==========================================
@@ -71,6 +79,7 @@ async function init() {
     }
 
     setupEventListeners();
+    loadSiteControl();
 }
 
 async function checkAuthState() {
@@ -161,6 +170,44 @@ function showMainSection() {
     }
 }
 
+// ==========================================
+// PER-SITE CONTROL
+// ==========================================
+
+/**
+ * Hiển thị luật của site đang mở. Subdomain thừa hưởng luật của domain cha
+ * (đặt cho shop.vn thì m.shop.vn cũng theo) → chỉnh đúng luật đang áp dụng.
+ */
+async function loadSiteControl() {
+    const siteRules = window.FitlySiteRules;
+    if (!siteRules || !elements.siteControl) return;
+
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.url || !/^https?:/.test(tab.url)) return;
+
+        const hostname = new URL(tab.url).hostname;
+        const rule = siteRules.findSiteRule(hostname, await siteRules.loadSiteRules());
+        siteControlDomain = rule?.domain || siteRules.normalizeDomain(hostname);
+        if (!siteControlDomain) return;
+
+        elements.siteControlDomain.textContent = siteControlDomain;
+        elements.siteModeSelect.value = rule?.mode || 'auto';
+        elements.siteControl.classList.remove('hidden');
+    } catch (error) {
+        console.warn('Load site rule failed:', error);
+    }
+}
+
+async function handleSiteModeChange() {
+    if (!siteControlDomain) return;
+    const result = await window.FitlySiteRules.setSiteRule(siteControlDomain, elements.siteModeSelect.value);
+    if (!result.success) {
+        console.warn('Save site rule failed:', result.error);
+    }
+    // Content script nghe storage.onChanged → gắn / gỡ nút hover ngay, không cần reload tab
+}
+
 // ==========================================
 // DROPDOWN MENU TOGGLE
 // ==========================================
@@ -322,6 +369,9 @@ function setupEventListeners() {
         window.close();
     });
 
+    // Per-site rule for the current tab
+    elements.siteModeSelect?.addEventListener('change', handleSiteModeChange);
+
     // Gems badge click - go to profile to buy gems
     elements.gemsBadge?.addEventListener('click', () => {
         chrome.tabs.create({ url: 'http://localhost:3000/profile' });
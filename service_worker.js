@@ -7,53 +7,111 @@
  * 2. Setup message routing
  * 3. Handle installation events
  * 4. Setup auto-sync and proactive auth refresh
+ * 5. Resume durable try-on jobs (startup + chrome.alarms)
+ * 6. Reconcile gem ledger — tự hoàn gems cho request lỗi / bị kẹt (startup + chrome.alarms)
+ * 7. Relay tiến độ try-on thật qua chrome.runtime.Port (sidebar + popup trong trang)
+ * 8. Theo dõi giá món trong tủ đồ (chrome.alarms) + nút trên notification giảm giá
+ * 9. Phím tắt (chrome.commands) — thử đồ / thêm tủ đồ ảnh đang trỏ, bật tắt sidebar, thử với ảnh mẫu kế tiếp
+ * 10. Context menu "Chụp vùng màn hình" — overlay chọn vùng ở frame chính (capture_visible_region.js)
+ * 11. Chuột phải vào <video> → khung hình hiện tại thay cho URL file video
+ * 12. Nút hover trong iframe (content script all_frames) → gắn frameId + URL của tab (frame_routing.js)
+ * 13. Cài / cập nhật extension → chuẩn hoá category + subcategory của item lưu local (migrate_garment_taxonomy.js)
+ * 14. Phân tích màu + hoạ tiết cho item tủ đồ cũ chạy nền theo lô (chrome.alarms, garment_attribute_backfill.js)
+ * 15. Chỉ mục tìm kiếm tủ đồ trong bộ nhớ, làm mới theo storage.onChanged (wardrobe_search_index.js)
  */
 
-import { createContextMenus, handleContextTryonImage, handleContextAddWardrobe } from './background/context_menus.js';
+import { createContextMenus, openSidePanel, handleContextTryonImage, handleContextAddWardrobe, handleContextTryGallery, handleContextUseAsModel } from './background/context_menus.js';
 import { handleMessage } from './background/message_routing.js';
 import { updateCachedAuthState, restoreSupabaseSession, getAuthToken } from './background/auth_state_manager.js';
 import { syncFromCloud, startAutoSync, stopAutoSync } from './background/cloud_sync.js';
 import { supabase } from './extension/config.js';
 import { markSessionReady } from './background/session_ready_gate.js';
+import { resumeTryonJobs, handleTryonJobAlarm } from './background/tryon_job_queue.js';
+import { reconcileGemLedger, ensureGemLedgerAlarm, handleGemLedgerAlarm } from './background/gem_ledger.js';
+import { setupTryonProgressPorts } from './background/tryon_progress.js';
+import { ensurePriceCheckAlarm, handlePriceCheckAlarm, handlePriceNotificationClick } from './background/price_tracker.js';
+import { handleCommand } from './background/keyboard_commands.js';
+import { startRegionCapture, handleRegionCaptured, handleContextVideoFrame } from './background/capture_visible_region.js';
+import { fromSenderFrame } from './background/frame_routing.js';
+import { migrateGarmentTaxonomy } from './background/migrate_garment_taxonomy.js';
+import { ensureAttributeBackfillAlarm, handleAttributeBackfillAlarm } from './background/garment_attribute_backfill.js';
+import { watchWardrobeIndex } from './background/wardrobe_search_index.js';
 
 // Khởi tạo Context Menus khi extension được cài đặt hoặc cập nhật
 chrome.runtime.onInstalled.addListener(() => {
     createContextMenus();
+    migrateGarmentTaxonomy().catch(error => console.warn('[Fitly] Garment taxonomy migration failed:', error));
 });
 
+/** Context menu item → mục đích của khung hình video */
+const VIDEO_FRAME_PURPOSES = {
+    'fitly-try-on': 'tryon',
+    'fitly-add-wardrobe': 'wardrobe',
+    'fitly-use-as-model': 'model',
+};
+
 // Lắng nghe Context Menu clicks và route đến đúng handler
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
     try {
+        // Mở sidebar TRƯỚC mọi await (user gesture) — đọc session bên dưới cần await
+        const panelOpening = openSidePanel(tab);
+
+        // Chụp vùng màn hình không cần URL ảnh — ảnh lấy từ khung user kéo trên trang
+        if (info.menuItemId === 'fitly-capture-region') {
+            if (await panelOpening) await startRegionCapture(tab, { sidePanelOpen: true });
+            return;
+        }
+
+        // <video>: srcUrl là file video — lấy khung hình đang hiện
+        if (info.mediaType === 'video' && VIDEO_FRAME_PURPOSES[info.menuItemId]) {
+            if (await panelOpening) {
+                await handleContextVideoFrame({
+                    srcUrl: info.srcUrl,
+                    pageUrl: info.pageUrl,
+                    frameId: info.frameId,
+                    purpose: VIDEO_FRAME_PURPOSES[info.menuItemId]
+                }, tab);
+            }
+            return;
+        }
+
         // Lấy URL ảnh từ context phù hợp
-        // Priority 1: srcUrl (thẻ <img> trực tiếp)
+        // Priority 1: srcUrl (thẻ <img> trực tiếp) — nếu content script đã detect cùng ảnh
+        //             thì dùng bản nét nhất nó tìm được (srcset / zoom / CDN), srcUrl thường là thumbnail
         // Priority 2: linkUrl (thẻ <a> với href là ảnh)
         // Priority 3: Session storage (background-image hoặc element phức tạp)
         let imageUrl = info.srcUrl || info.linkUrl || null;
         let altText = '';
         let nearbyText = '';
 
-        // Nếu không có srcUrl/linkUrl, thử lấy từ session storage (content script đã detect)
-        if (!imageUrl) {
-            try {
-                const session = await chrome.storage.session.get(['last_context_menu_image', 'last_context_menu_timestamp']);
-
-                // Chỉ dùng nếu detect trong vòng 2 giây (tránh dùng data cũ)
-                if (session.last_context_menu_image &&
-                    session.last_context_menu_timestamp &&
-                    (Date.now() - session.last_context_menu_timestamp) < 2000) {
+        let detected = null;
+        try {
+            const session = await chrome.storage.session.get(['last_context_menu_image', 'last_context_menu_timestamp']);
 
-                    imageUrl = session.last_context_menu_image.url;
-                    altText = session.last_context_menu_image.altText || '';
-                    nearbyText = session.last_context_menu_image.nearbyText || '';
-
-                }
-            } catch (e) {
-                console.warn('[Fitly] Failed to get context menu image from session:', e);
+            // Chỉ dùng nếu detect trong vòng 2 giây (tránh dùng data cũ)
+            if (session.last_context_menu_image &&
+                session.last_context_menu_timestamp &&
+                (Date.now() - session.last_context_menu_timestamp) < 2000) {
+                detected = session.last_context_menu_image;
             }
+        } catch (e) {
+            console.warn('[Fitly] Failed to get context menu image from session:', e);
+        }
+
+        if (!imageUrl && detected) {
+            // Không có srcUrl/linkUrl → dùng ảnh content script đã detect
+            imageUrl = detected.url;
+            altText = detected.altText || '';
+            nearbyText = detected.nearbyText || '';
+        } else if (detected?.url && info.srcUrl && detected.displayedUrl === info.srcUrl) {
+            imageUrl = detected.url;
         }
 
-        if (!imageUrl) {
+        const isGallery = info.menuItemId === 'fitly-try-gallery';
+
+        // "Thử tất cả ảnh" trên nền trang vẫn chạy được — content script tự tìm gallery của trang
+        if (!imageUrl && !isGallery) {
             console.warn('[Fitly] No image URL found in context menu click');
             // Hiển thị notification cho user
             chrome.notifications.create('no-image-' + Date.now(), {
@@ -64,20 +122,40 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             });
             return;
         }
+        if (!(await panelOpening)) return;
 
         if (info.menuItemId === 'fitly-try-on') {
             await handleContextTryonImage({
                 srcUrl: imageUrl,
                 pageUrl: info.pageUrl,
+                frameId: info.frameId,
                 altText,
-                nearbyText
+                nearbyText,
+                sidePanelOpen: true
             }, tab);
         } else if (info.menuItemId === 'fitly-add-wardrobe') {
             await handleContextAddWardrobe({
                 srcUrl: imageUrl,
                 pageUrl: info.pageUrl,
+                frameId: info.frameId,
+                altText,
+                nearbyText,
+                sidePanelOpen: true
+            }, tab);
+        } else if (isGallery) {
+            await handleContextTryGallery({
+                srcUrl: imageUrl,
+                pageUrl: info.pageUrl,
+                frameId: info.frameId,
                 altText,
-                nearbyText
+                nearbyText,
+                sidePanelOpen: true
+            }, tab);
+        } else if (info.menuItemId === 'fitly-use-as-model') {
+            await handleContextUseAsModel({
+                srcUrl: imageUrl,
+                pageUrl: info.pageUrl,
+                sidePanelOpen: true
             }, tab);
         }
     } catch (error) {
@@ -93,6 +171,34 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 });
 
 
+// Alarm listener phải đăng ký ở top-level để Chrome đánh thức SW khi alarm fire
+chrome.alarms.onAlarm.addListener((alarm) => {
+    handleTryonJobAlarm(alarm);
+    handleGemLedgerAlarm(alarm).catch(err => console.warn('[SW] Gem ledger reconcile failed:', err));
+    handlePriceCheckAlarm(alarm).catch(err => console.warn('[SW] Price check failed:', err));
+    handleAttributeBackfillAlarm(alarm).catch(err => console.warn('[SW] Garment attribute backfill failed:', err));
+});
+
+// Notification giảm giá: click thân → mở sản phẩm; nút "Mở sản phẩm" / "Thử đồ lại"
+chrome.notifications.onClicked.addListener((notificationId) => {
+    handlePriceNotificationClick(notificationId).catch(err => console.warn('[SW] Price notification click failed:', err));
+});
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    handlePriceNotificationClick(notificationId, buttonIndex).catch(err => console.warn('[SW] Price notification click failed:', err));
+});
+
+// Phím tắt — đăng ký top-level; handler mở sidebar trước mọi await để giữ user gesture
+chrome.commands.onCommand.addListener((command, tab) => {
+    handleCommand(command, tab).catch(err => console.warn('[SW] Keyboard command failed:', err));
+});
+
+// Progress port — onConnect cũng phải đăng ký ở top-level
+setupTryonProgressPorts();
+
+// Chỉ mục tìm kiếm tủ đồ — bỏ khi recent_clothing / demo_wardrobe đổi, dựng lại ở lần tìm sau
+watchWardrobeIndex();
+
+
 // Setup Message Routing
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Xử lý message STORE_CONTEXT_MENU_IMAGE từ content script
@@ -131,14 +237,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Going through handleMessage() causes: (1) delay from await sessionReady when SW restarts,
     // (2) user gesture context expires → sidePanel.open() fails.
     if (message.type === 'CONTEXT_TRYON_IMAGE') {
-        handleContextTryonImage(message.data, sender.tab)
+        handleContextTryonImage(fromSenderFrame(message.data, sender), sender.tab)
             .then(sendResponse)
             .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
     }
 
     if (message.type === 'CONTEXT_ADD_WARDROBE') {
-        handleContextAddWardrobe(message.data, sender.tab)
+        handleContextAddWardrobe(fromSenderFrame(message.data, sender), sender.tab)
+            .then(sendResponse)
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'CONTEXT_TRY_GALLERY') {
+        handleContextTryGallery(fromSenderFrame(message.data, sender), sender.tab)
+            .then(sendResponse)
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (message.type === 'CONTEXT_USE_AS_MODEL') {
+        handleContextUseAsModel(fromSenderFrame(message.data, sender), sender.tab)
+            .then(sendResponse)
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // Ảnh chụp vùng / khung hình video — có thể phải mở sidebar (user gesture) nên không qua sessionReady
+    if (message.type === 'REGION_CAPTURED') {
+        handleRegionCaptured(message.data, sender.tab)
             .then(sendResponse)
             .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
@@ -182,6 +310,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     markSessionReady();
     console.log('[SW] Session ready gate OPENED');
 
+    // Resume try-on jobs bị gián đoạn khi Chrome kill SW trước đó
+    resumeTryonJobs().catch(err => console.warn('[SW] Resume try-on jobs failed:', err));
+
+    // Đối soát gem ledger — hoàn gems cho request lỗi / kẹt khi sidebar đã đóng
+    ensureGemLedgerAlarm().catch(err => console.warn('[SW] Gem ledger alarm setup failed:', err));
+    reconcileGemLedger().catch(err => console.warn('[SW] Gem ledger reconcile failed:', err));
+
+    // Theo dõi giá món trong tủ đồ — alarm định kỳ fetch lại trang sản phẩm
+    ensurePriceCheckAlarm().catch(err => console.warn('[SW] Price check alarm setup failed:', err));
+
+    // Màu + hoạ tiết cho item tủ đồ lưu trước khi có phân tích ảnh — chạy nền theo lô
+    ensureAttributeBackfillAlarm().catch(err => console.warn('[SW] Garment attribute backfill setup failed:', err));
+
     // Kiểm tra xem user có session không, nếu có thì bắt đầu sync
     const token = await getAuthToken();
     if (token) {
@@ -0,0 +1,134 @@
+/**
+ * File: find_similar_items.js
+ * Purpose: "Tìm món tương tự" — modal ảnh gần giống một item tủ đồ (ảnh trùng ở shop khác, cùng kiểu khác màu,
+ *          outfit đã thử với món đó) theo perceptual hash
+ * Layer: Presentation
+ *
+ * Input: item tủ đồ { id, imageUrl, name, perceptualHash? } (nút find-similar trong manage_wardrobe_page.js)
+ * Output: #similar-items-modal, toggleClothingSelection() khi bấm một món quần áo trong kết quả
+ *
+ * Flow:
+ * 1. openSimilarItemsPanel(item) → mở modal ở trạng thái đang tìm
+ * 2. FIND_SIMILAR_ITEMS (background/find_similar_items.js) → [{ kind, id, imageUrl, name, similarity }]
+ * 3. Lưới kết quả: nhãn nguồn (tủ đồ / vừa thử / ảnh model / outfit) + % giống
+ * 4. Bấm món quần áo (tủ đồ / vừa thử) → chọn để thử; ảnh model / outfit → mở lightbox
+ *
+ * Edge Cases:
+ * - Không hash được ảnh gốc → thông báo lỗi trong modal, không toast
+ * - User mở item khác khi lần tìm trước chưa xong → bỏ kết quả cũ (so _similarRequestId)
+ * - Ảnh kết quả không tải được → ẩn ô đó
+ */
+
+let _similarItems = [];
+let _similarRequestId = 0;
+
+function setSimilarStatus(text) {
+    const status = $('similar-items-status');
+    if (!status) return;
+    status.textContent = text || '';
+    status.classList.toggle('hidden', !text);
+}
+
+/** Ô kết quả dựng bằng DOM — URL ảnh có thể đến từ trang web, không nhét vào innerHTML */
+function createSimilarItem(result, index) {
+    const item = document.createElement('button');
+    item.className = 'gallery-picker-item similar-item';
+    item.dataset.index = String(index);
+    item.title = result.name || '';
+
+    const img = document.createElement('img');
+    img.src = result.imageUrl;
+    img.alt = '';
+    img.loading = 'lazy';
+    img.addEventListener('error', () => item.classList.add('hidden'), { once: true });
+
+    const kind = document.createElement('span');
+    kind.className = 'gallery-picker-clicked';
+    kind.textContent = t(`similar_items.kind.${result.kind}`);
+
+    const badge = document.createElement('span');
+    badge.className = 'gallery-picker-badge';
+    badge.textContent = t('similar_items.match', { percent: result.similarity });
+
+    item.append(img, kind, badge);
+    return item;
+}
+
+async function openSimilarItemsPanel(item) {
+    const modal = $('similar-items-modal');
+    const grid = $('similar-items-grid');
+    if (!modal || !grid || !item?.imageUrl) return;
+
+    const requestId = ++_similarRequestId;
+    _similarItems = [];
+    grid.replaceChildren();
+    const preview = $('similar-items-preview');
+    if (preview) preview.src = item.imageUrl;
+    setSimilarStatus(t('similar_items.searching'));
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({
+            type: 'FIND_SIMILAR_ITEMS',
+            data: { imageUrl: item.imageUrl, perceptualHash: item.perceptualHash || null, excludeId: item.id || null }
+        });
+    } catch (error) {
+        response = { success: false, error: error.message };
+    }
+    if (requestId !== _similarRequestId) return;
+
+    if (!response?.success) {
+        setSimilarStatus(t('similar_items.failed'));
+        return;
+    }
+    _similarItems = response.items || [];
+    grid.replaceChildren(..._similarItems.map(createSimilarItem));
+    setSimilarStatus(_similarItems.length === 0 ? t('similar_items.empty') : t('similar_items.count', { count: _similarItems.length }));
+}
+
+function closeSimilarItemsPanel() {
+    const modal = $('similar-items-modal');
+    if (!modal) return;
+    _similarRequestId++;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+function selectSimilarItem(result) {
+    if (result.kind === 'wardrobe' || result.kind === 'recent') {
+        if (!state.selectedItems.some(i => i.imageUrl === result.imageUrl)) {
+            toggleClothingSelection({
+                id: result.id || `item-${Date.now()}`,
+                imageUrl: result.imageUrl,
+                name: result.name || t('clothing'),
+                category: result.category || 'top',
+                subcategory: result.subcategory || null
+            });
+        }
+        closeSimilarItemsPanel();
+        if (typeof renderWardrobeGrid === 'function') renderWardrobeGrid();
+        return;
+    }
+    if (typeof window.openImageLightbox === 'function') window.openImageLightbox(result.imageUrl);
+}
+
+function initSimilarItemsPanel() {
+    $('similar-items-grid')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.similar-item');
+        if (!item) return;
+        const result = _similarItems[Number(item.dataset.index)];
+        if (result) selectSimilarItem(result);
+    });
+    $('similar-items-close-btn')?.addEventListener('click', closeSimilarItemsPanel);
+
+    const modal = $('similar-items-modal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closeSimilarItemsPanel();
+    });
+}
+
+// Expose ra window
+window.openSimilarItemsPanel = openSimilarItemsPanel;
+window.initSimilarItemsPanel = initSimilarItemsPanel;
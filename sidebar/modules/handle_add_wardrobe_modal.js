@@ -3,20 +3,27 @@
  * Purpose: Modal cho phép user xác nhận và chọn category khi thêm item vào tủ đồ từ context menu
  * Layer: Presentation
  *
- * Input: { imageUrl, pageUrl, detectedCategory, sourceName, altText }
- * Output: Gửi ADD_TO_WARDROBE message đến background với category đã chọn
+ * Input: { imageUrl, pageUrl, detectedCategory, detectedSubcategory, categoryCandidates, sourceName, altText, product }
+ *   detectedCategory null = background chưa đủ chắc → không chọn sẵn; categoryCandidates [{ category, confidence }]
+ * Output: Gửi ADD_TO_WARDROBE message đến background với category + subcategory đã chọn
+ *         Gửi RECORD_CATEGORY_CORRECTION { pageUrl, category } khi lưu với thể loại khác thể loại đã đoán
  *
  * Flow:
  * 1. openAddWardrobeModal(data) → populate preview + validate image quality + show modal
  * 2. User chọn category chip → enable save button
+ *    → hiện chip subcategory của category đó (lib/garment_taxonomy.js), bấm lại chip đang chọn để bỏ chọn
  * 3. User confirm → gửi ADD_TO_WARDROBE → toast success → đóng modal
+ *    Thể loại cuối cùng khác thể loại đã đoán → background nhớ cho domain / mẫu URL (chỉ 1 lần, chỉ khi lưu)
  * 4. closeAddWardrobeModal() → đóng modal, xóa state
  *
  * Edge Cases:
  * - Ảnh không tải được → hiển thị placeholder
  * - Ảnh kích thước nhỏ / aspect ratio lạ → hiển thị warning (non-blocking)
  * - User đóng modal trước khi chọn → không lưu gì
+ * - Bấm qua nhiều chip rồi huỷ → không ghi nhận sửa thể loại nào (tránh làm lệch lần đoán sau của cả domain)
  * - ADD_TO_WARDROBE thất bại → toast error + không đóng modal
+ * - Background báo likelyDuplicate / similarItems (perceptual hash) → toast cảnh báo, item vẫn được lưu
+ * - Subcategory không bắt buộc — category không có subcategory (other, outfit) thì ẩn hàng chip
  */
 
 // ==========================================
@@ -36,11 +43,13 @@ const WARDROBE_EXCLUDED_URL_PATTERNS = /\b(icon|logo|sprite|avatar|badge|flag|em
 
 let _pendingWardrobeItem = null;
 let _selectedCategory = null;
+let _selectedSubcategory = null;
 let _qualityWarningDismissed = false;
 
 function openAddWardrobeModal(data) {
     _pendingWardrobeItem = data;
     _selectedCategory = data.detectedCategory || null;
+    _selectedSubcategory = null;
     _qualityWarningDismissed = false;
 
     const modal = document.getElementById('wardrobe-category-modal');
@@ -75,15 +84,20 @@ function openAddWardrobeModal(data) {
     // STEP 2: Set default name
     const nameInput = document.getElementById('category-modal-name');
     if (nameInput) {
-        const defaultName = data.sourceName ? `Saved from ${data.sourceName}` : (data.altText || '');
+        const defaultName = data.product?.name
+            || (data.sourceName ? `Saved from ${data.sourceName}` : (data.altText || ''));
         nameInput.value = defaultName;
         nameInput.placeholder = typeof t === 'function' ? t('item_name_optional') : 'Tên item (tùy chọn)';
     }
 
-    // STEP 3: Pre-select detected category
+    // STEP 3: Đánh dấu các thể loại được gợi ý, chọn sẵn thể loại đã đoán (nếu có chip tương ứng)
     _resetCategoryChips();
-    if (_selectedCategory) {
+    _markSuggestedChips(data.categoryCandidates);
+    if (_selectedCategory && _findCategoryChip(_selectedCategory)) {
         _selectCategory(_selectedCategory);
+    } else {
+        _selectedCategory = null;
+        _renderSubcategoryChips(null);
     }
 
     // STEP 4: Update save button state
@@ -105,8 +119,10 @@ function closeAddWardrobeModal() {
         modal.classList.add('hidden');
         _pendingWardrobeItem = null;
         _selectedCategory = null;
+        _selectedSubcategory = null;
         _qualityWarningDismissed = false;
         _resetCategoryChips();
+        _renderSubcategoryChips(null);
         _hideQualityWarning();
 
         // Clear name input
@@ -193,12 +209,19 @@ function _hideQualityWarning() {
     if (banner) banner.classList.add('hidden');
 }
 
+/**
+ * @param {string} category
+ */
 function _selectCategory(category) {
     _selectedCategory = category;
     const chips = document.querySelectorAll('#wardrobe-category-modal .category-chip');
     chips.forEach(chip => {
         chip.classList.toggle('active', chip.dataset.category === category);
     });
+    // Subcategory background đoán chỉ áp dụng khi category trùng thể loại đã đoán
+    const item = _pendingWardrobeItem;
+    _selectedSubcategory = category === item?.detectedCategory ? (item?.detectedSubcategory || null) : null;
+    _renderSubcategoryChips(category);
     // Thay đổi label nút và phân loại label dựa trên category
     const btn = document.getElementById('confirm-add-wardrobe-btn');
     const isOutfit = category === 'outfit';
@@ -219,7 +242,60 @@ function _selectCategory(category) {
 
 function _resetCategoryChips() {
     const chips = document.querySelectorAll('#wardrobe-category-modal .category-chip');
-    chips.forEach(chip => chip.classList.remove('active'));
+    chips.forEach(chip => {
+        chip.classList.remove('active', 'suggested');
+        chip.removeAttribute('title');
+    });
+}
+
+function _findCategoryChip(category) {
+    const chips = document.querySelectorAll('#wardrobe-category-modal .category-chip');
+    return [...chips].find(chip => chip.dataset.category === category) || null;
+}
+
+/** Viền gợi ý + % tin cậy (tooltip) cho các thể loại background đoán được */
+function _markSuggestedChips(candidates) {
+    (candidates || []).forEach(({ category, confidence }) => {
+        const chip = _findCategoryChip(category);
+        if (!chip) return;
+        chip.classList.add('suggested');
+        chip.title = `${Math.round(confidence * 100)}%`;
+    });
+}
+
+/** Lưu với thể loại khác thể loại đã đoán → background nhớ cho domain / mẫu URL của trang (lần sau đoán đúng hơn) */
+function _recordCategoryCorrection(item, category) {
+    if (!item?.pageUrl || category === item.detectedCategory) return;
+    chrome.runtime.sendMessage({
+        type: 'RECORD_CATEGORY_CORRECTION',
+        data: { pageUrl: item.pageUrl, category }
+    }).catch(() => { });
+}
+
+/** Hàng chip subcategory cho category đang chọn — ẩn khi category không có subcategory */
+function _renderSubcategoryChips(category) {
+    const container = document.getElementById('category-modal-subcategories');
+    if (!container) return;
+    const taxonomy = window.FitlyGarmentTaxonomy;
+    const subcategories = category && taxonomy ? taxonomy.getSubcategories(category) : [];
+
+    container.innerHTML = '';
+    container.classList.toggle('hidden', subcategories.length === 0);
+    subcategories.forEach(subcategory => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'category-chip category-subchip';
+        chip.dataset.subcategory = subcategory;
+        chip.textContent = `${taxonomy.getCategoryIcon(category, subcategory)} ${getCategoryLabel(category, subcategory)}`;
+        chip.classList.toggle('active', subcategory === _selectedSubcategory);
+        chip.addEventListener('click', () => {
+            _selectedSubcategory = _selectedSubcategory === subcategory ? null : subcategory;
+            container.querySelectorAll('.category-subchip').forEach(el => {
+                el.classList.toggle('active', el.dataset.subcategory === _selectedSubcategory);
+            });
+        });
+        container.appendChild(chip);
+    });
 }
 
 function _updateSaveButton() {
@@ -248,12 +324,15 @@ async function _confirmAddToWardrobe() {
                 source_url: _pendingWardrobeItem.pageUrl || '',
                 name: itemName,
                 category: _selectedCategory,
+                subcategory: _selectedSubcategory,
                 storage_type: 'external',
-                sourceType: 'online'
+                sourceType: 'online',
+                product: _pendingWardrobeItem.product || null
             }
         });
 
         if (result?.success) {
+            _recordCategoryCorrection(_pendingWardrobeItem, _selectedCategory);
             closeAddWardrobeModal();
 
             if (result.savedAsOutfit) {
@@ -267,13 +346,17 @@ async function _confirmAddToWardrobe() {
                 }
             } else {
                 // Lưu vào tủ đồ thông thường
-                const categoryLabels = {
-                    top: 'Áo', bottom: 'Quần', dress: 'Váy/Đầm',
-                    shoes: 'Giày', accessories: 'Phụ kiện'
-                };
-                const catLabel = categoryLabels[_selectedCategory] || _selectedCategory;
+                const catLabel = getCategoryLabel(_selectedCategory, _selectedSubcategory);
                 if (typeof showToast === 'function') {
-                    showToast(`✅ Đã thêm vào tủ đồ (${catLabel})`, 'success');
+                    // Background so perceptual hash với tủ đồ — món gần như trùng / trông giống đã có
+                    const similarCount = result.similarItems?.length || 0;
+                    if (result.likelyDuplicate) {
+                        showToast(t('similar_items.duplicate_added', { name: result.similarItems[0].name || t('clothing') }), 'warning');
+                    } else if (similarCount > 0) {
+                        showToast(`✅ Đã thêm vào tủ đồ (${catLabel}) · ${t('similar_items.similar_added', { count: similarCount })}`, 'success');
+                    } else {
+                        showToast(`✅ Đã thêm vào tủ đồ (${catLabel})`, 'success');
+                    }
                 }
 
                 // Save to recent clothing as well
@@ -284,8 +367,10 @@ async function _confirmAddToWardrobe() {
                         sourceUrl: _pendingWardrobeItem.pageUrl || '',
                         name: itemName,
                         category: _selectedCategory,
+                        subcategory: _selectedSubcategory,
                         sourceType: 'online',
-                        saved: true
+                        saved: true,
+                        product: _pendingWardrobeItem.product || null
                     }
                 }).catch(() => { });
 
@@ -0,0 +1,414 @@
+/**
+ * File: handle_batch_tryon.js
+ * Purpose: Thử đồ hàng loạt — món đồ đang chọn × nhiều ảnh mẫu đã lưu,
+ *          hoặc nhiều món đồ (recent / tủ đồ) × ảnh mẫu hiện tại
+ * Layer: Application
+ *
+ * Input: state.userModels, state.recentClothing, state.selectedItems, state.modelImage
+ * Output: Mỗi kết quả được thêm vào gallery (addResult) ngay khi job tương ứng xong
+ *
+ * Flow:
+ * 1. openBatchTryonModal('models' | 'clothing') → lưới ảnh để chọn (tối đa MAX_BATCH_TRYON_SIZE)
+ * 2. startBatchTryon → checkBatchGems(tổng gems, GET_GEMS_BALANCE) → showConfirmDialog hiện tổng chi phí
+ * 3. Worker pool BATCH_TRYON_CONCURRENCY lượt cùng lúc: START_TRYON_JOB → waitForTryonJob
+ * 4. Job xong → acceptTryOnResult({ silent }) → gallery cập nhật; RATE_LIMIT_EXCEEDED → chờ rồi gửi lại 1 lần
+ * 5. stopBatchTryon → bỏ các lượt chưa chạy + CANCEL_TRYON_JOB các job đang chạy
+ *
+ * Edge Cases:
+ * - GET_GEMS_BALANCE lỗi → dùng state.gemsBalance để kiểm tra trước
+ * - Đóng modal khi đang chạy → batch vẫn chạy tiếp, kết quả vẫn vào gallery
+ * - Sidebar bị đóng giữa chừng → job vẫn sống ở background, resumePendingTryonJobs giao kết quả sau
+ */
+
+// Edge Function giới hạn 5 lượt/phút/user — 2 lượt song song (~40s/lượt) nằm dưới giới hạn
+const BATCH_TRYON_CONCURRENCY = 2;
+const MAX_BATCH_TRYON_SIZE = 10;
+const BATCH_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+let _batchMode = null;           // 'models' | 'clothing'
+let _batchCandidates = [];       // [{ key, imageUrl, item }]
+let _batchSelectedKeys = new Set();
+let _batchRun = null;            // { items, stopped, activeJobIds, wakeUps } khi đang chạy
+
+function isBatchTryonRunning() {
+    return !!_batchRun;
+}
+
+function dedupeByImageUrl(items, getUrl) {
+    const seen = new Set();
+    return items.filter(item => {
+        const url = getUrl(item);
+        if (!url || seen.has(url)) return false;
+        seen.add(url);
+        return true;
+    });
+}
+
+/**
+ * collectBatchCandidates — Danh sách ảnh có thể chọn theo mode
+ * - models: ảnh mẫu đã lưu (mặc định chọn hết)
+ * - clothing: recent clothing + tủ đồ (state.recentClothing đã gộp sẵn)
+ */
+function collectBatchCandidates(mode) {
+    if (mode === 'models') {
+        return dedupeByImageUrl(state.userModels || [], m => m.imageUrl || m.url)
+            .map(model => ({ key: String(model.id), imageUrl: model.imageUrl || model.url, item: model }));
+    }
+    return dedupeByImageUrl(state.recentClothing || [], c => c.imageUrl)
+        .map(clothing => ({ key: String(clothing.id), imageUrl: clothing.imageUrl, item: clothing }));
+}
+
+function openBatchTryonModal(mode) {
+    if (isBatchTryonRunning()) {
+        // Đang chạy → mở lại modal để xem tiến độ
+        showBatchTryonModal();
+        return;
+    }
+    if (state.tryonProcessing) {
+        showToast(t('batch_tryon.busy'), 'warning');
+        return;
+    }
+    if (mode === 'models' && state.selectedItems.length === 0) {
+        showToast(t('batch_tryon.need_item'), 'warning');
+        return;
+    }
+    if (mode === 'clothing' && !state.modelImage) {
+        showToast(t('batch_tryon.need_model'), 'warning');
+        return;
+    }
+
+    const candidates = collectBatchCandidates(mode);
+    if (candidates.length === 0) {
+        showToast(t('batch_tryon.no_candidates'), 'info');
+        return;
+    }
+
+    _batchMode = mode;
+    _batchCandidates = candidates;
+    _batchSelectedKeys = new Set(
+        mode === 'models' ? candidates.slice(0, MAX_BATCH_TRYON_SIZE).map(c => c.key) : []
+    );
+
+    $('batch-tryon-title').textContent = t(mode === 'models' ? 'batch_tryon.models_title' : 'batch_tryon.clothing_title');
+    $('batch-tryon-hint').textContent = t(mode === 'models' ? 'batch_tryon.models_hint' : 'batch_tryon.clothing_hint');
+    renderBatchTryonGrid();
+    showBatchTryonModal();
+}
+
+function showBatchTryonModal() {
+    const modal = $('batch-tryon-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+}
+
+function closeBatchTryonModal() {
+    const modal = $('batch-tryon-modal');
+    if (!modal) return;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+function renderBatchTryonGrid() {
+    const grid = $('batch-tryon-grid');
+    if (!grid) return;
+
+    const statusByKey = new Map((_batchRun?.items || []).map(item => [item.key, item.status]));
+    grid.innerHTML = _batchCandidates.map(candidate => {
+        const status = statusByKey.get(candidate.key);
+        const selected = _batchSelectedKeys.has(candidate.key);
+        return `
+            <button class="batch-tryon-tile ${selected ? 'selected' : ''} ${status ? `status-${status}` : ''}"
+                data-key="${escapeHtml(candidate.key)}" ${_batchRun ? 'disabled' : ''}>
+                <img src="${escapeHtml(candidate.imageUrl)}" alt="" loading="lazy">
+                <span class="batch-tryon-check material-symbols-outlined">check_circle</span>
+                ${status ? `<span class="batch-tryon-status">${t(`batch_tryon.status.${status}`)}</span>` : ''}
+            </button>
+        `;
+    }).join('');
+
+    updateBatchTryonFooter();
+}
+
+function updateBatchTryonFooter() {
+    const count = _batchSelectedKeys.size;
+    const summary = $('batch-tryon-summary');
+    if (summary) summary.textContent = t('batch_tryon.summary', { count, cost: count * GEM_COST_STANDARD });
+
+    const startBtn = $('batch-tryon-start-btn');
+    const stopBtn = $('batch-tryon-stop-btn');
+    const selectAllBtn = $('batch-tryon-select-all-btn');
+    startBtn?.classList.toggle('hidden', !!_batchRun);
+    stopBtn?.classList.toggle('hidden', !_batchRun);
+    selectAllBtn?.classList.toggle('hidden', !!_batchRun);
+    if (startBtn) startBtn.disabled = count === 0;
+    if (stopBtn) stopBtn.disabled = !!_batchRun?.stopped;
+}
+
+function toggleBatchCandidate(key) {
+    if (_batchRun) return;
+    if (_batchSelectedKeys.has(key)) {
+        _batchSelectedKeys.delete(key);
+    } else if (_batchSelectedKeys.size >= MAX_BATCH_TRYON_SIZE) {
+        showToast(t('batch_tryon.max_reached', { max: MAX_BATCH_TRYON_SIZE }), 'warning');
+        return;
+    } else {
+        _batchSelectedKeys.add(key);
+    }
+    renderBatchTryonGrid();
+}
+
+function selectAllBatchCandidates() {
+    if (_batchRun) return;
+    _batchSelectedKeys = new Set(_batchCandidates.slice(0, MAX_BATCH_TRYON_SIZE).map(c => c.key));
+    if (_batchCandidates.length > MAX_BATCH_TRYON_SIZE) {
+        showToast(t('batch_tryon.max_reached', { max: MAX_BATCH_TRYON_SIZE }), 'info');
+    }
+    renderBatchTryonGrid();
+}
+
+/**
+ * checkBatchGems — Kiểm tra đủ gems cho cả batch theo balance mới nhất từ background (GET_GEMS_BALANCE).
+ * Không tạo Supabase client trong sidebar — refresh token chỉ do service worker xoay vòng.
+ * Background lỗi thì dùng balance sidebar đang có.
+ */
+async function checkBatchGems(totalCost) {
+    let currentBalance = state.gemsBalance || 0;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_GEMS_BALANCE' });
+        if (response?.success && typeof response.balance === 'number') {
+            currentBalance = response.balance;
+            state.gemsBalance = currentBalance;
+        } else {
+            console.warn('[Fitly] GET_GEMS_BALANCE failed:', response?.error);
+        }
+    } catch (error) {
+        console.warn('[Fitly] GET_GEMS_BALANCE failed:', error);
+    }
+    return {
+        sufficient: currentBalance >= totalCost,
+        currentBalance,
+        shortfall: Math.max(0, totalCost - currentBalance)
+    };
+}
+
+/**
+ * buildBatchItems — Mỗi candidate đã chọn thành 1 lượt thử { key, modelImage, clothingItems, context }
+ */
+function buildBatchItems() {
+    return _batchCandidates
+        .filter(candidate => _batchSelectedKeys.has(candidate.key))
+        .map(candidate => {
+            const modelImage = _batchMode === 'models' ? candidate.imageUrl : state.modelImage;
+            const clothingItems = _batchMode === 'models' ? [...state.selectedItems] : [candidate.item];
+            return {
+                key: candidate.key,
+                status: 'queued',
+                jobId: null,
+                modelImage,
+                clothingItems,
+                context: {
+                    clothingUrl: clothingItems[0]?.imageUrl,
+                    modelUrl: modelImage,
+                    sourceUrl: clothingItems[0]?.sourceUrl || null,
+                },
+            };
+        });
+}
+
+async function startBatchTryon() {
+    if (_batchRun || _batchSelectedKeys.size === 0) return;
+    if (state.tryonProcessing) {
+        showToast(t('batch_tryon.busy'), 'warning');
+        return;
+    }
+
+    const items = buildBatchItems();
+    const totalCost = items.length * GEM_COST_STANDARD;
+
+    const gemsCheck = await checkBatchGems(totalCost);
+    if (!gemsCheck.sufficient) {
+        showToast(t('batch_tryon.insufficient', { cost: totalCost, balance: gemsCheck.currentBalance ?? 0 }), 'error');
+        return;
+    }
+
+    const confirmed = await showConfirmDialog({
+        type: 'tryon',
+        title: t('batch_tryon.confirm_title'),
+        message: t('batch_tryon.confirm_message', { count: items.length, concurrency: BATCH_TRYON_CONCURRENCY }),
+        confirmText: t('batch_tryon.start'),
+        cancelText: t('tryon_cancel'),
+        gemCost: totalCost,
+        currentBalance: gemsCheck.currentBalance,
+    });
+    if (!confirmed) return;
+
+    const batchId = crypto.randomUUID();
+    _batchRun = { id: batchId, items, stopped: false, activeJobIds: new Set(), wakeUps: new Set() };
+    state.tryonProcessing = true;
+    renderBatchTryonGrid();
+
+    try {
+        await runWithConcurrency(items, BATCH_TRYON_CONCURRENCY, runBatchItem);
+    } finally {
+        const done = items.filter(item => item.status === 'done').length;
+        _batchRun = null;
+        state.tryonProcessing = false;
+        renderBatchTryonGrid();
+        showToast(t('batch_tryon.finished', { done, total: items.length }), done === items.length ? 'success' : 'info');
+        await loadRecentClothing();
+        updateUI();
+    }
+}
+
+/**
+ * runWithConcurrency — Tối đa `limit` worker cùng lúc, mỗi worker lấy item kế tiếp khi xong item cũ
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length && !_batchRun?.stopped) {
+            await worker(items[nextIndex++]);
+        }
+    });
+    await Promise.all(runners);
+}
+
+function setBatchItemStatus(item, status) {
+    item.status = status;
+    renderBatchTryonGrid();
+}
+
+/** waitBatchDelay — Chờ ms, kết thúc sớm khi user bấm Dừng (mỗi worker đang chờ một callback riêng) */
+function waitBatchDelay(ms) {
+    const wakeUps = _batchRun.wakeUps;
+    return new Promise(resolve => {
+        const wakeUp = () => {
+            clearTimeout(timer);
+            wakeUps.delete(wakeUp);
+            resolve();
+        };
+        const timer = setTimeout(wakeUp, ms);
+        wakeUps.add(wakeUp);
+    });
+}
+
+async function startBatchJob(item) {
+    const slot = `batch:${item.key}`;
+    const fingerprint = [item.modelImage, ...item.clothingItems.map(c => c.imageUrl)]
+        .map(url => String(url || '').slice(0, 200))
+        .join('|');
+    const requestId = getRequestId(slot, fingerprint);
+
+    const jobResponse = await chrome.runtime.sendMessage({
+        type: 'START_TRYON_JOB',
+        data: {
+            person_image: item.modelImage,
+            clothing_images: buildClothingImagesPayload(item.clothingItems),
+            clothing_image: item.clothingItems[0]?.imageUrl,
+            source_url: item.context.sourceUrl,
+            product: item.clothingItems[0]?.product || null,
+            quality: 'standard',
+            request_id: requestId,
+            meta: {
+                clothingUrl: item.context.clothingUrl?.startsWith('data:') ? null : item.context.clothingUrl,
+                modelUrl: item.context.modelUrl?.startsWith('data:') ? null : item.context.modelUrl,
+                batchId: _batchRun.id,
+            }
+        }
+    });
+    if (!jobResponse?.success) return { slot, response: jobResponse };
+
+    item.jobId = jobResponse.jobId;
+    _batchRun.activeJobIds.add(item.jobId);
+    try {
+        return { slot, response: await waitForTryonJob(item.jobId) };
+    } finally {
+        _batchRun?.activeJobIds.delete(item.jobId);
+    }
+}
+
+async function runBatchItem(item) {
+    setBatchItemStatus(item, 'running');
+
+    let slot = null;
+    let response = null;
+    try {
+        ({ slot, response } = await startBatchJob(item));
+        if (response?.errorCode === 'RATE_LIMIT_EXCEEDED' && !_batchRun.stopped) {
+            // Server chặn trước khi trừ gems — chờ hết cửa sổ 1 phút rồi gửi lại một lần
+            acknowledgeTryonJob(item.jobId);
+            setBatchItemStatus(item, 'waiting');
+            await waitBatchDelay(BATCH_RATE_LIMIT_WAIT_MS);
+            if (_batchRun.stopped) {
+                setBatchItemStatus(item, 'cancelled');
+                return;
+            }
+            setBatchItemStatus(item, 'running');
+            ({ slot, response } = await startBatchJob(item));
+        }
+    } catch (error) {
+        console.error('[Fitly] Batch try-on item failed:', error);
+        setBatchItemStatus(item, 'failed');
+        return;
+    }
+
+    if (response?.success) {
+        const accepted = await acceptTryOnResult(response, item.context, { silent: true });
+        setBatchItemStatus(item, accepted.accepted ? 'done' : 'failed');
+        updateUI();
+    } else if (response?.errorCode === 'CANCELLED') {
+        setBatchItemStatus(item, 'cancelled');
+    } else {
+        console.warn('[Fitly] Batch try-on item error:', response?.errorCode, response?.error);
+        if (response?.refunded && response.newBalance !== undefined) state.gemsBalance = response.newBalance;
+        setBatchItemStatus(item, 'failed');
+    }
+
+    acknowledgeTryonJob(item.jobId);
+    if (response && !AMBIGUOUS_TRYON_ERROR_CODES.includes(response.errorCode)) settleRequestId(slot);
+}
+
+/**
+ * stopBatchTryon — Không chạy thêm lượt mới; job đang chạy được huỷ (server hoàn gems)
+ */
+async function stopBatchTryon() {
+    if (!_batchRun || _batchRun.stopped) return;
+    _batchRun.stopped = true;
+    [..._batchRun.wakeUps].forEach(wakeUp => wakeUp());
+    _batchRun.items
+        .filter(item => item.status === 'queued')
+        .forEach(item => { item.status = 'cancelled'; });
+    renderBatchTryonGrid();
+
+    await Promise.all([..._batchRun.activeJobIds].map(jobId =>
+        chrome.runtime.sendMessage({ type: 'CANCEL_TRYON_JOB', data: { jobId } }).catch(error => {
+            console.warn('[Fitly] Cancel batch job failed:', error);
+        })
+    ));
+}
+
+function initBatchTryon() {
+    $('batch-models-btn')?.addEventListener('click', () => openBatchTryonModal('models'));
+    $('batch-clothing-btn')?.addEventListener('click', () => openBatchTryonModal('clothing'));
+    $('batch-tryon-close-btn')?.addEventListener('click', closeBatchTryonModal);
+    $('batch-tryon-start-btn')?.addEventListener('click', startBatchTryon);
+    $('batch-tryon-stop-btn')?.addEventListener('click', stopBatchTryon);
+    $('batch-tryon-select-all-btn')?.addEventListener('click', selectAllBatchCandidates);
+
+    const modal = $('batch-tryon-modal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closeBatchTryonModal();
+    });
+
+    $('batch-tryon-grid')?.addEventListener('click', (e) => {
+        const tile = e.target.closest('.batch-tryon-tile');
+        if (tile) toggleBatchCandidate(tile.dataset.key);
+    });
+}
+
+// Expose ra window
+window.openBatchTryonModal = openBatchTryonModal;
+window.stopBatchTryon = stopBatchTryon;
+window.isBatchTryonRunning = isBatchTryonRunning;
+window.initBatchTryon = initBatchTryon;
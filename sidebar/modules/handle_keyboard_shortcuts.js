@@ -0,0 +1,98 @@
+/**
+ * File: handle_keyboard_shortcuts.js
+ * Purpose: Phía sidebar của phím tắt trình duyệt (manifest "commands") — đóng sidebar khi bấm lại phím bật tắt,
+ *          chạy lại try-on với ảnh mẫu kế tiếp, hiển thị phím đang gán
+ * Layer: Presentation
+ *
+ * Input: chrome.commands.onCommand, RUN_PENDING_SHORTCUT + session pending_shortcut_action (background/keyboard_commands.js)
+ * Output: processTryOn() với ảnh mẫu kế tiếp, #browser-shortcuts (phím hiện tại + link đổi phím)
+ *
+ * Flow:
+ * 1. toggle-side-panel khi sidebar đang mở (cửa sổ đang focus) → window.close()
+ * 2. RUN_PENDING_SHORTCUT → đọc + xoá pending action (chỉ chạy 1 lần dù background gửi lặp)
+ * 3. retry-next-model → chọn ảnh mẫu sau ảnh đang dùng (vòng lại đầu danh sách) → processTryOn()
+ *
+ * Edge Cases:
+ * - Đang xử lý try-on / chưa chọn đồ / ít hơn 2 ảnh mẫu → toast, không trừ gems
+ * - Pending action quá cũ (sidebar mở lại rất lâu sau) → bỏ qua
+ */
+
+const PENDING_SHORTCUT_MAX_AGE_MS = 15000;
+
+async function runTryOnWithNextModel() {
+    if (state.tryonProcessing) {
+        showToast(t('keyboard_shortcuts.busy'), 'info');
+        return;
+    }
+    if (state.selectedItems.length === 0) {
+        showToast(t('select_model_and_item'), 'error');
+        return;
+    }
+    const models = (state.userModels || []).filter(model => model.imageUrl);
+    if (models.length < 2) {
+        showToast(t('keyboard_shortcuts.need_more_models'), 'info');
+        return;
+    }
+
+    const currentIndex = models.findIndex(model =>
+        model.id === state.selectedModelId || model.imageUrl === state.modelImage);
+    const nextModel = models[(currentIndex + 1) % models.length];
+
+    state.modelImage = nextModel.imageUrl;
+    state.selectedModelId = nextModel.id;
+    chrome.storage.local.set({ model_image: nextModel.imageUrl }).catch(console.error);
+    updateUI();
+    renderUserModels();
+
+    await processTryOn();
+}
+
+/** Đọc + xoá pending action — background gửi RUN_PENDING_SHORTCUT nhiều lần nên chỉ lần đầu có dữ liệu */
+async function consumePendingShortcut() {
+    const session = await chrome.storage.session.get(['pending_shortcut_action']);
+    const action = session.pending_shortcut_action;
+    if (!action) return;
+    await chrome.storage.session.remove(['pending_shortcut_action']);
+
+    if (Date.now() - action.at > PENDING_SHORTCUT_MAX_AGE_MS) return;
+    if (action.command === 'retry-next-model') {
+        await runTryOnWithNextModel();
+    }
+}
+
+/** Phím đang gán cho từng lệnh — user có thể đã đổi ở chrome://extensions/shortcuts */
+async function renderBrowserShortcuts() {
+    const container = $('browser-shortcuts');
+    if (!container || !chrome.commands?.getAll) return;
+
+    const commands = await chrome.commands.getAll();
+    const assigned = commands.filter(command => command.shortcut && command.name !== '_execute_action');
+    container.innerHTML = `
+        ${assigned.map(command => `
+            <kbd title="${t(`keyboard_shortcuts.commands.${command.name}`)}">${escapeHtml(command.shortcut)}</kbd>
+        `).join('')}
+        <button class="shortcuts-customize-btn" data-action="customize-shortcuts">${t('keyboard_shortcuts.customize')}</button>
+    `;
+}
+
+function initKeyboardShortcuts() {
+    // Background cũng nhận lệnh này và gọi sidePanel.open (no-op vì sidebar đang mở)
+    // → đóng sau một nhịp để open() không mở lại sidebar vừa đóng
+    chrome.commands?.onCommand.addListener(async (command) => {
+        if (command !== 'toggle-side-panel') return;
+        const currentWindow = await chrome.windows.getCurrent();
+        if (currentWindow.focused) setTimeout(() => window.close(), 150);
+    });
+
+    $('browser-shortcuts')?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="customize-shortcuts"]')) {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        }
+    });
+
+    renderBrowserShortcuts().catch(error => console.warn('[Fitly] Load shortcuts failed:', error.message));
+}
+
+// Expose ra window
+window.consumePendingShortcut = consumePendingShortcut;
+window.initKeyboardShortcuts = initKeyboardShortcuts;
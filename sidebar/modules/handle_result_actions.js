@@ -7,13 +7,13 @@
  * Output: Download/copy/save/share kết quả, quản lý popup windows, xóa kết quả
  *
  * Flow:
- * 1. addResult → lưu vào state + show inline
+ * 1. addResult → lưu vào state + show inline (+ gợi ý size nếu trang sản phẩm có bảng size)
  * 2. handleResultDownload/Copy/Save/Share/Edit/ReportWrong → inline actions
  * 3. openResultPopup → tạo chrome popup window mới
  * 4. deleteResult / clearAllResults → xóa kết quả
  */
 
-function addResult(imageUrl, clothingUrl, modelUrl, sourceUrl = null, tryonHistoryId = null) {
+function addResult(imageUrl, clothingUrl, modelUrl, sourceUrl = null, tryonHistoryId = null, options = {}) {
     // Không lưu base64 data URL cho clothing/model để tránh vượt quota storage
     // Chỉ giữ remote URL (http/https) cho việc hiển thị before/after
     const safeClothingUrl = (clothingUrl && !clothingUrl.startsWith('data:')) ? clothingUrl : null;
@@ -28,6 +28,8 @@ function addResult(imageUrl, clothingUrl, modelUrl, sourceUrl = null, tryonHisto
         sourceUrl: sourceUrl || state.clothingSourceUrl,
         timestamp: Date.now()
     };
+    // Cách mặc + thứ tự lớp đã gửi (lib/garment_styling.js snapshotStyling) — Regenerate dùng lại
+    if (options.clothingStyling) result.clothingStyling = options.clothingStyling;
 
     state.results.unshift(result);
     saveResults();
@@ -35,8 +37,13 @@ function addResult(imageUrl, clothingUrl, modelUrl, sourceUrl = null, tryonHisto
     state.currentResultId = result.id;
 
     showResultInline(result);
-    showSuccessOverlay(true, t('success'));
-    setTimeout(() => showSuccessOverlay(false), 2000);
+    // Batch try-on (options.silent): kết quả về liên tục — không bật overlay cho từng ảnh
+    if (!options.silent) {
+        showSuccessOverlay(true, t('success'));
+        setTimeout(() => showSuccessOverlay(false), 2000);
+        // Gợi ý size từ bảng size của trang sản phẩm (nếu có) theo số đo ảnh mẫu
+        window.showSizeRecommendation?.(result, options.modelId || state.selectedModelId);
+    }
     updateGalleryUI();
 
     // Auto-save outfit → persist vào local storage (và cloud nếu authenticated)
@@ -49,6 +56,8 @@ function addResult(imageUrl, clothingUrl, modelUrl, sourceUrl = null, tryonHisto
             clothing_image_url: safeClothingUrl,
             model_image_url: safeModelUrl,
             tryon_history_id: tryonHistoryId || null,
+            // Thử từ outfit template → background gắn outfit này vào template
+            template_id: options.templateId || null,
         }
     }).then(() => {
         renderCreatedOutfitsList();
@@ -66,6 +75,9 @@ function showResultInline(result) {
     const modelImage = $('inline-model-image');
     if (!section || !image) return;
 
+    // Gợi ý size thuộc về kết quả trước — addResult sẽ gợi ý lại cho kết quả mới
+    window.hideSizeRecommendation?.();
+
     // Phục vụ cơ chế fallback (fixBrokenImage)
     image.dataset.id = result.id;
     image.onerror = function () {
@@ -237,6 +249,12 @@ async function handleResultRegenerate() {
     // We already have state.modelImage and state.clothingImage populated for the current session
     // So we just need to trigger try-on again
     if (state.modelImage && state.clothingImage) {
+        // Mặc lại đúng cách mặc / thứ tự lớp của kết quả đang xem thay vì để AI tự suy lại
+        const currentResult = state.results.find(result => result.id === state.currentResultId);
+        if (currentResult?.clothingStyling) {
+            state.selectedItems = FitlyGarmentStyling.applyStyling(state.selectedItems, currentResult.clothingStyling);
+            saveSelectedItems();
+        }
         hideResultInline();
         try {
             await processTryOn();
@@ -302,16 +320,21 @@ async function handleResultEdit() {
         startTimer();
         showToast(t('editing_image') || 'Đang chỉnh sửa ảnh...', 'info');
 
+        // Cùng ảnh + cùng yêu cầu sau lần lỗi mạng → dùng lại requestId, không bị trừ gems lần 2
+        const requestId = getRequestId('edit', `${originalImageSrc.slice(0, 200)}|${editRequest}`);
         const response = await chrome.runtime.sendMessage({
             type: 'EDIT_IMAGE',
-            data: { imageUrl: resultImage.src, editRequest }
+            data: { imageUrl: resultImage.src, editRequest, requestId }
         });
+        if (response && !['REQUEST_IN_PROGRESS', 'NETWORK_ERROR'].includes(response.errorCode)) settleRequestId('edit');
 
         if (response?.success && response?.resultImage) {
             // STEP 2: Push ảnh cũ vào editHistory TRƯỚC khi cập nhật
             if (state.currentResultId) {
                 const result = state.results.find(r => r.id === state.currentResultId);
-                if (result) {
+                // alreadyProcessed + ảnh đã cập nhật → không push trùng vào editHistory
+                const alreadyApplied = response.alreadyProcessed && result?.imageUrl === response.resultImage;
+                if (result && !alreadyApplied) {
                     if (!result.editHistory) result.editHistory = [];
                     result.editHistory.push(originalImageSrc);
 
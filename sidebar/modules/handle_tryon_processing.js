@@ -7,12 +7,30 @@
  * Output: Kết quả try-on thêm vào state.results, gems balance giảm
  *
  * Flow:
- * 1. processTryOn → validate inputs → gọi PROCESS_TRYON
- * 2. validateTryOnResult → check ảnh hợp lệ trước khi trừ gems
+ * 1. processTryOn → validate inputs → START_TRYON_JOB → waitForTryonJob (job bền vững ở background)
+ * 2. applyTryOnResponse → validateTryOnResult → check ảnh hợp lệ trước khi trừ gems
  * 3. validateImageUrl → load test image với timeout
  * 4. Nếu ảnh lỗi → refund gems tự động
+ * 5. resumePendingTryonJobs → khi mở lại sidebar, reattach job đang chạy / nhận kết quả chưa giao,
+ *    không trừ gems cục bộ mà lấy lại balance từ server (GET_GEMS_BALANCE)
+ * 6. watchTryonProgress → port 'fitly-tryon-progress' nhận stage thật (uploading → queued → generating
+ *    → post_processing) thay cho % giả; nút Huỷ → CANCEL_TRYON_JOB (server huỷ + hoàn gems)
+ * 7. acceptTryOnResult / buildClothingImagesPayload / waitForTryonJob / acknowledgeTryonJob dùng chung với batch try-on (handle_batch_tryon.js)
  */
 
+// Sidebar chờ tối đa 7 phút — job vẫn sống ở background, mở lại sidebar sẽ reattach
+const TRYON_JOB_WAIT_TIMEOUT_MS = 7 * 60 * 1000;
+const TRYON_JOB_POLL_INTERVAL_MS = 5000;
+
+// Kết quả chưa rõ server đã xử lý hay chưa → giữ request_id để bấm thử lại không bị trừ gems lần 2
+const AMBIGUOUS_TRYON_ERROR_CODES = ['TIMEOUT', 'NETWORK_ERROR', 'REQUEST_IN_PROGRESS', 'JOB_INTERRUPTED'];
+
+// Khớp TRYON_PROGRESS_PORT trong background/tryon_progress.js
+const TRYON_PROGRESS_PORT = 'fitly-tryon-progress';
+
+// Job đang hiển thị trên loading overlay — nút Huỷ áp dụng cho job này
+let activeTryonJobId = null;
+
 async function validateImageUrl(imageUrl, timeout = 20000) {
     if (!imageUrl || typeof imageUrl !== 'string') {
         return { valid: false, error: 'URL ảnh không hợp lệ' };
@@ -74,7 +92,284 @@ async function validateTryOnResult(resultImageUrl) {
     return { valid: false, error: `Ảnh kết quả lỗi: ${validation.error}. Gems sẽ không bị trừ.` };
 }
 
-async function processTryOn(event) {
+function isFinishedTryonJob(job) {
+    return job?.status === 'completed' || job?.status === 'failed';
+}
+
+/**
+ * jobToTryOnResponse — Chuyển job record thành response shape giống PROCESS_TRYON
+ */
+function jobToTryOnResponse(job) {
+    if (!job) return { success: false, error: t('processing_error') };
+    if (job.result) return job.result;
+    return { success: false, error: job.error || t('processing_error'), errorCode: job.errorCode || undefined };
+}
+
+/**
+ * waitForTryonJob — Chờ job kết thúc qua broadcast TRYON_JOB_UPDATED,
+ * kèm polling GET_TRYON_JOB phòng khi broadcast bị mất lúc SW restart.
+ * Output: response shape giống PROCESS_TRYON
+ */
+function waitForTryonJob(jobId, timeoutMs = TRYON_JOB_WAIT_TIMEOUT_MS) {
+    return new Promise((resolve) => {
+        let settled = false;
+        let pollInterval = null;
+        let timeoutId = null;
+
+        const finish = (response) => {
+            if (settled) return;
+            settled = true;
+            chrome.runtime.onMessage.removeListener(onJobMessage);
+            clearInterval(pollInterval);
+            clearTimeout(timeoutId);
+            resolve(response);
+        };
+
+        const onJobMessage = (message) => {
+            if (message?.type === 'TRYON_JOB_UPDATED' && message.job?.id === jobId && isFinishedTryonJob(message.job)) {
+                finish(jobToTryOnResponse(message.job));
+            }
+        };
+
+        const poll = async () => {
+            try {
+                const res = await chrome.runtime.sendMessage({ type: 'GET_TRYON_JOB', data: { jobId } });
+                if (res?.success && isFinishedTryonJob(res.job)) finish(jobToTryOnResponse(res.job));
+                else if (res && !res.success) finish(jobToTryOnResponse(null));
+            } catch (_) {
+                // SW đang restart — lần poll sau sẽ thử lại
+            }
+        };
+
+        chrome.runtime.onMessage.addListener(onJobMessage);
+        pollInterval = setInterval(poll, TRYON_JOB_POLL_INTERVAL_MS);
+        timeoutId = setTimeout(() => finish({
+            success: false,
+            error: 'Xử lý ảnh quá lâu. Vui lòng thử lại sau.',
+            errorCode: 'TIMEOUT'
+        }), timeoutMs);
+        poll();
+    });
+}
+
+/**
+ * watchTryonProgress — Subscribe tiến độ thật của job qua long-lived port.
+ * Cập nhật thanh % + dòng trạng thái theo stage, bật nút Huỷ.
+ * Output: stop() — ngắt port, ẩn nút Huỷ
+ */
+function watchTryonProgress(jobId) {
+    activeTryonJobId = jobId;
+    if (elements.loadingCancelBtn) {
+        elements.loadingCancelBtn.disabled = false;
+        elements.loadingCancelBtn.classList.remove('hidden');
+    }
+
+    let port = null;
+    try {
+        port = chrome.runtime.connect({ name: TRYON_PROGRESS_PORT });
+        port.onMessage.addListener((message) => {
+            if (message?.type !== 'TRYON_PROGRESS' || message.jobId !== jobId) return;
+            updateProgress(message.percent);
+            if (elements.loadingText) elements.loadingText.textContent = t(`tryon_stage.${message.stage}`);
+        });
+        port.postMessage({ type: 'SUBSCRIBE', jobId });
+    } catch (error) {
+        // Không có port vẫn chờ được kết quả qua waitForTryonJob — chỉ mất tiến độ chi tiết
+        console.warn('[Fitly] Progress port unavailable:', error);
+    }
+
+    return () => {
+        if (activeTryonJobId === jobId) activeTryonJobId = null;
+        elements.loadingCancelBtn?.classList.add('hidden');
+        try { port?.disconnect(); } catch (_) { }
+    };
+}
+
+/**
+ * cancelActiveTryon — Huỷ job đang hiển thị. waitForTryonJob nhận job 'failed' / CANCELLED qua broadcast.
+ */
+async function cancelActiveTryon() {
+    if (!activeTryonJobId) return;
+    if (elements.loadingCancelBtn) elements.loadingCancelBtn.disabled = true;
+    if (elements.loadingText) elements.loadingText.textContent = t('tryon_stage.cancelling');
+    try {
+        const res = await chrome.runtime.sendMessage({ type: 'CANCEL_TRYON_JOB', data: { jobId: activeTryonJobId } });
+        // Job vừa xong trước khi kịp huỷ — kết quả thật vẫn được hiển thị
+        if (!res?.success && elements.loadingCancelBtn) elements.loadingCancelBtn.disabled = false;
+    } catch (error) {
+        console.error('[Fitly] Cancel try-on failed:', error);
+        if (elements.loadingCancelBtn) elements.loadingCancelBtn.disabled = false;
+    }
+}
+
+function acknowledgeTryonJob(jobId) {
+    if (!jobId) return;
+    chrome.runtime.sendMessage({ type: 'ACK_TRYON_JOB', data: { jobId } }).catch(() => { });
+}
+
+/**
+ * acceptTryOnResult — Kiểm tra ảnh kết quả trước khi thêm vào gallery và trừ gems trên UI.
+ * Ảnh lỗi → tự yêu cầu hoàn gems (trừ khi lần xử lý gốc đã hoàn).
+ * Input: response thành công (shape PROCESS_TRYON), context { clothingUrl, modelUrl, sourceUrl, templateId?, clothingStyling? },
+ *        options.silent — không bật overlay thành công (batch try-on),
+ *        options.resumed — job reattach sau khi mở lại sidebar: không trừ gems trên UI, caller lấy lại balance từ server
+ * Output: { accepted: true, result } hoặc { accepted: false, error }
+ */
+async function acceptTryOnResult(response, context = {}, options = {}) {
+    const imageValidation = await validateTryOnResult(response.result_image_url);
+
+    if (!imageValidation.valid && response.already_processed) {
+        // Lần xử lý gốc đã hoàn gems nếu ảnh lỗi — không refund lần 2
+        return { accepted: false, error: imageValidation.error };
+    }
+
+    if (!imageValidation.valid) {
+        console.error('[Fitly] Result image validation failed, requesting refund...');
+        try {
+            const refundResponse = await chrome.runtime.sendMessage({
+                type: 'REFUND_GEMS',
+                data: {
+                    reason: 'Invalid result image: ' + imageValidation.error,
+                    amount: response.gems_used || GEM_COST_STANDARD,
+                    tryonId: response.tryon_id
+                }
+            });
+            if (refundResponse?.success && refundResponse.newBalance !== undefined) {
+                state.gemsBalance = refundResponse.newBalance;
+            }
+        } catch (refundError) {
+            console.error('[Fitly] Refund request failed:', refundError);
+        }
+        return { accepted: false, error: imageValidation.error };
+    }
+
+    const result = addResult(
+        response.result_image_url,
+        context.clothingUrl,
+        context.modelUrl,
+        context.sourceUrl || null,
+        response.tryon_id || null,
+        { silent: options.silent, templateId: context.templateId || null, clothingStyling: context.clothingStyling || null }
+    );
+    // Job reattach: balance load lúc mở sidebar có thể đã trừ lượt này rồi → không trừ lần 2
+    if (!response.already_processed && !options.resumed) state.gemsBalance -= response.gems_used || GEM_COST_STANDARD;
+    return { accepted: true, result };
+}
+
+/**
+ * applyTryOnResponse — Xử lý kết quả try-on (mới hoặc từ job được reattach)
+ * Input: response (shape PROCESS_TRYON), context { clothingUrl, modelUrl }, options.resumed (xem acceptTryOnResult)
+ */
+async function applyTryOnResponse(response, context = {}, options = {}) {
+    if (!response) {
+        console.error('[DEBUG-TRYON] ❌ Response is null/undefined — SW có thể đã bị kill');
+        showErrorOverlay(true, 'Không nhận được phản hồi từ background. Vui lòng thử lại.');
+        return;
+    }
+
+    if (response.success) {
+        // Request đã xử lý trước đó (retry cùng request_id) — gems đã trừ ở lần đầu
+        if (response.already_processed) {
+            const existing = state.results.find(r => r.imageUrl === response.result_image_url);
+            if (existing) {
+                state.resultImage = existing.imageUrl;
+                state.currentResultId = existing.id;
+                showResultInline(existing);
+                updateUI();
+                return;
+            }
+        }
+
+        updateProgress(95);
+        if (elements.loadingText) elements.loadingText.textContent = t('checking_image');
+
+        const accepted = await acceptTryOnResult(response, context, options);
+        if (!accepted.accepted) {
+            showErrorOverlay(true, accepted.error);
+            updateUI();
+            return;
+        }
+
+        await loadUserModels();
+        await loadRecentClothing();
+        updateUI();
+        return;
+    }
+
+    const errorMessage = response.error || t('error_occurred');
+    const errorCode = response.errorCode;
+    console.error('[DEBUG-TRYON] ❌ Try-on FAILED');
+    console.error('[DEBUG-TRYON] errorCode:', errorCode);
+    console.error('[DEBUG-TRYON] errorMessage:', errorMessage);
+    console.error('[DEBUG-TRYON] Full response:', JSON.stringify(response));
+
+    // Xử lý error dựa trên errorCode thay vì keyword matching
+    // Chỉ logout khi errorCode === 'AUTH_EXPIRED' (token thực sự hết hạn và refresh fail)
+
+    if (errorCode === 'CANCELLED') {
+        // User chủ động huỷ — không phải lỗi, server / gem ledger lo hoàn gems
+        showToast(t('tryon_cancelled'), 'info');
+        return;
+    }
+
+    if (errorCode === 'TIMEOUT') {
+        // Timeout — Edge Function mất quá lâu, KHÔNG logout
+        const timeoutMsg = 'Xử lý ảnh quá lâu. Vui lòng thử lại sau.';
+        showToast(timeoutMsg, 'warning');
+        showErrorOverlay(true, errorMessage || timeoutMsg);
+        return;
+    }
+
+    if (errorCode === 'NETWORK_ERROR') {
+        // Network error — mất kết nối, KHÔNG logout
+        const networkMsg = 'Lỗi kết nối. Vui lòng kiểm tra mạng và thử lại.';
+        showToast(networkMsg, 'warning');
+        showErrorOverlay(true, errorMessage || networkMsg);
+        return;
+    }
+
+    if (errorCode === 'AUTH_EXPIRED') {
+        // Auth expired — token hết hạn và refresh cũng fail
+        // KHÔNG auto-logout → giữ state (selectedItems, modelImage) để user retry sau khi re-login
+        console.error('[DEBUG-TRYON] 🔴 AUTH_EXPIRED detected — hiện thông báo re-login (KHÔNG auto-logout)');
+        console.error('[DEBUG-TRYON] Lý do: Token hết hạn + refresh thất bại');
+        showAuthExpiredOverlay();
+        return;
+    }
+
+    // Other errors — show error overlay, KHÔNG logout
+    // Nếu có refund, backend sẽ tự động xử lý và trả về balance mới
+    if (response.refunded && response.newBalance !== undefined) {
+        state.gemsBalance = response.newBalance;
+        updateUI();
+    }
+
+    showErrorOverlay(true, errorMessage);
+}
+
+/**
+ * buildClothingImagesPayload — Chuyển item đã chọn thành clothing_images của PROCESS_TRYON
+ * (kèm cách mặc + thứ tự lớp user chọn ở modal cách mặc, chuẩn hoá qua lib/garment_styling.js)
+ */
+function buildClothingImagesPayload(items) {
+    return FitlyGarmentStyling.prepareClothingImages(items.map((item, idx) => ({
+        image: item.imageUrl,
+        category: item.category || 'top',
+        name: item.name || 'Item',
+        image_type: item.imageType || 'unknown',
+        is_primary: idx === 0,
+        sub_category: item.subcategory || undefined, // id trong lib/garment_taxonomy.js (jeans, blazer...)
+        transfer_mode: item.transferMode || undefined, // 'full_outfit' | 'single_item' | undefined
+        styling: item.styling,
+        layer: item.layer,
+    })));
+}
+
+/**
+ * processTryOn — Thử state.selectedItems trên state.modelImage
+ * Input: event (shiftKey → mock), options.templateId — thử từ outfit template, outfit kết quả gắn vào template
+ */
+async function processTryOn(event, options = {}) {
     console.log('[DEBUG-TRYON] ========== BẮT ĐẦU PROCESS TRY-ON ==========');
     console.log('[DEBUG-TRYON] Timestamp:', new Date().toISOString());
     console.log('[DEBUG-TRYON] state.modelImage:', state.modelImage ? `exists (${state.modelImage.substring(0, 50)}...)` : 'NULL');
@@ -103,41 +398,54 @@ async function processTryOn(event) {
 
     const useMock = event?.shiftKey;
     showLoading(true, useMock ? t('running_simulation') : t('processing'));
-    updateProgress(10);
+    updateProgress(0);
 
     state.tryonProcessing = true;
     console.log('[DEBUG-TRYON] Confirmed by user, starting processing...');
+    let stopProgress = null;
     try {
+        const clothingImagesPayload = buildClothingImagesPayload(state.selectedItems);
+
+        // Cùng model + cùng món đồ mà lần trước chưa rõ kết quả → dùng lại request_id cũ
+        // (đổi cách mặc / thứ tự lớp = request mới)
+        const requestFingerprint = [state.modelImage, ...clothingImagesPayload.map(item => item.image)]
+            .map(url => String(url || '').slice(0, 200))
+            .join('|') + FitlyGarmentStyling.stylingSignature(clothingImagesPayload);
+        const requestId = getRequestId('tryon', requestFingerprint);
+
+        // Context hiển thị kết quả — lưu cùng job để sidebar mở lại vẫn render đúng
+        const resultContext = {
+            clothingUrl: state.selectedItems?.[0]?.imageUrl || state.clothingImage,
+            modelUrl: state.modelImage,
+            templateId: options.templateId || null,
+            // Cách mặc đã gửi — lưu cùng kết quả để Regenerate mặc y như cũ
+            clothingStyling: FitlyGarmentStyling.snapshotStyling(state.selectedItems),
+        };
 
-        const progressInterval = setInterval(() => {
-            const current = parseInt(elements.loadingProgressBar?.style.width || '10');
-            if (current < 85) updateProgress(current + Math.random() * 10);
-        }, 800);
-
-        const clothingImagesPayload = state.selectedItems.map((item, idx) => ({
-            image: item.imageUrl,
-            category: item.category || 'top',
-            name: item.name || 'Item',
-            image_type: item.imageType || 'unknown',
-            is_primary: idx === 0,
-            sub_category: item.subCategory || undefined,
-            transfer_mode: item.transferMode || undefined // 'full_outfit' | 'single_item' | undefined
-        }));
-
-        console.log('[DEBUG-TRYON] 📤 Sending PROCESS_TRYON message to background...');
+        console.log('[DEBUG-TRYON] 📤 Sending START_TRYON_JOB message to background...');
         console.log('[DEBUG-TRYON] clothingImagesPayload:', clothingImagesPayload.length, 'items');
         const sendTimestamp = Date.now();
-        let response;
+        let jobResponse;
         try {
-            response = await chrome.runtime.sendMessage({
-                type: 'PROCESS_TRYON',
+            jobResponse = await chrome.runtime.sendMessage({
+                type: 'START_TRYON_JOB',
                 data: {
                     person_image: state.modelImage,
                     clothing_images: clothingImagesPayload,
                     clothing_image: state.clothingImage,
                     source_url: state.clothingSourceUrl,
+                    // Metadata sản phẩm của món chính — background gắn vào recent clothing (không gửi lên server)
+                    product: state.selectedItems[0]?.product || null,
                     quality: 'standard',
-                    use_mock: useMock
+                    use_mock: useMock,
+                    request_id: requestId,
+                    meta: {
+                        // Chỉ giữ remote URL — data URL quá nặng cho job record
+                        clothingUrl: resultContext.clothingUrl?.startsWith('data:') ? null : resultContext.clothingUrl,
+                        modelUrl: resultContext.modelUrl?.startsWith('data:') ? null : resultContext.modelUrl,
+                        templateId: resultContext.templateId,
+                        clothingStyling: resultContext.clothingStyling,
+                    }
                 }
             });
         } catch (sendErr) {
@@ -146,97 +454,22 @@ async function processTryOn(event) {
             console.error('[DEBUG-TRYON] This usually means Service Worker was killed mid-processing');
             throw sendErr;
         }
+
+        if (jobResponse?.success) stopProgress = watchTryonProgress(jobResponse.jobId);
+        const response = jobResponse?.success
+            ? await waitForTryonJob(jobResponse.jobId)
+            : jobResponse;
+        stopProgress?.();
         const responseTime = Date.now() - sendTimestamp;
-        console.log('[DEBUG-TRYON] 📥 Response received in', responseTime, 'ms');
+        console.log('[DEBUG-TRYON] 📥 Job finished in', responseTime, 'ms, jobId:', jobResponse?.jobId);
         console.log('[DEBUG-TRYON] response:', JSON.stringify(response, null, 2));
 
-        clearInterval(progressInterval);
         updateProgress(100);
 
-        if (!response) {
-            console.error('[DEBUG-TRYON] ❌ Response is null/undefined — SW có thể đã bị kill');
-            showErrorOverlay(true, 'Không nhận được phản hồi từ background. Vui lòng thử lại.');
-            return;
-        }
-
-        if (response.success) {
-            updateProgress(95);
-            if (elements.loadingText) elements.loadingText.textContent = t('checking_image');
-
-            const imageValidation = await validateTryOnResult(response.result_image_url);
-
-            if (!imageValidation.valid) {
-                console.error('[Fitly] Result image validation failed, requesting refund...');
-                try {
-                    const refundResponse = await chrome.runtime.sendMessage({
-                        type: 'REFUND_GEMS',
-                        data: {
-                            reason: 'Invalid result image: ' + imageValidation.error,
-                            amount: response.gems_used || GEM_COST_STANDARD,
-                            tryonId: response.tryon_id
-                        }
-                    });
-                    if (refundResponse?.success && refundResponse.newBalance !== undefined) {
-                        state.gemsBalance = refundResponse.newBalance;
-                    }
-                } catch (refundError) {
-                    console.error('[Fitly] Refund request failed:', refundError);
-                }
-                showErrorOverlay(true, imageValidation.error);
-                updateUI();
-                return;
-            }
-
-            const firstClothingUrl = state.selectedItems?.[0]?.imageUrl || state.clothingImage;
-            addResult(response.result_image_url, firstClothingUrl, state.modelImage, null, response.tryon_id || null);
-            state.gemsBalance -= response.gems_used || GEM_COST_STANDARD;
-            await loadUserModels();
-            await loadRecentClothing();
-            updateUI();
-        } else {
-            const errorMessage = response.error || t('error_occurred');
-            const errorCode = response.errorCode;
-            console.error('[DEBUG-TRYON] ❌ Try-on FAILED');
-            console.error('[DEBUG-TRYON] errorCode:', errorCode);
-            console.error('[DEBUG-TRYON] errorMessage:', errorMessage);
-            console.error('[DEBUG-TRYON] Full response:', JSON.stringify(response));
-
-            // Xử lý error dựa trên errorCode thay vì keyword matching
-            // Chỉ logout khi errorCode === 'AUTH_EXPIRED' (token thực sự hết hạn và refresh fail)
-
-            if (errorCode === 'TIMEOUT') {
-                // Timeout — Edge Function mất quá lâu, KHÔNG logout
-                const timeoutMsg = 'Xử lý ảnh quá lâu. Vui lòng thử lại sau.';
-                showToast(timeoutMsg, 'warning');
-                showErrorOverlay(true, errorMessage || timeoutMsg);
-                return;
-            }
-
-            if (errorCode === 'NETWORK_ERROR') {
-                // Network error — mất kết nối, KHÔNG logout
-                const networkMsg = 'Lỗi kết nối. Vui lòng kiểm tra mạng và thử lại.';
-                showToast(networkMsg, 'warning');
-                showErrorOverlay(true, errorMessage || networkMsg);
-                return;
-            }
-
-            if (errorCode === 'AUTH_EXPIRED') {
-                // Auth expired — token hết hạn và refresh cũng fail
-                // KHÔNG auto-logout → giữ state (selectedItems, modelImage) để user retry sau khi re-login
-                console.error('[DEBUG-TRYON] 🔴 AUTH_EXPIRED detected — hiện thông báo re-login (KHÔNG auto-logout)');
-                console.error('[DEBUG-TRYON] Lý do: Token hết hạn + refresh thất bại');
-                showAuthExpiredOverlay();
-                return;
-            }
-
-            // Other errors — show error overlay, KHÔNG logout
-            // Nếu có refund, backend sẽ tự động xử lý và trả về balance mới
-            if (response.refunded && response.newBalance !== undefined) {
-                state.gemsBalance = response.newBalance;
-                updateUI();
-            }
-
-            showErrorOverlay(true, errorMessage);
+        await applyTryOnResponse(response, resultContext);
+        acknowledgeTryonJob(jobResponse?.jobId);
+        if (response && !AMBIGUOUS_TRYON_ERROR_CODES.includes(response.errorCode)) {
+            settleRequestId('tryon');
         }
     } catch (error) {
         console.error('[DEBUG-TRYON] ❌ OUTER CATCH — unexpected error:', error);
@@ -245,12 +478,84 @@ async function processTryOn(event) {
         console.error('[DEBUG-TRYON] Stack:', error.stack);
         showErrorOverlay(true, t('processing_error'));
     } finally {
+        stopProgress?.();
         state.tryonProcessing = false;
         showLoading(false);
     }
 }
 
+/**
+ * resumePendingTryonJobs — Reattach job try-on khi sidebar được mở lại.
+ * Job đang chạy → hiện loading và chờ; job đã xong nhưng chưa giao → render kết quả.
+ * Không trừ gems trên UI cho job reattach — sau cùng lấy lại balance từ server (GET_GEMS_BALANCE).
+ */
+async function resumePendingTryonJobs() {
+    if (state.tryonProcessing) return;
+
+    let jobs = [];
+    try {
+        const res = await chrome.runtime.sendMessage({ type: 'GET_TRYON_JOBS', data: { undelivered: true } });
+        jobs = res?.jobs || [];
+    } catch (error) {
+        console.warn('[Fitly] Failed to load pending try-on jobs:', error);
+        return;
+    }
+
+    for (const job of jobs) {
+        if (state.tryonProcessing) return;
+        console.log('[Fitly] Reattaching try-on job:', job.id, '| status:', job.status);
+
+        if (isFinishedTryonJob(job)) {
+            await applyTryOnResponse(jobToTryOnResponse(job), job.meta, { resumed: true });
+            acknowledgeTryonJob(job.id);
+            continue;
+        }
+
+        state.tryonProcessing = true;
+        showLoading(true, t('tryon_resuming'));
+        updateProgress(50);
+        const stopProgress = watchTryonProgress(job.id);
+        try {
+            const response = await waitForTryonJob(job.id);
+            stopProgress();
+            updateProgress(100);
+            await applyTryOnResponse(response, job.meta, { resumed: true });
+            acknowledgeTryonJob(job.id);
+        } finally {
+            stopProgress();
+            state.tryonProcessing = false;
+            showLoading(false);
+        }
+    }
+
+    if (jobs.length > 0) await syncGemsBalance();
+}
+
+/**
+ * syncGemsBalance — Lấy balance mới nhất từ background (GET_GEMS_BALANCE) thay cho phép trừ cục bộ.
+ * Lỗi → giữ state.gemsBalance hiện tại.
+ */
+async function syncGemsBalance() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_GEMS_BALANCE' });
+        if (response?.success && typeof response.balance === 'number') {
+            state.gemsBalance = response.balance;
+            updateUI();
+        } else {
+            console.warn('[Fitly] GET_GEMS_BALANCE failed:', response?.error);
+        }
+    } catch (error) {
+        console.warn('[Fitly] GET_GEMS_BALANCE failed:', error);
+    }
+}
+
 // Expose ra window
 window.validateImageUrl = validateImageUrl;
 window.validateTryOnResult = validateTryOnResult;
+window.acceptTryOnResult = acceptTryOnResult;
+window.buildClothingImagesPayload = buildClothingImagesPayload;
+window.waitForTryonJob = waitForTryonJob;
+window.acknowledgeTryonJob = acknowledgeTryonJob;
 window.processTryOn = processTryOn;
+window.resumePendingTryonJobs = resumePendingTryonJobs;
+window.cancelActiveTryon = cancelActiveTryon;
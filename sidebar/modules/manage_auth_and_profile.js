@@ -851,7 +851,7 @@ async function loadResults() {
 /**
  * checkPendingClothingImage - Kiểm tra ảnh quần áo đang chờ từ right-click context menu
  * 
- * Input: chrome.storage.session pending_clothing_image (set bởi service_worker khi user right-click)
+ * Input: chrome.storage.session pending_clothing_image + pending_product (set bởi service_worker khi user right-click)
  * Output: Thêm item vào selectedItems nếu có ảnh pending
  * 
  * Flow:
@@ -884,9 +884,11 @@ async function checkPendingClothingImage() {
             toggleClothingSelection({
                 id: `capture-${Date.now()}`,
                 imageUrl: result.imageUrl,
-                name: getCategoryLabel(state.selectedCategory) || t('captured_item'),
+                // Tên thật từ JSON-LD / OpenGraph của trang sản phẩm nếu có
+                name: result.product?.name || getCategoryLabel(state.selectedCategory) || t('captured_item'),
                 category: state.selectedCategory,
-                sourceUrl: result.sourceUrl || null
+                sourceUrl: result.sourceUrl || null,
+                product: result.product || null
             });
         }
     } catch (error) {
@@ -1019,6 +1021,24 @@ function listenForMessages() {
                     }
                 })();
                 break;
+            case 'RUN_PENDING_SHORTCUT':
+                // Phím tắt "thử lại với ảnh mẫu kế tiếp" (background/keyboard_commands.js)
+                window.consumePendingShortcut?.().catch(e => {
+                    console.error('[Fitly] Failed to run pending shortcut:', e);
+                });
+                break;
+            case 'SHOW_PENDING_MODEL':
+                // "Dùng làm ảnh mẫu" — ảnh / khung hình video từ trang
+                window.checkPendingModelImage?.().catch(e => {
+                    console.error('[Fitly] Failed to check pending model image:', e);
+                });
+                break;
+            case 'SHOW_PENDING_GALLERY':
+                // "Thử tất cả ảnh của sản phẩm" — chọn ảnh trong gallery hoặc tự gửi ảnh tốt nhất
+                window.checkPendingGallery?.().catch(e => {
+                    console.error('[Fitly] Failed to check pending gallery:', e);
+                });
+                break;
             case 'SHOW_PENDING_CLOTHING':
                 // Nhận signal từ background: user vừa click chọn ảnh quần áo từ trang web
                 // Sidebar đọc pending_clothing_image từ session storage và thêm vào selectedItems
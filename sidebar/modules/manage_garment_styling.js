@@ -0,0 +1,202 @@
+/**
+ * File: manage_garment_styling.js
+ * Purpose: Modal cách mặc cho try-on nhiều món — chọn sơ vin, mở / cài áo khoác, xắn tay áo, cổ áo cho từng món
+ *          và sắp thứ tự lớp (trong ra ngoài) thay vì để AI tự suy
+ * Layer: Presentation
+ *
+ * Input: state.selectedItems (item { imageUrl, name, category, subcategory, styling?, layer? })
+ * Output: #garment-styling-modal, state.selectedItems có styling / layer → buildClothingImagesPayload gửi lên process-tryon
+ *
+ * Flow:
+ * 1. Nút "Cách mặc" → openGarmentStyling → bản nháp các món theo FitlyGarmentStyling.layerOrder
+ * 2. ↑ / ↓ đổi lớp, ô chọn đổi cách mặc (chỉ option hợp category — FitlyGarmentStyling.optionsFor)
+ * 3. "Áp dụng" → ghi styling / layer vào state.selectedItems (giữ thứ tự món, món đầu vẫn là món chính) → saveSelectedItems
+ * 4. "Để AI tự chọn" → xoá hết styling / layer trong bản nháp
+ *
+ * Edge Cases:
+ * - Chưa chọn món → toast, không mở modal
+ * - 1 món → ẩn nút đổi lớp, vẫn chọn được cách mặc
+ * - Chưa đổi lớp lần nào và món chưa có layer → không gửi layer, server giữ thứ tự mặc định
+ * - Ảnh món do trang web cung cấp → dựng bằng DOM, không nhét URL vào innerHTML
+ */
+
+let _stylingDraft = [];
+let _stylingLayersTouched = false;
+
+function getItemLabel(item) {
+    const labelKey = window.FitlyGarmentTaxonomy?.getCategoryLabelKey(item.category, item.subcategory) || `category.${item.category}`;
+    return item.name || t(labelKey);
+}
+
+function createStylingSelect(item, option) {
+    const select = document.createElement('select');
+    select.className = 'garment-styling-select';
+    select.dataset.option = option;
+
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = t('garment_styling.auto');
+    select.append(auto);
+    for (const value of FitlyGarmentStyling.OPTIONS[option]) {
+        const choice = document.createElement('option');
+        choice.value = value;
+        choice.textContent = t(`garment_styling.value.${option}.${value}`);
+        select.append(choice);
+    }
+    select.value = item.styling?.[option] || '';
+    return select;
+}
+
+function createLayerButton(action, icon, disabled) {
+    const button = document.createElement('button');
+    button.className = 'icon-btn-plain garment-styling-move';
+    button.dataset.action = action;
+    button.disabled = disabled;
+    button.title = t(`garment_styling.${action}`);
+    const symbol = document.createElement('span');
+    symbol.className = 'material-symbols-outlined';
+    symbol.textContent = icon;
+    button.append(symbol);
+    return button;
+}
+
+function createStylingRow(item, index) {
+    const row = document.createElement('li');
+    row.className = 'garment-styling-row';
+    row.dataset.index = index;
+
+    const header = document.createElement('div');
+    header.className = 'garment-styling-row-header';
+    const img = document.createElement('img');
+    img.src = item.imageUrl;
+    img.alt = '';
+    img.loading = 'lazy';
+    const info = document.createElement('div');
+    info.className = 'garment-styling-row-info';
+    const name = document.createElement('strong');
+    name.textContent = getItemLabel(item);
+    const layer = document.createElement('span');
+    layer.textContent = t('garment_styling.layer', { n: index + 1 });
+    info.append(name, layer);
+    header.append(img, info);
+    if (_stylingDraft.length > 1) {
+        header.append(
+            createLayerButton('move_in', 'arrow_upward', index === 0),
+            createLayerButton('move_out', 'arrow_downward', index === _stylingDraft.length - 1)
+        );
+    }
+    row.append(header);
+
+    const options = FitlyGarmentStyling.optionsFor(item.category);
+    if (options.length > 0) {
+        const fields = document.createElement('div');
+        fields.className = 'garment-styling-options';
+        for (const option of options) {
+            const field = document.createElement('label');
+            field.className = 'garment-styling-option';
+            const label = document.createElement('span');
+            label.textContent = t(`garment_styling.option.${option}`);
+            field.append(label, createStylingSelect(item, option));
+            fields.append(field);
+        }
+        row.append(fields);
+    }
+    return row;
+}
+
+function renderGarmentStyling() {
+    const list = $('garment-styling-list');
+    if (!list) return;
+    list.replaceChildren(..._stylingDraft.map(createStylingRow));
+    $('garment-styling-layers-hint')?.classList.toggle('hidden', _stylingDraft.length < 2);
+}
+
+function handleStylingListClick(e) {
+    const button = e.target.closest('[data-action]');
+    const row = e.target.closest('.garment-styling-row');
+    if (!button || !row) return;
+    const index = Number(row.dataset.index);
+    const target = button.dataset.action === 'move_in' ? index - 1 : index + 1;
+    if (target < 0 || target >= _stylingDraft.length) return;
+    [_stylingDraft[index], _stylingDraft[target]] = [_stylingDraft[target], _stylingDraft[index]];
+    _stylingLayersTouched = true;
+    renderGarmentStyling();
+}
+
+function handleStylingChange(e) {
+    const select = e.target.closest('.garment-styling-select');
+    const row = e.target.closest('.garment-styling-row');
+    if (!select || !row) return;
+    const item = _stylingDraft[Number(row.dataset.index)];
+    const styling = { ...item.styling, [select.dataset.option]: select.value || undefined };
+    item.styling = FitlyGarmentStyling.normalizeStyling(item.category, styling) || undefined;
+}
+
+function resetGarmentStyling() {
+    _stylingDraft = FitlyGarmentStyling.layerOrder(_stylingDraft.map(({ styling, layer, ...item }) => item));
+    _stylingLayersTouched = false;
+    renderGarmentStyling();
+}
+
+function applyGarmentStyling() {
+    const layered = _stylingLayersTouched || FitlyGarmentStyling.hasCustomLayers(_stylingDraft)
+        ? FitlyGarmentStyling.withLayers(_stylingDraft)
+        : _stylingDraft;
+    // Giữ thứ tự state.selectedItems — món đầu là món chính của try-on, lớp chỉ đi qua field layer
+    state.selectedItems = state.selectedItems.map(selected => {
+        const draft = layered.find(item => item.imageUrl === selected.imageUrl);
+        const { styling, layer, ...item } = selected;
+        if (!draft) return item;
+        return {
+            ...item,
+            ...(draft.styling ? { styling: draft.styling } : {}),
+            ...(Number.isInteger(draft.layer) ? { layer: draft.layer } : {}),
+        };
+    });
+    saveSelectedItems();
+    closeGarmentStyling();
+    showToast(t('garment_styling.applied'), 'success');
+}
+
+// ==========================================
+// MODAL
+// ==========================================
+
+function openGarmentStyling() {
+    const modal = $('garment-styling-modal');
+    if (!modal) return;
+    if (state.selectedItems.length === 0) {
+        showToast(t('garment_styling.no_items'), 'info');
+        return;
+    }
+    _stylingDraft = FitlyGarmentStyling.layerOrder(state.selectedItems).map(item => ({ ...item }));
+    _stylingLayersTouched = false;
+    renderGarmentStyling();
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+}
+
+function closeGarmentStyling() {
+    const modal = $('garment-styling-modal');
+    if (!modal) return;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+function initGarmentStyling() {
+    $('garment-styling-open-btn')?.addEventListener('click', openGarmentStyling);
+    $('garment-styling-close-btn')?.addEventListener('click', closeGarmentStyling);
+    $('garment-styling-reset-btn')?.addEventListener('click', resetGarmentStyling);
+    $('garment-styling-apply-btn')?.addEventListener('click', applyGarmentStyling);
+    $('garment-styling-list')?.addEventListener('click', handleStylingListClick);
+    $('garment-styling-list')?.addEventListener('change', handleStylingChange);
+
+    const modal = $('garment-styling-modal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closeGarmentStyling();
+    });
+}
+
+// Expose ra window
+window.openGarmentStyling = openGarmentStyling;
+window.initGarmentStyling = initGarmentStyling;
@@ -9,6 +9,7 @@
  * Flow:
  * 1. toggleGemsPanel/showGemsPanel/hideGemsPanel → toggle gems panel
  * 2. purchaseGems → mở web app checkout
+ * 2b. renderGemLedger → audit trail trừ / hoàn gems (GET_GEM_LEDGER)
  * 3. toggleLanguagePanel/changeLanguage → cập nhật locale, lưu preference
  * 4. updateUIStrings → sync toàn bộ DOM với i18n keys
  * 5. updateGemPackagePrices → cập nhật giá theo locale
@@ -35,6 +36,57 @@ function showGemsPanel() {
     gemsPanel?.classList.remove('hidden');
     state.showGemsPanel = true;
     updateGemPackagePrices(); // Always render prices in current locale when panel opens
+    renderGemLedger();
+}
+
+const GEM_LEDGER_ICONS = {
+    pending: 'hourglass_top',
+    charged: 'remove_circle',
+    free: 'check_circle',
+    void: 'block',
+    refunded: 'replay',
+    refund_failed: 'error',
+};
+
+/** Event { type, params } → câu theo ngôn ngữ đang chọn; event ghi trước khi có type dịch được vẫn giữ message cũ */
+function formatGemLedgerEvent(event) {
+    if (!event) return '';
+    if (event.message) return event.message;
+    return t(`gem_ledger.event.${event.type}`, event.params || {});
+}
+
+/**
+ * renderGemLedger — Hiển thị audit trail gems (mỗi entry = 1 request try-on / edit)
+ */
+async function renderGemLedger() {
+    const container = document.getElementById('gems-ledger');
+    const list = document.getElementById('gems-ledger-list');
+    if (!container || !list) return;
+
+    let entries = [];
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_GEM_LEDGER' });
+        entries = response?.entries || [];
+    } catch (error) {
+        console.warn('[Fitly] Failed to load gem ledger:', error);
+    }
+
+    container.classList.toggle('hidden', entries.length === 0);
+    list.innerHTML = entries.slice(0, 10).map(entry => {
+        const lastEvent = entry.events?.[entry.events.length - 1];
+        const amount = entry.status === 'charged' ? `-${entry.amount}`
+            : entry.status === 'refunded' ? `+${entry.amount}`
+                : '';
+        return `
+            <li class="gems-ledger-item status-${entry.status}">
+                <span class="material-symbols-outlined gems-ledger-icon">${GEM_LEDGER_ICONS[entry.status] || 'info'}</span>
+                <div class="gems-ledger-info">
+                    <span class="gems-ledger-label">${t(`gem_ledger.${entry.kind}`)} · ${t(`gem_ledger.status.${entry.status}`)}</span>
+                    <span class="gems-ledger-detail">${escapeHtml(formatGemLedgerEvent(lastEvent))} · ${getTimeAgo(entry.updatedAt || entry.createdAt)}</span>
+                </div>
+                <span class="gems-ledger-amount">${amount}</span>
+            </li>`;
+    }).join('');
 }
 
 function hideGemsPanel() {
@@ -267,6 +319,7 @@ window.toggleGemsPanel = toggleGemsPanel;
 window.showGemsPanel = showGemsPanel;
 window.hideGemsPanel = hideGemsPanel;
 window.purchaseGems = purchaseGems;
+window.renderGemLedger = renderGemLedger;
 window.toggleLanguagePanel = toggleLanguagePanel;
 window.showLanguagePanel = showLanguagePanel;
 window.hideLanguagePanel = hideLanguagePanel;
@@ -0,0 +1,411 @@
+/**
+ * File: manage_outfit_builder.js
+ * Purpose: Outfit builder — phối đồ theo ô (áo, quần / váy, áo khoác, giày, phụ kiện) thay cho danh sách phẳng
+ *          của chế độ phối đồ; lưu thành template thử lại trên ảnh mẫu bất kỳ bằng một lần bấm
+ * Layer: Presentation
+ *
+ * Input: state.recentClothing (tủ đồ + đồ vừa thử), state.selectedItems, response GET_OUTFIT_TEMPLATES
+ * Output: #outfit-builder-modal, state.selectedItems theo thứ tự ô → processTryOn(null, { templateId })
+ *
+ * Flow:
+ * 1. Nút "Bộ phối" → openOutfitBuilder → ô trống / ô đang phối + danh sách template
+ * 2. Bấm ô → lưới món cùng vị trí (FitlyOutfitSlots.slotForCategory) → chọn thay món cũ của ô
+ * 3. "Thử ngay" / nút thử của template → findConflicts → không xung đột mới gửi try-on
+ * 4. "Lưu bộ phối" → SAVE_OUTFIT_TEMPLATE; kết quả thử từ template được background gắn vào template
+ *
+ * Edge Cases:
+ * - Lấy từ món đang chọn mà hai món cùng ô (hai áo) → giữ món sau, báo số món bị bỏ
+ * - Xung đột (váy + quần / áo, món sai ô, chỉ có giày / phụ kiện) → liệt kê trong modal, không gửi
+ * - Ảnh món do trang web cung cấp → dựng bằng DOM, không nhét URL vào innerHTML
+ */
+
+let _builderSlots = {};
+let _builderActiveSlot = null;
+let _outfitTemplates = [];
+let _editingTemplateId = null;
+
+function getSlotLabel(slot) {
+    return t(`outfit_builder.slot.${slot}`);
+}
+
+function getSlotIcon(slot) {
+    const category = slot === 'bottom_or_dress' ? 'dress' : slot;
+    return window.FitlyGarmentTaxonomy?.getCategoryIcon(category) || '👕';
+}
+
+function createItemImage(imageUrl) {
+    const img = document.createElement('img');
+    img.src = imageUrl;
+    img.alt = '';
+    img.loading = 'lazy';
+    return img;
+}
+
+// ==========================================
+// SLOTS
+// ==========================================
+
+function renderBuilderSlots() {
+    const container = $('outfit-builder-slots');
+    if (!container) return;
+    const conflictSlots = new Set(FitlyOutfitSlots.findConflicts(_builderSlots).map(conflict => conflict.slot));
+
+    container.replaceChildren(...FitlyOutfitSlots.SLOTS.map(slot => {
+        const item = _builderSlots[slot];
+        const card = document.createElement('button');
+        card.className = 'outfit-builder-slot';
+        card.classList.toggle('active', slot === _builderActiveSlot);
+        card.classList.toggle('has-conflict', conflictSlots.has(slot));
+        card.dataset.slot = slot;
+        card.title = item?.name || getSlotLabel(slot);
+
+        if (item) {
+            card.append(createItemImage(item.imageUrl));
+            const clear = document.createElement('span');
+            clear.className = 'material-symbols-outlined outfit-builder-slot-clear';
+            clear.dataset.action = 'clear-slot';
+            clear.textContent = 'close';
+            card.append(clear);
+        } else {
+            const icon = document.createElement('span');
+            icon.className = 'outfit-builder-slot-icon';
+            icon.textContent = getSlotIcon(slot);
+            card.append(icon);
+        }
+        const label = document.createElement('span');
+        label.className = 'outfit-builder-slot-label';
+        label.textContent = getSlotLabel(slot);
+        card.append(label);
+        return card;
+    }));
+}
+
+function renderBuilderConflicts(conflicts = FitlyOutfitSlots.findConflicts(_builderSlots)) {
+    const list = $('outfit-builder-conflicts');
+    if (!list) return;
+    // Ô trống chưa phải lỗi khi đang phối dở — chỉ báo 'no_garment' lúc gửi / lưu
+    const shown = FitlyOutfitSlots.hasItems(_builderSlots) ? conflicts : [];
+    list.replaceChildren(...shown.map(conflict => {
+        const row = document.createElement('li');
+        row.textContent = t(`outfit_builder.conflict.${conflict.type}`, { slot: conflict.slot ? getSlotLabel(conflict.slot) : '' });
+        return row;
+    }));
+    list.classList.toggle('hidden', shown.length === 0);
+}
+
+function refreshBuilder() {
+    renderBuilderSlots();
+    renderBuilderConflicts();
+}
+
+function handleSlotClick(e) {
+    const card = e.target.closest('.outfit-builder-slot');
+    if (!card) return;
+    const slot = card.dataset.slot;
+    if (e.target.closest('[data-action="clear-slot"]')) {
+        const { [slot]: _removed, ...rest } = _builderSlots;
+        _builderSlots = rest;
+        if (_builderActiveSlot === slot) closeSlotPicker();
+        refreshBuilder();
+        return;
+    }
+    if (_builderActiveSlot === slot) closeSlotPicker();
+    else openSlotPicker(slot);
+}
+
+// ==========================================
+// SLOT PICKER
+// ==========================================
+
+function slotCandidates(slot) {
+    return (state.recentClothing || []).filter(item => item.imageUrl && FitlyOutfitSlots.slotForCategory(item.category) === slot);
+}
+
+function openSlotPicker(slot) {
+    const picker = $('outfit-builder-picker');
+    const grid = $('outfit-builder-picker-grid');
+    if (!picker || !grid) return;
+    _builderActiveSlot = slot;
+    const candidates = slotCandidates(slot);
+
+    $('outfit-builder-picker-label').textContent = candidates.length > 0
+        ? t('outfit_builder.pick_for', { slot: getSlotLabel(slot) })
+        : t('outfit_builder.no_items', { slot: getSlotLabel(slot) });
+    grid.replaceChildren(...candidates.map((item, index) => {
+        const cell = document.createElement('button');
+        cell.className = 'gallery-picker-item outfit-builder-candidate';
+        cell.classList.toggle('is-best', _builderSlots[slot]?.imageUrl === item.imageUrl);
+        cell.dataset.index = String(index);
+        cell.title = item.name || '';
+        const img = createItemImage(item.imageUrl);
+        img.addEventListener('error', () => cell.classList.add('hidden'), { once: true });
+        const badge = document.createElement('span');
+        badge.className = 'gallery-picker-badge';
+        badge.textContent = getCategoryLabel(item.category, item.subcategory);
+        cell.append(img, badge);
+        return cell;
+    }));
+    grid.onclick = (e) => {
+        const cell = e.target.closest('.outfit-builder-candidate');
+        if (cell) pickSlotItem(candidates[Number(cell.dataset.index)]);
+    };
+    picker.classList.remove('hidden');
+    renderBuilderSlots();
+}
+
+function closeSlotPicker() {
+    _builderActiveSlot = null;
+    $('outfit-builder-picker')?.classList.add('hidden');
+}
+
+function toSlotItem(item) {
+    return {
+        id: item.id || null,
+        imageUrl: item.imageUrl,
+        name: item.name || null,
+        category: item.category,
+        subcategory: item.subcategory || null,
+        sourceUrl: item.sourceUrl || null,
+        product: item.product || null,
+    };
+}
+
+function pickSlotItem(item) {
+    if (!item) return;
+    const placed = FitlyOutfitSlots.placeItem(_builderSlots, toSlotItem(item));
+    if (placed.error) {
+        showToast(t('outfit_builder.unsupported_category'), 'warning');
+        return;
+    }
+    _builderSlots = placed.slots;
+    closeSlotPicker();
+    refreshBuilder();
+}
+
+function fillFromSelection() {
+    let slots = {};
+    let dropped = 0;
+    for (const item of state.selectedItems) {
+        const placed = FitlyOutfitSlots.placeItem(slots, toSlotItem(item));
+        if (placed.error || placed.replaced) dropped++;
+        if (!placed.error) slots = placed.slots;
+    }
+    if (!FitlyOutfitSlots.hasItems(slots)) {
+        showToast(t('outfit_builder.selection_empty'), 'info');
+        return;
+    }
+    _builderSlots = slots;
+    closeSlotPicker();
+    refreshBuilder();
+    if (dropped > 0) showToast(t('outfit_builder.selection_trimmed', { count: dropped }), 'warning');
+}
+
+// ==========================================
+// TRY-ON
+// ==========================================
+
+/**
+ * tryOnOutfitSlots — Kiểm tra xung đột rồi thử bộ phối trên ảnh mẫu đang chọn
+ * Input: slots (FitlyOutfitSlots), templateId — outfit kết quả gắn vào template này
+ */
+async function tryOnOutfitSlots(slots, templateId = null) {
+    const conflicts = FitlyOutfitSlots.findConflicts(slots);
+    if (conflicts.length > 0) {
+        if (slots !== _builderSlots) {
+            _builderSlots = { ...slots };
+            renderBuilderSlots();
+        }
+        renderBuilderConflicts(conflicts);
+        showToast(t('outfit_builder.conflicts_found'), 'error');
+        return;
+    }
+    if (!state.modelImage) {
+        showToast(t('select_model_and_item'), 'error');
+        return;
+    }
+
+    state.selectedItems = FitlyOutfitSlots.toTryOnItems(slots).map(item => ({ ...item, imageType: item.imageType || 'unknown' }));
+    state.clothingImage = state.selectedItems[0].imageUrl;
+    state.clothingSourceUrl = state.selectedItems[0].sourceUrl || null;
+    saveSelectedItems();
+    if (window.updateUI) updateUI();
+    if (window.renderClothingHistory) renderClothingHistory();
+
+    closeOutfitBuilder();
+    await processTryOn(null, { templateId });
+}
+
+// ==========================================
+// TEMPLATES
+// ==========================================
+
+async function loadOutfitTemplates() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_OUTFIT_TEMPLATES' });
+        if (response?.success) _outfitTemplates = response.templates || [];
+    } catch (error) {
+        console.warn('[Fitly] Load outfit templates failed:', error.message);
+    }
+    renderOutfitTemplates();
+}
+
+function createTemplateAction(action, icon, titleKey) {
+    const button = document.createElement('button');
+    button.className = 'icon-btn-plain';
+    button.dataset.action = action;
+    button.title = t(titleKey);
+    const glyph = document.createElement('span');
+    glyph.className = 'material-symbols-outlined';
+    glyph.textContent = icon;
+    button.append(glyph);
+    return button;
+}
+
+function createTemplateRow(template) {
+    const row = document.createElement('div');
+    row.className = 'outfit-builder-template';
+    row.classList.toggle('active', template.id === _editingTemplateId);
+    row.dataset.templateId = template.id;
+
+    // Outfit kết quả gần nhất thay cho ảnh món đầu tiên — bấm để xem lại
+    const lastOutfit = template.outfits?.[0];
+    const preview = createItemImage(lastOutfit?.resultImageUrl || FitlyOutfitSlots.toTryOnItems(template.slots)[0]?.imageUrl || '');
+    preview.className = 'outfit-builder-template-preview';
+    if (lastOutfit) preview.dataset.action = 'view-outfit';
+
+    const info = document.createElement('div');
+    info.className = 'outfit-builder-template-info';
+    const name = document.createElement('strong');
+    name.textContent = template.name;
+    const meta = document.createElement('span');
+    meta.textContent = template.tryCount
+        ? t('outfit_builder.tried_count', { count: template.tryCount })
+        : t('outfit_builder.never_tried');
+    info.append(name, meta);
+
+    row.append(
+        preview,
+        info,
+        createTemplateAction('try-template', 'play_arrow', 'outfit_builder.try_template'),
+        createTemplateAction('edit-template', 'edit', 'outfit_builder.edit_template'),
+        createTemplateAction('delete-template', 'delete', 'outfit_builder.delete_template')
+    );
+    return row;
+}
+
+function renderOutfitTemplates() {
+    const container = $('outfit-builder-templates');
+    if (!container) return;
+    if (_outfitTemplates.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'category-modal-label';
+        empty.textContent = t('outfit_builder.no_templates');
+        container.replaceChildren(empty);
+        return;
+    }
+    container.replaceChildren(..._outfitTemplates.map(createTemplateRow));
+}
+
+async function handleTemplateClick(e) {
+    const row = e.target.closest('[data-template-id]');
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (!row || !action) return;
+    const template = _outfitTemplates.find(entry => entry.id === row.dataset.templateId);
+    if (!template) return;
+
+    if (action === 'try-template') {
+        await tryOnOutfitSlots(template.slots, template.id);
+    } else if (action === 'edit-template') {
+        _editingTemplateId = template.id;
+        _builderSlots = { ...template.slots };
+        $('outfit-builder-name').value = template.name;
+        closeSlotPicker();
+        refreshBuilder();
+        renderOutfitTemplates();
+    } else if (action === 'delete-template') {
+        await deleteOutfitTemplate(template.id);
+    } else if (action === 'view-outfit' && typeof window.openImageLightbox === 'function') {
+        window.openImageLightbox(template.outfits[0].resultImageUrl);
+    }
+}
+
+/** Template đang sửa, chỉ khi các ô chưa bị đổi — bộ phối đã sửa mà chưa lưu không gắn kết quả vào template cũ */
+function matchingTemplateId() {
+    const template = _outfitTemplates.find(entry => entry.id === _editingTemplateId);
+    if (!template) return null;
+    const unchanged = FitlyOutfitSlots.SLOTS.every(slot => template.slots[slot]?.imageUrl === _builderSlots[slot]?.imageUrl);
+    return unchanged ? template.id : null;
+}
+
+async function saveOutfitTemplate() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'SAVE_OUTFIT_TEMPLATE',
+            data: { id: _editingTemplateId, name: $('outfit-builder-name').value, slots: _builderSlots }
+        });
+        if (!response?.success) {
+            if (response?.conflicts) renderBuilderConflicts(response.conflicts);
+            showToast(t(`outfit_builder.error.${response?.error || 'UNKNOWN'}`), 'error');
+            return;
+        }
+        _editingTemplateId = response.template.id;
+        showToast(t('outfit_builder.saved', { name: response.template.name }), 'success');
+        await loadOutfitTemplates();
+    } catch (error) {
+        console.error('[Fitly] Save outfit template failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+async function deleteOutfitTemplate(id) {
+    try {
+        await chrome.runtime.sendMessage({ type: 'DELETE_OUTFIT_TEMPLATE', data: { id } });
+        showToast(t('outfit_builder.deleted'), 'success');
+        if (_editingTemplateId === id) _editingTemplateId = null;
+        await loadOutfitTemplates();
+    } catch (error) {
+        console.error('[Fitly] Delete outfit template failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+// ==========================================
+// MODAL
+// ==========================================
+
+function openOutfitBuilder() {
+    const modal = $('outfit-builder-modal');
+    if (!modal) return;
+    closeSlotPicker();
+    refreshBuilder();
+    loadOutfitTemplates();
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+}
+
+function closeOutfitBuilder() {
+    const modal = $('outfit-builder-modal');
+    if (!modal) return;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+function initOutfitBuilder() {
+    $('outfit-builder-open-btn')?.addEventListener('click', openOutfitBuilder);
+    $('outfit-builder-close-btn')?.addEventListener('click', closeOutfitBuilder);
+    $('outfit-builder-slots')?.addEventListener('click', handleSlotClick);
+    $('outfit-builder-templates')?.addEventListener('click', handleTemplateClick);
+    $('outfit-builder-from-selection-btn')?.addEventListener('click', fillFromSelection);
+    $('outfit-builder-save-btn')?.addEventListener('click', saveOutfitTemplate);
+    $('outfit-builder-tryon-btn')?.addEventListener('click', () => tryOnOutfitSlots(_builderSlots, matchingTemplateId()));
+
+    const modal = $('outfit-builder-modal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closeOutfitBuilder();
+    });
+}
+
+// Expose ra window
+window.openOutfitBuilder = openOutfitBuilder;
+window.tryOnOutfitSlots = tryOnOutfitSlots;
+window.initOutfitBuilder = initOutfitBuilder;
@@ -0,0 +1,163 @@
+/**
+ * File: manage_price_tracking.js
+ * Purpose: Modal theo dõi giá cho một món trong tủ đồ — lịch sử giá, giá mong muốn và ngưỡng giảm giá chung
+ * Layer: Presentation
+ *
+ * Input: item trong state.recentClothing (id, imageUrl, name, sourceUrl, product.price), response GET_PRICE_HISTORY,
+ *        GET_SETTINGS.priceDropPercent
+ * Output: #price-tracking-modal → SET_PRICE_ALERT (targetPrice), UPDATE_SETTINGS (priceDropPercent), CHECK_PRICES_NOW
+ *
+ * Flow:
+ * 1. Nút trending_down trên thẻ item (chỉ món có sourceUrl + giá) → openPriceTrackingModal
+ * 2. GET_PRICE_HISTORY { itemId } + GET_SETTINGS → giá lúc lưu, giá mới nhất, lịch sử (mới nhất trước)
+ * 3. "Kiểm tra ngay" → CHECK_PRICES_NOW → đọc lại lịch sử
+ * 4. "Lưu" → SET_PRICE_ALERT (ô trống = bỏ giá mong muốn) + UPDATE_SETTINGS nếu ngưỡng đổi
+ *
+ * Edge Cases:
+ * - Món chưa vào danh sách theo dõi (chưa đồng bộ wardrobe) → toast, không mở modal
+ * - Ngưỡng ngoài 1..99% → toast, không lưu gì
+ * - Tên món do trang web cung cấp → textContent, không nhét vào innerHTML
+ */
+
+const PRICE_HISTORY_DISPLAY_LIMIT = 10;
+
+let _priceTrackingItemId = null;
+let _priceDropPercent = null;
+
+function formatTrackedPrice(price, currency) {
+    try {
+        return currency
+            ? new Intl.NumberFormat(state.locale, { style: 'currency', currency, maximumFractionDigits: 2 }).format(price)
+            : price.toLocaleString(state.locale);
+    } catch (_) {
+        return `${price.toLocaleString(state.locale)} ${currency}`;
+    }
+}
+
+function renderPriceTracking(entry) {
+    const history = entry.history || [];
+    const saved = history[0];
+    const latest = history[history.length - 1];
+
+    $('price-tracking-preview').src = entry.imageUrl || '';
+    $('price-tracking-item-name').textContent = entry.name || t('clothing');
+    $('price-tracking-summary').textContent = [
+        saved ? t('price_tracking.saved_price', { price: formatTrackedPrice(saved.price, saved.currency) }) : '',
+        latest && latest !== saved ? t('price_tracking.current_price', { price: formatTrackedPrice(latest.price, latest.currency) }) : '',
+    ].filter(Boolean).join(' · ');
+
+    $('price-tracking-history').innerHTML = history.slice(-PRICE_HISTORY_DISPLAY_LIMIT).reverse().map(point => `
+        <li class="price-tracking-point${saved && point.price < saved.price ? ' dropped' : ''}">
+            <span>${escapeHtml(new Date(point.at).toLocaleDateString(state.locale))}</span>
+            <strong>${escapeHtml(formatTrackedPrice(point.price, point.currency))}</strong>
+            <span class="price-tracking-source">${t(`price_tracking.source.${point.source}`)}</span>
+        </li>
+    `).join('');
+}
+
+async function loadPriceTrackingEntry(itemId) {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_PRICE_HISTORY', data: { itemId } });
+    return response?.success ? response.entry : null;
+}
+
+// ==========================================
+// MODAL
+// ==========================================
+
+async function openPriceTrackingModal(item) {
+    const modal = $('price-tracking-modal');
+    if (!modal || !item?.id) return;
+    try {
+        const [entry, settings] = await Promise.all([
+            loadPriceTrackingEntry(item.id),
+            chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }),
+        ]);
+        if (!entry) {
+            showToast(t('price_tracking.not_tracked'), 'info');
+            return;
+        }
+        _priceTrackingItemId = entry.itemId;
+        _priceDropPercent = settings?.settings?.priceDropPercent ?? null;
+        renderPriceTracking(entry);
+        $('price-tracking-target-input').value = entry.targetPrice ?? '';
+        $('price-tracking-drop-input').value = _priceDropPercent ?? '';
+        modal.classList.remove('hidden');
+        requestAnimationFrame(() => modal.classList.add('visible'));
+    } catch (error) {
+        console.error('[Fitly] Load price history failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+function closePriceTrackingModal() {
+    const modal = $('price-tracking-modal');
+    if (!modal) return;
+    _priceTrackingItemId = null;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+async function checkPricesNow() {
+    const itemId = _priceTrackingItemId;
+    const button = $('price-tracking-check-btn');
+    if (!itemId) return;
+    button.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'CHECK_PRICES_NOW' });
+        showToast(t('price_tracking.checked', { count: response?.checked ?? 0 }), 'info');
+        const entry = await loadPriceTrackingEntry(itemId);
+        if (entry && _priceTrackingItemId === itemId) renderPriceTracking(entry);
+    } catch (error) {
+        console.error('[Fitly] Price check failed:', error);
+        showToast(t('error_short'), 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function savePriceTracking() {
+    const itemId = _priceTrackingItemId;
+    if (!itemId) return;
+
+    const targetValue = $('price-tracking-target-input').value.trim();
+    const dropValue = $('price-tracking-drop-input').value.trim();
+    const dropPercent = Number(dropValue);
+    if (dropValue && (!Number.isFinite(dropPercent) || dropPercent < 1 || dropPercent > 99)) {
+        showToast(t('price_tracking.invalid_drop'), 'error');
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'SET_PRICE_ALERT',
+            data: { itemId, targetPrice: targetValue ? Number(targetValue) : null }
+        });
+        if (!response?.success) {
+            showToast(t('price_tracking.failed'), 'error');
+            return;
+        }
+        if (dropValue && dropPercent !== _priceDropPercent) {
+            await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', data: { priceDropPercent: dropPercent } });
+        }
+        showToast(t('price_tracking.saved'), 'success');
+        closePriceTrackingModal();
+    } catch (error) {
+        console.error('[Fitly] Save price alert failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+function initPriceTracking() {
+    const modal = $('price-tracking-modal');
+    $('price-tracking-close-btn')?.addEventListener('click', closePriceTrackingModal);
+    $('price-tracking-cancel-btn')?.addEventListener('click', closePriceTrackingModal);
+    $('price-tracking-check-btn')?.addEventListener('click', checkPricesNow);
+    $('price-tracking-save-btn')?.addEventListener('click', savePriceTracking);
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closePriceTrackingModal();
+    });
+}
+
+// Expose ra window
+window.openPriceTrackingModal = openPriceTrackingModal;
+window.initPriceTracking = initPriceTracking;
@@ -3,7 +3,7 @@
  * Purpose: Quản lý danh sách clothing items đã chọn và lịch sử quần áo
  * Layer: Domain
  *
- * Input: Clothing item objects { id, imageUrl, name, category, sourceUrl }
+ * Input: Clothing item objects { id, imageUrl, name, category, subcategory, sourceUrl }
  * Output: Cập nhật state.selectedItems, render bubbles, lưu vào chrome.storage
  *
  * Flow:
@@ -66,7 +66,7 @@ function toggleClothingSelection(item) {
     if (existingIndex > -1) {
         // Deselect current item if it's already selected
         state.selectedItems.splice(existingIndex, 1);
-        showToast(`${t('photo_deselected')}: ${getCategoryLabel(item.category)}`, 'info');
+        showToast(`${t('photo_deselected')}: ${getCategoryLabel(item.category, item.subcategory)}`, 'info');
     } else {
         // SINGLE MODE: replace all items with the new one
         if (!state.mixMatchMode) {
@@ -112,12 +112,12 @@ function toggleClothingSelection(item) {
         }
 
         state.selectedItems.push(item);
-        showToast(`${t('photo_selected')}: ${getCategoryLabel(item.category)}`, 'success');
+        showToast(`${t('photo_selected')}: ${getCategoryLabel(item.category, item.subcategory)}`, 'success');
     }
 
     // Sort selected items: Base layer (dress/top) -> Bottoms -> Outerwear -> Shoes -> Accessories
-    const orderMap = { 'dress': 1, 'top': 2, 'bottom': 3, 'outerwear': 4, 'shoes': 5, 'accessories': 6 };
-    state.selectedItems.sort((a, b) => (orderMap[a.category] || 9) - (orderMap[b.category] || 9));
+    // Cùng thứ tự với outfit builder (lib/outfit_slots.js TRYON_ORDER)
+    state.selectedItems = FitlyOutfitSlots.sortForTryOn(state.selectedItems);
 
     // STEP 1: Determine main display image — always prioritize dress/top as the "hero" image
     // The main large image is fixed to the primary garment (dress > top).
@@ -209,10 +209,15 @@ async function loadRecentClothing() {
                         sourceUrl: wItem.source_url || '',
                         name: wItem.name || 'Item',
                         category: wItem.category || null,
+                        subcategory: wItem.subcategory || null,
                         sourceType: 'online',
                         timestamp: wItem.created_at ? new Date(wItem.created_at).getTime() : Date.now(),
                         tryCount: 0,
                         saved: true,
+                        colors: wItem.colors,
+                        pattern: wItem.pattern,
+                        tags: wItem.tags || [],
+                        notes: wItem.notes || null,
                     });
                     existingUrls.add(url);
                 }
@@ -357,12 +362,16 @@ function renderClothingHistory() {
             const sourceUrl = item.dataset.sourceUrl;
             const id = item.dataset.id;
             const name = item.querySelector('.thumbnail-label')?.textContent || 'Item';
+            const recent = state.recentClothing.find(c => c.imageUrl === url);
             toggleClothingSelection({
                 id: id || `item-${Date.now()}`,
                 imageUrl: url,
                 name,
                 category: state.selectedCategory,
-                sourceUrl
+                // Subcategory đã lưu chỉ đúng khi item vẫn nằm ở tab category của nó
+                subcategory: recent?.category === state.selectedCategory ? (recent.subcategory || null) : null,
+                sourceUrl,
+                product: recent?.product || null
             });
         });
 
@@ -0,0 +1,163 @@
+/**
+ * File: manage_site_rules.js
+ * Purpose: Trang cài đặt luật theo site — bật / tắt nút hover + nhận diện trang thời trang cho từng domain
+ * Layer: Presentation
+ *
+ * Input: site_rules (chrome.storage.local) qua window.FitlySiteRules (lib/fashion_sites.js),
+ *        detection_settings qua window.FitlyFashionScoring (lib/fashion_page_scoring.js)
+ * Output: #site-rules-modal (danh sách luật, thêm / đổi / xoá, độ nhạy tự nhận diện, overlay debug)
+ *
+ * Flow:
+ * 1. Profile menu → "Cài đặt theo trang" → openSiteRulesModal (điền sẵn domain của tab đang mở)
+ * 2. Thêm / đổi chế độ → setSiteRule, xoá → removeSiteRule
+ * 3. Độ nhạy (strict / balanced / relaxed) + "Hiện lý do nhận diện" → saveDetectionSettings
+ * 4. Content script nghe storage.onChanged → áp dụng ngay trên tab đang mở
+ *
+ * Edge Cases:
+ * - Domain nhập sai (không phải hostname) → toast lỗi, giữ nguyên input
+ * - Popup đổi luật khi modal đang mở → render lại theo storage.onChanged
+ */
+
+function siteModeOptions(selected) {
+    return window.FitlySiteRules.SITE_MODES.map(mode => `
+        <option value="${mode}" ${mode === selected ? 'selected' : ''}>${t(`site_rules.mode.${mode}`)}</option>
+    `).join('');
+}
+
+async function renderSiteRules() {
+    const list = $('site-rules-list');
+    if (!list || !window.FitlySiteRules) return;
+
+    const rules = await window.FitlySiteRules.loadSiteRules();
+    const domains = Object.keys(rules).sort();
+    if (domains.length === 0) {
+        list.innerHTML = `<li class="site-rules-empty">${t('site_rules.empty')}</li>`;
+        return;
+    }
+
+    list.innerHTML = domains.map(domain => `
+        <li class="site-rule-row" data-domain="${escapeHtml(domain)}">
+            <span class="site-rule-domain">${escapeHtml(domain)}</span>
+            <select class="site-rule-select">${siteModeOptions(rules[domain])}</select>
+            <button class="icon-btn-plain" data-action="remove-site-rule" title="${t('site_rules.remove')}">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </li>
+    `).join('');
+}
+
+async function renderDetectionSettings() {
+    const scoring = window.FitlyFashionScoring;
+    const select = $('detection-sensitivity');
+    if (!scoring || !select) return;
+
+    const settings = await scoring.loadDetectionSettings();
+    select.innerHTML = scoring.SENSITIVITIES.map(sensitivity => `
+        <option value="${sensitivity}" ${sensitivity === settings.sensitivity ? 'selected' : ''}>${t(`site_rules.sensitivity.${sensitivity}`)}</option>
+    `).join('');
+    const debug = $('detection-debug');
+    if (debug) debug.checked = settings.debug;
+}
+
+async function openSiteRulesModal() {
+    const modeSelect = $('site-rule-mode');
+    if (modeSelect) modeSelect.innerHTML = siteModeOptions('never');
+
+    // Điền sẵn domain của tab đang mở — trường hợp hay gặp nhất
+    const input = $('site-rule-domain');
+    if (input) {
+        input.value = '';
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tab?.url && /^https?:/.test(tab.url)) {
+                input.value = window.FitlySiteRules.normalizeDomain(tab.url) || '';
+            }
+        } catch (error) {
+            console.warn('[Fitly] Read active tab failed:', error.message);
+        }
+    }
+
+    await Promise.all([renderSiteRules(), renderDetectionSettings()]);
+    const modal = $('site-rules-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+}
+
+function closeSiteRulesModal() {
+    const modal = $('site-rules-modal');
+    if (!modal) return;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+async function saveSiteRule(domain, mode) {
+    const result = await window.FitlySiteRules.setSiteRule(domain, mode);
+    if (!result.success) {
+        showToast(t('site_rules.invalid_domain'), 'error');
+        return false;
+    }
+    showToast(t('site_rules.saved', { domain: result.domain }), 'success');
+    return true;
+}
+
+async function handleAddSiteRule() {
+    const input = $('site-rule-domain');
+    const saved = await saveSiteRule(input?.value, $('site-rule-mode')?.value);
+    if (!saved) {
+        input?.focus();
+        return;
+    }
+    if (input) input.value = '';
+    renderSiteRules();
+}
+
+function initSiteRules() {
+    $('menu-site-rules')?.addEventListener('click', () => {
+        hideProfileMenu();
+        openSiteRulesModal();
+    });
+    $('site-rules-close-btn')?.addEventListener('click', closeSiteRulesModal);
+    $('site-rule-add-btn')?.addEventListener('click', handleAddSiteRule);
+    $('site-rule-domain')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleAddSiteRule();
+    });
+
+    const list = $('site-rules-list');
+    list?.addEventListener('change', async (e) => {
+        const row = e.target.closest('.site-rule-row');
+        if (!row || !e.target.matches('.site-rule-select')) return;
+        await saveSiteRule(row.dataset.domain, e.target.value);
+        renderSiteRules();
+    });
+    list?.addEventListener('click', async (e) => {
+        const row = e.target.closest('.site-rule-row');
+        if (!row || !e.target.closest('[data-action="remove-site-rule"]')) return;
+        await window.FitlySiteRules.removeSiteRule(row.dataset.domain);
+        showToast(t('site_rules.removed', { domain: row.dataset.domain }), 'success');
+        renderSiteRules();
+    });
+
+    $('detection-sensitivity')?.addEventListener('change', async (e) => {
+        await window.FitlyFashionScoring.saveDetectionSettings({ sensitivity: e.target.value });
+        showToast(t('site_rules.sensitivity_saved'), 'success');
+    });
+    $('detection-debug')?.addEventListener('change', (e) => {
+        window.FitlyFashionScoring.saveDetectionSettings({ debug: e.target.checked });
+    });
+
+    const modal = $('site-rules-modal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closeSiteRulesModal();
+    });
+
+    // Popup "Bật trên trang này" đổi luật trong lúc modal đang mở
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[window.FitlySiteRules?.SITE_RULES_STORAGE_KEY]) return;
+        if (!modal?.classList.contains('hidden')) renderSiteRules();
+    });
+}
+
+// Expose ra window
+window.openSiteRulesModal = openSiteRulesModal;
+window.initSiteRules = initSiteRules;
@@ -0,0 +1,231 @@
+/**
+ * File: manage_size_recommendation.js
+ * Purpose: Số đo cơ thể theo ảnh mẫu + khung gợi ý size cạnh kết quả try-on
+ * Layer: Presentation
+ *
+ * Input: result (sourceUrl), state.selectedModelId, response GET_SIZE_RECOMMENDATION
+ * Output: #size-recommendation (size đề xuất + giải thích từng số đo), #measurements-modal
+ *
+ * Flow:
+ * 1. addResult → showSizeRecommendation(result, modelId) → background đọc bảng size của trang sản phẩm
+ * 2. Có gợi ý → "Size đề xuất: M" + độ vừa + từng số đo so với khoảng của size
+ * 3. Trang có bảng size nhưng ảnh mẫu chưa có số đo → nút mở form nhập số đo
+ * 4. Lưu số đo (cm / inch) → SAVE_MODEL_MEASUREMENTS → gợi ý lại cho kết quả đang xem
+ *
+ * Edge Cases:
+ * - Trang không có bảng size → ẩn khung, không làm phiền
+ * - Response về sau khi user đã chuyển sang kết quả khác → bỏ qua
+ * - Ảnh mẫu mẫu (mock) chưa lưu → không nhập số đo được
+ */
+
+const MEASUREMENT_INPUT_FIELDS = ['height', 'chest', 'waist', 'hips', 'inseam', 'footLength'];
+const CM_PER_INCH = 2.54;
+
+let _sizeRecommendationTarget = null; // { resultId, modelId, sourceUrl } đang hiển thị
+let _measurementsModelId = null;
+
+function hideSizeRecommendation() {
+    _sizeRecommendationTarget = null;
+    const panel = $('size-recommendation');
+    if (!panel) return;
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+}
+
+function formatCm(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function renderSizeRecommendation(recommendation) {
+    const fitText = recommendation.alternative
+        ? t(`size_recommendation.fit_${recommendation.fit}`, { size: escapeHtml(recommendation.alternative) })
+        : t(`size_recommendation.fit_${recommendation.fit}_plain`);
+
+    const details = recommendation.details.map(detail => {
+        const range = detail.min === detail.max ? formatCm(detail.min) : `${formatCm(detail.min)}–${formatCm(detail.max)}`;
+        return `
+            <li class="size-detail status-${detail.status}">
+                <span class="size-detail-name">${t(`size_recommendation.dimension.${detail.dimension}`)}</span>
+                <span class="size-detail-values">${t('size_recommendation.detail', { body: formatCm(detail.body), range })}</span>
+                <span class="size-detail-status">${t(`size_recommendation.status.${detail.status}`)}</span>
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <div class="size-recommendation-header">
+            <span class="material-symbols-outlined">straighten</span>
+            <span>${t('size_recommendation.title')}</span>
+            <strong class="size-recommendation-badge">${escapeHtml(recommendation.size)}</strong>
+            <button class="size-recommendation-edit icon-btn-plain" data-action="edit-measurements"
+                title="${t('size_recommendation.edit_measurements')}">
+                <span class="material-symbols-outlined">edit</span>
+            </button>
+        </div>
+        <p class="size-recommendation-fit fit-${recommendation.fit}">${fitText}</p>
+        <ul class="size-recommendation-details">${details}</ul>
+    `;
+}
+
+/**
+ * showSizeRecommendation — Gợi ý size cho kết quả vừa thử
+ * Input: result { id, sourceUrl }, modelId (ảnh mẫu dùng để thử)
+ */
+async function showSizeRecommendation(result, modelId = state.selectedModelId) {
+    hideSizeRecommendation();
+    if (!result?.sourceUrl || !modelId) return;
+
+    const target = { resultId: result.id, modelId, sourceUrl: result.sourceUrl };
+    _sizeRecommendationTarget = target;
+
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({
+            type: 'GET_SIZE_RECOMMENDATION',
+            data: { modelId, sourceUrl: result.sourceUrl }
+        });
+    } catch (error) {
+        console.warn('[Fitly] Size recommendation failed:', error.message);
+        return;
+    }
+
+    // User đã chuyển sang kết quả khác trong lúc chờ
+    if (_sizeRecommendationTarget !== target) return;
+    const panel = $('size-recommendation');
+    if (!panel || !response?.success) return;
+
+    if (response.recommendation) {
+        panel.innerHTML = renderSizeRecommendation(response.recommendation);
+    } else if (response.reason === 'NO_PROFILE' && !modelId.startsWith('mock')) {
+        panel.innerHTML = `
+            <div class="size-recommendation-header">
+                <span class="material-symbols-outlined">straighten</span>
+                <span>${t('size_recommendation.no_profile')}</span>
+            </div>
+            <button class="section-action-secondary" data-action="edit-measurements">
+                ${t('size_recommendation.add_measurements')}
+            </button>
+        `;
+    } else {
+        return;
+    }
+    panel.classList.remove('hidden');
+}
+
+// ==========================================
+// MEASUREMENTS MODAL
+// ==========================================
+
+function currentMeasurementUnit() {
+    return $('measurements-unit')?.value === 'in' ? 'in' : 'cm';
+}
+
+async function openMeasurementsModal(modelId = state.selectedModelId) {
+    if (!modelId || modelId.startsWith('mock')) {
+        showToast(t('size_recommendation.need_saved_model'), 'info');
+        return;
+    }
+    _measurementsModelId = modelId;
+
+    let measurements = null;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_MODEL_MEASUREMENTS', data: { modelId } });
+        measurements = response?.measurements || null;
+    } catch (error) {
+        console.warn('[Fitly] Load measurements failed:', error.message);
+    }
+
+    // Profile luôn lưu cm — hiển thị theo đơn vị user chọn lần trước
+    const unit = localStorage.getItem('fitly_measurement_unit') === 'in' ? 'in' : 'cm';
+    const unitSelect = $('measurements-unit');
+    if (unitSelect) unitSelect.value = unit;
+    MEASUREMENT_INPUT_FIELDS.forEach(field => {
+        const input = $(`measurement-${field}`);
+        if (!input) return;
+        const value = measurements?.[field];
+        input.value = value == null ? '' : String(Math.round((unit === 'in' ? value / CM_PER_INCH : value) * 10) / 10);
+    });
+
+    const modal = $('measurements-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+}
+
+function closeMeasurementsModal() {
+    _measurementsModelId = null;
+    const modal = $('measurements-modal');
+    if (!modal) return;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+/** Đổi đơn vị → quy đổi luôn các ô đã nhập để user không phải gõ lại */
+function handleMeasurementUnitChange() {
+    const unit = currentMeasurementUnit();
+    const factor = unit === 'in' ? 1 / CM_PER_INCH : CM_PER_INCH;
+    MEASUREMENT_INPUT_FIELDS.forEach(field => {
+        const input = $(`measurement-${field}`);
+        if (!input || input.value === '') return;
+        const value = Number(input.value.replace(',', '.'));
+        if (Number.isFinite(value)) input.value = String(Math.round(value * factor * 10) / 10);
+    });
+    localStorage.setItem('fitly_measurement_unit', unit);
+}
+
+async function saveMeasurements() {
+    const modelId = _measurementsModelId;
+    if (!modelId) return;
+
+    const measurements = {};
+    MEASUREMENT_INPUT_FIELDS.forEach(field => {
+        measurements[field] = $(`measurement-${field}`)?.value.trim() || '';
+    });
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'SAVE_MODEL_MEASUREMENTS',
+            data: { modelId, unit: currentMeasurementUnit(), measurements }
+        });
+        if (!response?.success) {
+            const field = response?.field ? t(`size_recommendation.dimension.${response.field}`) : '';
+            showToast(t('size_recommendation.invalid', { field }), 'error');
+            $(`measurement-${response?.field}`)?.focus();
+            return;
+        }
+        showToast(t('size_recommendation.saved'), 'success');
+        closeMeasurementsModal();
+
+        // Gợi ý lại cho kết quả đang xem nếu thử bằng đúng ảnh mẫu này
+        const current = state.results.find(r => r.id === state.currentResultId);
+        if (current?.sourceUrl && modelId === state.selectedModelId) {
+            showSizeRecommendation(current, modelId);
+        }
+    } catch (error) {
+        console.error('[Fitly] Save measurements failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+function initSizeRecommendation() {
+    $('size-recommendation')?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="edit-measurements"]')) {
+            openMeasurementsModal(_sizeRecommendationTarget?.modelId || state.selectedModelId);
+        }
+    });
+    $('measurements-close-btn')?.addEventListener('click', closeMeasurementsModal);
+    $('measurements-cancel-btn')?.addEventListener('click', closeMeasurementsModal);
+    $('measurements-save-btn')?.addEventListener('click', saveMeasurements);
+    $('measurements-unit')?.addEventListener('change', handleMeasurementUnitChange);
+
+    const modal = $('measurements-modal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closeMeasurementsModal();
+    });
+}
+
+// Expose ra window
+window.showSizeRecommendation = showSizeRecommendation;
+window.hideSizeRecommendation = hideSizeRecommendation;
+window.openMeasurementsModal = openMeasurementsModal;
+window.initSizeRecommendation = initSizeRecommendation;
@@ -12,8 +12,12 @@
  * 3. Scroll: setupInfiniteScrollForModels (pagination placeholder)
  * 4. addUserModel → gửi lên service worker → reload grid
  * 5. deleteUserModel / setDefaultModel → cập nhật state + re-render
+ * 6. checkPendingModelImage → ảnh / khung hình video user chọn "Dùng làm ảnh mẫu" trên trang
+ *    (session pending_model_image, background gửi SHOW_PENDING_MODEL nhiều lần)
  */
 
+const PENDING_MODEL_MAX_AGE_MS = 60000;
+
 async function loadUserModels() {
     console.log('[ModelLoad] ▶ START loadUserModels()');
     try {
@@ -378,6 +382,10 @@ function renderMainImageActions() {
                 <span class="material-symbols-outlined">${isPinned ? 'keep_off' : 'push_pin'}</span>
                 <span class="btn-label">${isPinned ? t('user_model.unpin_action') : t('user_model.pin_action')}</span>
             </button>
+            <button class="main-action-btn measurements-btn" id="main-measurements-btn" title="${t('size_recommendation.edit_measurements')}">
+                <span class="material-symbols-outlined">straighten</span>
+                <span class="btn-label">${t('size_recommendation.action')}</span>
+            </button>
             <button class="main-action-btn delete-btn" id="main-delete-btn" title="${t('delete')}">
                 <span class="material-symbols-outlined">delete</span>
                 <span class="btn-label">${t('delete')}</span>
@@ -391,6 +399,11 @@ function renderMainImageActions() {
         await (isPinned ? setDefaultModel(null) : setDefaultModel(state.selectedModelId));
     });
 
+    document.getElementById('main-measurements-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openMeasurementsModal(state.selectedModelId);
+    });
+
     document.getElementById('main-delete-btn')?.addEventListener('click', async (e) => {
         e.stopPropagation();
         await deleteUserModel(state.selectedModelId);
@@ -457,6 +470,26 @@ function openImagePopup(imageUrl) {
     overlay.appendChild(closeBtn);
     document.body.appendChild(overlay);
 }
+/** Đọc + xoá pending model image — chỉ lần đầu có dữ liệu; hiện ngay, lưu bản đã nén như ảnh upload */
+async function checkPendingModelImage() {
+    const session = await chrome.storage.session.get(['pending_model_image']);
+    const pending = session.pending_model_image;
+    if (!pending) return;
+    await chrome.storage.session.remove(['pending_model_image']);
+    if (!pending.imageUrl || Date.now() - pending.at > PENDING_MODEL_MAX_AGE_MS) return;
+
+    state.modelImage = pending.imageUrl;
+    updateUI();
+
+    const originalHash = window.generateImageHash ? window.generateImageHash(pending.imageUrl) : null;
+    let imageUrl = pending.imageUrl;
+    if (imageUrl.startsWith('data:')) {
+        imageUrl = await resizeImageForStorage(imageUrl).catch(() => pending.imageUrl);
+    }
+    const added = await addUserModel(imageUrl, 'web', originalHash);
+    if (added) showToast(t('photo_added_success'), 'success');
+    elements.modelImageContainer?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
 
 // Expose ra window
 window.generateImageHash = function (str) {
@@ -474,6 +507,7 @@ window.loadUserModels = loadUserModels;
 window.renderUserModels = renderUserModels;
 window.resizeImageForStorage = resizeImageForStorage;
 window.addUserModel = addUserModel;
+window.checkPendingModelImage = checkPendingModelImage;
 window.deleteUserModel = deleteUserModel;
 window.setDefaultModel = setDefaultModel;
 window.renderMainImageActions = renderMainImageActions;
@@ -0,0 +1,267 @@
+/**
+ * File: manage_wardrobe_collections.js
+ * Purpose: Smart collection (bộ lọc theo luật đã đặt tên) + sửa tag / ghi chú cho từng món trong trang Wardrobe
+ * Layer: Presentation
+ *
+ * Input: wardrobeState (manage_wardrobe_page.js), response GET_WARDROBE_COLLECTIONS
+ * Output: #wardrobe-collections (chip collection + số món), #wardrobe-collection-modal, #wardrobe-tags-modal
+ *
+ * Flow:
+ * 1. openWardrobe → loadWardrobeCollections → chip mỗi collection + chip "Bộ sưu tập mới"
+ * 2. Bấm chip → wardrobeState.collectionId → refreshWardrobeMatches (SEARCH_WARDROBE { collectionId })
+ * 3. Chip mới → form điền sẵn từ bộ lọc đang bật (chữ tìm kiếm, loại, màu, hoạ tiết) → SAVE_WARDROBE_COLLECTION
+ * 4. Nút sell trên thẻ item → openWardrobeTagsModal → UPDATE_WARDROBE_ITEM → cập nhật state.recentClothing
+ *
+ * Edge Cases:
+ * - Background trả mã lỗi (NAME_REQUIRED, RULES_REQUIRED, ...) → toast theo wardrobe_collections.error.<mã>
+ * - Xoá collection đang chọn → bỏ chọn rồi lọc lại
+ * - Tên collection do user đặt → escapeHtml trước khi vào innerHTML
+ */
+
+let _wardrobeCollections = [];
+let _editingCollectionId = null;
+let _taggingItem = null;
+
+function openWardrobeModal(modal) {
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+}
+
+function closeWardrobeModal(modal) {
+    if (!modal) return;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+// ==========================================
+// COLLECTION CHIPS
+// ==========================================
+
+async function loadWardrobeCollections() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_WARDROBE_COLLECTIONS' });
+        if (response?.success) _wardrobeCollections = response.collections || [];
+    } catch (error) {
+        console.warn('[Fitly] Load wardrobe collections failed:', error.message);
+    }
+    renderWardrobeCollections();
+}
+
+function renderWardrobeCollections() {
+    const container = $('wardrobe-collections');
+    if (!container) return;
+    container.innerHTML = [
+        ..._wardrobeCollections.map(collection => {
+            const active = wardrobeState.collectionId === collection.id;
+            return `<button class="wardrobe-cat-tab wardrobe-collection-chip ${active ? 'active' : ''}" data-collection-id="${collection.id}">
+                ${escapeHtml(collection.name)} <span class="wardrobe-collection-count">${collection.count}</span>
+                ${active ? `<span class="material-symbols-outlined wardrobe-collection-edit" data-action="edit-collection" title="${t('wardrobe_collections.edit_title')}">edit</span>` : ''}
+            </button>`;
+        }),
+        `<button class="wardrobe-cat-tab wardrobe-collection-new" data-action="new-collection">
+            <span class="material-symbols-outlined">add</span>${t('wardrobe_collections.new')}
+        </button>`
+    ].join('');
+}
+
+function handleCollectionChipClick(e) {
+    if (e.target.closest('[data-action="new-collection"]')) {
+        openWardrobeCollectionModal(null);
+        return;
+    }
+    const chip = e.target.closest('[data-collection-id]');
+    if (!chip) return;
+    const collection = _wardrobeCollections.find(entry => entry.id === chip.dataset.collectionId);
+    if (e.target.closest('[data-action="edit-collection"]')) {
+        openWardrobeCollectionModal(collection);
+        return;
+    }
+    wardrobeState.collectionId = wardrobeState.collectionId === chip.dataset.collectionId ? null : chip.dataset.collectionId;
+    renderWardrobeCollections();
+    refreshWardrobeMatches();
+}
+
+// ==========================================
+// COLLECTION MODAL
+// ==========================================
+
+function fillSelect(select, options, value) {
+    if (!select) return;
+    select.innerHTML = options.map(option => `<option value="${option.value}">${escapeHtml(option.label)}</option>`).join('');
+    select.value = value || '';
+}
+
+function anyOption() {
+    return { value: '', label: t('wardrobe_collections.any') };
+}
+
+/** Collection đang sửa, hoặc bộ lọc đang bật trên trang Wardrobe khi tạo mới */
+function collectionFormRules(collection) {
+    if (collection) return collection.rules;
+    return {
+        query: wardrobeState.search,
+        category: wardrobeState.category,
+        subcategory: wardrobeState.subcategory,
+        colors: wardrobeState.color ? [wardrobeState.color] : [],
+        pattern: wardrobeState.pattern,
+    };
+}
+
+function openWardrobeCollectionModal(collection) {
+    const modal = $('wardrobe-collection-modal');
+    if (!modal) return;
+    _editingCollectionId = collection?.id || null;
+    const rules = collectionFormRules(collection);
+
+    $('wardrobe-collection-title').textContent = t(collection ? 'wardrobe_collections.edit_title' : 'wardrobe_collections.new_title');
+    $('wardrobe-collection-name').value = collection?.name || '';
+    $('wardrobe-collection-query').value = rules.query || '';
+    $('wardrobe-collection-domain').value = (rules.domains || []).join(', ');
+    $('wardrobe-collection-tags').value = (rules.tags || []).join(', ');
+    // Subcategory không có ô riêng — giữ nguyên khi sửa nếu category không đổi
+    $('wardrobe-collection-category').dataset.subcategory = rules.subcategory || '';
+
+    const categories = (window.FitlyGarmentTaxonomy?.CATEGORIES || []).filter(category => category !== 'outfit');
+    fillSelect($('wardrobe-collection-category'), [anyOption(), ...categories.map(category => ({ value: category, label: getCategoryLabel(category) }))],
+        rules.category === 'all' ? '' : rules.category);
+    fillSelect($('wardrobe-collection-color'), [anyOption(), ...(window.FitlyGarmentColors?.COLORS || []).map(color => ({ value: color.name, label: t(`color.${color.name}`) }))],
+        rules.colors?.[0]);
+    fillSelect($('wardrobe-collection-pattern'), [anyOption(), ...(window.FitlyGarmentColors?.PATTERNS || []).map(pattern => ({ value: pattern, label: t(`pattern.${pattern}`) }))],
+        rules.pattern);
+    fillSelect($('wardrobe-collection-added'), [anyOption(), ...FitlyWardrobeQuery.ADDED_RANGES.map(range => ({ value: range, label: t(`wardrobe_collections.added.${range}`) }))],
+        rules.added);
+
+    $('wardrobe-collection-delete-btn')?.classList.toggle('hidden', !collection);
+    openWardrobeModal(modal);
+    $('wardrobe-collection-name')?.focus();
+}
+
+function readCollectionForm() {
+    const category = $('wardrobe-collection-category').value;
+    const editing = _wardrobeCollections.find(entry => entry.id === _editingCollectionId);
+    const keepSubcategory = category && category === (editing?.rules.category || wardrobeState.category);
+    return {
+        name: $('wardrobe-collection-name').value,
+        rules: FitlyWardrobeQuery.normalizeRules({
+            query: $('wardrobe-collection-query').value,
+            category,
+            subcategory: keepSubcategory ? $('wardrobe-collection-category').dataset.subcategory : null,
+            colors: [$('wardrobe-collection-color').value],
+            pattern: $('wardrobe-collection-pattern').value,
+            added: $('wardrobe-collection-added').value,
+            domains: $('wardrobe-collection-domain').value.split(','),
+            tags: $('wardrobe-collection-tags').value,
+        })
+    };
+}
+
+async function saveWardrobeCollection() {
+    const { name, rules } = readCollectionForm();
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'SAVE_WARDROBE_COLLECTION',
+            data: { id: _editingCollectionId, name, rules }
+        });
+        if (!response?.success) {
+            showToast(t(`wardrobe_collections.error.${response?.error || 'UNKNOWN'}`), 'error');
+            return;
+        }
+        showToast(t('wardrobe_collections.saved', { name: response.collection.name }), 'success');
+        closeWardrobeModal($('wardrobe-collection-modal'));
+        wardrobeState.collectionId = response.collection.id;
+        await loadWardrobeCollections();
+        refreshWardrobeMatches();
+    } catch (error) {
+        console.error('[Fitly] Save wardrobe collection failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+async function deleteWardrobeCollection() {
+    const id = _editingCollectionId;
+    if (!id) return;
+    try {
+        await chrome.runtime.sendMessage({ type: 'DELETE_WARDROBE_COLLECTION', data: { id } });
+        showToast(t('wardrobe_collections.deleted'), 'success');
+        closeWardrobeModal($('wardrobe-collection-modal'));
+        if (wardrobeState.collectionId === id) wardrobeState.collectionId = null;
+        await loadWardrobeCollections();
+        refreshWardrobeMatches();
+    } catch (error) {
+        console.error('[Fitly] Delete wardrobe collection failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+// ==========================================
+// TAGS & NOTES MODAL
+// ==========================================
+
+function openWardrobeTagsModal(item) {
+    const modal = $('wardrobe-tags-modal');
+    if (!modal || !item) return;
+    _taggingItem = item;
+    $('wardrobe-tags-preview').src = item.imageUrl;
+    $('wardrobe-tags-item-name').textContent = item.name || t('clothing');
+    $('wardrobe-tags-input').value = (item.tags || []).join(', ');
+    $('wardrobe-notes-input').value = item.notes || '';
+    openWardrobeModal(modal);
+    $('wardrobe-tags-input')?.focus();
+}
+
+async function saveWardrobeTags() {
+    const item = _taggingItem;
+    if (!item) return;
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'UPDATE_WARDROBE_ITEM',
+            data: {
+                id: item.id || null,
+                imageUrl: item.imageUrl,
+                tags: $('wardrobe-tags-input').value,
+                notes: $('wardrobe-notes-input').value
+            }
+        });
+        if (!response?.success) {
+            showToast(t('wardrobe_tags.failed'), 'error');
+            return;
+        }
+        item.tags = response.tags;
+        item.notes = response.notes;
+        showToast(t('wardrobe_tags.saved'), 'success');
+        _taggingItem = null;
+        closeWardrobeModal($('wardrobe-tags-modal'));
+        // Tag mới có thể làm món vào / ra khỏi kết quả tìm kiếm và collection
+        loadWardrobeCollections();
+        refreshWardrobeMatches();
+    } catch (error) {
+        console.error('[Fitly] Save wardrobe tags failed:', error);
+        showToast(t('error_short'), 'error');
+    }
+}
+
+function initWardrobeCollections() {
+    $('wardrobe-collections')?.addEventListener('click', handleCollectionChipClick);
+
+    const collectionModal = $('wardrobe-collection-modal');
+    $('wardrobe-collection-close-btn')?.addEventListener('click', () => closeWardrobeModal(collectionModal));
+    $('wardrobe-collection-cancel-btn')?.addEventListener('click', () => closeWardrobeModal(collectionModal));
+    $('wardrobe-collection-save-btn')?.addEventListener('click', saveWardrobeCollection);
+    $('wardrobe-collection-delete-btn')?.addEventListener('click', deleteWardrobeCollection);
+    collectionModal?.addEventListener('click', (e) => {
+        if (e.target === collectionModal) closeWardrobeModal(collectionModal);
+    });
+
+    const tagsModal = $('wardrobe-tags-modal');
+    $('wardrobe-tags-close-btn')?.addEventListener('click', () => closeWardrobeModal(tagsModal));
+    $('wardrobe-tags-cancel-btn')?.addEventListener('click', () => closeWardrobeModal(tagsModal));
+    $('wardrobe-tags-save-btn')?.addEventListener('click', saveWardrobeTags);
+    tagsModal?.addEventListener('click', (e) => {
+        if (e.target === tagsModal) closeWardrobeModal(tagsModal);
+    });
+}
+
+// Expose ra window
+window.loadWardrobeCollections = loadWardrobeCollections;
+window.openWardrobeTagsModal = openWardrobeTagsModal;
+window.initWardrobeCollections = initWardrobeCollections;
@@ -3,19 +3,38 @@
  * Purpose: Logic cho trang Wardrobe - filter, sort, render grid quần áo đã lưu
  * Layer: Presentation
  *
- * Input: state.recentClothing, wardrobeState (category, search, sort)
+ * Input: state.recentClothing, wardrobeState (category, subcategory, color, pattern, search, collectionId, sort)
  * Output: DOM wardrobe-section hiển thị grid quần áo
  *
  * Flow:
  * 1. initWardrobe → setup event listeners (open/close/search/category/sort)
  * 2. openWardrobe → hide mainContent, show wardrobeSection, renderWardrobeGrid
  * 3. renderWardrobeGrid → filter + sort state.recentClothing → render HTML
+ *    Ô tìm kiếm / smart collection → SEARCH_WARDROBE (chỉ mục ở background/wardrobe_search_index.js)
+ *    → wardrobeState.matches (URL ảnh khớp), lưới chỉ giữ các món đó
+ *    Tab category có subcategory (lib/garment_taxonomy.js) → hàng tab subcategory, lọc thêm theo subcategory
+ *    renderWardrobeAttributeFilters → swatch màu + chip hoạ tiết (lib/garment_colors.js) mà tủ đồ đang có
  * 4. setupWardrobeGridDelegation → event delegation cho action buttons
+ *    (find-similar → openSimilarItemsPanel, modules/find_similar_items.js;
+ *     edit-tags → openWardrobeTagsModal, modules/manage_wardrobe_collections.js;
+ *     price-history → openPriceTrackingModal, modules/manage_price_tracking.js — chỉ món có sourceUrl + giá)
+ *
+ * Edge Cases:
+ * - Gõ nhanh → chỉ gửi sau SEARCH_DEBOUNCE_MS, response cũ về sau response mới bị bỏ (_wardrobeSearchRequestId)
  */
 
+const SEARCH_DEBOUNCE_MS = 120;
+let _wardrobeSearchTimer = null;
+let _wardrobeSearchRequestId = 0;
+
 let wardrobeState = {
     category: 'all',
+    subcategory: null,
+    color: null,
+    pattern: null,
     search: '',
+    collectionId: null,
+    matches: null, // Set URL ảnh khớp tìm kiếm / collection; null = không lọc
     sort: 'newest'
 };
 
@@ -31,9 +50,10 @@ function initWardrobe() {
 
     if (searchInput) {
         searchInput.addEventListener('input', (e) => {
-            wardrobeState.search = e.target.value.toLowerCase().trim();
+            wardrobeState.search = e.target.value.trim();
             clearSearchBtn?.classList.toggle('hidden', !wardrobeState.search);
-            renderWardrobeGrid();
+            clearTimeout(_wardrobeSearchTimer);
+            _wardrobeSearchTimer = setTimeout(refreshWardrobeMatches, SEARCH_DEBOUNCE_MS);
         });
     }
 
@@ -43,7 +63,7 @@ function initWardrobe() {
                 searchInput.value = '';
                 wardrobeState.search = '';
                 clearSearchBtn.classList.add('hidden');
-                renderWardrobeGrid();
+                refreshWardrobeMatches();
             }
         });
     }
@@ -54,6 +74,8 @@ function initWardrobe() {
             categoryTabs.forEach(t => t.classList.remove('active'));
             tab.classList.add('active');
             wardrobeState.category = tab.dataset.category;
+            wardrobeState.subcategory = null;
+            renderWardrobeSubcategoryTabs();
             renderWardrobeGrid();
         });
     });
@@ -72,6 +94,7 @@ function initWardrobe() {
     }
 
     setupWardrobeGridDelegation();
+    setupWardrobeAttributeFilters();
 }
 
 async function openWardrobe() {
@@ -87,7 +110,10 @@ async function openWardrobe() {
 
         const countEl = document.getElementById('wardrobe-total-count');
         if (countEl) countEl.textContent = t('wardrobe_item_count', { count: state.recentClothing.length });
-        renderWardrobeGrid();
+        renderWardrobeSubcategoryTabs();
+        renderWardrobeAttributeFilters();
+        if (window.loadWardrobeCollections) loadWardrobeCollections();
+        await refreshWardrobeMatches();
         renderQuickWardrobeCarousel();
     }
 }
@@ -194,6 +220,7 @@ function renderQuickWardrobeCarousel() {
                 imageUrl: item.imageUrl,
                 name: item.name,
                 category: item.category || 'top',
+                subcategory: item.subcategory || null,
                 sourceUrl: item.sourceUrl
             }];
             updateUI();
@@ -213,20 +240,125 @@ function renderQuickWardrobeCarousel() {
     });
 }
 
+/** Tab subcategory cho category đang chọn — "Tất cả" + các subcategory mà tủ đồ đang có item */
+function renderWardrobeSubcategoryTabs() {
+    const container = document.getElementById('wardrobe-subcategory-tabs');
+    if (!container) return;
+    const category = wardrobeState.category;
+    const taxonomy = window.FitlyGarmentTaxonomy;
+    const present = new Set(state.recentClothing
+        .filter(item => item.category === category && item.subcategory)
+        .map(item => item.subcategory));
+    const subcategories = category !== 'all' && taxonomy
+        ? taxonomy.getSubcategories(category).filter(sub => present.has(sub))
+        : [];
+
+    container.classList.toggle('hidden', subcategories.length === 0);
+    container.innerHTML = subcategories.length === 0 ? '' : [
+        `<button class="wardrobe-cat-tab ${!wardrobeState.subcategory ? 'active' : ''}" data-subcategory="">${t('wardrobe_tabs.all')}</button>`,
+        ...subcategories.map(sub => `<button class="wardrobe-cat-tab ${wardrobeState.subcategory === sub ? 'active' : ''}" data-subcategory="${sub}">${taxonomy.getCategoryIcon(category, sub)} ${getCategoryLabel(category, sub)}</button>`)
+    ].join('');
+
+    container.querySelectorAll('.wardrobe-cat-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            wardrobeState.subcategory = tab.dataset.subcategory || null;
+            renderWardrobeSubcategoryTabs();
+            renderWardrobeGrid();
+        });
+    });
+}
+
+/** Màu / hoạ tiết mà tủ đồ đang có (colors, pattern từ background/garment_attributes.js) → swatch + chip lọc */
+function renderWardrobeAttributeFilters() {
+    const container = document.getElementById('wardrobe-attribute-filters');
+    const garmentColors = window.FitlyGarmentColors;
+    if (!container || !garmentColors) return;
+
+    const presentColors = new Set();
+    const presentPatterns = new Set();
+    state.recentClothing.forEach(item => {
+        (item.colors || []).forEach(color => presentColors.add(color.name));
+        if (item.pattern) presentPatterns.add(item.pattern);
+    });
+    const colors = garmentColors.COLORS.filter(color => presentColors.has(color.name));
+    // Chỉ một hoạ tiết (thường toàn đồ trơn) thì lọc theo hoạ tiết không có ý nghĩa
+    const patterns = presentPatterns.size > 1 ? garmentColors.PATTERNS.filter(pattern => presentPatterns.has(pattern)) : [];
+    // Món cuối cùng của màu / hoạ tiết đang lọc vừa bị xoá → bỏ lọc, tránh lưới rỗng không có nút để tắt
+    if (!colors.some(color => color.name === wardrobeState.color)) wardrobeState.color = null;
+    if (!patterns.includes(wardrobeState.pattern)) wardrobeState.pattern = null;
+
+    container.classList.toggle('hidden', colors.length === 0 && patterns.length === 0);
+    container.innerHTML = [
+        ...colors.map(color => `<button class="wardrobe-color-swatch ${wardrobeState.color === color.name ? 'active' : ''}" data-color="${color.name}" style="background:${color.hex}" title="${t(`color.${color.name}`)}"></button>`),
+        colors.length > 0 && patterns.length > 0 ? '<span class="wardrobe-attribute-divider"></span>' : '',
+        ...patterns.map(pattern => `<button class="wardrobe-cat-tab ${wardrobeState.pattern === pattern ? 'active' : ''}" data-pattern="${pattern}">${t(`pattern.${pattern}`)}</button>`)
+    ].join('');
+}
+
+/** Bấm swatch / chip để lọc, bấm lại để bỏ lọc */
+function setupWardrobeAttributeFilters() {
+    const container = document.getElementById('wardrobe-attribute-filters');
+    if (!container) return;
+    container.addEventListener('click', (e) => {
+        const swatch = e.target.closest('[data-color]');
+        const chip = e.target.closest('[data-pattern]');
+        if (swatch) wardrobeState.color = wardrobeState.color === swatch.dataset.color ? null : swatch.dataset.color;
+        else if (chip) wardrobeState.pattern = wardrobeState.pattern === chip.dataset.pattern ? null : chip.dataset.pattern;
+        else return;
+        renderWardrobeAttributeFilters();
+        renderWardrobeGrid();
+    });
+}
+
+/**
+ * refreshWardrobeMatches — Hỏi background các món khớp ô tìm kiếm + collection đang chọn rồi vẽ lại lưới
+ */
+async function refreshWardrobeMatches() {
+    const requestId = ++_wardrobeSearchRequestId;
+    if (!wardrobeState.search && !wardrobeState.collectionId) {
+        wardrobeState.matches = null;
+        renderWardrobeGrid();
+        return;
+    }
+
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({
+            type: 'SEARCH_WARDROBE',
+            data: { query: wardrobeState.search, collectionId: wardrobeState.collectionId }
+        });
+    } catch (error) {
+        response = { success: false, error: error.message };
+    }
+    if (requestId !== _wardrobeSearchRequestId) return;
+
+    if (response?.success) {
+        wardrobeState.matches = new Set(response.items.map(item => item.imageUrl));
+    } else if (response?.error === 'COLLECTION_NOT_FOUND') {
+        // Collection bị xoá ở cửa sổ khác → bỏ chọn, tìm lại chỉ theo chữ
+        wardrobeState.collectionId = null;
+        if (window.loadWardrobeCollections) loadWardrobeCollections();
+        return refreshWardrobeMatches();
+    } else {
+        console.warn('[Fitly] Wardrobe search failed:', response?.error);
+        wardrobeState.matches = null;
+    }
+    renderWardrobeGrid();
+}
+
 function renderWardrobeGrid() {
     const grid = document.getElementById('wardrobe-grid');
     const emptyState = document.getElementById('wardrobe-empty');
     if (!grid) return;
 
     let filteredItems = state.recentClothing.filter(item => {
-        if (wardrobeState.search) {
-            const name = (item.name || '').toLowerCase();
-            const source = (item.sourceUrl || '').toLowerCase();
-            if (!name.includes(wardrobeState.search) && !source.includes(wardrobeState.search)) return false;
-        }
+        if (wardrobeState.matches && !wardrobeState.matches.has(item.imageUrl)) return false;
         if (wardrobeState.category !== 'all') {
             if (item.category && item.category !== wardrobeState.category) return false;
         }
+        if (wardrobeState.subcategory && item.subcategory !== wardrobeState.subcategory) return false;
+        if ((wardrobeState.color || wardrobeState.pattern) && window.FitlyGarmentColors
+            && !FitlyGarmentColors.matchesAttributes(item, wardrobeState)) return false;
         return true;
     });
 
@@ -250,8 +382,9 @@ function renderWardrobeGrid() {
     grid.innerHTML = filteredItems.map(item => {
         const isSelected = state.selectedItems.some(i => i.imageUrl === item.imageUrl);
         const hasSourceUrl = item.sourceUrl && item.sourceUrl.startsWith('http');
+        const hasTrackedPrice = hasSourceUrl && item.product?.price != null;
         let poseLabel = item.name || t('clothing');
-        if (item.category) poseLabel += ` • ${getCategoryLabel(item.category)}`;
+        if (item.category) poseLabel += ` • ${getCategoryLabel(item.category, item.subcategory)}`;
         // Check hidden state using shared hiddenClothingIds (via window)
         const itemKey = item.id || item.imageUrl;
         const isHidden = typeof hiddenClothingIds !== 'undefined'
@@ -267,6 +400,15 @@ function renderWardrobeGrid() {
                     ${!isHidden ? `<button class="clothing-action-btn" data-action="quick-try" data-url="${item.imageUrl}" data-source-url="${item.sourceUrl || ''}" data-item-id="${item.id || ''}" title="${t('try_on_button.try_now')}">
                         <span class="material-symbols-outlined">auto_fix_high</span>
                     </button>` : ''}
+                    ${!isHidden ? `<button class="clothing-action-btn" data-action="find-similar" data-url="${item.imageUrl}" title="${t('similar_items.find')}">
+                        <span class="material-symbols-outlined">image_search</span>
+                    </button>` : ''}
+                    ${!isHidden ? `<button class="clothing-action-btn" data-action="edit-tags" data-url="${item.imageUrl}" title="${t('wardrobe_tags.edit')}">
+                        <span class="material-symbols-outlined">sell</span>
+                    </button>` : ''}
+                    ${hasTrackedPrice && !isHidden ? `<button class="clothing-action-btn" data-action="price-history" data-url="${item.imageUrl}" title="${t('price_tracking.open')}">
+                        <span class="material-symbols-outlined">trending_down</span>
+                    </button>` : ''}
                     <button class="clothing-action-btn hide-btn" data-action="hide" data-item-id="${item.id || ''}" data-url="${item.imageUrl}" title="${isHidden ? 'Hiện item' : 'Ẩn item'}">${isHidden ? '👁' : '🙈'}</button>
                     ${hasSourceUrl && !isHidden ? `<button class="clothing-action-btn" data-action="visit" data-source-url="${item.sourceUrl}" title="${t('open_product')}">🛒</button>` : ''}
                     <button class="clothing-action-btn delete-btn" data-action="delete" data-item-id="${item.id}" data-url="${item.imageUrl}" title="${t('delete')}">×</button>
@@ -305,6 +447,15 @@ function setupWardrobeGridDelegation() {
             } else if (action === 'quick-try') {
                 closeWardrobe();
                 await quickTryClothing(url, sourceUrl);
+            } else if (action === 'find-similar') {
+                const item = state.recentClothing.find(i => i.imageUrl === url);
+                if (item && window.openSimilarItemsPanel) openSimilarItemsPanel(item);
+            } else if (action === 'edit-tags') {
+                const item = state.recentClothing.find(i => i.imageUrl === url);
+                if (item && window.openWardrobeTagsModal) openWardrobeTagsModal(item);
+            } else if (action === 'price-history') {
+                const item = state.recentClothing.find(i => i.imageUrl === url);
+                if (item && window.openPriceTrackingModal) openPriceTrackingModal(item);
             } else if (action === 'visit' && sourceUrl) {
                 openProductPage(sourceUrl);
             } else if (action === 'delete') {
@@ -326,7 +477,9 @@ function setupWardrobeGridDelegation() {
                     imageUrl: item.imageUrl,
                     name: item.name,
                     category: item.category || 'top',
-                    sourceUrl: item.sourceUrl
+                    subcategory: item.subcategory || null,
+                    sourceUrl: item.sourceUrl,
+                    product: item.product || null
                 });
                 renderWardrobeGrid();
             }
@@ -394,6 +547,7 @@ async function deleteClothingFromWardrobe(id, url) {
     await loadRecentClothing();
     updateUI();
     showToast(t('result_deleted') || 'Đã xoá', 'success');
+    renderWardrobeAttributeFilters();
     renderWardrobeGrid();
     renderQuickWardrobeCarousel();
     const countEl = document.getElementById('wardrobe-total-count');
@@ -405,6 +559,9 @@ window.initWardrobe = initWardrobe;
 window.openWardrobe = openWardrobe;
 window.closeWardrobe = closeWardrobe;
 window.renderWardrobeGrid = renderWardrobeGrid;
+window.renderWardrobeSubcategoryTabs = renderWardrobeSubcategoryTabs;
+window.renderWardrobeAttributeFilters = renderWardrobeAttributeFilters;
+window.refreshWardrobeMatches = refreshWardrobeMatches;
 window.setupWardrobeGridDelegation = setupWardrobeGridDelegation;
 window.quickTryClothingFromWardrobe = quickTryClothingFromWardrobe;
 window.deleteClothingFromWardrobe = deleteClothingFromWardrobe;
@@ -0,0 +1,159 @@
+/**
+ * File: pick_product_gallery_image.js
+ * Purpose: "Thử tất cả ảnh của sản phẩm" — cho user chọn 1 ảnh trong gallery đã xếp hạng, hoặc tự gửi ảnh tốt nhất
+ * Layer: Presentation
+ *
+ * Input: session pending_gallery { images[], pageUrl, product, clickedUrl, at } (background/context_menus.js),
+ *        SHOW_PENDING_GALLERY (background gửi lặp) / lúc init sidebar
+ * Output: toggleClothingSelection() với ảnh được chọn, #gallery-picker-modal, #gallery-auto-notice
+ *
+ * Flow:
+ * 1. Đọc + xoá pending_gallery (chỉ lần đầu có dữ liệu)
+ * 2. Đã bật "tự gửi ảnh tốt nhất" → chọn images[0] + notice có nút "Chọn ảnh khác" (mở lại picker)
+ * 3. Chưa bật → modal lưới ảnh theo thứ hạng (loại ảnh, ⭐ ảnh tốt nhất, ảnh user vừa bấm)
+ * 4. Click ảnh / "Dùng ảnh tốt nhất" → thêm vào món đang chọn, đóng modal
+ *
+ * Edge Cases:
+ * - Pending quá cũ (sidebar mở lại rất lâu sau) → bỏ qua
+ * - Ảnh không tải được (site chặn hotlink) → ẩn ô đó
+ * - Ảnh đã được chọn sẵn → không toggle (tránh bỏ chọn nhầm)
+ */
+
+const PENDING_GALLERY_MAX_AGE_MS = 60000;
+const GALLERY_AUTO_BEST_KEY = 'fitly_gallery_auto_best';
+const GALLERY_AUTO_NOTICE_MS = 6000;
+
+let _galleryPickerData = null; // pending_gallery đang hiển thị / vừa tự chọn
+let _galleryNoticeTimer = null;
+
+function isGalleryAutoBest() {
+    return localStorage.getItem(GALLERY_AUTO_BEST_KEY) === '1';
+}
+
+function selectGalleryImage(gallery, image) {
+    if (!image || state.selectedItems.some(i => i.imageUrl === image.url)) return;
+    toggleClothingSelection({
+        id: `capture-${Date.now()}`,
+        imageUrl: image.url,
+        name: gallery.product?.name || getCategoryLabel(state.selectedCategory) || t('captured_item'),
+        category: state.selectedCategory,
+        sourceUrl: gallery.pageUrl || null,
+        product: gallery.product || null
+    });
+}
+
+/** Ô ảnh dựng bằng DOM — URL ảnh đến từ trang web, không nhét vào innerHTML */
+function createGalleryPickerItem(image, index) {
+    const item = document.createElement('button');
+    item.className = 'gallery-picker-item';
+    item.dataset.index = String(index);
+    item.title = image.altText || '';
+    if (index === 0) item.classList.add('is-best');
+
+    const img = document.createElement('img');
+    img.src = image.url;
+    img.alt = '';
+    img.loading = 'lazy';
+    img.addEventListener('error', () => item.classList.add('hidden'), { once: true });
+
+    const badge = document.createElement('span');
+    badge.className = 'gallery-picker-badge';
+    badge.textContent = `${index === 0 ? '⭐ ' : ''}${t(`gallery_picker.shot.${image.shot}`)}`;
+
+    item.append(img, badge);
+    if (image.clicked) {
+        const clicked = document.createElement('span');
+        clicked.className = 'gallery-picker-clicked';
+        clicked.textContent = t('gallery_picker.clicked');
+        item.appendChild(clicked);
+    }
+    return item;
+}
+
+function openGalleryPicker(gallery) {
+    const modal = $('gallery-picker-modal');
+    const grid = $('gallery-picker-grid');
+    if (!modal || !grid) return;
+
+    _galleryPickerData = gallery;
+    hideGalleryAutoNotice();
+    grid.replaceChildren(...gallery.images.map(createGalleryPickerItem));
+    const count = $('gallery-picker-count');
+    if (count) count.textContent = t('gallery_picker.count', { count: gallery.images.length });
+    const autoToggle = $('gallery-picker-auto');
+    if (autoToggle) autoToggle.checked = isGalleryAutoBest();
+
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => modal.classList.add('visible'));
+}
+
+function closeGalleryPicker() {
+    const modal = $('gallery-picker-modal');
+    if (!modal) return;
+    modal.classList.remove('visible');
+    setTimeout(() => modal.classList.add('hidden'), 250);
+}
+
+function hideGalleryAutoNotice() {
+    clearTimeout(_galleryNoticeTimer);
+    $('gallery-auto-notice')?.classList.add('hidden');
+}
+
+/** Đã tự chọn ảnh tốt nhất — notice vài giây để user đổi ảnh / tắt chế độ tự chọn trong picker */
+function showGalleryAutoNotice(gallery) {
+    const notice = $('gallery-auto-notice');
+    if (!notice) return;
+    const text = $('gallery-auto-notice-text');
+    if (text) text.textContent = t('gallery_picker.auto_picked', { count: gallery.images.length });
+    notice.classList.remove('hidden');
+    clearTimeout(_galleryNoticeTimer);
+    _galleryNoticeTimer = setTimeout(hideGalleryAutoNotice, GALLERY_AUTO_NOTICE_MS);
+}
+
+/** Đọc + xoá pending gallery — background gửi SHOW_PENDING_GALLERY nhiều lần nên chỉ lần đầu có dữ liệu */
+async function checkPendingGallery() {
+    const session = await chrome.storage.session.get(['pending_gallery']);
+    const gallery = session.pending_gallery;
+    if (!gallery) return;
+    await chrome.storage.session.remove(['pending_gallery']);
+
+    if (Date.now() - gallery.at > PENDING_GALLERY_MAX_AGE_MS || !gallery.images?.length) return;
+
+    if (isGalleryAutoBest()) {
+        _galleryPickerData = gallery;
+        selectGalleryImage(gallery, gallery.images[0]);
+        showGalleryAutoNotice(gallery);
+        return;
+    }
+    openGalleryPicker(gallery);
+}
+
+function initGalleryPicker() {
+    $('gallery-picker-grid')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.gallery-picker-item');
+        if (!item || !_galleryPickerData) return;
+        selectGalleryImage(_galleryPickerData, _galleryPickerData.images[Number(item.dataset.index)]);
+        closeGalleryPicker();
+    });
+    $('gallery-picker-best-btn')?.addEventListener('click', () => {
+        if (_galleryPickerData) selectGalleryImage(_galleryPickerData, _galleryPickerData.images[0]);
+        closeGalleryPicker();
+    });
+    $('gallery-picker-auto')?.addEventListener('change', (e) => {
+        localStorage.setItem(GALLERY_AUTO_BEST_KEY, e.target.checked ? '1' : '0');
+    });
+    $('gallery-picker-close-btn')?.addEventListener('click', closeGalleryPicker);
+    $('gallery-picker-cancel-btn')?.addEventListener('click', closeGalleryPicker);
+    $('gallery-auto-notice-change')?.addEventListener('click', () => {
+        if (_galleryPickerData) openGalleryPicker(_galleryPickerData);
+    });
+
+    const modal = $('gallery-picker-modal');
+    modal?.addEventListener('click', (e) => {
+        if (e.target === modal) closeGalleryPicker();
+    });
+}
+
+// Expose ra window
+window.checkPendingGallery = checkPendingGallery;
+window.initGalleryPicker = initGalleryPicker;
@@ -29,6 +29,7 @@ function setupEventListeners() {
     });
 
     elements.errorCloseBtn?.addEventListener('click', () => showErrorOverlay(false));
+    elements.loadingCancelBtn?.addEventListener('click', () => cancelActiveTryon());
     elements.successCloseBtn?.addEventListener('click', () => showSuccessOverlay(false));
 
     elements.loginGoogleBtn?.addEventListener('click', async () => handleSocialLogin('google'));
@@ -64,6 +64,7 @@ const state = {
     hiddenOutfitIds: [], // IDs of outfits hidden by user (not deleted)
     showHiddenOutfits: false, // Toggle show/hide hidden outfits
     tryonProcessing: false, // Guard: suppress auth-expired handlers during active try-on
+    pendingRequests: {}, // { tryon|edit: { fingerprint, requestId } } — request chưa có kết quả rõ ràng
 };
 
 // ==========================================
@@ -94,9 +95,12 @@ function getTimeAgo(timestamp) {
     return formatTimeAgo(timestamp, state.locale);
 }
 
-function getCategoryLabel(category) {
+/** Nhãn category — có subcategory thì dùng nhãn cụ thể hơn (vd "Jeans" thay vì "Quần") */
+function getCategoryLabel(category, subcategory = null) {
     if (!category) return '';
-    return t(`category.${category}`) || category;
+    const key = window.FitlyGarmentTaxonomy?.getCategoryLabelKey(category, subcategory) || `category.${category}`;
+    const label = t(key);
+    return label && label !== key ? label : (subcategory || category);
 }
 
 function getTagLabel(tag) {
@@ -119,6 +123,28 @@ function getTagLabel(tag) {
     };
 }
 
+// ==========================================
+// IDEMPOTENCY HELPERS
+// ==========================================
+/**
+ * getRequestId — request_id cho thao tác tốn gems (try-on, edit).
+ * Lần trước cùng slot + cùng input chưa có kết quả rõ ràng (timeout, mất mạng) → dùng lại id cũ
+ * để background/server trả kết quả gốc thay vì trừ gems lần 2.
+ */
+function getRequestId(slot, fingerprint) {
+    const pending = state.pendingRequests[slot];
+    if (pending && pending.fingerprint === fingerprint) return pending.requestId;
+
+    const requestId = crypto.randomUUID();
+    state.pendingRequests[slot] = { fingerprint, requestId };
+    return requestId;
+}
+
+/** settleRequestId — Request đã có kết quả rõ ràng (thành công / lỗi đã hoàn gems), lần sau sinh id mới */
+function settleRequestId(slot) {
+    delete state.pendingRequests[slot];
+}
+
 // ==========================================
 // DOM HELPERS
 // ==========================================
@@ -151,6 +177,7 @@ const elements = {
     loadingOverlay: $('loading-overlay'),
     loadingText: $('loading-text'),
     loadingProgressBar: $('loading-progress-bar'),
+    loadingCancelBtn: $('loading-cancel-btn'),
     errorOverlay: $('error-overlay'),
     errorMessageText: $('error-message-text'),
     errorRetryBtn: $('error-retry-btn'),
@@ -171,6 +198,8 @@ window.formatPrice = formatPrice;
 window.getTimeAgo = getTimeAgo;
 window.getCategoryLabel = getCategoryLabel;
 window.getTagLabel = getTagLabel;
+window.getRequestId = getRequestId;
+window.settleRequestId = settleRequestId;
 window.$ = $;
 window.elements = elements;
 window.i18nHelpers = {
@@ -11,6 +11,7 @@
  * 2. loadLanguagePreference() → apply locale preference
  * 3. initProfileMenuEvents() → bind profile dropdown events
  * 4. renderCreatedOutfitsList() → hiển thị outfits ban đầu
+ * 5. resumePendingTryonJobs() → reattach try-on job còn dang dở ở background
  *
  * IMPORTANT: File này KHÔNG chứa business logic.
  * Mọi logic đã được tách vào thư mục modules/
@@ -48,6 +49,8 @@ async function init() {
     await loadRecentClothing();
     await loadSelectedItems();
     await checkPendingClothingImage();
+    await checkPendingGallery().catch(e => console.error('[Fitly] Failed to check pending gallery:', e));
+    await checkPendingModelImage().catch(e => console.error('[Fitly] Failed to check pending model image:', e));
     await loadResults();
 
     // Setup UI interactions
@@ -58,6 +61,16 @@ async function init() {
     initTooltipSystem();
     setupMainImageClickHandler();
     initAddWardrobeModal();
+    initBatchTryon();
+    initSizeRecommendation();
+    initGalleryPicker();
+    initSimilarItemsPanel();
+    initWardrobeCollections();
+    initPriceTracking();
+    initOutfitBuilder();
+    initGarmentStyling();
+    initSiteRules();
+    initKeyboardShortcuts();
     listenForMessages();
     listenForStorageChanges();
     setupAuthStateListener();
@@ -83,6 +96,11 @@ async function init() {
     // để GET_OUTFITS có auth token và fetch từ Supabase thay vì fallback local
     renderCreatedOutfitsList();
 
+    // Reattach try-on job chạy dở (sidebar bị đóng / SW restart giữa chừng)
+    if (window.resumePendingTryonJobs) {
+        window.resumePendingTryonJobs();
+    }
+
     console.log('[Fitly] Sidebar initialized successfully with modular architecture');
 }
 
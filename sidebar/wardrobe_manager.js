@@ -4,7 +4,9 @@
  * Layer: Application
  * 
  * Data Contract:
- * - Input: { imageFile: File, name: string, category: string, sourceUrl?: string }
+ * - Input: { imageFile: File, name: string, category: string, sourceUrl?: string, subcategory?: string }
+ * - Category / subcategory lấy từ lib/garment_taxonomy.js (top → t-shirt/shirt/..., shoes → sneakers/heels/...)
+ * - Tag / ghi chú tự do chuẩn hoá qua lib/wardrobe_query.js (chữ thường, không trùng, giới hạn độ dài)
  * - Output: { items: WardrobeItem[], totalCount: number }
  * 
  * Flow:
@@ -15,16 +17,21 @@
  * 
  * Security Note:
  * - RLS policies đảm bảo user chỉ truy cập wardrobe của mình
- * - Validate category thuộc allowed list
+ * - Validate category thuộc allowed list, subcategory thuộc category
  */
 
 import { supabase, getAuthToken } from '../extension/config.js'
+import '../lib/garment_taxonomy.js'
+import '../lib/wardrobe_query.js'
+
+const taxonomy = globalThis.FitlyGarmentTaxonomy
+const wardrobeQuery = globalThis.FitlyWardrobeQuery
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
-const ALLOWED_CATEGORIES = ['top', 'bottom', 'dress', 'shoes', 'accessories']
+const ALLOWED_CATEGORIES = [...taxonomy.CATEGORIES]
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
 const ALLOWED_FILE_TYPES = ['image/jpeg', 'image/jpg', 'image/png']
 const MAX_WARDROBE_ITEMS = 50 // Limit query results
@@ -38,8 +45,9 @@ const MAX_WARDROBE_ITEMS = 50 // Limit query results
  * 
  * @param {File} imageFile - Ảnh quần áo
  * @param {string} name - Tên item (optional)
- * @param {string} category - Category: top/bottom/dress/shoes/accessories
+ * @param {string} category - Category: top/bottom/dress/outerwear/shoes/accessories/other
  * @param {string} sourceUrl - URL nguồn nếu scrape từ website (optional)
+ * @param {string} subcategory - Subcategory thuộc category, vd 'jeans' (optional)
  * @returns {Promise<{success: boolean, item?: WardrobeItem, error?: string}>}
  * 
  * WardrobeItem format:
@@ -49,11 +57,14 @@ const MAX_WARDROBE_ITEMS = 50 // Limit query results
  *   image_url: string,
  *   name: string,
  *   category: string,
+ *   subcategory: string | null,
  *   source_url: string,
+ *   tags: string[],
+ *   notes: string | null,
  *   created_at: string
  * }
  */
-export async function saveToWardrobe(imageFile, name, category, sourceUrl = null) {
+export async function saveToWardrobe(imageFile, name, category, sourceUrl = null, subcategory = null) {
   try {
     // Step 1: Validate authentication
     const token = await getAuthToken()
@@ -65,7 +76,7 @@ export async function saveToWardrobe(imageFile, name, category, sourceUrl = null
     }
     
     // Step 2: Validate inputs
-    const validation = validateWardrobeInput(imageFile, category)
+    const validation = validateWardrobeInput(imageFile, category, subcategory)
     if (!validation.valid) {
       return {
         success: false,
@@ -86,6 +97,7 @@ export async function saveToWardrobe(imageFile, name, category, sourceUrl = null
         image_url: uploadResult.imageUrl,
         name: name || 'Untitled',
         category: category,
+        subcategory: subcategory || null,
         source_url: sourceUrl
       })
       .select()
@@ -122,12 +134,13 @@ export async function saveToWardrobe(imageFile, name, category, sourceUrl = null
 // ============================================================================
 
 /**
- * Get wardrobe items với optional category filter
+ * Get wardrobe items với optional category / subcategory filter
  * 
  * @param {string|null} category - Filter by category (optional)
+ * @param {string|null} subcategory - Filter by subcategory của category (optional)
  * @returns {Promise<{success: boolean, items?: WardrobeItem[], totalCount?: number, error?: string}>}
  */
-export async function getWardrobe(category = null) {
+export async function getWardrobe(category = null, subcategory = null) {
   try {
     // Validate authentication
     const token = await getAuthToken()
@@ -145,6 +158,12 @@ export async function getWardrobe(category = null) {
         error: `Category không hợp lệ. Allowed: ${ALLOWED_CATEGORIES.join(', ')}`
       }
     }
+    if (subcategory && !taxonomy.isValidSubcategory(category, subcategory)) {
+      return {
+        success: false,
+        error: `Subcategory không hợp lệ cho ${category}. Allowed: ${taxonomy.getSubcategories(category).join(', ')}`
+      }
+    }
     
     // Build query
     let query = supabase
@@ -157,6 +176,9 @@ export async function getWardrobe(category = null) {
     if (category) {
       query = query.eq('category', category)
     }
+    if (subcategory) {
+      query = query.eq('subcategory', subcategory)
+    }
     
     // Execute query
     const { data, error, count } = await query
@@ -296,10 +318,12 @@ export async function deleteFromWardrobe(itemId) {
 // ============================================================================
 
 /**
- * Update wardrobe item (name, category)
+ * Update wardrobe item (name, category, subcategory, tags, notes)
+ * Đổi category mà không gửi subcategory → subcategory cũ bị xoá (không còn thuộc category mới)
+ * tags nhận mảng hoặc chuỗi "a, b"; notes rỗng → null
  * 
  * @param {string} itemId - Wardrobe item ID
- * @param {object} updates - Fields to update { name?, category? }
+ * @param {object} updates - Fields to update { name?, category?, subcategory?, tags?, notes? }
  * @returns {Promise<{success: boolean, item?: WardrobeItem, error?: string}>}
  */
 export async function updateWardrobeItem(itemId, updates) {
@@ -319,6 +343,27 @@ export async function updateWardrobeItem(itemId, updates) {
         error: `Category không hợp lệ. Allowed: ${ALLOWED_CATEGORIES.join(', ')}`
       }
     }
+    if (updates.category && !('subcategory' in updates)) {
+      updates = { ...updates, subcategory: null }
+    }
+    if (updates.subcategory && !updates.category) {
+      return {
+        success: false,
+        error: 'Cần gửi kèm category khi đổi subcategory.'
+      }
+    }
+    if (updates.subcategory && !taxonomy.isValidSubcategory(updates.category, updates.subcategory)) {
+      return {
+        success: false,
+        error: `Subcategory không hợp lệ cho ${updates.category}. Allowed: ${taxonomy.getSubcategories(updates.category).join(', ')}`
+      }
+    }
+    if ('tags' in updates) {
+      updates = { ...updates, tags: wardrobeQuery.normalizeTags(updates.tags) }
+    }
+    if ('notes' in updates) {
+      updates = { ...updates, notes: wardrobeQuery.normalizeNotes(updates.notes) }
+    }
     
     const { data, error } = await supabase
       .from('wardrobe_items')
@@ -358,9 +403,10 @@ export async function updateWardrobeItem(itemId, updates) {
  * 
  * @param {File} imageFile
  * @param {string} category
+ * @param {string|null} subcategory
  * @returns {{valid: boolean, error?: string}}
  */
-function validateWardrobeInput(imageFile, category) {
+function validateWardrobeInput(imageFile, category, subcategory = null) {
   // Validate image file
   if (!imageFile) {
     return { valid: false, error: 'Vui lòng chọn ảnh quần áo.' }
@@ -390,6 +436,13 @@ function validateWardrobeInput(imageFile, category) {
     }
   }
   
+  if (!taxonomy.isValidSubcategory(category, subcategory)) {
+    return {
+      valid: false,
+      error: `Subcategory không hợp lệ cho ${category}. Allowed: ${taxonomy.getSubcategories(category).join(', ')}`
+    }
+  }
+  
   return { valid: true }
 }
 
@@ -522,18 +575,35 @@ export function getAllowedCategories() {
 }
 
 /**
- * Get category display name (Vietnamese)
+ * Get subcategories của một category
  * 
  * @param {string} category - Category code
+ * @returns {string[]} Array of subcategory ids ([] với 'other' / category lạ)
+ */
+export function getAllowedSubcategories(category) {
+  return taxonomy.getSubcategories(category)
+}
+
+/**
+ * Get category display name theo ngôn ngữ hiện tại (i18n t()), fallback tiếng Việt
+ * 
+ * @param {string} category - Category code
+ * @param {string|null} subcategory - Subcategory id (optional) — có thì trả nhãn subcategory
  * @returns {string} Display name
  */
-export function getCategoryDisplayName(category) {
+export function getCategoryDisplayName(category, subcategory = null) {
+  const key = taxonomy.getCategoryLabelKey(category, subcategory)
+  const label = typeof globalThis.t === 'function' ? globalThis.t(key) : null
+  if (label && label !== key) return label
+
   const displayNames = {
     'top': 'Áo',
     'bottom': 'Quần',
     'dress': 'Váy/Đầm',
+    'outerwear': 'Áo khoác',
     'shoes': 'Giày',
-    'accessories': 'Phụ kiện'
+    'accessories': 'Phụ kiện',
+    'other': 'Khác'
   }
   
   return displayNames[category] || category
@@ -543,18 +613,11 @@ export function getCategoryDisplayName(category) {
  * Get category icon (emoji)
  * 
  * @param {string} category - Category code
+ * @param {string|null} subcategory - Subcategory id (optional) — 👠 cho heels thay vì 👟
  * @returns {string} Emoji icon
  */
-export function getCategoryIcon(category) {
-  const icons = {
-    'top': '👕',
-    'bottom': '👖',
-    'dress': '👗',
-    'shoes': '👟',
-    'accessories': '👜'
-  }
-  
-  return icons[category] || '📦'
+export function getCategoryIcon(category, subcategory = null) {
+  return taxonomy.getCategoryIcon(category, subcategory)
 }
 
 // ============================================================================
@@ -568,6 +631,7 @@ export default {
   deleteFromWardrobe,
   updateWardrobeItem,
   getAllowedCategories,
+  getAllowedSubcategories,
   getCategoryDisplayName,
   getCategoryIcon
 }
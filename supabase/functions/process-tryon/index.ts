@@ -16,6 +16,10 @@ const corsHeaders = {
 
 const REPLICATE_API_BASE = 'https://api.replicate.com/v1'
 const REPLICATE_MODEL = 'google/gemini-2.5-flash-image'
+// Claim 'processing' cũ hơn mốc này coi như đã chết (function crash/timeout) — cho phép retry cùng request_id
+const REQUEST_CLAIM_STALE_MS = 6 * 60 * 1000
+// Client đặt tryon_history.cancel_requested → prediction bị huỷ, gems hoàn lại
+const REQUEST_CANCELLED = 'REQUEST_CANCELLED'
 
 interface ReplicateInput {
   prompt: string
@@ -32,6 +36,11 @@ interface ReplicatePrediction {
   urls?: { get: string }
 }
 
+interface PollHooks {
+  onStatus?: (status: ReplicatePrediction['status']) => Promise<void>
+  isCancelled?: () => Promise<boolean>
+}
+
 async function createReplicatePrediction(
   apiKey: string,
   input: ReplicateInput
@@ -52,11 +61,23 @@ async function createReplicatePrediction(
   return response.json()
 }
 
+async function cancelReplicatePrediction(apiKey: string, predictionId: string): Promise<void> {
+  try {
+    await fetch(`${REPLICATE_API_BASE}/predictions/${predictionId}/cancel`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+    })
+  } catch (error) {
+    console.error('[process-tryon] Failed to cancel prediction:', error)
+  }
+}
+
 async function pollReplicatePrediction(
   apiKey: string,
   predictionId: string,
   maxWaitMs = 180000,
-  intervalMs = 3000
+  intervalMs = 3000,
+  hooks: PollHooks = {}
 ): Promise<ReplicatePrediction> {
   const startTime = Date.now()
   while (Date.now() - startTime < maxWaitMs) {
@@ -69,6 +90,11 @@ async function pollReplicatePrediction(
     if (prediction.status === 'failed' || prediction.status === 'canceled') {
       throw new Error(`Prediction ${prediction.status}: ${prediction.error || 'Unknown error'}`)
     }
+    if (hooks.onStatus) await hooks.onStatus(prediction.status)
+    if (hooks.isCancelled && await hooks.isCancelled()) {
+      await cancelReplicatePrediction(apiKey, predictionId)
+      throw new Error(REQUEST_CANCELLED)
+    }
     await new Promise(resolve => setTimeout(resolve, intervalMs))
   }
   throw new Error('Replicate prediction timeout sau 180 giây')
@@ -88,12 +114,15 @@ function extractResultUrl(output: string | string[] | null | undefined): string
 async function generateCacheKey(
   modelImageData: string,
   clothingImagesData: string[],
-  quality: string
+  quality: string,
+  stylingSignature = ''
 ): Promise<string> {
   const content = [
     modelImageData.slice(0, 500),
     ...clothingImagesData.map(img => img.slice(0, 500)),
-    quality
+    quality,
+    // Chỉ nối khi có cách mặc / thứ tự lớp — cache key của request cũ giữ nguyên
+    ...(stylingSignature ? [stylingSignature] : []),
   ].join('|')
   const encoder = new TextEncoder()
   const data = encoder.encode(content)
@@ -106,6 +135,76 @@ async function generateCacheKey(
 // STORAGE HELPERS
 // =============================================
 
+// Idempotency: đánh dấu request_id đã claim là failed để client retry cùng id được xử lý lại
+async function markRequestFailed(
+  client: ReturnType<typeof createClient>,
+  recordId: string | null,
+  errorMessage: string
+): Promise<void> {
+  if (!recordId) return
+  const { error } = await client
+    .from('tryon_history')
+    .update({ status: 'failed', error_message: errorMessage })
+    .eq('id', recordId)
+  if (error) console.error('[process-tryon] Failed to release request claim:', error)
+}
+
+// =============================================
+// PROGRESS + CANCEL HELPERS
+// =============================================
+
+// Stage thật cho extension poll theo request_id — lỗi update không chặn request
+async function setRequestStage(
+  client: ReturnType<typeof createClient>,
+  recordId: string | null,
+  stage: 'uploading' | 'queued' | 'generating' | 'post_processing'
+): Promise<void> {
+  if (!recordId) return
+  const { error } = await client
+    .from('tryon_history')
+    .update({ progress_stage: stage })
+    .eq('id', recordId)
+    .eq('status', 'processing')
+  if (error) console.error('[process-tryon] Failed to update progress stage:', error)
+}
+
+async function isRequestCancelled(
+  client: ReturnType<typeof createClient>,
+  recordId: string | null
+): Promise<boolean> {
+  if (!recordId) return false
+  const { data } = await client
+    .from('tryon_history')
+    .select('cancel_requested')
+    .eq('id', recordId)
+    .maybeSingle()
+  return data?.cancel_requested === true
+}
+
+// Chỉ bên chuyển được processing → failed mới hoàn gems — gem ledger phía client cũng có thể đã chuyển
+async function finishCancelledRequest(
+  client: ReturnType<typeof createClient>,
+  recordId: string,
+  userId: string,
+  refundAmount: number
+): Promise<Response> {
+  const { data: released } = await client
+    .from('tryon_history')
+    .update({ status: 'failed', error_message: REQUEST_CANCELLED, progress_stage: 'cancelled' })
+    .eq('id', recordId)
+    .eq('status', 'processing')
+    .select('id')
+    .maybeSingle()
+  if (released && refundAmount > 0) {
+    await client.rpc('refund_gems_atomic', { p_user_id: userId, p_amount: refundAmount, p_tryon_id: recordId })
+  }
+  console.log('[process-tryon] Request cancelled by client:', recordId)
+  return new Response(JSON.stringify({
+    error: REQUEST_CANCELLED,
+    message: refundAmount > 0 ? 'Đã huỷ thử đồ. Gems đã hoàn lại.' : 'Đã huỷ thử đồ.'
+  }), { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
+}
+
 async function uploadBase64ToStorage(
   supabase: ReturnType<typeof createClient>,
   userId: string,
@@ -160,6 +259,15 @@ interface ClothingItem {
   is_primary?: boolean
   sub_category?: string
   transfer_mode?: 'full_outfit' | 'single_item'  // User choice for on-model images
+  styling?: GarmentStyling  // Cách mặc user chọn — thắng cách mặc tự suy
+  layer?: number            // Thứ tự lớp user chọn, 1 = sát người nhất
+}
+
+interface GarmentStyling {
+  tuck?: 'in' | 'half' | 'out'
+  front?: 'open' | 'closed'
+  sleeves?: 'rolled' | 'down'
+  collar?: 'up' | 'down' | 'open'
 }
 
 interface ResolvedClothingItem extends ClothingItem {
@@ -192,11 +300,53 @@ const OPEN_OUTERWEAR = new Set(['blazer', 'cardigan', 'vest', 'denim-jacket', 'b
 const CLOSED_OUTERWEAR = new Set(['coat', 'trench', 'parka', 'puffer', 'raincoat'])
 const SINGLE_ITEM_CATEGORIES = new Set(['top', 'bottom', 'dress'])
 
+// Khớp lib/garment_styling.js của extension — option không hợp category / giá trị lạ bị bỏ
+const STYLING_VALUES: Record<keyof GarmentStyling, readonly string[]> = {
+  tuck: ['in', 'half', 'out'],
+  front: ['open', 'closed'],
+  sleeves: ['rolled', 'down'],
+  collar: ['up', 'down', 'open'],
+}
+const STYLING_OPTIONS_BY_CATEGORY: Record<string, (keyof GarmentStyling)[]> = {
+  top: ['tuck', 'front', 'sleeves', 'collar'],
+  outerwear: ['front', 'sleeves', 'collar'],
+  dress: ['sleeves'],
+}
+
+function sanitizeStyling(item: ClothingItem): GarmentStyling | undefined {
+  if (!item.styling || typeof item.styling !== 'object') return undefined
+  const styling: Record<string, string> = {}
+  for (const option of STYLING_OPTIONS_BY_CATEGORY[item.category] || []) {
+    const value = (item.styling as Record<string, unknown>)[option]
+    if (typeof value === 'string' && STYLING_VALUES[option].includes(value)) styling[option] = value
+  }
+  return Object.keys(styling).length > 0 ? styling as GarmentStyling : undefined
+}
+
+function sanitizeLayer(item: ClothingItem): number | undefined {
+  return Number.isInteger(item.layer) && item.layer! > 0 && item.layer! <= 10 ? item.layer : undefined
+}
+
+/** Làm sạch styling / layer từ client; chữ ký dùng cho cache key ('' khi không có gì) */
+function sanitizeClothingStyling(items: ClothingItem[]): { items: ClothingItem[]; signature: string } {
+  const sanitized = items.map(item => ({ ...item, styling: sanitizeStyling(item), layer: sanitizeLayer(item) }))
+  const hasStyling = sanitized.some(item => item.styling || item.layer)
+  const signature = hasStyling
+    ? JSON.stringify(sanitized.map(item => [item.layer ?? null, item.styling ?? null]))
+    : ''
+  return { items: sanitized, signature }
+}
+
+/** "top: shirt" khi có sub_category — model đặt đúng kiểu đồ (sơ mi vs áo thun) thay vì chỉ biết "top" */
+function garmentType(item: ClothingItem): string {
+  return item.sub_category ? `${item.category}: ${item.sub_category}` : item.category
+}
+
 function resolveLayerOrder(items: ClothingItem[]): ResolvedClothingItem[] {
   // STEP 1: Assign z_layer
   const resolved: ResolvedClothingItem[] = items.map(item => ({
     ...item,
-    z_layer: Z_LAYER_MAP[item.category] ?? 6,
+    z_layer: item.layer ?? Z_LAYER_MAP[item.category] ?? 6,
     interaction: {},
     visibility_hint: '',
   }))
@@ -259,6 +409,16 @@ function resolveLayerOrder(items: ClothingItem[]): ResolvedClothingItem[] {
     activeOuterwear.interaction.open = isClosedType ? false : true
   }
 
+  // STEP 3b: Cách mặc user chọn thắng cách mặc tự suy (sơ vin, mở áo khoác, xắn tay, cổ áo)
+  activeItems.forEach(item => {
+    const styling = item.styling
+    if (!styling) return
+    if (styling.tuck) item.interaction.tucked = styling.tuck
+    if (styling.front) item.interaction.open = styling.front === 'open'
+    if (styling.sleeves) item.interaction.rolled_sleeves = styling.sleeves === 'rolled'
+    if (styling.collar) item.interaction.collar = styling.collar
+  })
+
   // STEP 4: Build visibility hints
   activeItems.forEach(item => {
     if (item.category === 'top' && activeOuterwear) {
@@ -292,6 +452,34 @@ function resolveLayerOrder(items: ClothingItem[]): ResolvedClothingItem[] {
   return resolved
 }
 
+function interactionLines(item: ResolvedClothingItem): string[] {
+  const label = item.name || item.category
+  const lines: string[] = []
+  if (item.interaction.tucked === 'in') lines.push(`• "${label}" is tucked into waistband`)
+  else if (item.interaction.tucked === 'out') lines.push(`• "${label}" hangs loose over waistband`)
+  else if (item.interaction.tucked === 'half') lines.push(`• "${label}" is half-tucked — front in, back out`)
+  if (item.interaction.open === true) lines.push(`• "${label}" is open/unbuttoned — inner layer visible`)
+  else if (item.interaction.open === false) lines.push(`• "${label}" is closed/buttoned`)
+  if (item.interaction.rolled_sleeves === true) lines.push(`• "${label}" has sleeves rolled up to the forearm`)
+  else if (item.interaction.rolled_sleeves === false) lines.push(`• "${label}" has sleeves down at full length`)
+  if (item.interaction.collar === 'up') lines.push(`• "${label}" has its collar popped up`)
+  else if (item.interaction.collar === 'down') lines.push(`• "${label}" has its collar folded down flat`)
+  else if (item.interaction.collar === 'open') lines.push(`• "${label}" is worn with the collar open — top button undone`)
+  return lines
+}
+
+/**
+ * Try-on 1 món có cách mặc user chọn (xắn tay, cổ áo, mở / cài...) — không có section layering
+ * nên đưa riêng vào prompt; '' khi món không có styling
+ */
+function buildStylingPromptSection(item: ResolvedClothingItem): string {
+  if (!item.styling) return ''
+  const lines = [`STYLING (chosen by the wearer — follow it even if the garment photo shows it worn differently):`]
+  lines.push(...interactionLines(item))
+  lines.push(``)
+  return lines.join('\n')
+}
+
 function buildLayeringPromptSection(items: ResolvedClothingItem[]): string {
   const activeItems = items.filter(i => !i.conflict_warning)
   const conflictedItems = items.filter(i => i.conflict_warning)
@@ -300,15 +488,17 @@ function buildLayeringPromptSection(items: ResolvedClothingItem[]): string {
 
   const lines: string[] = []
   lines.push(`PRIMARY GARMENT (MUST be the most visible and prominent in output):`)
-  lines.push(`→ "${primaryItem.name || primaryItem.category}" (${primaryItem.category}) — This is the item the user specifically wants to see.`)
+  lines.push(`→ "${primaryItem.name || primaryItem.category}" (${garmentType(primaryItem)}) — This is the item the user specifically wants to see.`)
   lines.push(``)
   lines.push(`LAYERING ORDER (from innermost to outermost):`)
-  activeItems.forEach((item, idx) => {
+  // Sắp theo z_layer trên bản sao — số thứ tự ảnh (Image 2, 3...) vẫn theo activeItems gốc
+  const layeredItems = [...activeItems].sort((a, b) => a.z_layer - b.z_layer)
+  layeredItems.forEach((item, idx) => {
     const label = item.name || item.category
     const isPrimary = item === primaryItem ? ' ⭐ PRIMARY' : ''
     const tuckHint = item.interaction.tucked ? ` — ${item.interaction.tucked === 'in' ? 'TUCKED INTO pants/skirt' : item.interaction.tucked === 'half' ? 'HALF-TUCKED' : 'UNTUCKED'}` : ''
     const openHint = item.interaction.open !== undefined ? ` — ${item.interaction.open ? 'OPEN/UNBUTTONED' : 'CLOSED/BUTTONED'}` : ''
-    lines.push(`  Layer ${idx + 1}: "${label}" (${item.category})${isPrimary}${tuckHint}${openHint}`)
+    lines.push(`  Layer ${idx + 1}: "${label}" (${garmentType(item)})${isPrimary}${tuckHint}${openHint}`)
   })
   lines.push(``)
   lines.push(`VISIBILITY RULES:`)
@@ -317,16 +507,16 @@ function buildLayeringPromptSection(items: ResolvedClothingItem[]): string {
   })
   lines.push(``)
 
-  const hasInteractions = activeItems.some(i => i.interaction.tucked || i.interaction.open !== undefined)
+  const hasInteractions = activeItems.some(i => i.interaction.tucked || i.interaction.open !== undefined
+    || i.interaction.rolled_sleeves !== undefined || i.interaction.collar)
   if (hasInteractions) {
     lines.push(`CLOTHING INTERACTIONS:`)
-    activeItems.forEach(item => {
-      if (item.interaction.tucked === 'in') lines.push(`• "${item.name || item.category}" is tucked into waistband`)
-      else if (item.interaction.tucked === 'out') lines.push(`• "${item.name || item.category}" hangs loose over waistband`)
-      else if (item.interaction.tucked === 'half') lines.push(`• "${item.name || item.category}" is half-tucked — front in, back out`)
-      if (item.interaction.open === true) lines.push(`• "${item.name || item.category}" is open/unbuttoned — inner layer visible`)
-      else if (item.interaction.open === false) lines.push(`• "${item.name || item.category}" is closed/buttoned`)
-    })
+    activeItems.forEach(item => lines.push(...interactionLines(item)))
+    lines.push(``)
+  }
+
+  if (activeItems.some(i => i.styling)) {
+    lines.push(`STYLING CHOICES: The wearer chose how to style these items — follow them even if the garment photos show them worn differently.`)
     lines.push(``)
   }
 
@@ -423,9 +613,9 @@ function buildTryOnPrompt(input: PromptBuilderInput): string {
     const primaryTag = item.is_primary ? ' ⭐ PRIMARY' : ''
     const worn = isWornType(item.image_type)
     if (worn) {
-      lines.push(`• Image ${imageNum} = GARMENT TO EXTRACT: "${label}" (${item.category}${colorHint})${primaryTag} — WORN BY ANOTHER PERSON. IGNORE model, EXTRACT garment only.`)
+      lines.push(`• Image ${imageNum} = GARMENT TO EXTRACT: "${label}" (${garmentType(item)}${colorHint})${primaryTag} — WORN BY ANOTHER PERSON. IGNORE model, EXTRACT garment only.`)
     } else {
-      lines.push(`• Image ${imageNum} = GARMENT TO APPLY: "${label}" (${item.category}${colorHint})${primaryTag} — CLEAN image (${describeClothingImageType(item.image_type)}).`)
+      lines.push(`• Image ${imageNum} = GARMENT TO APPLY: "${label}" (${garmentType(item)}${colorHint})${primaryTag} — CLEAN image (${describeClothingImageType(item.image_type)}).`)
     }
   })
   lines.push(``)
@@ -480,6 +670,9 @@ function buildTryOnPrompt(input: PromptBuilderInput): string {
   if (activeItems.length > 1) {
     const layeringSection = buildLayeringPromptSection(clothingItems)
     if (layeringSection) lines.push(layeringSection)
+  } else if (activeItems.length === 1) {
+    const stylingSection = buildStylingPromptSection(activeItems[0])
+    if (stylingSection) lines.push(stylingSection)
   }
 
   if (quality === 'hd') {
@@ -587,7 +780,7 @@ serve(async (req) => {
 
     // 3. Parse request
     const body = await req.json()
-    const { model_image, clothing_images, quality = 'standard', edit_mode = false, edit_prompt } = body
+    const { model_image, clothing_images, quality = 'standard', edit_mode = false, edit_prompt, request_id } = body
 
     if (!model_image) {
       return new Response(JSON.stringify({ error: 'model_image là bắt buộc' }), {
@@ -639,6 +832,38 @@ serve(async (req) => {
       })
     }
 
+    // 5b. Idempotency — cùng request_id (retry 401, SW restart, bấm thử lại) trả kết quả gốc, không trừ gems lần 2
+    let existingRequest: { id: string, status: string, result_image_url: string | null, created_at: string } | null = null
+    if (request_id) {
+      const { data } = await serviceClient
+        .from('tryon_history')
+        .select('id, status, result_image_url, created_at')
+        .eq('user_id', userId)
+        .eq('request_id', request_id)
+        .maybeSingle()
+      existingRequest = data
+
+      if (existingRequest?.status === 'completed' && existingRequest.result_image_url) {
+        console.log('[process-tryon] Request already processed:', request_id)
+        return new Response(JSON.stringify({
+          tryon_id: existingRequest.id,
+          result_image_url: existingRequest.result_image_url,
+          gems_remaining: profile.gems_balance,
+          gems_used: 0,
+          cached: false,
+          already_processed: true,
+          processing_time_ms: Date.now() - startTime
+        }), { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
+      }
+      const claimAge = existingRequest ? Date.now() - new Date(existingRequest.created_at).getTime() : 0
+      if (existingRequest?.status === 'processing' && claimAge < REQUEST_CLAIM_STALE_MS) {
+        return new Response(JSON.stringify({
+          error: 'REQUEST_IN_PROGRESS',
+          message: 'Yêu cầu này đang được xử lý. Vui lòng đợi kết quả.'
+        }), { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
+      }
+    }
+
     if (profile.gems_balance < gemsRequired) {
       return new Response(JSON.stringify({
         error: 'INSUFFICIENT_GEMS',
@@ -648,11 +873,16 @@ serve(async (req) => {
       }), { status: 402, headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
     }
 
+    // Cách mặc + thứ tự lớp user chọn (đã làm sạch) — vào prompt, cache key và lịch sử để Regenerate mặc y như cũ
+    const { items: styledClothing, signature: stylingSignature } = edit_mode
+      ? { items: [] as ClothingItem[], signature: '' }
+      : sanitizeClothingStyling(clothing_images)
+
     // 6. Check cache
     let cacheKey = ''
     if (!edit_mode) {
       const clothingDataList = clothing_images.map((c: { image: string }) => c.image)
-      cacheKey = await generateCacheKey(model_image, clothingDataList, quality)
+      cacheKey = await generateCacheKey(model_image, clothingDataList, quality, stylingSignature)
       const { data: cachedResult } = await userClient
         .from('tryon_history')
         .select('id, result_image_url')
@@ -674,16 +904,64 @@ serve(async (req) => {
       }
     }
 
-    // 7. Deduct gems
+    // 6b. Claim request_id trước khi trừ gems — unique (user_id, request_id) chặn 2 request song song
+    let claimedRecordId: string | null = null
+    if (request_id) {
+      // Row cũ (failed hoặc processing đã stale) → claim lại có điều kiện, tránh 2 retry cùng giành
+      const claimQuery = existingRequest
+        ? serviceClient
+          .from('tryon_history')
+          .update({
+            status: 'processing', error_message: null, progress_stage: null, cancel_requested: false,
+            created_at: new Date().toISOString()
+          })
+          .eq('id', existingRequest.id)
+          .eq('created_at', existingRequest.created_at)
+        : serviceClient
+          .from('tryon_history')
+          .insert({
+            user_id: userId,
+            model_image_url: model_image.startsWith('http') ? model_image : 'pending',
+            clothing_image_urls: [],
+            gems_used: gemsRequired,
+            quality: edit_mode ? 'edit' : quality,
+            status: 'processing',
+            request_id,
+            cache_key: cacheKey || null,
+          })
+      const { data: claimed, error: claimError } = await claimQuery.select('id').maybeSingle()
+
+      if (claimError?.code === '23505' || (!claimError && !claimed)) {
+        return new Response(JSON.stringify({
+          error: 'REQUEST_IN_PROGRESS',
+          message: 'Yêu cầu này đang được xử lý. Vui lòng đợi kết quả.'
+        }), { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
+      }
+      if (claimError) {
+        // Không chặn user vì lỗi claim — chỉ mất lớp idempotency cho request này
+        console.error('[process-tryon] Request claim failed (continuing without idempotency):', claimError)
+      }
+      claimedRecordId = claimed?.id || null
+    }
+
+    // Client huỷ ngay sau khi gửi → dừng trước khi trừ gems
+    if (claimedRecordId && await isRequestCancelled(serviceClient, claimedRecordId)) {
+      return await finishCancelledRequest(serviceClient, claimedRecordId, userId, 0)
+    }
+
+    // 7. Deduct gems — p_tryon_id = row đã claim để gem_transactions liên kết được với request (client đối soát)
     const { data: newBalance, error: deductError } = await userClient.rpc('deduct_gems_atomic', {
-      p_user_id: userId, p_amount: gemsRequired, p_tryon_id: null,
+      p_user_id: userId, p_amount: gemsRequired, p_tryon_id: claimedRecordId,
     })
     if (deductError) {
+      await markRequestFailed(serviceClient, claimedRecordId, 'GEM_DEDUCTION_FAILED')
       return new Response(JSON.stringify({ error: 'GEM_DEDUCTION_FAILED', message: 'Lỗi trừ gems.' }), {
         status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       })
     }
 
+    await setRequestStage(serviceClient, claimedRecordId, 'uploading')
+
     // 8. Prepare images + prompt
     let modelImageUrl: string
     let clothingImageUrls: string[] = []
@@ -715,7 +993,7 @@ CRITICAL CONSTRAINTS:
           // === FULL OUTFIT TRANSFER MODE ===
           // Use only the first clothing image as the outfit source
           console.log('[process-tryon] 🔄 FULL OUTFIT TRANSFER MODE')
-          const outfitSource = clothing_images[0]
+          const outfitSource = styledClothing[0]
           sortedClothing = [outfitSource]
 
           clothingImageUrls = await Promise.all(
@@ -730,7 +1008,7 @@ CRITICAL CONSTRAINTS:
           console.log('[process-tryon] 📝 Full outfit transfer prompt length:', finalPrompt.length)
         } else {
           // === STANDARD TRY-ON MODE ===
-          const itemsWithPrimary: ClothingItem[] = clothing_images.map(
+          const itemsWithPrimary: ClothingItem[] = styledClothing.map(
             (item: ClothingItem, idx: number) => ({
               ...item,
               is_primary: item.is_primary ?? (idx === 0),
@@ -765,13 +1043,18 @@ CRITICAL CONSTRAINTS:
         }
       }
     } catch (uploadError) {
-      await userClient.rpc('refund_gems_atomic', { p_user_id: userId, p_amount: gemsRequired, p_tryon_id: null })
+      await userClient.rpc('refund_gems_atomic', { p_user_id: userId, p_amount: gemsRequired, p_tryon_id: claimedRecordId })
+      await markRequestFailed(serviceClient, claimedRecordId, 'UPLOAD_FAILED')
       console.error('[process-tryon] Upload error:', uploadError)
       return new Response(JSON.stringify({ error: 'UPLOAD_FAILED', message: 'Lỗi upload ảnh. Gems đã hoàn lại.' }), {
         status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       })
     }
 
+    if (claimedRecordId && await isRequestCancelled(serviceClient, claimedRecordId)) {
+      return await finishCancelledRequest(serviceClient, claimedRecordId, userId, gemsRequired)
+    }
+
     // 10. Call Replicate (with 1 retry for transient errors)
     const modeLabel = edit_mode ? 'EDIT' : 'TRY-ON'
     console.log(`[process-tryon] [${modeLabel}] Calling Replicate for user ${userId}...`)
@@ -784,6 +1067,16 @@ CRITICAL CONSTRAINTS:
     let prediction: ReplicatePrediction
     const MAX_RETRIES = 1
     let lastReplicateError: unknown = null
+    let reportedStage = ''
+    const pollHooks: PollHooks = {
+      onStatus: async (status) => {
+        const stage = status === 'starting' ? 'queued' : 'generating'
+        if (stage === reportedStage) return
+        reportedStage = stage
+        await setRequestStage(serviceClient, claimedRecordId, stage)
+      },
+      isCancelled: () => isRequestCancelled(serviceClient, claimedRecordId),
+    }
 
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
       try {
@@ -797,7 +1090,8 @@ CRITICAL CONSTRAINTS:
         })
         console.log(`[process-tryon] Prediction created: id=${prediction.id}, status=${prediction.status}`)
         if (prediction.status !== 'succeeded') {
-          prediction = await pollReplicatePrediction(replicateApiKey, prediction.id, 180000, 3000)
+          await pollHooks.onStatus(prediction.status)
+          prediction = await pollReplicatePrediction(replicateApiKey, prediction.id, 180000, 3000, pollHooks)
         }
         console.log(`[process-tryon] ✅ Prediction succeeded: id=${prediction.id}`)
         lastReplicateError = null
@@ -807,17 +1101,22 @@ CRITICAL CONSTRAINTS:
         const errorStr = String(replicateError)
         console.error(`[process-tryon] ❌ Replicate error (attempt ${attempt + 1}/${MAX_RETRIES + 1}):`, replicateError)
         console.error(`[process-tryon] Error message: ${errorStr}`)
-        // Don't retry on rate limit (429) or validation errors (422)
-        if (errorStr.includes('429') || errorStr.includes('422')) {
+        // Don't retry on rate limit (429), validation errors (422) or client cancel
+        if (errorStr.includes('429') || errorStr.includes('422') || errorStr.includes(REQUEST_CANCELLED)) {
           console.log(`[process-tryon] ⏭️ Not retrying: rate limit or validation error`)
           break
         }
       }
     }
 
+    if (lastReplicateError && String(lastReplicateError).includes(REQUEST_CANCELLED) && claimedRecordId) {
+      return await finishCancelledRequest(serviceClient, claimedRecordId, userId, gemsRequired)
+    }
+
     if (lastReplicateError) {
-      await serviceClient.rpc('refund_gems_atomic', { p_user_id: userId, p_amount: gemsRequired, p_tryon_id: null })
+      await serviceClient.rpc('refund_gems_atomic', { p_user_id: userId, p_amount: gemsRequired, p_tryon_id: claimedRecordId })
       const errorStr = String(lastReplicateError)
+      await markRequestFailed(serviceClient, claimedRecordId, errorStr.slice(0, 500))
       console.error('[process-tryon] 🔴 All Replicate attempts failed. Final error:', errorStr)
       let errorMsg: string
       let errorCode = 'AI_PROCESSING_FAILED'
@@ -847,6 +1146,7 @@ CRITICAL CONSTRAINTS:
     }
 
     // 11. Extract + upload result
+    await setRequestStage(serviceClient, claimedRecordId, 'post_processing')
     const resultImageUrl_replicate = extractResultUrl(prediction.output)
     let resultImageUrl: string
     try {
@@ -858,23 +1158,29 @@ CRITICAL CONSTRAINTS:
 
     // 12. Save history
     const processingTime = Date.now() - startTime
-    const { data: tryonRecord } = await serviceClient
-      .from('tryon_history')
-      .insert({
-        user_id: userId,
-        model_image_url: modelImageUrl,
-        clothing_image_urls: edit_mode ? [] : clothingImageUrls,
-        gems_used: gemsRequired,
-        quality: edit_mode ? 'edit' : quality,
-        status: 'completed',
-        result_image_url: resultImageUrl,
-        replicate_prediction_id: prediction.id,
-        cache_key: cacheKey || null,
-        processing_time_ms: processingTime,
-        completed_at: new Date().toISOString(),
-      })
-      .select('id')
-      .single()
+    const historyRecord = {
+      user_id: userId,
+      model_image_url: modelImageUrl,
+      clothing_image_urls: edit_mode ? [] : clothingImageUrls,
+      // Cùng thứ tự clothing_image_urls; null khi user để AI tự suy cách mặc
+      clothing_styling: stylingSignature
+        ? sortedClothing.map((item: ClothingItem) => ({ category: item.category, styling: item.styling ?? null, layer: item.layer ?? null }))
+        : null,
+      gems_used: gemsRequired,
+      quality: edit_mode ? 'edit' : quality,
+      status: 'completed',
+      result_image_url: resultImageUrl,
+      replicate_prediction_id: prediction.id,
+      cache_key: cacheKey || null,
+      request_id: request_id || null,
+      progress_stage: 'completed',
+      processing_time_ms: processingTime,
+      completed_at: new Date().toISOString(),
+    }
+    // Request đã claim → hoàn tất đúng row đó; không có request_id → insert như cũ
+    const { data: tryonRecord } = claimedRecordId
+      ? await serviceClient.from('tryon_history').update(historyRecord).eq('id', claimedRecordId).select('id').single()
+      : await serviceClient.from('tryon_history').insert(historyRecord).select('id').single()
 
     console.log(`[process-tryon] Done in ${processingTime}ms, tryon_id: ${tryonRecord?.id}`)
     return new Response(JSON.stringify({
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration: 016_add_tryon_request_idempotency
+-- Purpose: Idempotency key cho process-tryon — client gửi request_id, retry cùng id
+--          trả kết quả gốc thay vì trừ gems lần 2
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: request_id do client sinh (UUID string), NULL cho request cũ không có key
+ALTER TABLE tryon_history
+ADD COLUMN IF NOT EXISTS request_id TEXT;
+
+-- Step 2: Mỗi user chỉ có 1 row cho mỗi request_id — insert claim thứ 2 sẽ lỗi 23505
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tryon_user_request
+  ON tryon_history(user_id, request_id)
+  WHERE request_id IS NOT NULL;
+
+-- Step 3: Edit mode lưu quality = 'edit' (claim row phải insert được cho cả edit)
+ALTER TABLE tryon_history
+DROP CONSTRAINT IF EXISTS tryon_history_quality_check;
+
+ALTER TABLE tryon_history
+ADD CONSTRAINT tryon_history_quality_check CHECK (quality IN ('standard', 'hd', 'edit'));
+
+COMMENT ON COLUMN tryon_history.request_id IS 'Client-generated idempotency key (PROCESS_TRYON / EDIT_IMAGE)';
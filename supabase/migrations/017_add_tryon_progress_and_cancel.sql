@@ -0,0 +1,27 @@
+-- ============================================================================
+-- Migration: 017_add_tryon_progress_and_cancel
+-- Purpose: Tiến độ thật của process-tryon (stage) + cờ huỷ do client đặt
+--          — extension poll stage theo request_id, huỷ job bằng cancel_requested
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: Stage hiện tại của request đang xử lý (Edge Function cập nhật theo từng bước)
+ALTER TABLE tryon_history
+ADD COLUMN IF NOT EXISTS progress_stage TEXT;
+
+ALTER TABLE tryon_history
+DROP CONSTRAINT IF EXISTS tryon_history_progress_stage_check;
+
+ALTER TABLE tryon_history
+ADD CONSTRAINT tryon_history_progress_stage_check CHECK (
+  progress_stage IS NULL OR
+  progress_stage IN ('uploading', 'queued', 'generating', 'post_processing', 'completed', 'failed', 'cancelled')
+);
+
+-- Step 2: Client đặt cờ huỷ (RLS "Service role can update history" cho phép update row của chính user);
+--         Edge Function kiểm tra cờ giữa các bước, huỷ prediction và hoàn gems
+ALTER TABLE tryon_history
+ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN tryon_history.progress_stage IS 'Live stage of an in-flight try-on (uploading → queued → generating → post_processing)';
+COMMENT ON COLUMN tryon_history.cancel_requested IS 'Set by the extension to cancel an in-flight try-on; process-tryon refunds gems';
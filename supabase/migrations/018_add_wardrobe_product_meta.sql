@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Migration: 018_add_wardrobe_product_meta
+-- Purpose: Lưu metadata sản phẩm đọc từ trang (JSON-LD / microdata / OpenGraph)
+--          cùng wardrobe item — tên, brand, giá, màu, size, SKU, gallery ảnh
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: JSONB vì mỗi site cung cấp một phần khác nhau; extension chuẩn hoá shape
+--         { name, brand, price, currency, color, sizes[], sku, category, images[], sources[] }
+ALTER TABLE wardrobe_items
+ADD COLUMN IF NOT EXISTS product_meta JSONB;
+
+-- Step 2: Tra item theo SKU / brand (gợi ý size, theo dõi giá) không cần quét JSON
+CREATE INDEX IF NOT EXISTS idx_wardrobe_product_sku
+  ON wardrobe_items(user_id, (product_meta->>'sku'))
+  WHERE product_meta IS NOT NULL;
+
+COMMENT ON COLUMN wardrobe_items.product_meta IS 'Structured product data captured from the source page (JSON-LD, microdata, OpenGraph)';
@@ -0,0 +1,70 @@
+-- ============================================================================
+-- Migration: 019_add_wardrobe_subcategory
+-- Purpose: Taxonomy 2 cấp cho tủ đồ (lib/garment_taxonomy.js) — thêm category 'outerwear',
+--          cột subcategory (jeans, sneakers, blazer...) và backfill cho item cũ theo tên
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: 'outerwear' thành category riêng (trước đây áo khoác bị lưu là top / other)
+ALTER TABLE wardrobe_items
+DROP CONSTRAINT IF EXISTS wardrobe_items_category_check;
+
+ALTER TABLE wardrobe_items
+ADD CONSTRAINT wardrobe_items_category_check
+CHECK (category IN ('top', 'bottom', 'dress', 'outerwear', 'shoes', 'accessories', 'other'));
+
+-- Step 2: subcategory tự do (không CHECK) — danh sách id nằm trong extension, thêm id mới không cần migration
+ALTER TABLE wardrobe_items
+ADD COLUMN IF NOT EXISTS subcategory TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_wardrobe_category_subcategory
+  ON wardrobe_items(user_id, category, subcategory);
+
+-- Step 3: Item 'top' / 'other' có tên áo khoác → outerwear
+UPDATE wardrobe_items
+SET category = 'outerwear'
+WHERE category IN ('top', 'other')
+  AND name ~* '(jacket|blazer|coat|cardigan|hoodie|puffer|parka|trench|áo khoác|áo vest|áo phao)';
+
+-- Step 4: Backfill subcategory theo tên (cụm dài / cụ thể trước) — item không khớp giữ NULL
+UPDATE wardrobe_items
+SET subcategory = CASE
+    WHEN category = 'top' AND name ~* '(t-?shirt|\mtee\M|áo thun|áo phông)' THEN 't-shirt'
+    WHEN category = 'top' AND name ~* '(blouse|áo kiểu)' THEN 'blouse'
+    WHEN category = 'top' AND name ~* '(\mpolo\M)' THEN 'polo'
+    WHEN category = 'top' AND name ~* '(tank top|camisole|áo ba lỗ|áo hai dây)' THEN 'tank-top'
+    WHEN category = 'top' AND name ~* '(sweater|knit|jumper|áo len)' THEN 'knit'
+    WHEN category = 'top' AND name ~* '(shirt|sơ mi)' THEN 'shirt'
+    WHEN category = 'bottom' AND name ~* '(jean|denim)' THEN 'jeans'
+    WHEN category = 'bottom' AND name ~* '(skirt|chân váy)' THEN 'skirt'
+    WHEN category = 'bottom' AND name ~* '(shorts|quần short|quần đùi)' THEN 'shorts'
+    WHEN category = 'bottom' AND name ~* '(legging|jogger|sweatpant)' THEN 'leggings'
+    WHEN category = 'bottom' AND name ~* '(trouser|pant|slack|chino|quần tây|quần âu)' THEN 'trousers'
+    WHEN category = 'dress' AND name ~* '(jumpsuit|romper|playsuit)' THEN 'jumpsuit'
+    WHEN category = 'dress' AND name ~* '(maxi|gown|đầm dài|váy dài)' THEN 'maxi-dress'
+    WHEN category = 'dress' AND name ~* '(midi)' THEN 'midi-dress'
+    WHEN category = 'dress' AND name ~* '(\mmini\M|đầm ngắn|váy ngắn)' THEN 'mini-dress'
+    WHEN category = 'outerwear' AND name ~* '(puffer|down jacket|áo phao)' THEN 'puffer'
+    WHEN category = 'outerwear' AND name ~* '(blazer|áo vest)' THEN 'blazer'
+    WHEN category = 'outerwear' AND name ~* '(coat|trench|parka|áo dạ|măng tô)' THEN 'coat'
+    WHEN category = 'outerwear' AND name ~* '(cardigan)' THEN 'cardigan'
+    WHEN category = 'outerwear' AND name ~* '(hoodie|sweatshirt|áo nỉ)' THEN 'hoodie'
+    WHEN category = 'outerwear' AND name ~* '(jacket|bomber|áo khoác)' THEN 'jacket'
+    WHEN category = 'shoes' AND name ~* '(sneaker|trainer|giày thể thao)' THEN 'sneakers'
+    WHEN category = 'shoes' AND name ~* '(heel|pump|stiletto|cao gót)' THEN 'heels'
+    WHEN category = 'shoes' AND name ~* '(boot|bốt)' THEN 'boots'
+    WHEN category = 'shoes' AND name ~* '(sandal|slide|dép)' THEN 'sandals'
+    WHEN category = 'shoes' AND name ~* '(loafer|moccasin|oxford|giày lười)' THEN 'loafers'
+    WHEN category = 'shoes' AND name ~* '(ballet|ballerina|búp bê)' THEN 'flats'
+    WHEN category = 'accessories' AND name ~* '(bag|tote|clutch|backpack|túi|balo)' THEN 'bag'
+    WHEN category = 'accessories' AND name ~* '(\mhat\M|\mcap\M|beanie|mũ|nón)' THEN 'hat'
+    WHEN category = 'accessories' AND name ~* '(belt|thắt lưng)' THEN 'belt'
+    WHEN category = 'accessories' AND name ~* '(scarf|khăn)' THEN 'scarf'
+    WHEN category = 'accessories' AND name ~* '(necklace|bracelet|earring|\mring\M|jewel|vòng|nhẫn|bông tai)' THEN 'jewelry'
+    WHEN category = 'accessories' AND name ~* '(sunglasses|eyeglasses|kính)' THEN 'eyewear'
+    WHEN category = 'accessories' AND name ~* '(watch|đồng hồ)' THEN 'watch'
+  END
+WHERE subcategory IS NULL
+  AND name IS NOT NULL;
+
+COMMENT ON COLUMN wardrobe_items.subcategory IS 'Garment subcategory id within category (lib/garment_taxonomy.js), e.g. jeans, sneakers, blazer';
@@ -0,0 +1,22 @@
+-- ============================================================================
+-- Migration: 020_add_perceptual_hash
+-- Purpose: Perceptual hash (background/perceptual_hash.js) cho ảnh tủ đồ, ảnh model và outfit đã lưu —
+--          nhận ra ảnh trùng / gần giống dù URL khác (resize, nén lại, cắt nhẹ)
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: Cột hash — 38 ký tự hex (pHash + dHash + màu vùng giữa); NULL = item cũ, extension hash bù khi cần
+ALTER TABLE wardrobe_items
+ADD COLUMN IF NOT EXISTS perceptual_hash TEXT;
+
+ALTER TABLE user_models
+ADD COLUMN IF NOT EXISTS perceptual_hash TEXT;
+
+ALTER TABLE saved_outfits
+ADD COLUMN IF NOT EXISTS perceptual_hash TEXT;
+
+-- Step 2: So khớp theo khoảng cách Hamming nằm ở extension — không index (không tra bằng giá trị hash)
+
+COMMENT ON COLUMN wardrobe_items.perceptual_hash IS 'Perceptual image hash (pHash + dHash + center color, 38 hex) for near-duplicate detection';
+COMMENT ON COLUMN user_models.perceptual_hash IS 'Perceptual image hash (pHash + dHash + center color, 38 hex) for near-duplicate detection';
+COMMENT ON COLUMN saved_outfits.perceptual_hash IS 'Perceptual image hash (pHash + dHash + center color, 38 hex) for near-duplicate detection';
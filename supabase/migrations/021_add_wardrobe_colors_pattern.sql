@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration: 021_add_wardrobe_colors_pattern
+-- Purpose: Màu chủ đạo + hoạ tiết phân tích từ ảnh (background/garment_attributes.js) cho item tủ đồ —
+--          bộ lọc màu / hoạ tiết trong trang Wardrobe
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: colors = [{ name, hex, share }] nhiều nhất trước; NULL = chưa phân tích (job nền sẽ bù)
+ALTER TABLE wardrobe_items
+ADD COLUMN IF NOT EXISTS colors JSONB;
+
+ALTER TABLE wardrobe_items
+ADD COLUMN IF NOT EXISTS pattern TEXT;
+
+-- Step 2: Chỉ nhận các hoạ tiết extension phân loại được (lib/garment_colors.js PATTERNS)
+ALTER TABLE wardrobe_items
+DROP CONSTRAINT IF EXISTS wardrobe_items_pattern_check;
+
+ALTER TABLE wardrobe_items
+ADD CONSTRAINT wardrobe_items_pattern_check
+CHECK (pattern IS NULL OR pattern IN ('solid', 'striped', 'checked', 'floral', 'printed'));
+
+COMMENT ON COLUMN wardrobe_items.colors IS 'Dominant garment colors [{ name, hex, share }] extracted from the image, background removed';
+COMMENT ON COLUMN wardrobe_items.pattern IS 'Garment pattern classified from the image: solid, striped, checked, floral or printed';
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Migration: 022_add_wardrobe_tags_notes
+-- Purpose: Tag + ghi chú tự do của user cho item tủ đồ — tìm kiếm và smart collection trong trang Wardrobe
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: Tag đã chuẩn hoá ở extension (lib/wardrobe_query.js): chữ thường, không trùng, tối đa 20
+ALTER TABLE wardrobe_items
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE wardrobe_items
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- Step 2: Giới hạn phía DB khớp giới hạn của extension
+ALTER TABLE wardrobe_items
+DROP CONSTRAINT IF EXISTS wardrobe_items_tags_check;
+
+ALTER TABLE wardrobe_items
+ADD CONSTRAINT wardrobe_items_tags_check
+CHECK (cardinality(tags) <= 20);
+
+ALTER TABLE wardrobe_items
+DROP CONSTRAINT IF EXISTS wardrobe_items_notes_check;
+
+ALTER TABLE wardrobe_items
+ADD CONSTRAINT wardrobe_items_notes_check
+CHECK (notes IS NULL OR char_length(notes) <= 500);
+
+-- Step 3: Lọc theo tag phía server (tags @> ARRAY['work'])
+CREATE INDEX IF NOT EXISTS idx_wardrobe_items_tags ON wardrobe_items USING GIN (tags);
+
+COMMENT ON COLUMN wardrobe_items.tags IS 'Free-form user tags, lowercase and de-duplicated by the extension';
+COMMENT ON COLUMN wardrobe_items.notes IS 'Free-form user notes (max 500 characters)';
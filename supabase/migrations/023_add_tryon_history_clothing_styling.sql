@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Migration: 023_add_tryon_history_clothing_styling
+-- Purpose: Lưu cách mặc (sơ vin, mở áo khoác, xắn tay, cổ áo) + thứ tự lớp user chọn cho mỗi lần try-on
+--          nhiều món — xem lại lịch sử / Regenerate ra đúng cách mặc cũ
+-- Date: 2026-10-19
+-- ============================================================================
+
+-- Step 1: Mảng cùng thứ tự clothing_image_urls: [{ category, styling, layer }]; NULL = AI tự suy như trước
+ALTER TABLE tryon_history
+ADD COLUMN IF NOT EXISTS clothing_styling JSONB;
+
+-- Step 2: Chỉ nhận mảng (process-tryon luôn ghi mảng hoặc NULL)
+ALTER TABLE tryon_history
+DROP CONSTRAINT IF EXISTS tryon_history_clothing_styling_check;
+
+ALTER TABLE tryon_history
+ADD CONSTRAINT tryon_history_clothing_styling_check
+CHECK (clothing_styling IS NULL OR jsonb_typeof(clothing_styling) = 'array');
+
+COMMENT ON COLUMN tryon_history.clothing_styling IS
+  'Per-item styling choices and explicit layer order sent with the try-on request, aligned with clothing_image_urls; NULL when the AI inferred styling';
@@ -0,0 +1,229 @@
+/**
+ * File: tests/batch_tryon.test.js
+ * Purpose: Verify batch try-on của sidebar — giới hạn 10 lượt, kiểm tra gems trước khi chạy,
+ *          tối đa 2 lượt song song, chờ rate limit rồi gửi lại đúng 1 lần và dừng giữa chừng
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: state sidebar giả lập (ảnh mẫu đã lưu, món đang chọn), chrome.runtime.sendMessage giả lập
+ *   (GET_GEMS_BALANCE / START_TRYON_JOB / CANCEL_TRYON_JOB), waitForTryonJob trả kết quả theo jobId
+ * - Output: message gửi background, số job chạy cùng lúc, trạng thái tile, toast
+ *
+ * Flow:
+ * 1. openBatchTryonModal('models') → chọn sẵn tối đa MAX_BATCH_TRYON_SIZE ảnh
+ * 2. Bấm "Bắt đầu" → GET_GEMS_BALANCE → confirm → worker pool 2 lượt
+ * 3. Job trả RATE_LIMIT_EXCEEDED → chờ 60s → START_TRYON_JOB lần 2, không có lần 3
+ * 4. stopBatchTryon → CANCEL_TRYON_JOB cho job đang chạy, lượt đang chờ không được gửi,
+ *    mọi worker đang chờ rate limit được đánh thức
+ *
+ * Edge Cases:
+ * - handle_batch_tryon.js là plain script — hàm sidebar khác (state, t, waitForTryonJob...) gắn lên globalThis
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+
+const MODELS = Array.from({ length: 12 }, (_, i) => ({ id: i + 1, imageUrl: `https://cdn/models/${i + 1}.jpg` }))
+
+// jobId → resolve(response) của waitForTryonJob đang chờ
+let pendingJobs
+let jobCounter
+let gemsBalance
+
+function sentMessages(type) {
+  return chrome.runtime.sendMessage.mock.calls.map(([message]) => message).filter(message => message.type === type)
+}
+
+function finishJob(jobId, response = { success: true, result_image_url: `https://cdn/results/${jobId}.png`, gems_used: 1 }) {
+  const resolve = pendingJobs.get(jobId)
+  pendingJobs.delete(jobId)
+  resolve(response)
+}
+
+function toastKeys() {
+  return showToast.mock.calls.map(([key]) => key)
+}
+
+function selectedTiles() {
+  return document.querySelectorAll('.batch-tryon-tile.selected')
+}
+
+/** Bấm "Bắt đầu" rồi chờ batch kết thúc (toast finished) — trả promise để test điều khiển job giữa chừng */
+function startBatch() {
+  document.getElementById('batch-tryon-start-btn').click()
+  return vi.waitFor(() => expect(toastKeys()).toContain('batch_tryon.finished'))
+}
+
+function selectModels(count) {
+  window.openBatchTryonModal('models')
+  // Bỏ chọn bớt cho còn `count` ảnh — mỗi lần bấm render lại lưới nên phải query lại
+  while (selectedTiles().length > count) selectedTiles()[count].click()
+}
+
+beforeAll(async () => {
+  document.body.innerHTML = `
+    <div id="batch-tryon-modal" class="hidden">
+      <h3 id="batch-tryon-title"></h3>
+      <p id="batch-tryon-hint"></p>
+      <div id="batch-tryon-grid"></div>
+      <span id="batch-tryon-summary"></span>
+      <button id="batch-tryon-select-all-btn"></button>
+      <button id="batch-tryon-stop-btn" class="hidden"></button>
+      <button id="batch-tryon-start-btn"></button>
+    </div>`
+
+  Object.assign(globalThis, {
+    state: {},
+    GEM_COST_STANDARD: 1,
+    AMBIGUOUS_TRYON_ERROR_CODES: ['TIMEOUT', 'NETWORK_ERROR', 'REQUEST_IN_PROGRESS', 'JOB_INTERRUPTED'],
+    $: id => document.getElementById(id),
+    t: key => key,
+    escapeHtml: value => String(value),
+    showToast: vi.fn(),
+    showConfirmDialog: vi.fn(async () => true),
+    getRequestId: vi.fn(slot => `req-${slot}`),
+    settleRequestId: vi.fn(),
+    acknowledgeTryonJob: vi.fn(),
+    buildClothingImagesPayload: items => items.map(item => ({ image: item.imageUrl, category: item.category })),
+    waitForTryonJob: vi.fn(jobId => new Promise(resolve => pendingJobs.set(jobId, resolve))),
+    acceptTryOnResult: vi.fn(async () => ({ accepted: true })),
+    loadRecentClothing: vi.fn(async () => { }),
+    updateUI: vi.fn()
+  })
+
+  await import('../sidebar/modules/handle_batch_tryon.js')
+  window.initBatchTryon()
+})
+
+beforeEach(() => {
+  pendingJobs = new Map()
+  jobCounter = 0
+  gemsBalance = 50
+  Object.assign(state, {
+    userModels: MODELS,
+    selectedItems: [{ id: 'c1', imageUrl: 'https://shop/tee.jpg', category: 'top' }],
+    modelImage: MODELS[0].imageUrl,
+    recentClothing: [],
+    gemsBalance: 50,
+    tryonProcessing: false
+  })
+  showToast.mockClear()
+  showConfirmDialog.mockClear()
+  acceptTryOnResult.mockClear()
+  chrome.runtime.sendMessage = vi.fn(async (message) => {
+    if (message.type === 'GET_GEMS_BALANCE') return { success: true, balance: gemsBalance }
+    if (message.type === 'START_TRYON_JOB') return { success: true, jobId: `job-${++jobCounter}` }
+    if (message.type === 'CANCEL_TRYON_JOB') {
+      finishJob(message.data.jobId, { success: false, errorCode: 'CANCELLED' })
+      return { success: true }
+    }
+    return undefined
+  })
+})
+
+afterEach(() => vi.useRealTimers())
+
+describe('batch selection', () => {
+  it('SHOULD preselect at most 10 saved models and refuse an 11th', () => {
+    window.openBatchTryonModal('models')
+    expect(document.querySelectorAll('.batch-tryon-tile')).toHaveLength(12)
+    expect(selectedTiles()).toHaveLength(10)
+
+    document.querySelector('.batch-tryon-tile:not(.selected)').click()
+    expect(selectedTiles()).toHaveLength(10)
+    expect(toastKeys()).toContain('batch_tryon.max_reached')
+  })
+})
+
+describe('startBatchTryon', () => {
+  it('SHOULD check the balance from the background before confirming and stop when it is too low', async () => {
+    gemsBalance = 3
+    selectModels(5)
+
+    document.getElementById('batch-tryon-start-btn').click()
+    await vi.waitFor(() => expect(toastKeys()).toContain('batch_tryon.insufficient'))
+
+    expect(sentMessages('GET_GEMS_BALANCE')).toHaveLength(1)
+    expect(state.gemsBalance).toBe(3)
+    expect(showConfirmDialog).not.toHaveBeenCalled()
+    expect(sentMessages('START_TRYON_JOB')).toHaveLength(0)
+    expect(window.isBatchTryonRunning()).toBe(false)
+  })
+
+  it('SHOULD run at most 2 jobs at a time and start the next one as soon as a slot frees up', async () => {
+    selectModels(5)
+    const finished = startBatch()
+
+    await vi.waitFor(() => expect(pendingJobs.size).toBe(2))
+    expect(showConfirmDialog).toHaveBeenCalledWith(expect.objectContaining({ gemCost: 5, currentBalance: 50 }))
+    expect(window.isBatchTryonRunning()).toBe(true)
+    expect(state.tryonProcessing).toBe(true)
+
+    let maxRunning = 0
+    while (pendingJobs.size > 0) {
+      maxRunning = Math.max(maxRunning, pendingJobs.size)
+      finishJob([...pendingJobs.keys()][0])
+      await new Promise(resolve => setTimeout(resolve, 0))
+    }
+    await finished
+
+    expect(maxRunning).toBe(2)
+    expect(sentMessages('START_TRYON_JOB').map(message => message.data.person_image))
+      .toEqual(MODELS.slice(0, 5).map(model => model.imageUrl))
+    expect(acceptTryOnResult).toHaveBeenCalledTimes(5)
+    expect(acceptTryOnResult.mock.calls[0][2]).toEqual({ silent: true })
+    expect(state.tryonProcessing).toBe(false)
+    expect(window.isBatchTryonRunning()).toBe(false)
+  })
+
+  it('SHOULD wait 60s after a rate limit and resend only once', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+    selectModels(1)
+    document.getElementById('batch-tryon-start-btn').click()
+
+    await vi.waitFor(() => expect(pendingJobs.has('job-1')).toBe(true))
+    finishJob('job-1', { success: false, errorCode: 'RATE_LIMIT_EXCEEDED' })
+    await vi.waitFor(() => expect(document.querySelector('.batch-tryon-tile.status-waiting')).not.toBeNull())
+
+    await vi.advanceTimersByTimeAsync(59 * 1000)
+    expect(sentMessages('START_TRYON_JOB')).toHaveLength(1)
+    await vi.advanceTimersByTimeAsync(1000)
+    await vi.waitFor(() => expect(pendingJobs.has('job-2')).toBe(true))
+
+    // Lần gửi lại cũng bị chặn → lượt này thất bại, không gửi lần 3
+    finishJob('job-2', { success: false, errorCode: 'RATE_LIMIT_EXCEEDED' })
+    await vi.waitFor(() => expect(toastKeys()).toContain('batch_tryon.finished'))
+    expect(sentMessages('START_TRYON_JOB')).toHaveLength(2)
+    expect(acceptTryOnResult).not.toHaveBeenCalled()
+  })
+
+  it('SHOULD wake every worker waiting out a rate limit when stopped', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+    selectModels(2)
+    document.getElementById('batch-tryon-start-btn').click()
+
+    await vi.waitFor(() => expect(pendingJobs.size).toBe(2))
+    finishJob('job-1', { success: false, errorCode: 'RATE_LIMIT_EXCEEDED' })
+    finishJob('job-2', { success: false, errorCode: 'RATE_LIMIT_EXCEEDED' })
+    await vi.waitFor(() => expect(document.querySelectorAll('.batch-tryon-tile.status-waiting')).toHaveLength(2))
+
+    // Không có timer giả nào được chạy — batch chỉ kết thúc khi cả 2 worker đều được đánh thức
+    await window.stopBatchTryon()
+    await vi.waitFor(() => expect(toastKeys()).toContain('batch_tryon.finished'))
+    expect(sentMessages('START_TRYON_JOB')).toHaveLength(2)
+    expect(vi.getTimerCount()).toBe(0)
+  })
+
+  it('SHOULD cancel running jobs and skip queued ones when stopped mid-batch', async () => {
+    selectModels(4)
+    const finished = startBatch()
+    await vi.waitFor(() => expect(pendingJobs.size).toBe(2))
+
+    await window.stopBatchTryon()
+    await finished
+
+    expect(sentMessages('CANCEL_TRYON_JOB').map(message => message.data.jobId).sort()).toEqual(['job-1', 'job-2'])
+    expect(sentMessages('START_TRYON_JOB')).toHaveLength(2)
+    expect(acceptTryOnResult).not.toHaveBeenCalled()
+    expect(window.isBatchTryonRunning()).toBe(false)
+  })
+})
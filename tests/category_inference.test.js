@@ -0,0 +1,190 @@
+/**
+ * File: tests/category_inference.test.js
+ * Purpose: Verify đoán thể loại quần áo có xếp hạng + độ tin cậy (từ khoá 9 locale, dữ liệu sản phẩm có cấu trúc)
+ *          và học từ lần user sửa thể loại trong modal "Thêm vào tủ đồ"
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: srcUrl / pageUrl / contextText / product, category_corrections trong chrome.storage.local
+ * - Output: [{ category, confidence, sources }], session pending_wardrobe_item, message RECORD_CATEGORY_CORRECTION
+ *
+ * Flow:
+ * 1. inferCategoryFromUrl: locale, cụm dài che cụm ngắn, trọng số nguồn, không fallback 'top'
+ * 2. category_corrections: mẫu URL, lần sửa mới nhất thắng, domain theo tỉ lệ
+ * 3. handleContextAddWardrobe dùng lần sửa trước; modal gửi lần sửa khi user bấm chip khác
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+
+import {
+  inferCategoryFromUrl, pickDetectedCategory, CATEGORY_KEYWORDS, CATEGORY_PRIORITY
+} from '../background/infer_clothing_category_from_url.js'
+import {
+  recordCategoryCorrection, getCategoryCorrections, getUrlPattern, CORRECTIONS_STORAGE_KEY
+} from '../background/category_corrections.js'
+import { handleContextAddWardrobe } from '../background/context_menus.js'
+
+const top = (...args) => inferCategoryFromUrl(...args)[0]?.category ?? null
+
+beforeEach(() => resetMockStorage())
+
+describe('inferCategoryFromUrl', () => {
+  it('SHOULD ship keywords for all nine locales in every category', () => {
+    const locales = ['en', 'vi', 'ja', 'ko', 'zh', 'th', 'id', 'es', 'fr']
+    CATEGORY_PRIORITY.forEach(category => {
+      expect(Object.keys(CATEGORY_KEYWORDS[category]).sort()).toEqual([...locales].sort())
+      locales.forEach(locale => expect(CATEGORY_KEYWORDS[category][locale].length).toBeGreaterThan(0))
+    })
+  })
+
+  it('SHOULD recognise product names in every locale', () => {
+    const page = 'https://shop.example/p/123'
+    expect(top('', page, '花柄ワンピース')).toBe('dress')
+    expect(top('', page, '오버핏 청바지')).toBe('bottom')
+    expect(top('', page, '女款羽绒服')).toBe('outerwear')
+    expect(top('', page, 'รองเท้าผ้าใบสีขาว')).toBe('shoes')
+    expect(top('', page, 'Tas selempang kulit')).toBe('accessories')
+    expect(top('', page, 'Camiseta de algodón')).toBe('top')
+    expect(top('', page, 'Jupe plissée midi')).toBe('bottom')
+    expect(top('', 'https://shop.vn/ao-khoac-gio-nam-123', '')).toBe('outerwear')
+  })
+
+  it('SHOULD let longer phrases win over the words they contain', () => {
+    expect(inferCategoryFromUrl('', '', 'Chân váy xếp ly')).toEqual([
+      { category: 'bottom', subcategory: 'skirt', confidence: 0.5, sources: ['context'] }
+    ])
+    expect(top('', 'https://shop.vn/chan-vay-jean', '')).toBe('bottom')
+    expect(top('', '', 'Áo khoác dạ')).toBe('outerwear')
+    expect(top('', 'https://tech.example/laptop-stand', '')).toBeNull()
+  })
+
+  it('SHOULD rank structured product data above URLs and no longer fall back to "top"', () => {
+    const candidates = inferCategoryFromUrl(
+      'https://cdn.example/images/shirt-model.jpg',
+      'https://shop.example/products/summer-look',
+      '',
+      { product: { name: 'Linen midi dress', category: 'Women > Dresses' } }
+    )
+    expect(candidates.map(c => c.category)).toEqual(['dress', 'top'])
+    expect(candidates[0]).toMatchObject({ confidence: 0.91, sources: ['product.category', 'product.name'] })
+    expect(pickDetectedCategory(candidates)).toBe('dress')
+
+    expect(inferCategoryFromUrl('https://cdn.example/a1b2c3.jpg', 'https://shop.example/p/998877', '')).toEqual([])
+    expect(pickDetectedCategory([])).toBeNull()
+    // Một tín hiệu yếu (chỉ URL ảnh) → không chọn sẵn
+    expect(pickDetectedCategory(inferCategoryFromUrl('https://cdn.example/boots.jpg', '', ''))).toBeNull()
+  })
+})
+
+describe('category corrections', () => {
+  it('SHOULD generalise product slugs and ids into a URL pattern', () => {
+    expect(getUrlPattern('https://shop.example/collections/dresses/products/linen-midi-dress?variant=1'))
+      .toBe('/collections/dresses/products/*')
+    expect(getUrlPattern('https://www.zara.com/vn/vi/ao-thun-p04174301.html')).toBe('/vn/vi/*')
+    expect(getUrlPattern('https://shop.example/item/884213/detail')).toBe('/item/:id/*')
+    expect(getUrlPattern('data:image/png;base64,AAAA')).toBeNull()
+  })
+
+  it('SHOULD keep the latest correction per pattern and a share per domain', async () => {
+    await recordCategoryCorrection('https://www.shop.example/products/a-1', 'dress')
+    await recordCategoryCorrection('https://shop.example/products/b-2', 'dress')
+    await recordCategoryCorrection('https://shop.example/products/c-3', 'bottom')
+    await recordCategoryCorrection('https://shop.example/sale/d', 'dress')
+
+    const stored = (await chrome.storage.local.get(CORRECTIONS_STORAGE_KEY))[CORRECTIONS_STORAGE_KEY]
+    expect(Object.keys(stored)).toEqual(['shop.example'])
+    expect(stored['shop.example'].patterns['/products/*']).toMatchObject({ category: 'bottom', count: 1 })
+
+    expect(await getCategoryCorrections('https://shop.example/products/new-item')).toEqual({
+      pattern: { category: 'bottom', count: 1 },
+      domain: { category: 'dress', share: 0.75 }
+    })
+    expect(await getCategoryCorrections('https://shop.example/lookbook/x')).toMatchObject({ pattern: null })
+    expect(await getCategoryCorrections('https://other.example/products/x')).toBeNull()
+  })
+})
+
+describe('learning from the add-to-wardrobe modal', () => {
+  const tab = { id: 3, windowId: 1, url: 'https://boutique.example/products/summer-edit-42' }
+  let session
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    session = {}
+    global.chrome.storage.session = { set: vi.fn(async items => Object.assign(session, items)) }
+    global.chrome.tabs = { sendMessage: vi.fn(async () => ({ product: null })) }
+    global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+  })
+
+  afterEach(() => vi.useRealTimers())
+
+  it('SHOULD use a previous correction on the same URL pattern', async () => {
+    const data = { srcUrl: 'https://cdn.example/img/top-view.jpg', pageUrl: tab.url, sidePanelOpen: true }
+
+    await handleContextAddWardrobe(data, tab)
+    expect(session.pending_wardrobe_item).toMatchObject({ detectedCategory: null })
+    expect(session.pending_wardrobe_item.categoryCandidates).toEqual([
+      { category: 'top', subcategory: null, confidence: 0.17, sources: ['srcUrl'] }
+    ])
+
+    await recordCategoryCorrection('https://boutique.example/products/linen-set-7', 'dress')
+    await handleContextAddWardrobe(data, tab)
+    expect(session.pending_wardrobe_item.detectedCategory).toBe('dress')
+    expect(session.pending_wardrobe_item.categoryCandidates[0].sources).toEqual(['correction.pattern', 'correction.domain'])
+  })
+
+  it('SHOULD mark suggested chips and report only the saved category once', async () => {
+    document.body.innerHTML = `
+      <div id="wardrobe-category-modal" class="hidden">
+        <img id="category-modal-preview-img">
+        <input id="category-modal-name">
+        ${['top', 'bottom', 'dress', 'shoes', 'accessories', 'outfit']
+          .map(c => `<button class="category-chip" data-category="${c}">${c}</button>`).join('')}
+        <button id="confirm-add-wardrobe-btn"><span class="material-symbols-outlined">checkroom</span> Lưu vào tủ đồ</button>
+      </div>`
+    Object.assign(globalThis, { t: key => key, getCategoryLabel: category => category })
+    await import('../sidebar/modules/handle_add_wardrobe_modal.js')
+    window.initAddWardrobeModal()
+    chrome.runtime.sendMessage = vi.fn(async message => (message.type === 'ADD_TO_WARDROBE' ? { success: true } : undefined))
+    const corrections = () => chrome.runtime.sendMessage.mock.calls.map(([m]) => m).filter(m => m.type === 'RECORD_CATEGORY_CORRECTION')
+    const open = () => window.openAddWardrobeModal({
+      imageUrl: 'https://cdn.example/a.jpg',
+      pageUrl: tab.url,
+      detectedCategory: 'top',
+      categoryCandidates: [{ category: 'top', confidence: 0.6 }, { category: 'outerwear', confidence: 0.4 }]
+    })
+    const chip = category => document.querySelector(`.category-chip[data-category="${category}"]`)
+    const save = async () => {
+      document.getElementById('confirm-add-wardrobe-btn').click()
+      await vi.waitFor(() => expect(chrome.runtime.sendMessage.mock.calls.some(([m]) => m.type === 'SAVE_RECENT_CLOTHING')).toBe(true))
+    }
+
+    open()
+    expect(chip('top').classList).toContain('active')
+    expect(chip('top').classList).toContain('suggested')
+    expect(chip('top').title).toBe('60%')
+
+    // Bấm qua nhiều chip không ghi nhận gì — chỉ thể loại cuối cùng lúc lưu
+    chip('dress').click()
+    chip('bottom').click()
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled()
+    await save()
+    expect(corrections()).toEqual([{ type: 'RECORD_CATEGORY_CORRECTION', data: { pageUrl: tab.url, category: 'bottom' } }])
+
+    // Đổi rồi quay lại thể loại đã đoán → không phải sửa
+    chrome.runtime.sendMessage.mockClear()
+    open()
+    chip('dress').click()
+    chip('top').click()
+    await save()
+    expect(corrections()).toEqual([])
+  })
+
+  it('SHOULD not report a correction when the modal is closed without saving', async () => {
+    chrome.runtime.sendMessage = vi.fn(async () => undefined)
+    window.openAddWardrobeModal({ imageUrl: 'https://cdn.example/a.jpg', pageUrl: tab.url, detectedCategory: 'top' })
+    document.querySelector('.category-chip[data-category="dress"]').click()
+    window.closeAddWardrobeModal()
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled()
+  })
+})
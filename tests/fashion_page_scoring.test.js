@@ -0,0 +1,160 @@
+/**
+ * File: tests/fashion_page_scoring.test.js
+ * Purpose: Verify nhận diện trang thời trang bằng bộ luật có trọng số — chạy lib/fashion_page_rules.json trên
+ *          trang HTML đã lưu (tests/fixtures/pages), ngưỡng theo độ nhạy, overlay debug liệt kê luật đã khớp
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: fixture HTML (URL lấy từ <link rel="canonical">), bộ luật JSON thật, detection_settings trong storage
+ * - Output: { score, fired } của scorePage, window.__fitlyIsFashionPage, panel trong <fitly-detection-debug>
+ *
+ * Flow:
+ * 1. compileRuleset: luật lỗi bị bỏ, không làm hỏng cả bộ luật
+ * 2. scorePage trên từng fixture: trang sản phẩm, trang danh mục, blog, checkout của domain có sẵn
+ * 3. detect_fashion_page: độ nhạy strict → balanced detect lại không cần reload, overlay debug
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest'
+import { readFileSync } from 'node:fs'
+
+const readRepoFile = path => readFileSync(new URL(path, import.meta.url), 'utf8')
+
+const rulesJson = JSON.parse(readRepoFile('../lib/fashion_page_rules.json'))
+
+/** Trang đã lưu → { document, url } — URL của trang gốc nằm ở canonical */
+function loadPage(name) {
+  const doc = new DOMParser().parseFromString(readRepoFile(`./fixtures/pages/${name}.html`), 'text/html')
+  const url = new URL(doc.querySelector('link[rel="canonical"]').href)
+  return { document: doc, url, hostname: url.hostname, globals: {}, topFrameIsFashion: false }
+}
+
+const firedIds = result => result.fired.map(rule => rule.id)
+
+let scoring
+let ruleset
+
+beforeAll(async () => {
+  await import('../lib/fashion_sites.js')
+  await import('../lib/fashion_page_scoring.js')
+  scoring = window.FitlyFashionScoring
+  ruleset = scoring.compileRuleset(rulesJson)
+})
+
+describe('compileRuleset', () => {
+  it('SHOULD skip broken rules instead of dropping the whole ruleset', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => { })
+    const compiled = scoring.compileRuleset({
+      version: 7,
+      thresholds: { strict: 80 },
+      keywords: { fashion: ['dress'] },
+      rules: [
+        { id: 'path.broken', signal: 'path', pattern: '(unclosed', weight: 10 },
+        { id: 'meta.unknown_keywords', signal: 'meta', selector: 'title', keywords: 'shoes', weight: 10 },
+        { id: 'meta.title_keyword', signal: 'meta', selector: 'title', keywords: 'fashion', weight: 30 }
+      ]
+    })
+    expect(compiled.rules.map(rule => rule.id)).toEqual(['meta.title_keyword'])
+    expect(compiled.version).toBe(7)
+    expect(scoring.getThreshold(compiled, 'strict')).toBe(80)
+    expect(scoring.getThreshold(compiled, 'balanced')).toBe(40)
+    expect(warn).toHaveBeenCalledTimes(2)
+    warn.mockRestore()
+  })
+
+  it('SHOULD ship a versioned ruleset with a threshold for every sensitivity', () => {
+    expect(rulesJson.version).toBeGreaterThanOrEqual(1)
+    expect(Object.keys(rulesJson.thresholds).sort()).toEqual([...scoring.SENSITIVITIES].sort())
+    expect(ruleset.rules).toHaveLength(rulesJson.rules.length)
+    expect(new Set(ruleset.rules.map(rule => rule.id)).size).toBe(ruleset.rules.length)
+  })
+})
+
+describe('scorePage on saved pages', () => {
+  it('SHOULD score a Shopify product page far above every threshold', () => {
+    const result = scoring.scorePage(ruleset, loadPage('shopify_product'))
+    expect(firedIds(result)).toEqual(expect.arrayContaining([
+      'path.product', 'meta.og_type_product', 'structured.add_to_cart', 'structured.variant_selector',
+      'structured.jsonld_product', 'structured.jsonld_fashion_category'
+    ]))
+    expect(result.score).toBeGreaterThanOrEqual(scoring.getThreshold(ruleset, 'strict'))
+    expect(result.fired.find(rule => rule.id === 'meta.og_type_product').detail).toBe('content="product"')
+  })
+
+  it('SHOULD pass a category grid on balanced but not on strict', () => {
+    const result = scoring.scorePage(ruleset, loadPage('category_grid'))
+    expect(firedIds(result)).toEqual(['meta.heading_keyword', 'meta.navigation_keyword', 'images.product_grid'])
+    expect(result.fired.find(rule => rule.id === 'images.product_grid').detail).toBe('8 images')
+    expect(result.score).toBe(50)
+  })
+
+  it('SHOULD not treat a blog with "style" in its title as a store unless sensitivity is relaxed', () => {
+    const result = scoring.scorePage(ruleset, loadPage('lifestyle_blog'))
+    expect(result.fired).toEqual([
+      { id: 'meta.title_keyword', signal: 'meta', weight: 30, detail: '"style"' }
+    ])
+    expect(result.score).toBeLessThan(scoring.getThreshold(ruleset, 'balanced'))
+    expect(result.score).toBeGreaterThanOrEqual(scoring.getThreshold(ruleset, 'relaxed'))
+  })
+
+  it('SHOULD veto checkout pages even on built-in fashion domains', () => {
+    const result = scoring.scorePage(ruleset, loadPage('checkout'))
+    expect(firedIds(result)).toEqual(expect.arrayContaining(['domain.builtin', 'path.excluded']))
+    expect(result.score).toBeLessThan(0)
+  })
+
+  it('SHOULD inherit the embedding page result through the frame rule', () => {
+    const page = { ...loadPage('lifestyle_blog'), topFrameIsFashion: true }
+    expect(firedIds(scoring.scorePage(ruleset, page))).toContain('frame.top_is_fashion')
+  })
+})
+
+describe('detect_fashion_page with the ruleset', () => {
+  const storageListeners = []
+  const roots = {}
+
+  beforeAll(async () => {
+    const attachShadow = Element.prototype.attachShadow
+    vi.spyOn(Element.prototype, 'attachShadow').mockImplementation(function (init) {
+      const root = attachShadow.call(this, init)
+      roots[this.localName] = root
+      return root
+    })
+
+    const page = loadPage('category_grid')
+    document.head.innerHTML = page.document.head.innerHTML
+    document.body.innerHTML = page.document.body.innerHTML
+
+    global.chrome.storage.onChanged = { addListener: vi.fn(listener => storageListeners.push(listener)) }
+    global.chrome.runtime.onMessage = { addListener: vi.fn() }
+    global.chrome.runtime.getURL = vi.fn(path => `chrome-extension://fitly/${path}`)
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => rulesJson }))
+    await chrome.storage.local.set({ detection_settings: { sensitivity: 'strict', debug: true } })
+
+    await import('../lib/shadow_host.js')
+    await import('../content_scripts/detect_fashion_page.js')
+  })
+
+  it('SHOULD list the fired rules in the debug overlay and re-detect when sensitivity changes', async () => {
+    await vi.waitFor(() => expect(window.__fitlyIsFashionPage).toBe(false))
+    expect(fetch).toHaveBeenCalledWith('chrome-extension://fitly/lib/fashion_page_rules.json')
+    expect(window.__fitlyGetFashionDetection()).toMatchObject({ score: 50, threshold: 60, sensitivity: 'strict', version: 1 })
+
+    const panel = roots['fitly-detection-debug'].querySelector('.fitly-detection-debug')
+    expect(panel.querySelector('.fitly-detection-verdict').textContent).toBe('not fashion')
+    expect([...panel.querySelectorAll('.fitly-detection-rule')].map(row => row.textContent))
+      .toEqual(['+20meta.heading_keyword"Đầm"', '+15meta.navigation_keyword"Thời trang"', '+15images.product_grid8 images'])
+
+    const onModeChanged = vi.fn()
+    window.addEventListener('fitly:site-mode-changed', e => onModeChanged(e.detail))
+    storageListeners.forEach(listener => listener({ detection_settings: { newValue: { sensitivity: 'balanced', debug: true } } }, 'local'))
+
+    expect(window.__fitlyIsFashionPage).toBe(true)
+    expect(onModeChanged).toHaveBeenCalledWith({ mode: 'auto', isFashion: true })
+    expect(roots['fitly-detection-debug'].querySelector('.fitly-detection-verdict').textContent).toBe('fashion')
+
+    // Tắt debug → gỡ overlay, không detect lại
+    storageListeners.forEach(listener => listener({ detection_settings: { newValue: { sensitivity: 'balanced', debug: false } } }, 'local'))
+    expect(roots['fitly-detection-debug'].querySelector('.fitly-detection-debug')).toBeNull()
+    expect(onModeChanged).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,180 @@
+/**
+ * File: tests/frames_and_shadow_dom.test.js
+ * Purpose: Verify ảnh sản phẩm trong web component (shadow root mở) và trong iframe nhúng — nút hover gắn được,
+ *          iframe tự nhận diện trang thời trang theo luật của tab + kết quả frame chính, yêu cầu từ iframe về đúng tab
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: <product-card> có shadow root mở chứa <img>, iframe jsdom chạy detect_fashion_page.js (eval trong frame),
+ *          sender { tab, frameId } của chrome.runtime.onMessage
+ * - Output: slot nút hover trong <fitly-hover-buttons>, window.__fitlyIsFashionPage của iframe,
+ *           data CONTEXT_* đã gắn frameId + URL của tab, ảnh phím tắt lấy từ iframe đang có con trỏ
+ *
+ * Flow:
+ * 1. Shadow root mở: quét lúc init + ảnh render sau vào shadow root (MutationObserver riêng), chuột phải vào ảnh bên trong
+ * 2. iframe: quá nhỏ → false, đủ lớn → thừa hưởng frame chính, luật 'never' của tab thắng
+ * 3. Background: fromSenderFrame, GET_TOP_FRAME_FASHION, phím tắt khi con trỏ ở trong iframe
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+import { readFileSync } from 'node:fs'
+
+import { fromSenderFrame, handleGetTopFrameFashion } from '../background/frame_routing.js'
+import { handleCommand } from '../background/keyboard_commands.js'
+
+const roots = {}
+const listeners = []
+
+const fakeRect = (top, left, width, height) => ({ top, left, width, height, right: left + width, bottom: top + height, x: left, y: top })
+
+/** Web component của storefront — ảnh nằm trong shadow root mở */
+function createProductCard(id, src) {
+  const card = document.createElement('product-card')
+  card.id = id
+  const shadow = card.attachShadow({ mode: 'open' })
+  shadow.innerHTML = `<figure><img src="${src}" alt="Áo"></figure>`
+  const img = shadow.querySelector('img')
+  img.getBoundingClientRect = () => fakeRect(40, 20, 400, 500)
+  shadow.querySelector('figure').getBoundingClientRect = () => fakeRect(40, 20, 400, 500)
+  return card
+}
+
+describe('open shadow roots', () => {
+  beforeAll(async () => {
+    const attachShadow = Element.prototype.attachShadow
+    vi.spyOn(Element.prototype, 'attachShadow').mockImplementation(function (init) {
+      const root = attachShadow.call(this, init)
+      roots[this.localName] = root
+      return root
+    })
+
+    document.body.appendChild(createProductCard('first', 'https://cdn.shop.vn/ao-1.jpg'))
+    window.__fitlyIsFashionPage = true
+    window.__fitlyIsLikelyClothingImage = () => true
+
+    global.chrome.runtime.onMessage = { addListener: vi.fn(listener => listeners.push(listener)) }
+    global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+
+    await import('../lib/shadow_host.js')
+    await import('../lib/image_resolver.js')
+    await import('../lib/image_scan_scheduler.js')
+    await import('../content_scripts/inject_image_hover_button.js')
+  })
+
+  const slotAnchors = () => [...(roots['fitly-hover-buttons']?.querySelectorAll('.fitly-hover-slot') || [])]
+    .map(slot => slot._fitlyAnchor.getRootNode().host?.id)
+
+  it('SHOULD attach hover buttons to images inside web components, including ones rendered later', async () => {
+    await vi.waitFor(() => expect(slotAnchors()).toEqual(['first']), { timeout: 3000 })
+
+    // Web component render lại ảnh bên trong shadow root — document observer không thấy
+    const shadow = document.getElementById('first').shadowRoot
+    const figure = document.createElement('figure')
+    figure.innerHTML = '<img src="https://cdn.shop.vn/ao-2.jpg" alt="Áo 2">'
+    figure.querySelector('img').getBoundingClientRect = () => fakeRect(600, 20, 400, 500)
+    shadow.appendChild(figure)
+
+    await vi.waitFor(() => expect(slotAnchors()).toEqual(['first', 'first']), { timeout: 3000 })
+    // Closed shadow root của Fitly không bị quét
+    expect(window.FitlyShadowHost.getOpenShadowRoots(document)).toEqual([shadow])
+  })
+
+  it('SHOULD read the right-clicked image inside the shadow root, not its host', () => {
+    const img = document.getElementById('first').shadowRoot.querySelector('img')
+    img.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, composed: true }))
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'STORE_CONTEXT_MENU_IMAGE',
+      data: expect.objectContaining({ url: 'https://cdn.shop.vn/ao-1.jpg', altText: 'Áo' })
+    })
+  })
+})
+
+describe('fashion detection inside an iframe', () => {
+  const sources = ['../lib/fashion_sites.js', '../lib/fashion_page_scoring.js', '../content_scripts/detect_fashion_page.js']
+    .map(path => readFileSync(new URL(path, import.meta.url), 'utf8'))
+
+  /** Chạy detect_fashion_page.js trong 1 iframe jsdom (window.top !== window) */
+  function loadInFrame({ width = 600, height = 800, topIsFashion = false, siteRules = {} } = {}) {
+    const iframe = document.createElement('iframe')
+    document.body.appendChild(iframe)
+    const frameWindow = iframe.contentWindow
+    Object.defineProperty(frameWindow.location, 'ancestorOrigins', { value: ['https://shop.vn'] })
+    Object.assign(frameWindow, { innerWidth: width, innerHeight: height })
+
+    const sendMessage = vi.fn(async () => ({ isFashion: topIsFashion }))
+    frameWindow.chrome = {
+      runtime: { sendMessage, onMessage: { addListener: vi.fn() } },
+      storage: {
+        local: { get: vi.fn(async () => ({ site_rules: siteRules })) },
+        onChanged: { addListener: vi.fn() }
+      }
+    }
+    sources.forEach(source => frameWindow.eval(source))
+    return { frameWindow, sendMessage }
+  }
+
+  it('SHOULD ignore tiny frames such as ads and tracking pixels', async () => {
+    const { frameWindow, sendMessage } = loadInFrame({ width: 300, height: 50, topIsFashion: true })
+    await vi.waitFor(() => expect(frameWindow.__fitlyIsFashionPage).toBe(false))
+    expect(sendMessage).not.toHaveBeenCalled()
+  })
+
+  it('SHOULD inherit the embedding page result for an embedded lookbook', async () => {
+    const { frameWindow, sendMessage } = loadInFrame({ topIsFashion: true })
+    await vi.waitFor(() => expect(frameWindow.__fitlyIsFashionPage).toBe(true))
+    expect(sendMessage).toHaveBeenCalledWith({ type: 'GET_TOP_FRAME_FASHION' })
+  })
+
+  it('SHOULD apply the site rule of the tab, not of the embedded widget', async () => {
+    const { frameWindow, sendMessage } = loadInFrame({ topIsFashion: true, siteRules: { 'shop.vn': 'never' } })
+    await vi.waitFor(() => expect(frameWindow.__fitlyGetSiteMode?.()).toBe('never'))
+    await vi.waitFor(() => expect(frameWindow.__fitlyIsFashionPage).toBe(false))
+    expect(sendMessage).not.toHaveBeenCalled()
+  })
+})
+
+describe('background routing for frames', () => {
+  const tab = { id: 7, windowId: 3, url: 'https://shop.vn/ao-khoac' }
+
+  beforeEach(() => {
+    global.chrome.storage.session = { set: vi.fn(async () => undefined) }
+    global.chrome.sidePanel = { open: vi.fn(async () => undefined) }
+    global.chrome.notifications = { create: vi.fn() }
+    global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+  })
+
+  afterEach(() => vi.useRealTimers())
+
+  it('SHOULD tag iframe requests with their frame and the tab URL', async () => {
+    const data = { srcUrl: 'https://cdn.lookbook.app/ao.jpg', pageUrl: 'https://lookbook.app/embed/42' }
+    expect(fromSenderFrame(data, { tab, frameId: 0 })).toBe(data)
+    expect(fromSenderFrame(data, { tab, frameId: 4 })).toEqual({ ...data, frameId: 4, pageUrl: tab.url })
+
+    global.chrome.tabs = { sendMessage: vi.fn(async () => ({ isFashion: true })) }
+    expect(await handleGetTopFrameFashion(tab)).toEqual({ isFashion: true })
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(tab.id, { type: 'GET_PAGE_FASHION_STATE' }, { frameId: 0 })
+
+    chrome.tabs.sendMessage.mockRejectedValueOnce(new Error('Could not establish connection'))
+    expect(await handleGetTopFrameFashion(tab)).toEqual({ isFashion: false })
+  })
+
+  it('SHOULD take the shortcut target from the iframe under the pointer', async () => {
+    vi.useFakeTimers()
+    global.chrome.tabs = {
+      sendMessage: vi.fn(async (tabId, message) => {
+        if (message.type !== 'GET_SHORTCUT_TARGET_IMAGE') return undefined
+        if (message.hoverOnly) {
+          return { image: { url: 'https://cdn.lookbook.app/dam.jpg', source: 'hover' }, product: { name: 'Đầm' } }
+        }
+        return { image: { url: 'https://cdn.shop.vn/main.jpg', source: 'main' }, product: null, hoveredFrame: true }
+      })
+    }
+
+    await handleCommand('try-on-image', tab)
+    expect(chrome.storage.session.set).toHaveBeenCalledWith(expect.objectContaining({
+      pending_clothing_image: 'https://cdn.lookbook.app/dam.jpg',
+      pending_product: { name: 'Đầm' }
+    }))
+  })
+})
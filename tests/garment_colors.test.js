@@ -0,0 +1,311 @@
+/**
+ * File: tests/garment_colors.test.js
+ * Purpose: Verify phân tích màu chủ đạo (bỏ nền) + hoạ tiết từ pixel ảnh, bộ lọc màu / hoạ tiết
+ *          và job nền phân tích bù item đã lưu
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: ảnh RGBA tổng hợp 96×96 (hàm toạ độ → RGB[A]) giống ảnh đã thu nhỏ trên OffscreenCanvas
+ * - Output: { colors: [{ name, hex, share }], pattern }, storage sau khi lưu / chạy backfill
+ *
+ * Flow:
+ * 1. analyzePixels: trơn / kẻ sọc / caro / hoa / in hình, nền trắng + nền trong suốt
+ * 2. handleSaveRecentClothing / handleAddToWardrobe: lưu kèm colors / pattern, tải ảnh 1 lần cho cả hash lẫn màu
+ * 3. runAttributeBackfill: bỏ qua outfit + item đã có, đếm lỗi tải ảnh, xoá alarm khi xong
+ *
+ * Edge Cases:
+ * - jsdom không có createImageBitmap → analyzeImageUrl / analyzeGarmentImage / hashImageUrl được mock
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+vi.mock('../background/auth_state_manager.js', () => ({
+  isDemoMode: vi.fn(async () => true),
+  isGuestMode: vi.fn(async () => false),
+  getAuthToken: vi.fn(async () => null)
+}))
+vi.mock('../background/session_ready_gate.js', () => ({ sessionReady: Promise.resolve() }))
+vi.mock('../background/perceptual_hash.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  hashImageUrl: vi.fn(async () => null)
+}))
+vi.mock('../background/garment_attributes.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  analyzeImageUrl: vi.fn(async () => null),
+  analyzeGarmentImage: vi.fn(async () => ({ perceptualHash: null, attributes: null }))
+}))
+vi.mock('../background/image_compressor.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchImageBlob: vi.fn(async () => null)
+}))
+
+import { analyzeImageUrl, analyzeGarmentImage } from '../background/garment_attributes.js'
+import { fetchImageBlob } from '../background/image_compressor.js'
+import { handleSaveRecentClothing } from '../background/recent_clothing_manager.js'
+import { handleAddToWardrobe } from '../background/wardrobe_manager.js'
+import {
+  runAttributeBackfill, handleAttributeBackfillAlarm, ATTRIBUTE_BACKFILL_ALARM, ATTRIBUTE_FAILURES_KEY
+} from '../background/garment_attribute_backfill.js'
+
+let colors
+
+beforeAll(async () => {
+  await import('../lib/garment_colors.js')
+  colors = globalThis.FitlyGarmentColors
+})
+
+// ---------------------------------------------------------------------------
+// Ảnh tổng hợp: áo trên nền trắng, nhiễu nhẹ như ảnh JPEG
+// ---------------------------------------------------------------------------
+
+const SIZE = 96
+const BACKGROUND = [245, 245, 245]
+
+function render(image) {
+  let seed = 7
+  const random = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647 }
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4)
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const color = image(x / SIZE, y / SIZE)
+      const i = (y * SIZE + x) * 4
+      for (let k = 0; k < 3; k++) data[i + k] = color[k] + (random() - 0.5) * 8
+      data[i + 3] = color[3] ?? 255
+    }
+  }
+  return colors.analyzePixels(data, SIZE, SIZE)
+}
+
+const shirt = (x, y) => Math.abs(x - 0.5) < 0.22 + (y < 0.35 ? 0.12 : 0) && y > 0.15 && y < 0.85
+const onShirt = (fill, background = BACKGROUND) => (x, y) => shirt(x, y) ? fill(x, y) : background
+const names = result => result.colors.map(color => color.name)
+
+describe('classifyColor', () => {
+  it('SHOULD name neutrals, darks and muted tones', () => {
+    expect(colors.classifyColor(20, 20, 20)).toBe('black')
+    expect(colors.classifyColor(250, 250, 248)).toBe('white')
+    expect(colors.classifyColor(128, 128, 130)).toBe('gray')
+    expect(colors.classifyColor(0, 0, 128)).toBe('navy')
+    expect(colors.classifyColor(128, 0, 128)).toBe('purple')
+    expect(colors.classifyColor(128, 128, 0)).toBe('green')
+  })
+
+  it('SHOULD keep camel and tan out of orange', () => {
+    expect(colors.classifyColor(160, 120, 80)).toBe('brown')
+    expect(colors.classifyColor(230, 210, 180)).toBe('beige')
+    expect(colors.classifyColor(245, 130, 30)).toBe('orange')
+  })
+})
+
+describe('analyzePixels', () => {
+  it('SHOULD ignore the background of a solid garment', () => {
+    expect(render(onShirt(() => [35, 45, 110]))).toEqual({
+      colors: [{ name: 'navy', hex: expect.stringMatching(/^#[0-9a-f]{6}$/), share: 1 }],
+      pattern: 'solid'
+    })
+  })
+
+  it('SHOULD detect horizontal and vertical stripes, keeping white stripes that touch a white background', () => {
+    const horizontal = render(onShirt((x, y) => Math.floor(y * 16) % 2 ? [200, 30, 30] : [250, 250, 250]))
+    expect(horizontal.pattern).toBe('striped')
+    expect(names(horizontal)).toEqual(['red', 'white'])
+
+    const vertical = render(onShirt((x) => Math.floor(x * 16) % 2 ? [30, 60, 160] : [250, 250, 250]))
+    expect(vertical.pattern).toBe('striped')
+  })
+
+  it('SHOULD detect checks and gingham', () => {
+    expect(render(onShirt((x, y) => (Math.floor(y * 12) + Math.floor(x * 12)) % 2 ? [200, 30, 30] : [245, 235, 220])).pattern)
+      .toBe('checked')
+
+    const gingham = render(onShirt((x, y) => {
+      const row = Math.floor(y * 12) % 2
+      const column = Math.floor(x * 12) % 2
+      return row && column ? [30, 40, 120] : (row || column) ? [120, 130, 200] : [250, 250, 250]
+    }))
+    expect(gingham.pattern).toBe('checked')
+    expect(names(gingham)).toEqual(expect.arrayContaining(['blue', 'white', 'navy']))
+  })
+
+  it('SHOULD call an all-over multi-hue motif floral and a centred graphic printed', () => {
+    const floral = render(onShirt((x, y) => {
+      const fx = (x * 7) % 1
+      const fy = (y * 7) % 1
+      const distance = Math.hypot(fx - 0.5, fy - 0.5)
+      if (distance < 0.2) return [230, 80, 140]
+      if (distance < 0.3) return [250, 210, 60]
+      return (fx + fy * 1.3) % 0.5 < 0.12 ? [60, 140, 60] : [30, 30, 40]
+    }))
+    expect(floral.pattern).toBe('floral')
+    expect(floral.colors[0].name).toBe('black')
+    expect(floral.colors.length).toBeLessThanOrEqual(4)
+
+    const graphicTee = render(onShirt((x, y) => Math.hypot(x - 0.5, y - 0.45) < 0.12
+      ? ((Math.floor(x * 40) + Math.floor(y * 30)) % 3 ? [20, 20, 20] : [220, 30, 30])
+      : [175, 175, 178]))
+    expect(graphicTee.pattern).toBe('printed')
+    expect(graphicTee.colors[0].name).toBe('gray')
+  })
+
+  it('SHOULD not count the background showing between trouser legs', () => {
+    const jeans = render((x, y) => {
+      const gap = y > 0.4 && Math.abs(x - 0.5) < 0.04 + (y - 0.4) * 0.1
+      return y > 0.1 && y < 0.9 && Math.abs(x - 0.5) < 0.25 && !gap ? [60, 90, 140] : BACKGROUND
+    })
+    expect(jeans).toMatchObject({ colors: [{ name: 'navy', share: 1 }], pattern: 'solid' })
+  })
+
+  it('SHOULD use transparency as background and analyse full-frame crops as a whole', () => {
+    expect(names(render(onShirt(() => [60, 140, 60, 255], [0, 0, 0, 0])))).toEqual(['green'])
+    expect(names(render(() => [160, 120, 80]))).toEqual(['brown'])
+  })
+
+  it('SHOULD report shares that add up to at most 1', () => {
+    const { colors: palette } = render(onShirt((x, y) => Math.floor(y * 16) % 2 ? [200, 30, 30] : [250, 250, 250]))
+    expect(palette.reduce((sum, color) => sum + color.share, 0)).toBeLessThanOrEqual(1.01)
+  })
+})
+
+describe('matchesAttributes', () => {
+  const item = { colors: [{ name: 'navy', share: 0.7 }, { name: 'white', share: 0.3 }], pattern: 'striped' }
+
+  it('SHOULD match any listed colour and the exact pattern', () => {
+    expect(colors.matchesAttributes(item, { color: 'white' })).toBe(true)
+    expect(colors.matchesAttributes(item, { color: 'navy', pattern: 'striped' })).toBe(true)
+    expect(colors.matchesAttributes(item, { pattern: 'solid' })).toBe(false)
+    expect(colors.matchesAttributes(item, { color: 'red' })).toBe(false)
+  })
+
+  it('SHOULD exclude unanalysed items only when a filter is set', () => {
+    expect(colors.matchesAttributes({}, {})).toBe(true)
+    expect(colors.matchesAttributes({}, { color: 'navy' })).toBe(false)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Lưu + job nền
+// ---------------------------------------------------------------------------
+
+const NAVY_SOLID = { colors: [{ name: 'navy', hex: '#232d6e', share: 1 }], pattern: 'solid' }
+const RED_STRIPED = { colors: [{ name: 'red', hex: '#c81e1e', share: 0.54 }, { name: 'white', hex: '#fafafa', share: 0.46 }], pattern: 'striped' }
+
+beforeEach(() => {
+  resetMockStorage()
+  vi.mocked(analyzeImageUrl).mockReset()
+  vi.mocked(analyzeGarmentImage).mockReset()
+  vi.mocked(fetchImageBlob).mockReset()
+  global.chrome.alarms = {
+    get: vi.fn(async () => null),
+    create: vi.fn(async () => {}),
+    clear: vi.fn(async () => true)
+  }
+})
+
+describe('attributes on save', () => {
+  it('SHOULD store colours and pattern with a new recent item and fill them in on an old one', async () => {
+    vi.mocked(analyzeGarmentImage).mockResolvedValue({ perceptualHash: null, attributes: NAVY_SOLID })
+    await chrome.storage.local.set({
+      recent_clothing: [{ id: 'old', imageUrl: 'https://shop/old.jpg', category: 'top', tryCount: 1 }]
+    })
+
+    await handleSaveRecentClothing({ imageUrl: 'https://shop/new.jpg', category: 'top' })
+    await handleSaveRecentClothing({ imageUrl: 'https://shop/old.jpg', category: 'top' })
+
+    const { recent_clothing: items } = await chrome.storage.local.get('recent_clothing')
+    expect(items.find(item => item.imageUrl === 'https://shop/new.jpg')).toMatchObject(NAVY_SOLID)
+    expect(items.find(item => item.id === 'old')).toMatchObject({ ...NAVY_SOLID, tryCount: 2 })
+  })
+
+  it('SHOULD download the image once for hash and attributes, and not at all for a wardrobe image already saved', async () => {
+    const actual = await vi.importActual('../background/garment_attributes.js')
+    vi.mocked(analyzeGarmentImage).mockImplementation(actual.analyzeGarmentImage)
+    vi.mocked(fetchImageBlob).mockResolvedValue(new Blob(['jpeg'], { type: 'image/jpeg' }))
+    vi.stubGlobal('createImageBitmap', vi.fn())
+    await chrome.storage.local.set({ demo_wardrobe: [{ id: 'w1', image_url: 'https://shop/saved.jpg', category: 'top' }] })
+
+    await handleSaveRecentClothing({ imageUrl: 'https://shop/new.jpg', category: 'top' })
+    expect(fetchImageBlob).toHaveBeenCalledTimes(1)
+
+    const saved = await handleAddToWardrobe({ image_url: 'https://shop/saved.jpg', category: 'top' })
+    expect(saved.item.id).toBe('w1')
+    expect(fetchImageBlob).toHaveBeenCalledTimes(1)
+
+    await handleAddToWardrobe({ image_url: 'https://shop/new.jpg', category: 'top' })
+    expect(fetchImageBlob).toHaveBeenCalledTimes(2)
+    vi.unstubAllGlobals()
+  })
+})
+
+describe('runAttributeBackfill', () => {
+  it('SHOULD analyse missing items once per URL and skip outfits and analysed items', async () => {
+    vi.mocked(analyzeImageUrl).mockImplementation(async url => url.includes('stripe') ? RED_STRIPED : NAVY_SOLID)
+    await chrome.storage.local.set({
+      demo_wardrobe: [
+        { id: 'w1', image_url: 'https://shop/stripe.jpg', category: 'top' },
+        { id: 'w2', image_url: 'https://shop/look.jpg', category: 'outfit' },
+        { id: 'w3', image_url: 'https://shop/done.jpg', category: 'top', colors: [], pattern: null }
+      ],
+      recent_clothing: [
+        { id: 'r1', imageUrl: 'https://shop/stripe.jpg', category: 'top' },
+        { id: 'r2', imageUrl: 'https://shop/jeans.jpg', category: 'bottom' }
+      ]
+    })
+
+    expect(await runAttributeBackfill()).toEqual({ analyzed: 2, failed: 0, remaining: 0 })
+    expect(analyzeImageUrl).toHaveBeenCalledTimes(2)
+
+    const { demo_wardrobe: wardrobe, recent_clothing: recent } = await chrome.storage.local.get(['demo_wardrobe', 'recent_clothing'])
+    expect(wardrobe[0]).toMatchObject(RED_STRIPED)
+    expect(wardrobe[1].colors).toBeUndefined()
+    expect(wardrobe[2]).toMatchObject({ colors: [], pattern: null })
+    expect(recent.map(item => item.pattern)).toEqual(['striped', 'solid'])
+  })
+
+  it('SHOULD respect the batch size and report what is left', async () => {
+    vi.mocked(analyzeImageUrl).mockResolvedValue(NAVY_SOLID)
+    await chrome.storage.local.set({
+      recent_clothing: [1, 2, 3].map(n => ({ id: `r${n}`, imageUrl: `https://shop/${n}.jpg`, category: 'top' }))
+    })
+
+    expect(await runAttributeBackfill({ batchSize: 2 })).toMatchObject({ analyzed: 2, remaining: 1 })
+    expect(await runAttributeBackfill({ batchSize: 2 })).toMatchObject({ analyzed: 1, remaining: 0 })
+  })
+
+  it('SHOULD give up on an image after repeated download failures', async () => {
+    vi.mocked(analyzeImageUrl).mockResolvedValue(null)
+    await chrome.storage.local.set({ recent_clothing: [{ id: 'r1', imageUrl: 'https://gone/404.jpg', category: 'top' }] })
+
+    expect(await runAttributeBackfill()).toEqual({ analyzed: 0, failed: 1, remaining: 1 })
+    await runAttributeBackfill()
+    expect(await runAttributeBackfill()).toEqual({ analyzed: 0, failed: 1, remaining: 0 })
+
+    const stored = await chrome.storage.local.get(ATTRIBUTE_FAILURES_KEY)
+    expect(stored[ATTRIBUTE_FAILURES_KEY]).toEqual({ 'https://gone/404.jpg': 3 })
+    expect(await runAttributeBackfill()).toEqual({ analyzed: 0, failed: 0, remaining: 0 })
+    expect(analyzeImageUrl).toHaveBeenCalledTimes(3)
+  })
+
+  it('SHOULD not overwrite items removed while images were downloading', async () => {
+    await chrome.storage.local.set({ recent_clothing: [{ id: 'r1', imageUrl: 'https://shop/1.jpg', category: 'top' }] })
+    vi.mocked(analyzeImageUrl).mockImplementation(async () => {
+      await chrome.storage.local.set({ recent_clothing: [] })
+      return NAVY_SOLID
+    })
+
+    await runAttributeBackfill()
+
+    const { recent_clothing: items } = await chrome.storage.local.get('recent_clothing')
+    expect(items).toEqual([])
+  })
+
+  it('SHOULD clear its alarm once nothing is left', async () => {
+    vi.mocked(analyzeImageUrl).mockResolvedValue(NAVY_SOLID)
+    await chrome.storage.local.set({ recent_clothing: [{ id: 'r1', imageUrl: 'https://shop/1.jpg', category: 'top' }] })
+
+    await handleAttributeBackfillAlarm({ name: 'other-alarm' })
+    expect(analyzeImageUrl).not.toHaveBeenCalled()
+
+    await handleAttributeBackfillAlarm({ name: ATTRIBUTE_BACKFILL_ALARM })
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(ATTRIBUTE_BACKFILL_ALARM)
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * File: tests/garment_styling.test.js
+ * Purpose: Verify chuẩn hoá cách mặc (sơ vin, mở áo khoác, xắn tay, cổ áo), thứ tự lớp user chọn
+ *          và snapshot cách mặc lưu cùng kết quả để Regenerate mặc y như cũ
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: item { imageUrl, category, styling?, layer? }, clothing_images { image, category, styling?, layer? }
+ * - Output: FitlyGarmentStyling.*
+ *
+ * Flow:
+ * 1. normalizeStyling bỏ option không hợp category / giá trị lạ
+ * 2. layerOrder / withLayers / normalizeLayers sắp lớp mà không đổi thứ tự món
+ * 3. prepareClothingImages → payload process-tryon; snapshotStyling + applyStyling → Regenerate
+ *
+ * Edge Cases:
+ * - Không có layer → payload không có field layer (server giữ thứ tự mặc định)
+ * - Món ảnh data URL → snapshot giữ vị trí + category thay cho imageUrl
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest'
+
+const TEE = { imageUrl: 'https://shop/tee.jpg', category: 'top' }
+const JEANS = { imageUrl: 'https://shop/jeans.jpg', category: 'bottom' }
+const COAT = { imageUrl: 'https://shop/coat.jpg', category: 'outerwear' }
+const SNEAKERS = { imageUrl: 'https://shop/sneakers.jpg', category: 'shoes' }
+
+let styling
+
+beforeAll(async () => {
+  await import('../lib/garment_styling.js')
+  styling = globalThis.FitlyGarmentStyling
+})
+
+describe('FitlyGarmentStyling.normalizeStyling', () => {
+  it('SHOULD keep only options that fit the category with known values', () => {
+    expect(styling.normalizeStyling('top', { tuck: 'half', sleeves: 'rolled', collar: 'sideways' })).toEqual({ tuck: 'half', sleeves: 'rolled' })
+    expect(styling.normalizeStyling('outerwear', { tuck: 'in', front: 'open' })).toEqual({ front: 'open' })
+    expect(styling.normalizeStyling('shoes', { tuck: 'in' })).toBeNull()
+    expect(styling.normalizeStyling('top', null)).toBeNull()
+    expect(styling.optionsFor('dress')).toEqual(['sleeves'])
+  })
+})
+
+describe('layer order', () => {
+  it('SHOULD sort by explicit layer and fall back to the default order for new items', () => {
+    expect(styling.layerOrder([COAT, SNEAKERS, TEE, JEANS]).map(item => item.category)).toEqual(['bottom', 'top', 'outerwear', 'shoes'])
+
+    // User đưa áo khoác vào trong áo thun; giày thêm sau chưa có layer
+    const custom = [{ ...TEE, layer: 2 }, { ...COAT, layer: 1 }, SNEAKERS]
+    expect(styling.layerOrder(custom).map(item => item.category)).toEqual(['outerwear', 'top', 'shoes'])
+    expect(styling.withLayers(styling.layerOrder(custom)).map(item => item.layer)).toEqual([1, 2, 3])
+  })
+
+  it('SHOULD only produce layers once the user has ordered them', () => {
+    expect(styling.normalizeLayers([TEE, COAT])).toBeNull()
+    const layers = styling.normalizeLayers([{ ...TEE, layer: 5 }, { ...COAT, layer: 2 }, SNEAKERS])
+    expect(Object.fromEntries(layers)).toEqual({ [COAT.imageUrl]: 1, [TEE.imageUrl]: 2, [SNEAKERS.imageUrl]: 3 })
+  })
+})
+
+describe('prepareClothingImages', () => {
+  it('SHOULD send normalised styling and layers without reordering the images', () => {
+    const payload = styling.prepareClothingImages([
+      { image: TEE.imageUrl, category: 'top', is_primary: true, styling: { tuck: 'in', front: 'sideways' }, layer: 3 },
+      { image: COAT.imageUrl, category: 'outerwear', styling: { front: 'closed' }, layer: 1 },
+      { image: SNEAKERS.imageUrl, category: 'shoes', styling: { sleeves: 'rolled' } }
+    ])
+    expect(payload).toEqual([
+      { image: TEE.imageUrl, category: 'top', is_primary: true, styling: { tuck: 'in' }, layer: 2 },
+      { image: COAT.imageUrl, category: 'outerwear', styling: { front: 'closed' }, layer: 1 },
+      { image: SNEAKERS.imageUrl, category: 'shoes', layer: 3 }
+    ])
+  })
+
+  it('SHOULD leave the payload and cache key unchanged when nothing was styled', () => {
+    const payload = styling.prepareClothingImages([{ image: TEE.imageUrl, category: 'top' }, { image: JEANS.imageUrl, category: 'bottom' }])
+    expect(payload).toEqual([{ image: TEE.imageUrl, category: 'top' }, { image: JEANS.imageUrl, category: 'bottom' }])
+    expect(styling.stylingSignature(payload)).toBe('')
+  })
+
+  it('SHOULD sign styling and layers the same way process-tryon does for its cache key', () => {
+    const payload = [
+      { image: TEE.imageUrl, category: 'top', styling: { sleeves: 'rolled', tuck: 'in' }, layer: 2 },
+      { image: JEANS.imageUrl, category: 'bottom', layer: 1 }
+    ]
+    // Thứ tự key theo OPTIONS (tuck, front, sleeves, collar) — khớp STYLING_OPTIONS_BY_CATEGORY phía server
+    expect(styling.stylingSignature(payload)).toBe('[[2,{"tuck":"in","sleeves":"rolled"}],[1,null]]')
+  })
+})
+
+describe('snapshotStyling / applyStyling', () => {
+  it('SHOULD restore the styling of a result onto the same items for Regenerate', () => {
+    const upload = { imageUrl: 'data:image/jpeg;base64,AAAA', category: 'outerwear' }
+    const snapshot = styling.snapshotStyling([{ ...TEE, styling: { tuck: 'half' }, layer: 1 }, { ...upload, styling: { front: 'open' }, layer: 2 }])
+    expect(snapshot).toEqual([
+      { imageUrl: TEE.imageUrl, category: 'top', styling: { tuck: 'half' }, layer: 1 },
+      { imageUrl: null, category: 'outerwear', styling: { front: 'open' }, layer: 2 }
+    ])
+    expect(styling.snapshotStyling([TEE, JEANS])).toBeNull()
+
+    // Sau khi thử, user đổi cách mặc trong modal — Regenerate vẫn mặc như kết quả đang xem
+    const changed = [{ ...TEE, styling: { tuck: 'out' } }, { ...upload, layer: 1 }, JEANS]
+    expect(styling.applyStyling(changed, snapshot)).toEqual([
+      { ...TEE, styling: { tuck: 'half' }, layer: 1 },
+      { ...upload, styling: { front: 'open' }, layer: 2 },
+      JEANS
+    ])
+  })
+})
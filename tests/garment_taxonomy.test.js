@@ -0,0 +1,175 @@
+/**
+ * File: tests/garment_taxonomy.test.js
+ * Purpose: Verify taxonomy 2 cấp (category → subcategory): nhận diện subcategory, chuẩn hoá dữ liệu cũ,
+ *          nhãn 9 locale, migration local storage và subcategory đi qua modal "Thêm vào tủ đồ"
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: lib/garment_taxonomy.js, lib/locales/*.js, recent_clothing / demo_wardrobe trong chrome.storage.local
+ * - Output: { category, subcategory }, message ADD_TO_WARDROBE / SAVE_RECENT_CLOTHING có subcategory
+ *
+ * Flow:
+ * 1. findSubcategory / normalizeCategory / icon / key nhãn
+ * 2. inferCategoryFromUrl gắn subcategory cho mỗi ứng viên
+ * 3. migrateGarmentTaxonomy chạy một lần cho mỗi TAXONOMY_VERSION
+ * 4. Modal: chọn sẵn subcategory đã đoán, đổi category thì bỏ
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+import { inferCategoryFromUrl } from '../background/infer_clothing_category_from_url.js'
+import { migrateGarmentTaxonomy, TAXONOMY_VERSION_KEY } from '../background/migrate_garment_taxonomy.js'
+import { handleSaveRecentClothing } from '../background/recent_clothing_manager.js'
+
+const LOCALES = ['en', 'vi', 'ja', 'ko', 'zh', 'th', 'id', 'es', 'fr']
+let taxonomy
+
+beforeAll(async () => {
+  for (const locale of LOCALES) await import(`../lib/locales/${locale}.js`)
+  taxonomy = globalThis.FitlyGarmentTaxonomy
+})
+
+beforeEach(() => resetMockStorage())
+
+describe('garment taxonomy', () => {
+  it('SHOULD ship a label for every category and subcategory in all nine locales', () => {
+    LOCALES.forEach(locale => {
+      const strings = globalThis.FITLY_LOCALES[locale]
+      taxonomy.CATEGORIES.forEach(category => {
+        expect(strings.category[category], `${locale} category.${category}`).toBeTruthy()
+        taxonomy.getSubcategories(category).forEach(sub => {
+          expect(strings.subcategory[sub], `${locale} subcategory.${sub}`).toBeTruthy()
+        })
+      })
+    })
+  })
+
+  it('SHOULD find the most specific subcategory across locales', () => {
+    expect(taxonomy.findSubcategory('top', 'Oversized cotton T-shirt')).toBe('t-shirt')
+    expect(taxonomy.findSubcategory('top', 'Oxford shirt')).toBe('shirt')
+    expect(taxonomy.findSubcategory('outerwear', 'Lightweight down jacket')).toBe('puffer')
+    expect(taxonomy.findSubcategory('outerwear', 'Cropped denim jacket')).toBe('jacket')
+    expect(taxonomy.findSubcategory('shoes', '白いスニーカー')).toBe('sneakers')
+    expect(taxonomy.findSubcategory('bottom', 'https://shop.vn/quan-jean-ong-rong-123')).toBe('jeans')
+    expect(taxonomy.findSubcategory('bottom', '', 'Chân váy xếp ly')).toBe('skirt')
+    expect(taxonomy.findSubcategory('other', 'anything')).toBeNull()
+  })
+
+  it('SHOULD normalise legacy categories into category + subcategory', () => {
+    expect(taxonomy.normalizeCategory('jeans')).toEqual({ category: 'bottom', subcategory: 'jeans' })
+    expect(taxonomy.normalizeCategory('Sneakers')).toEqual({ category: 'shoes', subcategory: 'sneakers' })
+    expect(taxonomy.normalizeCategory('top', null, 'Silk blouse')).toEqual({ category: 'top', subcategory: 'blouse' })
+    // Subcategory không thuộc category → đoán lại từ tên
+    expect(taxonomy.normalizeCategory('top', 'heels', 'Plain item')).toEqual({ category: 'top', subcategory: null })
+    expect(taxonomy.normalizeCategory('spaceship')).toEqual({ category: 'other', subcategory: null })
+    expect(taxonomy.normalizeCategory('outfit')).toEqual({ category: 'outfit', subcategory: null })
+    expect(taxonomy.normalizeCategory(null)).toEqual({ category: null, subcategory: null })
+  })
+
+  it('SHOULD pick subcategory icons and label keys with category fallback', () => {
+    expect(taxonomy.getCategoryIcon('shoes', 'heels')).toBe('👠')
+    expect(taxonomy.getCategoryIcon('shoes', 'unknown')).toBe('👟')
+    expect(taxonomy.getCategoryIcon('mystery')).toBe('📦')
+    expect(taxonomy.getCategoryLabelKey('bottom', 'jeans')).toBe('subcategory.jeans')
+    expect(taxonomy.getCategoryLabelKey('bottom', 'heels')).toBe('category.bottom')
+  })
+
+  it('SHOULD attach a subcategory to every inferred candidate', () => {
+    const [first] = inferCategoryFromUrl('', 'https://shop.example/p/1', '', {
+      product: { name: 'Slim fit stretch jeans', category: 'Men > Bottoms' }
+    })
+    expect(first).toMatchObject({ category: 'bottom', subcategory: 'jeans' })
+  })
+})
+
+describe('migrateGarmentTaxonomy', () => {
+  it('SHOULD normalise stored items once per taxonomy version', async () => {
+    await chrome.storage.local.set({
+      recent_clothing: [
+        { id: 'r1', imageUrl: 'https://a/1.jpg', name: 'Wide leg', category: 'jeans' },
+        { id: 'r2', imageUrl: 'https://a/2.jpg', name: 'Linen shirt', category: 'top' },
+        { id: 'r3', imageUrl: 'https://a/3.jpg', name: 'Unsorted', category: null }
+      ],
+      demo_wardrobe: [
+        { id: 'w1', image_url: 'https://a/4.jpg', name: 'Item', category: 'shoes', product_meta: { name: 'Chelsea boots' } },
+        { id: 'w2', image_url: 'https://a/5.jpg', name: 'Look', category: 'outfit' }
+      ]
+    })
+
+    expect(await migrateGarmentTaxonomy()).toEqual({ recent: 2, wardrobe: 1 })
+
+    const stored = await chrome.storage.local.get(['recent_clothing', 'demo_wardrobe', TAXONOMY_VERSION_KEY])
+    expect(stored.recent_clothing.map(i => [i.category, i.subcategory ?? null])).toEqual([
+      ['bottom', 'jeans'], ['top', 'shirt'], [null, null]
+    ])
+    expect(stored.demo_wardrobe.map(i => [i.category, i.subcategory ?? null])).toEqual([
+      ['shoes', 'boots'], ['outfit', null]
+    ])
+    expect(stored[TAXONOMY_VERSION_KEY]).toBe(taxonomy.TAXONOMY_VERSION)
+
+    expect(await migrateGarmentTaxonomy()).toEqual({ skipped: true })
+  })
+
+  it('SHOULD store a normalised subcategory with recent clothing', async () => {
+    await handleSaveRecentClothing({ imageUrl: 'data:image/png;base64,AA', name: 'Block heel pumps', category: 'shoes' })
+    await handleSaveRecentClothing({ imageUrl: 'data:image/png;base64,BB', category: 'bottom', subcategory: 'skirt' })
+    const { recent_clothing: items } = await chrome.storage.local.get('recent_clothing')
+    expect(items.map(i => [i.category, i.subcategory])).toEqual([['bottom', 'skirt'], ['shoes', 'heels']])
+  })
+})
+
+describe('add-to-wardrobe modal subcategories', () => {
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <div id="wardrobe-category-modal" class="hidden">
+        <img id="category-modal-preview-img">
+        <input id="category-modal-name">
+        ${['top', 'bottom', 'dress', 'outerwear', 'shoes', 'accessories', 'outfit']
+          .map(c => `<button class="category-chip" data-category="${c}">${c}</button>`).join('')}
+        <div id="category-modal-subcategories" class="hidden"></div>
+        <button id="confirm-add-wardrobe-btn"><span class="material-symbols-outlined">checkroom</span> Lưu vào tủ đồ</button>
+      </div>`
+    window.getCategoryLabel = (category, subcategory) => subcategory || category
+    global.chrome.runtime.sendMessage = vi.fn(async () => ({ success: true }))
+    await import('../sidebar/modules/handle_add_wardrobe_modal.js')
+    window.initAddWardrobeModal()
+  })
+
+  const chip = category => document.querySelector(`.category-chip[data-category="${category}"]`)
+  const subchips = () => [...document.querySelectorAll('#category-modal-subcategories .category-subchip')]
+
+  it('SHOULD preselect the detected subcategory and send it with the item', async () => {
+    window.openAddWardrobeModal({
+      imageUrl: 'https://cdn.example/boots.jpg',
+      pageUrl: 'https://shop.example/products/boots',
+      detectedCategory: 'shoes',
+      detectedSubcategory: 'boots'
+    })
+    expect(document.getElementById('category-modal-subcategories').classList).not.toContain('hidden')
+    expect(subchips().map(el => el.dataset.subcategory)).toEqual(taxonomy.getSubcategories('shoes'))
+    expect(subchips().find(el => el.classList.contains('active')).dataset.subcategory).toBe('boots')
+
+    subchips().find(el => el.dataset.subcategory === 'heels').click()
+    document.getElementById('confirm-add-wardrobe-btn').click()
+    await vi.waitFor(() => expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(2))
+
+    const [[add], [recent]] = chrome.runtime.sendMessage.mock.calls
+    expect(add).toMatchObject({ type: 'ADD_TO_WARDROBE', data: { category: 'shoes', subcategory: 'heels' } })
+    expect(recent).toMatchObject({ type: 'SAVE_RECENT_CLOTHING', data: { category: 'shoes', subcategory: 'heels' } })
+  })
+
+  it('SHOULD drop the detected subcategory when the user picks another category', () => {
+    window.openAddWardrobeModal({
+      imageUrl: 'https://cdn.example/a.jpg',
+      detectedCategory: 'top',
+      detectedSubcategory: 't-shirt'
+    })
+    chip('outerwear').click()
+    expect(subchips().map(el => el.dataset.subcategory)).toContain('blazer')
+    expect(subchips().some(el => el.classList.contains('active'))).toBe(false)
+
+    chip('outfit').click()
+    expect(document.getElementById('category-modal-subcategories').classList).toContain('hidden')
+    expect(subchips()).toEqual([])
+  })
+})
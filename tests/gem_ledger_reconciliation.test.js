@@ -0,0 +1,104 @@
+/**
+ * File: tests/gem_ledger_reconciliation.test.js
+ * Purpose: Verify gem ledger tự hoàn gems cho request lỗi / kẹt và không hoàn trùng
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: entry pending trong fitly_gem_ledger + response giả lập của tryon_history / gem_transactions
+ * - Output: status cuối của entry + số lần gọi handleRefundGems
+ *
+ * Flow:
+ * 1. recordGemCharge → pending; resolveGemCharge → charged / void
+ * 2. Entry pending quá hạn → reconcileGemLedger tra server → refund đúng 1 lần khi có trừ mà chưa hoàn
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+vi.mock('../background/auth_state_manager.js', () => ({
+  getAuthToken: vi.fn(async () => 'mock-jwt-token')
+}))
+vi.mock('../background/process_tryon.js', () => ({
+  handleRefundGems: vi.fn(async () => ({ success: true, gems_remaining: 20 }))
+}))
+vi.mock('../background/session_ready_gate.js', () => ({ sessionReady: Promise.resolve() }))
+
+import { recordGemCharge, resolveGemCharge, reconcileGemLedger, listGemLedger } from '../background/gem_ledger.js'
+import { handleRefundGems } from '../background/process_tryon.js'
+
+const ELEVEN_MINUTES = 11 * 60 * 1000
+
+function mockSupabaseRest({ tryonRows, transactionRows = [] }) {
+  global.fetch = vi.fn(async (url, options = {}) => {
+    if (options.method === 'PATCH') return { ok: true, json: async () => ({}) }
+    if (url.includes('/tryon_history')) return { ok: true, json: async () => tryonRows }
+    if (url.includes('/gem_transactions')) return { ok: true, json: async () => transactionRows }
+    return { ok: false, json: async () => ({}) }
+  })
+}
+
+async function entryStatus(requestId) {
+  const { entries } = await listGemLedger()
+  return entries.find(entry => entry.requestId === requestId)?.status
+}
+
+describe('gem ledger', () => {
+  beforeEach(() => {
+    resetMockStorage()
+    vi.useRealTimers()
+    handleRefundGems.mockClear()
+  })
+
+  it('SHOULD keep charges pending until the Edge Function gives a definitive answer', async () => {
+    await recordGemCharge({ requestId: 'req-ok', kind: 'tryon', amount: 5 })
+    expect(await entryStatus('req-ok')).toBe('pending')
+
+    await resolveGemCharge('req-ok', { success: true, gemsUsed: 5, tryonId: 'tryon-1' })
+    expect(await entryStatus('req-ok')).toBe('charged')
+
+    await recordGemCharge({ requestId: 'req-err', kind: 'edit', amount: 5 })
+    await resolveGemCharge('req-err', { success: false, error: 'INSUFFICIENT_GEMS' })
+    expect(await entryStatus('req-err')).toBe('void')
+  })
+
+  it('SHOULD auto-refund a stale charge whose try-on failed without a refund transaction', async () => {
+    await recordGemCharge({ requestId: 'req-stuck', kind: 'tryon', amount: 5 })
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(Date.now() + ELEVEN_MINUTES)
+
+    mockSupabaseRest({
+      tryonRows: [{ id: 'tryon-stuck', status: 'processing', gems_used: 5 }],
+      transactionRows: [{ type: 'used', amount: -5 }]
+    })
+    await reconcileGemLedger()
+
+    expect(handleRefundGems).toHaveBeenCalledTimes(1)
+    expect(handleRefundGems).toHaveBeenCalledWith(expect.objectContaining({ amount: 5, tryonId: 'tryon-stuck' }))
+    expect(await entryStatus('req-stuck')).toBe('refunded')
+    // Audit trail lưu type + params, sidebar dịch qua gem_ledger.event.<type>
+    const { entries } = await listGemLedger()
+    expect(entries.find(entry => entry.requestId === 'req-stuck').events.map(({ type, params }) => ({ type, params })))
+      .toEqual([{ type: 'started', params: undefined }, { type: 'auto_refunded', params: { amount: 5 } }])
+
+    // Lần đối soát sau không hoàn lại lần 2
+    await reconcileGemLedger()
+    expect(handleRefundGems).toHaveBeenCalledTimes(1)
+  })
+
+  it('SHOULD NOT refund when the server already refunded or never charged', async () => {
+    await recordGemCharge({ requestId: 'req-server-refunded', kind: 'tryon', amount: 5 })
+    await recordGemCharge({ requestId: 'req-never-claimed', kind: 'tryon', amount: 5 })
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(Date.now() + ELEVEN_MINUTES)
+
+    global.fetch = vi.fn(async (url) => {
+      if (url.includes('req-never-claimed')) return { ok: true, json: async () => [] }
+      if (url.includes('/tryon_history')) return { ok: true, json: async () => [{ id: 'tryon-failed', status: 'failed', gems_used: 5 }] }
+      return { ok: true, json: async () => [{ type: 'used', amount: -5 }, { type: 'refund', amount: 5 }] }
+    })
+    await reconcileGemLedger()
+
+    expect(handleRefundGems).not.toHaveBeenCalled()
+    expect(await entryStatus('req-server-refunded')).toBe('refunded')
+    expect(await entryStatus('req-never-claimed')).toBe('void')
+  })
+})
@@ -0,0 +1,92 @@
+/**
+ * File: tests/image_resolver.test.js
+ * Purpose: Verify chọn ảnh nét nhất — srcset / <picture> / thuộc tính zoom / lazy load thắng thumbnail,
+ *          URL CDN (Shopify, Cloudinary, imgix) được xin bản lớn
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: element jsdom (naturalWidth = 0 → chỉ dựa vào descriptor / size trên URL / thuộc tính)
+ * - Output: FitlyImageResolver.resolveBestImageUrl(el), upgradeCdnUrl(url)
+ *
+ * Flow:
+ * 1. parseSrcset giữ nguyên dấu phẩy trong URL Cloudinary
+ * 2. upgradeCdnUrl cho 3 CDN, URL lạ giữ nguyên
+ * 3. resolveBestImageUrl: srcset lớn nhất, zoom trên link bao ngoài, bỏ placeholder / <source> sai media
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest'
+
+let resolver
+
+beforeAll(async () => {
+  await import('../lib/image_resolver.js')
+  resolver = window.FitlyImageResolver
+})
+
+const render = html => {
+  document.body.innerHTML = html
+  return document.body.querySelector('[data-target]') || document.body.querySelector('img')
+}
+
+describe('parseSrcset / upgradeCdnUrl', () => {
+  it('SHOULD parse width and density descriptors without splitting Cloudinary URLs', () => {
+    const srcset = 'https://res.cloudinary.com/x/image/upload/w_400,h_600/v1/ao.jpg 400w, /ao-800.jpg 800w,/ao-2x.jpg 2x'
+    expect(resolver.parseSrcset(srcset)).toEqual([
+      { url: 'https://res.cloudinary.com/x/image/upload/w_400,h_600/v1/ao.jpg', width: 400 },
+      { url: '/ao-800.jpg', width: 800 },
+      { url: '/ao-2x.jpg', density: 2 }
+    ])
+    expect(resolver.parseSrcset('')).toEqual([])
+  })
+
+  it('SHOULD request the large rendition from Shopify, Cloudinary and imgix', () => {
+    const { upgradeCdnUrl } = resolver
+    expect(upgradeCdnUrl('https://cdn.shopify.com/s/files/1/ao_400x600_crop_center.jpg?v=12'))
+      .toBe('https://cdn.shopify.com/s/files/1/ao.jpg?v=12')
+    expect(upgradeCdnUrl('https://shop.vn/cdn/shop/files/ao.jpg?v=1&width=360&height=480'))
+      .toBe('https://shop.vn/cdn/shop/files/ao.jpg?v=1&width=2048')
+    expect(upgradeCdnUrl('https://res.cloudinary.com/demo/image/upload/c_fill,g_auto,h_300,w_200/q_auto/v1571/dam.jpg'))
+      .toBe('https://res.cloudinary.com/demo/image/upload/g_auto,c_limit,w_2048/q_auto/v1571/dam.jpg')
+    expect(upgradeCdnUrl('https://brand.imgix.net/ao.jpg?w=300&h=400&fit=crop&auto=format'))
+      .toBe('https://brand.imgix.net/ao.jpg?w=2048&fit=max&auto=format')
+    expect(upgradeCdnUrl('https://static.shop.vn/ao_400x600.jpg')).toBe('https://static.shop.vn/ao_400x600.jpg')
+  })
+})
+
+describe('resolveBestImageUrl', () => {
+  it('SHOULD prefer the widest srcset / picture source over the displayed thumbnail', () => {
+    const img = render(`
+      <picture>
+        <source media="(min-width: 99999px)" srcset="https://cdn.shop.vn/banner-desktop.jpg 3000w">
+        <source srcset="https://cdn.shop.vn/ao-1600.webp 1600w, https://cdn.shop.vn/ao-800.webp 800w">
+        <img src="https://cdn.shop.vn/ao-300.jpg" srcset="https://cdn.shop.vn/ao-300.jpg 300w, https://cdn.shop.vn/ao-1200.jpg 1200w">
+      </picture>`)
+    window.matchMedia = query => ({ matches: !query.includes('99999px') })
+
+    expect(resolver.resolveBestImageUrl(img)).toBe('https://cdn.shop.vn/ao-1600.webp')
+  })
+
+  it('SHOULD use zoom attributes and lazy sources instead of placeholders', () => {
+    const zoomed = render(`
+      <a href="/p/ao-khoac" data-zoom-image="/media/ao-khoac-zoom.jpg">
+        <img src="https://cdn.shop.vn/ao-khoac-small.jpg" srcset="https://cdn.shop.vn/ao-khoac-600.jpg 600w">
+      </a>`)
+    expect(resolver.resolveBestImageUrl(zoomed)).toBe('http://localhost:3000/media/ao-khoac-zoom.jpg')
+
+    const lazy = render('<img src="https://shop.vn/assets/placeholder.gif" data-original="//cdn.shop.vn/dam.jpg">')
+    expect(resolver.resolveBestImageUrl(lazy)).toBe('http://cdn.shop.vn/dam.jpg')
+
+    const shopify = render('<img src="https://cdn.shopify.com/s/files/1/dam_small.jpg">')
+    expect(resolver.resolveBestImageUrl(shopify)).toBe('https://cdn.shopify.com/s/files/1/dam.jpg')
+
+    expect(resolver.resolveBestImageUrl(render('<img src="https://shop.vn/icons/logo.svg">'))).toBeNull()
+  })
+
+  it('SHOULD read background images and linked full-size files', () => {
+    const tile = render('<div data-target style="background-image: url(https://cdn.shop.vn/vay-400.jpg)"></div>')
+    expect(resolver.resolveBestImageUrl(tile)).toBe('https://cdn.shop.vn/vay-400.jpg')
+
+    const linked = render('<a href="https://cdn.shop.vn/vay-full.jpg"><img src="https://cdn.shop.vn/vay-thumb.jpg"></a>')
+    expect(resolver.resolveBestImageUrl(linked)).toBe('https://cdn.shop.vn/vay-full.jpg')
+  })
+})
@@ -0,0 +1,192 @@
+/**
+ * File: tests/image_scan_scheduler.test.js
+ * Purpose: Verify quét ảnh theo khung nhìn + ngân sách mỗi lượt — trang infinite scroll hàng nghìn sản phẩm
+ *          không bị đo layout / chấm điểm toàn bộ ảnh mỗi lần DOM đổi
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: IntersectionObserver + requestIdleCallback giả (jsdom không có), performance.now điều khiển được
+ * - Output: thứ tự / số lần process(el), stats() của scheduler, số lần gọi __fitlyIsLikelyClothingImage
+ *
+ * Flow:
+ * 1. createScanScheduler: chưa vào khung nhìn → chưa xử lý, hết ngân sách → lượt sau, cache theo khoá
+ * 2. Nút hover: ảnh ngoài khung nhìn không bị chấm điểm, cùng URL chỉ chấm 1 lần, đổi src → gắn lại
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+
+/** IntersectionObserver giả — test tự quyết element nào "vào khung nhìn" */
+class FakeIntersectionObserver {
+  static instances = []
+
+  constructor(callback, options) {
+    this.callback = callback
+    this.options = options
+    this.targets = new Set()
+    FakeIntersectionObserver.instances.push(this)
+  }
+
+  observe(el) { this.targets.add(el) }
+  unobserve(el) { this.targets.delete(el) }
+  disconnect() { this.targets.clear() }
+
+  /** Element trong targets thoả điều kiện → callback isIntersecting */
+  static scrollTo(predicate) {
+    FakeIntersectionObserver.instances.forEach(observer => {
+      const entries = [...observer.targets].filter(predicate).map(target => ({ target, isIntersecting: true }))
+      if (entries.length) observer.callback(entries, observer)
+    })
+  }
+}
+
+/** requestIdleCallback giả — lượt chỉ chạy khi test gọi runIdle() */
+const idleCallbacks = []
+function runIdle(timeRemaining = 50) {
+  const callbacks = idleCallbacks.splice(0)
+  callbacks.forEach(callback => callback({ didTimeout: false, timeRemaining: () => timeRemaining }))
+  return callbacks.length
+}
+
+/** Chạy hết các lượt đang hẹn — số ảnh xử lý mỗi lượt phụ thuộc thời gian thật của jsdom */
+function drainIdle() {
+  while (runIdle() > 0);
+}
+
+function createImages(count, prefix = 'ao') {
+  return Array.from({ length: count }, (_, i) => {
+    const img = document.createElement('img')
+    img.src = `https://cdn.shop.vn/${prefix}-${i}.jpg`
+    img.dataset.index = String(i)
+    document.body.appendChild(img)
+    return img
+  })
+}
+
+beforeAll(async () => {
+  window.IntersectionObserver = FakeIntersectionObserver
+  window.requestIdleCallback = vi.fn(callback => idleCallbacks.push(callback))
+  await import('../lib/image_scan_scheduler.js')
+})
+
+afterEach(() => {
+  idleCallbacks.length = 0
+})
+
+describe('createScanScheduler', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+    FakeIntersectionObserver.instances.length = 0
+  })
+
+  it('SHOULD only process elements once they approach the viewport', () => {
+    const process = vi.fn()
+    const scheduler = window.FitlyImageScanScheduler.createScanScheduler({ process })
+    const images = createImages(1000)
+    images.forEach(scheduler.add)
+
+    expect(FakeIntersectionObserver.instances[0].options.rootMargin).toBe(window.FitlyImageScanScheduler.SCAN_ROOT_MARGIN)
+    expect(runIdle()).toBe(0)
+    expect(process).not.toHaveBeenCalled()
+
+    FakeIntersectionObserver.scrollTo(img => Number(img.dataset.index) < 12)
+    runIdle()
+    expect(process).toHaveBeenCalledTimes(12)
+    expect(scheduler.stats()).toMatchObject({ added: 1000, processed: 12, queued: 0 })
+  })
+
+  it('SHOULD stop a slice when its budget runs out and continue in the next idle period', () => {
+    let now = 0
+    const clock = vi.spyOn(performance, 'now').mockImplementation(() => now)
+    const process = vi.fn(() => { now += 3 })
+    const scheduler = window.FitlyImageScanScheduler.createScanScheduler({ process, budgetMs: 8 })
+    createImages(10).forEach(scheduler.add)
+    FakeIntersectionObserver.scrollTo(() => true)
+
+    runIdle()
+    expect(process).toHaveBeenCalledTimes(3)
+    runIdle()
+    expect(process).toHaveBeenCalledTimes(6)
+
+    // Trang bận (timeRemaining 0) → vẫn tiến ít nhất 1 element mỗi lượt
+    runIdle(0)
+    expect(process).toHaveBeenCalledTimes(7)
+    expect(scheduler.stats()).toMatchObject({ slices: 3, queued: 3 })
+    clock.mockRestore()
+  })
+
+  it('SHOULD skip elements already processed with the same key and re-process recycled ones', () => {
+    const process = vi.fn()
+    const scheduler = window.FitlyImageScanScheduler.createScanScheduler({ process, getKey: el => el.src })
+    const [img] = createImages(1)
+    scheduler.add(img)
+    FakeIntersectionObserver.scrollTo(() => true)
+    runIdle()
+
+    // MutationObserver / quét lại gặp lại element cũ
+    scheduler.add(img)
+    expect(scheduler.stats().added).toBe(1)
+
+    // Virtual list tái sử dụng element cho sản phẩm khác
+    img.src = 'https://cdn.shop.vn/dam-9.jpg'
+    scheduler.add(img)
+    FakeIntersectionObserver.scrollTo(() => true)
+    runIdle()
+    expect(process).toHaveBeenCalledTimes(2)
+
+    // Element bị gỡ khi đang chờ + clear() → không xử lý
+    const [removed, cleared] = createImages(2, 'quan')
+    scheduler.add(removed)
+    scheduler.add(cleared)
+    FakeIntersectionObserver.scrollTo(() => true)
+    removed.remove()
+    scheduler.clear()
+    runIdle()
+    expect(process).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('hover button scanning', () => {
+  const isLikelyClothing = vi.fn(() => true)
+
+  beforeAll(async () => {
+    document.body.innerHTML = ''
+    window.__fitlyIsFashionPage = true
+    window.__fitlyIsLikelyClothingImage = isLikelyClothing
+    global.chrome.runtime.onMessage = { addListener: vi.fn() }
+
+    // Sản phẩm thứ 2 dùng lại ảnh của sản phẩm 1 (cùng URL)
+    createImages(40).forEach(img => {
+      img.getBoundingClientRect = () => ({ top: 0, left: 0, width: 300, height: 400, right: 300, bottom: 400 })
+    })
+    document.querySelector('[data-index="1"]').src = 'https://cdn.shop.vn/ao-0.jpg'
+
+    await import('../lib/shadow_host.js')
+    await import('../lib/image_resolver.js')
+    await import('../content_scripts/inject_image_hover_button.js')
+  })
+
+  it('SHOULD classify only images near the viewport and reuse verdicts by URL', async () => {
+    await vi.waitFor(() => expect(window.__fitlyScanStats()?.added).toBe(40), { timeout: 3000 })
+    runIdle()
+    expect(isLikelyClothing).not.toHaveBeenCalled()
+
+    FakeIntersectionObserver.scrollTo(img => Number(img.dataset.index) < 4)
+    drainIdle()
+    // 4 ảnh, 3 URL
+    expect(isLikelyClothing).toHaveBeenCalledTimes(3)
+    expect(document.querySelectorAll('img[data-fitly-attached]')).toHaveLength(4)
+  })
+
+  it('SHOULD re-attach the button when a recycled card gets a new image', async () => {
+    const img = document.querySelector('[data-index="2"]')
+    img.src = 'https://cdn.shop.vn/dam-2.jpg'
+    // Virtual list: element cũ được chèn lại vào DOM với nội dung mới
+    document.body.appendChild(img)
+
+    await vi.waitFor(() => expect(window.__fitlyScanStats().added).toBe(41), { timeout: 3000 })
+    FakeIntersectionObserver.scrollTo(el => el === img)
+    drainIdle()
+    expect(isLikelyClothing).toHaveBeenLastCalledWith(img)
+    expect(img.dataset.fitlyAttached).toBe('1')
+  })
+})
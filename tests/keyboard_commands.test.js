@@ -0,0 +1,111 @@
+/**
+ * File: tests/keyboard_commands.test.js
+ * Purpose: Verify phím tắt — mở sidebar trước rồi mới hỏi tab ảnh đang trỏ, dùng lại handler của context menu,
+ *          content script chọn ảnh đang trỏ chuột hoặc ảnh sản phẩm chính
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: handleCommand(command, tab), GET_SHORTCUT_TARGET_IMAGE trong jsdom
+ * - Output: session pending_clothing_image / pending_wardrobe_item / pending_shortcut_action, notification
+ *
+ * Flow:
+ * 1. try-on-image: sidePanel.open 1 lần, trước sendMessage → pending_clothing_image + product từ tab
+ * 2. Không có ảnh → notification; retry-next-model → pending action + RUN_PENDING_SHORTCUT
+ * 3. Content script: ảnh dưới con trỏ > ảnh Product của trang
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+
+import { handleCommand } from '../background/keyboard_commands.js'
+
+const tab = { id: 5, windowId: 2, url: 'https://shop.vn/ao-khoac' }
+let session
+let calls
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  session = {}
+  calls = []
+  global.chrome.storage.session = {
+    get: vi.fn(async keys => Object.fromEntries([].concat(keys).map(key => [key, session[key]]))),
+    set: vi.fn(async items => Object.assign(session, items)),
+    remove: vi.fn(async keys => [].concat(keys).forEach(key => delete session[key]))
+  }
+  global.chrome.sidePanel = { open: vi.fn(async () => calls.push('open')) }
+  global.chrome.notifications = { create: vi.fn() }
+  global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+  global.chrome.tabs = {
+    sendMessage: vi.fn(async (tabId, message) => {
+      calls.push(message.type)
+      if (message.type !== 'GET_SHORTCUT_TARGET_IMAGE') return undefined
+      return {
+        image: { url: 'https://cdn.shop.vn/ao.jpg', altText: 'Áo khoác', nearbyText: '', source: 'hover' },
+        product: { name: 'Áo khoác bomber', sku: 'BMB-01' }
+      }
+    })
+  }
+})
+
+afterEach(() => vi.useRealTimers())
+
+describe('handleCommand', () => {
+  it('SHOULD open the side panel before asking the tab and reuse the try-on handler', async () => {
+    expect(await handleCommand('try-on-image', tab)).toEqual({ success: true })
+
+    expect(calls.slice(0, 2)).toEqual(['open', 'GET_SHORTCUT_TARGET_IMAGE'])
+    expect(chrome.sidePanel.open).toHaveBeenCalledTimes(1)
+    expect(session).toMatchObject({
+      pending_clothing_image: 'https://cdn.shop.vn/ao.jpg',
+      pending_source_url: tab.url,
+      pending_product: { sku: 'BMB-01' }
+    })
+    // Product đã có từ content script → không hỏi lại GET_PRODUCT_METADATA
+    expect(calls).not.toContain('GET_PRODUCT_METADATA')
+  })
+
+  it('SHOULD add the targeted image to the wardrobe', async () => {
+    await handleCommand('add-to-wardrobe', tab)
+    expect(session.pending_wardrobe_item).toMatchObject({
+      imageUrl: 'https://cdn.shop.vn/ao.jpg',
+      sourceName: 'shop.vn',
+      product: { name: 'Áo khoác bomber' }
+    })
+  })
+
+  it('SHOULD notify when no image is found and queue the next-model retry for the sidebar', async () => {
+    chrome.tabs.sendMessage.mockResolvedValueOnce({ image: null, product: null })
+    expect(await handleCommand('try-on-image', tab)).toMatchObject({ success: false, error: 'NO_IMAGE' })
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1)
+
+    await handleCommand('retry-next-model', tab)
+    expect(session.pending_shortcut_action).toMatchObject({ command: 'retry-next-model' })
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'RUN_PENDING_SHORTCUT' })
+  })
+})
+
+describe('GET_SHORTCUT_TARGET_IMAGE', () => {
+  let listener
+
+  beforeAll(async () => {
+    window.__fitlyIsFashionPage = false
+    global.chrome.runtime.onMessage = { addListener: vi.fn(fn => { listener = fn }) }
+    await import('../lib/image_resolver.js')
+    await import('../lib/image_scan_scheduler.js')
+    await import('../content_scripts/inject_image_hover_button.js')
+  })
+
+  const ask = () => new Promise(resolve => listener({ type: 'GET_SHORTCUT_TARGET_IMAGE' }, {}, resolve))
+
+  it('SHOULD prefer the hovered image, then the page product image', async () => {
+    window.__fitlyExtractProductMetadata = vi.fn(url => ({ name: 'Đầm', images: ['https://cdn.shop.vn/dam.jpg'], url }))
+    document.body.innerHTML = '<a href="/p/1"><img id="hovered" src="https://cdn.shop.vn/ao.jpg" alt="Áo"></a>'
+
+    document.getElementById('hovered').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }))
+    expect((await ask()).image).toMatchObject({ url: 'https://cdn.shop.vn/ao.jpg', altText: 'Áo', source: 'hover' })
+
+    document.body.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }))
+    const response = await ask()
+    expect(response.image).toMatchObject({ url: 'https://cdn.shop.vn/dam.jpg', source: 'main' })
+    expect(response.product).toMatchObject({ name: 'Đầm' })
+  })
+})
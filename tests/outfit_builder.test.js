@@ -0,0 +1,142 @@
+/**
+ * File: tests/outfit_builder.test.js
+ * Purpose: Verify luật ô của outfit builder (xung đột váy + quần, món sai ô, thứ tự gửi try-on),
+ *          lưu / xoá outfit template và gắn outfit kết quả vào template khi SAVE_OUTFIT
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: slots { top, bottom_or_dress, outerwear, shoes, accessories } với item { imageUrl, category, ... }
+ * - Output: FitlyOutfitSlots.*, response của handleSaveOutfitTemplate / handleSaveOutfit,
+ *   chrome.storage.local.outfit_templates
+ *
+ * Flow:
+ * 1. placeItem / findConflicts / toTryOnItems trên lib/outfit_slots.js
+ * 2. SAVE_OUTFIT_TEMPLATE: chuẩn hoá ô, lỗi validate, từ chối bộ phối xung đột
+ * 3. SAVE_OUTFIT { template_id } (demo mode) → outfit mới nhất đứng đầu template.outfits, không gắn trùng
+ *
+ * Edge Cases:
+ * - jsdom không có OffscreenCanvas → hashImageUrl được mock
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+vi.mock('../background/auth_state_manager.js', () => ({
+  isDemoMode: vi.fn(async () => true),
+  isGuestMode: vi.fn(async () => false),
+  getAuthToken: vi.fn(async () => null)
+}))
+vi.mock('../background/perceptual_hash.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  hashImageUrl: vi.fn(async () => null)
+}))
+
+import {
+  handleGetOutfitTemplates, handleSaveOutfitTemplate, handleDeleteOutfitTemplate, OUTFIT_TEMPLATES_KEY
+} from '../background/outfit_templates.js'
+import { handleSaveOutfit } from '../background/outfit_manager.js'
+
+const TEE = { id: 'c1', imageUrl: 'https://shop/tee.jpg', name: 'Tee', category: 'top', subcategory: 't-shirt' }
+const JEANS = { id: 'c2', imageUrl: 'https://shop/jeans.jpg', name: 'Jeans', category: 'bottom' }
+const DRESS = { id: 'c3', imageUrl: 'https://shop/dress.jpg', name: 'Dress', category: 'dress' }
+const COAT = { id: 'c4', imageUrl: 'https://shop/coat.jpg', name: 'Coat', category: 'outerwear' }
+const SNEAKERS = { id: 'c5', imageUrl: 'https://shop/sneakers.jpg', name: 'Sneakers', category: 'shoes' }
+
+let slots
+
+beforeAll(async () => {
+  await import('../lib/outfit_slots.js')
+  slots = globalThis.FitlyOutfitSlots
+})
+
+beforeEach(() => {
+  resetMockStorage()
+})
+
+describe('FitlyOutfitSlots', () => {
+  it('SHOULD put dresses and bottoms in the same slot and replace the previous piece', () => {
+    const withJeans = slots.placeItem({ top: TEE }, JEANS)
+    expect(withJeans).toMatchObject({ slot: 'bottom_or_dress', replaced: null })
+
+    const withDress = slots.placeItem(withJeans.slots, DRESS)
+    expect(withDress.replaced).toBe(JEANS)
+    expect(withDress.slots).toEqual({ top: TEE, bottom_or_dress: DRESS })
+    expect(slots.placeItem({}, { imageUrl: 'x', category: 'other' }).error).toBe('UNSUPPORTED_CATEGORY')
+  })
+
+  it('SHOULD report a dress worn with a top or a bottom and items sitting in the wrong slot', () => {
+    expect(slots.findConflicts({ top: TEE, bottom_or_dress: JEANS, shoes: SNEAKERS })).toEqual([])
+    expect(slots.findConflicts({ top: TEE, bottom_or_dress: DRESS })).toEqual([{ type: 'dress_with_top', slot: 'top' }])
+    // Món trong template cũ đã bị đổi category sau khi lưu
+    expect(slots.findConflicts({ outerwear: DRESS, bottom_or_dress: JEANS })).toEqual([
+      { type: 'wrong_slot', slot: 'outerwear' },
+      { type: 'dress_with_bottom', slot: 'bottom_or_dress' }
+    ])
+    expect(slots.findConflicts({ shoes: SNEAKERS })).toEqual([{ type: 'no_garment' }])
+  })
+
+  it('SHOULD order try-on items with the main garment first', () => {
+    const ordered = slots.toTryOnItems({ shoes: SNEAKERS, outerwear: COAT, bottom_or_dress: JEANS, top: TEE })
+    expect(ordered.map(item => item.category)).toEqual(['top', 'bottom', 'outerwear', 'shoes'])
+    expect(slots.sortForTryOn([SNEAKERS, DRESS]).map(item => item.category)).toEqual(['dress', 'shoes'])
+  })
+})
+
+describe('outfit templates', () => {
+  it('SHOULD store trimmed slots and update a template in place', async () => {
+    const saved = await handleSaveOutfitTemplate({
+      name: '  Weekend  ',
+      slots: { top: { ...TEE, product: { price: 10 } }, bottom_or_dress: JEANS, hat: SNEAKERS, shoes: { category: 'shoes' } }
+    })
+    expect(saved.template).toMatchObject({ name: 'Weekend', tryCount: 0, outfits: [] })
+    expect(saved.template.slots).toEqual({
+      top: { id: 'c1', imageUrl: TEE.imageUrl, name: 'Tee', category: 'top', subcategory: 't-shirt' },
+      bottom_or_dress: JEANS
+    })
+
+    await handleSaveOutfitTemplate({ id: saved.template.id, name: 'Weekend', slots: { bottom_or_dress: DRESS } })
+    const { templates } = await handleGetOutfitTemplates()
+    expect(templates).toHaveLength(1)
+    expect(templates[0].slots).toEqual({ bottom_or_dress: DRESS })
+  })
+
+  it('SHOULD reject nameless, empty and conflicting outfits', async () => {
+    expect(await handleSaveOutfitTemplate({ name: ' ', slots: { top: TEE } })).toEqual({ success: false, error: 'NAME_REQUIRED' })
+    expect(await handleSaveOutfitTemplate({ name: 'Empty', slots: {} })).toEqual({ success: false, error: 'SLOTS_REQUIRED' })
+    expect(await handleSaveOutfitTemplate({ name: 'Clash', slots: { top: TEE, bottom_or_dress: DRESS } })).toEqual({
+      success: false, error: 'SLOT_CONFLICT', conflicts: [{ type: 'dress_with_top', slot: 'top' }]
+    })
+  })
+
+  it('SHOULD delete templates and report unknown ones', async () => {
+    const { template } = await handleSaveOutfitTemplate({ name: 'Office', slots: { top: TEE } })
+    expect(await handleDeleteOutfitTemplate({ id: template.id })).toEqual({ success: true })
+    expect(await handleDeleteOutfitTemplate({ id: template.id })).toEqual({ success: false, error: 'TEMPLATE_NOT_FOUND' })
+  })
+})
+
+describe('handleSaveOutfit with template_id', () => {
+  it('SHOULD link each saved result to its template, newest first, without duplicates', async () => {
+    const { template } = await handleSaveOutfitTemplate({ name: 'Office', slots: { top: TEE, bottom_or_dress: JEANS } })
+
+    // Outfit demo có id theo Date.now() — hai lần lưu phải khác mốc thời gian
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2026-05-01T09:00:00Z'))
+    const first = await handleSaveOutfit({ result_image_url: 'https://results/office-model-a.png', model_image_url: 'https://models/a.jpg', template_id: template.id })
+    vi.setSystemTime(new Date('2026-05-01T09:05:00Z'))
+    const second = await handleSaveOutfit({ result_image_url: 'https://results/office-model-b.png', template_id: template.id })
+    // Cùng ảnh kết quả → SAVE_OUTFIT trả outfit cũ, không gắn lần hai
+    await handleSaveOutfit({ result_image_url: 'https://results/office-model-b.png', template_id: template.id })
+    vi.useRealTimers()
+
+    const { [OUTFIT_TEMPLATES_KEY]: [linked] } = await chrome.storage.local.get(OUTFIT_TEMPLATES_KEY)
+    expect(linked.tryCount).toBe(2)
+    expect(linked.outfits.map(outfit => outfit.id)).toEqual([second.outfit.id, first.outfit.id])
+    expect(linked.outfits[1]).toMatchObject({ resultImageUrl: 'https://results/office-model-a.png', modelImageUrl: 'https://models/a.jpg' })
+  })
+
+  it('SHOULD still save the outfit when its template was deleted', async () => {
+    const result = await handleSaveOutfit({ result_image_url: 'https://results/orphan.png', template_id: 'template-gone' })
+    expect(result.success).toBe(true)
+    expect(await chrome.storage.local.get(OUTFIT_TEMPLATES_KEY)).toEqual({})
+  })
+})
@@ -0,0 +1,221 @@
+/**
+ * File: tests/perceptual_hash.test.js
+ * Purpose: Verify perceptual hash (pHash + dHash + màu) nhận ra ảnh gần trùng, gộp đồ vừa thử trùng ảnh,
+ *          cảnh báo món tủ đồ trông giống và "Tìm món tương tự"
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: ảnh tổng hợp (hàm toạ độ → RGB) thu nhỏ giống canvas, hash đặt sẵn trong chrome.storage.local
+ * - Output: khoảng cách theo ngưỡng DUPLICATE_DISTANCE / SIMILAR_DISTANCE, response của các handler
+ *
+ * Flow:
+ * 1. hashFromSamples: nhiễu / cắt nhẹ → trùng; cùng dáng khác màu → tương tự; ảnh khác → xa
+ * 2. handleSaveRecentClothing: ảnh gần trùng ở URL khác → cập nhật item cũ
+ * 3. handleAddToWardrobe (demo): vẫn lưu, trả likelyDuplicate / similarItems
+ * 4. handleFindSimilarItems: gom mọi nguồn, bỏ chính item, gần nhất trước
+ *
+ * Edge Cases:
+ * - jsdom không có createImageBitmap → hashImageUrl / analyzeGarmentImage được mock trả hash theo URL
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+vi.mock('../background/auth_state_manager.js', () => ({
+  isDemoMode: vi.fn(async () => true),
+  isGuestMode: vi.fn(async () => false),
+  getAuthToken: vi.fn(async () => null)
+}))
+vi.mock('../background/perceptual_hash.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  hashImageUrl: vi.fn(async () => null)
+}))
+vi.mock('../background/garment_attributes.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  analyzeGarmentImage: vi.fn(async () => ({ perceptualHash: null, attributes: null }))
+}))
+
+import {
+  hashFromSamples, perceptualDistance, hammingDistance, isPerceptualHash, findNearDuplicates,
+  similarityPercent, hashImageUrl, DUPLICATE_DISTANCE, SIMILAR_DISTANCE
+} from '../background/perceptual_hash.js'
+import { analyzeGarmentImage } from '../background/garment_attributes.js'
+import { handleSaveRecentClothing } from '../background/recent_clothing_manager.js'
+import { handleAddToWardrobe } from '../background/wardrobe_manager.js'
+import { handleFindSimilarItems } from '../background/find_similar_items.js'
+
+// ---------------------------------------------------------------------------
+// Ảnh tổng hợp: áo có sọc ngang trên nền trắng, thu nhỏ bằng supersampling như drawImage
+// ---------------------------------------------------------------------------
+
+let seed = 1
+const random = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647 }
+
+function shirt(stripes = 8, color = [40, 50, 120]) {
+  return (x, y) => {
+    const inside = Math.abs(x - 0.5) < 0.22 + (y < 0.35 ? 0.12 : 0) && y > 0.15 && y < 0.85
+    if (!inside) return [245, 245, 245]
+    const shade = 30 * Math.sin(y * stripes * Math.PI)
+    return color.map(c => c + shade)
+  }
+}
+
+const blob = (x, y) => Math.hypot(x - 0.3, y - 0.6) < 0.25 ? [200, 40, 40] : [30 + 100 * x, 30 + 100 * y, 80]
+
+function sample(image, width, height, { crop = [0, 0, 1, 1], noise = 0 } = {}) {
+  const [x0, y0, x1, y1] = crop
+  const S = 6
+  const gray = new Float32Array(width * height)
+  const color = [0, 0, 0]
+  let centerCount = 0
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const sum = [0, 0, 0]
+      for (let a = 0; a < S; a++) {
+        for (let b = 0; b < S; b++) {
+          const x = x0 + (x1 - x0) * (i + (a + 0.5) / S) / width
+          const y = y0 + (y1 - y0) * (j + (b + 0.5) / S) / height
+          image(x, y).forEach((c, k) => { sum[k] += Math.min(255, Math.max(0, c + (random() - 0.5) * 2 * noise)) })
+        }
+      }
+      const rgb = sum.map(v => v / (S * S))
+      gray[j * width + i] = 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2]
+      if (i >= width / 4 && i < width * 3 / 4 && j >= height / 4 && j < height * 3 / 4) {
+        rgb.forEach((v, k) => { color[k] += v })
+        centerCount++
+      }
+    }
+  }
+  return { gray, color: color.map(v => v / centerCount) }
+}
+
+function hashImage(image, options) {
+  const large = sample(image, 32, 32, options)
+  const small = sample(image, 9, 8, options)
+  return hashFromSamples({ gray32: large.gray, gray9x8: small.gray, color: large.color })
+}
+
+const NAVY = hashImage(shirt())
+const NAVY_NOISY = hashImage(shirt(), { noise: 25 })
+const NAVY_CROPPED = hashImage(shirt(), { crop: [0.03, 0.03, 0.97, 0.97] })
+const GREEN = hashImage(shirt(8, [40, 110, 60]))
+const UNRELATED = hashImage(blob)
+
+beforeEach(() => {
+  resetMockStorage()
+  vi.mocked(hashImageUrl).mockReset()
+  vi.mocked(analyzeGarmentImage).mockReset()
+})
+
+/** Hash theo URL cho luồng lưu — analyzeGarmentImage trả kèm màu / hoạ tiết (không dùng ở đây) */
+function hashSavedImages(hashOf) {
+  vi.mocked(analyzeGarmentImage).mockImplementation(async url => ({ perceptualHash: hashOf(url), attributes: null }))
+}
+
+describe('perceptual hash', () => {
+  it('SHOULD produce a 38-hex hash and treat legacy pixel hashes as missing', () => {
+    expect(isPerceptualHash(NAVY)).toBe(true)
+    expect(isPerceptualHash('px_1a2b3c')).toBe(false)
+    expect(perceptualDistance(NAVY, 'px_1a2b3c')).toBe(Infinity)
+    expect(perceptualDistance(NAVY, NAVY)).toBe(0)
+    expect(hammingDistance('f0', '0f')).toBe(8)
+  })
+
+  it('SHOULD keep re-encoded and slightly cropped copies within the duplicate threshold', () => {
+    expect(perceptualDistance(NAVY, NAVY_NOISY)).toBeLessThanOrEqual(DUPLICATE_DISTANCE)
+    expect(perceptualDistance(NAVY, NAVY_CROPPED)).toBeLessThanOrEqual(DUPLICATE_DISTANCE)
+  })
+
+  it('SHOULD rate the same cut in another colour as similar but not a duplicate', () => {
+    const distance = perceptualDistance(NAVY, GREEN)
+    expect(distance).toBeGreaterThan(DUPLICATE_DISTANCE)
+    expect(distance).toBeLessThanOrEqual(SIMILAR_DISTANCE)
+  })
+
+  it('SHOULD keep unrelated images beyond the similar threshold', () => {
+    expect(perceptualDistance(NAVY, UNRELATED)).toBeGreaterThan(SIMILAR_DISTANCE)
+    expect(similarityPercent(perceptualDistance(NAVY, UNRELATED))).toBeLessThan(similarityPercent(perceptualDistance(NAVY, GREEN)))
+  })
+
+  it('SHOULD return near duplicates closest first', () => {
+    const items = [{ id: 'green', h: GREEN }, { id: 'other', h: UNRELATED }, { id: 'copy', h: NAVY_NOISY }, { id: 'old', h: 'px_1' }]
+    expect(findNearDuplicates(NAVY, items, item => item.h).map(({ item }) => item.id)).toEqual(['copy', 'green'])
+    expect(findNearDuplicates(null, items, item => item.h)).toEqual([])
+  })
+})
+
+describe('duplicate handling on save', () => {
+  it('SHOULD merge a recent item whose image is a near-duplicate at another URL', async () => {
+    hashSavedImages(url => url.includes('w=1200') ? NAVY : NAVY_NOISY)
+    await handleSaveRecentClothing({ imageUrl: 'https://cdn.shop/shirt.jpg?w=1200', name: 'Striped shirt', category: 'top' })
+    const result = await handleSaveRecentClothing({ imageUrl: 'https://cdn.other/shirt-small.jpg', category: 'top' })
+
+    const { recent_clothing: items } = await chrome.storage.local.get('recent_clothing')
+    expect(items).toHaveLength(1)
+    expect(items[0]).toMatchObject({ imageUrl: 'https://cdn.shop/shirt.jpg?w=1200', tryCount: 2, perceptualHash: NAVY })
+    expect(result).toMatchObject({ success: true, duplicate: true })
+  })
+
+  it('SHOULD save a look-alike wardrobe item but flag it', async () => {
+    const hashes = { 'https://a/navy.jpg': NAVY, 'https://b/navy-copy.jpg': NAVY_CROPPED, 'https://c/green.jpg': GREEN }
+    hashSavedImages(url => hashes[url] || null)
+    await chrome.storage.local.set({ demo_wardrobe: [] })
+
+    const first = await handleAddToWardrobe({ image_url: 'https://a/navy.jpg', name: 'Navy shirt', category: 'top' })
+    expect(first.similarItems).toBeUndefined()
+
+    const copy = await handleAddToWardrobe({ image_url: 'https://b/navy-copy.jpg', name: 'Shirt', category: 'top' })
+    expect(copy).toMatchObject({ success: true, likelyDuplicate: true })
+    expect(copy.similarItems[0]).toMatchObject({ name: 'Navy shirt', image_url: 'https://a/navy.jpg' })
+
+    const green = await handleAddToWardrobe({ image_url: 'https://c/green.jpg', name: 'Green shirt', category: 'top' })
+    expect(green.likelyDuplicate).toBe(false)
+    expect(green.similarItems).toHaveLength(2)
+
+    const { demo_wardrobe: wardrobe } = await chrome.storage.local.get('demo_wardrobe')
+    expect(wardrobe.map(item => item.perceptual_hash)).toEqual([GREEN, NAVY_CROPPED, NAVY])
+  })
+})
+
+describe('handleFindSimilarItems', () => {
+  it('SHOULD search every store, skip the item itself and sort by distance', async () => {
+    await chrome.storage.local.set({
+      demo_wardrobe: [
+        { id: 'w1', image_url: 'https://a/navy.jpg', name: 'Navy shirt', category: 'top', perceptual_hash: NAVY },
+        { id: 'w2', image_url: 'https://c/green.jpg', name: 'Green shirt', category: 'top', subcategory: 'shirt', perceptual_hash: GREEN }
+      ],
+      recent_clothing: [
+        { id: 'r1', imageUrl: 'https://b/navy-copy.jpg', name: 'Shirt', perceptualHash: NAVY_CROPPED },
+        { id: 'r2', imageUrl: 'https://c/green.jpg', perceptualHash: GREEN },
+        { id: 'r3', imageUrl: 'https://d/blob.jpg', perceptualHash: UNRELATED }
+      ],
+      user_models: [{ id: 'm1', imageUrl: 'https://m/me.jpg', perceptualHash: UNRELATED }],
+      fitly_saved_outfits: [{ id: 'o1', result_image_url: 'https://o/look.jpg', name: 'Look', perceptual_hash: NAVY_NOISY }]
+    })
+
+    const result = await handleFindSimilarItems({ imageUrl: 'https://a/navy.jpg', perceptualHash: NAVY, excludeId: 'w1' })
+
+    expect(result.success).toBe(true)
+    expect(result.items.map(item => [item.kind, item.id])).toEqual([['outfit', 'o1'], ['recent', 'r1'], ['wardrobe', 'w2']])
+    expect(result.items[2]).toMatchObject({ name: 'Green shirt', subcategory: 'shirt' })
+    expect(result.items[0].similarity).toBeGreaterThan(result.items[2].similarity)
+    expect(hashImageUrl).not.toHaveBeenCalled()
+  })
+
+  it('SHOULD backfill missing hashes and write them back', async () => {
+    vi.mocked(hashImageUrl).mockImplementation(async url => url === 'https://a/navy.jpg' ? NAVY : NAVY_CROPPED)
+    await chrome.storage.local.set({
+      recent_clothing: [{ id: 'r1', imageUrl: 'https://b/navy-copy.jpg', perceptualHash: 'px_legacy' }]
+    })
+
+    const result = await handleFindSimilarItems({ imageUrl: 'https://a/navy.jpg' })
+
+    expect(result.items.map(item => item.id)).toEqual(['r1'])
+    const { recent_clothing: items } = await chrome.storage.local.get('recent_clothing')
+    expect(items[0].perceptualHash).toBe(NAVY_CROPPED)
+  })
+
+  it('SHOULD report when the source image cannot be hashed', async () => {
+    vi.mocked(hashImageUrl).mockResolvedValue(null)
+    expect(await handleFindSimilarItems({ imageUrl: 'https://gone/404.jpg' })).toEqual({ success: false, error: 'HASH_FAILED' })
+  })
+})
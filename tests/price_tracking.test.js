@@ -0,0 +1,199 @@
+/**
+ * File: tests/price_tracking.test.js
+ * Purpose: Verify theo dõi giá món trong tủ đồ — fetch trang sản phẩm từ fixture server local,
+ *          ghi lịch sử giá, báo giảm giá qua notification, cập nhật khi user mở lại trang
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: demo_wardrobe có source_url + product_meta.price, HTTP server phục vụ HTML fixture
+ * - Output: entry fitly_price_tracking (history, notifiedPrice), chrome.notifications.create
+ *
+ * Flow:
+ * 1. Alarm check → price fetcher mặc định tải fixture → giá giảm quá ngưỡng → notification 1 lần
+ * 2. PRODUCT_PAGE_VISITED → ghi giá không cần fetch, targetPrice user đặt làm ngưỡng
+ * 3. setPriceFetcher thay lớp lấy giá
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest'
+import http from 'node:http'
+
+vi.mock('../background/context_menus.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  handleContextTryonImage: vi.fn(async () => ({ success: true }))
+}))
+vi.mock('../background/session_ready_gate.js', () => ({ sessionReady: Promise.resolve() }))
+
+import {
+  checkTrackedPrices, handleProductPageVisited, handleGetPriceHistory, handleSetPriceAlert,
+  handlePriceNotificationClick, parseProductPriceFromHtml, setPriceFetcher
+} from '../background/price_tracker.js'
+import { handleContextTryonImage } from '../background/context_menus.js'
+
+const pages = {}
+let server
+let baseUrl
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const html = pages[req.url]
+    res.writeHead(html ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' })
+    res.end(html || 'not found')
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+function jsonLdPage(price, extra = {}) {
+  return `<html><head><script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: 'Áo khoác bomber',
+    sku: 'BMB-01',
+    offers: { '@type': 'Offer', price: String(price), priceCurrency: 'VND' },
+    ...extra
+  })}</script></head><body></body></html>`
+}
+
+async function seedWardrobe(items) {
+  await chrome.storage.local.set({ demo_wardrobe: items })
+}
+
+function wardrobeItem(id, path, price) {
+  return {
+    id,
+    name: `Món ${id}`,
+    image_url: `https://cdn.shop.vn/${id}.jpg`,
+    source_url: `${baseUrl}${path}`,
+    created_at: '2026-09-01T00:00:00Z',
+    product_meta: { name: 'Áo khoác bomber', price, currency: 'VND', sku: 'BMB-01' }
+  }
+}
+
+beforeEach(() => {
+  resetMockStorage()
+  setPriceFetcher(null)
+  global.chrome.notifications = { create: vi.fn(async () => ''), clear: vi.fn() }
+  global.chrome.tabs = { create: vi.fn(async ({ url }) => ({ id: 7, windowId: 1, url })) }
+  global.chrome.windows = { WINDOW_ID_CURRENT: -2 }
+  global.chrome.sidePanel = { open: vi.fn(async () => { }) }
+  handleContextTryonImage.mockClear()
+})
+
+describe('parseProductPriceFromHtml', () => {
+  it('SHOULD read JSON-LD first, then product:* meta, then itemprop price', () => {
+    expect(parseProductPriceFromHtml(jsonLdPage('1.290.000'))).toEqual({ price: 1290000, currency: 'VND' })
+    expect(parseProductPriceFromHtml(
+      '<meta content="49.90" property="product:price:amount"><meta property="product:price:currency" content="USD">'
+    )).toEqual({ price: 49.9, currency: 'USD' })
+    expect(parseProductPriceFromHtml('<span itemprop="price" content="350000"></span>')).toEqual({ price: 350000, currency: null })
+    expect(parseProductPriceFromHtml('<title>Blog</title>')).toBeNull()
+  })
+})
+
+describe('price tracking', () => {
+  it('SHOULD fetch the product page, keep history and notify once per drop', async () => {
+    pages['/bomber'] = jsonLdPage(1000000)
+    await seedWardrobe([wardrobeItem('a', '/bomber', 1000000), wardrobeItem('b', '/missing', 200000)])
+
+    // Giá không đổi → chỉ đánh dấu đã kiểm tra, không notification
+    let result = await checkTrackedPrices({ force: true })
+    expect(result).toMatchObject({ checked: 1, notified: 0 })
+
+    pages['/bomber'] = jsonLdPage(850000)
+    result = await checkTrackedPrices({ force: true })
+    expect(result).toMatchObject({ checked: 1, notified: 1 })
+    expect(chrome.notifications.create).toHaveBeenCalledWith('fitly-price-drop:a', expect.objectContaining({
+      buttons: [{ title: 'Open product' }, { title: 'Try on again' }]
+    }))
+
+    // Cùng giá lần sau → không báo lại; chưa đến hạn kiểm tra (kể cả trang lỗi 404) → không fetch
+    await checkTrackedPrices({ force: true })
+    const fetchSpy = vi.spyOn(global, 'fetch')
+    expect(await checkTrackedPrices()).toMatchObject({ checked: 0 })
+    expect(fetchSpy).not.toHaveBeenCalled()
+    fetchSpy.mockRestore()
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1)
+
+    const { entry } = await handleGetPriceHistory({ itemId: 'a' })
+    expect(entry.history.map(h => [h.price, h.source])).toEqual([[1000000, 'saved'], [850000, 'alarm']])
+    expect(entry.notifiedPrice).toBe(850000)
+  })
+
+  it('SHOULD record prices seen on a revisit and honour a user target price', async () => {
+    await seedWardrobe([wardrobeItem('a', '/bomber', 1000000)])
+    await handleSetPriceAlert({ itemId: 'a', targetPrice: '700.000' })
+
+    const visit = price => handleProductPageVisited(
+      { url: `${baseUrl}/bomber/?utm_source=fb#reviews`, product: { price, currency: 'VND', sku: 'BMB-01' } },
+      {}
+    )
+
+    expect(await visit(800000)).toMatchObject({ matched: 1 })
+    expect(chrome.notifications.create).not.toHaveBeenCalled()
+
+    await visit(690000)
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1)
+
+    const { entry } = await handleGetPriceHistory({ itemId: 'a' })
+    expect(entry.history.map(h => h.source)).toEqual(['saved', 'visit', 'visit'])
+    expect(await handleProductPageVisited({ url: `${baseUrl}/other`, product: { price: 1 } }, {})).toMatchObject({ matched: 0 })
+  })
+
+  it('SHOULD use a custom price fetcher and open the sidebar from "Try on again"', async () => {
+    const fetcher = vi.fn(async () => ({ price: 100, currency: 'VND' }))
+    setPriceFetcher(fetcher)
+    await seedWardrobe([wardrobeItem('a', '/bomber', 1000000)])
+
+    await checkTrackedPrices({ force: true })
+    expect(fetcher).toHaveBeenCalledWith(`${baseUrl}/bomber`, expect.objectContaining({ sku: 'BMB-01' }))
+
+    expect(await handlePriceNotificationClick('fitly-price-drop:a', 1)).toBe(true)
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: `${baseUrl}/bomber`, active: true })
+    expect(handleContextTryonImage).toHaveBeenCalledWith(
+      expect.objectContaining({ srcUrl: 'https://cdn.shop.vn/a.jpg', product: expect.objectContaining({ sku: 'BMB-01' }), sidePanelOpen: true }),
+      expect.objectContaining({ id: 7 })
+    )
+    expect(await handlePriceNotificationClick('error-123')).toBe(false)
+  })
+
+  it('SHOULD open the sidebar from "Try on again" before the first await', async () => {
+    await seedWardrobe([wardrobeItem('a', '/bomber', 1000000)])
+    await handleGetPriceHistory()
+    chrome.storage.local.get.mockClear()
+
+    // Chưa nhường event loop lần nào — vẫn trong user gesture của cú click notification
+    const click = handlePriceNotificationClick('fitly-price-drop:a', 1)
+    expect(chrome.sidePanel.open).toHaveBeenCalledWith({ windowId: chrome.windows.WINDOW_ID_CURRENT })
+    expect(chrome.sidePanel.open.mock.invocationCallOrder[0]).toBeLessThan(chrome.storage.local.get.mock.invocationCallOrder[0])
+    await click
+
+    chrome.sidePanel.open.mockClear()
+    await handlePriceNotificationClick('fitly-price-drop:a', 0)
+    expect(chrome.sidePanel.open).not.toHaveBeenCalled()
+  })
+
+  it('SHOULD not rewrite tracking storage for product pages that are not tracked', async () => {
+    await seedWardrobe([wardrobeItem('a', '/bomber', 1000000)])
+    await handleGetPriceHistory()
+    chrome.storage.local.set.mockClear()
+
+    expect(await handleProductPageVisited({ url: 'https://other-shop.vn/jeans', product: { price: 300000 } }, {}))
+      .toMatchObject({ matched: 0 })
+    await handleGetPriceHistory()
+    expect(chrome.storage.local.set).not.toHaveBeenCalled()
+
+    // Món mới lưu chưa đồng bộ vẫn được nhận ra từ tủ đồ
+    await seedWardrobe([wardrobeItem('a', '/bomber', 1000000), wardrobeItem('b', '/coat', 2000000)])
+    expect(await handleProductPageVisited({ url: `${baseUrl}/coat`, product: { price: 1500000 } }, {}))
+      .toMatchObject({ matched: 1 })
+  })
+
+  it('SHOULD stop tracking items removed from the wardrobe', async () => {
+    await seedWardrobe([wardrobeItem('a', '/bomber', 1000000)])
+    await handleGetPriceHistory()
+    await seedWardrobe([])
+    expect((await handleGetPriceHistory()).entries).toEqual([])
+  })
+})
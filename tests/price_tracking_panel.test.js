@@ -0,0 +1,131 @@
+/**
+ * File: tests/price_tracking_panel.test.js
+ * Purpose: Verify modal theo dõi giá của sidebar — hiện lịch sử giá, lưu giá mong muốn qua SET_PRICE_ALERT
+ *          và ngưỡng giảm giá qua UPDATE_SETTINGS
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: item wardrobe { id, imageUrl, product.price }, chrome.runtime.sendMessage giả lập
+ *   (GET_PRICE_HISTORY / GET_SETTINGS / SET_PRICE_ALERT / UPDATE_SETTINGS)
+ * - Output: DOM #price-tracking-modal, message gửi background, toast
+ *
+ * Flow:
+ * 1. openPriceTrackingModal → lịch sử mới nhất trước, ô nhập điền sẵn
+ * 2. "Lưu" → SET_PRICE_ALERT; ngưỡng đổi → UPDATE_SETTINGS
+ *
+ * Edge Cases:
+ * - manage_price_tracking.js là plain script — hàm sidebar khác (state, t, showToast...) gắn lên globalThis
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+const ITEM = { id: 'w-1', imageUrl: 'https://shop/coat.jpg', sourceUrl: 'https://shop/coat', product: { price: 500000 } }
+const ENTRY = {
+  itemId: 'w-1',
+  name: 'Wool coat',
+  imageUrl: ITEM.imageUrl,
+  targetPrice: 400000,
+  history: [
+    { at: Date.parse('2026-09-01'), price: 500000, currency: null, source: 'saved' },
+    { at: Date.parse('2026-10-01'), price: 420000, currency: null, source: 'alarm' }
+  ]
+}
+
+let trackedEntry
+
+function sentMessages(type) {
+  return chrome.runtime.sendMessage.mock.calls.map(([message]) => message).filter(message => message.type === type)
+}
+
+beforeAll(async () => {
+  document.body.innerHTML = `
+    <div id="price-tracking-modal" class="hidden">
+      <button id="price-tracking-close-btn"></button>
+      <img id="price-tracking-preview" />
+      <p id="price-tracking-item-name"></p>
+      <p id="price-tracking-summary"></p>
+      <ul id="price-tracking-history"></ul>
+      <input id="price-tracking-target-input" />
+      <input id="price-tracking-drop-input" />
+      <button id="price-tracking-check-btn"></button>
+      <button id="price-tracking-cancel-btn"></button>
+      <button id="price-tracking-save-btn"></button>
+    </div>`
+
+  Object.assign(globalThis, {
+    state: { locale: 'en' },
+    $: id => document.getElementById(id),
+    t: (key, vars = {}) => [key, ...Object.values(vars)].join(' '),
+    escapeHtml: value => String(value),
+    showToast: vi.fn()
+  })
+
+  await import('../sidebar/modules/manage_price_tracking.js')
+  window.initPriceTracking()
+})
+
+beforeEach(() => {
+  trackedEntry = ENTRY
+  showToast.mockClear()
+  chrome.runtime.sendMessage = vi.fn(async (message) => {
+    if (message.type === 'GET_PRICE_HISTORY') return { success: true, entry: trackedEntry }
+    if (message.type === 'GET_SETTINGS') return { success: true, settings: { priceDropPercent: 10 } }
+    return { success: true }
+  })
+})
+
+describe('openPriceTrackingModal', () => {
+  it('SHOULD show the price history newest first with the current alert settings', async () => {
+    await window.openPriceTrackingModal(ITEM)
+
+    expect(sentMessages('GET_PRICE_HISTORY')[0].data).toEqual({ itemId: 'w-1' })
+    expect(document.getElementById('price-tracking-modal').classList.contains('hidden')).toBe(false)
+    expect(document.getElementById('price-tracking-item-name').textContent).toBe('Wool coat')
+    const points = [...document.querySelectorAll('.price-tracking-point')]
+    expect(points.map(point => point.querySelector('strong').textContent)).toEqual(['420,000', '500,000'])
+    expect(points[0].classList.contains('dropped')).toBe(true)
+    expect(document.getElementById('price-tracking-target-input').value).toBe('400000')
+    expect(document.getElementById('price-tracking-drop-input').value).toBe('10')
+  })
+
+  it('SHOULD not open for an item that is not tracked yet', async () => {
+    trackedEntry = null
+    document.getElementById('price-tracking-modal').classList.add('hidden')
+    await window.openPriceTrackingModal(ITEM)
+
+    expect(showToast).toHaveBeenCalledWith('price_tracking.not_tracked', 'info')
+    expect(document.getElementById('price-tracking-modal').classList.contains('hidden')).toBe(true)
+  })
+})
+
+describe('savePriceTracking', () => {
+  it('SHOULD save the target price and the changed drop threshold', async () => {
+    await window.openPriceTrackingModal(ITEM)
+    document.getElementById('price-tracking-target-input').value = '350000'
+    document.getElementById('price-tracking-drop-input').value = '20'
+    document.getElementById('price-tracking-save-btn').click()
+
+    await vi.waitFor(() => expect(showToast).toHaveBeenCalledWith('price_tracking.saved', 'success'))
+    expect(sentMessages('SET_PRICE_ALERT')[0].data).toEqual({ itemId: 'w-1', targetPrice: 350000 })
+    expect(sentMessages('UPDATE_SETTINGS')[0].data).toEqual({ priceDropPercent: 20 })
+  })
+
+  it('SHOULD clear the target price and leave settings alone when the threshold is unchanged', async () => {
+    await window.openPriceTrackingModal(ITEM)
+    document.getElementById('price-tracking-target-input').value = ''
+    document.getElementById('price-tracking-save-btn').click()
+
+    await vi.waitFor(() => expect(showToast).toHaveBeenCalledWith('price_tracking.saved', 'success'))
+    expect(sentMessages('SET_PRICE_ALERT')[0].data).toEqual({ itemId: 'w-1', targetPrice: null })
+    expect(sentMessages('UPDATE_SETTINGS')).toHaveLength(0)
+  })
+
+  it('SHOULD reject a drop threshold outside 1-99%', async () => {
+    await window.openPriceTrackingModal(ITEM)
+    document.getElementById('price-tracking-drop-input').value = '150'
+    document.getElementById('price-tracking-save-btn').click()
+
+    await vi.waitFor(() => expect(showToast).toHaveBeenCalledWith('price_tracking.invalid_drop', 'error'))
+    expect(sentMessages('SET_PRICE_ALERT')).toHaveLength(0)
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * File: tests/product_gallery.test.js
+ * Purpose: Verify "Thử tất cả ảnh của sản phẩm" — gom ảnh gallery quanh ảnh được chọn + ảnh JSON-LD,
+ *          gộp thumbnail trùng, xếp flat-lay / ghost mannequin lên đầu; background lưu pending_gallery cho sidebar
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: trang jsdom có khung .product-gallery (ảnh người mẫu, chi tiết, flat-lay, thumbnail srcset, icon svg)
+ * - Output: { images: [{ url, shot, score, source, clicked }], product }, session pending_gallery
+ *
+ * Flow:
+ * 1. collectProductGallery(anchor, imageUrl) — thứ hạng + loại ảnh + ảnh user bấm
+ * 2. GET_PRODUCT_GALLERY với URL bản nét nhất → vẫn tìm đúng ảnh trên trang
+ * 3. handleContextTryGallery → pending_gallery + SHOW_PENDING_GALLERY; gallery < 2 ảnh → thử ảnh đó luôn
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+
+import { handleContextTryGallery } from '../background/context_menus.js'
+
+const CDN = 'https://cdn.shop.vn/products'
+const listeners = []
+
+beforeAll(async () => {
+  window.__fitlyIsFashionPage = true
+  global.chrome.runtime.onMessage = { addListener: vi.fn(listener => listeners.push(listener)) }
+  global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+
+  document.head.innerHTML = `<script type="application/ld+json">${JSON.stringify({
+    '@type': 'Product',
+    name: 'Áo sơ mi linen',
+    image: [`${CDN}/ao-linen-model_800x.jpg`, `${CDN}/ao-linen-ghost.jpg`]
+  })}</script>`
+  document.body.innerHTML = `
+    <div class="product-gallery">
+      <div class="main-slide"><img id="main" src="${CDN}/ao-linen-model_800x.jpg" alt="Áo linen trên người mẫu"></div>
+      <img src="${CDN}/ao-linen-detail-fabric.jpg" alt="Áo linen">
+      <img src="${CDN}/ao-linen-flatlay.jpg" alt="Áo linen">
+      <img src="${CDN}/ao-linen-model_200x.jpg" alt="Áo linen"
+        srcset="${CDN}/ao-linen-model_200x.jpg 200w, ${CDN}/ao-linen-model_1200x.jpg 1200w">
+      <img src="https://cdn.shop.vn/icons/zoom.svg">
+    </div>
+  `
+
+  await import('../lib/image_resolver.js')
+  await import('../content_scripts/detect_clothing_image.js')
+  await import('../content_scripts/extract_product_metadata.js')
+  await import('../content_scripts/collect_product_gallery.js')
+})
+
+describe('collectProductGallery', () => {
+  it('SHOULD merge page and JSON-LD photos, drop duplicates and rank flat-lay first, detail last', () => {
+    const main = document.getElementById('main')
+    const { images, product } = window.__fitlyCollectProductGallery(main, main.src)
+
+    expect(product).toMatchObject({ name: 'Áo sơ mi linen' })
+    expect(images.map(image => image.shot)).toEqual(['flatlay', 'flatlay', 'model', 'detail'])
+    expect(images[0]).toMatchObject({ url: `${CDN}/ao-linen-ghost.jpg`, source: 'structured' })
+    expect(images[1].url).toBe(`${CDN}/ao-linen-flatlay.jpg`)
+    // Thumbnail srcset + ảnh lớn + ảnh JSON-LD là cùng 1 ảnh người mẫu
+    expect(images.filter(image => image.url.includes('ao-linen-model'))).toHaveLength(1)
+    expect(images.find(image => image.clicked).shot).toBe('model')
+    expect(images.some(image => image.url.endsWith('.svg'))).toBe(false)
+  })
+
+  it('SHOULD answer GET_PRODUCT_GALLERY for the high-resolution URL of an on-page image', async () => {
+    const response = await new Promise(resolve => {
+      listeners.forEach(listener => listener(
+        { type: 'GET_PRODUCT_GALLERY', imageUrl: `${CDN}/ao-linen-model_1200x.jpg` }, {}, resolve))
+    })
+    expect(response.images).toHaveLength(4)
+    expect(response.images.find(image => image.clicked).shot).toBe('model')
+  })
+})
+
+describe('handleContextTryGallery', () => {
+  const tab = { id: 3, windowId: 1, url: 'https://shop.vn/ao-linen' }
+  let session
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    session = {}
+    global.chrome.storage.session = {
+      set: vi.fn(async items => Object.assign(session, items))
+    }
+    global.chrome.sidePanel = { open: vi.fn(async () => undefined) }
+    global.chrome.notifications = { create: vi.fn() }
+    global.chrome.tabs = { sendMessage: vi.fn(async () => ({ product: null })) }
+    global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+  })
+
+  afterEach(() => vi.useRealTimers())
+
+  it('SHOULD store the ranked gallery for the sidebar picker', async () => {
+    const gallery = {
+      images: [{ url: `${CDN}/ao-linen-ghost.jpg`, shot: 'flatlay' }, { url: `${CDN}/ao-linen-model.jpg`, shot: 'model' }],
+      product: { name: 'Áo sơ mi linen' }
+    }
+    const result = await handleContextTryGallery({ srcUrl: `${CDN}/ao-linen-model.jpg`, pageUrl: tab.url, gallery }, tab)
+
+    expect(result).toEqual({ success: true, count: 2 })
+    expect(chrome.sidePanel.open).toHaveBeenCalledTimes(1)
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled()
+    expect(session.pending_gallery).toMatchObject({
+      images: gallery.images,
+      pageUrl: tab.url,
+      product: { name: 'Áo sơ mi linen' },
+      clickedUrl: `${CDN}/ao-linen-model.jpg`
+    })
+
+    vi.advanceTimersByTime(800)
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'SHOW_PENDING_GALLERY' })
+  })
+
+  it('SHOULD fall back to trying the clicked image when the page has no gallery', async () => {
+    chrome.tabs.sendMessage.mockResolvedValueOnce({ images: [{ url: `${CDN}/ao.jpg`, shot: 'other' }], product: null })
+    await handleContextTryGallery({ srcUrl: `${CDN}/ao.jpg`, pageUrl: tab.url, sidePanelOpen: true }, tab)
+
+    expect(chrome.sidePanel.open).not.toHaveBeenCalled()
+    expect(session.pending_gallery).toBeUndefined()
+    expect(session).toMatchObject({ pending_clothing_image: `${CDN}/ao.jpg`, pending_product: null })
+  })
+})
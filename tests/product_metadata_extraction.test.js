@@ -0,0 +1,139 @@
+/**
+ * File: tests/product_metadata_extraction.test.js
+ * Purpose: Verify content script đọc metadata sản phẩm (JSON-LD, microdata, OpenGraph) và
+ *          metadata được gắn vào bản ghi recent clothing
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: DOM trang sản phẩm giả lập trong jsdom
+ * - Output: { name, brand, price, currency, color, sizes, sku, images, sources } | null
+ *
+ * Flow:
+ * 1. Trang có JSON-LD Product → ưu tiên JSON-LD, OG bổ sung ảnh
+ * 2. Microdata / product:* meta khi không có JSON-LD
+ * 3. Trang danh sách nhiều Product → chỉ nhận Product khớp ảnh được chọn
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+import { handleSaveRecentClothing } from '../background/recent_clothing_manager.js'
+
+beforeAll(async () => {
+  global.chrome.runtime.onMessage = { addListener: vi.fn() }
+  await import('../content_scripts/extract_product_metadata.js')
+})
+
+function setPage(head, body = '') {
+  document.head.innerHTML = head
+  document.body.innerHTML = body
+}
+
+const extract = (imageUrl) => window.__fitlyExtractProductMetadata(imageUrl)
+
+describe('extract_product_metadata', () => {
+  it('SHOULD read a JSON-LD ProductGroup and fill gaps from OpenGraph', () => {
+    setPage(`
+      <meta property="og:type" content="product">
+      <meta property="og:image" content="https://cdn.shop.vn/linen-shirt-og.jpg">
+      <script type="application/ld+json">${JSON.stringify({
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'BreadcrumbList' },
+          {
+            '@type': 'ProductGroup',
+            name: 'Áo sơ mi linen',
+            brand: { '@type': 'Brand', name: 'Routine' },
+            productGroupID: 'RT-1029',
+            image: ['/img/linen-1.jpg', { '@type': 'ImageObject', url: 'https://cdn.shop.vn/linen-2.jpg' }],
+            hasVariant: [
+              { '@type': 'Product', size: 'M', color: 'Trắng', offers: { price: '459000', priceCurrency: 'VND' } },
+              { '@type': 'Product', size: 'L', color: 'Trắng', offers: { price: '459000', priceCurrency: 'VND' } }
+            ]
+          }
+        ]
+      })}</script>
+    `)
+
+    const product = extract('https://cdn.shop.vn/linen-2.jpg')
+    expect(product).toMatchObject({
+      name: 'Áo sơ mi linen',
+      brand: 'Routine',
+      price: 459000,
+      currency: 'VND',
+      color: 'Trắng',
+      sizes: ['M', 'L'],
+      sku: 'RT-1029',
+      sources: ['json-ld', 'opengraph']
+    })
+    expect(product.images).toEqual([
+      new URL('/img/linen-1.jpg', document.baseURI).href,
+      'https://cdn.shop.vn/linen-2.jpg',
+      'https://cdn.shop.vn/linen-shirt-og.jpg'
+    ])
+  })
+
+  it('SHOULD fall back to microdata and product:* meta tags', () => {
+    setPage(`
+      <meta property="product:brand" content="Coolmate">
+      <meta property="product:price:amount" content="1.299.000">
+      <meta property="product:price:currency" content="VND">
+    `, `
+      <div itemscope itemtype="https://schema.org/Product">
+        <h1 itemprop="name">Quần jean slim</h1>
+        <img itemprop="image" src="https://cdn.coolmate.me/jean.jpg">
+        <meta itemprop="sku" content="CM-JEAN-01">
+        <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+          <meta itemprop="priceCurrency" content="VND">
+        </div>
+      </div>
+    `)
+
+    expect(extract('https://cdn.coolmate.me/jean.jpg')).toMatchObject({
+      name: 'Quần jean slim',
+      brand: 'Coolmate',
+      price: 1299000,
+      currency: 'VND',
+      sku: 'CM-JEAN-01',
+      images: ['https://cdn.coolmate.me/jean.jpg'],
+      sources: ['microdata', 'opengraph']
+    })
+  })
+
+  it('SHOULD only pick the product matching the clicked image on a listing page', () => {
+    const products = ['a', 'b'].map(id => ({
+      '@type': 'Product',
+      name: `Váy ${id}`,
+      image: `https://cdn.shop.vn/${id}.jpg`,
+      offers: { price: 100, priceCurrency: 'USD' }
+    }))
+    setPage(`
+      <meta property="og:title" content="Váy nữ - Bộ sưu tập">
+      <script type="application/ld+json">${JSON.stringify(products)}</script>
+      <script type="application/ld+json">{ invalid json</script>
+    `)
+
+    expect(extract('https://cdn.shop.vn/b.jpg?w=400').name).toBe('Váy b')
+    expect(extract('https://cdn.shop.vn/unknown.jpg')).toBeNull()
+  })
+
+  it('SHOULD return null on a page without product data', () => {
+    setPage('<meta property="og:type" content="website"><meta property="og:title" content="Blog">')
+    expect(extract('https://cdn.blog.vn/photo.jpg')).toBeNull()
+  })
+})
+
+describe('recent clothing product metadata', () => {
+  beforeEach(() => resetMockStorage())
+
+  it('SHOULD name new items after the product and attach metadata to existing ones', async () => {
+    const product = { name: 'Áo polo basic', brand: 'Yody', price: 299000, currency: 'VND', sizes: ['S'], images: [] }
+
+    await handleSaveRecentClothing({ imageUrl: 'data:image/png;base64,AAA', sourceUrl: 'https://yody.vn/polo', product })
+    await handleSaveRecentClothing({ imageUrl: 'data:image/png;base64,BBB', sourceUrl: 'https://yody.vn/khac' })
+    await handleSaveRecentClothing({ imageUrl: 'data:image/png;base64,BBB', sourceUrl: 'https://yody.vn/khac', product: { ...product, name: 'Quần kaki' } })
+
+    const { recent_clothing: items } = await chrome.storage.local.get('recent_clothing')
+    expect(items.find(i => i.imageUrl.endsWith('AAA'))).toMatchObject({ name: 'Áo polo basic', product })
+    expect(items.find(i => i.imageUrl.endsWith('BBB'))).toMatchObject({ name: 'Quần kaki', product: { name: 'Quần kaki' } })
+  })
+})
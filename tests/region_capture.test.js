@@ -0,0 +1,137 @@
+/**
+ * File: tests/region_capture.test.js
+ * Purpose: Verify "Chụp vùng ảnh" — cắt đúng vùng user kéo trên ảnh chụp khung nhìn (DPR / zoom trang),
+ *          overlay nằm trong shadow root riêng, ảnh chụp đi tiếp vào luồng thử đồ / tủ đồ như chuột phải
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: khung { x, y, width, height } pixel CSS, ảnh chụp { width, height }, message REGION_CAPTURED
+ * - Output: { sx, sy, sw, sh } pixel thật, session pending_clothing_image / pending_wardrobe_item
+ *
+ * Flow:
+ * 1. computeCropBox — tỉ lệ ảnh chụp / khung nhìn, fallback devicePixelRatio, kẹp trong ảnh
+ * 2. Overlay: kéo khung → thanh hành động, Esc → gỡ overlay
+ * 3. handleCaptureVisibleTab / handleRegionCaptured (background)
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+
+import { handleCaptureVisibleTab, handleRegionCaptured } from '../background/capture_visible_region.js'
+
+const roots = {}
+const listeners = []
+const PNG = 'data:image/png;base64,iVBORw0KGgo='
+
+beforeAll(async () => {
+  const attachShadow = Element.prototype.attachShadow
+  vi.spyOn(Element.prototype, 'attachShadow').mockImplementation(function (init) {
+    const root = attachShadow.call(this, init)
+    roots[this.localName] = root
+    return root
+  })
+  global.chrome.runtime.onMessage = { addListener: vi.fn(listener => listeners.push(listener)) }
+  global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+
+  await import('../lib/shadow_host.js')
+  await import('../content_scripts/capture_screen_region.js')
+})
+
+describe('computeCropBox', () => {
+  it('SHOULD scale the CSS rectangle by the screenshot / viewport ratio', () => {
+    const crop = window.__fitlyComputeCropBox(
+      { x: 100, y: 50, width: 200, height: 300 },
+      { width: 2560, height: 1600 },
+      { width: 1280, height: 800 },
+      1
+    )
+    expect(crop).toEqual({ sx: 200, sy: 100, sw: 400, sh: 600 })
+  })
+
+  it('SHOULD fall back to devicePixelRatio and clamp to the screenshot', () => {
+    const crop = window.__fitlyComputeCropBox(
+      { x: 1200, y: 700, width: 200, height: 200 },
+      { width: 0, height: 0 },
+      { width: 1280, height: 800 },
+      1.5
+    )
+    expect(crop).toEqual({ sx: 1800, sy: 1050, sw: 120, sh: 150 })
+  })
+})
+
+describe('region overlay', () => {
+  it('SHOULD open in its own shadow root, show actions after a drag and close on Escape', async () => {
+    listeners.forEach(listener => listener({ type: 'START_REGION_CAPTURE' }, {}, () => { }))
+
+    const root = await vi.waitFor(() => {
+      expect(roots['fitly-region-capture']?.querySelector('.fitly-region-overlay')).toBeTruthy()
+      return roots['fitly-region-capture']
+    })
+    expect(document.querySelector('.fitly-region-overlay')).toBeNull()
+
+    const overlay = root.querySelector('.fitly-region-overlay')
+    overlay.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, button: 0, clientX: 10, clientY: 10 }))
+    overlay.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, clientX: 15, clientY: 15 }))
+    // Khung quá nhỏ → chưa hiện nút
+    expect(root.querySelector('.fitly-region-actions').classList).not.toContain('is-visible')
+
+    overlay.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, button: 0, clientX: 200, clientY: 150 }))
+    overlay.dispatchEvent(new MouseEvent('mousemove', { bubbles: true, clientX: 60, clientY: 40 }))
+    overlay.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, clientX: 60, clientY: 40 }))
+    const box = root.querySelector('.fitly-region-box')
+    expect([box.style.left, box.style.top, box.style.width, box.style.height]).toEqual(['60px', '40px', '140px', '110px'])
+    expect(root.querySelector('.fitly-region-actions').classList).toContain('is-visible')
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    expect(root.querySelector('.fitly-region-overlay')).toBeNull()
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled()
+  })
+})
+
+describe('background region capture', () => {
+  const tab = { id: 5, windowId: 2, url: 'https://shop.vn/ao' }
+  let session
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    session = {}
+    global.chrome.storage.session = { set: vi.fn(async items => Object.assign(session, items)) }
+    global.chrome.sidePanel = { open: vi.fn(async () => undefined) }
+    global.chrome.notifications = { create: vi.fn() }
+    global.chrome.tabs = {
+      sendMessage: vi.fn(async () => ({ product: null })),
+      captureVisibleTab: vi.fn(async () => PNG)
+    }
+    global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+  })
+
+  afterEach(() => vi.useRealTimers())
+
+  it('SHOULD capture the visible tab of the sender window as PNG', async () => {
+    expect(await handleCaptureVisibleTab(tab)).toEqual({ success: true, dataUrl: PNG })
+    expect(chrome.tabs.captureVisibleTab).toHaveBeenCalledWith(2, { format: 'png' })
+
+    chrome.tabs.captureVisibleTab.mockRejectedValueOnce(new Error('Cannot access contents of the page'))
+    expect(await handleCaptureVisibleTab(tab)).toMatchObject({ success: false })
+  })
+
+  it('SHOULD hand the crop to the try-on and wardrobe flows without reopening the side panel', async () => {
+    await handleRegionCaptured({ dataUrl: PNG, purpose: 'tryon', pageUrl: tab.url, sidePanelOpen: true }, tab)
+    expect(session).toMatchObject({ pending_clothing_image: PNG, pending_source_url: tab.url })
+
+    // base64 chứa "dress" không được làm sai category
+    const dataUrl = 'data:image/jpeg;base64,/9j/dressAAA'
+    await handleRegionCaptured({ dataUrl, purpose: 'wardrobe', pageUrl: tab.url, sidePanelOpen: true }, tab)
+    expect(session.pending_wardrobe_item).toMatchObject({ imageUrl: dataUrl, detectedCategory: 'top', sourceName: 'shop.vn' })
+    expect(chrome.sidePanel.open).not.toHaveBeenCalled()
+
+    // Bắt đầu từ nút hover trên trang (sidebar có thể đang đóng) → mở sidebar
+    await handleRegionCaptured({ dataUrl: PNG, purpose: 'tryon', pageUrl: tab.url }, tab)
+    expect(chrome.sidePanel.open).toHaveBeenCalledTimes(1)
+  })
+
+  it('SHOULD reject payloads that are not image data URLs', async () => {
+    const result = await handleRegionCaptured({ dataUrl: 'https://evil.example/x.png', purpose: 'tryon' }, tab)
+    expect(result).toMatchObject({ success: false })
+    expect(session).toEqual({})
+  })
+})
@@ -0,0 +1,74 @@
+/**
+ * File: tests/request_idempotency.test.js
+ * Purpose: Verify runIdempotent — cùng request id không bao giờ chạy executor (trừ gems) lần 2
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: requestId + executor giả lập handleProcessTryOn / handleEditImage
+ * - Output: số lần executor được gọi + response shape trả về sidebar
+ *
+ * Flow:
+ * 1. Request thành công → gửi lại cùng id → trả kết quả gốc kèm already_processed
+ * 2. Hai request song song cùng id → executor chỉ chạy 1 lần
+ * 3. Request lỗi → không ghi nhớ, retry cùng id được chạy lại
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { runIdempotent, getRememberedResult } from '../background/request_idempotency.js'
+
+describe('runIdempotent', () => {
+  beforeEach(() => {
+    resetMockStorage()
+  })
+
+  it('SHOULD return the original result without re-running when the same request id is retried', async () => {
+    const executor = vi.fn(async () => ({ success: true, result_image_url: 'https://cdn/result.jpg', gems_used: 5 }))
+
+    const first = await runIdempotent('req-1', executor)
+    const second = await runIdempotent('req-1', executor)
+
+    expect(executor).toHaveBeenCalledTimes(1)
+    expect(first.already_processed).toBeUndefined()
+    expect(second).toMatchObject({ success: true, result_image_url: 'https://cdn/result.jpg', already_processed: true })
+  })
+
+  it('SHOULD share one in-flight execution between concurrent calls with the same id', async () => {
+    let resolveExecutor
+    const executor = vi.fn(() => new Promise(resolve => { resolveExecutor = resolve }))
+
+    const first = runIdempotent('req-2', executor)
+    const second = runIdempotent('req-2', executor)
+    await vi.waitFor(() => expect(resolveExecutor).toBeDefined())
+    resolveExecutor({ success: true, result_image_url: 'https://cdn/shared.jpg' })
+
+    const [a, b] = await Promise.all([first, second])
+    expect(executor).toHaveBeenCalledTimes(1)
+    expect(a.result_image_url).toBe(b.result_image_url)
+    expect(b.already_processed).toBe(true)
+  })
+
+  it('SHOULD NOT remember failures so a retry with the same id runs again', async () => {
+    const executor = vi.fn()
+      .mockResolvedValueOnce({ success: false, error: 'Lỗi kết nối', errorCode: 'NETWORK_ERROR' })
+      .mockResolvedValueOnce({ success: true, resultImage: 'https://cdn/edited.jpg' })
+
+    const first = await runIdempotent('req-3', executor, 'alreadyProcessed')
+    const second = await runIdempotent('req-3', executor, 'alreadyProcessed')
+    const third = await runIdempotent('req-3', executor, 'alreadyProcessed')
+
+    expect(first.success).toBe(false)
+    expect(second.success).toBe(true)
+    expect(third.alreadyProcessed).toBe(true)
+    expect(executor).toHaveBeenCalledTimes(2)
+  })
+
+  it('SHOULD run executor directly when no request id is given', async () => {
+    const executor = vi.fn(async () => ({ success: true }))
+
+    await runIdempotent(undefined, executor)
+    await runIdempotent(undefined, executor)
+
+    expect(executor).toHaveBeenCalledTimes(2)
+    expect(await getRememberedResult(undefined)).toBeNull()
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * File: tests/resume_tryon_jobs.test.js
+ * Purpose: Verify resumePendingTryonJobs không trừ gems lần 2 cho job đã xong trong lúc sidebar đóng —
+ *          balance lấy lại từ server thay cho phép trừ cục bộ
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: GET_TRYON_JOBS trả job 'completed' chưa giao, GET_GEMS_BALANCE trả balance server
+ * - Output: state.gemsBalance, kết quả thêm vào gallery (addResult), ACK_TRYON_JOB
+ *
+ * Flow:
+ * 1. Sidebar mở lại → balance load từ profile đã trừ lượt của job
+ * 2. resumePendingTryonJobs → applyTryOnResponse({ resumed }) → không trừ → GET_GEMS_BALANCE
+ *
+ * Edge Cases:
+ * - handle_tryon_processing.js là plain script — hàm sidebar khác gắn lên globalThis
+ * - jsdom không tải ảnh → Image giả lập load ngay để validateTryOnResult pass
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+const FINISHED_JOB = {
+  id: 'job-done',
+  status: 'completed',
+  result: { success: true, result_image_url: 'https://cdn/result.jpg', tryon_id: 'tryon-1', gems_used: 1 },
+  meta: { clothingUrl: 'https://shop/tee.jpg', modelUrl: 'https://cdn/model.jpg' }
+}
+
+let serverBalance
+
+function sentMessages(type) {
+  return chrome.runtime.sendMessage.mock.calls.map(([message]) => message).filter(message => message.type === type)
+}
+
+beforeAll(async () => {
+  globalThis.Image = class {
+    set src(value) {
+      this.naturalWidth = 512
+      this.naturalHeight = 768
+      if (value) setTimeout(() => this.onload?.(), 0)
+    }
+  }
+
+  Object.assign(globalThis, {
+    state: {},
+    elements: {},
+    GEM_COST_STANDARD: 1,
+    t: key => key,
+    showToast: vi.fn(),
+    showLoading: vi.fn(),
+    updateProgress: vi.fn(),
+    showErrorOverlay: vi.fn(),
+    addResult: vi.fn(imageUrl => ({ id: 1, imageUrl })),
+    loadUserModels: vi.fn(async () => { }),
+    loadRecentClothing: vi.fn(async () => { }),
+    updateUI: vi.fn()
+  })
+
+  await import('../sidebar/modules/handle_tryon_processing.js')
+})
+
+beforeEach(() => {
+  serverBalance = 9
+  Object.assign(state, { gemsBalance: 9, tryonProcessing: false, results: [] })
+  addResult.mockClear()
+  chrome.runtime.sendMessage = vi.fn(async (message) => {
+    if (message.type === 'GET_TRYON_JOBS') return { success: true, jobs: [FINISHED_JOB] }
+    if (message.type === 'GET_GEMS_BALANCE') return serverBalance === undefined ? { success: false } : { success: true, balance: serverBalance }
+    return { success: true }
+  })
+})
+
+describe('resumePendingTryonJobs', () => {
+  it('SHOULD deliver a finished job without charging its gems again', async () => {
+    serverBalance = undefined // GET_GEMS_BALANCE lỗi → giữ balance đang có
+    await window.resumePendingTryonJobs()
+
+    expect(addResult).toHaveBeenCalledWith('https://cdn/result.jpg', 'https://shop/tee.jpg', 'https://cdn/model.jpg', null, 'tryon-1', expect.any(Object))
+    expect(sentMessages('ACK_TRYON_JOB')).toEqual([{ type: 'ACK_TRYON_JOB', data: { jobId: 'job-done' } }])
+    expect(state.gemsBalance).toBe(9)
+  })
+
+  it('SHOULD take the balance from the server after resuming', async () => {
+    serverBalance = 7
+    await window.resumePendingTryonJobs()
+
+    expect(sentMessages('GET_GEMS_BALANCE')).toHaveLength(1)
+    expect(state.gemsBalance).toBe(7)
+  })
+
+  it('SHOULD still charge the local balance for a fresh try-on result', async () => {
+    await window.acceptTryOnResult(FINISHED_JOB.result, FINISHED_JOB.meta)
+    expect(state.gemsBalance).toBe(8)
+  })
+})
@@ -0,0 +1,148 @@
+/**
+ * File: tests/shadow_dom_isolation.test.js
+ * Purpose: Verify UI inject vào trang nằm trong closed shadow root (1 host / feature) — popup kết quả vẫn kéo thả,
+ *          lên trên cùng khi bấm; tooltip / toast / login overlay / nút hover không còn nằm trong DOM của trang
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: message CREATE_RESULT_POPUP / START_IMAGE_SELECTION / SHOW_LOGIN_OVERLAY, trang jsdom có 1 ảnh sản phẩm
+ * - Output: shadow root bắt được qua attachShadow (mode closed → host.shadowRoot === null)
+ *
+ * Flow:
+ * 1. FitlyShadowHost: 1 host / tag, gắn lại khi trang gỡ host
+ * 2. Popup kết quả: drag header + document mousemove, mousedown → z-index cao nhất
+ * 3. Tooltip / toast chọn ảnh, login overlay: trong root riêng, Escape vẫn đóng overlay
+ * 4. Nút hover: slot đặt theo toạ độ ảnh, không chèn vào anchor của trang, tắt site → gỡ hết
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest'
+
+/** localName của host → closed shadow root */
+const roots = {}
+const listeners = []
+
+const send = message => listeners.forEach(listener => listener(message, {}, () => { }))
+
+const fakeRect = (top, left, width, height) => ({ top, left, width, height, right: left + width, bottom: top + height, x: left, y: top })
+
+beforeAll(async () => {
+  const attachShadow = Element.prototype.attachShadow
+  vi.spyOn(Element.prototype, 'attachShadow').mockImplementation(function (init) {
+    const root = attachShadow.call(this, init)
+    roots[this.localName] = root
+    return root
+  })
+
+  document.body.innerHTML = '<a id="card" href="/p/1"><img id="product" src="https://cdn.shop.vn/ao.jpg" alt="Áo"></a>'
+  document.getElementById('product').getBoundingClientRect = () => fakeRect(40, 20, 400, 500)
+  document.getElementById('card').getBoundingClientRect = () => fakeRect(40, 20, 400, 500)
+  window.__fitlyIsFashionPage = true
+
+  global.chrome.runtime.onMessage = { addListener: vi.fn(listener => listeners.push(listener)) }
+  global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+
+  await import('../lib/shadow_host.js')
+  await import('../lib/image_resolver.js')
+  await import('../lib/image_scan_scheduler.js')
+  await import('../content_scripts/inject_sidebar.js')
+  await import('../content_scripts/google_login_overlay.js')
+  await import('../content_scripts/inject_image_hover_button.js')
+})
+
+describe('FitlyShadowHost', () => {
+  it('SHOULD keep one closed host per feature and re-mount it when the page drops it', () => {
+    const { getShadowRoot, isFitlyHost } = window.FitlyShadowHost
+    const root = getShadowRoot('fitly-test-ui', '.x { color: red; }')
+
+    expect(getShadowRoot('fitly-test-ui')).toBe(root)
+    expect(root.mode).toBe('closed')
+    expect(root.host.shadowRoot).toBeNull()
+    expect(root.querySelector('style').textContent).toContain('.x')
+    expect(isFitlyHost(root.host)).toBe(true)
+    expect(isFitlyHost(document.body)).toBe(false)
+
+    root.host.remove()
+    expect(getShadowRoot('fitly-test-ui').host.isConnected).toBe(true)
+    expect(document.querySelectorAll('fitly-test-ui')).toHaveLength(1)
+  })
+})
+
+describe('result popups', () => {
+  it('SHOULD render inside the popup host and keep drag + bring-to-front working', () => {
+    send({ type: 'CREATE_RESULT_POPUP', data: { id: 'a', imageUrl: 'data:image/png;base64,AAAA', index: 1 } })
+    send({ type: 'CREATE_RESULT_POPUP', data: { id: 'b', imageUrl: 'data:image/png;base64,BBBB', index: 2 } })
+
+    const root = roots['fitly-result-popups']
+    expect(document.querySelector('.fitly-result-popup, #fitly-popup-container')).toBeNull()
+    const [first, second] = root.querySelectorAll('.fitly-result-popup')
+    expect(second).toBeDefined()
+
+    const header = first.querySelector('.fitly-popup-header')
+    header.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, composed: true, clientX: 100, clientY: 100 }))
+    expect(Number(first.style.zIndex)).toBeGreaterThan(Number(second.style.zIndex))
+
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 150, clientY: 130 }))
+    document.dispatchEvent(new MouseEvent('mouseup'))
+    expect(first.style.left).toBe('50px')
+    expect(first.style.top).toBe('30px')
+
+    second.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, composed: true }))
+    expect(Number(second.style.zIndex)).toBeGreaterThan(Number(first.style.zIndex))
+  })
+})
+
+describe('notices and login overlay', () => {
+  it('SHOULD show the selection tooltip and toast in their own host', () => {
+    send({ type: 'START_IMAGE_SELECTION' })
+
+    const root = roots['fitly-page-notices']
+    expect(document.querySelector('.vt-tooltip, .vt-notification')).toBeNull()
+    expect(root.querySelector('.vt-notification').textContent).toContain('1 ảnh')
+    expect(root.querySelector('.vt-tooltip')).not.toBeNull()
+    // Highlight vẫn gắn lên ảnh của trang (sidebar.css)
+    expect(document.getElementById('product').classList).toContain('vt-selectable')
+
+    send({ type: 'STOP_IMAGE_SELECTION' })
+    expect(root.querySelector('.vt-tooltip')).toBeNull()
+  })
+
+  it('SHOULD isolate the login overlay and still close it with Escape', async () => {
+    send({ type: 'SHOW_LOGIN_OVERLAY' })
+
+    const root = roots['fitly-login-overlay']
+    expect(document.getElementById('fitly-google-login-overlay')).toBeNull()
+    expect(root.getElementById('fitly-google-login-overlay')).not.toBeNull()
+    expect(root.querySelector('style').textContent).not.toContain('!important')
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    await vi.waitFor(() => expect(root.getElementById('fitly-google-login-overlay')).toBeNull())
+  })
+})
+
+describe('hover buttons', () => {
+  it('SHOULD place buttons over the image without touching the page DOM', async () => {
+    await vi.waitFor(() => expect(roots['fitly-hover-buttons']?.querySelector('.fitly-hover-slot')).toBeTruthy(), { timeout: 3000 })
+
+    const root = roots['fitly-hover-buttons']
+    const card = document.getElementById('card')
+    const slot = root.querySelector('.fitly-hover-slot')
+    const container = slot.querySelector('.fitly-hover-container')
+    expect(card.querySelector('[data-fitly-btn-container]')).toBeNull()
+    expect(card.style.position).toBe('')
+
+    card.dispatchEvent(new MouseEvent('mouseenter'))
+    expect(slot.style.top).toBe('40px')
+    expect(slot.style.left).toBe('420px')
+    expect(container.classList).toContain('fitly-hover-container-visible')
+
+    // Chuột sang nút (trang thấy relatedTarget là host) → nút vẫn hiện
+    card.dispatchEvent(new MouseEvent('mouseleave', { relatedTarget: root.host }))
+    expect(container.classList).toContain('fitly-hover-container-visible')
+    card.dispatchEvent(new MouseEvent('mouseleave', { relatedTarget: document.body }))
+    expect(container.classList).not.toContain('fitly-hover-container-visible')
+
+    window.dispatchEvent(new CustomEvent('fitly:site-mode-changed', { detail: { mode: 'never', isFashion: false } }))
+    expect(root.querySelector('[data-fitly-btn-container]')).toBeNull()
+    expect(card.dataset.fitlyAttached).toBeUndefined()
+  })
+})
@@ -0,0 +1,86 @@
+/**
+ * File: tests/site_rules.test.js
+ * Purpose: Verify luật bật / tắt theo site (always / auto / never) — chuẩn hoá domain, luật domain cha
+ *          áp dụng cho subdomain, và detect_fashion_page áp luật trước bộ nhận diện
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: site_rules trong chrome.storage.local, trang jsdom (localhost, không có tín hiệu thời trang)
+ * - Output: window.__fitlyIsFashionPage, event 'fitly:site-mode-changed'
+ *
+ * Flow:
+ * 1. FitlySiteRules: normalizeDomain, findSiteRule, setSiteRule / removeSiteRule
+ * 2. detect_fashion_page: luật 'always' bật trang không có tín hiệu, đổi sang 'never' → tắt ngay không cần reload
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+let storageListeners = []
+
+beforeAll(async () => {
+  global.chrome.storage.onChanged = { addListener: vi.fn(listener => storageListeners.push(listener)) }
+  global.chrome.runtime.onMessage = { addListener: vi.fn() }
+  await import('../lib/fashion_sites.js')
+  await import('../lib/fashion_page_scoring.js')
+})
+
+beforeEach(() => resetMockStorage())
+
+describe('FitlySiteRules', () => {
+  it('SHOULD normalise user input to a hostname', () => {
+    const { normalizeDomain } = window.FitlySiteRules
+    expect(normalizeDomain('https://www.Boutique.vn/ao-dai?x=1')).toBe('boutique.vn')
+    expect(normalizeDomain('*.shop.com')).toBe('shop.com')
+    expect(normalizeDomain(' m.shop.com/path ')).toBe('m.shop.com')
+    expect(normalizeDomain('not a domain')).toBeNull()
+    expect(normalizeDomain('')).toBeNull()
+  })
+
+  it('SHOULD apply the most specific rule, including parent domains', () => {
+    const { findSiteRule, getSiteMode, isBuiltInFashionDomain } = window.FitlySiteRules
+    const rules = { 'shop.vn': 'never', 'men.shop.vn': 'always' }
+    expect(findSiteRule('m.shop.vn', rules)).toEqual({ domain: 'shop.vn', mode: 'never' })
+    expect(getSiteMode('men.shop.vn', rules)).toBe('always')
+    expect(getSiteMode('other.vn', rules)).toBe('auto')
+    expect(isBuiltInFashionDomain('www.zara.com')).toBe(true)
+    expect(isBuiltInFashionDomain('notzara.com')).toBe(false)
+  })
+
+  it('SHOULD drop "auto" rules unless they override a parent rule', async () => {
+    const { setSiteRule, removeSiteRule, loadSiteRules } = window.FitlySiteRules
+    expect(await setSiteRule('https://www.shop.vn/sale', 'never')).toEqual({ success: true, domain: 'shop.vn', mode: 'never' })
+    await setSiteRule('blog.shop.vn', 'auto')
+    await setSiteRule('boutique.vn', 'always')
+    await setSiteRule('boutique.vn', 'auto')
+    expect(await loadSiteRules()).toEqual({ 'shop.vn': 'never', 'blog.shop.vn': 'auto' })
+
+    expect(await setSiteRule('shop', 'never')).toMatchObject({ success: false, error: 'INVALID_DOMAIN' })
+    expect(await setSiteRule('shop.vn', 'sometimes')).toMatchObject({ success: false, error: 'INVALID_MODE' })
+
+    await removeSiteRule('shop.vn')
+    expect(await loadSiteRules()).toEqual({ 'blog.shop.vn': 'auto' })
+  })
+})
+
+describe('detect_fashion_page with site rules', () => {
+  it('SHOULD honour "always" and switch off live when the rule becomes "never"', async () => {
+    document.title = 'Company blog'
+    document.body.innerHTML = '<p>Quarterly report</p>'
+    await chrome.storage.local.set({ site_rules: { localhost: 'always' } })
+
+    await import('../content_scripts/detect_fashion_page.js')
+    await vi.waitFor(() => expect(window.__fitlyIsFashionPage).toBe(true))
+    expect(window.__fitlyGetSiteMode()).toBe('always')
+
+    const onModeChanged = vi.fn()
+    window.addEventListener('fitly:site-mode-changed', e => onModeChanged(e.detail))
+    storageListeners.forEach(listener => listener({ site_rules: { newValue: { localhost: 'never' } } }, 'local'))
+
+    expect(window.__fitlyIsFashionPage).toBe(false)
+    expect(onModeChanged).toHaveBeenCalledWith({ mode: 'never', isFashion: false })
+
+    // Xoá luật → quay về tự nhận diện (trang không có tín hiệu thời trang)
+    storageListeners.forEach(listener => listener({ site_rules: { newValue: {} } }, 'local'))
+    expect(onModeChanged).toHaveBeenLastCalledWith({ mode: 'auto', isFashion: false })
+  })
+})
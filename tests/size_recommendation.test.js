@@ -0,0 +1,132 @@
+/**
+ * File: tests/size_recommendation.test.js
+ * Purpose: Verify đọc bảng size trên trang (cm/inch, size chữ/số, bảng xoay ngang) và gợi ý size
+ *          theo profile số đo của ảnh mẫu
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: DOM bảng size giả lập trong jsdom, profile số đo (cm)
+ * - Output: chart { garment, sizes[{ label, measurements }] } (cm), recommendation { size, fit, alternative }
+ *
+ * Flow:
+ * 1. Bảng theo hàng tiếng Việt (cm, "1m60-1m65") và bảng xoay ngang theo inch
+ * 2. recommendSize chọn size lệch ít nhất, báo chật / rộng + size thay thế
+ * 3. Lưu profile nhập bằng inch → quy về cm, giá trị vô lý bị chặn
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+
+import { recommendSize, handleSaveModelMeasurements, handleGetSizeRecommendation } from '../background/size_recommendation.js'
+
+beforeAll(async () => {
+  global.chrome.runtime.onMessage = { addListener: vi.fn() }
+  await import('../content_scripts/parse_size_chart.js')
+})
+
+const parse = () => window.__fitlyParseSizeCharts()
+
+describe('parse_size_chart', () => {
+  it('SHOULD read a Vietnamese size table by rows in cm', () => {
+    document.body.innerHTML = `
+      <h4>Bảng size áo (đơn vị: cm)</h4>
+      <table>
+        <tr><th>Size</th><th>Chiều cao</th><th>Cân nặng</th><th>Vòng ngực</th><th>Vòng eo</th></tr>
+        <tr><td>S</td><td>1m55-1m60</td><td>45-50</td><td>80-84</td><td>64-68</td></tr>
+        <tr><td>M</td><td>1m60-1m65</td><td>50-55</td><td>84-88</td><td>68-72</td></tr>
+        <tr><td>L</td><td>1m65-1m70</td><td>55-60</td><td>88-92</td><td>72-76</td></tr>
+      </table>
+      <table><tr><td>Phí ship</td><td>30.000đ</td></tr><tr><td>Đổi trả</td><td>7 ngày</td></tr></table>
+    `
+    const charts = parse()
+    expect(charts).toHaveLength(1)
+    expect(charts[0]).toMatchObject({ garment: 'top', sourceUnit: 'cm', dimensions: ['height', 'chest', 'waist'] })
+    expect(charts[0].sizes[1]).toEqual({
+      label: 'M',
+      measurements: { height: { min: 160, max: 165 }, chest: { min: 84, max: 88 }, waist: { min: 68, max: 72 } }
+    })
+  })
+
+  it('SHOULD read a transposed inch table with numeric sizes', () => {
+    document.body.innerHTML = `
+      <table>
+        <tr><td>Size</td><td>28</td><td>30</td><td>32</td></tr>
+        <tr><td>Waist (in)</td><td>28</td><td>30</td><td>32</td></tr>
+        <tr><td>Inseam (in)</td><td>30,5</td><td>31</td><td>31.5</td></tr>
+      </table>
+    `
+    const [chart] = parse()
+    expect(chart).toMatchObject({ garment: 'bottom', sourceUnit: 'in' })
+    expect(chart.sizes.map(s => s.label)).toEqual(['28', '30', '32'])
+    expect(chart.sizes[0].measurements).toEqual({ waist: { min: 71.1, max: 71.1 }, inseam: { min: 77.5, max: 77.5 } })
+  })
+})
+
+describe('recommendSize', () => {
+  const chart = {
+    garment: 'top',
+    sizes: ['S', 'M', 'L'].map((label, i) => ({
+      label,
+      measurements: { chest: { min: 80 + i * 4, max: 84 + i * 4 }, waist: { min: 64 + i * 4, max: 68 + i * 4 } }
+    }))
+  }
+
+  it('SHOULD pick the size whose ranges contain the measurements', () => {
+    expect(recommendSize(chart, { chest: 86, waist: 70, height: 170 })).toMatchObject({
+      size: 'M',
+      fit: 'good',
+      alternative: null,
+      details: [
+        { dimension: 'chest', body: 86, min: 84, max: 88, status: 'fit' },
+        { dimension: 'waist', body: 70, min: 68, max: 72, status: 'fit' }
+      ]
+    })
+  })
+
+  it('SHOULD explain a snug or loose fit and suggest the neighbouring size', () => {
+    expect(recommendSize(chart, { chest: 97 })).toMatchObject({ size: 'L', fit: 'snug', alternative: null })
+    expect(recommendSize(chart, { chest: 75 })).toMatchObject({ size: 'S', fit: 'relaxed', alternative: null })
+    expect(recommendSize(chart, { footLength: 25 })).toBeNull()
+  })
+})
+
+describe('measurement profiles', () => {
+  beforeEach(() => resetMockStorage())
+
+  it('SHOULD store inch input in cm and reject implausible values', async () => {
+    const saved = await handleSaveModelMeasurements({ modelId: 'model-1', unit: 'in', measurements: { chest: '34', waist: '', height: 67 } })
+    expect(saved.measurements).toMatchObject({ chest: 86.4, height: 170.2 })
+    expect(saved.measurements.waist).toBeUndefined()
+
+    const invalid = await handleSaveModelMeasurements({ modelId: 'model-1', unit: 'cm', measurements: { waist: 700 } })
+    expect(invalid).toMatchObject({ success: false, field: 'waist' })
+  })
+
+  it('SHOULD recommend from the chart of the open product tab', async () => {
+    const chart = {
+      garment: 'top',
+      sizes: [{ label: 'M', measurements: { chest: { min: 84, max: 88 } } }, { label: 'L', measurements: { chest: { min: 88, max: 92 } } }]
+    }
+    const session = {}
+    global.chrome.storage.session = {
+      get: vi.fn(async key => ({ [key]: session[key] })),
+      set: vi.fn(async items => Object.assign(session, items))
+    }
+    global.chrome.tabs = {
+      query: vi.fn(async () => [{ id: 3, url: 'https://shop.vn/ao-thun?color=den' }]),
+      sendMessage: vi.fn(async () => ({ charts: [chart] }))
+    }
+
+    expect(await handleGetSizeRecommendation({ modelId: 'model-1', sourceUrl: 'https://shop.vn/ao-thun' }))
+      .toMatchObject({ recommendation: null, reason: 'NO_PROFILE' })
+
+    await handleSaveModelMeasurements({ modelId: 'model-1', measurements: { chest: 90.5 } })
+    const response = await handleGetSizeRecommendation({ modelId: 'model-1', sourceUrl: 'https://shop.vn/ao-thun/' })
+    expect(response.recommendation).toMatchObject({ size: 'L', fit: 'good' })
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, { type: 'GET_SIZE_CHART' })
+
+    // Tab sản phẩm đã đóng → dùng bảng size cache trong session
+    chrome.tabs.query.mockResolvedValue([])
+    expect((await handleGetSizeRecommendation({ modelId: 'model-1', sourceUrl: 'https://shop.vn/ao-thun' })).recommendation)
+      .toMatchObject({ size: 'L' })
+  })
+})
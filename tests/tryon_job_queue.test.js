@@ -0,0 +1,225 @@
+/**
+ * File: tests/tryon_job_queue.test.js
+ * Purpose: Verify hàng đợi try-on bền vững sống sót qua Service Worker restart — chạy tiếp job 'queued',
+ *          lấy lại kết quả job mồ côi từ tryon_history (theo request_id hoặc cache key), giới hạn
+ *          MAX_JOB_ATTEMPTS và tắt alarm khi không còn job nào
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: job seed sẵn trong chrome.storage.local.fitly_tryon_jobs (như SW cũ để lại),
+ *   handleProcessTryOn giả lập, fetch giả lập trả row tryon_history
+ * - Output: status / result của job, URL tra tryon_history, chrome.alarms.create / clear
+ *
+ * Flow:
+ * 1. SW restart = vi.resetModules + import lại tryon_job_queue.js (Set job đang chạy rỗng)
+ * 2. resumeTryonJobs → job 'queued' chạy lại; job 'running' mồ côi → recoverOrphanedJob
+ * 3. recoverOrphanedJob: server đã xong → completed; còn trong cửa sổ server → chờ;
+ *    hết cửa sổ → chạy lại nếu attempts < MAX_JOB_ATTEMPTS, không thì JOB_INTERRUPTED
+ *
+ * Edge Cases:
+ * - Job cũ không có request_id → tra bằng cache key do computeTryonCacheKey tính lúc gửi request
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createHash } from 'node:crypto'
+
+const mocks = vi.hoisted(() => ({ handleProcessTryOn: vi.fn() }))
+
+vi.mock('../background/auth_state_manager.js', () => ({
+  getAuthToken: vi.fn(async () => 'mock-jwt-token')
+}))
+vi.mock('../background/process_tryon.js', () => ({
+  handleProcessTryOn: mocks.handleProcessTryOn,
+  handleRefundGems: vi.fn(async () => ({ success: true }))
+}))
+vi.mock('../background/session_ready_gate.js', () => ({ sessionReady: Promise.resolve() }))
+
+const JOBS_KEY = 'fitly_tryon_jobs'
+const MINUTE = 60 * 1000
+const REQUEST = {
+  model_image: 'https://cdn/model.jpg',
+  clothing_images: [{ image: 'https://shop/tee.jpg', category: 'top' }],
+  quality: 'standard'
+}
+
+let alarms
+
+/** SW mới khởi động — module state (job đang chạy, controller) về rỗng, storage giữ nguyên */
+async function restartServiceWorker() {
+  vi.resetModules()
+  return import('../background/tryon_job_queue.js')
+}
+
+function seedJob(overrides) {
+  const now = Date.now()
+  return {
+    id: 'job-1',
+    status: 'running',
+    request: { person_image: REQUEST.model_image },
+    requestId: null,
+    meta: {},
+    cacheKey: null,
+    result: null,
+    error: null,
+    errorCode: null,
+    attempts: 1,
+    delivered: false,
+    createdAt: now - 10 * MINUTE,
+    startedAt: now - 10 * MINUTE,
+    finishedAt: null,
+    ...overrides
+  }
+}
+
+async function seedJobs(...jobs) {
+  await chrome.storage.local.set({ [JOBS_KEY]: Object.fromEntries(jobs.map(job => [job.id, job])) })
+}
+
+async function storedJob(id) {
+  return (await chrome.storage.local.get(JOBS_KEY))[JOBS_KEY][id]
+}
+
+function historyLookups() {
+  return global.fetch.mock.calls.map(([url]) => url).filter(url => url.includes('/tryon_history?') && url.includes('status=eq.completed'))
+}
+
+beforeEach(() => {
+  resetMockStorage()
+  mocks.handleProcessTryOn.mockReset()
+  alarms = new Set()
+  global.chrome.alarms = {
+    get: vi.fn(async name => (alarms.has(name) ? { name } : null)),
+    create: vi.fn(async name => { alarms.add(name) }),
+    clear: vi.fn(async name => alarms.delete(name))
+  }
+  global.chrome.tabs = { query: vi.fn(async () => []), sendMessage: vi.fn(async () => { }) }
+  global.chrome.runtime.sendMessage = vi.fn(() => Promise.resolve())
+  global.fetch = vi.fn(async () => ({ ok: true, json: async () => [] }))
+})
+
+describe('resume after a service worker restart', () => {
+  it('SHOULD run a queued job the old worker never started', async () => {
+    mocks.handleProcessTryOn.mockResolvedValue({ success: true, result_image_url: 'https://cdn/result.jpg' })
+    await seedJobs(seedJob({ status: 'queued', attempts: 0, startedAt: null }))
+
+    const queue = await restartServiceWorker()
+    const { resumed } = await queue.resumeTryonJobs()
+    expect(resumed).toBe(1)
+
+    await vi.waitFor(async () => expect((await storedJob('job-1')).status).toBe('completed'))
+    const job = await storedJob('job-1')
+    expect(job.attempts).toBe(1)
+    expect(job.result.result_image_url).toBe('https://cdn/result.jpg')
+  })
+
+  it('SHOULD recover a running job from tryon_history by request_id without calling the server again', async () => {
+    global.fetch = vi.fn(async () => ({
+      ok: true,
+      json: async () => [{ id: 'tryon-9', result_image_url: 'https://cdn/recovered.jpg', gems_used: 1 }]
+    }))
+    await seedJobs(seedJob({ requestId: 'req-42' }))
+
+    const queue = await restartServiceWorker()
+    await queue.handleTryonJobAlarm({ name: queue.TRYON_JOB_ALARM })
+
+    expect(historyLookups()[0]).toContain('request_id=eq.req-42')
+    expect(mocks.handleProcessTryOn).not.toHaveBeenCalled()
+    expect(await storedJob('job-1')).toMatchObject({
+      status: 'completed',
+      result: { success: true, result_image_url: 'https://cdn/recovered.jpg', tryon_id: 'tryon-9', recovered: true }
+    })
+  })
+
+  it('SHOULD match a job without request_id by the cache key computed when the request was sent', async () => {
+    // SW cũ: gửi request (onRequestPrepared lưu cache key) rồi chết trước khi nhận response
+    mocks.handleProcessTryOn.mockImplementation((data, options) => {
+      options.onRequestPrepared(REQUEST)
+      return new Promise(() => { })
+    })
+    const oldQueue = await restartServiceWorker()
+    const { jobId } = await oldQueue.createTryonJob({ person_image: REQUEST.model_image })
+    await vi.waitFor(async () => expect((await storedJob(jobId)).cacheKey).toBeTruthy())
+
+    // Mirror generateCacheKey() của process-tryon
+    const expectedKey = createHash('sha256')
+      .update([REQUEST.model_image, REQUEST.clothing_images[0].image, REQUEST.quality].join('|'))
+      .digest('hex')
+      .slice(0, 32)
+    expect((await storedJob(jobId)).cacheKey).toBe(expectedKey)
+
+    global.fetch = vi.fn(async url => ({
+      ok: true,
+      json: async () => (url.includes(`cache_key=eq.${expectedKey}`)
+        ? [{ id: 'tryon-7', result_image_url: 'https://cdn/by-cache-key.jpg', gems_used: 1 }]
+        : [])
+    }))
+    const queue = await restartServiceWorker()
+    await queue.resumeTryonJobs()
+
+    expect(historyLookups()[0]).toContain(`cache_key=eq.${expectedKey}`)
+    expect(await storedJob(jobId)).toMatchObject({ status: 'completed', result: { tryon_id: 'tryon-7' } })
+  })
+
+  it('SHOULD keep waiting while the server may still be generating', async () => {
+    await seedJobs(seedJob({ cacheKey: 'abc', startedAt: Date.now() - MINUTE }))
+    alarms.add('fitly-tryon-jobs')
+
+    const queue = await restartServiceWorker()
+    await queue.resumeTryonJobs()
+
+    expect((await storedJob('job-1')).status).toBe('running')
+    expect(mocks.handleProcessTryOn).not.toHaveBeenCalled()
+    expect(chrome.alarms.clear).not.toHaveBeenCalled()
+  })
+})
+
+describe('MAX_JOB_ATTEMPTS', () => {
+  it('SHOULD re-run an orphaned job once with the same request_id', async () => {
+    mocks.handleProcessTryOn.mockResolvedValue({ success: true, result_image_url: 'https://cdn/rerun.jpg' })
+    await seedJobs(seedJob({ requestId: 'req-rerun', request: { person_image: REQUEST.model_image, request_id: 'req-rerun' } }))
+
+    const queue = await restartServiceWorker()
+    await queue.resumeTryonJobs()
+
+    await vi.waitFor(async () => expect((await storedJob('job-1')).status).toBe('completed'))
+    expect((await storedJob('job-1')).attempts).toBe(2)
+    expect(mocks.handleProcessTryOn.mock.calls[0][0].request_id).toBe('req-rerun')
+  })
+
+  it('SHOULD fail the job instead of running it a third time', async () => {
+    await seedJobs(seedJob({ attempts: 2 }))
+
+    const queue = await restartServiceWorker()
+    await queue.resumeTryonJobs()
+
+    expect(mocks.handleProcessTryOn).not.toHaveBeenCalled()
+    expect(await storedJob('job-1')).toMatchObject({ status: 'failed', errorCode: 'JOB_INTERRUPTED' })
+  })
+})
+
+describe('job alarm', () => {
+  it('SHOULD arm the alarm for a new job and clear it once no job is active', async () => {
+    let finish
+    mocks.handleProcessTryOn.mockImplementation(() => new Promise(resolve => { finish = resolve }))
+
+    const queue = await restartServiceWorker()
+    const { jobId } = await queue.createTryonJob({ person_image: REQUEST.model_image })
+    expect(chrome.alarms.create).toHaveBeenCalledWith(queue.TRYON_JOB_ALARM, { periodInMinutes: 0.5 })
+    await vi.waitFor(() => expect(finish).toBeDefined())
+    expect(chrome.alarms.clear).not.toHaveBeenCalled()
+
+    finish({ success: true, result_image_url: 'https://cdn/result.jpg' })
+    await vi.waitFor(() => expect(chrome.alarms.clear).toHaveBeenCalledWith(queue.TRYON_JOB_ALARM))
+    expect((await storedJob(jobId)).status).toBe('completed')
+    expect(alarms.size).toBe(0)
+  })
+
+  it('SHOULD clear the alarm when only finished jobs are left after a restart', async () => {
+    await seedJobs(seedJob({ status: 'completed', finishedAt: Date.now() }))
+    alarms.add('fitly-tryon-jobs')
+
+    const queue = await restartServiceWorker()
+    expect(await queue.resumeTryonJobs()).toEqual({ success: true, resumed: 0 })
+    expect(alarms.size).toBe(0)
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * File: tests/tryon_progress_and_cancel.test.js
+ * Purpose: Verify kênh tiến độ try-on qua Port và luồng huỷ job (abort + cờ huỷ server + ledger)
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: port giả lập (sidebar / popup trong trang) + handleProcessTryOn giả lập chờ abort
+ * - Output: message TRYON_PROGRESS nhận được, status job, request PATCH cancel_requested
+ *
+ * Flow:
+ * 1. Port subscribe jobId → nhận stage theo thứ tự, stage lùi bị bỏ qua
+ * 2. cancelTryonJob → request bị abort, job 'failed' / CANCELLED, server được đặt cờ huỷ
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+vi.mock('../background/auth_state_manager.js', () => ({
+  getAuthToken: vi.fn(async () => 'mock-jwt-token')
+}))
+vi.mock('../background/process_tryon.js', () => ({
+  handleProcessTryOn: vi.fn(),
+  handleRefundGems: vi.fn(async () => ({ success: true }))
+}))
+vi.mock('../background/session_ready_gate.js', () => ({ sessionReady: Promise.resolve() }))
+
+import { setupTryonProgressPorts, publishTryonProgress, TRYON_PROGRESS_PORT } from '../background/tryon_progress.js'
+import { createTryonJob, cancelTryonJob, getTryonJob } from '../background/tryon_job_queue.js'
+import { recordGemCharge, listGemLedger } from '../background/gem_ledger.js'
+import { handleProcessTryOn } from '../background/process_tryon.js'
+
+let connectListener = null
+global.chrome.runtime.onConnect = { addListener: vi.fn(listener => { connectListener = listener }) }
+global.chrome.alarms = { get: vi.fn(async () => null), create: vi.fn(async () => { }), clear: vi.fn(async () => true) }
+global.chrome.tabs = { query: vi.fn(async () => []), sendMessage: vi.fn(async () => { }) }
+global.chrome.runtime.sendMessage = vi.fn(() => Promise.resolve())
+setupTryonProgressPorts()
+
+function connectPort(jobId) {
+  const received = []
+  let onMessage = null
+  const port = {
+    name: TRYON_PROGRESS_PORT,
+    postMessage: vi.fn(message => received.push(message)),
+    onMessage: { addListener: listener => { onMessage = listener } },
+    onDisconnect: { addListener: () => { } }
+  }
+  connectListener(port)
+  onMessage({ type: 'SUBSCRIBE', jobId })
+  return received
+}
+
+describe('try-on progress port', () => {
+  it('SHOULD relay stages in order to subscribers of that job only', () => {
+    const received = connectPort('job-a')
+    const other = connectPort('job-b')
+
+    publishTryonProgress('job-a', 'uploading')
+    publishTryonProgress('job-a', 'generating')
+    publishTryonProgress('job-a', 'queued') // poll server chậm — không được kéo lùi
+    publishTryonProgress('job-a', 'completed')
+
+    expect(received.map(m => m.stage)).toEqual(['uploading', 'generating', 'completed'])
+    expect(received.at(-1).percent).toBe(100)
+    expect(other).toHaveLength(0)
+  })
+
+  it('SHOULD send the latest stage to a port that subscribes late', () => {
+    publishTryonProgress('job-late', 'post_processing')
+    const received = connectPort('job-late')
+    expect(received).toEqual([{ type: 'TRYON_PROGRESS', jobId: 'job-late', stage: 'post_processing', percent: 90 }])
+  })
+})
+
+describe('cancelTryonJob', () => {
+  beforeEach(() => {
+    resetMockStorage()
+    handleProcessTryOn.mockReset()
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => [] }))
+  })
+
+  it('SHOULD abort the running request, flag the server row and keep the job cancelled', async () => {
+    let requestSignal
+    handleProcessTryOn.mockImplementation((data, options) => {
+      requestSignal = options.signal
+      return new Promise(resolve => {
+        options.signal.addEventListener('abort', () => resolve({ success: false, errorCode: 'CANCELLED' }))
+      })
+    })
+    await recordGemCharge({ requestId: 'req-cancel', kind: 'tryon', amount: 5 })
+
+    const { jobId } = await createTryonJob({ person_image: 'https://cdn/model.jpg', request_id: 'req-cancel' })
+    await vi.waitFor(() => expect(requestSignal).toBeDefined())
+
+    const result = await cancelTryonJob({ jobId })
+    expect(result.success).toBe(true)
+    expect(requestSignal.aborted).toBe(true)
+
+    const cancelCall = global.fetch.mock.calls.find(([, options]) => options?.method === 'PATCH')
+    expect(cancelCall[0]).toContain('request_id=eq.req-cancel')
+    expect(JSON.parse(cancelCall[1].body)).toEqual({ cancel_requested: true })
+
+    // runTryonJob kết thúc sau abort nhưng không ghi đè trạng thái huỷ
+    await new Promise(resolve => setTimeout(resolve, 0))
+    const { job } = await getTryonJob({ jobId })
+    expect(job).toMatchObject({ status: 'failed', errorCode: 'CANCELLED' })
+
+    const { entries } = await listGemLedger()
+    const entry = entries.find(e => e.requestId === 'req-cancel')
+    expect(entry.status).toBe('pending')
+    expect(entry.reviewAt).toBeGreaterThan(Date.now())
+  })
+
+  it('SHOULD NOT cancel a job that already finished', async () => {
+    handleProcessTryOn.mockResolvedValue({ success: true, result_image_url: 'https://cdn/result.jpg' })
+
+    const { jobId } = await createTryonJob({ person_image: 'https://cdn/model.jpg', request_id: 'req-done' })
+    await vi.waitFor(async () => expect((await getTryonJob({ jobId })).job.status).toBe('completed'))
+
+    const result = await cancelTryonJob({ jobId })
+    expect(result.success).toBe(false)
+    expect((await getTryonJob({ jobId })).job.status).toBe('completed')
+  })
+})
@@ -0,0 +1,168 @@
+/**
+ * File: tests/video_frame_capture.test.js
+ * Purpose: Verify lấy món đồ từ <video> — khung hình gốc qua canvas, nút hover trên video gửi như ảnh quần áo / ảnh mẫu,
+ *          video cross-origin (canvas bị taint) chuyển sang chụp vùng màn hình quanh video, thanh tua khung hình
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: <video> jsdom (readyState / videoWidth giả lập), canvas giả lập (getContext / toDataURL)
+ * - Output: CONTEXT_* message với data URL, overlay <fitly-region-capture> có khung chọn sẵn,
+ *           session pending_model_image / pending_wardrobe_item
+ *
+ * Flow:
+ * 1. Nút hover trên video → CONTEXT_USE_AS_MODEL với khung hình 1080×1920
+ * 2. toDataURL ném SecurityError → overlay chụp vùng chọn sẵn khung video
+ * 3. Thanh tua: bước từng khung, Esc đóng
+ * 4. Background: chuột phải vào video, "Dùng làm ảnh mẫu"
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+
+import { handleContextUseAsModel } from '../background/context_menus.js'
+import { handleContextVideoFrame } from '../background/capture_visible_region.js'
+
+const FRAME = 'data:image/jpeg;base64,FRAME'
+const roots = {}
+const listeners = []
+const drawImage = vi.fn()
+
+const fakeRect = (top, left, width, height) => ({ top, left, width, height, right: left + width, bottom: top + height, x: left, y: top })
+
+let video
+
+beforeAll(async () => {
+  const attachShadow = Element.prototype.attachShadow
+  vi.spyOn(Element.prototype, 'attachShadow').mockImplementation(function (init) {
+    const root = attachShadow.call(this, init)
+    roots[this.localName] = root
+    return root
+  })
+  vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => ({ drawImage }))
+  vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(() => FRAME)
+
+  document.body.innerHTML = '<section class="lookbook"><video id="look" src="https://cdn.shop.vn/look.mp4"></video></section>'
+  video = document.getElementById('look')
+  video.getBoundingClientRect = () => fakeRect(100, 40, 360, 640)
+  Object.defineProperties(video, {
+    readyState: { value: 4 },
+    videoWidth: { value: 1080 },
+    videoHeight: { value: 1920 },
+    duration: { value: 12 },
+    currentTime: { value: 3, writable: true }
+  })
+  video.pause = vi.fn()
+  window.__fitlyIsFashionPage = true
+
+  global.chrome.runtime.onMessage = { addListener: vi.fn(listener => listeners.push(listener)) }
+  global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+
+  await import('../lib/shadow_host.js')
+  await import('../lib/image_resolver.js')
+  await import('../lib/image_scan_scheduler.js')
+  await import('../content_scripts/capture_screen_region.js')
+  await import('../content_scripts/capture_video_frame.js')
+  await import('../content_scripts/inject_image_hover_button.js')
+})
+
+describe('video hover buttons', () => {
+  it('SHOULD send the paused frame at native resolution as a model photo', async () => {
+    const slot = await vi.waitFor(() => {
+      const found = roots['fitly-hover-buttons']?.querySelector('.fitly-hover-slot')
+      expect(found?.querySelector('.fitly-btn-model')).toBeTruthy()
+      return found
+    }, { timeout: 3000 })
+
+    slot.querySelector('.fitly-btn-model').click()
+
+    expect(video.pause).toHaveBeenCalled()
+    expect(drawImage).toHaveBeenCalledWith(video, 0, 0, 1080, 1920)
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'CONTEXT_USE_AS_MODEL',
+      data: expect.objectContaining({ srcUrl: FRAME, pageUrl: window.location.href, sidePanelOpen: false })
+    })
+  })
+})
+
+describe('cross-origin video', () => {
+  it('SHOULD fall back to a region capture preselected on the video', async () => {
+    HTMLCanvasElement.prototype.toDataURL.mockImplementationOnce(() => {
+      throw new DOMException('Tainted canvases may not be exported.', 'SecurityError')
+    })
+    chrome.runtime.sendMessage.mockClear()
+
+    expect(window.__fitlySendVideoFrame(video, 'wardrobe')).toBe('screenshot')
+
+    const root = await vi.waitFor(() => {
+      expect(roots['fitly-region-capture']?.querySelector('.fitly-region-overlay')).toBeTruthy()
+      return roots['fitly-region-capture']
+    })
+    const box = root.querySelector('.fitly-region-box')
+    expect([box.style.left, box.style.top, box.style.width, box.style.height]).toEqual(['40px', '100px', '360px', '640px'])
+    expect(root.querySelector('.fitly-region-actions').classList).toContain('is-visible')
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled()
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    expect(root.querySelector('.fitly-region-overlay')).toBeNull()
+  })
+})
+
+describe('frame scrubber', () => {
+  it('SHOULD step frame by frame and close on Escape', () => {
+    window.__fitlyOpenVideoScrubber(video)
+
+    const root = roots['fitly-video-scrubber']
+    const panel = root.querySelector('.fitly-scrubber')
+    expect(panel.querySelector('.fitly-scrubber-range').max).toBe('12')
+    // Không đủ chỗ dưới video (740 + thanh tua > 768) → đè lên mép dưới video
+    expect(panel.style.top).toBe('648px')
+
+    const [back, forward] = panel.querySelectorAll('.fitly-scrubber-step')
+    forward.click()
+    forward.click()
+    back.click()
+    expect(video.currentTime).toBeCloseTo(3 + 1 / 30)
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    expect(root.querySelector('.fitly-scrubber')).toBeNull()
+  })
+})
+
+describe('background video frame + model photo', () => {
+  const tab = { id: 9, windowId: 4, url: 'https://shop.vn/lookbook' }
+  let session
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    session = {}
+    global.chrome.storage.session = { set: vi.fn(async items => Object.assign(session, items)) }
+    global.chrome.sidePanel = { open: vi.fn(async () => undefined) }
+    global.chrome.notifications = { create: vi.fn() }
+    global.chrome.tabs = { sendMessage: vi.fn(async () => ({ dataUrl: FRAME })) }
+    global.chrome.runtime.sendMessage = vi.fn(async () => undefined)
+  })
+
+  afterEach(() => vi.useRealTimers())
+
+  it('SHOULD store the model photo for the sidebar', async () => {
+    await handleContextUseAsModel({ srcUrl: FRAME, pageUrl: tab.url }, tab)
+
+    expect(chrome.sidePanel.open).toHaveBeenCalledTimes(1)
+    expect(session.pending_model_image).toMatchObject({ imageUrl: FRAME, pageUrl: tab.url })
+    vi.advanceTimersByTime(800)
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'SHOW_PENDING_MODEL' })
+  })
+
+  it('SHOULD ask the video frame for the right-clicked video and fall back to region capture', async () => {
+    await handleContextVideoFrame({ srcUrl: 'https://cdn.shop.vn/look.mp4', pageUrl: tab.url, frameId: 0, purpose: 'wardrobe' }, tab)
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(tab.id,
+      { type: 'CAPTURE_VIDEO_FRAME', srcUrl: 'https://cdn.shop.vn/look.mp4', purpose: 'wardrobe' }, { frameId: 0 })
+    expect(session.pending_wardrobe_item).toMatchObject({ imageUrl: FRAME })
+
+    // Video trong iframe không có content script → chụp vùng ở frame chính
+    chrome.tabs.sendMessage.mockRejectedValueOnce(new Error('Could not establish connection'))
+    await handleContextVideoFrame({ srcUrl: 'https://embed.example/v.mp4', frameId: 3, purpose: 'tryon' }, tab)
+    expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(tab.id,
+      { type: 'START_REGION_CAPTURE', purpose: 'tryon', sidePanelOpen: true }, { frameId: 0 })
+    expect(chrome.sidePanel.open).not.toHaveBeenCalled()
+  })
+})
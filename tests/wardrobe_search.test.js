@@ -0,0 +1,181 @@
+/**
+ * File: tests/wardrobe_search.test.js
+ * Purpose: Verify tìm kiếm tủ đồ trên chỉ mục trong bộ nhớ, tag / ghi chú qua UPDATE_WARDROBE_ITEM
+ *          và smart collection theo luật
+ * Layer: Testing / Unit
+ *
+ * Data Contract:
+ * - Input: demo_wardrobe (cache wardrobe_items) + recent_clothing đặt sẵn trong chrome.storage.local
+ * - Output: response của handleSearchWardrobe / handleGetWardrobe / handleUpdateWardrobeItem / collection handlers
+ *
+ * Flow:
+ * 1. Tìm theo tên (không dấu, tiền tố), tag, brand, domain, màu (tên gốc + nhãn tiếng Việt)
+ * 2. Sửa tag → cả hai nguồn cùng ảnh được ghi, tìm kiếm thấy tag mới
+ * 3. Collection "áo xanh từ zara.com thêm năm nay" → lưu, đếm, lọc, lỗi validate
+ *
+ * Edge Cases:
+ * - Chỉ mục dùng lại giữa các lần tìm, bỏ khi storage.onChanged báo key nguồn đổi
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+vi.mock('../background/auth_state_manager.js', () => ({
+  isDemoMode: vi.fn(async () => true),
+  isGuestMode: vi.fn(async () => false),
+  getAuthToken: vi.fn(async () => null)
+}))
+
+import { handleSearchWardrobe, invalidateWardrobeIndex, watchWardrobeIndex } from '../background/wardrobe_search_index.js'
+import {
+  handleGetWardrobeCollections, handleSaveWardrobeCollection, handleDeleteWardrobeCollection
+} from '../background/wardrobe_collections.js'
+import { handleGetWardrobe, handleUpdateWardrobeItem } from '../background/wardrobe_manager.js'
+
+const thisYear = new Date().toISOString()
+const longAgo = '2020-03-01T10:00:00.000Z'
+
+const WARDROBE = [
+  {
+    id: 'w1', image_url: 'https://zara/blue-shirt.jpg', name: 'Áo sơ mi Oxford', category: 'top', subcategory: 'shirt',
+    source_url: 'https://www.zara.com/vn/en/oxford-shirt-p1.html', product_meta: { brand: 'Zara' },
+    colors: [{ name: 'blue', share: 0.9 }], pattern: 'solid', tags: ['work'], created_at: thisYear
+  },
+  {
+    id: 'w2', image_url: 'https://zara/old-tee.jpg', name: 'Basic tee', category: 'top',
+    source_url: 'https://zara.com/tee', colors: [{ name: 'blue', share: 1 }], pattern: 'solid', created_at: longAgo
+  },
+  {
+    id: 'w3', image_url: 'https://hm/navy-jeans.jpg', name: 'Slim jeans', category: 'bottom', subcategory: 'jeans',
+    source_url: 'https://www2.hm.com/jeans', product_meta: { brand: 'H&M' },
+    colors: [{ name: 'navy', share: 1 }], pattern: 'solid', created_at: thisYear
+  },
+  { id: 'w4', image_url: 'https://look/outfit.jpg', name: 'Zara look', category: 'outfit', created_at: thisYear }
+]
+
+const RECENT = [
+  { id: 'clothing-1', imageUrl: 'https://uniqlo/linen.jpg', sourceUrl: 'https://www.uniqlo.com/linen', name: 'Linen shirt', category: 'top', tags: ['summer'], timestamp: Date.now() },
+  { id: 'clothing-2', imageUrl: 'https://zara/blue-shirt.jpg', sourceUrl: 'https://www.zara.com/vn/en/oxford-shirt-p1.html', name: 'Oxford', category: 'top', tags: ['office'], timestamp: Date.now() }
+]
+
+async function search(query, extra = {}) {
+  const result = await handleSearchWardrobe({ query, ...extra })
+  return result.items.map(item => item.imageUrl)
+}
+
+beforeEach(async () => {
+  resetMockStorage()
+  invalidateWardrobeIndex()
+  await chrome.storage.local.set({
+    demo_wardrobe: structuredClone(WARDROBE),
+    recent_clothing: structuredClone(RECENT)
+  })
+})
+
+describe('handleSearchWardrobe', () => {
+  it('SHOULD match names by prefix without Vietnamese diacritics', async () => {
+    expect(await search('ao so mi')).toEqual(['https://zara/blue-shirt.jpg'])
+    expect(await search('lin')).toEqual(['https://uniqlo/linen.jpg'])
+  })
+
+  it('SHOULD match tags, brand, shop domain and colour names in English and Vietnamese', async () => {
+    expect(await search('summer')).toEqual(['https://uniqlo/linen.jpg'])
+    expect(await search('h&m')).toEqual(['https://hm/navy-jeans.jpg'])
+    expect(await search('uniqlo')).toEqual(['https://uniqlo/linen.jpg'])
+    expect(await search('navy')).toEqual(['https://hm/navy-jeans.jpg'])
+    expect(await search('xanh duong')).toEqual(['https://zara/blue-shirt.jpg', 'https://zara/old-tee.jpg'])
+  })
+
+  it('SHOULD require every word to match and merge the same photo from both stores', async () => {
+    expect(await search('zara work')).toEqual(['https://zara/blue-shirt.jpg'])
+    expect(await search('office work')).toEqual(['https://zara/blue-shirt.jpg'])
+    expect(await search('zara nothing')).toEqual([])
+  })
+
+  it('SHOULD leave outfits out of the clothing index', async () => {
+    expect(await search('look')).toEqual([])
+  })
+
+  it('SHOULD reuse the index until the watched storage keys change', async () => {
+    let onChanged
+    chrome.storage.onChanged = { addListener: vi.fn(listener => { onChanged = listener }) }
+    watchWardrobeIndex()
+    chrome.storage.local.get.mockClear()
+
+    await search('zara')
+    await search('oxford')
+    expect(chrome.storage.local.get).toHaveBeenCalledTimes(1)
+
+    onChanged({ extension_locale: {} }, 'local')
+    await search('zara')
+    expect(chrome.storage.local.get).toHaveBeenCalledTimes(1)
+
+    await chrome.storage.local.set({ recent_clothing: [] })
+    onChanged({ recent_clothing: {} }, 'local')
+    expect(await search('linen')).toEqual([])
+    expect(chrome.storage.local.get).toHaveBeenCalledTimes(2)
+    delete chrome.storage.onChanged
+  })
+})
+
+describe('handleUpdateWardrobeItem', () => {
+  it('SHOULD normalise tags and notes and write both copies of the item', async () => {
+    const result = await handleUpdateWardrobeItem({ id: 'w1', tags: '#Date night, date night, weekend', notes: '  Size M fits  ' })
+
+    expect(result).toEqual({ success: true, tags: ['date night', 'weekend'], notes: 'Size M fits' })
+    const { demo_wardrobe: wardrobe, recent_clothing: recent } = await chrome.storage.local.get(['demo_wardrobe', 'recent_clothing'])
+    expect(wardrobe[0]).toMatchObject({ tags: ['date night', 'weekend'], notes: 'Size M fits' })
+    expect(recent[1]).toMatchObject({ tags: ['date night', 'weekend'], notes: 'Size M fits' })
+    expect(await search('weekend')).toEqual(['https://zara/blue-shirt.jpg'])
+  })
+
+  it('SHOULD only change the fields it was given', async () => {
+    await handleUpdateWardrobeItem({ imageUrl: 'https://uniqlo/linen.jpg', notes: 'Crease-prone' })
+    const { recent_clothing: recent } = await chrome.storage.local.get('recent_clothing')
+    expect(recent[0]).toMatchObject({ tags: ['summer'], notes: 'Crease-prone' })
+  })
+
+  it('SHOULD report unknown items and empty updates', async () => {
+    expect(await handleUpdateWardrobeItem({ id: 'missing', tags: ['x'] })).toEqual({ success: false, error: 'NOT_FOUND' })
+    expect(await handleUpdateWardrobeItem({ id: 'w1' })).toEqual({ success: false, error: 'NOTHING_TO_UPDATE' })
+  })
+})
+
+describe('smart collections', () => {
+  const BLUE_ZARA_THIS_YEAR = { category: 'top', colors: ['blue'], domains: ['https://www.zara.com/'], added: 'this_year' }
+
+  it('SHOULD save rule-based collections, count and filter their items', async () => {
+    const saved = await handleSaveWardrobeCollection({ name: '  Blue Zara tops ', rules: BLUE_ZARA_THIS_YEAR })
+    expect(saved.collection).toMatchObject({ name: 'Blue Zara tops', rules: { category: 'top', colors: ['blue'], domains: ['zara.com'], added: 'this_year' } })
+
+    expect(await search('', { collectionId: saved.collection.id })).toEqual(['https://zara/blue-shirt.jpg'])
+    const { collections } = await handleGetWardrobeCollections()
+    expect(collections).toMatchObject([{ id: saved.collection.id, count: 1 }])
+  })
+
+  it('SHOULD narrow a collection with the search box and follow later edits', async () => {
+    const { collection } = await handleSaveWardrobeCollection({ name: 'Tops', rules: { category: 'top' } })
+    expect(await search('linen', { collectionId: collection.id })).toEqual(['https://uniqlo/linen.jpg'])
+
+    await handleSaveWardrobeCollection({ id: collection.id, name: 'Summer tops', rules: { category: 'top', tags: ['summer'] } })
+    expect(await search('', { collectionId: collection.id })).toEqual(['https://uniqlo/linen.jpg'])
+  })
+
+  it('SHOULD reject collections without a name or rules and report deleted ones', async () => {
+    expect(await handleSaveWardrobeCollection({ name: '', rules: { category: 'top' } })).toEqual({ success: false, error: 'NAME_REQUIRED' })
+    expect(await handleSaveWardrobeCollection({ name: 'All', rules: { category: 'all', colors: [''] } })).toEqual({ success: false, error: 'RULES_REQUIRED' })
+
+    const { collection } = await handleSaveWardrobeCollection({ name: 'Jeans', rules: { subcategory: 'jeans', category: 'bottom' } })
+    expect(await handleDeleteWardrobeCollection({ id: collection.id })).toEqual({ success: true })
+    expect(await handleSearchWardrobe({ collectionId: collection.id })).toEqual({ success: false, error: 'COLLECTION_NOT_FOUND' })
+  })
+})
+
+describe('handleGetWardrobe', () => {
+  it('SHOULD combine the category filter with search text and rules', async () => {
+    const byQuery = await handleGetWardrobe({ category: 'top', query: 'zara' })
+    expect(byQuery.items.map(item => item.id)).toEqual(['w1', 'w2'])
+
+    const byRules = await handleGetWardrobe({ rules: { colors: ['navy'] } })
+    expect(byRules).toMatchObject({ success: true, total: 1, items: [{ id: 'w3' }] })
+  })
+})